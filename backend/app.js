@@ -0,0 +1,188 @@
+import crypto from 'crypto';
+import express from 'express';
+import cors from 'cors';
+
+// Import all routes from Phases 1-3
+import authRoutes from './routes/auth.js';
+import bankRoutes from './routes/bank-verification.js';
+import healthRoutes from './routes/health.js';
+import referralsRoutes from './routes/referrals.js';
+import leadsRoutes from './routes/leads.js';
+import partnerRoutes from './routes/partner.js';
+import paymentsRoutes from './routes/payments.js';
+import commissionsRoutes from './routes/commissions.js';
+import dealsRoutes from './routes/deals.js';
+import internalRoutes from './routes/internal.js';
+import adminRoutes from './routes/admin.js';
+import reportsRoutes from './routes/reports.js';
+import notificationsRoutes from './routes/notifications.js';
+import payoutsRoutes from './routes/payouts.js';
+import ledgerRoutes from './routes/ledger.js';
+import webhookRoutes from './routes/webhooks.js';
+import payoutRunRoutes from './routes/payout-runs.js';
+import publicRoutes from './routes/public.js';
+import { supabaseAdmin, DATA_BACKEND } from './config/supabase.js';
+
+// Import middleware
+// import { securityHeaders, corsConfig, requestLogger } from './middleware/security.js';
+
+// The Express application: middleware, API routes and error handlers. server.js starts it
+// listening; the test suite drives it directly with supertest.
+const app = express();
+
+// Behind a load balancer every request arrives from the proxy, and req.ip (rate limits, OTP and
+// referral form throttling, audit entries) would be the same for every client. TRUST_PROXY says
+// which proxies' X-Forwarded-For to believe: a hop count (1 for a single load balancer), `true`,
+// or addresses and subnets such as `loopback, 10.0.0.0/8`. Unset, the socket address is used.
+function trustProxy(value = '') {
+  if (value === '' || value === 'false') return false;
+  if (value === 'true') return true;
+  return /^\d+$/.test(value) ? Number(value) : value;
+}
+
+app.set('trust proxy', trustProxy(process.env.TRUST_PROXY));
+
+// Middleware
+app.use(cors({
+  origin: [
+    'http://localhost:3000',
+    'http://127.0.0.1:5500',
+    'http://localhost:5500'
+  ],
+  credentials: true,
+  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS', 'PATCH'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'X-Request-Id'],
+  exposedHeaders: ['X-Request-Id']
+}));
+app.use(express.json({
+  limit: '10mb',
+  // Webhook signatures are computed over the exact bytes received
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith('/api/webhooks')) req.rawBody = buf;
+  }
+}));
+app.use(express.urlencoded({ extended: true }));
+
+// Request id: the caller's X-Request-Id (e.g. from the load balancer) or a new one. It is
+// echoed back and recorded on audit log entries, so an entry can be traced to its request.
+app.use((req, res, next) => {
+  const given = req.get('X-Request-Id');
+  req.id = given && /^[\w.:-]{1,128}$/.test(given) ? given : crypto.randomUUID();
+  res.set('X-Request-Id', req.id);
+  next();
+});
+
+// Log all requests
+app.use((req, res, next) => {
+  console.log(`${new Date().toISOString()} - [${req.id}] ${req.method} ${req.path}`);
+  next();
+});
+
+// Routes
+
+
+// ========================
+// API ROUTES REGISTRATION
+// ========================
+
+console.log('🔄 Registering API routes...');
+
+// Mount point for each API router, in registration order
+export const apiRoutes = [
+  // Phase 1: Core Authentication & Referrals
+  ['/api/auth', authRoutes],
+  ['/api/bank', bankRoutes],
+  ['/api/referrals', referralsRoutes],
+  ['/api/leads', leadsRoutes],
+  ['/api/partner', partnerRoutes],
+  ['/api/public', publicRoutes],
+
+  // Phase 2: Financial Workflow
+  ['/api/payments', paymentsRoutes],
+  ['/api/commissions', commissionsRoutes],
+  ['/api/deals', dealsRoutes],
+  ['/api/payouts', payoutsRoutes],
+  ['/api/payout-runs', payoutRunRoutes],
+  ['/api/ledger', ledgerRoutes],
+  ['/api/webhooks', webhookRoutes],
+
+  // Phase 3: Internal & Admin Tools
+  ['/api/internal', internalRoutes],
+  ['/api/admin', adminRoutes],
+  ['/api/reports', reportsRoutes],
+  ['/api/notifications', notificationsRoutes],
+
+  // Health routes (keep at end to avoid rate limiting)
+  ['/api/health', healthRoutes]
+];
+
+apiRoutes.forEach(([path, router]) => app.use(path, router));
+
+// Uploaded files (proofs of payment) when storage is local rather than Supabase Storage
+if (DATA_BACKEND === 'postgres') {
+  app.use('/storage', express.static(supabaseAdmin.storageDir));
+}
+
+// ========================
+// ROOT ENDPOINTS
+// ========================
+
+// API information endpoint
+app.get('/', (req, res) => {
+  res.json({
+    success: true,
+    message: '🚀 Cryptware Referral API is running!',
+    timestamp: new Date().toISOString(),
+    version: '2.0.0',
+    environment: process.env.NODE_ENV || 'development',
+    documentation: process.env.API_DOCS_URL || 'https://docs.cryptware.com'
+  });
+});
+
+// Basic route
+// app.get('/', (req, res) => {
+//   res.json({
+//     success: true,
+//     message: '🚀 Cryptware Referral API is running!',
+//     timestamp: new Date().toISOString(),
+//     version: '1.0.0',
+//     environment: process.env.NODE_ENV || 'development'
+//   });
+// });
+
+// Environment check route
+app.get('/api/env-check', (req, res) => {
+  res.json({
+    success: true,
+    environment: {
+      NODE_ENV: process.env.NODE_ENV || 'development',
+      PORT: process.env.PORT || 5000,
+      SUPABASE_URL: process.env.SUPABASE_URL ? '✅ Present' : '❌ Missing',
+      SUPABASE_ANON_KEY: process.env.SUPABASE_ANON_KEY ? '✅ Present' : '❌ Missing',
+      PAYSTACK_SECRET_KEY: process.env.PAYSTACK_SECRET_KEY ? '✅ Present' : '❌ Missing',
+      JWT_SECRET: process.env.JWT_SECRET ? '✅ Present' : '❌ Missing'
+    }
+  });
+});
+
+// Error handling middleware
+app.use((err, req, res, next) => {
+  console.error('Error:', err.message);
+  res.status(500).json({ 
+    success: false, 
+    message: 'Internal server error',
+    error: process.env.NODE_ENV === 'development' ? err.message : undefined
+  });
+});
+
+// FIXED: 404 handler - use a proper path or remove the path entirely
+app.use((req, res) => {
+  res.status(404).json({ 
+    success: false, 
+    message: 'API endpoint not found',
+    path: req.path,
+    method: req.method
+  });
+});
+
+export default app;
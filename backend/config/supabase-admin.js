@@ -1,12 +1,2 @@
-import { createClient } from '@supabase/supabase-js';
-import dotenv from 'dotenv';
-
-dotenv.config();
-
-// Admin client for database operations (bypasses RLS)
-export const supabaseAdmin = createClient(
-  process.env.SUPABASE_URL,
-  process.env.SUPABASE_SERVICE_ROLE_KEY
-);
-
-console.log('✅ Supabase admin client initialized');
\ No newline at end of file
+// Admin client for database operations (bypasses RLS); the same client as config/supabase.js
+export { supabaseAdmin } from './supabase.js';
@@ -1,16 +1,25 @@
 import { createClient } from '@supabase/supabase-js';
 import dotenv from 'dotenv';
+import { createPostgresClient } from '../database/postgres/client.js';
 
 dotenv.config();
 
-// Regular client with ANON_KEY (respects RLS)
-export const supabase = createClient(
+// Where data lives: 'supabase' (the hosted project, default) or 'postgres' (DATABASE_URL,
+// e.g. a local database set up with npm run setup:db). The postgres client has the same
+// query-builder, auth and storage surface, so nothing above this file needs to know.
+export const DATA_BACKEND = process.env.DATA_BACKEND === 'postgres' ? 'postgres' : 'supabase';
+
+const localClient = DATA_BACKEND === 'postgres' ? createPostgresClient() : null;
+
+// Regular client with ANON_KEY, used for Supabase Auth only. Row level security gives the
+// anon key no table access (database/migrations/0006_row_level_security.sql).
+export const supabase = localClient || createClient(
   process.env.SUPABASE_URL,
   process.env.SUPABASE_ANON_KEY
 );
 
-// Internal client with SERVICE_ROLE_KEY (bypasses RLS)
-export const supabaseAdmin = createClient(
+// Internal client with SERVICE_ROLE_KEY (bypasses RLS), used for all table access
+export const supabaseAdmin = localClient || createClient(
   process.env.SUPABASE_URL,
   process.env.SUPABASE_SERVICE_ROLE_KEY, // Add SUPABASE_SERVICE_ROLE_KEY to your .env
   {
@@ -21,6 +30,4 @@ export const supabaseAdmin = createClient(
   }
 );
 
-
-
-console.log('✅ Supabase clients initialized');
\ No newline at end of file
+console.log(localClient ? '✅ Postgres data backend initialized' : '✅ Supabase clients initialized');
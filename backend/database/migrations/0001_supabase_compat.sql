@@ -0,0 +1,43 @@
+-- Stand-ins for what a Supabase project provides (the auth schema, auth.uid() and the
+-- anon/authenticated/service_role roles), so the migrations also run on a plain local
+-- Postgres. Every statement is a no-op when the real objects already exist.
+
+do $$
+begin
+  if not exists (select 1 from pg_roles where rolname = 'anon') then
+    create role anon nologin noinherit;
+  end if;
+  if not exists (select 1 from pg_roles where rolname = 'authenticated') then
+    create role authenticated nologin noinherit;
+  end if;
+  if not exists (select 1 from pg_roles where rolname = 'service_role') then
+    create role service_role nologin noinherit bypassrls;
+  end if;
+end
+$$;
+
+create schema if not exists auth;
+
+create table if not exists auth.users (
+  id uuid primary key default gen_random_uuid(),
+  email text unique,
+  raw_user_meta_data jsonb not null default '{}'::jsonb,
+  created_at timestamptz not null default now()
+);
+
+-- Same contract as Supabase's: the subject of the JWT PostgREST was called with
+do $$
+begin
+  if not exists (
+    select 1 from pg_proc p join pg_namespace n on n.oid = p.pronamespace
+    where n.nspname = 'auth' and p.proname = 'uid'
+  ) then
+    create function auth.uid() returns uuid
+      language sql stable
+      as $fn$ select nullif(current_setting('request.jwt.claim.sub', true), '')::uuid $fn$;
+  end if;
+end
+$$;
+
+grant usage on schema auth to anon, authenticated, service_role;
+grant usage on schema public to anon, authenticated, service_role;
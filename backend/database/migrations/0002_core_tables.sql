@@ -0,0 +1,259 @@
+-- The schema of the Supabase project as it stood before versioned migrations: partners, staff,
+-- referrals, leads, client payments, payouts, OTPs, notifications and logs, as the API of the
+-- time used them. `setup:db -- --baseline` records migrations up to this one as applied on
+-- that project; everything from 0003 on is the change from it and runs as usual.
+
+create table partners (
+  id uuid primary key references auth.users (id) on delete cascade,
+  company_name text not null,
+  cac_number text,
+  tin_number text,
+  contact_name text not null,
+  email text not null unique,
+  phone text,
+  address text,
+  is_active boolean not null default false,
+  bank_account_number text,
+  bank_code text,
+  verified_account_name text,
+  bank_verified boolean not null default false,
+  total_commissions_earned numeric(14, 2) not null default 0,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+-- Staff accounts, with plaintext passwords until 0003
+create table internal_users (
+  id uuid primary key default gen_random_uuid(),
+  email text not null unique,
+  name text not null,
+  role text not null default 'team_member',
+  is_active boolean not null default true,
+  password text,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create table referrals (
+  id uuid primary key default gen_random_uuid(),
+  partner_id uuid not null references partners (id) on delete cascade,
+  referral_code text not null unique,
+  prospect_company_name text not null,
+  contact_name text,
+  email text,
+  phone text,
+  industry text,
+  estimated_deal_value numeric(14, 2),
+  status text not null default 'code_sent'
+    check (status in ('code_sent', 'contacted', 'meeting_scheduled', 'proposal_sent', 'negotiation', 'won', 'fully_paid', 'lost')),
+  commission_eligible boolean not null default true,
+  total_commission_earned numeric(14, 2) not null default 0,
+  total_deal_value numeric(14, 2) not null default 0,
+  payout_requested boolean not null default false,
+  payout_requested_at timestamptz,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index referrals_partner_id_idx on referrals (partner_id, created_at);
+create index referrals_status_idx on referrals (status);
+
+-- Referral codes look like CRYPT-7K2Q9X: the referral_code_prefix setting (default CRYPT),
+-- a dash and six characters from an alphabet without look-alikes (0/O, 1/I). Runs as its
+-- owner so referrals created under RLS can still read the prefix and check for collisions.
+create function generate_referral_code() returns trigger
+  language plpgsql
+  security definer
+  set search_path = public
+  as $$
+declare
+  alphabet constant text := 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+  prefix text;
+  candidate text;
+begin
+  if new.referral_code is not null and new.referral_code <> '' then
+    return new;
+  end if;
+
+  select coalesce(nullif(config_value, ''), 'CRYPT') into prefix
+    from system_config
+    where config_key = 'referral_code_prefix' and is_active;
+  prefix := upper(coalesce(prefix, 'CRYPT'));
+
+  loop
+    candidate := prefix || '-';
+    for i in 1..6 loop
+      candidate := candidate || substr(alphabet, 1 + floor(random() * length(alphabet))::int, 1);
+    end loop;
+    exit when not exists (select 1 from referrals where referral_code = candidate);
+  end loop;
+
+  new.referral_code := candidate;
+  return new;
+end
+$$;
+
+create trigger referrals_generate_code
+  before insert on referrals
+  for each row execute function generate_referral_code();
+
+create table leads (
+  id uuid primary key default gen_random_uuid(),
+  company_name text not null,
+  contact_name text,
+  email text,
+  phone text,
+  industry text,
+  erp_system text,
+  implementation_timeline text,
+  estimated_value numeric(14, 2),
+  referral_id uuid references referrals (id) on delete set null,
+  referral_code text,
+  assigned_to uuid references internal_users (id) on delete set null,
+  status text not null default 'new'
+    check (status in ('new', 'contacted', 'qualified', 'proposal', 'negotiation', 'converted', 'lost')),
+  source text,
+  last_contact timestamptz,
+  payment_completed boolean not null default false,
+  payment_completed_at timestamptz,
+  payment_completed_by uuid references internal_users (id) on delete set null,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index leads_referral_id_idx on leads (referral_id);
+create index leads_status_idx on leads (status);
+
+create table lead_activities (
+  id uuid primary key default gen_random_uuid(),
+  lead_id uuid not null references leads (id) on delete cascade,
+  type text not null,
+  notes text,
+  recorded_by uuid references internal_users (id) on delete set null,
+  created_at timestamptz not null default now()
+);
+
+create index lead_activities_lead_id_idx on lead_activities (lead_id, created_at);
+
+create table client_payments (
+  id uuid primary key default gen_random_uuid(),
+  referral_id uuid not null references referrals (id) on delete cascade,
+  lead_id uuid references leads (id) on delete set null,
+  amount numeric(14, 2) not null check (amount > 0),
+  payment_date date not null default current_date,
+  payment_method text,
+  transaction_reference text,
+  status text not null default 'confirmed',
+  notes text,
+  recorded_by uuid references internal_users (id) on delete set null,
+  commission_calculated numeric(14, 2) not null default 0,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index client_payments_referral_id_idx on client_payments (referral_id, payment_date);
+
+-- Runtime settings, read through services/config-service.js and edited at /api/admin/config
+create table system_config (
+  config_key text primary key,
+  config_value text,
+  is_active boolean not null default true,
+  updated_at timestamptz not null default now()
+);
+
+-- In-app notifications for staff and partners. A null user_id addresses everyone of user_type.
+create table notifications (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid,
+  user_type text not null check (user_type in ('partner', 'internal')),
+  type text not null,
+  title text not null,
+  message text,
+  metadata jsonb,
+  read_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+create index notifications_user_idx on notifications (user_id, created_at desc);
+
+create table partner_notifications (
+  id uuid primary key default gen_random_uuid(),
+  partner_id uuid not null references partners (id) on delete cascade,
+  type text not null,
+  title text not null,
+  message text,
+  metadata jsonb,
+  read_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+create index partner_notifications_partner_idx on partner_notifications (partner_id, created_at desc);
+
+-- Partner login codes, in plain text until 0003
+create table partner_otps (
+  id uuid primary key default gen_random_uuid(),
+  partner_id uuid not null references partners (id) on delete cascade,
+  email text not null,
+  otp_code text not null,
+  expires_at timestamptz not null,
+  used boolean not null default false,
+  created_at timestamptz not null default now()
+);
+
+create index partner_otps_partner_idx on partner_otps (partner_id, created_at desc);
+create index partner_otps_email_idx on partner_otps (email, created_at desc);
+
+create table partner_payouts (
+  id uuid primary key default gen_random_uuid(),
+  partner_id uuid not null references partners (id) on delete cascade,
+  referral_id uuid references referrals (id) on delete set null,
+  amount numeric(14, 2) not null,
+  status text not null default 'pending',
+  notes text,
+  requested_at timestamptz not null default now(),
+  processed_at timestamptz,
+  processed_by uuid references internal_users (id) on delete set null,
+  payment_reference text,
+  proof_of_payment_url text,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index partner_payouts_partner_idx on partner_payouts (partner_id, requested_at desc);
+create index partner_payouts_status_idx on partner_payouts (status);
+
+create table audit_logs (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid,
+  user_type text,
+  action text not null,
+  resource_type text,
+  resource_id text,
+  old_values jsonb,
+  new_values jsonb,
+  changes jsonb,
+  notes text,
+  ip_address text,
+  user_agent text,
+  request_id text,
+  created_at timestamptz not null default now()
+);
+
+create index audit_logs_user_idx on audit_logs (user_id, created_at desc);
+create index audit_logs_resource_idx on audit_logs (resource_type, resource_id);
+create index audit_logs_action_idx on audit_logs (action);
+create index audit_logs_request_idx on audit_logs (request_id);
+
+create table request_logs (
+  id bigint generated always as identity primary key,
+  request_id text,
+  method text not null,
+  path text not null,
+  status_code integer,
+  duration_ms integer,
+  ip_address text,
+  user_agent text,
+  created_at timestamptz not null default now()
+);
+
+create index request_logs_created_at_idx on request_logs (created_at);
@@ -0,0 +1,146 @@
+-- Logins, sessions, two-factor authentication and bank detail changes. Columns are added with
+-- `if not exists` where the tables predate the migrations (0002).
+
+-- Staff logins are checked against password_hash; `password` is the legacy plaintext column,
+-- cleared the first time a password is set through the API
+alter table internal_users
+  add column if not exists password_hash text,
+  add column if not exists password_changed_at timestamptz,
+  add column if not exists must_reset_password boolean not null default false;
+
+-- Partner login codes. Only the hash of a code is stored; a code is spent once used,
+-- invalidated when a newer one is sent and locked after too many wrong guesses. Codes
+-- already sent in plain text are dropped: they expire within minutes and can be resent.
+delete from partner_otps;
+
+alter table partner_otps
+  drop column if exists otp_code,
+  add column otp_hash text not null,
+  add column used_at timestamptz,
+  add column failed_attempts integer not null default 0,
+  add column locked_at timestamptz,
+  add column requested_ip text,
+  add column invalidated_at timestamptz;
+
+create index partner_otps_ip_idx on partner_otps (requested_ip, created_at desc);
+
+-- Staff refresh tokens, stored hashed; rotating or revoking one ends the session
+create table internal_sessions (
+  id uuid primary key default gen_random_uuid(),
+  internal_user_id uuid not null references internal_users (id) on delete cascade,
+  refresh_token_hash text not null unique,
+  ip_address text,
+  user_agent text,
+  expires_at timestamptz not null,
+  last_used_at timestamptz,
+  revoked_at timestamptz,
+  revoked_reason text,
+  created_at timestamptz not null default now()
+);
+
+create index internal_sessions_user_idx on internal_sessions (internal_user_id);
+
+create table internal_user_password_history (
+  id uuid primary key default gen_random_uuid(),
+  internal_user_id uuid not null references internal_users (id) on delete cascade,
+  password_hash text not null,
+  created_at timestamptz not null default now()
+);
+
+create index internal_user_password_history_user_idx on internal_user_password_history (internal_user_id, created_at desc);
+
+-- Overrides of the built-in role -> permission matrix (services/permission-service.js).
+-- A role with rows here uses exactly those permissions.
+create table role_permissions (
+  role text not null,
+  permission text not null,
+  created_at timestamptz not null default now(),
+  primary key (role, permission)
+);
+
+-- TOTP enrolment for partners and staff; secrets are encrypted by the API
+create table user_two_factor (
+  user_id uuid primary key,
+  user_type text not null check (user_type in ('partner', 'internal')),
+  secret_encrypted text,
+  pending_secret_encrypted text,
+  enabled boolean not null default false,
+  enrolled_at timestamptz,
+  last_used_step bigint,
+  updated_at timestamptz not null default now()
+);
+
+create table two_factor_recovery_codes (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references user_two_factor (user_id) on delete cascade,
+  code_hash text not null,
+  used_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+create index two_factor_recovery_codes_user_idx on two_factor_recovery_codes (user_id);
+
+-- The second step of a login that needs 2FA. pending_session holds the partner session
+-- issued by the first step until the challenge is passed.
+create table two_factor_challenges (
+  id uuid primary key default gen_random_uuid(),
+  token_hash text not null unique,
+  user_id uuid not null,
+  user_type text not null check (user_type in ('partner', 'internal')),
+  email text,
+  purpose text not null,
+  pending_session jsonb,
+  email_code_hash text,
+  email_code_expires_at timestamptz,
+  failed_attempts integer not null default 0,
+  expires_at timestamptz not null,
+  consumed_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+alter table partners
+  add column if not exists bank_changed_at timestamptz,
+  add column if not exists payout_hold_until timestamptz;
+
+-- Every change of a partner's payout account, with the name match it passed and the
+-- payout hold it started
+create table partner_bank_changes (
+  id uuid primary key default gen_random_uuid(),
+  partner_id uuid not null references partners (id) on delete cascade,
+  old_bank_account_number text,
+  old_bank_code text,
+  old_account_name text,
+  new_bank_account_number text not null,
+  new_bank_code text not null,
+  new_account_name text,
+  name_match_score numeric(4, 3),
+  changed_by uuid,
+  changed_by_type text,
+  ip_address text,
+  payout_hold_until timestamptz,
+  created_at timestamptz not null default now()
+);
+
+create index partner_bank_changes_partner_idx on partner_bank_changes (partner_id, created_at desc);
+
+-- Changes whose account name did not match the partner closely enough wait here for review
+create table bank_change_requests (
+  id uuid primary key default gen_random_uuid(),
+  partner_id uuid not null references partners (id) on delete cascade,
+  old_bank_account_number text,
+  old_bank_code text,
+  old_account_name text,
+  new_bank_account_number text not null,
+  new_bank_code text not null,
+  new_account_name text,
+  name_match_score numeric(4, 3),
+  requested_ip text,
+  notified_contacts text[],
+  status text not null default 'pending' check (status in ('pending', 'approved', 'rejected', 'cancelled')),
+  review_notes text,
+  reviewed_by uuid references internal_users (id) on delete set null,
+  reviewed_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+create index bank_change_requests_status_idx on bank_change_requests (status, created_at);
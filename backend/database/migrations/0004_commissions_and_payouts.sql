@@ -0,0 +1,223 @@
+-- Commission rules and adjustments, partner payouts, payout runs, the ledger and webhooks
+
+-- Rows are immutable: editing a rule inserts the next version under the same rule_key and
+-- stamps superseded_at on the old one (services/commission-service.js)
+create table commission_rules (
+  id uuid primary key default gen_random_uuid(),
+  rule_key uuid not null default gen_random_uuid(),
+  version integer not null default 1,
+  name text not null,
+  scope text not null check (scope in ('default', 'industry', 'partner')),
+  partner_id uuid references partners (id) on delete cascade,
+  industry text,
+  base_rate numeric(6, 4) not null check (base_rate >= 0 and base_rate <= 1),
+  tiers jsonb not null default '[]'::jsonb,
+  flat_bonus numeric(14, 2) not null default 0,
+  cap_per_deal numeric(14, 2),
+  effective_from date not null default current_date,
+  effective_to date,
+  is_active boolean not null default true,
+  notes text,
+  superseded_at timestamptz,
+  created_by uuid references internal_users (id) on delete set null,
+  created_at timestamptz not null default now(),
+  unique (rule_key, version),
+  check (scope <> 'partner' or partner_id is not null),
+  check (scope <> 'industry' or industry is not null)
+);
+
+-- A payment stores the commission it produced and the exact commission_rules version that
+-- produced it. Pending payments await confirmation (e.g. by a Paystack charge); reversed and
+-- refunded ones claw their commission back.
+alter table client_payments
+  add column commission_rule_id uuid references commission_rules (id) on delete set null,
+  add column commission_rule_version integer,
+  add column commission_breakdown jsonb,
+  add column refunded_amount numeric(14, 2) not null default 0,
+  drop constraint if exists client_payments_status_check,
+  add constraint client_payments_status_check
+    check (status in ('confirmed', 'pending', 'reversed', 'refunded'));
+
+alter table partners add column if not exists paystack_recipient_code text;
+
+-- referral_id is set when the whole payout settles a single referral; see
+-- partner_payout_allocations
+alter table partner_payouts
+  add column gross_amount numeric(14, 2),
+  add column clawback_deducted numeric(14, 2) not null default 0,
+  add column vat_rate numeric(6, 4) not null default 0,
+  add column vat_amount numeric(14, 2) not null default 0,
+  add column taxable_amount numeric(14, 2),
+  add column wht_rate numeric(6, 4) not null default 0,
+  add column wht_amount numeric(14, 2) not null default 0,
+  add column transfer_status text check (transfer_status in ('pending', 'success', 'failed', 'reversed')),
+  add column transfer_reference text unique,
+  add column transfer_code text,
+  add column transfer_attempts integer not null default 0,
+  add column transfer_requires_otp boolean not null default false,
+  add column transfer_fee numeric(14, 2),
+  add column transfer_failure_reason text,
+  add column transfer_initiated_at timestamptz,
+  add column transfer_initiated_by uuid references internal_users (id) on delete set null,
+  add column transfer_completed_at timestamptz,
+  drop constraint if exists partner_payouts_status_check,
+  add constraint partner_payouts_status_check
+    check (status in ('pending', 'processing', 'paid', 'failed', 'cancelled'));
+
+-- How much of each referral's commission a payout settles
+create table partner_payout_allocations (
+  id uuid primary key default gen_random_uuid(),
+  payout_id uuid not null references partner_payouts (id) on delete cascade,
+  referral_id uuid not null references referrals (id) on delete cascade,
+  partner_id uuid not null references partners (id) on delete cascade,
+  amount numeric(14, 2) not null check (amount > 0),
+  created_at timestamptz not null default now()
+);
+
+create index partner_payout_allocations_payout_idx on partner_payout_allocations (payout_id);
+create index partner_payout_allocations_referral_idx on partner_payout_allocations (referral_id);
+
+-- Every change to a referral's commission: the accrual from a payment and any later
+-- refund, reversal or correction. A referral's commission is the sum of its rows.
+create table commission_adjustments (
+  id uuid primary key default gen_random_uuid(),
+  referral_id uuid not null references referrals (id) on delete cascade,
+  partner_id uuid not null references partners (id) on delete cascade,
+  client_payment_id uuid references client_payments (id) on delete set null,
+  payout_id uuid references partner_payouts (id) on delete set null,
+  adjustment_type text not null,
+  direction text not null check (direction in ('credit', 'debit')),
+  amount numeric(14, 2) not null,
+  previous_commission numeric(14, 2),
+  new_commission numeric(14, 2),
+  reason text,
+  created_by uuid references internal_users (id) on delete set null,
+  created_at timestamptz not null default now()
+);
+
+create index commission_adjustments_referral_idx on commission_adjustments (referral_id, created_at);
+create index commission_adjustments_payment_idx on commission_adjustments (client_payment_id);
+
+-- Commission owed back after a reduction to commission that was already paid out.
+-- Negative rows release a clawback when the reduction is undone.
+create table partner_clawbacks (
+  id uuid primary key default gen_random_uuid(),
+  partner_id uuid not null references partners (id) on delete cascade,
+  referral_id uuid references referrals (id) on delete set null,
+  adjustment_id uuid references commission_adjustments (id) on delete set null,
+  payout_id uuid references partner_payouts (id) on delete set null,
+  amount numeric(14, 2) not null,
+  reason text,
+  created_by uuid references internal_users (id) on delete set null,
+  created_at timestamptz not null default now()
+);
+
+create index partner_clawbacks_partner_idx on partner_clawbacks (partner_id);
+
+-- Double-entry ledger (services/ledger-service.js). Append-only: corrections are new postings.
+create table ledger_entries (
+  id uuid primary key default gen_random_uuid(),
+  transaction_id uuid not null,
+  entry_type text not null check (entry_type in ('accrual', 'adjustment', 'payout', 'clawback', 'fee')),
+  account text not null,
+  partner_id uuid references partners (id) on delete restrict,
+  referral_id uuid references referrals (id) on delete restrict,
+  debit numeric(14, 2) not null default 0 check (debit >= 0),
+  credit numeric(14, 2) not null default 0 check (credit >= 0),
+  source_type text not null,
+  source_id uuid not null,
+  description text,
+  created_by uuid,
+  created_at timestamptz not null default now()
+);
+
+create index ledger_entries_transaction_idx on ledger_entries (transaction_id);
+create index ledger_entries_partner_idx on ledger_entries (partner_id, account);
+create index ledger_entries_source_idx on ledger_entries (source_type, source_id);
+
+-- Shared by every append-only table
+create function reject_row_changes() returns trigger
+  language plpgsql
+  as $$
+begin
+  raise exception '% rows cannot be %d', tg_table_name, lower(tg_op)
+    using errcode = 'insufficient_privilege';
+end
+$$;
+
+create trigger ledger_entries_append_only
+  before update or delete on ledger_entries
+  for each row execute function reject_row_changes();
+
+-- Batch payouts: a run is approved, exported as a bank file or sent as a Paystack bulk transfer
+create table payout_runs (
+  id uuid primary key default gen_random_uuid(),
+  reference text not null unique,
+  status text not null default 'draft'
+    check (status in ('draft', 'approved', 'exported', 'sending', 'completed', 'partially_failed', 'cancelled')),
+  parent_run_id uuid references payout_runs (id) on delete set null,
+  item_count integer not null default 0,
+  total_amount numeric(14, 2) not null default 0,
+  totals_by_bank jsonb,
+  notes text,
+  method text,
+  export_format text check (export_format in ('csv', 'nibss')),
+  created_by uuid references internal_users (id) on delete set null,
+  approved_by uuid references internal_users (id) on delete set null,
+  approved_at timestamptz,
+  cancelled_by uuid references internal_users (id) on delete set null,
+  cancelled_at timestamptz,
+  exported_by uuid references internal_users (id) on delete set null,
+  exported_at timestamptz,
+  sent_by uuid references internal_users (id) on delete set null,
+  sent_at timestamptz,
+  completed_at timestamptz,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+-- Bank details are copied onto the item so an exported file always matches its run
+create table payout_run_items (
+  id uuid primary key default gen_random_uuid(),
+  run_id uuid not null references payout_runs (id) on delete cascade,
+  payout_id uuid not null references partner_payouts (id) on delete cascade,
+  partner_id uuid not null references partners (id) on delete cascade,
+  sequence integer not null,
+  amount numeric(14, 2) not null,
+  bank_code text,
+  account_number text,
+  account_name text,
+  partner_name text,
+  referral_name text,
+  status text not null default 'queued' check (status in ('queued', 'sent', 'paid', 'failed', 'excluded')),
+  failure_reason text,
+  transfer_reference text,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  unique (run_id, sequence),
+  unique (run_id, payout_id)
+);
+
+create index payout_run_items_payout_idx on payout_run_items (payout_id);
+
+-- Inbound provider webhooks. (provider, event_key) is unique so a redelivered event is
+-- recognised and not processed twice.
+create table webhook_events (
+  id uuid primary key default gen_random_uuid(),
+  provider text not null,
+  event_key text not null,
+  event_type text,
+  payload jsonb not null,
+  ip_address text,
+  status text not null default 'received' check (status in ('received', 'processed', 'ignored', 'failed')),
+  attempts integer not null default 0,
+  last_error text,
+  result jsonb,
+  received_at timestamptz not null default now(),
+  processed_at timestamptz,
+  replayed_at timestamptz,
+  replayed_by uuid references internal_users (id) on delete set null,
+  unique (provider, event_key)
+);
+
+create index webhook_events_received_at_idx on webhook_events (received_at desc);
@@ -0,0 +1,18 @@
+-- Hash-chained audit trail written by services/audit-service.js. Each row stores the hash of
+-- the row before it (previous_hash) and a hash over its own content; the API computes both
+-- and GET /api/admin/audit-logs/verify recomputes them. The unique index on previous_hash
+-- rejects a second row linking to the same parent, so concurrent writers cannot fork the chain.
+-- Rows written before this migration have no hash; verification counts them as unchained.
+
+alter table audit_logs
+  add column sequence bigint generated always as identity unique,
+  add column changed_fields text[] not null default '{}',
+  add column reason text,
+  add column previous_hash text unique,
+  add column hash text;
+
+create index audit_logs_changed_fields_idx on audit_logs using gin (changed_fields);
+
+create trigger audit_logs_append_only
+  before update or delete on audit_logs
+  for each row execute function reject_row_changes();
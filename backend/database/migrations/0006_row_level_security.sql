@@ -0,0 +1,90 @@
+-- Row level security. The API talks to the database with the service role, which bypasses
+-- RLS; these policies govern the anon key shipped to browsers. Anonymous callers get nothing,
+-- and a signed-in partner can read their own records and create their own referrals. Staff
+-- and security tables (sessions, OTPs, 2FA, audit, ledger, config) have no policies at all,
+-- so only the service role can reach them.
+
+do $$
+declare
+  t text;
+begin
+  foreach t in array array[
+    'partners', 'internal_users', 'referrals', 'leads', 'lead_activities', 'client_payments',
+    'system_config', 'notifications', 'partner_notifications',
+    'partner_otps', 'internal_sessions', 'internal_user_password_history', 'role_permissions',
+    'user_two_factor', 'two_factor_recovery_codes', 'two_factor_challenges',
+    'partner_bank_changes', 'bank_change_requests', 'request_logs',
+    'commission_rules', 'partner_payouts', 'partner_payout_allocations', 'commission_adjustments',
+    'partner_clawbacks', 'ledger_entries', 'payout_runs', 'payout_run_items', 'webhook_events',
+    'audit_logs'
+  ] loop
+    execute format('alter table %I enable row level security', t);
+    execute format('grant all on table %I to service_role', t);
+  end loop;
+end
+$$;
+
+grant usage, select on all sequences in schema public to service_role;
+
+grant select on partners, referrals, client_payments, partner_payouts, partner_payout_allocations,
+  commission_adjustments, partner_clawbacks, partner_bank_changes, bank_change_requests,
+  partner_notifications, notifications to authenticated;
+grant insert on referrals to authenticated;
+grant update (read_at) on partner_notifications, notifications to authenticated;
+
+create policy partners_select_own on partners
+  for select to authenticated
+  using (id = auth.uid());
+
+create policy referrals_select_own on referrals
+  for select to authenticated
+  using (partner_id = auth.uid());
+
+-- The code and commission fields are filled in by the database and the API, never the partner
+create policy referrals_insert_own on referrals
+  for insert to authenticated
+  with check (
+    partner_id = auth.uid()
+    and status = 'code_sent'
+    and total_commission_earned = 0
+    and total_deal_value = 0
+    and not payout_requested
+  );
+
+create policy client_payments_select_own on client_payments
+  for select to authenticated
+  using (exists (select 1 from referrals r where r.id = referral_id and r.partner_id = auth.uid()));
+
+create policy partner_payouts_select_own on partner_payouts
+  for select to authenticated
+  using (partner_id = auth.uid());
+
+create policy partner_payout_allocations_select_own on partner_payout_allocations
+  for select to authenticated
+  using (partner_id = auth.uid());
+
+create policy commission_adjustments_select_own on commission_adjustments
+  for select to authenticated
+  using (partner_id = auth.uid());
+
+create policy partner_clawbacks_select_own on partner_clawbacks
+  for select to authenticated
+  using (partner_id = auth.uid());
+
+create policy partner_bank_changes_select_own on partner_bank_changes
+  for select to authenticated
+  using (partner_id = auth.uid());
+
+create policy bank_change_requests_select_own on bank_change_requests
+  for select to authenticated
+  using (partner_id = auth.uid());
+
+create policy partner_notifications_own on partner_notifications
+  for all to authenticated
+  using (partner_id = auth.uid())
+  with check (partner_id = auth.uid());
+
+create policy notifications_own on notifications
+  for all to authenticated
+  using (user_type = 'partner' and user_id = auth.uid())
+  with check (user_type = 'partner' and user_id = auth.uid());
@@ -0,0 +1,40 @@
+-- Default settings (the same values the services fall back to when a key is missing) and the
+-- storage bucket for proofs of payment. Existing values are left alone, so re-running this
+-- against a configured project changes nothing.
+
+insert into system_config (config_key, config_value) values
+  ('commission_rate', '0.05'),
+  ('referral_code_prefix', 'CRYPT'),
+  ('commission_accrual_policy', 'on_full_payment'),
+  ('commission_clearance_days', '14'),
+  ('minimum_payout_amount', '5000'),
+  ('payout_originator_name', 'CRYPTWARE'),
+  ('wht_rate', '0.10'),
+  ('wht_rate_no_tin', '0.20'),
+  ('vat_rate', '0.075'),
+  ('company_name', 'Cryptware Systems Ltd'),
+  ('company_tin', ''),
+  ('otp_expiry_minutes', '15'),
+  ('otp_max_attempts', '5'),
+  ('otp_resend_cooldown_seconds', '60'),
+  ('otp_max_per_email_per_hour', '5'),
+  ('otp_max_per_ip_per_hour', '20'),
+  ('bank_change_hold_hours', '48'),
+  ('bank_name_match_threshold', '0.7'),
+  ('password_min_length', '12'),
+  ('password_history_count', '5'),
+  ('password_max_age_days', '90'),
+  ('two_factor_required_roles', '[]')
+on conflict (config_key) do nothing;
+
+-- Proofs of payment are uploaded to the public `documents` bucket (routes/payouts.js).
+-- Only Supabase has a storage schema; a plain Postgres skips this.
+do $$
+begin
+  if exists (select 1 from information_schema.tables where table_schema = 'storage' and table_name = 'buckets') then
+    insert into storage.buckets (id, name, public)
+    values ('documents', 'documents', true)
+    on conflict (id) do nothing;
+  end if;
+end
+$$;
@@ -0,0 +1,4 @@
+-- Password hashes for the local auth stand-in used by the postgres data backend
+-- (database/postgres/auth.js). Supabase's auth.users already has this column.
+
+alter table auth.users add column if not exists encrypted_password text;
@@ -0,0 +1,25 @@
+-- Prospect submissions from the public referral page (routes/public.js). Rejected attempts
+-- are kept as well: they count towards the per-IP limit and show what the spam checks caught.
+create table referral_submissions (
+  id uuid primary key default gen_random_uuid(),
+  referral_id uuid not null references referrals (id) on delete cascade,
+  lead_id uuid references leads (id) on delete set null,
+  outcome text not null
+    check (outcome in ('accepted', 'honeypot', 'too_fast', 'duplicate')),
+  email text,
+  consented_at timestamptz,
+  ip_address text,
+  user_agent text,
+  created_at timestamptz not null default now()
+);
+
+create index referral_submissions_referral_idx on referral_submissions (referral_id, created_at desc);
+create index referral_submissions_ip_idx on referral_submissions (ip_address, created_at desc);
+
+alter table referral_submissions enable row level security;
+grant all on table referral_submissions to service_role;
+
+insert into system_config (config_key, config_value) values
+  ('referral_form_min_seconds', '3'),
+  ('referral_form_max_per_ip_per_hour', '5')
+on conflict (config_key) do nothing;
@@ -0,0 +1,33 @@
+-- Hits on a referral's shareable link, recorded by the public referral page
+-- (routes/public.js). The visitor's IP is stored only as a keyed hash; ua_class is a coarse
+-- device bucket rather than the full user agent.
+create table referral_clicks (
+  id uuid primary key default gen_random_uuid(),
+  referral_id uuid not null references referrals (id) on delete cascade,
+  clicked_at timestamptz not null default now(),
+  referrer text,
+  utm_source text,
+  utm_medium text,
+  utm_campaign text,
+  utm_term text,
+  utm_content text,
+  ua_class text not null default 'unknown'
+    check (ua_class in ('desktop', 'mobile', 'tablet', 'bot', 'unknown')),
+  ip_hash text
+);
+
+create index referral_clicks_referral_idx on referral_clicks (referral_id, clicked_at desc);
+
+alter table referral_clicks enable row level security;
+grant all on table referral_clicks to service_role;
+
+-- Which click a prospect submission was credited to, and under which model
+alter table referral_submissions
+  add column click_id uuid references referral_clicks (id) on delete set null,
+  add column attribution text
+    check (attribution in ('first_touch', 'last_touch', 'direct'));
+
+insert into system_config (config_key, config_value) values
+  ('referral_attribution_model', 'last_touch'),
+  ('referral_attribution_window_days', '30')
+on conflict (config_key) do nothing;
@@ -0,0 +1,115 @@
+-- Duplicate detection for referrals and leads. A prospect is matched on three normalized keys,
+-- kept as generated columns so every write path (including direct table updates) keeps them
+-- current. services/registration-conflict-service.js computes the same keys for an incoming
+-- registration; the two must stay in step (tests/registration-conflicts.test.js checks this).
+
+-- "The Acme Nigeria Ltd." -> 'acme': lower case, punctuation dropped, legal suffixes and
+-- filler words removed, spaces squeezed out
+create function match_company_key(name text) returns text
+  language sql
+  immutable
+  as $$
+  select nullif(
+    replace(
+      regexp_replace(
+        ' ' || regexp_replace(lower(coalesce(name, '')), '[^a-z0-9]+', ' ', 'g') || ' ',
+        ' (the|and|ltd|limited|plc|inc|incorporated|llc|llp|co|company|corp|corporation|nig|nigeria)(?= )',
+        ' ',
+        'g'
+      ),
+      ' ',
+      ''
+    ),
+    ''
+  )
+$$;
+
+-- 'Chidi@Acme.com.ng' -> 'acme.com.ng'; free mail providers say nothing about the company
+create function match_email_domain(email text) returns text
+  language sql
+  immutable
+  as $$
+  select case
+    when domain = '' then null
+    when domain in (
+      'gmail.com', 'googlemail.com', 'yahoo.com', 'yahoo.co.uk', 'ymail.com', 'hotmail.com',
+      'outlook.com', 'live.com', 'msn.com', 'icloud.com', 'me.com', 'aol.com',
+      'proton.me', 'protonmail.com', 'zoho.com', 'gmx.com', 'mail.com'
+    ) then null
+    else domain
+  end
+  from (select lower(trim(split_part(coalesce(email, ''), '@', 2))) as domain) parts
+$$;
+
+-- E.164, reading numbers without a country code as Nigerian: '0803 123 4567' -> '+2348031234567'
+create function match_phone_e164(phone text) returns text
+  language sql
+  immutable
+  as $$
+  select case
+    when digits = '' then null
+    when international and length(digits) between 8 and 15 then '+' || digits
+    when digits like '00%' and length(digits) between 10 and 17 then '+' || substr(digits, 3)
+    when digits like '234%' and length(digits) = 13 then '+' || digits
+    when digits like '0%' and length(digits) = 11 then '+234' || substr(digits, 2)
+    when digits not like '0%' and length(digits) = 10 then '+234' || digits
+    else null
+  end
+  from (
+    select
+      regexp_replace(coalesce(phone, ''), '[^0-9]', '', 'g') as digits,
+      ltrim(coalesce(phone, '')) like '+%' as international
+  ) parts
+$$;
+
+alter table referrals
+  add column company_key text generated always as (match_company_key(prospect_company_name)) stored,
+  add column email_domain text generated always as (match_email_domain(email)) stored,
+  add column phone_e164 text generated always as (match_phone_e164(phone)) stored;
+
+alter table leads
+  add column company_key text generated always as (match_company_key(company_name)) stored,
+  add column email_domain text generated always as (match_email_domain(email)) stored,
+  add column phone_e164 text generated always as (match_phone_e164(phone)) stored;
+
+create index referrals_company_key_idx on referrals (company_key);
+create index referrals_email_domain_idx on referrals (email_domain);
+create index referrals_phone_e164_idx on referrals (phone_e164);
+create index leads_company_key_idx on leads (company_key);
+create index leads_email_domain_idx on leads (email_domain);
+create index leads_phone_e164_idx on leads (phone_e164);
+
+-- Registrations that matched a prospect already in the pipeline. `blocked` ones were refused
+-- (already registered, or inside another partner's protection window); `flagged` ones went
+-- through because the earlier registration's window had lapsed. Staff resolve each one:
+-- `upheld` keeps the first registrant's claim, `overridden` lets the later one stand.
+create table registration_conflicts (
+  id uuid primary key default gen_random_uuid(),
+  resource_type text not null check (resource_type in ('referral', 'lead')),
+  action text not null check (action in ('blocked', 'flagged')),
+  reason text not null
+    check (reason in ('already_registered', 'registration_protection', 'protection_lapsed')),
+  match_fields text[] not null,
+  attempted_values jsonb not null,
+  partner_id uuid references partners (id) on delete set null,
+  requested_by uuid references internal_users (id) on delete set null,
+  matched_referral_id uuid references referrals (id) on delete set null,
+  matched_lead_id uuid references leads (id) on delete set null,
+  created_referral_id uuid references referrals (id) on delete set null,
+  created_lead_id uuid references leads (id) on delete set null,
+  protected_until timestamptz,
+  status text not null default 'pending' check (status in ('pending', 'upheld', 'overridden')),
+  resolution_notes text,
+  resolved_by uuid references internal_users (id) on delete set null,
+  resolved_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+create index registration_conflicts_status_idx on registration_conflicts (status, created_at desc);
+
+alter table registration_conflicts enable row level security;
+grant all on table registration_conflicts to service_role;
+
+insert into system_config (config_key, config_value) values
+  ('registration_protection_days', '90')
+on conflict (config_key) do nothing;
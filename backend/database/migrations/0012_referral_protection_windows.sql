@@ -0,0 +1,87 @@
+-- Protection windows for referrals. A referral protects its partner's claim on the prospect
+-- until protected_until: registration_protection_days from creation, pushed out by lead activity
+-- and renewable by staff. When a window runs out with nothing happening, the expiry job
+-- (script/expire-referrals.js) moves the referral to `expired`, after warning the partner
+-- referral_expiry_warning_days ahead.
+
+alter table referrals drop constraint referrals_status_check;
+alter table referrals add constraint referrals_status_check
+  check (status in ('code_sent', 'contacted', 'meeting_scheduled', 'proposal_sent', 'negotiation', 'won', 'fully_paid', 'lost', 'expired'));
+
+alter table referrals
+  add column protected_until timestamptz,
+  -- the protected_until the partner was last warned about; a new window earns a new warning
+  add column expiry_warning_for timestamptz,
+  add column protection_renewed_at timestamptz,
+  add column protection_renewed_by uuid references internal_users (id) on delete set null,
+  add column expired_at timestamptz,
+  -- restored when staff renew an expired referral
+  add column status_before_expiry text;
+
+create index referrals_protected_until_idx on referrals (protected_until)
+  where status not in ('won', 'fully_paid', 'lost', 'expired');
+
+insert into system_config (config_key, config_value) values
+  ('referral_expiry_warning_days', '14'),
+  ('referral_activity_extension_days', '30')
+on conflict (config_key) do nothing;
+
+create function config_days(key text, fallback integer) returns interval
+  language sql
+  stable
+  security definer
+  set search_path = public
+  as $$
+  select make_interval(days => coalesce(
+    (select nullif(config_value, '')::integer from system_config where config_key = key and is_active),
+    fallback
+  ))
+$$;
+
+-- Every referral starts with the configured window, whatever the partner sent
+create function set_referral_protection() returns trigger
+  language plpgsql
+  security definer
+  set search_path = public
+  as $$
+begin
+  new.protected_until := coalesce(new.created_at, now()) + config_days('registration_protection_days', 90);
+  return new;
+end
+$$;
+
+create trigger referrals_set_protection
+  before insert on referrals
+  for each row execute function set_referral_protection();
+
+-- Activity on a referral's lead keeps the window open for at least
+-- referral_activity_extension_days more. Closed and expired referrals are left alone.
+create function extend_referral_protection() returns trigger
+  language plpgsql
+  security definer
+  set search_path = public
+  as $$
+begin
+  update referrals r
+    set protected_until = greatest(r.protected_until, now() + config_days('referral_activity_extension_days', 30))
+    from leads l
+    where l.id = new.lead_id
+      and r.id = l.referral_id
+      and r.status not in ('won', 'fully_paid', 'lost', 'expired');
+  return new;
+end
+$$;
+
+create trigger lead_activities_extend_protection
+  after insert on lead_activities
+  for each row execute function extend_referral_protection();
+
+-- Existing referrals get their window from creation, but never less than the warning period,
+-- so none expires without the partner hearing about it first
+update referrals
+  set protected_until = greatest(
+    created_at + config_days('registration_protection_days', 90),
+    now() + config_days('referral_expiry_warning_days', 14)
+  );
+
+alter table referrals alter column protected_until set not null;
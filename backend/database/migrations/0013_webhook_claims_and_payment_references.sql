@@ -0,0 +1,10 @@
+-- A webhook event is claimed (status `processing`) before its handler runs, so concurrent
+-- deliveries of the same event cannot both act on it.
+alter table webhook_events drop constraint webhook_events_status_check;
+alter table webhook_events add constraint webhook_events_status_check
+  check (status in ('received', 'processing', 'processed', 'ignored', 'failed'));
+
+-- A provider transaction is recorded as one payment. Fails if duplicates are already recorded:
+-- resolve those (refund or cancel the extra rows and clear their reference) and run it again.
+create unique index client_payments_transaction_reference_key on client_payments (transaction_reference)
+  where transaction_reference is not null;
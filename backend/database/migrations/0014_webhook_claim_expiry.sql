@@ -0,0 +1,3 @@
+-- When an event was claimed for processing. A claim older than the handler could possibly take
+-- (the process died or timed out mid-event) may be taken over by a redelivery or replay.
+alter table webhook_events add column claimed_at timestamptz;
@@ -0,0 +1,5 @@
+-- A referral has at most one lead, so a prospect's form submitted twice at once (or staff adding
+-- a lead the prospect has just created) cannot open a second. Fails if a referral already has
+-- several leads: unlink the extras (set their referral_id to null) and run it again.
+drop index leads_referral_id_idx;
+create unique index leads_referral_id_key on leads (referral_id) where referral_id is not null;
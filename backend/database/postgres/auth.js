@@ -0,0 +1,109 @@
+import crypto from 'crypto';
+import bcrypt from 'bcryptjs';
+import jwt from 'jsonwebtoken';
+
+export const LOCAL_AUTH_ISSUER = 'cryptware-local-auth';
+const ACCESS_TOKEN_TTL_SECONDS = 60 * 60;
+
+const authError = (message, status = 400) => ({ message, status, name: 'AuthApiError' });
+
+// Stand-in for the Supabase Auth calls the API makes (sign up, password sign in, token
+// lookup, sign out, user deletion), backed by auth.users in the local database. Access tokens
+// are JWTs signed with JWT_SECRET and carry the same claims Supabase puts in its tokens.
+export class LocalAuth {
+  constructor(executor) {
+    this.executor = executor;
+    this.admin = {
+      deleteUser: (id) => this.deleteUser(id)
+    };
+  }
+
+  toUser(row) {
+    return {
+      id: row.id,
+      aud: 'authenticated',
+      role: 'authenticated',
+      email: row.email,
+      user_metadata: row.raw_user_meta_data || {},
+      app_metadata: { provider: 'email', providers: ['email'] },
+      created_at: row.created_at instanceof Date ? row.created_at.toISOString() : row.created_at
+    };
+  }
+
+  issueSession(user) {
+    const expiresAt = Math.floor(Date.now() / 1000) + ACCESS_TOKEN_TTL_SECONDS;
+    const accessToken = jwt.sign(
+      { sub: user.id, email: user.email, role: 'authenticated', aud: 'authenticated', user_metadata: user.user_metadata },
+      process.env.JWT_SECRET,
+      { issuer: LOCAL_AUTH_ISSUER, expiresIn: ACCESS_TOKEN_TTL_SECONDS }
+    );
+
+    return {
+      access_token: accessToken,
+      token_type: 'bearer',
+      expires_in: ACCESS_TOKEN_TTL_SECONDS,
+      expires_at: expiresAt,
+      refresh_token: crypto.randomBytes(32).toString('hex'),
+      user
+    };
+  }
+
+  async signUp({ email, password, options = {} }) {
+    try {
+      const passwordHash = await bcrypt.hash(password, 10);
+      const { rows: [row] } = await this.executor.query(
+        `insert into auth.users (email, encrypted_password, raw_user_meta_data)
+         values ($1, $2, $3)
+         returning id, email, raw_user_meta_data, created_at`,
+        [email.toLowerCase(), passwordHash, JSON.stringify(options.data || {})]
+      );
+
+      const user = this.toUser(row);
+      return { data: { user, session: this.issueSession(user) }, error: null };
+    } catch (error) {
+      if (error.code === '23505') {
+        return { data: { user: null, session: null }, error: authError('User already registered', 422) };
+      }
+      return { data: { user: null, session: null }, error: authError(error.message, 500) };
+    }
+  }
+
+  async signInWithPassword({ email, password }) {
+    const { rows: [row] } = await this.executor.query(
+      'select id, email, encrypted_password, raw_user_meta_data, created_at from auth.users where email = $1',
+      [String(email).toLowerCase()]
+    );
+
+    if (!row?.encrypted_password || !(await bcrypt.compare(password, row.encrypted_password))) {
+      return { data: { user: null, session: null }, error: authError('Invalid login credentials') };
+    }
+
+    const user = this.toUser(row);
+    return { data: { user, session: this.issueSession(user) }, error: null };
+  }
+
+  async getUser(token) {
+    try {
+      const payload = jwt.verify(token, process.env.JWT_SECRET, { issuer: LOCAL_AUTH_ISSUER });
+      const { rows: [row] } = await this.executor.query(
+        'select id, email, raw_user_meta_data, created_at from auth.users where id = $1',
+        [payload.sub]
+      );
+
+      if (!row) return { data: { user: null }, error: authError('User not found', 404) };
+      return { data: { user: this.toUser(row) }, error: null };
+    } catch (error) {
+      return { data: { user: null }, error: authError('Invalid or expired token', 401) };
+    }
+  }
+
+  // Tokens are stateless; they lapse when they expire
+  async signOut() {
+    return { error: null };
+  }
+
+  async deleteUser(id) {
+    await this.executor.query('delete from auth.users where id = $1', [id]);
+    return { data: { user: null }, error: null };
+  }
+}
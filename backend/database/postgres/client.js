@@ -0,0 +1,44 @@
+import path from 'path';
+import { fileURLToPath } from 'url';
+import pg from 'pg';
+import { LocalAuth } from './auth.js';
+import { PostgresQueryBuilder } from './query-builder.js';
+import { SchemaCache } from './schema.js';
+import { LocalStorage } from './storage.js';
+
+const DEFAULT_STORAGE_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', '..', 'storage');
+
+// A client with the surface of a supabase-js client (from, auth, storage) on top of plain
+// Postgres. `executor` is anything with query(text, params) -> { rows }: a pg Pool by
+// default, or an in-process database in tests.
+export function createPostgresClient({
+  connectionString = process.env.DATABASE_URL,
+  poolSize = Number(process.env.DATABASE_POOL_SIZE) || 10,
+  executor = null,
+  storageDir = process.env.LOCAL_STORAGE_DIR || DEFAULT_STORAGE_DIR,
+  publicUrl = process.env.API_PUBLIC_URL || `http://localhost:${process.env.PORT || 5000}`
+} = {}) {
+  const db = executor || new pg.Pool({ connectionString, max: poolSize });
+
+  const client = {
+    executor: db,
+    schema: new SchemaCache(db),
+    auth: new LocalAuth(db),
+    storage: new LocalStorage({ root: storageDir, publicUrl }),
+    storageDir,
+
+    from(table) {
+      return new PostgresQueryBuilder(client, table);
+    },
+
+    query(text, params = []) {
+      return db.query(text, params);
+    },
+
+    async end() {
+      if (!executor) await db.end();
+    }
+  };
+
+  return client;
+}
@@ -0,0 +1,467 @@
+// A plain-Postgres implementation of the supabase-js query builder: the same chain
+// (from().select().eq()...single()) compiled to SQL instead of a PostgREST request, resolving
+// to the same { data, error, count, status } shape. Results are built with json_agg, so
+// numerics, timestamps and json come back exactly as PostgREST would return them.
+//
+// Covers what the API uses: select with embedded resources (alias:table!hint!inner(...)),
+// count, insert/update/upsert/delete with an optional returning select, the comparison,
+// is/in/like/contains filters, not(), or(), filters on embedded columns, order, limit,
+// range, single and maybeSingle.
+
+const OPERATORS = {
+  eq: '=',
+  neq: '<>',
+  gt: '>',
+  gte: '>=',
+  lt: '<',
+  lte: '<=',
+  like: 'like',
+  ilike: 'ilike'
+};
+
+export const quoteIdent = (name) => `"${String(name).replace(/"/g, '""')}"`;
+
+export class PostgresQueryBuilder {
+  constructor(client, table) {
+    this.client = client;
+    this.table = table;
+    this.action = 'select';
+    this.columns = '*';
+    this.returning = null;
+    this.values = null;
+    this.upsertOptions = null;
+    this.filters = [];
+    this.orders = [];
+    this.limitCount = null;
+    this.offsetCount = null;
+    this.countMode = null;
+    this.headOnly = false;
+    this.singleMode = null;
+  }
+
+  // ==================== ACTIONS ====================
+  select(columns = '*', { count = null, head = false } = {}) {
+    if (this.action === 'select') {
+      this.columns = columns;
+      this.countMode = count;
+      this.headOnly = head;
+    } else {
+      this.returning = columns;
+    }
+    return this;
+  }
+
+  insert(values) {
+    this.action = 'insert';
+    this.values = Array.isArray(values) ? values : [values];
+    return this;
+  }
+
+  upsert(values, { onConflict = null, ignoreDuplicates = false } = {}) {
+    this.action = 'upsert';
+    this.values = Array.isArray(values) ? values : [values];
+    this.upsertOptions = { onConflict, ignoreDuplicates };
+    return this;
+  }
+
+  update(values) {
+    this.action = 'update';
+    this.values = values;
+    return this;
+  }
+
+  delete() {
+    this.action = 'delete';
+    return this;
+  }
+
+  // ==================== FILTERS ====================
+  filter(column, operator, value) {
+    this.filters.push({ column, operator, value, negate: false });
+    return this;
+  }
+
+  not(column, operator, value) {
+    this.filters.push({ column, operator, value, negate: true });
+    return this;
+  }
+
+  or(expression) {
+    this.filters.push({ or: parseLogicTree(expression) });
+    return this;
+  }
+
+  match(query) {
+    Object.entries(query).forEach(([column, value]) => this.eq(column, value));
+    return this;
+  }
+
+  eq(column, value) { return this.filter(column, 'eq', value); }
+  neq(column, value) { return this.filter(column, 'neq', value); }
+  gt(column, value) { return this.filter(column, 'gt', value); }
+  gte(column, value) { return this.filter(column, 'gte', value); }
+  lt(column, value) { return this.filter(column, 'lt', value); }
+  lte(column, value) { return this.filter(column, 'lte', value); }
+  like(column, value) { return this.filter(column, 'like', value); }
+  ilike(column, value) { return this.filter(column, 'ilike', value); }
+  is(column, value) { return this.filter(column, 'is', value); }
+  in(column, values) { return this.filter(column, 'in', values); }
+  contains(column, value) { return this.filter(column, 'cs', value); }
+
+  // ==================== MODIFIERS ====================
+  order(column, { ascending = true, nullsFirst } = {}) {
+    this.orders.push({ column, ascending, nullsFirst: nullsFirst ?? !ascending });
+    return this;
+  }
+
+  limit(count) {
+    this.limitCount = count;
+    return this;
+  }
+
+  range(from, to) {
+    this.offsetCount = from;
+    this.limitCount = to - from + 1;
+    return this;
+  }
+
+  single() {
+    this.singleMode = 'single';
+    return this;
+  }
+
+  maybeSingle() {
+    this.singleMode = 'maybe';
+    return this;
+  }
+
+  then(onFulfilled, onRejected) {
+    return this.execute().then(onFulfilled, onRejected);
+  }
+
+  // ==================== EXECUTION ====================
+  async execute() {
+    try {
+      await this.client.schema.load();
+      const result = await this.run();
+      return this.shape(result);
+    } catch (error) {
+      return {
+        data: null,
+        error: {
+          message: error.message,
+          code: error.code || null,
+          details: error.detail || error.details || null,
+          hint: error.hint || null
+        },
+        count: null,
+        status: error.code === 'PGRST116' ? 406 : 400,
+        statusText: 'Bad Request'
+      };
+    }
+  }
+
+  async run() {
+    const params = [];
+    const root = { table: this.table, alias: 't0', tree: parseSelect(this.action === 'select' ? this.columns : (this.returning || '*')) };
+    this.attachEmbedFilters(root);
+
+    if (this.action === 'select') {
+      const where = this.buildWhere(root, params);
+      let count = null;
+
+      if (this.countMode) {
+        const { rows } = await this.client.executor.query(
+          `select count(*)::int as count from ${quoteIdent(this.table)} t0${where}`,
+          [...params]
+        );
+        count = rows[0].count;
+      }
+
+      if (this.headOnly) return { rows: null, count };
+
+      const sql = `select ${this.buildColumns(root, params)} from ${quoteIdent(this.table)} t0${where}${this.buildOrder()}${this.buildPaging()}`;
+      return { rows: await this.aggregate(sql, params), count };
+    }
+
+    const mutation = this.buildMutation(root, params);
+    if (this.returning === null) {
+      await this.client.executor.query(mutation, params);
+      return { rows: null, count: null };
+    }
+
+    const sql = `select ${this.buildColumns(root, params)} from _m t0`;
+    return { rows: await this.aggregate(sql, params, `with _m as (${mutation} returning *) `), count: null };
+  }
+
+  async aggregate(sql, params, cte = '') {
+    const { rows } = await this.client.executor.query(
+      `${cte}select coalesce(json_agg(_r), '[]'::json) as data from (${sql}) _r`,
+      params
+    );
+    const data = rows[0].data;
+    return typeof data === 'string' ? JSON.parse(data) : data;
+  }
+
+  shape({ rows, count }) {
+    const status = this.action === 'insert' || this.action === 'upsert' ? 201 : 200;
+
+    if (rows === null || !this.singleMode) {
+      return { data: rows, error: null, count, status, statusText: 'OK' };
+    }
+
+    if (rows.length === 1) return { data: rows[0], error: null, count, status, statusText: 'OK' };
+    if (rows.length === 0 && this.singleMode === 'maybe') return { data: null, error: null, count, status, statusText: 'OK' };
+
+    const error = new Error('JSON object requested, multiple (or no) rows returned');
+    error.code = 'PGRST116';
+    error.detail = `The result contains ${rows.length} rows`;
+    throw error;
+  }
+
+  // ==================== SQL ====================
+  // Filters on `embed.column` belong to that embedded resource
+  attachEmbedFilters(root) {
+    this.topFilters = [];
+    this.filters.forEach(filter => {
+      const dot = filter.column ? filter.column.indexOf('.') : -1;
+      if (dot === -1) {
+        this.topFilters.push(filter);
+        return;
+      }
+
+      const name = filter.column.slice(0, dot);
+      const embed = root.tree.find(item => item.children && (item.alias === name || item.name === name));
+      if (!embed) throw new Error(`'${name}' is not an embedded resource of '${this.table}'`);
+      embed.filters = embed.filters || [];
+      embed.filters.push({ ...filter, column: filter.column.slice(dot + 1) });
+    });
+  }
+
+  buildWhere(node, params) {
+    const conditions = this.topFilters.map(filter => this.buildFilter(node.table, node.alias, filter, params));
+
+    // !inner embeds drop parent rows that have no (matching) embedded row
+    node.tree.forEach((item, index) => {
+      if (item.children && item.inner) {
+        const embed = this.client.schema.resolveEmbed(node.table, item.name, item.hints);
+        const alias = `${node.alias}_${index}`;
+        const join = embedJoin(embed, node.alias, alias);
+        const filters = (item.filters || []).map(filter => this.buildFilter(embed.table, alias, filter, params));
+        conditions.push(`exists (select 1 from ${quoteIdent(embed.table)} ${alias} where ${[join, ...filters].join(' and ')})`);
+      }
+    });
+
+    return conditions.length ? ` where ${conditions.join(' and ')}` : '';
+  }
+
+  buildColumns(node, params) {
+    const parts = node.tree.map((item, index) => {
+      if (item.name === '*') return `${node.alias}.*`;
+
+      if (!item.children) {
+        const expression = `${node.alias}.${quoteIdent(item.name)}`;
+        return item.alias ? `${expression} as ${quoteIdent(item.alias)}` : expression;
+      }
+
+      const embed = this.client.schema.resolveEmbed(node.table, item.name, item.hints);
+      const alias = `${node.alias}_${index}`;
+      const conditions = [
+        embedJoin(embed, node.alias, alias),
+        ...(item.filters || []).map(filter => this.buildFilter(embed.table, alias, filter, params))
+      ].join(' and ');
+      const inner = `select ${this.buildColumns({ table: embed.table, alias, tree: item.children }, params)} from ${quoteIdent(embed.table)} ${alias} where ${conditions}`;
+      const key = quoteIdent(item.alias || item.name);
+
+      return embed.many
+        ? `coalesce((select json_agg(_e) from (${inner}) _e), '[]'::json) as ${key}`
+        : `(select row_to_json(_e) from (${inner} limit 1) _e) as ${key}`;
+    });
+
+    return parts.join(', ');
+  }
+
+  buildFilter(table, alias, filter, params) {
+    if (filter.or) {
+      return `(${filter.or.map(branch => this.buildFilter(table, alias, branch, params)).join(' or ')})`;
+    }
+
+    const column = `${alias}.${quoteIdent(filter.column)}`;
+    const info = this.client.schema.column(table, filter.column);
+    const param = (value) => {
+      params.push(info?.isJson && value !== null && typeof value === 'object' ? JSON.stringify(value) : value);
+      return `$${params.length}`;
+    };
+    let condition;
+
+    switch (filter.operator) {
+      case 'is':
+        condition = `${column} is ${filter.value === null || filter.value === 'null' ? 'null' : String(filter.value) === 'true' ? 'true' : 'false'}`;
+        break;
+      case 'in': {
+        const values = Array.isArray(filter.value) ? filter.value : parseList(filter.value);
+        condition = values.length ? `${column} = any(${param(values)})` : 'false';
+        break;
+      }
+      case 'cs':
+        condition = info?.isJson ? `${column} @> ${param(filter.value)}::jsonb` : `${column} @> ${param(filter.value)}`;
+        break;
+      default: {
+        const operator = OPERATORS[filter.operator];
+        if (!operator) throw new Error(`Unsupported filter operator '${filter.operator}'`);
+        condition = `${column} ${operator} ${param(filter.value)}`;
+      }
+    }
+
+    return filter.negate ? `not (${condition})` : condition;
+  }
+
+  buildOrder() {
+    if (this.orders.length === 0) return '';
+    return ` order by ${this.orders.map(order =>
+      `t0.${quoteIdent(order.column)} ${order.ascending ? 'asc' : 'desc'} nulls ${order.nullsFirst ? 'first' : 'last'}`
+    ).join(', ')}`;
+  }
+
+  buildPaging() {
+    let sql = '';
+    if (this.limitCount !== null) sql += ` limit ${Number(this.limitCount)}`;
+    if (this.offsetCount) sql += ` offset ${Number(this.offsetCount)}`;
+    return sql;
+  }
+
+  buildMutation(root, params) {
+    const table = quoteIdent(this.table);
+    const value = (column, raw) => {
+      const info = this.client.schema.column(this.table, column);
+      params.push(info?.isJson && raw !== null && raw !== undefined ? JSON.stringify(raw) : raw);
+      return `$${params.length}`;
+    };
+
+    if (this.action === 'insert' || this.action === 'upsert') {
+      const columns = [...new Set(this.values.flatMap(row => Object.keys(row)))];
+      if (columns.length === 0) return `insert into ${table} as t0 default values`;
+
+      const rows = this.values.map(row =>
+        `(${columns.map(column => (column in row && row[column] !== undefined ? value(column, row[column]) : 'default')).join(', ')})`
+      );
+      let sql = `insert into ${table} as t0 (${columns.map(quoteIdent).join(', ')}) values ${rows.join(', ')}`;
+
+      if (this.action === 'upsert') {
+        const conflict = this.upsertOptions.onConflict
+          ? this.upsertOptions.onConflict.split(',').map(c => quoteIdent(c.trim())).join(', ')
+          : null;
+        const target = conflict ? ` (${conflict})` : '';
+        sql += this.upsertOptions.ignoreDuplicates
+          ? ` on conflict${target} do nothing`
+          : ` on conflict${target} do update set ${columns.map(c => `${quoteIdent(c)} = excluded.${quoteIdent(c)}`).join(', ')}`;
+      }
+
+      return sql;
+    }
+
+    const where = this.buildWhere(root, params);
+
+    if (this.action === 'update') {
+      const assignments = Object.entries(this.values)
+        .filter(([, raw]) => raw !== undefined)
+        .map(([column, raw]) => `${quoteIdent(column)} = ${value(column, raw)}`);
+      return `update ${table} as t0 set ${assignments.join(', ')}${where}`;
+    }
+
+    return `delete from ${table} as t0${where}`;
+  }
+}
+
+function embedJoin(embed, parentAlias, alias) {
+  return embed.childColumns
+    .map((column, i) => `${alias}.${quoteIdent(column)} = ${parentAlias}.${quoteIdent(embed.parentColumns[i])}`)
+    .join(' and ');
+}
+
+// ==================== PARSING ====================
+// Split on commas that are not inside parentheses or double-quoted values
+function splitTopLevel(text) {
+  const parts = [];
+  let depth = 0;
+  let current = '';
+  let inQuotes = false;
+  let escaped = false;
+
+  for (const char of text) {
+    if (inQuotes) {
+      current += char;
+      if (escaped) escaped = false;
+      else if (char === '\\') escaped = true;
+      else if (char === '"') inQuotes = false;
+      continue;
+    }
+    if (char === '"') inQuotes = true;
+    if (char === '(') depth++;
+    if (char === ')') depth--;
+    if (char === ',' && depth === 0) {
+      parts.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  if (current.trim()) parts.push(current);
+
+  return parts.map(part => part.trim()).filter(Boolean);
+}
+
+// 'id, name, alias:table!hint!inner(col, nested(*))' -> [{ name, alias, hints, inner, children }]
+export function parseSelect(columns) {
+  return splitTopLevel(String(columns).replace(/\s+/g, ' ')).map(item => {
+    const open = item.indexOf('(');
+    const head = (open === -1 ? item : item.slice(0, open)).trim();
+    const children = open === -1 ? null : parseSelect(item.slice(open + 1, item.lastIndexOf(')')));
+
+    const [aliasPart, restPart] = head.includes(':') && !head.includes('::') ? head.split(':') : [null, head];
+    const [name, ...modifiers] = restPart.trim().split('!').map(part => part.trim());
+
+    return {
+      name,
+      alias: aliasPart ? aliasPart.trim() : null,
+      hints: modifiers.filter(m => m !== 'inner' && m !== 'left'),
+      inner: modifiers.includes('inner'),
+      children
+    };
+  });
+}
+
+// '(a,b,"c d")' -> ['a', 'b', 'c d']
+function parseList(value) {
+  return String(value)
+    .replace(/^\(|\)$/g, '')
+    .split(',')
+    .map(part => part.trim().replace(/^"|"$/g, ''))
+    .filter(part => part !== '');
+}
+
+// A double-quoted value ('"a,b"', with \" and \\ escapes) is taken as written
+function unquote(value) {
+  return /^".*"$/s.test(value) ? value.slice(1, -1).replace(/\\(.)/g, '$1') : value;
+}
+
+// PostgREST logic syntax as used with or(): 'col.op.value,col.not.op.value,col.in.(a,b)'
+function parseLogicTree(expression) {
+  return splitTopLevel(expression).map(condition => {
+    const [column, ...rest] = condition.split('.');
+    let negate = false;
+    if (rest[0] === 'not') {
+      negate = true;
+      rest.shift();
+    }
+    const [operator, ...valueParts] = rest;
+    const value = unquote(valueParts.join('.'));
+
+    return {
+      column,
+      operator,
+      value: operator === 'in' ? parseList(value) : operator === 'like' || operator === 'ilike' ? value.replace(/\*/g, '%') : value,
+      negate
+    };
+  });
+}
@@ -0,0 +1,116 @@
+// Table, column and foreign key metadata for the public schema, read once from the catalog.
+// The query builder uses it to type parameters (json, arrays) and to resolve embedded
+// resources the way PostgREST does: by foreign key, optionally disambiguated by a hint.
+export class SchemaCache {
+  constructor(executor) {
+    this.executor = executor;
+    this.loading = null;
+    this.columns = new Map();      // table -> Map(column -> { type, isArray, isJson })
+    this.foreignKeys = [];         // { name, table, columns, refTable, refColumns }
+  }
+
+  async load() {
+    if (!this.loading) {
+      this.loading = this.read().catch(error => {
+        this.loading = null;
+        throw error;
+      });
+    }
+    return this.loading;
+  }
+
+  async read() {
+    const { rows: columns } = await this.executor.query(`
+      select table_name, column_name, data_type, udt_name
+      from information_schema.columns
+      where table_schema = 'public'
+    `);
+
+    columns.forEach(column => {
+      if (!this.columns.has(column.table_name)) this.columns.set(column.table_name, new Map());
+      this.columns.get(column.table_name).set(column.column_name, {
+        type: column.udt_name,
+        isArray: column.data_type === 'ARRAY',
+        isJson: column.udt_name === 'json' || column.udt_name === 'jsonb'
+      });
+    });
+
+    const { rows: foreignKeys } = await this.executor.query(`
+      select
+        con.conname as name,
+        cl.relname as table_name,
+        fcl.relname as ref_table,
+        (select array_agg(a.attname order by k.ord) from unnest(con.conkey) with ordinality k(attnum, ord)
+           join pg_attribute a on a.attrelid = con.conrelid and a.attnum = k.attnum) as columns,
+        (select array_agg(a.attname order by k.ord) from unnest(con.confkey) with ordinality k(attnum, ord)
+           join pg_attribute a on a.attrelid = con.confrelid and a.attnum = k.attnum) as ref_columns
+      from pg_constraint con
+      join pg_class cl on cl.oid = con.conrelid
+      join pg_namespace ns on ns.oid = cl.relnamespace
+      join pg_class fcl on fcl.oid = con.confrelid
+      join pg_namespace fns on fns.oid = fcl.relnamespace
+      where con.contype = 'f' and ns.nspname = 'public' and fns.nspname = 'public'
+    `);
+
+    this.foreignKeys = foreignKeys.map(fk => ({
+      name: fk.name,
+      table: fk.table_name,
+      columns: toArray(fk.columns),
+      refTable: fk.ref_table,
+      refColumns: toArray(fk.ref_columns)
+    }));
+  }
+
+  hasTable(table) {
+    return this.columns.has(table);
+  }
+
+  column(table, column) {
+    return this.columns.get(table)?.get(column) || null;
+  }
+
+  // How `name` (a table, or a foreign key column of `table`) embeds into `table`. Returns
+  // { table, many, parentColumns, childColumns }: rows of the embedded table whose
+  // childColumns equal the parent's parentColumns; `many` when it embeds as an array.
+  resolveEmbed(table, name, hints = []) {
+    const matchesHint = (fk, columns) =>
+      hints.every(hint => hint === fk.name || hint === fk.table || columns.includes(hint));
+
+    // `referrals:referral_id (...)` embeds through the named foreign key column
+    if (!this.hasTable(name)) {
+      const fk = this.foreignKeys.find(fk => fk.table === table && fk.columns.length === 1 && fk.columns[0] === name);
+      if (!fk) throw embedError(table, name);
+      return { table: fk.refTable, many: false, parentColumns: fk.columns, childColumns: fk.refColumns };
+    }
+
+    const candidates = [
+      ...this.foreignKeys
+        .filter(fk => fk.table === table && fk.refTable === name && matchesHint(fk, fk.columns))
+        .map(fk => ({ table: name, many: false, parentColumns: fk.columns, childColumns: fk.refColumns })),
+      ...this.foreignKeys
+        .filter(fk => fk.table === name && fk.refTable === table && matchesHint(fk, fk.columns))
+        .map(fk => ({ table: name, many: true, parentColumns: fk.refColumns, childColumns: fk.columns }))
+    ];
+
+    if (candidates.length === 0) throw embedError(table, name);
+    if (candidates.length > 1) {
+      const error = new Error(`Could not embed because more than one relationship was found for '${table}' and '${name}'`);
+      error.code = 'PGRST201';
+      throw error;
+    }
+
+    return candidates[0];
+  }
+}
+
+function toArray(value) {
+  if (Array.isArray(value)) return value;
+  // Drivers that leave name[] unparsed return the array literal
+  return String(value).replace(/^\{|\}$/g, '').split(',').filter(Boolean);
+}
+
+function embedError(table, name) {
+  const error = new Error(`Could not find a relationship between '${table}' and '${name}' in the schema cache`);
+  error.code = 'PGRST200';
+  return error;
+}
@@ -0,0 +1,38 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+// Stand-in for Supabase Storage: buckets are directories under LOCAL_STORAGE_DIR, served by
+// server.js at /storage when the postgres data backend is in use
+export class LocalStorage {
+  constructor({ root, publicUrl }) {
+    this.root = root;
+    this.publicUrl = publicUrl.replace(/\/$/, '');
+  }
+
+  from(bucket) {
+    const resolve = (filePath) => {
+      const target = path.resolve(this.root, bucket, filePath);
+      if (!target.startsWith(path.resolve(this.root, bucket) + path.sep)) {
+        throw new Error('Invalid storage path');
+      }
+      return target;
+    };
+
+    return {
+      upload: async (filePath, body, { upsert = false } = {}) => {
+        try {
+          const target = resolve(filePath);
+          await fs.mkdir(path.dirname(target), { recursive: true });
+          await fs.writeFile(target, body, { flag: upsert ? 'w' : 'wx' });
+          return { data: { path: filePath }, error: null };
+        } catch (error) {
+          return { data: null, error: { message: error.code === 'EEXIST' ? 'The resource already exists' : error.message } };
+        }
+      },
+
+      getPublicUrl: (filePath) => ({
+        data: { publicUrl: `${this.publicUrl}/storage/${bucket}/${filePath}` }
+      })
+    };
+  }
+}
@@ -0,0 +1,23 @@
+-- The schema is defined by the versioned migrations in database/migrations and applied with
+--   npm run setup:db
+-- which records what has run in schema_migrations. This file loads the same migrations in
+-- order for a one-off build with psql (psql "$DATABASE_URL" -f database/schema.sql) and is
+-- not tracked by the runner. Add new migrations here as well as in the directory.
+
+\set ON_ERROR_STOP on
+
+\ir migrations/0001_supabase_compat.sql
+\ir migrations/0002_core_tables.sql
+\ir migrations/0003_auth_and_security.sql
+\ir migrations/0004_commissions_and_payouts.sql
+\ir migrations/0005_audit_logs.sql
+\ir migrations/0006_row_level_security.sql
+\ir migrations/0007_seed_data.sql
+\ir migrations/0008_local_auth_passwords.sql
+\ir migrations/0009_referral_submissions.sql
+\ir migrations/0010_referral_clicks.sql
+\ir migrations/0011_registration_conflicts.sql
+\ir migrations/0012_referral_protection_windows.sql
+\ir migrations/0013_webhook_claims_and_payment_references.sql
+\ir migrations/0014_webhook_claim_expiry.sql
+\ir migrations/0015_one_lead_per_referral.sql
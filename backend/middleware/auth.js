@@ -1,4 +1,6 @@
-import { supabase } from '../config/supabase.js';
+import { supabase, supabaseAdmin } from '../config/supabase.js';
+import sessionService from '../services/session-service.js';
+import permissionService from '../services/permission-service.js';
 
 export const authenticateUser = async (req, res, next) => {
   try {
@@ -13,15 +15,22 @@ export const authenticateUser = async (req, res, next) => {
 
     const token = authHeader.split(' ')[1];
     
-    // Check if this is an internal user token (starts with 'internal_user_')
-    if (token.startsWith('internal_user_')) {
-      const internalUserId = token.replace('internal_user_', '');
-      
+    // Internal staff carry signed session tokens issued by POST /api/auth/login
+    if (sessionService.isInternalToken(token)) {
+      const verification = await sessionService.verifyAccessToken(token);
+
+      if (!verification.valid) {
+        return res.status(401).json({
+          success: false,
+          message: verification.message
+        });
+      }
+
       // Verify internal user exists and is active
-      const { data: internalUser, error } = await supabase
+      const { data: internalUser, error } = await supabaseAdmin
         .from('internal_users')
         .select('id, name, email, role, is_active')
-        .eq('id', internalUserId)
+        .eq('id', verification.payload.sub)
         .eq('is_active', true)
         .single();
 
@@ -35,6 +44,7 @@ export const authenticateUser = async (req, res, next) => {
       req.user = {
         id: internalUser.id,
         email: internalUser.email,
+        session_id: verification.session.id,
         user_metadata: { user_type: 'internal' }
       };
       return next();
@@ -87,7 +97,7 @@ export const authenticatePartner = async (req, res, next) => {
     }
 
     // Verify this is actually a partner
-    const { data: partner, error: partnerError } = await supabase
+    const { data: partner, error: partnerError } = await supabaseAdmin
       .from('partners')
       .select('id, company_name, email, is_active')
       .eq('id', user.id)
@@ -121,7 +131,7 @@ export const authenticateInternal = async (req, res, next) => {
       const user = req.user;
 
       // Check if user is internal team
-      const { data: internalUser, error } = await supabase
+      const { data: internalUser, error } = await supabaseAdmin
         .from('internal_users')
         .select('id, name, email, role, is_active')
         .eq('id', user.id)
@@ -151,4 +161,37 @@ export const authenticateInternal = async (req, res, next) => {
       message: 'Internal team authentication failed'
     });
   }
-};
\ No newline at end of file
+};
+
+// Permission middleware - use after authenticateInternal
+export const requirePermission = (...permissions) => async (req, res, next) => {
+  try {
+    const role = req.internalUser?.role;
+
+    if (!role) {
+      return res.status(403).json({
+        success: false,
+        message: 'Internal team access required'
+      });
+    }
+
+    for (const permission of permissions) {
+      if (!(await permissionService.hasPermission(role, permission))) {
+        console.warn(`🚫 ${req.internalUser.email} (${role}) lacks permission: ${permission}`);
+        return res.status(403).json({
+          success: false,
+          message: `Permission denied: ${permission} required`,
+          required_permission: permission
+        });
+      }
+    }
+
+    next();
+  } catch (error) {
+    console.error('Permission check error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Permission check failed'
+    });
+  }
+};
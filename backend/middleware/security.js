@@ -1,7 +1,8 @@
+import crypto from 'crypto';
 import helmet from 'helmet';
 import cors from 'cors';
 import rateLimit from 'express-rate-limit';
-import { supabase } from '../config/supabase.js';
+import { supabaseAdmin } from '../config/supabase.js';
 
 // Security headers configuration
 export const securityHeaders = helmet({
@@ -106,9 +107,8 @@ export const strictRateLimit = createRateLimit(
 // Request logging middleware
 export const requestLogger = (req, res, next) => {
   const start = Date.now();
-  const requestId = Math.random().toString(36).substr(2, 9);
-  
-  // Add request ID to request object
+  // app.js assigns the request id ahead of this
+  const requestId = req.id || crypto.randomUUID();
   req.id = requestId;
 
   // Log request details
@@ -217,7 +217,7 @@ export const requireApiKey = async (req, res, next) => {
 // Database logging function
 async function logRequestToDatabase(logData) {
   try {
-    const { error } = await supabase
+    const { error } = await supabaseAdmin
       .from('request_logs')
       .insert({
         request_id: logData.requestId,
@@ -1,9 +1,13 @@
 import Joi from 'joi';
+import passwordService from '../services/password-service.js';
+import permissionService from '../services/permission-service.js';
+import { RULE_SCOPES } from '../services/commission-service.js';
 
-// Existing validation functions
+// Existing validation functions. The domain must be a plain host name: it is matched against
+// other registrations (registration-conflict-service.js)
 const validateEmail = (email) => {
-  const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-  return emailRegex.test(email);
+  const emailRegex = /^[^\s@]+@[a-z0-9-]+(\.[a-z0-9-]+)*\.[a-z]{2,}$/i;
+  return typeof email === 'string' && emailRegex.test(email);
 };
 
 const validatePhone = (phone) => {
@@ -148,7 +152,32 @@ const validateSystemConfig = (req, res, next) => {
     commission_rate: Joi.number().min(0.01).max(0.5).optional(),
     referral_code_prefix: Joi.string().max(10).optional(),
     otp_expiry_minutes: Joi.number().integer().min(1).max(60).optional(),
-    payout_processing_hours: Joi.number().integer().min(1).max(168).optional()
+    otp_max_attempts: Joi.number().integer().min(1).max(20).optional(),
+    otp_resend_cooldown_seconds: Joi.number().integer().min(0).max(3600).optional(),
+    otp_max_per_email_per_hour: Joi.number().integer().min(1).max(100).optional(),
+    otp_max_per_ip_per_hour: Joi.number().integer().min(1).max(1000).optional(),
+    referral_form_min_seconds: Joi.number().integer().min(0).max(300).optional(),
+    referral_form_max_per_ip_per_hour: Joi.number().integer().min(1).max(1000).optional(),
+    referral_attribution_model: Joi.string().valid('first_touch', 'last_touch').optional(),
+    referral_attribution_window_days: Joi.number().integer().min(1).max(365).optional(),
+    registration_protection_days: Joi.number().integer().min(1).max(730).optional(),
+    referral_expiry_warning_days: Joi.number().integer().min(0).max(90).optional(),
+    referral_activity_extension_days: Joi.number().integer().min(1).max(365).optional(),
+    payout_processing_hours: Joi.number().integer().min(1).max(168).optional(),
+    minimum_payout_amount: Joi.number().min(0).optional(),
+    commission_accrual_policy: Joi.string().valid('on_full_payment', 'per_payment', 'clearance_hold').optional(),
+    commission_clearance_days: Joi.number().integer().min(0).max(365).optional(),
+    payout_originator_name: Joi.string().max(30).optional(),
+    wht_rate: Joi.number().min(0).max(0.5).optional(),
+    wht_rate_no_tin: Joi.number().min(0).max(0.5).optional(),
+    vat_rate: Joi.number().min(0).max(0.5).optional(),
+    company_name: Joi.string().max(200).optional(),
+    company_tin: Joi.string().max(30).allow('').optional(),
+    bank_change_hold_hours: Joi.number().integer().min(0).max(720).optional(),
+    bank_name_match_threshold: Joi.number().min(0.3).max(1).optional(),
+    password_min_length: Joi.number().integer().min(8).max(128).optional(),
+    password_history_count: Joi.number().integer().min(0).max(24).optional(),
+    password_max_age_days: Joi.number().integer().min(0).max(730).optional()
   });
 
   const { error, value } = schema.validate(req.body);
@@ -165,13 +194,60 @@ const validateSystemConfig = (req, res, next) => {
   next();
 };
 
+// Commission rule validation. POST creates a rule; PUT publishes a new version,
+// which cannot move the rule to a different scope, partner or industry.
+const validateCommissionRule = (req, res, next) => {
+  const fields = {
+    name: Joi.string().min(2).max(100),
+    base_rate: Joi.number().min(0).max(0.5),
+    tiers: Joi.array().items(Joi.object({
+      min_ytd_revenue: Joi.number().positive().required(),
+      rate: Joi.number().min(0).max(0.5).required()
+    })).unique('min_ytd_revenue').max(10),
+    flat_bonus: Joi.number().min(0),
+    cap_per_deal: Joi.number().positive().allow(null),
+    effective_from: Joi.date().iso().raw(),
+    effective_to: Joi.date().iso().raw().allow(null),
+    notes: Joi.string().max(500).allow('', null)
+  };
+
+  const schema = req.method === 'POST'
+    ? Joi.object({
+        ...fields,
+        name: fields.name.required(),
+        base_rate: fields.base_rate.required(),
+        scope: Joi.string().valid(...RULE_SCOPES).required(),
+        partner_id: Joi.string().uuid().when('scope', { is: 'partner', then: Joi.required(), otherwise: Joi.forbidden() }),
+        industry: Joi.string().max(100).when('scope', { is: 'industry', then: Joi.required(), otherwise: Joi.forbidden() }),
+        effective_to: fields.effective_to.when('effective_from', {
+          is: Joi.exist(),
+          then: Joi.date().iso().raw().min(Joi.ref('effective_from')).allow(null)
+        })
+      })
+    : Joi.object(fields).min(1);
+
+  const { error, value } = schema.validate(req.body);
+
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      errors: error.details.map(detail => detail.message)
+    });
+  }
+
+  req.body = value;
+  next();
+};
+
 // Internal user management validation
-const validateInternalUser = (req, res, next) => {
+const validateInternalUser = async (req, res, next) => {
   const baseSchema = {
     name: Joi.string().min(2).max(100).required(),
     email: Joi.string().email().required(),
-    role: Joi.string().valid('admin', 'team_member').default('team_member'),
-    is_active: Joi.boolean().default(true)
+    role: Joi.string().max(50).default('team_member'),
+    is_active: Joi.boolean().default(true),
+    password: Joi.string().max(128)
   };
 
   const schema = Joi.object(
@@ -180,10 +256,11 @@ const validateInternalUser = (req, res, next) => {
       : Object.keys(baseSchema).reduce((acc, key) => {
           acc[key] = baseSchema[key].optional();
           return acc;
-        }, {})
+        }, { force_password_reset: Joi.boolean().optional() })
   );
 
-  const { error, value } = schema.validate(req.body);
+  // Defaults are for new users: a PATCH changes only the fields it sends
+  const { error, value } = schema.validate(req.body, { noDefaults: req.method !== 'POST' });
 
   if (error) {
     return res.status(400).json({
@@ -193,6 +270,48 @@ const validateInternalUser = (req, res, next) => {
     });
   }
 
+  if (value.role && !(await permissionService.roleExists(value.role))) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      errors: [`"role" must be one of the roles defined under /api/admin/roles`]
+    });
+  }
+
+  // The admin role holds every permission whatever the matrix says, so only an admin hands it out
+  if (value.role === 'admin' && req.internalUser?.role !== 'admin') {
+    return res.status(403).json({
+      success: false,
+      message: 'Only an admin can assign the admin role'
+    });
+  }
+
+  // Password policy (length, complexity and reuse history)
+  if (value.password) {
+    try {
+      const policy = await passwordService.getPolicy();
+      const errors = passwordService.validateStrength(value.password, policy);
+
+      if (req.params.id && await passwordService.isReused(req.params.id, value.password, policy)) {
+        errors.push(`Password cannot match any of the last ${policy.history_count} passwords`);
+      }
+
+      if (errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Password does not meet the password policy',
+          errors
+        });
+      }
+    } catch (policyError) {
+      console.error('Password policy check error:', policyError);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to validate password policy'
+      });
+    }
+  }
+
   req.body = value;
   next();
 };
@@ -232,6 +351,7 @@ export {
   validateQueryParams,
   validatePartnerStatusUpdate,
   validateSystemConfig,
+  validateCommissionRule,
   validateInternalUser,
   validateNotification
 };
@@ -246,6 +366,7 @@ export default {
   validateQueryParams,
   validatePartnerStatusUpdate,
   validateSystemConfig,
+  validateCommissionRule,
   validateInternalUser,
   validateNotification
 };
\ No newline at end of file
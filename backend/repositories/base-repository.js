@@ -0,0 +1,69 @@
+// Shared plumbing for the repositories. Each repository owns one table and runs its queries
+// through `db`, a data client with the supabase-js query surface: the Supabase client, or the
+// plain-Postgres client from database/postgres (see config/supabase.js). Methods return rows
+// (or null when nothing matches) and throw on database errors.
+export class BaseRepository {
+  constructor(db, table) {
+    this.db = db;
+    this.table = table;
+  }
+
+  query(table = this.table) {
+    return this.db.from(table);
+  }
+
+  fail(action, error) {
+    console.error(`❌ Failed to ${action}:`, error);
+    throw new Error(`Failed to ${action}`);
+  }
+
+  async many(query, action) {
+    const { data, error } = await query;
+    if (error) this.fail(action, error);
+    return data || [];
+  }
+
+  // { rows, count } for queries selected with { count: 'exact' }
+  async page(query, action) {
+    const { data, error, count } = await query;
+    if (error) this.fail(action, error);
+    return { rows: data || [], count: count || 0 };
+  }
+
+  async one(query, action) {
+    const { data, error } = await query.maybeSingle();
+    // A malformed id (not a uuid) cannot match a row
+    if (error?.code === '22P02') return null;
+    if (error) this.fail(action, error);
+    return data || null;
+  }
+
+  findById(id, columns = '*') {
+    return this.one(
+      this.query().select(columns).eq('id', id),
+      `fetch ${this.table} ${id}`
+    );
+  }
+
+  create(values, columns = '*') {
+    return this.one(
+      this.query().insert(values).select(columns),
+      `create ${this.table}`
+    );
+  }
+
+  update(id, values, columns = '*') {
+    return this.one(
+      this.query().update(values).eq('id', id).select(columns),
+      `update ${this.table} ${id}`
+    );
+  }
+
+  // Updates the row only while it is still in `status`: null when it has moved since it was read
+  updateFrom(id, status, values, columns = '*') {
+    return this.one(
+      this.query().update(values).eq('id', id).eq('status', status).select(columns),
+      `update ${this.table} ${id}`
+    );
+  }
+}
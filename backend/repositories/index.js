@@ -0,0 +1,33 @@
+import { supabaseAdmin } from '../config/supabase.js';
+import { InternalUserRepository } from './internal-user-repository.js';
+import { LeadRepository } from './lead-repository.js';
+import { NotificationRepository } from './notification-repository.js';
+import { PartnerRepository } from './partner-repository.js';
+import { PaymentRepository } from './payment-repository.js';
+import { PayoutRepository } from './payout-repository.js';
+import { ReferralRepository } from './referral-repository.js';
+
+// Repositories over any data client: the hosted Supabase project or a plain Postgres
+// database (database/postgres/client.js)
+export function createRepositories(db) {
+  return {
+    internalUserRepository: new InternalUserRepository(db),
+    leadRepository: new LeadRepository(db),
+    notificationRepository: new NotificationRepository(db),
+    partnerRepository: new PartnerRepository(db),
+    paymentRepository: new PaymentRepository(db),
+    payoutRepository: new PayoutRepository(db),
+    referralRepository: new ReferralRepository(db)
+  };
+}
+
+// The repositories the API uses, over the backend selected by DATA_BACKEND
+export const {
+  internalUserRepository,
+  leadRepository,
+  notificationRepository,
+  partnerRepository,
+  paymentRepository,
+  payoutRepository,
+  referralRepository
+} = createRepositories(supabaseAdmin);
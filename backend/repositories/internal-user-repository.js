@@ -0,0 +1,7 @@
+import { BaseRepository } from './base-repository.js';
+
+export class InternalUserRepository extends BaseRepository {
+  constructor(db) {
+    super(db, 'internal_users');
+  }
+}
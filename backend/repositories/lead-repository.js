@@ -0,0 +1,105 @@
+import { BaseRepository } from './base-repository.js';
+
+const LIST_COLUMNS = `
+  *,
+  internal_users:assigned_to (name, email),
+  referrals:referral_id (referral_code, partners:partner_id(company_name))
+`;
+
+const DETAIL_COLUMNS = `
+  *,
+  internal_users:assigned_to (id, name, email, role),
+  referrals:referral_id (
+    id,
+    referral_code,
+    status,
+    protected_until,
+    partners:partner_id (
+      id,
+      company_name,
+      contact_name,
+      email,
+      phone
+    )
+  ),
+  activities:lead_activities (
+    id,
+    type,
+    notes,
+    created_at,
+    recorded_by,
+    internal_users:recorded_by (name)
+  ),
+  client_payments:client_payments!client_payments_lead_id_fkey (
+    id,
+    amount,
+    commission_calculated,
+    payment_date,
+    payment_method,
+    status,
+    created_at
+  )
+`;
+
+export class LeadRepository extends BaseRepository {
+  constructor(db) {
+    super(db, 'leads');
+  }
+
+  list({ offset = 0, limit = 20, status = null, source = null, assignedTo = null, search = null } = {}) {
+    let query = this.query()
+      .select(LIST_COLUMNS, { count: 'exact' })
+      .order('created_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    if (status) query = query.eq('status', status);
+    if (source) query = query.eq('source', source);
+    if (assignedTo) query = query.eq('assigned_to', assignedTo);
+    if (search) {
+      query = query.or(`company_name.ilike.%${search}%,contact_name.ilike.%${search}%,email.ilike.%${search}%`);
+    }
+
+    return this.page(query, 'fetch leads');
+  }
+
+  // New leads come back with their owner and referral, as listed. Null when the referral already
+  // has a lead (leads.referral_id is unique).
+  async create(values, columns = LIST_COLUMNS) {
+    const { data, error } = await this.query().insert(values).select(columns).maybeSingle();
+
+    if (error?.code === '23505' && values.referral_id) return null;
+    if (error) this.fail(`create ${this.table}`, error);
+    return data;
+  }
+
+  findAll(columns = '*') {
+    return this.many(this.query().select(columns), 'fetch leads');
+  }
+
+  // Lead with its owner, referral, activity timeline and payments
+  findDetail(id) {
+    return this.findById(id, DETAIL_COLUMNS);
+  }
+
+  // The lead working a referral (the latest, should there be more than one)
+  findByReferral(referralId, columns = '*') {
+    return this.one(
+      this.query().select(columns).eq('referral_id', referralId).order('created_at', { ascending: false }).limit(1),
+      `fetch lead for referral ${referralId}`
+    );
+  }
+
+  touch(id) {
+    const now = new Date().toISOString();
+    return this.update(id, { last_contact: now, updated_at: now });
+  }
+
+  logActivity(leadId, { type, notes, recordedBy }, columns = '*') {
+    return this.one(
+      this.query('lead_activities')
+        .insert({ lead_id: leadId, type, notes, recorded_by: recordedBy })
+        .select(columns),
+      `log activity for lead ${leadId}`
+    );
+  }
+}
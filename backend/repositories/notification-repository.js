@@ -0,0 +1,62 @@
+import { BaseRepository } from './base-repository.js';
+
+// notifications holds messages for internal users, broadcasts and the in-app inbox;
+// partner_notifications the messages shown on a partner's dashboard
+export class NotificationRepository extends BaseRepository {
+  constructor(db) {
+    super(db, 'notifications');
+  }
+
+  // Inbox for a user: their own notifications plus those sent to their user type or to everyone
+  listForUser(userId, userType, { offset = 0, limit = 20, unreadOnly = false, type = null } = {}) {
+    let query = this.query()
+      .select('*', { count: 'exact' })
+      .or(`user_id.eq.${userId},user_type.eq.${userType},user_type.eq.all`)
+      .order('created_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    if (unreadOnly) query = query.is('read_at', null);
+    if (type) query = query.eq('type', type);
+
+    return this.page(query, 'fetch notifications');
+  }
+
+  async countUnread(userId, userType) {
+    const rows = await this.many(
+      this.query()
+        .select('id')
+        .or(`user_id.eq.${userId},user_type.eq.${userType},user_type.eq.all`)
+        .is('read_at', null),
+      'count unread notifications'
+    );
+    return rows.length;
+  }
+
+  // A notification addressed to the user directly or broadcast to everyone
+  findForUser(id, userId) {
+    return this.one(
+      this.query().select('*').eq('id', id).or(`user_id.eq.${userId},user_type.eq.all`),
+      'fetch notification'
+    );
+  }
+
+  createMany(rows) {
+    return this.many(this.query().insert(rows).select(), 'create notifications');
+  }
+
+  markRead(id) {
+    return this.update(id, { read_at: new Date().toISOString() });
+  }
+
+  // Notifications are a side effect of the action that raised them: a failed write is logged
+  // and never fails that action
+  async notifyInternal(notification) {
+    const { error } = await this.query().insert({ user_type: 'internal', ...notification });
+    if (error) console.error('❌ Internal notification error:', error);
+  }
+
+  async notifyPartner(notification) {
+    const { error } = await this.query('partner_notifications').insert(notification);
+    if (error) console.error('❌ Partner notification error:', error);
+  }
+}
@@ -0,0 +1,14 @@
+import { BaseRepository } from './base-repository.js';
+
+export class PartnerRepository extends BaseRepository {
+  constructor(db) {
+    super(db, 'partners');
+  }
+
+  findActive(columns = 'id') {
+    return this.many(
+      this.query().select(columns).eq('is_active', true),
+      'fetch active partners'
+    );
+  }
+}
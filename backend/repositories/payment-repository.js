@@ -0,0 +1,74 @@
+import { BaseRepository } from './base-repository.js';
+
+export class PaymentRepository extends BaseRepository {
+  constructor(db) {
+    super(db, 'client_payments');
+  }
+
+  list({ offset = 0, limit = 20, referralId = null, dateFrom = null, dateTo = null } = {}) {
+    let query = this.query()
+      .select(`
+        *,
+        referrals!inner (
+          id,
+          prospect_company_name,
+          referral_code,
+          partners!inner (
+            company_name,
+            contact_name
+          )
+        )
+      `, { count: 'exact' })
+      .order('payment_date', { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    if (referralId) query = query.eq('referral_id', referralId);
+    if (dateFrom) query = query.gte('payment_date', dateFrom);
+    if (dateTo) query = query.lte('payment_date', dateTo);
+
+    return this.page(query, 'fetch payments');
+  }
+
+  findByLead(leadId) {
+    return this.many(
+      this.query()
+        .select(`
+          *,
+          referrals:referral_id (
+            prospect_company_name,
+            referral_code,
+            partners:partner_id (company_name)
+          ),
+          internal_users:recorded_by (name, email)
+        `)
+        .eq('lead_id', leadId)
+        .order('payment_date', { ascending: false }),
+      `fetch payments for lead ${leadId}`
+    );
+  }
+
+  findByReferral(referralId) {
+    return this.many(
+      this.query()
+        .select(`
+          *,
+          leads:lead_id (company_name, status, contact_name),
+          internal_users:recorded_by (name, email)
+        `)
+        .eq('referral_id', referralId)
+        .order('payment_date', { ascending: false }),
+      `fetch payments for referral ${referralId}`
+    );
+  }
+
+  // Confirmed payments, oldest first
+  findConfirmed(columns = '*') {
+    return this.many(
+      this.query()
+        .select(columns)
+        .eq('status', 'confirmed')
+        .order('payment_date', { ascending: true }),
+      'fetch confirmed payments'
+    );
+  }
+}
@@ -0,0 +1,60 @@
+import { BaseRepository } from './base-repository.js';
+
+// Payout with the partner's bank details, the referral it was requested for and who processed it
+const DETAIL_COLUMNS = `
+  *,
+  partners (company_name, contact_name, email, bank_account_number, verified_account_name, bank_code),
+  referrals (prospect_company_name, referral_code, total_commission_earned),
+  internal_users:processed_by (name, email)
+`;
+
+export class PayoutRepository extends BaseRepository {
+  constructor(db) {
+    super(db, 'partner_payouts');
+  }
+
+  findDetail(id) {
+    return this.findById(id, DETAIL_COLUMNS);
+  }
+
+  // A partner's payouts, most recently requested first
+  findByPartner(partnerId, columns = '*') {
+    return this.many(
+      this.query()
+        .select(columns)
+        .eq('partner_id', partnerId)
+        .order('requested_at', { ascending: false }),
+      'fetch partner payouts'
+    );
+  }
+
+  findAll(columns = '*') {
+    return this.many(this.query().select(columns), 'fetch payouts');
+  }
+
+  listForPartner(partnerId, { offset = 0, limit = 10 } = {}) {
+    return this.page(
+      this.query()
+        .select(`
+          *,
+          referrals (prospect_company_name, referral_code),
+          internal_users:processed_by (name)
+        `, { count: 'exact' })
+        .eq('partner_id', partnerId)
+        .order('requested_at', { ascending: false })
+        .range(offset, offset + limit - 1),
+      'fetch partner payouts'
+    );
+  }
+
+  list({ offset = 0, limit = 20, status = null } = {}) {
+    let query = this.query()
+      .select(DETAIL_COLUMNS, { count: 'exact' })
+      .order('requested_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    if (status) query = query.eq('status', status);
+
+    return this.page(query, 'fetch payouts');
+  }
+}
@@ -0,0 +1,91 @@
+import { BaseRepository } from './base-repository.js';
+
+const DETAIL_COLUMNS = `
+  *,
+  leads (
+    id,
+    status,
+    erp_system,
+    implementation_timeline,
+    estimated_value,
+    last_contact,
+    assigned_to,
+    internal_users:assigned_to (name, email),
+    activities:lead_activities (
+      id,
+      type,
+      notes,
+      created_at,
+      recorded_by
+    )
+  ),
+  client_payments (
+    id,
+    amount,
+    commission_calculated,
+    payment_date,
+    status,
+    created_at
+  )
+`;
+
+export class ReferralRepository extends BaseRepository {
+  constructor(db) {
+    super(db, 'referrals');
+  }
+
+  // A partner's referrals, newest first; `since` limits them to those created from that date
+  findByPartner(partnerId, columns = '*', { since = null, limit = null } = {}) {
+    let query = this.query()
+      .select(columns)
+      .eq('partner_id', partnerId)
+      .order('created_at', { ascending: false });
+
+    if (since) query = query.gte('created_at', since);
+    if (limit) query = query.limit(limit);
+
+    return this.many(query, 'fetch partner referrals');
+  }
+
+  listForPartner(partnerId, { offset = 0, limit = 10, status = null, search = null } = {}) {
+    let query = this.query()
+      .select(`
+        *,
+        leads!referral_id (
+          id,
+          status,
+          created_at,
+          last_contact
+        )
+      `, { count: 'exact' })
+      .eq('partner_id', partnerId)
+      .order('created_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    if (status) query = query.eq('status', status);
+    if (search) {
+      query = query.or(`prospect_company_name.ilike.%${search}%,contact_name.ilike.%${search}%,email.ilike.%${search}%`);
+    }
+
+    return this.page(query, 'fetch referrals');
+  }
+
+  // Referral with its lead, activities and payments, only if it belongs to the partner
+  findDetailForPartner(id, partnerId) {
+    return this.one(
+      this.query().select(DETAIL_COLUMNS).eq('id', id).eq('partner_id', partnerId),
+      `fetch referral ${id}`
+    );
+  }
+
+  findByCode(code, columns = '*') {
+    return this.one(
+      this.query().select(columns).eq('referral_code', code.toUpperCase()),
+      `fetch referral ${code}`
+    );
+  }
+
+  updateStatus(id, status) {
+    return this.update(id, { status, updated_at: new Date().toISOString() });
+  }
+}
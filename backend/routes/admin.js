@@ -1,28 +1,24 @@
 import express from 'express';
-import { authenticateInternal } from '../middleware/auth.js';
+import { supabase, supabaseAdmin } from '../config/supabase.js';
+import { authenticateInternal, requirePermission } from '../middleware/auth.js';
 import { validateSystemConfig, validateInternalUser } from '../middleware/validation.js';
+import sessionService from '../services/session-service.js';
+import passwordService from '../services/password-service.js';
+import configService from '../services/config-service.js';
+import twoFactorService from '../services/two-factor-service.js';
+import permissionService, { PERMISSIONS, DEFAULT_ROLE_PERMISSIONS } from '../services/permission-service.js';
+import auditService from '../services/audit-service.js';
 
 const router = express.Router();
 
-// Require admin role for all routes
-const requireAdmin = (req, res, next) => {
-  if (req.internalUser.role !== 'admin') {
-    return res.status(403).json({
-      success: false,
-      message: 'Admin access required'
-    });
-  }
-  next();
-};
-
 // @route   GET /api/admin/config
 // @desc    System configuration
 // @access  Private (Admin)
-router.get('/config', authenticateInternal, requireAdmin, async (req, res) => {
+router.get('/config', authenticateInternal, requirePermission('system.config'), async (req, res) => {
   try {
     console.log('⚙️ Fetching system configuration');
 
-    const { data: config, error } = await supabase
+    const { data: config, error } = await supabaseAdmin
       .from('system_config')
       .select('*')
       .eq('is_active', true)
@@ -66,21 +62,21 @@ router.get('/config', authenticateInternal, requireAdmin, async (req, res) => {
 // @route   PATCH /api/admin/config
 // @desc    Update system settings
 // @access  Private (Admin)
-router.patch('/config', authenticateInternal, requireAdmin, validateSystemConfig, async (req, res) => {
+router.patch('/config', authenticateInternal, requirePermission('system.config'), validateSystemConfig, async (req, res) => {
   try {
-    const internalUserId = req.internalUser.id;
     const updates = req.body;
 
     console.log('⚙️ Updating system configuration:', Object.keys(updates));
 
     const updatePromises = Object.entries(updates).map(([key, value]) => 
-      supabase
+      supabaseAdmin
         .from('system_config')
-        .update({
+        .upsert({
+          config_key: key,
           config_value: value.toString(),
+          is_active: true,
           updated_at: new Date().toISOString()
-        })
-        .eq('config_key', key)
+        }, { onConflict: 'config_key' })
     );
 
     const results = await Promise.all(updatePromises);
@@ -94,16 +90,15 @@ router.patch('/config', authenticateInternal, requireAdmin, validateSystemConfig
       });
     }
 
+    configService.invalidate();
+
     // Audit log
-    await supabase
-      .from('audit_logs')
-      .insert({
-        user_id: internalUserId,
-        user_type: 'internal',
-        action: 'update',
-        resource_type: 'system_config',
-        notes: `System configuration updated: ${Object.keys(updates).join(', ')}`
-      });
+    await auditService.log(req, {
+      action: 'update',
+      resourceType: 'system_config',
+      newValues: updates,
+      notes: `System configuration updated: ${Object.keys(updates).join(', ')}`
+    });
 
     res.json({
       success: true,
@@ -124,9 +119,9 @@ router.patch('/config', authenticateInternal, requireAdmin, validateSystemConfig
 });
 
 // @route   GET /api/admin/audit-logs
-// @desc    Audit trail access
+// @desc    Audit trail access (?user_id, ?user_type, ?action, ?resource_type, ?resource_id, ?field, ?request_id, ?date_from, ?date_to)
 // @access  Private (Admin)
-router.get('/audit-logs', authenticateInternal, requireAdmin, async (req, res) => {
+router.get('/audit-logs', authenticateInternal, requirePermission('audit.read'), async (req, res) => {
   try {
     const { 
       page = 1, 
@@ -134,46 +129,39 @@ router.get('/audit-logs', authenticateInternal, requireAdmin, async (req, res) =
       user_id, 
       user_type, 
       action,
+      resource_type,
+      resource_id,
+      field,
+      request_id,
       date_from,
       date_to 
     } = req.query;
 
-    const offset = (page - 1) * limit;
-
-    console.log('📋 Fetching audit logs', { user_id, user_type, action });
-
-    let query = supabase
-      .from('audit_logs')
-      .select('*', { count: 'exact' })
-      .order('created_at', { ascending: false })
-      .range(offset, offset + limit - 1);
+    console.log('📋 Fetching audit logs', { user_id, user_type, action, resource_type, resource_id, field });
 
-    // Apply filters
-    if (user_id) query = query.eq('user_id', user_id);
-    if (user_type) query = query.eq('user_type', user_type);
-    if (action) query = query.eq('action', action);
-    if (date_from) query = query.gte('created_at', date_from);
-    if (date_to) query = query.lte('created_at', date_to);
-
-    const { data: logs, error, count } = await query;
-
-    if (error) {
-      console.error('❌ Audit logs error:', error);
-      return res.status(500).json({
-        success: false,
-        message: 'Failed to fetch audit logs'
-      });
-    }
+    const { logs, total } = await auditService.list({
+      page: parseInt(page),
+      limit: parseInt(limit),
+      userId: user_id,
+      userType: user_type,
+      action,
+      resourceType: resource_type,
+      resourceId: resource_id,
+      field,
+      requestId: request_id,
+      dateFrom: date_from,
+      dateTo: date_to
+    });
 
     res.json({
       success: true,
       data: {
-        logs: logs || [],
+        logs,
         pagination: {
           page: parseInt(page),
           limit: parseInt(limit),
-          total: count || 0,
-          pages: Math.ceil((count || 0) / limit)
+          total,
+          pages: Math.ceil(total / limit)
         }
       }
     });
@@ -187,16 +175,47 @@ router.get('/audit-logs', authenticateInternal, requireAdmin, async (req, res) =
   }
 });
 
+// @route   GET /api/admin/audit-logs/verify
+// @desc    Recompute the audit hash chain and report the first tampered entry (?from_sequence)
+// @access  Private (Admin)
+router.get('/audit-logs/verify', authenticateInternal, requirePermission('audit.read'), async (req, res) => {
+  try {
+    const fromSequence = req.query.from_sequence ? parseInt(req.query.from_sequence) : null;
+
+    console.log(`🔗 Verifying audit chain${fromSequence ? ` from sequence ${fromSequence}` : ''}`);
+
+    const result = await auditService.verifyChain({ fromSequence });
+
+    res.json({
+      success: true,
+      message: result.valid
+        ? `Audit chain intact (${result.checked} entries verified)`
+        : `Audit chain broken at sequence ${result.broken_at.sequence}`,
+      data: {
+        ...result,
+        write_failures: auditService.getWriteFailures()
+      }
+    });
+
+  } catch (error) {
+    console.error('💥 Audit chain verification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while verifying audit chain'
+    });
+  }
+});
+
 // @route   GET /api/admin/health
 // @desc    System health monitoring
 // @access  Private (Admin)
-router.get('/health', authenticateInternal, requireAdmin, async (req, res) => {
+router.get('/health', authenticateInternal, requirePermission('system.health'), async (req, res) => {
   try {
     console.log('❤️ Performing system health check');
 
     // Check database connectivity
     const dbCheckStart = Date.now();
-    const { data: dbData, error: dbError } = await supabase
+    const { data: dbData, error: dbError } = await supabaseAdmin
       .from('system_config')
       .select('config_key')
       .limit(1);
@@ -210,15 +229,15 @@ router.get('/health', authenticateInternal, requireAdmin, async (req, res) => {
       recentPayments,
       recentLogs
     ] = await Promise.all([
-      supabase
+      supabaseAdmin
         .from('referrals')
         .select('id')
         .gte('created_at', oneHourAgo.toISOString()),
-      supabase
+      supabaseAdmin
         .from('client_payments')
         .select('id')
         .gte('created_at', oneHourAgo.toISOString()),
-      supabase
+      supabaseAdmin
         .from('audit_logs')
         .select('id')
         .gte('created_at', oneHourAgo.toISOString())
@@ -233,7 +252,8 @@ router.get('/health', authenticateInternal, requireAdmin, async (req, res) => {
       activity: {
         referrals_last_hour: recentReferrals.data?.length || 0,
         payments_last_hour: recentPayments.data?.length || 0,
-        logs_last_hour: recentLogs.data?.length || 0
+        logs_last_hour: recentLogs.data?.length || 0,
+        audit_write_failures: auditService.getWriteFailures().count
       },
       system: {
         timestamp: new Date().toISOString(),
@@ -265,14 +285,14 @@ router.get('/health', authenticateInternal, requireAdmin, async (req, res) => {
 // @route   GET /api/admin/users
 // @desc    Internal user management
 // @access  Private (Admin)
-router.get('/users', authenticateInternal, requireAdmin, async (req, res) => {
+router.get('/users', authenticateInternal, requirePermission('users.manage'), async (req, res) => {
   try {
     const { page = 1, limit = 20, status = 'active' } = req.query;
     const offset = (page - 1) * limit;
 
     console.log('👥 Fetching internal users');
 
-    let query = supabase
+    let query = supabaseAdmin
       .from('internal_users')
       .select('*', { count: 'exact' })
       .order('created_at', { ascending: false })
@@ -297,7 +317,7 @@ router.get('/users', authenticateInternal, requireAdmin, async (req, res) => {
     res.json({
       success: true,
       data: {
-        users: users || [],
+        users: (users || []).map(stripPasswordFields),
         pagination: {
           page: parseInt(page),
           limit: parseInt(limit),
@@ -319,15 +339,14 @@ router.get('/users', authenticateInternal, requireAdmin, async (req, res) => {
 // @route   POST /api/admin/users
 // @desc    Create internal users
 // @access  Private (Admin)
-router.post('/users', authenticateInternal, requireAdmin, validateInternalUser, async (req, res) => {
+router.post('/users', authenticateInternal, requirePermission('users.manage'), validateInternalUser, async (req, res) => {
   try {
-    const internalUserId = req.internalUser.id;
-    const { name, email, role, is_active } = req.body;
+    const { name, email, role, is_active, password } = req.body;
 
     console.log('👥 Creating internal user:', email);
 
     // Check if user already exists
-    const { data: existingUser } = await supabase
+    const { data: existingUser } = await supabaseAdmin
       .from('internal_users')
       .select('id')
       .eq('email', email)
@@ -362,7 +381,7 @@ router.post('/users', authenticateInternal, requireAdmin, validateInternalUser,
     }
 
     // Create internal user record
-    const { data: user, error: userError } = await supabase
+    const { data: user, error: userError } = await supabaseAdmin
       .from('internal_users')
       .insert({
         id: authData.user.id,
@@ -384,22 +403,27 @@ router.post('/users', authenticateInternal, requireAdmin, validateInternalUser,
       });
     }
 
+    // Without an admin-chosen password the user gets a one-time temporary password
+    const temporaryPassword = password ? null : passwordService.generateTemporaryPassword();
+    await passwordService.setPassword(user.id, password || temporaryPassword, { mustReset: true });
+
+    const safeUser = stripPasswordFields(user);
+
     // Audit log
-    await supabase
-      .from('audit_logs')
-      .insert({
-        user_id: internalUserId,
-        user_type: 'internal',
-        action: 'create',
-        resource_type: 'internal_users',
-        resource_id: user.id,
-        new_values: user
-      });
+    await auditService.log(req, {
+      action: 'create',
+      resourceType: 'internal_users',
+      resourceId: user.id,
+      newValues: safeUser
+    });
 
     res.status(201).json({
       success: true,
       message: 'Internal user created successfully',
-      data: { user }
+      data: {
+        user: safeUser,
+        temporary_password: temporaryPassword
+      }
     });
 
   } catch (error) {
@@ -414,16 +438,15 @@ router.post('/users', authenticateInternal, requireAdmin, validateInternalUser,
 // @route   PATCH /api/admin/users/:id
 // @desc    Update internal users
 // @access  Private (Admin)
-router.patch('/users/:id', authenticateInternal, requireAdmin, validateInternalUser, async (req, res) => {
+router.patch('/users/:id', authenticateInternal, requirePermission('users.manage'), validateInternalUser, async (req, res) => {
   try {
     const userId = req.params.id;
-    const internalUserId = req.internalUser.id;
-    const updates = req.body;
+    const { password, force_password_reset, ...updates } = req.body;
 
     console.log('👥 Updating internal user:', userId);
 
     // Get current user for audit
-    const { data: currentUser, error: fetchError } = await supabase
+    const { data: currentUser, error: fetchError } = await supabaseAdmin
       .from('internal_users')
       .select('*')
       .eq('id', userId)
@@ -436,8 +459,29 @@ router.patch('/users/:id', authenticateInternal, requireAdmin, validateInternalU
       });
     }
 
+    // Nor can a user manager take over or demote an admin account
+    if (currentUser.role === 'admin' && req.internalUser.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Only an admin can change an admin account'
+      });
+    }
+
+    // An admin-set password is temporary: the user must choose their own at next login
+    if (password) {
+      await passwordService.setPassword(userId, password, { mustReset: true });
+    }
+
+    // Force reset: flag the account and sign the user out everywhere
+    if (force_password_reset) {
+      updates.must_reset_password = true;
+    }
+    if (password || force_password_reset) {
+      await sessionService.revokeAllSessions(userId, 'password_reset_forced');
+    }
+
     // Update user
-    const { data: user, error } = await supabase
+    const { data: user, error } = await supabaseAdmin
       .from('internal_users')
       .update({
         ...updates,
@@ -455,23 +499,25 @@ router.patch('/users/:id', authenticateInternal, requireAdmin, validateInternalU
       });
     }
 
+    // Deactivated staff lose every open session straight away
+    if (currentUser.is_active && user.is_active === false) {
+      await sessionService.revokeAllSessions(userId, 'user_deactivated');
+    }
+
     // Audit log
-    await supabase
-      .from('audit_logs')
-      .insert({
-        user_id: internalUserId,
-        user_type: 'internal',
-        action: 'update',
-        resource_type: 'internal_users',
-        resource_id: userId,
-        old_values: currentUser,
-        new_values: user
-      });
+    await auditService.log(req, {
+      action: 'update',
+      resourceType: 'internal_users',
+      resourceId: userId,
+      oldValues: stripPasswordFields(currentUser),
+      newValues: stripPasswordFields(user),
+      notes: force_password_reset ? 'Password reset forced by admin' : (password ? 'Password set by admin' : null)
+    });
 
     res.json({
       success: true,
-      message: 'User updated successfully',
-      data: { user }
+      message: force_password_reset ? 'Password reset forced successfully' : 'User updated successfully',
+      data: { user: stripPasswordFields(user) }
     });
 
   } catch (error) {
@@ -483,6 +529,393 @@ router.patch('/users/:id', authenticateInternal, requireAdmin, validateInternalU
   }
 });
 
+// @route   GET /api/admin/users/:id/sessions
+// @desc    Active sessions for an internal user
+// @access  Private (Admin)
+router.get('/users/:id/sessions', authenticateInternal, requirePermission('users.manage'), async (req, res) => {
+  try {
+    const userId = req.params.id;
+
+    console.log('🔑 Fetching active sessions for internal user:', userId);
+
+    const sessions = await sessionService.listActiveSessions(userId);
+
+    res.json({
+      success: true,
+      data: {
+        sessions,
+        total: sessions.length
+      }
+    });
+
+  } catch (error) {
+    console.error('💥 Sessions fetch error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while fetching sessions'
+    });
+  }
+});
+
+// @route   DELETE /api/admin/users/:id/sessions
+// @desc    Revoke all sessions for an internal user (or one, with ?session_id=)
+// @access  Private (Admin)
+router.delete('/users/:id/sessions', authenticateInternal, requirePermission('users.manage'), async (req, res) => {
+  try {
+    const userId = req.params.id;
+    const { session_id } = req.query;
+
+    console.log('🔒 Revoking sessions for internal user:', userId);
+
+    let revoked;
+    if (session_id) {
+      const sessions = await sessionService.listActiveSessions(userId);
+      if (!sessions.some(s => s.id === session_id)) {
+        return res.status(404).json({
+          success: false,
+          message: 'Session not found'
+        });
+      }
+      revoked = await sessionService.revokeSession(session_id, 'revoked_by_admin');
+    } else {
+      revoked = await sessionService.revokeAllSessions(userId, 'revoked_by_admin');
+    }
+
+    if (!revoked) {
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to revoke sessions'
+      });
+    }
+
+    // Audit log
+    await auditService.log(req, {
+      action: 'update',
+      resourceType: 'internal_sessions',
+      resourceId: session_id || userId,
+      notes: session_id ? `Session ${session_id} revoked` : `All sessions revoked for user ${userId}`
+    });
+
+    res.json({
+      success: true,
+      message: session_id ? 'Session revoked successfully' : 'All sessions revoked successfully'
+    });
+
+  } catch (error) {
+    console.error('💥 Session revoke error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while revoking sessions'
+    });
+  }
+});
+
+// @route   GET /api/admin/roles
+// @desc    Role to permission mapping and the permission catalogue
+// @access  Private (Admin)
+router.get('/roles', authenticateInternal, requirePermission('roles.manage'), async (req, res) => {
+  try {
+    console.log('🛡️ Fetching role permission matrix');
+
+    const roles = await permissionService.getRoleMatrix();
+
+    res.json({
+      success: true,
+      data: {
+        roles,
+        permissions: PERMISSIONS,
+        built_in_roles: Object.keys(DEFAULT_ROLE_PERMISSIONS)
+      }
+    });
+
+  } catch (error) {
+    console.error('💥 Roles fetch error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while fetching roles'
+    });
+  }
+});
+
+// @route   PUT /api/admin/roles/:role
+// @desc    Replace the permissions granted to a role (creates custom roles)
+// @access  Private (Admin)
+router.put('/roles/:role', authenticateInternal, requirePermission('roles.manage'), async (req, res) => {
+  try {
+    const { role } = req.params;
+    const { permissions } = req.body;
+
+    console.log(`🛡️ Updating permissions for role: ${role}`);
+
+    if (role === 'admin') {
+      return res.status(400).json({
+        success: false,
+        message: 'The admin role always holds every permission and cannot be changed'
+      });
+    }
+
+    if (!/^[a-z][a-z0-9_]{1,49}$/.test(role)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Role names must be lowercase letters, numbers or underscores'
+      });
+    }
+
+    if (!Array.isArray(permissions) || permissions.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'permissions must be a non-empty array'
+      });
+    }
+
+    const unknown = permissions.filter(permission => !PERMISSIONS[permission]);
+    if (unknown.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown permissions: ${unknown.join(', ')}`
+      });
+    }
+
+    const previous = await permissionService.getPermissionsForRole(role);
+    const uniquePermissions = [...new Set(permissions)];
+
+    await permissionService.setRolePermissions(role, uniquePermissions);
+
+    // Audit log
+    await auditService.log(req, {
+      action: 'update',
+      resourceType: 'role_permissions',
+      resourceId: role,
+      oldValues: { permissions: previous },
+      newValues: { permissions: uniquePermissions }
+    });
+
+    res.json({
+      success: true,
+      message: `Permissions for role ${role} updated successfully`,
+      data: {
+        role,
+        permissions: uniquePermissions
+      }
+    });
+
+  } catch (error) {
+    console.error('💥 Role update error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while updating role'
+    });
+  }
+});
+
+// @route   DELETE /api/admin/roles/:role
+// @desc    Reset a built-in role to its defaults, or remove a custom role
+// @access  Private (Admin)
+router.delete('/roles/:role', authenticateInternal, requirePermission('roles.manage'), async (req, res) => {
+  try {
+    const { role } = req.params;
+
+    console.log(`🛡️ Resetting role: ${role}`);
+
+    if (role === 'admin') {
+      return res.status(400).json({
+        success: false,
+        message: 'The admin role cannot be changed'
+      });
+    }
+
+    if (!DEFAULT_ROLE_PERMISSIONS[role]) {
+      // Custom roles can only be removed once nobody holds them
+      const { data: holders } = await supabaseAdmin
+        .from('internal_users')
+        .select('id')
+        .eq('role', role)
+        .limit(1);
+
+      if (holders && holders.length > 0) {
+        return res.status(409).json({
+          success: false,
+          message: 'Role is still assigned to internal users'
+        });
+      }
+    }
+
+    const previous = await permissionService.getPermissionsForRole(role);
+    await permissionService.resetRole(role);
+
+    // Audit log
+    await auditService.log(req, {
+      action: 'delete',
+      resourceType: 'role_permissions',
+      resourceId: role,
+      oldValues: { permissions: previous }
+    });
+
+    res.json({
+      success: true,
+      message: DEFAULT_ROLE_PERMISSIONS[role]
+        ? `Role ${role} reset to default permissions`
+        : `Role ${role} removed`
+    });
+
+  } catch (error) {
+    console.error('💥 Role reset error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while resetting role'
+    });
+  }
+});
+
+// @route   GET /api/admin/two-factor-policy
+// @desc    Roles that must use two-factor authentication
+// @access  Private (Admin)
+router.get('/two-factor-policy', authenticateInternal, requirePermission('roles.manage'), async (req, res) => {
+  try {
+    const requiredRoles = await configService.getJSON('two_factor_required_roles', []);
+
+    res.json({
+      success: true,
+      data: {
+        required_roles: requiredRoles
+      }
+    });
+
+  } catch (error) {
+    console.error('💥 2FA policy fetch error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while fetching two-factor policy'
+    });
+  }
+});
+
+// @route   PUT /api/admin/two-factor-policy
+// @desc    Set the roles that must use two-factor authentication
+// @access  Private (Admin)
+router.put('/two-factor-policy', authenticateInternal, requirePermission('roles.manage'), async (req, res) => {
+  try {
+    const { required_roles: requiredRoles } = req.body;
+
+    if (!Array.isArray(requiredRoles)) {
+      return res.status(400).json({
+        success: false,
+        message: 'required_roles must be an array of role names'
+      });
+    }
+
+    for (const role of requiredRoles) {
+      if (!(await permissionService.roleExists(role))) {
+        return res.status(400).json({
+          success: false,
+          message: `Unknown role: ${role}`
+        });
+      }
+    }
+
+    const previous = await configService.getJSON('two_factor_required_roles', []);
+    const uniqueRoles = [...new Set(requiredRoles)];
+
+    const { error } = await supabaseAdmin
+      .from('system_config')
+      .upsert({
+        config_key: 'two_factor_required_roles',
+        config_value: JSON.stringify(uniqueRoles),
+        is_active: true,
+        updated_at: new Date().toISOString()
+      }, { onConflict: 'config_key' });
+
+    if (error) {
+      console.error('❌ 2FA policy update error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to update two-factor policy'
+      });
+    }
+
+    configService.invalidate();
+
+    console.log('🔐 2FA now required for roles:', uniqueRoles);
+
+    // Audit log
+    await auditService.log(req, {
+      action: 'update',
+      resourceType: 'system_config',
+      resourceId: 'two_factor_required_roles',
+      oldValues: { required_roles: previous },
+      newValues: { required_roles: uniqueRoles }
+    });
+
+    res.json({
+      success: true,
+      message: 'Two-factor policy updated successfully',
+      data: {
+        required_roles: uniqueRoles
+      }
+    });
+
+  } catch (error) {
+    console.error('💥 2FA policy update error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while updating two-factor policy'
+    });
+  }
+});
+
+// @route   DELETE /api/admin/users/:id/two-factor
+// @desc    Remove a user's 2FA enrollment (lost device); they re-enroll on next login if required
+// @access  Private (Admin)
+router.delete('/users/:id/two-factor', authenticateInternal, requirePermission('users.manage'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const enrollment = await twoFactorService.getEnrollment(id);
+
+    if (!enrollment) {
+      return res.status(404).json({
+        success: false,
+        message: 'User has not enrolled in two-factor authentication'
+      });
+    }
+
+    await twoFactorService.disable(id);
+
+    if (enrollment.user_type === 'internal') {
+      await sessionService.revokeAllSessions(id, 'two_factor_reset');
+    }
+
+    console.log(`🔓 2FA reset by admin for user: ${id}`);
+
+    // Audit log
+    await auditService.log(req, {
+      action: 'delete',
+      resourceType: 'user_two_factor',
+      resourceId: id,
+      notes: 'Two-factor enrollment reset by admin'
+    });
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication reset successfully'
+    });
+
+  } catch (error) {
+    console.error('💥 2FA reset error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while resetting two-factor authentication'
+    });
+  }
+});
+
+// Never return or audit password material
+function stripPasswordFields(user) {
+  if (!user) return user;
+  const { password, password_hash, ...safeUser } = user;
+  return safeUser;
+}
+
 // Helper function to generate temporary password
 function generateTemporaryPassword() {
   return 'Temp123!' + Math.random().toString(36).slice(-8);
@@ -1,14 +1,156 @@
 import express from 'express';
-import { supabase } from '../config/supabase.js';
+import { supabase, supabaseAdmin } from '../config/supabase.js';
 import emailService from '../services/email-service.js';
-import { authenticateUser} from '../middleware/auth.js';
-import bcrypt from 'bcryptjs';
+import { authenticateUser, authenticateInternal } from '../middleware/auth.js';
+import sessionService from '../services/session-service.js';
+import passwordService from '../services/password-service.js';
+import permissionService from '../services/permission-service.js';
+import twoFactorService from '../services/two-factor-service.js';
+import otpService from '../services/otp-service.js';
+import bankAccountService from '../services/bank-account-service.js';
+import auditService from '../services/audit-service.js';
 
 const router = express.Router();
 
-// Generate OTP
-function generateOTP() {
-  return Math.floor(100000 + Math.random() * 900000).toString();
+// OTP requests must name a partner together with the email registered on it
+async function findPartnerForOtp(partnerId, email) {
+  const { data: partner } = await supabaseAdmin
+    .from('partners')
+    .select('id, email')
+    .eq('id', partnerId)
+    .single();
+
+  if (!partner || partner.email.toLowerCase() !== email.toLowerCase().trim()) {
+    return null;
+  }
+
+  return partner;
+}
+
+// Issue an internal session and send the standard login response
+async function completeInternalLogin(req, res, internalUser, extraData = {}) {
+  const { password: _password, password_hash, ...safeUserData } = internalUser;
+
+  const session = await sessionService.createSession(internalUser, {
+    ipAddress: req.ip,
+    userAgent: req.get('User-Agent')
+  });
+
+  return res.json({
+    success: true,
+    message: 'Login successful',
+    data: {
+      user: {
+        ...safeUserData,
+        permissions: await permissionService.getPermissionsForRole(internalUser.role)
+      },
+      userType: 'internal',
+      session,
+      ...extraData
+    }
+  });
+}
+
+function completePartnerLogin(res, partner, session) {
+  const { password_hash: partnerPasswordHash, ...safePartnerData } = partner;
+
+  return res.json({
+    success: true,
+    message: 'Login successful',
+    data: {
+      user: safePartnerData,
+      userType: 'partner',
+      session
+    }
+  });
+}
+
+function twoFactorChallengeResponse(challengeToken) {
+  return {
+    success: true,
+    message: 'Two-factor authentication required',
+    data: {
+      requires_2fa: true,
+      challenge_token: challengeToken,
+      methods: ['totp', 'recovery_code', 'email']
+    }
+  };
+}
+
+// Load the account behind a completed challenge and issue its session
+async function finishChallengeLogin(req, res, challenge, extraData = {}) {
+  if (challenge.user_type === 'internal') {
+    const { data: internalUser } = await supabaseAdmin
+      .from('internal_users')
+      .select('*')
+      .eq('id', challenge.user_id)
+      .eq('is_active', true)
+      .single();
+
+    if (!internalUser) {
+      return res.status(403).json({
+        success: false,
+        message: 'Account is inactive'
+      });
+    }
+
+    return completeInternalLogin(req, res, internalUser, extraData);
+  }
+
+  const { data: partner } = await supabaseAdmin
+    .from('partners')
+    .select('*')
+    .eq('id', challenge.user_id)
+    .single();
+
+  if (!partner || !partner.is_active || !challenge.pending_session) {
+    return res.status(403).json({
+      success: false,
+      message: 'Partner account is not active'
+    });
+  }
+
+  return completePartnerLogin(res, partner, challenge.pending_session);
+}
+
+// Enrollment is driven either by a signed-in user or by the login challenge
+// issued when 2FA is mandated for a role the user has not enrolled yet
+async function resolveTwoFactorSubject(req, res, next) {
+  try {
+    if (req.body?.challengeToken) {
+      const challenge = await twoFactorService.getChallenge(req.body.challengeToken);
+
+      if (!challenge || challenge.purpose !== 'enrollment') {
+        return res.status(401).json({
+          success: false,
+          message: 'Invalid or expired challenge'
+        });
+      }
+
+      req.twoFactorSubject = {
+        userId: challenge.user_id,
+        userType: challenge.user_type,
+        email: challenge.email,
+        challenge
+      };
+      return next();
+    }
+
+    return authenticateUser(req, res, () => {
+      req.twoFactorSubject = {
+        userId: req.user.id,
+        userType: req.user.user_metadata?.user_type === 'internal' ? 'internal' : 'partner',
+        email: req.user.email
+      };
+      next();
+    });
+  } catch (error) {
+    console.error('💥 2FA subject resolution error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
 }
 
 // @route   POST /api/auth/register
@@ -26,8 +168,7 @@ router.post('/register', async (req, res) => {
       address,
       password,
       bankAccountNumber,
-      bankCode,
-      verifiedAccountName
+      bankCode
     } = req.body;
 
     console.log('📝 Registration attempt for:', companyName, email);
@@ -48,7 +189,7 @@ router.post('/register', async (req, res) => {
     }
 
     // Check if email already exists
-    const { data: existingPartner } = await supabase
+    const { data: existingPartner } = await supabaseAdmin
       .from('partners')
       .select('id')
       .eq('email', email)
@@ -97,15 +238,28 @@ router.post('/register', async (req, res) => {
       is_active: false
     };
 
-    // Add bank details if provided
-    if (bankAccountNumber && bankCode && verifiedAccountName) {
-      partnerData.bank_account_number = bankAccountNumber;
-      partnerData.bank_code = bankCode;
-      partnerData.verified_account_name = verifiedAccountName;
-      partnerData.bank_verified = true;
+    // Add bank details only when the account resolves to this company or contact;
+    // the client-supplied verifiedAccountName is never trusted
+    let bankResolution = null;
+    if (bankAccountNumber && bankCode) {
+      bankResolution = await bankAccountService.resolveForPartner(
+        { company_name: companyName, contact_name: contactName },
+        bankAccountNumber,
+        bankCode
+      );
+
+      if (bankResolution.success) {
+        partnerData.bank_account_number = bankAccountNumber;
+        partnerData.bank_code = bankCode;
+        partnerData.verified_account_name = bankResolution.accountName;
+        partnerData.bank_verified = true;
+        partnerData.bank_changed_at = new Date().toISOString();
+      } else {
+        console.log(`⚠️ Bank details not saved for ${email}: ${bankResolution.message}`);
+      }
     }
 
-    const { data: partner, error: partnerError } = await supabase
+    const { data: partner, error: partnerError } = await supabaseAdmin
       .from('partners')
       .insert(partnerData)
       .select()
@@ -127,18 +281,30 @@ router.post('/register', async (req, res) => {
       });
     }
 
-    // Generate and send OTP
-    const otpCode = generateOTP();
-    const expiresAt = new Date(Date.now() + 15 * 60 * 1000);
-
-    await supabase
-      .from('partner_otps')
-      .insert({
-        partner_id: partner.id,
-        email: email,
-        otp_code: otpCode,
-        expires_at: expiresAt.toISOString()
+    if (bankResolution?.success) {
+      await bankAccountService.recordChange({ id: partner.id }, {
+        accountNumber: bankAccountNumber,
+        bankCode,
+        accountName: bankResolution.accountName,
+        matchScore: bankResolution.match.score,
+        changedBy: partner.id,
+        changedByType: 'partner',
+        ipAddress: req.ip
       });
+    }
+
+    await auditService.log(req, {
+      userId: partner.id,
+      userType: 'partner',
+      action: 'create',
+      resourceType: 'partners',
+      resourceId: partner.id,
+      newValues: partner,
+      notes: 'Partner self-registration'
+    });
+
+    // Generate and send OTP (no throttle: this is the partner's first code)
+    const { code: otpCode } = await otpService.issue(partner, { ipAddress: req.ip, throttle: false });
 
     // Send OTP email
     await emailService.sendOTPEmail(email, otpCode);
@@ -149,7 +315,8 @@ router.post('/register', async (req, res) => {
       data: {
         partnerId: partner.id,
         email: partner.email,
-        hasBankDetails: !!(bankAccountNumber && bankCode && verifiedAccountName)
+        hasBankDetails: !!bankResolution?.success,
+        bankDetailsMessage: bankResolution && !bankResolution.success ? bankResolution.message : undefined
       }
     };
 
@@ -189,7 +356,7 @@ router.post('/login', async (req, res) => {
     const normalizedEmail = email.toLowerCase().trim();
 
     // 1. Check internal users first
-    const { data: internalUser, error: internalError } = await supabase
+    const { data: internalUser, error: internalError } = await supabaseAdmin
       .from('internal_users')
       .select('*')
       .eq('email', normalizedEmail)
@@ -203,41 +370,70 @@ router.post('/login', async (req, res) => {
         });
       }
 
-      // ✅ PLAIN PASSWORD COMPARISON FOR INTERNAL USERS
-      console.log('🔑 Comparing plain passwords...');
-      console.log('Input password:', password);
-      console.log('Stored password:', internalUser.password);
-      // console.log('Internal Token:', int_token);
-      
-      // Compare plain text passwords
-      if (password === internalUser.password) {
-        console.log(`✅ Internal login successful: ${email}`);
-        
-        // Remove sensitive data
-        const { password, password_hash, ...safeUserData } = internalUser;
-
-        const mockSession = {
-          access_token: 'internal_user_' + internalUser.id,
-          token_type: 'bearer',
-          expires_in: 604800,
-        };
-
-        return res.json({
-          success: true,
-          message: 'Login successful',
-          data: {
-            user: safeUserData,
-            userType: 'internal',
-            session: mockSession
-          }
-        });
-      } else {
+      const { valid, needsUpgrade } = await passwordService.verify(password, internalUser);
+
+      if (!valid) {
         console.log('❌ Invalid password for internal user');
         return res.status(401).json({
           success: false,
           message: 'Invalid credentials'
         });
       }
+
+      // Legacy plain-text rows are hashed on their first successful login
+      if (needsUpgrade) {
+        try {
+          await passwordService.setPassword(internalUser.id, password, {
+            mustReset: !!internalUser.must_reset_password
+          });
+          console.log(`🔐 Upgraded plain-text password to bcrypt for: ${email}`);
+        } catch (upgradeError) {
+          console.error('❌ Password upgrade failed:', upgradeError);
+        }
+      }
+
+      const policy = await passwordService.getPolicy();
+      if (passwordService.isExpired(internalUser, policy)) {
+        return res.status(403).json({
+          success: false,
+          message: internalUser.must_reset_password
+            ? 'Your password must be reset before you can sign in'
+            : `Your password is older than ${policy.max_age_days} days and must be changed`,
+          code: 'PASSWORD_RESET_REQUIRED'
+        });
+      }
+
+      // Second factor: enrolled users get a challenge instead of a session
+      if (await twoFactorService.isEnabled(internalUser.id)) {
+        const challengeToken = await twoFactorService.createChallenge({
+          userId: internalUser.id,
+          userType: 'internal',
+          email: internalUser.email
+        });
+
+        console.log(`🔐 2FA challenge issued for: ${email}`);
+        return res.json(twoFactorChallengeResponse(challengeToken));
+      }
+
+      if (await twoFactorService.isRequiredForRole(internalUser.role)) {
+        const challengeToken = await twoFactorService.createChallenge({
+          userId: internalUser.id,
+          userType: 'internal',
+          email: internalUser.email,
+          purpose: 'enrollment'
+        });
+
+        console.log(`🔐 2FA enrollment required for: ${email}`);
+        return res.status(403).json({
+          success: false,
+          message: 'Two-factor authentication is required for your role. Please enroll to continue.',
+          code: 'TWO_FACTOR_ENROLLMENT_REQUIRED',
+          data: { challenge_token: challengeToken }
+        });
+      }
+
+      console.log(`✅ Internal login successful: ${email}`);
+      return completeInternalLogin(req, res, internalUser);
     }
 
     // 2. Try Supabase Auth for partners
@@ -256,7 +452,7 @@ router.post('/login', async (req, res) => {
     // Partner login logic (unchanged)
     const user = authData.user;
     
-    const { data: partner, error: partnerError } = await supabase
+    const { data: partner, error: partnerError } = await supabaseAdmin
       .from('partners')
       .select('*')
       .eq('id', user.id)
@@ -276,17 +472,20 @@ router.post('/login', async (req, res) => {
       });
     }
 
-    const { password_hash: partnerPasswordHash, ...safePartnerData } = partner;
-
-    res.json({
-      success: true,
-      message: 'Login successful',
-      data: {
-        user: safePartnerData,
+    // Partners opt in to 2FA; the Supabase session is held back until the second step
+    if (await twoFactorService.isEnabled(partner.id)) {
+      const challengeToken = await twoFactorService.createChallenge({
+        userId: partner.id,
         userType: 'partner',
-        session: authData.session
-      }
-    });
+        email: partner.email,
+        pendingSession: authData.session
+      });
+
+      console.log(`🔐 2FA challenge issued for partner: ${email}`);
+      return res.json(twoFactorChallengeResponse(challengeToken));
+    }
+
+    completePartnerLogin(res, partner, authData.session);
 
   } catch (error) {
     console.error('💥 Login error:', error);
@@ -302,10 +501,23 @@ router.post('/login', async (req, res) => {
 // @access  Private
 router.post('/logout', authenticateUser, async (req, res) => {
   try {
-    const { error } = await supabase.auth.signOut();
-    
-    if (error) {
-      console.error('Logout error:', error);
+    if (req.user.session_id) {
+      // Internal session: revoke server-side so the access token stops working immediately
+      await sessionService.revokeSession(req.user.session_id, 'logout');
+      console.log(`👋 Internal session revoked: ${req.user.session_id}`);
+
+      await auditService.log(req, {
+        action: 'update',
+        resourceType: 'internal_sessions',
+        resourceId: req.user.session_id,
+        notes: 'Signed out'
+      });
+    } else {
+      const { error } = await supabase.auth.signOut();
+
+      if (error) {
+        console.error('Logout error:', error);
+      }
     }
 
     res.json({
@@ -321,6 +533,535 @@ router.post('/logout', authenticateUser, async (req, res) => {
   }
 });
 
+// @route   POST /api/auth/change-password
+// @desc    Internal user changes their password (also used when a reset is required)
+// @access  Public (credentials in body)
+router.post('/change-password', async (req, res) => {
+  try {
+    const { email, currentPassword, newPassword } = req.body;
+
+    if (!email || !currentPassword || !newPassword) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email, current password and new password are required'
+      });
+    }
+
+    const { data: internalUser } = await supabaseAdmin
+      .from('internal_users')
+      .select('*')
+      .eq('email', email.toLowerCase().trim())
+      .eq('is_active', true)
+      .single();
+
+    if (!internalUser) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid credentials'
+      });
+    }
+
+    const { valid } = await passwordService.verify(currentPassword, internalUser);
+    if (!valid) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid credentials'
+      });
+    }
+
+    const policy = await passwordService.getPolicy();
+    const errors = passwordService.validateStrength(newPassword, policy);
+
+    if (newPassword === currentPassword || await passwordService.isReused(internalUser.id, newPassword, policy)) {
+      errors.push(`Password cannot match any of your last ${policy.history_count} passwords`);
+    }
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password does not meet the password policy',
+        errors
+      });
+    }
+
+    await passwordService.setPassword(internalUser.id, newPassword);
+
+    // Every existing session was opened with the old password
+    await sessionService.revokeAllSessions(internalUser.id, 'password_changed');
+
+    console.log(`🔐 Password changed for internal user: ${internalUser.email}`);
+
+    await auditService.log(req, {
+      userId: internalUser.id,
+      userType: 'internal',
+      action: 'update',
+      resourceType: 'internal_users',
+      resourceId: internalUser.id,
+      notes: 'Password changed; all sessions revoked'
+    });
+
+    res.json({
+      success: true,
+      message: 'Password changed successfully. Please sign in with your new password.'
+    });
+
+  } catch (error) {
+    console.error('💥 Change password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while changing password'
+    });
+  }
+});
+
+// @route   POST /api/auth/refresh
+// @desc    Exchange an internal refresh token for a new access token (rotates the refresh token)
+// @access  Public
+router.post('/refresh', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({
+        success: false,
+        message: 'Refresh token is required'
+      });
+    }
+
+    const result = await sessionService.refreshSession(refreshToken, {
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+
+    if (!result.success) {
+      return res.status(401).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Session refreshed',
+      data: {
+        user: result.user,
+        userType: 'internal',
+        session: result.session
+      }
+    });
+
+  } catch (error) {
+    console.error('💥 Session refresh error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error during session refresh'
+    });
+  }
+});
+
+// @route   GET /api/auth/sessions
+// @desc    List the current internal user's active sessions
+// @access  Private (Internal)
+router.get('/sessions', authenticateInternal, async (req, res) => {
+  try {
+    const sessions = await sessionService.listActiveSessions(req.internalUser.id);
+
+    res.json({
+      success: true,
+      data: {
+        sessions: sessions.map(session => ({
+          ...session,
+          is_current: session.id === req.user.session_id
+        }))
+      }
+    });
+
+  } catch (error) {
+    console.error('💥 Session list error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while fetching sessions'
+    });
+  }
+});
+
+// @route   DELETE /api/auth/sessions/:id
+// @desc    Revoke one of the current internal user's sessions
+// @access  Private (Internal)
+router.delete('/sessions/:id', authenticateInternal, async (req, res) => {
+  try {
+    const sessions = await sessionService.listActiveSessions(req.internalUser.id);
+    const session = sessions.find(s => s.id === req.params.id);
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    await sessionService.revokeSession(session.id, 'revoked_by_user');
+
+    await auditService.log(req, {
+      action: 'update',
+      resourceType: 'internal_sessions',
+      resourceId: session.id,
+      notes: 'Session revoked by its user'
+    });
+
+    res.json({
+      success: true,
+      message: 'Session revoked successfully'
+    });
+
+  } catch (error) {
+    console.error('💥 Session revoke error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while revoking session'
+    });
+  }
+});
+
+// @route   GET /api/auth/2fa/status
+// @desc    Two-factor status for the current user
+// @access  Private
+router.get('/2fa/status', authenticateUser, async (req, res) => {
+  try {
+    const enrollment = await twoFactorService.getEnrollment(req.user.id);
+    const isInternal = req.user.user_metadata?.user_type === 'internal';
+
+    let required = false;
+    if (isInternal) {
+      const { data: internalUser } = await supabaseAdmin
+        .from('internal_users')
+        .select('role')
+        .eq('id', req.user.id)
+        .single();
+      required = await twoFactorService.isRequiredForRole(internalUser?.role);
+    }
+
+    res.json({
+      success: true,
+      data: {
+        enabled: !!enrollment?.enabled,
+        enrolled_at: enrollment?.enrolled_at || null,
+        required,
+        recovery_codes_remaining: enrollment?.enabled
+          ? await twoFactorService.countRecoveryCodes(req.user.id)
+          : 0
+      }
+    });
+
+  } catch (error) {
+    console.error('💥 2FA status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while fetching two-factor status'
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/enroll
+// @desc    Start TOTP enrollment (returns the secret and otpauth:// URI for the authenticator app)
+// @access  Private, or Public with an enrollment challengeToken
+router.post('/2fa/enroll', resolveTwoFactorSubject, async (req, res) => {
+  try {
+    const { userId, userType, email } = req.twoFactorSubject;
+
+    const enrollment = await twoFactorService.startEnrollment(userId, userType, email);
+
+    console.log(`🔐 2FA enrollment started for: ${email}`);
+
+    res.json({
+      success: true,
+      message: 'Scan the QR code with your authenticator app, then confirm with a code',
+      data: enrollment
+    });
+
+  } catch (error) {
+    console.error('💥 2FA enrollment error:', error);
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/enroll/verify
+// @desc    Confirm TOTP enrollment with a code; returns one-time recovery codes
+// @access  Private, or Public with an enrollment challengeToken (completes the login)
+router.post('/2fa/enroll/verify', resolveTwoFactorSubject, async (req, res) => {
+  try {
+    const { userId, email, challenge } = req.twoFactorSubject;
+    const { code } = req.body;
+
+    if (!code) {
+      return res.status(400).json({
+        success: false,
+        message: 'Authentication code is required'
+      });
+    }
+
+    // A code checked against a login challenge uses up one of its attempts
+    if (challenge && !(await twoFactorService.takeAttempt(challenge)).attempt) {
+      return res.status(401).json({
+        success: false,
+        message: 'Too many failed attempts. Please sign in again.'
+      });
+    }
+
+    const result = await twoFactorService.confirmEnrollment(userId, code);
+
+    if (!result.success) {
+      return res.status(400).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    console.log(`✅ 2FA enabled for: ${email}`);
+
+    await auditService.log(req, {
+      userId,
+      userType: req.twoFactorSubject.userType,
+      action: 'create',
+      resourceType: 'user_two_factor',
+      resourceId: userId,
+      notes: 'Two-factor authentication enabled'
+    });
+
+    if (challenge) {
+      if (!(await twoFactorService.consumeChallenge(challenge))) {
+        return res.status(401).json({
+          success: false,
+          message: 'Invalid or expired challenge. Please sign in again.'
+        });
+      }
+      return finishChallengeLogin(req, res, challenge, { recovery_codes: result.recoveryCodes });
+    }
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store your recovery codes somewhere safe.',
+      data: {
+        recovery_codes: result.recoveryCodes
+      }
+    });
+
+  } catch (error) {
+    console.error('💥 2FA enrollment verification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while enabling two-factor authentication'
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/verify
+// @desc    Second login step: exchange a challenge token plus TOTP, recovery or email code for a session
+// @access  Public
+router.post('/2fa/verify', async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode, emailCode } = req.body;
+
+    if (!challengeToken || !(code || recoveryCode || emailCode)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Challenge token and a code are required'
+      });
+    }
+
+    const challenge = await twoFactorService.getChallenge(challengeToken);
+
+    if (!challenge || challenge.purpose !== 'login') {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired challenge. Please sign in again.'
+      });
+    }
+
+    const { attempt, attemptsRemaining } = await twoFactorService.takeAttempt(challenge);
+
+    if (!attempt) {
+      return res.status(401).json({
+        success: false,
+        message: 'Too many failed attempts. Please sign in again.',
+        attempts_remaining: 0
+      });
+    }
+
+    let valid = false;
+    let method = null;
+
+    if (emailCode) {
+      valid = twoFactorService.verifyEmailCode(attempt, emailCode);
+      method = 'email';
+    } else {
+      ({ valid, method } = await twoFactorService.verifyFactor(challenge.user_id, { code, recoveryCode }));
+    }
+
+    if (!valid) {
+      console.log(`❌ 2FA verification failed for: ${challenge.email}`);
+
+      return res.status(401).json({
+        success: false,
+        message: attemptsRemaining > 0
+          ? 'Invalid authentication code'
+          : 'Too many failed attempts. Please sign in again.',
+        attempts_remaining: attemptsRemaining
+      });
+    }
+
+    if (!(await twoFactorService.consumeChallenge(challenge))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired challenge. Please sign in again.'
+      });
+    }
+
+    console.log(`✅ 2FA verified (${method}) for: ${challenge.email}`);
+
+    return finishChallengeLogin(req, res, challenge);
+
+  } catch (error) {
+    console.error('💥 2FA verification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error during two-factor verification'
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/email-code
+// @desc    Email a one-time code as a fallback second factor for a pending login
+// @access  Public
+router.post('/2fa/email-code', async (req, res) => {
+  try {
+    const challenge = await twoFactorService.getChallenge(req.body.challengeToken);
+
+    if (!challenge || challenge.purpose !== 'login') {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired challenge. Please sign in again.'
+      });
+    }
+
+    await twoFactorService.sendEmailCode(challenge);
+
+    console.log(`📧 2FA email code sent to: ${challenge.email}`);
+
+    res.json({
+      success: true,
+      message: 'A sign-in code has been sent to your email',
+      expiresIn: '10 minutes'
+    });
+
+  } catch (error) {
+    console.error('💥 2FA email code error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while sending code'
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/recovery-codes
+// @desc    Replace the current user's recovery codes (requires a current TOTP code)
+// @access  Private
+router.post('/2fa/recovery-codes', authenticateUser, async (req, res) => {
+  try {
+    const { valid } = await twoFactorService.verifyFactor(req.user.id, { code: req.body.code });
+
+    if (!valid) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+
+    const recoveryCodes = await twoFactorService.regenerateRecoveryCodes(req.user.id);
+
+    await auditService.log(req, {
+      action: 'update',
+      resourceType: 'two_factor_recovery_codes',
+      resourceId: req.user.id,
+      notes: 'Recovery codes regenerated'
+    });
+
+    res.json({
+      success: true,
+      message: 'New recovery codes generated. Previous codes no longer work.',
+      data: {
+        recovery_codes: recoveryCodes
+      }
+    });
+
+  } catch (error) {
+    console.error('💥 Recovery code generation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while generating recovery codes'
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/disable
+// @desc    Turn off 2FA for the current user (requires a TOTP or recovery code)
+// @access  Private
+router.post('/2fa/disable', authenticateUser, async (req, res) => {
+  try {
+    const { code, recoveryCode } = req.body;
+
+    if (req.user.user_metadata?.user_type === 'internal') {
+      const { data: internalUser } = await supabaseAdmin
+        .from('internal_users')
+        .select('role')
+        .eq('id', req.user.id)
+        .single();
+
+      if (await twoFactorService.isRequiredForRole(internalUser?.role)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Two-factor authentication is required for your role and cannot be disabled'
+        });
+      }
+    }
+
+    const { valid } = await twoFactorService.verifyFactor(req.user.id, { code, recoveryCode });
+
+    if (!valid) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+
+    await twoFactorService.disable(req.user.id);
+
+    console.log(`🔓 2FA disabled for: ${req.user.email}`);
+
+    await auditService.log(req, {
+      action: 'delete',
+      resourceType: 'user_two_factor',
+      resourceId: req.user.id,
+      notes: 'Two-factor authentication disabled by its user'
+    });
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+
+  } catch (error) {
+    console.error('💥 2FA disable error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while disabling two-factor authentication'
+    });
+  }
+});
+
 // @route   POST /api/auth/forgot-password
 // @desc    Send password reset email
 // @access  Public
@@ -338,14 +1079,14 @@ router.post('/forgot-password', async (req, res) => {
     console.log('📧 Password reset requested for:', email);
 
     // Check if user exists (partner or internal)
-    const { data: partner } = await supabase
+    const { data: partner } = await supabaseAdmin
       .from('partners')
       .select('id, email, contact_name')
       .eq('email', email)
       .eq('is_active', true)
       .single();
 
-    const { data: internalUser } = await supabase
+    const { data: internalUser } = await supabaseAdmin
       .from('internal_users')
       .select('id, email, name')
       .eq('email', email)
@@ -457,8 +1198,8 @@ router.get('/me', authenticateUser, async (req, res) => {
 
     // Determine user type and fetch profile
     const [partnerResult, internalResult] = await Promise.all([
-      supabase.from('partners').select('*').eq('id', user.id).single(),
-      supabase.from('internal_users').select('*').eq('id', user.id).single()
+      supabaseAdmin.from('partners').select('*').eq('id', user.id).single(),
+      supabaseAdmin.from('internal_users').select('*').eq('id', user.id).single()
     ]);
 
     if (partnerResult.data) {
@@ -475,7 +1216,11 @@ router.get('/me', authenticateUser, async (req, res) => {
     }
 
     // Remove sensitive data
-    const { password_hash, ...safeUserData } = userData;
+    const { password, password_hash, ...safeUserData } = userData;
+
+    if (userType === 'internal') {
+      safeUserData.permissions = await permissionService.getPermissionsForRole(userData.role);
+    }
 
     res.json({
       success: true,
@@ -508,41 +1253,48 @@ router.post('/send-otp', async (req, res) => {
       });
     }
 
-    const otpCode = generateOTP();
-    const expiresAt = new Date(Date.now() + 15 * 60 * 1000);
-
-    console.log(`📧 Generating OTP for ${email}: ${otpCode}`);
+    const partner = await findPartnerForOtp(partnerId, email);
 
-    // Store OTP
-    const { error: otpError } = await supabase
-      .from('partner_otps')
-      .insert({
-        partner_id: partnerId,
-        email: email,
-        otp_code: otpCode,
-        expires_at: expiresAt.toISOString()
+    if (!partner) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email does not match this partner account'
       });
+    }
 
-    if (otpError) {
-      console.error('OTP storage error:', otpError);
-      return res.status(500).json({
+    const result = await otpService.issue(partner, { ipAddress: req.ip });
+
+    if (!result.success) {
+      res.set('Retry-After', String(result.retryAfter));
+      return res.status(429).json({
         success: false,
-        message: 'Failed to generate OTP'
+        message: result.message,
+        retryAfter: result.retryAfter
       });
     }
 
+    console.log(`📧 OTP issued for ${partner.email}`);
+
     // Send email
-    const emailSent = await emailService.sendOTPEmail(email, otpCode);
+    const emailSent = await emailService.sendOTPEmail(partner.email, result.code);
 
     if (!emailSent) {
       console.warn('Email sending failed, but OTP was stored');
     }
 
-    res.json({
+    const responseData = {
       success: true,
       message: 'OTP sent successfully',
-      expiresIn: '15 minutes'
-    });
+      expiresIn: `${result.expiryMinutes} minutes`
+    };
+
+    // Include OTP in development
+    if (process.env.NODE_ENV === 'development') {
+      responseData.otpCode = result.code;
+      console.log(`🔑 DEV OTP for ${partner.email}: ${result.code}`);
+    }
+
+    res.json(responseData);
 
   } catch (error) {
     console.error('Send OTP error:', error);
@@ -567,37 +1319,32 @@ router.post('/verify-otp', async (req, res) => {
       });
     }
 
-    console.log(`🔍 Verifying OTP for ${email}: ${otpCode}`);
+    console.log(`🔍 Verifying OTP for ${email}`);
 
-    // Find valid OTP
-    const { data: otpRecord, error: otpError } = await supabase
-      .from('partner_otps')
-      .select('*')
-      .eq('partner_id', partnerId)
-      .eq('email', email)
-      .eq('otp_code', otpCode)
-      .eq('used', false)
-      .gt('expires_at', new Date().toISOString())
-      .single();
+    const partner = await findPartnerForOtp(partnerId, email);
 
-    if (otpError || !otpRecord) {
+    if (!partner) {
       return res.status(400).json({
         success: false,
         message: 'Invalid or expired OTP code'
       });
     }
 
-    // Mark OTP as used
-    await supabase
-      .from('partner_otps')
-      .update({ used: true })
-      .eq('id', otpRecord.id);
+    const result = await otpService.verify(partner, otpCode);
+
+    if (!result.valid) {
+      return res.status(result.locked ? 429 : 400).json({
+        success: false,
+        message: result.message,
+        attemptsRemaining: result.attemptsRemaining
+      });
+    }
 
     // Activate partner
-    const { error: updateError } = await supabase
+    const { error: updateError } = await supabaseAdmin
       .from('partners')
       .update({ is_active: true })
-      .eq('id', partnerId);
+      .eq('id', partner.id);
 
     if (updateError) {
       console.error('Activation error:', updateError);
@@ -607,7 +1354,7 @@ router.post('/verify-otp', async (req, res) => {
       });
     }
 
-    console.log('✅ Partner activated:', partnerId);
+    console.log('✅ Partner activated:', partner.id);
 
     res.json({
       success: true,
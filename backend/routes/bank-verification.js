@@ -1,6 +1,10 @@
 import express from 'express';
 import { supabaseAdmin } from '../config/supabase-admin.js';
+import { authenticatePartner, authenticateInternal, requirePermission } from '../middleware/auth.js';
 import paystackService from '../services/paystack-service.js';
+import bankAccountService from '../services/bank-account-service.js';
+import emailService from '../services/email-service.js';
+import auditService from '../services/audit-service.js';
 
 const router = express.Router();
 
@@ -91,47 +95,151 @@ router.post('/verify', async (req, res) => {
   }
 });
 
-router.post('/update-partner', async (req, res) => {
+// @route   POST /api/bank/update-partner
+// @desc    Partner sets or changes their payout bank account (resolved and name-matched server-side)
+// @access  Private (Partner)
+router.post('/update-partner', authenticatePartner, async (req, res) => {
   try {
-    const { partnerId, accountNumber, bankCode, verifiedAccountName } = req.body;
+    const partnerId = req.partner.id;
+    const { accountNumber, bankCode } = req.body;
 
-    if (!partnerId || !accountNumber || !bankCode || !verifiedAccountName) {
+    if (!accountNumber || !bankCode) {
       return res.status(400).json({
         success: false,
-        message: 'All fields are required to update partner bank details'
+        message: 'Account number and bank code are required'
+      });
+    }
+
+    if (!/^\d{10}$/.test(accountNumber)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Valid 10-digit account number is required'
       });
     }
 
     console.log(`🏦 Updating bank details for partner: ${partnerId}`);
 
-    // Update partner with ADMIN client
-    const { data: updatedPartner, error: updateError } = await supabaseAdmin
+    const { data: partner, error: partnerError } = await supabaseAdmin
       .from('partners')
-      .update({
-        bank_account_number: accountNumber,
-        bank_code: bankCode,
-        verified_account_name: verifiedAccountName,
-        bank_verified: true,
-        updated_at: new Date().toISOString()
-      })
+      .select('*')
       .eq('id', partnerId)
-      .select()
       .single();
 
-    if (updateError) {
-      console.error('❌ Partner update error:', updateError);
-      return res.status(500).json({
+    if (partnerError || !partner) {
+      return res.status(404).json({
         success: false,
-        message: 'Failed to update partner bank details: ' + updateError.message
+        message: 'Partner not found'
       });
     }
 
+    const resolution = await bankAccountService.resolveForPartner(partner, accountNumber, bankCode);
+
+    if (!resolution.success) {
+      return res.status(resolution.status).json({
+        success: false,
+        message: resolution.message,
+        data: resolution.accountName
+          ? { accountName: resolution.accountName, match: resolution.match }
+          : undefined
+      });
+    }
+
+    // Changes to an existing payout account need finance approval
+    if (partner.bank_account_number) {
+      const openRequest = await bankAccountService.getOpenChangeRequest(partnerId);
+      if (openRequest) {
+        return res.status(409).json({
+          success: false,
+          message: 'A bank details change is already awaiting review. Cancel it before requesting another.',
+          data: { change_request: openRequest }
+        });
+      }
+
+      // Registered contact and login identity; these differ if either was changed after onboarding
+      const contacts = [...new Set([partner.email, req.user.email].filter(Boolean).map(e => e.toLowerCase()))];
+
+      const changeRequest = await bankAccountService.createChangeRequest(partner, {
+        accountNumber,
+        bankCode,
+        accountName: resolution.accountName,
+        matchScore: resolution.match.score,
+        ipAddress: req.ip,
+        notifiedContacts: contacts
+      });
+
+      await notifyBankChange(partner, changeRequest, 'requested', contacts);
+
+      // Let finance know there is something in the queue
+      await supabaseAdmin
+        .from('notifications')
+        .insert({
+          user_type: 'internal',
+          type: 'bank_change_requested',
+          title: 'Bank Details Change Requested',
+          message: `${partner.company_name} requested a payout account change to ${bankAccountService.maskAccount(accountNumber, resolution.accountName)}`,
+          metadata: {
+            partner_id: partnerId,
+            change_request_id: changeRequest.id
+          }
+        });
+
+      // Audit log
+      await auditService.log(req, {
+        action: 'create',
+        resourceType: 'bank_change_requests',
+        resourceId: changeRequest.id,
+        newValues: changeRequest
+      });
+
+      console.log(`🏦 Bank change request created: ${changeRequest.id}`);
+
+      return res.status(202).json({
+        success: true,
+        message: 'Bank details change submitted for review. Payouts are paused until it is approved or rejected.',
+        data: {
+          change_request: changeRequest,
+          accountName: resolution.accountName,
+          match: resolution.match
+        }
+      });
+    }
+
+    // First payout account: applied straight away
+    const { partner: updatedPartner, holdUntil } = await bankAccountService.applyChange(partner, {
+      accountNumber,
+      bankCode,
+      accountName: resolution.accountName,
+      matchScore: resolution.match.score,
+      changedBy: partnerId,
+      changedByType: 'partner',
+      ipAddress: req.ip
+    });
+
+    // Audit log
+    await auditService.log(req, {
+      action: 'update',
+      resourceType: 'partner_bank_details',
+      resourceId: partnerId,
+      newValues: {
+        bank_account_number: accountNumber,
+        bank_code: bankCode,
+        verified_account_name: resolution.accountName
+      }
+    });
+
     console.log('✅ Partner bank details updated successfully');
 
+    const { password_hash, ...safePartnerData } = updatedPartner;
+
     res.json({
       success: true,
       message: 'Bank details updated successfully',
-      data: updatedPartner
+      data: {
+        partner: safePartnerData,
+        accountName: resolution.accountName,
+        match: resolution.match,
+        payout_hold_until: holdUntil
+      }
     });
 
   } catch (error) {
@@ -143,4 +251,208 @@ router.post('/update-partner', async (req, res) => {
   }
 });
 
+// @route   GET /api/bank/changes
+// @desc    Partner's bank detail change history and any pending change request
+// @access  Private (Partner)
+router.get('/changes', authenticatePartner, async (req, res) => {
+  try {
+    const changes = await bankAccountService.listChanges(req.partner.id);
+    const openRequest = await bankAccountService.getOpenChangeRequest(req.partner.id);
+    const hold = await bankAccountService.getPayoutHold(req.partner.id);
+
+    res.json({
+      success: true,
+      data: {
+        changes,
+        pending_change_request: openRequest,
+        payout_hold: hold
+      }
+    });
+
+  } catch (error) {
+    console.error('Bank change history error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while fetching bank change history'
+    });
+  }
+});
+
+// @route   DELETE /api/bank/change-requests/:id
+// @desc    Partner withdraws their pending bank details change
+// @access  Private (Partner)
+router.delete('/change-requests/:id', authenticatePartner, async (req, res) => {
+  try {
+    const cancelled = await bankAccountService.cancelChangeRequest(req.params.id, req.partner.id);
+
+    if (!cancelled) {
+      return res.status(404).json({
+        success: false,
+        message: 'No pending change request found'
+      });
+    }
+
+    // Audit log
+    await auditService.log(req, {
+      action: 'update',
+      resourceType: 'bank_change_requests',
+      resourceId: cancelled.id,
+      newValues: { status: 'cancelled' }
+    });
+
+    res.json({
+      success: true,
+      message: 'Bank details change request cancelled'
+    });
+
+  } catch (error) {
+    console.error('Bank change cancel error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while cancelling change request'
+    });
+  }
+});
+
+// @route   GET /api/bank/change-requests
+// @desc    Finance queue of bank details change requests
+// @access  Private (Internal)
+router.get('/change-requests', authenticateInternal, requirePermission('payouts.read'), async (req, res) => {
+  try {
+    const { status = 'pending', page = 1, limit = 20 } = req.query;
+
+    const { requests, total } = await bankAccountService.listChangeRequests({
+      status,
+      page: parseInt(page),
+      limit: parseInt(limit)
+    });
+
+    res.json({
+      success: true,
+      data: {
+        change_requests: requests,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('💥 Bank change queue error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while fetching change requests'
+    });
+  }
+});
+
+// @route   PATCH /api/bank/change-requests/:id/review
+// @desc    Approve or reject a bank details change request
+// @access  Private (Internal)
+router.patch('/change-requests/:id/review', authenticateInternal, requirePermission('bank_changes.review'), async (req, res) => {
+  try {
+    const { decision, notes } = req.body;
+    const internalUserId = req.internalUser.id;
+
+    if (!['approve', 'reject'].includes(decision)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Decision must be approve or reject'
+      });
+    }
+
+    if (decision === 'reject' && !notes) {
+      return res.status(400).json({
+        success: false,
+        message: 'A reason is required when rejecting a change request'
+      });
+    }
+
+    const result = await bankAccountService.reviewChangeRequest(req.params.id, {
+      approve: decision === 'approve',
+      reviewerId: internalUserId,
+      notes
+    });
+
+    if (!result.success) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    await notifyBankChange(
+      result.partner,
+      result.request,
+      decision === 'approve' ? 'approved' : 'rejected',
+      result.request.notified_contacts || [result.partner.email]
+    );
+
+    // Audit log
+    await auditService.log(req, {
+      action: 'update',
+      resourceType: 'bank_change_requests',
+      resourceId: result.request.id,
+      oldValues: { status: 'pending' },
+      newValues: { status: result.request.status, review_notes: notes || null },
+      notes: `Bank details change ${result.request.status}`
+    });
+
+    console.log(`🏦 Bank change request ${result.request.id} ${result.request.status}`);
+
+    res.json({
+      success: true,
+      message: `Bank details change ${result.request.status}`,
+      data: {
+        change_request: result.request,
+        payout_hold_until: result.holdUntil
+      }
+    });
+
+  } catch (error) {
+    console.error('💥 Bank change review error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while reviewing change request'
+    });
+  }
+});
+
+// Email every contact point on file and leave an in-app notice
+async function notifyBankChange(partner, request, stage, contacts) {
+  const oldAccount = bankAccountService.maskAccount(request.old_bank_account_number, request.old_account_name);
+  const newAccount = bankAccountService.maskAccount(request.new_bank_account_number, request.new_account_name);
+
+  await Promise.all(contacts.map(email =>
+    emailService.sendBankChangeEmail(email, {
+      stage,
+      companyName: partner.company_name,
+      oldAccount,
+      newAccount,
+      notes: stage === 'rejected' ? request.review_notes : null
+    })
+  ));
+
+  const titles = {
+    requested: 'Bank Details Change Requested',
+    approved: 'Bank Details Change Approved ✅',
+    rejected: 'Bank Details Change Rejected'
+  };
+
+  await supabaseAdmin
+    .from('partner_notifications')
+    .insert({
+      partner_id: partner.id,
+      title: titles[stage],
+      message: `Payout account change to ${newAccount}: ${stage}.`,
+      type: `bank_change_${stage}`,
+      metadata: {
+        change_request_id: request.id
+      }
+    });
+}
+
 export default router;
\ No newline at end of file
@@ -1,6 +1,15 @@
 import express from 'express';
-import { supabase } from '../config/supabase.js';
-import { authenticatePartner, authenticateInternal } from '../middleware/auth.js';
+import { supabaseAdmin } from '../config/supabase.js';
+import { authenticatePartner, authenticateInternal, requirePermission } from '../middleware/auth.js';
+import { validateCommissionRule } from '../middleware/validation.js';
+import bankAccountService from '../services/bank-account-service.js';
+import commissionService from '../services/commission-service.js';
+import commissionAdjustmentService from '../services/commission-adjustment-service.js';
+import payoutRequestService from '../services/payout-request-service.js';
+import ledgerService from '../services/ledger-service.js';
+import payoutTransferService from '../services/payout-transfer-service.js';
+import payoutRunService from '../services/payout-run-service.js';
+import auditService from '../services/audit-service.js';
 
 const router = express.Router();
 
@@ -14,7 +23,7 @@ router.get('/partner', authenticatePartner, async (req, res) => {
     console.log(`💰 Fetching commission summary for partner: ${partnerId}`);
 
     // Get all referrals with payments and commission data
-    const { data: referrals, error } = await supabase
+    const { data: referrals, error } = await supabaseAdmin
       .from('referrals')
       .select(`
         id,
@@ -45,20 +54,8 @@ router.get('/partner', authenticatePartner, async (req, res) => {
 
     const validReferrals = referrals || [];
 
-    // Calculate comprehensive commission breakdown
-    let totalCommissionEarned = 0;
-    let availableForPayout = 0;
-    let pendingCommission = 0;
-
     const commissionBreakdown = validReferrals.map(referral => {
       const commission = referral.total_commission_earned || 0;
-      totalCommissionEarned += commission;
-
-      if (referral.commission_eligible && commission > 0) {
-        availableForPayout += commission;
-      } else if (commission > 0) {
-        pendingCommission += commission;
-      }
 
       return {
         id: referral.id,
@@ -73,29 +70,31 @@ router.get('/partner', authenticatePartner, async (req, res) => {
     });
 
     // Get payout history
-    const { data: payouts } = await supabase
+    const { data: payouts } = await supabaseAdmin
       .from('partner_payouts')
       .select('*')
       .eq('partner_id', partnerId)
       .order('requested_at', { ascending: false });
 
-    const totalPaidOut = payouts
-      ?.filter(p => p.status === 'paid')
-      ?.reduce((sum, p) => sum + (p.amount || 0), 0) || 0;
+    const { rate: commissionRate } = await commissionService.getEffectiveRate({ partnerId });
+
+    // Totals come from the ledger; the per-referral breakdown is informational
+    const balance = await ledgerService.getBalance(partnerId);
 
     res.json({
       success: true,
       data: {
         summary: {
-          total_commission_earned: totalCommissionEarned,
-          available_for_payout: availableForPayout,
-          pending_commission: pendingCommission,
-          total_paid_out: totalPaidOut,
-          commission_rate: 0.05 // 5%
+          total_commission_earned: balance.total_earned,
+          available_for_payout: balance.available_for_payout,
+          pending_commission: balance.pending_commission,
+          total_paid_out: balance.total_paid_out,
+          clawback_outstanding: balance.clawback_outstanding,
+          commission_rate: commissionRate
         },
         breakdown: commissionBreakdown,
         payout_history: payouts || [],
-        can_request_payout: availableForPayout > 0
+        can_request_payout: balance.available_for_payout > 0
       }
     });
 
@@ -117,40 +116,22 @@ router.get('/eligible', authenticatePartner, async (req, res) => {
 
     console.log(`💰 Fetching eligible commissions for partner: ${partnerId}`);
 
-    // Get referrals that are eligible for payout (fully_paid with commission)
-    const { data: eligibleReferrals, error } = await supabase
-      .from('referrals')
-      .select(`
-        id,
-        prospect_company_name,
-        referral_code,
-        total_commission_earned,
-        created_at
-      `)
-      .eq('partner_id', partnerId)
-      .eq('status', 'fully_paid')
-      .eq('commission_eligible', true)
-      .gt('total_commission_earned', 0)
-      .order('created_at', { ascending: false });
-
-    if (error) {
-      console.error('❌ Eligible commissions error:', error);
-      return res.status(500).json({
-        success: false,
-        message: 'Failed to fetch eligible commissions'
-      });
-    }
-
-    const totalEligible = eligibleReferrals?.reduce((sum, r) => 
-      sum + (r.total_commission_earned || 0), 0
-    ) || 0;
+    // Commission accrued under the accrual policy and not yet in a payout
+    const availability = await payoutRequestService.getAvailability(partnerId);
 
     res.json({
       success: true,
       data: {
-        eligible_referrals: eligibleReferrals || [],
-        total_eligible_amount: totalEligible,
-        can_request_payout: totalEligible > 0
+        eligible_referrals: availability.referrals,
+        total_eligible_amount: availability.commission_available,
+        available_amount: availability.available_amount,
+        clawback_balance: availability.clawback_balance,
+        pending_commission: availability.pending_commission,
+        next_clearance_at: availability.next_clearance_at,
+        accrual_policy: availability.accrual_policy,
+        clearance_days: availability.clearance_days,
+        minimum_payout: availability.minimum_payout,
+        can_request_payout: availability.can_request
       }
     });
 
@@ -163,107 +144,386 @@ router.get('/eligible', authenticatePartner, async (req, res) => {
   }
 });
 
-// @route   POST /api/payouts/request
-// @desc    PARTNER: Request payout for eligible commission
+// @route   GET /api/commissions/partner/rate
+// @desc    PARTNER: Headline commission rate currently applied to the partner's deals
 // @access  Private (Partner)
-router.post('/payouts/request', authenticatePartner, async (req, res) => {
+router.get('/partner/rate', authenticatePartner, async (req, res) => {
+  try {
+    const { rate, rule } = await commissionService.getEffectiveRate({
+      partnerId: req.partner.id,
+      industry: req.query.industry || null
+    });
+
+    res.json({
+      success: true,
+      data: {
+        commission_rate: rate,
+        tiers: rule.tiers,
+        flat_bonus: rule.flat_bonus,
+        cap_per_deal: rule.cap_per_deal
+      }
+    });
+
+  } catch (error) {
+    console.error('💥 Commission rate error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while fetching commission rate'
+    });
+  }
+});
+
+// @route   GET /api/commissions/partner/adjustments
+// @desc    PARTNER: Commission adjustments and any clawback balance owed
+// @access  Private (Partner)
+router.get('/partner/adjustments', authenticatePartner, async (req, res) => {
   try {
     const partnerId = req.partner.id;
-    const { referral_id, amount, notes } = req.body;
+    const { page = 1, limit = 50 } = req.query;
 
-    console.log(`💰 Payout request from partner: ${partnerId} for referral: ${referral_id}`);
+    const [{ adjustments, total }, clawbacks, clawbackBalance] = await Promise.all([
+      commissionAdjustmentService.list({ partnerId, page: parseInt(page), limit: parseInt(limit) }),
+      commissionAdjustmentService.listClawbacks(partnerId),
+      commissionAdjustmentService.getClawbackBalance(partnerId)
+    ]);
 
-    // Validation
-    if (!referral_id || !amount || amount <= 0) {
+    res.json({
+      success: true,
+      data: {
+        // Staff names stay internal
+        adjustments: adjustments.map(({ internal_users, created_by, ...adjustment }) => adjustment),
+        clawbacks,
+        clawback_balance: clawbackBalance,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('💥 Partner commission adjustments error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while fetching commission adjustments'
+    });
+  }
+});
+
+// @route   GET /api/commissions/adjustments
+// @desc    INTERNAL: Commission adjustments, filterable by partner, referral or payment
+// @access  Private (Internal)
+router.get('/adjustments', authenticateInternal, requirePermission('payments.read'), async (req, res) => {
+  try {
+    const { partner_id, referral_id, payment_id, page = 1, limit = 50 } = req.query;
+
+    const { adjustments, total } = await commissionAdjustmentService.list({
+      partnerId: partner_id || null,
+      referralId: referral_id || null,
+      paymentId: payment_id || null,
+      page: parseInt(page),
+      limit: parseInt(limit)
+    });
+
+    res.json({
+      success: true,
+      data: {
+        adjustments,
+        clawback_balance: partner_id
+          ? await commissionAdjustmentService.getClawbackBalance(partner_id)
+          : undefined,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('💥 Commission adjustments error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while fetching commission adjustments'
+    });
+  }
+});
+
+// @route   POST /api/commissions/preview
+// @desc    INTERNAL: Commission a payment would earn, without recording it
+// @access  Private (Internal)
+router.post('/preview', authenticateInternal, requirePermission('payments.read'), async (req, res) => {
+  try {
+    const { lead_id, referral_id, partner_id, industry, amount, payment_date } = req.body;
+    const paymentAmount = parseFloat(amount);
+
+    if (!Number.isFinite(paymentAmount) || paymentAmount <= 0) {
       return res.status(400).json({
         success: false,
-        message: 'Valid referral ID and amount are required'
+        message: 'Amount must be greater than 0'
       });
     }
 
-    // Verify referral exists and is eligible
-    const { data: referral, error: refError } = await supabase
-      .from('referrals')
-      .select('*')
-      .eq('id', referral_id)
-      .eq('partner_id', partnerId)
-      .eq('status', 'fully_paid')
-      .eq('commission_eligible', true)
-      .single();
+    // A lead or referral pins the partner and industry; otherwise use what was given
+    let referralId = referral_id || null;
+    if (lead_id && !referralId) {
+      const { data: lead } = await supabaseAdmin
+        .from('leads')
+        .select('referral_id')
+        .eq('id', lead_id)
+        .single();
+      referralId = lead?.referral_id || null;
+    }
 
-    if (refError || !referral) {
-      return res.status(400).json({
+    const result = referralId
+      ? await commissionService.calculateForReferral(referralId, paymentAmount, payment_date)
+      : await commissionService.calculate({
+          partnerId: partner_id || null,
+          industry: industry || null,
+          amount: paymentAmount,
+          paymentDate: payment_date
+        });
+
+    res.json({
+      success: true,
+      data: result
+    });
+
+  } catch (error) {
+    console.error('💥 Commission preview error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while calculating commission'
+    });
+  }
+});
+
+// @route   GET /api/commissions/rules
+// @desc    INTERNAL: Commission rules (active only unless include_inactive=true)
+// @access  Private (Internal)
+router.get('/rules', authenticateInternal, requirePermission('payments.read'), async (req, res) => {
+  try {
+    const { include_inactive, scope, partner_id } = req.query;
+
+    const rules = await commissionService.listRules({
+      includeInactive: include_inactive === 'true',
+      scope: scope || null,
+      partnerId: partner_id || null
+    });
+
+    res.json({
+      success: true,
+      data: {
+        rules,
+        fallback_rate: (await commissionService.getFallbackRule()).base_rate
+      }
+    });
+
+  } catch (error) {
+    console.error('💥 Commission rules error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while fetching commission rules'
+    });
+  }
+});
+
+// @route   GET /api/commissions/rules/:id/versions
+// @desc    INTERNAL: Every version of a commission rule, newest first
+// @access  Private (Internal)
+router.get('/rules/:id/versions', authenticateInternal, requirePermission('payments.read'), async (req, res) => {
+  try {
+    const rule = await commissionService.getRule(req.params.id);
+
+    if (!rule) {
+      return res.status(404).json({
         success: false,
-        message: 'Referral not found or not eligible for payout'
+        message: 'Commission rule not found'
       });
     }
 
-    // Verify amount doesn't exceed available commission
-    if (amount > referral.total_commission_earned) {
-      return res.status(400).json({
+    res.json({
+      success: true,
+      data: {
+        versions: await commissionService.getVersions(rule.rule_key)
+      }
+    });
+
+  } catch (error) {
+    console.error('💥 Commission rule history error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while fetching rule history'
+    });
+  }
+});
+
+// @route   POST /api/commissions/rules
+// @desc    INTERNAL: Create a commission rule
+// @access  Private (Internal)
+router.post('/rules', authenticateInternal, requirePermission('commissions.manage'), validateCommissionRule, async (req, res) => {
+  try {
+    const internalUserId = req.internalUser.id;
+    const rule = await commissionService.createRule(req.body, internalUserId);
+
+    // Audit log
+    await auditService.log(req, {
+      action: 'create',
+      resourceType: 'commission_rules',
+      resourceId: rule.id,
+      newValues: rule
+    });
+
+    console.log(`✅ Commission rule created: ${rule.name} (${rule.scope})`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Commission rule created',
+      data: { rule }
+    });
+
+  } catch (error) {
+    console.error('💥 Commission rule create error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while creating commission rule'
+    });
+  }
+});
+
+// @route   PUT /api/commissions/rules/:id
+// @desc    INTERNAL: Publish a new version of a commission rule
+// @access  Private (Internal)
+router.put('/rules/:id', authenticateInternal, requirePermission('commissions.manage'), validateCommissionRule, async (req, res) => {
+  try {
+    const internalUserId = req.internalUser.id;
+    const result = await commissionService.reviseRule(req.params.id, req.body, internalUserId);
+
+    if (!result.success) {
+      return res.status(result.status).json({
         success: false,
-        message: `Requested amount exceeds available commission. Available: ₦${referral.total_commission_earned}`
+        message: result.message
       });
     }
 
-    // Check for existing pending payout for this referral
-    const { data: existingPayout } = await supabase
-      .from('partner_payouts')
-      .select('id')
-      .eq('referral_id', referral_id)
-      .eq('status', 'pending')
-      .single();
+    // Audit log
+    await auditService.log(req, {
+      action: 'update',
+      resourceType: 'commission_rules',
+      resourceId: result.rule.id,
+      oldValues: result.previous,
+      newValues: result.rule,
+      notes: `Commission rule "${result.rule.name}" revised to version ${result.rule.version}`
+    });
+
+    console.log(`✅ Commission rule ${result.rule.rule_key} now at version ${result.rule.version}`);
+
+    res.json({
+      success: true,
+      message: `Commission rule updated (version ${result.rule.version})`,
+      data: { rule: result.rule }
+    });
+
+  } catch (error) {
+    console.error('💥 Commission rule update error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while updating commission rule'
+    });
+  }
+});
+
+// @route   DELETE /api/commissions/rules/:id
+// @desc    INTERNAL: Deactivate a commission rule (history is kept)
+// @access  Private (Internal)
+router.delete('/rules/:id', authenticateInternal, requirePermission('commissions.manage'), async (req, res) => {
+  try {
+    const rule = await commissionService.deactivateRule(req.params.id);
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Active commission rule not found'
+      });
+    }
+
+    // Audit log
+    await auditService.log(req, {
+      action: 'delete',
+      resourceType: 'commission_rules',
+      resourceId: rule.id,
+      oldValues: { is_active: true },
+      newValues: { is_active: false },
+      notes: `Commission rule "${rule.name}" deactivated`
+    });
 
-    if (existingPayout) {
+    res.json({
+      success: true,
+      message: 'Commission rule deactivated'
+    });
+
+  } catch (error) {
+    console.error('💥 Commission rule deactivate error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while deactivating commission rule'
+    });
+  }
+});
+
+// @route   POST /api/payouts/request
+// @desc    PARTNER: Request payout for eligible commission
+// @access  Private (Partner)
+router.post('/payouts/request', authenticatePartner, async (req, res) => {
+  try {
+    const partnerId = req.partner.id;
+    const { referral_id, amount, notes } = req.body;
+
+    console.log(`💰 Payout request from partner: ${partnerId} for referral: ${referral_id}`);
+
+    // Validation
+    if (!referral_id || !amount || amount <= 0) {
       return res.status(400).json({
         success: false,
-        message: 'Pending payout already exists for this referral'
+        message: 'Valid referral ID and amount are required'
       });
     }
 
-    // Create payout request
-    const { data: payout, error: payoutError } = await supabase
-      .from('partner_payouts')
-      .insert({
-        partner_id: partnerId,
-        referral_id: referral_id,
-        amount: amount,
-        status: 'pending',
-        notes: notes || `Payout request for ${referral.prospect_company_name}`
-      })
-      .select(`
-        *,
-        referrals:referral_id (prospect_company_name, referral_code)
-      `)
-      .single();
+    const result = await payoutRequestService.createRequest(req.partner, {
+      amount: Number(amount),
+      referralIds: [referral_id],
+      notes
+    });
 
-    if (payoutError) {
-      console.error('❌ Payout request error:', payoutError);
-      return res.status(500).json({
+    if (!result.success) {
+      return res.status(result.status).json({
         success: false,
-        message: 'Failed to create payout request: ' + payoutError.message
+        message: result.message,
+        ...(result.code && { code: result.code, hold_until: result.hold_until })
       });
     }
 
+    const { payout } = result;
+
     console.log(`✅ Payout request created: ${payout.id}`);
 
     // Audit log
-    await supabase
-      .from('audit_logs')
-      .insert({
-        user_id: partnerId,
-        user_type: 'partner',
-        action: 'create',
-        resource_type: 'partner_payouts',
-        resource_id: payout.id,
-        new_values: payout
-      });
+    await auditService.log(req, {
+      action: 'create',
+      resourceType: 'partner_payouts',
+      resourceId: payout.id,
+      newValues: payout
+    });
 
     res.status(201).json({
       success: true,
       message: 'Payout request submitted successfully',
       data: {
         payout,
+        allocations: result.allocations,
         estimated_processing: '24-48 hours'
       }
     });
@@ -288,7 +548,7 @@ router.get('/payouts/partner', authenticatePartner, async (req, res) => {
 
     console.log(`📋 Fetching payout history for partner: ${partnerId}`);
 
-    const { data: payouts, error, count } = await supabase
+    const { data: payouts, error, count } = await supabaseAdmin
       .from('partner_payouts')
       .select(`
         *,
@@ -332,7 +592,7 @@ router.get('/payouts/partner', authenticatePartner, async (req, res) => {
 });
 
 // @route   PATCH /api/payouts/:id
-// @desc    PARTNER: Update payout request (cancel if pending)
+// @desc    PARTNER: Update payout request (cancel if pending or failed)
 // @access  Private (Partner)
 router.patch('/payouts/:id', authenticatePartner, async (req, res) => {
   try {
@@ -350,23 +610,38 @@ router.patch('/payouts/:id', authenticatePartner, async (req, res) => {
     }
 
     // Verify payout belongs to partner and is pending
-    const { data: payout, error: payoutError } = await supabase
+    const { data: payout, error: payoutError } = await supabaseAdmin
       .from('partner_payouts')
       .select('*')
       .eq('id', payoutId)
       .eq('partner_id', partnerId)
-      .eq('status', 'pending')
+      .in('status', ['pending', 'failed'])
       .single();
 
     if (payoutError || !payout) {
       return res.status(404).json({
         success: false,
-        message: 'Pending payout not found or cannot be cancelled'
+        message: 'Pending or failed payout not found or cannot be cancelled'
+      });
+    }
+
+    if (payoutTransferService.isInFlight(payout)) {
+      return res.status(409).json({
+        success: false,
+        message: 'A transfer for this payout is in progress and it can no longer be cancelled'
+      });
+    }
+
+    const openRun = await payoutRunService.getOpenRunForPayout(payout.id);
+    if (openRun) {
+      return res.status(409).json({
+        success: false,
+        message: 'This payout is already being paid and can no longer be cancelled'
       });
     }
 
     // Cancel the payout
-    const { data: updatedPayout, error: updateError } = await supabase
+    const { data: updatedPayout, error: updateError } = await supabaseAdmin
       .from('partner_payouts')
       .update({
         status: 'cancelled',
@@ -384,18 +659,17 @@ router.patch('/payouts/:id', authenticatePartner, async (req, res) => {
       });
     }
 
+    // Its commission is available to request again
+    await payoutRequestService.releaseReferrals(payoutId);
+
     // Audit log
-    await supabase
-      .from('audit_logs')
-      .insert({
-        user_id: partnerId,
-        user_type: 'partner',
-        action: 'update',
-        resource_type: 'partner_payouts',
-        resource_id: payoutId,
-        old_values: payout,
-        new_values: updatedPayout
-      });
+    await auditService.log(req, {
+      action: 'update',
+      resourceType: 'partner_payouts',
+      resourceId: payoutId,
+      oldValues: payout,
+      newValues: updatedPayout
+    });
 
     res.json({
       success: true,
@@ -415,14 +689,14 @@ router.patch('/payouts/:id', authenticatePartner, async (req, res) => {
 // @route   GET /api/payouts/pending
 // @desc    INTERNAL: All pending payout requests
 // @access  Private (Internal)
-router.get('/payouts/pending', authenticateInternal, async (req, res) => {
+router.get('/payouts/pending', authenticateInternal, requirePermission('payouts.read'), async (req, res) => {
   try {
     const { page = 1, limit = 20 } = req.query;
     const offset = (page - 1) * limit;
 
     console.log(`📋 Fetching pending payouts, page: ${page}`);
 
-    const { data: payouts, error, count } = await supabase
+    const { data: payouts, error, count } = await supabaseAdmin
       .from('partner_payouts')
       .select(`
         *,
@@ -477,7 +751,7 @@ router.get('/payouts/pending', authenticateInternal, async (req, res) => {
 // @route   PATCH /api/payouts/:id/process
 // @desc    INTERNAL: Process payout (update status + reference)
 // @access  Private (Internal)
-router.patch('/payouts/:id/process', authenticateInternal, async (req, res) => {
+router.patch('/payouts/:id/process', authenticateInternal, requirePermission('payouts.approve'), async (req, res) => {
   try {
     const payoutId = req.params.id;
     const internalUserId = req.internalUser.id;
@@ -502,7 +776,7 @@ router.patch('/payouts/:id/process', authenticateInternal, async (req, res) => {
     }
 
     // Get current payout for audit
-    const { data: currentPayout } = await supabase
+    const { data: currentPayout } = await supabaseAdmin
       .from('partner_payouts')
       .select('*')
       .eq('id', payoutId)
@@ -515,6 +789,33 @@ router.patch('/payouts/:id/process', authenticateInternal, async (req, res) => {
       });
     }
 
+    if (payoutTransferService.isInFlight(currentPayout)) {
+      return res.status(409).json({
+        success: false,
+        message: 'A Paystack transfer for this payout is in progress; its status is updated automatically'
+      });
+    }
+
+    const openRun = await payoutRunService.getOpenRunForPayout(currentPayout.id);
+    if (openRun) {
+      return res.status(409).json({
+        success: false,
+        message: `This payout is part of payout run ${openRun.reference} (${openRun.status}); record its result on the run`
+      });
+    }
+
+    if (status !== 'failed') {
+      const payoutHold = await bankAccountService.getPayoutHold(currentPayout.partner_id);
+      if (payoutHold.held) {
+        return res.status(409).json({
+          success: false,
+          message: payoutHold.message,
+          code: 'PAYOUT_HOLD',
+          hold_until: payoutHold.hold_until
+        });
+      }
+    }
+
     // Prepare update data
     const updateData = {
       status,
@@ -527,7 +828,7 @@ router.patch('/payouts/:id/process', authenticateInternal, async (req, res) => {
     }
 
     // Update payout
-    const { data: payout, error } = await supabase
+    const { data: payout, error } = await supabaseAdmin
       .from('partner_payouts')
       .update(updateData)
       .eq('id', payoutId)
@@ -546,18 +847,20 @@ router.patch('/payouts/:id/process', authenticateInternal, async (req, res) => {
       });
     }
 
+    if (status === 'paid') {
+      await ledgerService.postPayout(payout, internalUserId);
+    } else if (currentPayout.status === 'paid') {
+      await ledgerService.reversePayout(currentPayout, internalUserId);
+    }
+
     // Audit log
-    await supabase
-      .from('audit_logs')
-      .insert({
-        user_id: internalUserId,
-        user_type: 'internal',
-        action: 'update',
-        resource_type: 'partner_payouts',
-        resource_id: payoutId,
-        old_values: currentPayout,
-        new_values: payout
-      });
+    await auditService.log(req, {
+      action: 'update',
+      resourceType: 'partner_payouts',
+      resourceId: payoutId,
+      oldValues: currentPayout,
+      newValues: payout
+    });
 
     res.json({
       success: true,
@@ -577,11 +880,11 @@ router.patch('/payouts/:id/process', authenticateInternal, async (req, res) => {
 // @route   GET /api/payouts/stats
 // @desc    INTERNAL: Payout analytics and reporting
 // @access  Private (Internal)
-router.get('/payouts/stats', authenticateInternal, async (req, res) => {
+router.get('/payouts/stats', authenticateInternal, requirePermission('payouts.read'), async (req, res) => {
   try {
     console.log(`📊 Generating payout statistics`);
 
-    const { data: payouts, error } = await supabase
+    const { data: payouts, error } = await supabaseAdmin
       .from('partner_payouts')
       .select(`
         amount,
@@ -1,97 +1,75 @@
 import express from 'express';
-import { supabase } from '../config/supabase.js';
-import { authenticateInternal } from '../middleware/auth.js';
+import { authenticateInternal, requirePermission } from '../middleware/auth.js';
+import auditService from '../services/audit-service.js';
+import pipelineService from '../services/pipeline-service.js';
+import { leadRepository, referralRepository } from '../repositories/index.js';
 
 const router = express.Router();
 
 // @route   PATCH /api/deals/:id/convert
 // @desc    INTERNAL: Convert lead to customer
 // @access  Private (Internal)
-router.patch('/:id/convert', authenticateInternal, async (req, res) => {
+router.patch('/:id/convert', authenticateInternal, requirePermission('deals.convert'), async (req, res) => {
   try {
     const leadId = req.params.id;
-    const internalUserId = req.internalUser.id;
     const { final_deal_value, notes } = req.body;
 
     console.log(`🔄 Converting lead to customer: ${leadId}`);
 
-    // Get lead details
-    const { data: lead, error: leadError } = await supabase
-      .from('leads')
-      .select('*')
-      .eq('id', leadId)
-      .single();
+    const lead = await leadRepository.findById(leadId);
 
-    if (leadError || !lead) {
+    if (!lead) {
       return res.status(404).json({
         success: false,
         message: 'Lead not found'
       });
     }
 
-    // Update lead status to converted
-    const { data: updatedLead, error: updateError } = await supabase
-      .from('leads')
-      .update({
-        status: 'converted',
-        estimated_value: final_deal_value || lead.estimated_value,
-        updated_at: new Date().toISOString()
-      })
-      .eq('id', leadId)
-      .select()
-      .single();
-
-    if (updateError) {
-      console.error('❌ Lead conversion error:', updateError);
-      return res.status(500).json({
+    if (final_deal_value !== undefined && final_deal_value !== null && !(typeof final_deal_value === 'number' && final_deal_value > 0)) {
+      return res.status(400).json({
         success: false,
-        message: 'Failed to convert lead: ' + updateError.message
+        message: 'final_deal_value must be a positive number'
       });
     }
 
-    // Log conversion activity
-    await supabase
-      .from('lead_activities')
-      .insert({
-        lead_id: leadId,
+    // The referral is won along with the lead, at the same deal value (services/pipeline-service.js)
+    const result = await pipelineService.moveLead(req, lead, 'converted', {
+      updates: { estimated_value: final_deal_value || lead.estimated_value },
+      activity: {
         type: 'deal_converted',
-        notes: notes || `Lead converted to customer${final_deal_value ? ` with deal value: ₦${final_deal_value.toLocaleString()}` : ''}`,
-        recorded_by: internalUserId
+        notes: notes || `Lead converted to customer${final_deal_value ? ` with deal value: ₦${final_deal_value.toLocaleString()}` : ''}`
+      }
+    });
+
+    if (!result.success) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.message,
+        reason: result.reason
       });
+    }
 
-    // If lead has a referral, update referral status to "won"
-    if (lead.referral_id) {
-      await supabase
-        .from('referrals')
-        .update({
-          status: 'won',
-          estimated_deal_value: final_deal_value || lead.estimated_value,
-          updated_at: new Date().toISOString()
-        })
-        .eq('id', lead.referral_id);
+    const updatedLead = result.lead;
 
+    if (result.referral) {
       console.log(`✅ Referral ${lead.referral_id} status updated to 'won'`);
     }
 
     // Audit log
-    await supabase
-      .from('audit_logs')
-      .insert({
-        user_id: internalUserId,
-        user_type: 'internal',
-        action: 'update',
-        resource_type: 'leads',
-        resource_id: leadId,
-        old_values: lead,
-        new_values: updatedLead
-      });
+    await auditService.log(req, {
+      action: 'update',
+      resourceType: 'leads',
+      resourceId: leadId,
+      oldValues: lead,
+      newValues: updatedLead
+    });
 
     res.json({
       success: true,
       message: 'Lead successfully converted to customer',
       data: {
         lead: updatedLead,
-        referral_updated: !!lead.referral_id
+        referral_updated: !!result.referral
       }
     });
 
@@ -107,100 +85,54 @@ router.patch('/:id/convert', authenticateInternal, async (req, res) => {
 // @route   PATCH /api/deals/:id/finalize
 // @desc    INTERNAL: Mark deal as fully paid (triggers commission eligibility)
 // @access  Private (Internal)
-router.patch('/:id/finalize', authenticateInternal, async (req, res) => {
+router.patch('/:id/finalize', authenticateInternal, requirePermission('deals.finalize'), async (req, res) => {
   try {
     const leadId = req.params.id;
-    const internalUserId = req.internalUser.id;
     const { notes } = req.body;
 
     console.log(`🎯 Finalizing deal: ${leadId}`);
 
-    // Get lead and check if it's converted
-    const { data: lead, error: leadError } = await supabase
-      .from('leads')
-      .select('*')
-      .eq('id', leadId)
-      .eq('status', 'converted')
-      .single();
+    const lead = await leadRepository.findById(leadId);
 
-    if (leadError || !lead) {
+    if (!lead) {
       return res.status(404).json({
         success: false,
-        message: 'Converted lead not found'
+        message: 'Lead not found'
       });
     }
 
-    // Update lead status (optional - you might want to keep it as 'converted')
-    const { data: updatedLead, error: updateError } = await supabase
-      .from('leads')
-      .update({
-        status: 'converted', // Or 'completed' if you prefer
-        updated_at: new Date().toISOString()
-      })
-      .eq('id', leadId)
-      .select()
-      .single();
-
-    if (updateError) {
-      console.error('❌ Deal finalization error:', updateError);
-      return res.status(500).json({
+    // Only a converted lead, and its referral only once confirmed payments cover the deal value
+    const result = await pipelineService.finalizeDeal(req, lead, { notes });
+
+    if (!result.success) {
+      return res.status(result.status).json({
         success: false,
-        message: 'Failed to finalize deal: ' + updateError.message
+        message: result.message,
+        reason: result.reason
       });
     }
 
-    // If lead has a referral, mark it as "fully_paid" (triggers commission eligibility)
-    if (lead.referral_id) {
-      const { data: referral, error: refError } = await supabase
-        .from('referrals')
-        .update({
-          status: 'fully_paid',
-          updated_at: new Date().toISOString()
-        })
-        .eq('id', lead.referral_id)
-        .select()
-        .single();
-
-      if (refError) {
-        console.error('❌ Referral update error:', refError);
-        return res.status(500).json({
-          success: false,
-          message: 'Lead updated but failed to update referral: ' + refError.message
-        });
-      }
+    const updatedLead = result.lead;
 
+    if (result.referral) {
       console.log(`✅ Referral ${lead.referral_id} marked as fully paid - commission eligible`);
     }
 
-    // Log finalization activity
-    await supabase
-      .from('lead_activities')
-      .insert({
-        lead_id: leadId,
-        type: 'deal_finalized',
-        notes: notes || 'Deal finalized and marked as fully paid',
-        recorded_by: internalUserId
-      });
-
     // Audit log
-    await supabase
-      .from('audit_logs')
-      .insert({
-        user_id: internalUserId,
-        user_type: 'internal',
-        action: 'update',
-        resource_type: 'leads',
-        resource_id: leadId,
-        old_values: lead,
-        new_values: updatedLead
-      });
+    await auditService.log(req, {
+      action: 'update',
+      resourceType: 'leads',
+      resourceId: leadId,
+      oldValues: lead,
+      newValues: updatedLead
+    });
 
     res.json({
       success: true,
       message: 'Deal finalized successfully',
       data: {
         lead: updatedLead,
-        commission_eligible: !!lead.referral_id
+        commission_eligible: !!result.referral
       }
     });
 
@@ -216,16 +148,24 @@ router.patch('/:id/finalize', authenticateInternal, async (req, res) => {
 // @route   PATCH /api/referrals/:id/status
 // @desc    INTERNAL: Update referral status through pipeline
 // @access  Private (Internal)
-router.patch('/referrals/:id/status', authenticateInternal, async (req, res) => {
+router.patch('/referrals/:id/status', authenticateInternal, requirePermission('referrals.write'), async (req, res) => {
   try {
     const referralId = req.params.id;
-    const internalUserId = req.internalUser.id;
     const { status, notes } = req.body;
 
     console.log(`🔄 Updating referral status: ${referralId} -> ${status}`);
 
-    // Validation
-    const validStatuses = ['code_sent', 'contacted', 'meeting_scheduled', 'proposal_sent', 'negotiation', 'won', 'fully_paid', 'lost'];
+    // A referral becomes fully_paid only when its deal is finalized (PATCH /api/deals/:id/finalize),
+    // which also marks the lead paid
+    if (status === 'fully_paid') {
+      return res.status(400).json({
+        success: false,
+        message: 'A referral becomes fully_paid when its deal is finalized: use PATCH /api/deals/:id/finalize with its lead'
+      });
+    }
+
+    // Staff move referrals along the pipeline; expiry is the job's and renewal has its own route
+    const validStatuses = pipelineService.statuses('referral').filter(option => !['expired', 'fully_paid'].includes(option));
     if (!status || !validStatuses.includes(status)) {
       return res.status(400).json({
         success: false,
@@ -233,86 +173,39 @@ router.patch('/referrals/:id/status', authenticateInternal, async (req, res) =>
       });
     }
 
-    // Get current referral
-    const { data: currentReferral, error: refError } = await supabase
-      .from('referrals')
-      .select('*')
-      .eq('id', referralId)
-      .single();
+    const currentReferral = await referralRepository.findById(referralId);
 
-    if (refError || !currentReferral) {
+    if (!currentReferral) {
       return res.status(404).json({
         success: false,
         message: 'Referral not found'
       });
     }
 
-    // Update referral status
-    const { data: referral, error: updateError } = await supabase
-      .from('referrals')
-      .update({
-        status,
-        updated_at: new Date().toISOString()
-      })
-      .eq('id', referralId)
-      .select(`
-        *,
-        partners:partner_id (company_name, contact_name, email)
-      `)
-      .single();
-
-    if (updateError) {
-      console.error('❌ Referral status update error:', updateError);
-      return res.status(500).json({
+    // A won, paid or lost referral takes its lead along (services/pipeline-service.js)
+    const result = await pipelineService.moveReferral(req, currentReferral, status, { notes });
+
+    if (!result.success) {
+      return res.status(result.status).json({
         success: false,
-        message: 'Failed to update referral status: ' + updateError.message
+        message: result.message,
+        reason: result.reason
       });
     }
 
-    // If referral has a linked lead, update lead status accordingly
-    if (status === 'won' || status === 'fully_paid' || status === 'lost') {
-      let leadStatus = 'converted';
-      if (status === 'lost') leadStatus = 'lost';
-      
-      await supabase
-        .from('leads')
-        .update({
-          status: leadStatus,
-          updated_at: new Date().toISOString()
-        })
-        .eq('referral_id', referralId);
-    }
-
-    // Log status change activity if there's a linked lead
-    const { data: linkedLead } = await supabase
-      .from('leads')
-      .select('id')
-      .eq('referral_id', referralId)
-      .single();
-
-    if (linkedLead) {
-      await supabase
-        .from('lead_activities')
-        .insert({
-          lead_id: linkedLead.id,
-          type: 'referral_status_updated',
-          notes: `Referral status updated to: ${status}${notes ? ` - ${notes}` : ''}`,
-          recorded_by: internalUserId
-        });
-    }
+    const referral = await referralRepository.findById(referralId, `
+      *,
+      partners:partner_id (company_name, contact_name, email)
+    `);
 
     // Audit log
-    await supabase
-      .from('audit_logs')
-      .insert({
-        user_id: internalUserId,
-        user_type: 'internal',
-        action: 'update',
-        resource_type: 'referrals',
-        resource_id: referralId,
-        old_values: currentReferral,
-        new_values: referral
-      });
+    await auditService.log(req, {
+      action: 'update',
+      resourceType: 'referrals',
+      resourceId: referralId,
+      oldValues: currentReferral,
+      newValues: referral
+    });
 
     res.json({
       success: true,
@@ -1,14 +1,23 @@
 import express from 'express';
-import { authenticateInternal } from '../middleware/auth.js';
-import { supabase, supabaseAdmin } from '../config/supabase.js';
+import { authenticateInternal, requirePermission } from '../middleware/auth.js';
+import { supabaseAdmin } from '../config/supabase.js';
 import { validateQueryParams } from '../middleware/validation.js';
+import auditService from '../services/audit-service.js';
+import leadService from '../services/lead-service.js';
+import pipelineService from '../services/pipeline-service.js';
+import referralProtectionService, { OPEN_STATUSES } from '../services/referral-protection-service.js';
+import registrationConflictService, {
+  CONFLICT_STATUSES,
+  CONFLICT_RESOLUTIONS
+} from '../services/registration-conflict-service.js';
+import { leadRepository, notificationRepository, referralRepository } from '../repositories/index.js';
 
 const router = express.Router();
 
 // @route   GET /api/internal/dashboard
 // @desc    Executive dashboard with key metrics
 // @access  Private (Internal)
-router.get('/dashboard', authenticateInternal, async (req, res) => {
+router.get('/dashboard', authenticateInternal, requirePermission('analytics.read'), async (req, res) => {
   try {
     const { period = 'month' } = req.query;
 
@@ -69,7 +78,7 @@ router.get('/dashboard', authenticateInternal, async (req, res) => {
       },
       performance: {
         total_leads: leads.length,
-        active_referrals: referrals.filter(r => !['won', 'fully_paid', 'lost'].includes(r.status)).length,
+        active_referrals: referrals.filter(r => !['won', 'fully_paid', 'lost', 'expired'].includes(r.status)).length,
         converted_leads: leads.filter(l => l.status === 'converted').length,
         conversion_rate: leads.length > 0 ? (leads.filter(l => l.status === 'converted').length / leads.length) * 100 : 0
       },
@@ -123,7 +132,7 @@ router.get('/dashboard', authenticateInternal, async (req, res) => {
 // @route   GET /api/internal/analytics
 // @desc    Flexible analytics with query parameters
 // @access  Private (Internal)
-router.get('/analytics', authenticateInternal, async (req, res) => {
+router.get('/analytics', authenticateInternal, requirePermission('analytics.read'), async (req, res) => {
   try {
     const { 
       type = 'overview', 
@@ -179,14 +188,14 @@ router.get('/analytics', authenticateInternal, async (req, res) => {
 // @route   GET /api/internal/performance
 // @desc    Team & partner performance metrics
 // @access  Private (Internal)
-router.get('/performance', authenticateInternal, async (req, res) => {
+router.get('/performance', authenticateInternal, requirePermission('analytics.read'), async (req, res) => {
   try {
     const { period = 'month', team_member_id } = req.query;
 
     console.log(`🎯 Generating performance metrics for period: ${period}`);
 
     // Get team performance
-    const { data: teamPerformance, error: teamError } = await supabase
+    const { data: teamPerformance, error: teamError } = await supabaseAdmin
       .from('leads')
       .select(`
         assigned_to,
@@ -209,7 +218,7 @@ router.get('/performance', authenticateInternal, async (req, res) => {
     const teamMetrics = calculateTeamPerformance(teamPerformance || [], period, team_member_id);
 
     // Get partner performance
-    const { data: partnerPerformance, error: partnerError } = await supabase
+    const { data: partnerPerformance, error: partnerError } = await supabaseAdmin
       .from('referrals')
       .select(`
         partner_id,
@@ -253,7 +262,7 @@ router.get('/performance', authenticateInternal, async (req, res) => {
 // @route   GET /api/internal/partners
 // @desc    Partner directory with performance data and filtering
 // @access  Private (Internal)
-router.get('/partners', authenticateInternal, async (req, res) => {
+router.get('/partners', authenticateInternal, requirePermission('partners.read'), async (req, res) => {
   try {
     const { 
       page = 1, 
@@ -368,7 +377,7 @@ router.get('/partners', authenticateInternal, async (req, res) => {
 // @route   PATCH /api/internal/partners/:id/status
 // @desc    Partner status management
 // @access  Private (Internal)
-router.patch('/partners/:id/status', authenticateInternal, async (req, res) => {
+router.patch('/partners/:id/status', authenticateInternal, requirePermission('partners.suspend'), async (req, res) => {
   try {
     const partnerId = req.params.id;
     const internalUserId = req.internalUser.id;
@@ -384,7 +393,7 @@ router.patch('/partners/:id/status', authenticateInternal, async (req, res) => {
     }
 
     // Get current partner for audit
-    const { data: currentPartner, error: fetchError } = await supabase
+    const { data: currentPartner, error: fetchError } = await supabaseAdmin
       .from('partners')
       .select('*')
       .eq('id', partnerId)
@@ -398,7 +407,7 @@ router.patch('/partners/:id/status', authenticateInternal, async (req, res) => {
     }
 
     // Update partner status
-    const { data: partner, error } = await supabase
+    const { data: partner, error } = await supabaseAdmin
       .from('partners')
       .update({
         is_active,
@@ -418,7 +427,7 @@ router.patch('/partners/:id/status', authenticateInternal, async (req, res) => {
 
     // Create notification for partner if status changed
     if (currentPartner.is_active !== is_active) {
-      await supabase
+      await supabaseAdmin
         .from('notifications')
         .insert({
           user_id: partnerId,
@@ -436,18 +445,14 @@ router.patch('/partners/:id/status', authenticateInternal, async (req, res) => {
     }
 
     // Audit log
-    await supabase
-      .from('audit_logs')
-      .insert({
-        user_id: internalUserId,
-        user_type: 'internal',
-        action: 'update',
-        resource_type: 'partners',
-        resource_id: partnerId,
-        old_values: currentPartner,
-        new_values: partner,
-        notes: notes || `Partner ${is_active ? 'activated' : 'deactivated'}`
-      });
+    await auditService.log(req, {
+      action: 'update',
+      resourceType: 'partners',
+      resourceId: partnerId,
+      oldValues: currentPartner,
+      newValues: partner,
+      notes: notes || `Partner ${is_active ? 'activated' : 'deactivated'}`
+    });
 
     res.json({
       success: true,
@@ -464,8 +469,273 @@ router.patch('/partners/:id/status', authenticateInternal, async (req, res) => {
   }
 });
 
+// @route   PATCH /api/internal/referrals/:id/protection
+// @desc    Renew a referral's protection window for `days` (default registration_protection_days);
+//          an expired referral is reopened
+// @access  Private (Internal)
+router.patch('/referrals/:id/protection', authenticateInternal, requirePermission('referrals.write'), async (req, res) => {
+  try {
+    const { days, notes } = req.body;
+
+    if (days !== undefined && days !== null && !(Number.isInteger(days) && days >= 1 && days <= 730)) {
+      return res.status(400).json({
+        success: false,
+        message: 'days must be a whole number from 1 to 730'
+      });
+    }
+
+    const referral = await referralRepository.findById(req.params.id);
+
+    if (!referral) {
+      return res.status(404).json({
+        success: false,
+        message: 'Referral not found'
+      });
+    }
+
+    if (![...OPEN_STATUSES, 'expired'].includes(referral.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `A ${referral.status} referral has no protection window to renew`
+      });
+    }
+
+    const renewed = await referralProtectionService.renew(req, referral, { days: days ?? null, notes: notes || null });
+    const [withProtection] = await referralProtectionService.withProtection([renewed]);
+
+    console.log(`🛡️ Referral ${referral.referral_code} protected until ${renewed.protected_until} by ${req.internalUser.id}`);
+
+    res.json({
+      success: true,
+      message: `Referral protected until ${new Date(renewed.protected_until).toISOString().slice(0, 10)}`,
+      data: { referral: withProtection }
+    });
+
+  } catch (error) {
+    console.error('💥 Referral protection renewal error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while renewing referral protection'
+    });
+  }
+});
+
+// What the partner behind a referral conflict is told once it is resolved
+const CONFLICT_OUTCOME_MESSAGES = {
+  'blocked:upheld': (company) => `Your registration of ${company} was reviewed. The earlier registration stands.`,
+  'blocked:overridden': (company) => `Your registration of ${company} was reviewed and approved. Your referral has been created.`,
+  'flagged:upheld': (company) => `Your referral for ${company} was reviewed. The earlier registration stands, so your referral has been closed.`,
+  'flagged:overridden': (company) => `Your referral for ${company} was reviewed and stands.`
+};
+
+// @route   GET /api/internal/conflicts
+// @desc    Registration conflict review queue (?status, ?resource_type)
+// @access  Private (Internal)
+router.get('/conflicts', authenticateInternal, requirePermission('conflicts.review'), async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status, resource_type } = req.query;
+
+    if (status && !CONFLICT_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Status must be one of: ${CONFLICT_STATUSES.join(', ')}`
+      });
+    }
+
+    const { conflicts, total } = await registrationConflictService.list({
+      status: status || null,
+      resourceType: resource_type || null,
+      page: parseInt(page),
+      limit: parseInt(limit)
+    });
+
+    res.json({
+      success: true,
+      data: {
+        conflicts,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('💥 Registration conflicts list error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while fetching registration conflicts'
+    });
+  }
+});
+
+// @route   GET /api/internal/conflicts/:id
+// @desc    A registration conflict with both registrations
+// @access  Private (Internal)
+router.get('/conflicts/:id', authenticateInternal, requirePermission('conflicts.review'), async (req, res) => {
+  try {
+    const conflict = await registrationConflictService.get(req.params.id);
+
+    if (!conflict) {
+      return res.status(404).json({
+        success: false,
+        message: 'Registration conflict not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { conflict }
+    });
+
+  } catch (error) {
+    console.error('💥 Registration conflict fetch error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while fetching registration conflict'
+    });
+  }
+});
+
+// @route   PATCH /api/internal/conflicts/:id/resolve
+// @desc    Resolve a conflict: `upheld` keeps the first registrant's claim (a flagged later
+//          registration is closed), `overridden` lets the later one stand (a refused one is created)
+// @access  Private (Internal)
+router.patch('/conflicts/:id/resolve', authenticateInternal, requirePermission('conflicts.review'), async (req, res) => {
+  try {
+    const { resolution, notes } = req.body;
+
+    if (!CONFLICT_RESOLUTIONS.includes(resolution)) {
+      return res.status(400).json({
+        success: false,
+        message: `Resolution must be one of: ${CONFLICT_RESOLUTIONS.join(', ')}`
+      });
+    }
+
+    const conflict = await registrationConflictService.get(req.params.id);
+
+    if (!conflict) {
+      return res.status(404).json({
+        success: false,
+        message: 'Registration conflict not found'
+      });
+    }
+
+    if (conflict.status !== 'pending') {
+      return res.status(409).json({
+        success: false,
+        message: `This conflict was already resolved (${conflict.status})`
+      });
+    }
+
+    const values = conflict.attempted_values;
+    const created = {};
+
+    if (resolution === 'overridden' && conflict.action === 'blocked') {
+      if (conflict.resource_type === 'referral') {
+        const referral = await referralRepository.create({
+          ...values,
+          partner_id: conflict.partner_id,
+          status: 'code_sent'
+        });
+
+        await auditService.log(req, {
+          action: 'create',
+          resourceType: 'referrals',
+          resourceId: referral.id,
+          newValues: referral,
+          notes: `Created on review of registration conflict ${conflict.id}`
+        });
+
+        created.createdReferralId = referral.id;
+      } else {
+        const result = await leadService.createLead(req, values, {
+          createdBy: req.internalUser.id,
+          origin: 'registration conflict review',
+          skipConflictCheck: true
+        });
+
+        if (!result.success) {
+          return res.status(result.status).json({
+            success: false,
+            message: result.message
+          });
+        }
+
+        created.createdLeadId = result.lead.id;
+      }
+    }
+
+    if (resolution === 'upheld' && conflict.action === 'flagged') {
+      // The later registration is closed, taking its linked lead or referral along with it
+      const kind = conflict.created_referral_id ? 'referral' : 'lead';
+      const record = conflict.created_referral_id
+        ? await referralRepository.findById(conflict.created_referral_id)
+        : conflict.created_lead_id && await leadRepository.findById(conflict.created_lead_id);
+
+      if (record && record.status !== 'lost') {
+        const result = await pipelineService.move(req, kind, record, 'lost', {
+          notes: `Registration conflict ${conflict.id} upheld`
+        });
+
+        if (!result.success) {
+          return res.status(result.status).json({
+            success: false,
+            message: `The later ${kind} cannot be closed: ${result.message}`,
+            reason: result.reason
+          });
+        }
+      }
+    }
+
+    const resolved = await registrationConflictService.markResolved(req, conflict, {
+      resolution,
+      notes: notes || null,
+      ...created
+    });
+
+    if (!resolved) {
+      return res.status(409).json({
+        success: false,
+        message: 'This conflict was resolved by someone else'
+      });
+    }
+
+    console.log(`⚖️ Registration conflict ${conflict.id} ${resolution} by ${req.internalUser.id}`);
+
+    if (conflict.resource_type === 'referral' && conflict.partner_id) {
+      await notificationRepository.notifyPartner({
+        partner_id: conflict.partner_id,
+        type: 'registration_conflict_resolved',
+        title: 'Registration Review Complete',
+        message: CONFLICT_OUTCOME_MESSAGES[`${conflict.action}:${resolution}`](values.prospect_company_name),
+        metadata: {
+          conflict_id: conflict.id,
+          resolution,
+          referral_id: created.createdReferralId || conflict.created_referral_id || null
+        }
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Conflict ${resolution}`,
+      data: { conflict: await registrationConflictService.get(conflict.id) }
+    });
+
+  } catch (error) {
+    console.error('💥 Registration conflict resolve error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while resolving registration conflict'
+    });
+  }
+});
+
 // Add this debug endpoint to internal.js
-router.get('/debug/leads', authenticateInternal, async (req, res) => {
+router.get('/debug/leads', authenticateInternal, requirePermission('leads.read'), async (req, res) => {
   try {
     const { data: leads, error } = await supabaseAdmin
       .from('leads')
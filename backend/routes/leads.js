@@ -1,13 +1,17 @@
 import express from 'express';
-import { authenticateInternal } from '../middleware/auth.js';
-import { supabase, supabaseAdmin } from '../config/supabase.js';
+import { authenticateInternal, requirePermission } from '../middleware/auth.js';
+import { validateEmail } from '../middleware/validation.js';
+import auditService from '../services/audit-service.js';
+import leadService from '../services/lead-service.js';
+import pipelineService from '../services/pipeline-service.js';
+import { leadRepository } from '../repositories/index.js';
 
 const router = express.Router();
 
 // @route   POST /api/leads
 // @desc    Internal: create lead (with optional referral code linking)
 // @access  Private (Internal)
-router.post('/', authenticateInternal, async (req, res) => {
+router.post('/', authenticateInternal, requirePermission('leads.write'), async (req, res) => {
   try {
     const {
       company_name,
@@ -34,101 +38,46 @@ router.post('/', authenticateInternal, async (req, res) => {
       });
     }
 
-    let referralId = null;
-    let partnerId = null;
-
-    // Link to referral if code provided - USE ADMIN CLIENT
-    if (referral_code) {
-      const { data: referral, error: referralError } = await supabaseAdmin // Use supabaseAdmin
-        .from('referrals')
-        .select('id, partner_id, prospect_company_name, contact_name, email')
-        .eq('referral_code', referral_code.toUpperCase())
-        .single();
-
-      if (referralError) {
-        console.error('❌ Referral lookup error in leads creation:', referralError);
-        return res.status(400).json({
-          success: false,
-          message: 'Invalid referral code: ' + referralError.message
-        });
-      }
-
-      referralId = referral.id;
-      partnerId = referral.partner_id;
-
-      // Update referral status to contacted - USE ADMIN CLIENT
-      await supabaseAdmin // Use supabaseAdmin
-        .from('referrals')
-        .update({ 
-          status: 'contacted',
-          updated_at: new Date().toISOString()
-        })
-        .eq('id', referralId);
-    }
-
-    // Create lead - USE ADMIN CLIENT for consistency
-    const { data: lead, error: leadError } = await supabaseAdmin // Use supabaseAdmin
-      .from('leads')
-      .insert({
-        company_name,
-        contact_name,
-        email,
-        phone,
-        industry,
-        erp_system,
-        implementation_timeline,
-        estimated_value,
-        referral_id: referralId,
-        referral_code: referral_code?.toUpperCase(),
-        assigned_to: assigned_to || internalUserId,
-        status: 'new',
-        source: referral_code ? 'partner' : 'internal'
-      })
-      .select(`
-        *,
-        internal_users:assigned_to (name, email),
-        referrals:referral_id (referral_code, partners:partner_id(company_name))
-      `)
-      .single();
-
-    if (leadError) {
-      console.error('❌ Lead creation error:', leadError);
-      return res.status(500).json({
+    if (!validateEmail(email)) {
+      return res.status(400).json({
         success: false,
-        message: 'Failed to create lead: ' + leadError.message
+        message: 'A valid email address is required'
       });
     }
 
-    console.log(`✅ Lead created: ${lead.id}`);
+    const result = await leadService.createLead(req, {
+      company_name,
+      contact_name,
+      email,
+      phone,
+      industry,
+      erp_system,
+      implementation_timeline,
+      estimated_value,
+      referral_code,
+      assigned_to
+    }, { createdBy: internalUserId });
 
-    // Create initial activity - USE ADMIN CLIENT
-    await supabaseAdmin // Use supabaseAdmin
-      .from('lead_activities')
-      .insert({
-        lead_id: lead.id,
-        type: 'lead_created',
-        notes: `Lead created from ${referral_code ? 'partner referral' : 'internal source'}`,
-        recorded_by: internalUserId
+    if (!result.success) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.message,
+        ...(result.reason && { reason: result.reason }),
+        ...(result.conflict && { conflict_id: result.conflict.id })
       });
+    }
 
-    // Audit log - USE ADMIN CLIENT
-    await supabaseAdmin // Use supabaseAdmin
-      .from('audit_logs')
-      .insert({
-        user_id: internalUserId,
-        user_type: 'internal',
-        action: 'create',
-        resource_type: 'leads',
-        resource_id: lead.id,
-        new_values: lead
-      });
+    const { lead, conflict } = result;
 
     res.status(201).json({
       success: true,
-      message: 'Lead created successfully',
+      message: conflict
+        ? 'Lead created and flagged for review: it overlaps an earlier registration'
+        : 'Lead created successfully',
       data: {
         lead,
-        linked_to_referral: !!referral_code
+        linked_to_referral: !!referral_code,
+        under_review: !!conflict
       }
     });
 
@@ -144,7 +93,7 @@ router.post('/', authenticateInternal, async (req, res) => {
 // @route   GET /api/leads
 // @desc    Internal: list all leads with status filtering
 // @access  Private (Internal)
-router.get('/', authenticateInternal, async (req, res) => {
+router.get('/', authenticateInternal, requirePermission('leads.read'), async (req, res) => {
   try {
     const { 
       page = 1, 
@@ -159,48 +108,17 @@ router.get('/', authenticateInternal, async (req, res) => {
 
     console.log(`📋 Fetching leads, page: ${page}, filters:`, { status, source, search });
 
-    // Build query - USE ADMIN CLIENT
-    let query = supabaseAdmin // Use supabaseAdmin
-      .from('leads')
-      .select(`
-        *,
-        internal_users:assigned_to (name, email),
-        referrals:referral_id (referral_code, partners:partner_id(company_name))
-      `, { count: 'exact' })
-      .order('created_at', { ascending: false })
-      .range(offset, offset + limit - 1);
-
-    // Apply filters
-    if (status && status !== 'all') {
-      query = query.eq('status', status);
-    }
-
-    if (source && source !== 'all') {
-      query = query.eq('source', source);
-    }
-
-    if (assigned_to && assigned_to !== 'all') {
-      query = query.eq('assigned_to', assigned_to);
-    }
-
-    if (search) {
-      query = query.or(`company_name.ilike.%${search}%,contact_name.ilike.%${search}%,email.ilike.%${search}%`);
-    }
-
-    const { data: leads, error, count } = await query;
-
-    if (error) {
-      console.error('❌ Fetch leads error:', error);
-      return res.status(500).json({
-        success: false,
-        message: 'Failed to fetch leads'
-      });
-    }
+    const { rows: leads, count } = await leadRepository.list({
+      offset,
+      limit: Number(limit),
+      status: status && status !== 'all' ? status : null,
+      source: source && source !== 'all' ? source : null,
+      assignedTo: assigned_to && assigned_to !== 'all' ? assigned_to : null,
+      search
+    });
 
-    // Get lead statistics - USE ADMIN CLIENT
-    const { data: allLeads } = await supabaseAdmin // Use supabaseAdmin
-      .from('leads')
-      .select('status, source');
+    // Get lead statistics
+    const allLeads = await leadRepository.findAll('status, source');
 
     const stats = {
       total: allLeads?.length || 0,
@@ -245,51 +163,16 @@ router.get('/', authenticateInternal, async (req, res) => {
 // @route   GET /api/leads/:id
 // @desc    Get lead details with activities timeline
 // @access  Private (Internal)
-router.get('/:id', authenticateInternal, async (req, res) => {
+router.get('/:id', authenticateInternal, requirePermission('leads.read'), async (req, res) => {
   try {
     const leadId = req.params.id;
 
     console.log(`🔍 Fetching lead details: ${leadId}`);
 
     // Get lead with detailed information
-    const { data: lead, error } = await supabaseAdmin
-      .from('leads')
-      .select(`
-        *,
-        internal_users:assigned_to (id, name, email, role),
-        referrals:referral_id (
-          id,
-          referral_code,
-          partners:partner_id (
-            id,
-            company_name,
-            contact_name,
-            email,
-            phone
-          )
-        ),
-        activities:lead_activities (
-          id,
-          type,
-          notes,
-          created_at,
-          recorded_by,
-          internal_users:recorded_by (name)
-        ),
-        client_payments:client_payments!client_payments_lead_id_fkey (
-          id,
-          amount,
-          commission_calculated,
-          payment_date,
-          payment_method,
-          status,
-          created_at
-        )
-      `)
-      .eq('id', leadId)
-      .single();
-
-    if (error || !lead) {
+    const lead = await leadRepository.findDetail(leadId);
+
+    if (!lead) {
       return res.status(404).json({
         success: false,
         message: 'Lead not found'
@@ -299,7 +182,8 @@ router.get('/:id', authenticateInternal, async (req, res) => {
     res.json({
       success: true,
       data: {
-        lead
+        lead,
+        next_statuses: pipelineService.nextStatuses('lead', lead.status)
       }
     });
 
@@ -315,7 +199,7 @@ router.get('/:id', authenticateInternal, async (req, res) => {
 // @route   PUT /api/leads/:id
 // @desc    Update lead information
 // @access  Private (Internal)
-router.put('/:id', authenticateInternal, async (req, res) => {
+router.put('/:id', authenticateInternal, requirePermission('leads.write'), async (req, res) => {
   try {
     const leadId = req.params.id;
     const internalUserId = req.internalUser.id;
@@ -323,48 +207,39 @@ router.put('/:id', authenticateInternal, async (req, res) => {
 
     console.log(`✏️ Updating lead: ${leadId}`);
 
-    // Remove fields that shouldn't be updated directly
-    const { id, created_at, referral_id, ...safeUpdateData } = updateData;
-
-    const { data: lead, error } = await supabase
-      .from('leads')
-      .update({
-        ...safeUpdateData,
-        updated_at: new Date().toISOString()
-      })
-      .eq('id', leadId)
-      .select()
-      .single();
-
-    if (error || !lead) {
-      console.error('❌ Lead update error:', error);
-      return res.status(500).json({
+    // Remove fields that shouldn't be updated directly; status and payment completion only
+    // change through the pipeline (PUT /:id/status, deals convert and finalize)
+    const {
+      id, created_at, referral_id, status, payment_completed, payment_completed_at, payment_completed_by,
+      ...safeUpdateData
+    } = updateData;
+
+    const lead = await leadRepository.update(leadId, {
+      ...safeUpdateData,
+      updated_at: new Date().toISOString()
+    });
+
+    if (!lead) {
+      return res.status(404).json({
         success: false,
-        message: 'Failed to update lead: ' + error?.message
+        message: 'Lead not found'
       });
     }
 
     // Log activity
-    await supabaseAdmin
-      .from('lead_activities')
-      .insert({
-        lead_id: leadId,
-        type: 'information_updated',
-        notes: 'Lead information updated',
-        recorded_by: internalUserId
-      });
+    await leadRepository.logActivity(leadId, {
+      type: 'information_updated',
+      notes: 'Lead information updated',
+      recordedBy: internalUserId
+    });
 
     // Audit log
-    await supabaseAdmin
-      .from('audit_logs')
-      .insert({
-        user_id: internalUserId,
-        user_type: 'internal',
-        action: 'update',
-        resource_type: 'leads',
-        resource_id: leadId,
-        new_values: lead
-      });
+    await auditService.log(req, {
+      action: 'update',
+      resourceType: 'leads',
+      resourceId: leadId,
+      newValues: lead
+    });
 
     res.json({
       success: true,
@@ -384,10 +259,9 @@ router.put('/:id', authenticateInternal, async (req, res) => {
 // @route   PUT /api/leads/:id/status
 // @desc    Update lead status and log activity
 // @access  Private (Internal)
-router.put('/:id/status', authenticateInternal, async (req, res) => {
+router.put('/:id/status', authenticateInternal, requirePermission('leads.write'), async (req, res) => {
   try {
     const leadId = req.params.id;
-    const internalUserId = req.internalUser.id;
     const { status, notes } = req.body;
 
     if (!status) {
@@ -399,61 +273,39 @@ router.put('/:id/status', authenticateInternal, async (req, res) => {
 
     console.log(`🔄 Updating lead status: ${leadId} -> ${status}`);
 
-    const validStatuses = ['new', 'contacted', 'qualified', 'proposal', 'negotiation', 'converted', 'lost'];
-    if (!validStatuses.includes(status)) {
-      return res.status(400).json({
+    const previous = await leadRepository.findById(leadId);
+
+    if (!previous) {
+      return res.status(404).json({
         success: false,
-        message: `Invalid status. Must be one of: ${validStatuses.join(', ')}`
+        message: 'Lead not found'
       });
     }
 
-    const { data: lead, error } = await supabaseAdmin
-      .from('leads')
-      .update({
-        status,
-        last_contact: new Date().toISOString(),
-        updated_at: new Date().toISOString()
-      })
-      .eq('id', leadId)
-      .select()
-      .single();
-
-    if (error || !lead) {
-      console.error('❌ Lead status update error:', error);
-      return res.status(500).json({
+    // The lead's referral follows it through the pipeline (services/pipeline-service.js)
+    const result = await pipelineService.moveLead(req, previous, status, {
+      updates: { last_contact: new Date().toISOString() },
+      notes
+    });
+
+    if (!result.success) {
+      return res.status(result.status).json({
         success: false,
-        message: 'Failed to update lead status'
+        message: result.message,
+        reason: result.reason
       });
     }
 
-    // Log status change activity
-    await supabaseAdmin
-      .from('lead_activities')
-      .insert({
-        lead_id: leadId,
-        type: 'status_changed',
-        notes: notes || `Status changed to ${status}`,
-        recorded_by: internalUserId
-      });
+    const { lead } = result;
 
-    // If lead has a referral, update referral status accordingly
-    if (lead.referral_id) {
-      let referralStatus = 'contacted';
-      
-      if (status === 'converted') referralStatus = 'won';
-      else if (status === 'lost') referralStatus = 'lost';
-      else if (status === 'qualified') referralStatus = 'meeting_scheduled';
-      else if (status === 'proposal') referralStatus = 'proposal_sent';
-      else if (status === 'negotiation') referralStatus = 'negotiation';
-
-      await supabaseAdmin
-        .from('referrals')
-        .update({
-          status: referralStatus,
-          updated_at: new Date().toISOString()
-        })
-        .eq('id', lead.referral_id);
-    }
+    await auditService.log(req, {
+      action: 'update',
+      resourceType: 'leads',
+      resourceId: leadId,
+      oldValues: { status: previous.status },
+      newValues: { status },
+      reason: notes || null
+    });
 
     res.json({
       success: true,
@@ -473,7 +325,7 @@ router.put('/:id/status', authenticateInternal, async (req, res) => {
 // @route   POST /api/leads/:id/activities
 // @desc    Log lead activities (calls, emails, meetings)
 // @access  Private (Internal)
-router.post('/:id/activities', authenticateInternal, async (req, res) => {
+router.post('/:id/activities', authenticateInternal, requirePermission('leads.write'), async (req, res) => {
   try {
     const leadId = req.params.id;
     const internalUserId = req.internalUser.id;
@@ -496,36 +348,24 @@ router.post('/:id/activities', authenticateInternal, async (req, res) => {
       });
     }
 
-    const { data: activity, error } = await supabaseAdmin
-      .from('lead_activities')
-      .insert({
-        lead_id: leadId,
-        type,
-        notes,
-        recorded_by: internalUserId
-      })
-      .select(`
-        *,
-        internal_users:recorded_by (name)
-      `)
-      .single();
-
-    if (error) {
-      console.error('❌ Activity logging error:', error);
-      return res.status(500).json({
-        success: false,
-        message: 'Failed to log activity'
-      });
-    }
+    const activity = await leadRepository.logActivity(leadId, {
+      type,
+      notes,
+      recordedBy: internalUserId
+    }, `
+      *,
+      internal_users:recorded_by (name)
+    `);
+
+    await auditService.log(req, {
+      action: 'create',
+      resourceType: 'lead_activities',
+      resourceId: activity.id,
+      newValues: activity
+    });
 
     // Update lead's last_contact timestamp
-    await supabaseAdmin
-      .from('leads')
-      .update({
-        last_contact: new Date().toISOString(),
-        updated_at: new Date().toISOString()
-      })
-      .eq('id', leadId);
+    await leadRepository.touch(leadId);
 
     res.status(201).json({
       success: true,
@@ -545,99 +385,45 @@ router.post('/:id/activities', authenticateInternal, async (req, res) => {
 // @route   PATCH /api/leads/:id/payment-complete
 // @desc    Mark lead as fully paid by prospect
 // @access  Private (Internal)
-router.patch('/:id/payment-complete', authenticateInternal, async (req, res) => {
+router.patch('/:id/payment-complete', authenticateInternal, requirePermission('deals.finalize'), async (req, res) => {
   try {
     const leadId = req.params.id;
-    const internalUserId = req.internalUser.id;
 
     console.log(`💰 Marking lead as payment complete: ${leadId}`);
 
-    // Get lead with referral details
-    const { data: lead, error: leadError } = await supabaseAdmin
-      .from('leads')
-      .select(`
-        *,
-        referrals!referral_id (id, partner_id, prospect_company_name, total_commission_earned)
-      `)
-      .eq('id', leadId)
-      .single();
-
-    if (leadError || !lead) {
+    const lead = await leadRepository.findById(leadId);
+
+    if (!lead) {
       return res.status(404).json({
         success: false,
         message: 'Lead not found'
       });
     }
 
-    // Update lead as payment completed
-    const { data: updatedLead, error: updateError } = await supabaseAdmin
-      .from('leads')
-      .update({
-        payment_completed: true,
-        payment_completed_at: new Date().toISOString(),
-        payment_completed_by: internalUserId,
-        status: 'converted',
-        updated_at: new Date().toISOString()
-      })
-      .eq('id', leadId)
-      .select()
-      .single();
-
-    if (updateError) {
-      console.error('❌ Payment completion error:', updateError);
-      return res.status(500).json({
+    // Same move as finalizing the deal: the referral becomes fully_paid (commission eligible)
+    // once confirmed payments cover the deal value, and the partner is notified
+    const result = await pipelineService.finalizeDeal(req, lead, {
+      notes: 'All payments completed by prospect.'
+    });
+
+    if (!result.success) {
+      return res.status(result.status).json({
         success: false,
-        message: 'Failed to mark payment as complete'
+        message: result.message,
+        reason: result.reason
       });
     }
 
-    // Update referral status to fully_paid (this triggers commission eligibility)
-    if (lead.referrals && lead.referrals.id) {
-      await supabaseAdmin
-        .from('referrals')
-        .update({
-          status: 'fully_paid',
-          updated_at: new Date().toISOString()
-        })
-        .eq('id', lead.referrals.id);
-
-      // Create notification for partner
-      await supabaseAdmin
-        .from('partner_notifications')
-        .insert({
-          partner_id: lead.referrals.partner_id,
-          title: 'Payments Completed 🎉',
-          message: `All payments for ${lead.referrals.prospect_company_name} have been completed. Your commission of ₦${(lead.referrals.total_commission_earned || 0).toLocaleString()} is now available for payout.`,
-          type: 'payment_completed',
-          metadata: {
-            referral_id: lead.referrals.id,
-            commission_amount: lead.referrals.total_commission_earned
-          }
-        });
-    }
-
-    // Log activity
-    await supabaseAdmin
-      .from('lead_activities')
-      .insert({
-        lead_id: leadId,
-        type: 'status_changed',
-        notes: 'All payments completed by prospect. Lead converted to customer.',
-        recorded_by: internalUserId
-      });
+    const updatedLead = result.lead;
 
     // Create audit log
-    await supabaseAdmin
-      .from('audit_logs')
-      .insert({
-        user_id: internalUserId,
-        user_type: 'internal',
-        action: 'update',
-        resource_type: 'leads',
-        resource_id: leadId,
-        old_values: lead,
-        new_values: updatedLead
-      });
+    await auditService.log(req, {
+      action: 'update',
+      resourceType: 'leads',
+      resourceId: leadId,
+      oldValues: lead,
+      newValues: updatedLead
+    });
 
     res.json({
       success: true,
@@ -0,0 +1,215 @@
+import express from 'express';
+import { supabaseAdmin } from '../config/supabase.js';
+import { authenticatePartner, authenticateInternal, requirePermission } from '../middleware/auth.js';
+import ledgerService from '../services/ledger-service.js';
+import auditService from '../services/audit-service.js';
+
+const router = express.Router();
+
+// Statement range from ?from=YYYY-MM-DD&to=YYYY-MM-DD (both inclusive); defaults to year to date
+function parseStatementRange(query) {
+  const today = new Date().toISOString().split('T')[0];
+  const fromDate = query.from || `${today.slice(0, 4)}-01-01`;
+  const toDate = query.to || today;
+
+  const from = new Date(`${fromDate}T00:00:00.000Z`);
+  const to = new Date(`${toDate}T00:00:00.000Z`);
+
+  if (isNaN(from) || isNaN(to) || to < from) {
+    return null;
+  }
+
+  // Exclusive upper bound: the day after `to`
+  to.setUTCDate(to.getUTCDate() + 1);
+
+  return { from: from.toISOString(), to: to.toISOString(), fromDate, toDate };
+}
+
+function sendStatement(res, statement, range, format) {
+  if (format === 'csv') {
+    res.setHeader('Content-Type', 'text/csv');
+    res.setHeader('Content-Disposition', `attachment; filename="statement_${range.fromDate}_${range.toDate}.csv"`);
+    return res.send(ledgerService.statementToCsv(statement));
+  }
+
+  res.json({
+    success: true,
+    data: {
+      statement: { ...statement, from: range.fromDate, to: range.toDate }
+    }
+  });
+}
+
+// @route   GET /api/ledger/balance
+// @desc    PARTNER: Commission balance from the ledger
+// @access  Private (Partner)
+router.get('/balance', authenticatePartner, async (req, res) => {
+  try {
+    const balance = await ledgerService.getBalance(req.partner.id);
+
+    res.json({
+      success: true,
+      data: { balance }
+    });
+
+  } catch (error) {
+    console.error('💥 Partner balance error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while fetching balance'
+    });
+  }
+});
+
+// @route   GET /api/ledger/statement
+// @desc    PARTNER: Statement for a date range (?from, ?to, ?format=csv)
+// @access  Private (Partner)
+router.get('/statement', authenticatePartner, async (req, res) => {
+  try {
+    const range = parseStatementRange(req.query);
+
+    if (!range) {
+      return res.status(400).json({
+        success: false,
+        message: 'from and to must be valid dates (YYYY-MM-DD) with from on or before to'
+      });
+    }
+
+    console.log(`📋 Generating statement for partner ${req.partner.id}: ${range.fromDate} to ${range.toDate}`);
+
+    const statement = await ledgerService.getStatement(req.partner.id, range);
+    sendStatement(res, statement, range, req.query.format);
+
+  } catch (error) {
+    console.error('💥 Partner statement error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while generating statement'
+    });
+  }
+});
+
+// @route   GET /api/ledger/reconciliation
+// @desc    INTERNAL: Check ledger totals against client_payments and partner_payouts
+// @access  Private (Internal)
+router.get('/reconciliation', authenticateInternal, requirePermission('reports.read'), async (req, res) => {
+  try {
+    console.log('🧮 Running ledger reconciliation');
+
+    const result = await ledgerService.reconcile({ partnerId: req.query.partner_id || null });
+
+    if (!result.reconciled) {
+      console.error(`❌ Ledger out of balance: ${result.partners.length} partner(s), ${result.unbalanced_transactions.length} unbalanced transaction(s)`);
+    }
+
+    res.json({
+      success: true,
+      data: result
+    });
+
+  } catch (error) {
+    console.error('💥 Ledger reconciliation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while reconciling ledger'
+    });
+  }
+});
+
+// @route   GET /api/ledger/partners/:partnerId/balance
+// @desc    INTERNAL: A partner's commission balance
+// @access  Private (Internal)
+router.get('/partners/:partnerId/balance', authenticateInternal, requirePermission('payouts.read'), async (req, res) => {
+  try {
+    const balance = await ledgerService.getBalance(req.params.partnerId);
+
+    res.json({
+      success: true,
+      data: { balance }
+    });
+
+  } catch (error) {
+    console.error('💥 Partner balance error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while fetching balance'
+    });
+  }
+});
+
+// @route   GET /api/ledger/partners/:partnerId/statement
+// @desc    INTERNAL: A partner's statement for a date range (?from, ?to, ?format=csv)
+// @access  Private (Internal)
+router.get('/partners/:partnerId/statement', authenticateInternal, requirePermission('payouts.read'), async (req, res) => {
+  try {
+    const range = parseStatementRange(req.query);
+
+    if (!range) {
+      return res.status(400).json({
+        success: false,
+        message: 'from and to must be valid dates (YYYY-MM-DD) with from on or before to'
+      });
+    }
+
+    const statement = await ledgerService.getStatement(req.params.partnerId, range);
+    sendStatement(res, statement, range, req.query.format);
+
+  } catch (error) {
+    console.error('💥 Partner statement error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while generating statement'
+    });
+  }
+});
+
+// @route   POST /api/ledger/partners/:partnerId/fees
+// @desc    INTERNAL: Charge a fee against a partner's balance
+// @access  Private (Internal)
+router.post('/partners/:partnerId/fees', authenticateInternal, requirePermission('payouts.approve'), async (req, res) => {
+  try {
+    const internalUserId = req.internalUser.id;
+    const { partnerId } = req.params;
+    const { amount, description, referral_id } = req.body;
+    const feeAmount = parseFloat(amount);
+
+    if (!Number.isFinite(feeAmount) || feeAmount <= 0 || !description) {
+      return res.status(400).json({
+        success: false,
+        message: 'A positive amount and a description are required'
+      });
+    }
+
+    const posting = await ledgerService.postFee({
+      partnerId,
+      referralId: referral_id || null,
+      amount: feeAmount,
+      description,
+      createdBy: internalUserId
+    });
+
+    // Audit log
+    await auditService.log(req, {
+      action: 'create',
+      resourceType: 'ledger_entries',
+      resourceId: posting.transaction_id,
+      newValues: posting.entries,
+      notes: `Fee of ₦${feeAmount.toLocaleString()} charged to partner ${partnerId}: ${description}`
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Fee posted',
+      data: posting
+    });
+
+  } catch (error) {
+    console.error('💥 Fee posting error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while posting fee'
+    });
+  }
+});
+
+export default router;
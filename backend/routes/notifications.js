@@ -1,14 +1,15 @@
 import express from 'express';
-import { authenticatePartner, authenticateInternal, authenticateUser } from '../middleware/auth.js';
+import { authenticatePartner, authenticateInternal, requirePermission, authenticateUser } from '../middleware/auth.js';
 import { validateNotification } from '../middleware/validation.js';
-import { supabase } from '../config/supabase.js';
+import auditService from '../services/audit-service.js';
+import { internalUserRepository, notificationRepository, partnerRepository } from '../repositories/index.js';
 
 const router = express.Router();
 
 // @route   POST /api/notifications
 // @desc    Send notifications to partners or internal users
 // @access  Private (Internal)
-router.post('/', authenticateInternal, validateNotification, async (req, res) => {
+router.post('/', authenticateInternal, requirePermission('notifications.send'), validateNotification, async (req, res) => {
   try {
     const internalUserId = req.internalUser.id;
     const { user_id, user_type, type, title, message, metadata } = req.body;
@@ -19,12 +20,9 @@ router.post('/', authenticateInternal, validateNotification, async (req, res) =>
 
     if (user_type === 'all') {
       // Send to all partners
-      const { data: partners } = await supabase
-        .from('partners')
-        .select('id')
-        .eq('is_active', true);
+      const partners = await partnerRepository.findActive();
 
-      const notifications = (partners || []).map(partner => ({
+      const notifications = partners.map(partner => ({
         user_id: partner.id,
         user_type: 'partner',
         type,
@@ -37,48 +35,31 @@ router.post('/', authenticateInternal, validateNotification, async (req, res) =>
         }
       }));
 
-      const { data: createdNotifications, error } = await supabase
-        .from('notifications')
-        .insert(notifications)
-        .select();
-
-      if (error) throw error;
-
-      notificationData = createdNotifications;
+      notificationData = await notificationRepository.createMany(notifications);
 
     } else {
       // Send to specific user or user type
-      const { data: notification, error } = await supabase
-        .from('notifications')
-        .insert({
-          user_id: user_id || null,
-          user_type,
-          type,
-          title,
-          message,
-          metadata: {
-            ...metadata,
-            sent_by: internalUserId
-          }
-        })
-        .select()
-        .single();
-
-      if (error) throw error;
+      const notification = await notificationRepository.create({
+        user_id: user_id || null,
+        user_type,
+        type,
+        title,
+        message,
+        metadata: {
+          ...metadata,
+          sent_by: internalUserId
+        }
+      });
 
       notificationData = [notification];
     }
 
     // Audit log
-    await supabase
-      .from('audit_logs')
-      .insert({
-        user_id: internalUserId,
-        user_type: 'internal',
-        action: 'create',
-        resource_type: 'notifications',
-        notes: `Notification sent: ${type} to ${user_type}${user_id ? ` (user: ${user_id})` : ''}`
-      });
+    await auditService.log(req, {
+      action: 'create',
+      resourceType: 'notifications',
+      notes: `Notification sent: ${type} to ${user_type}${user_id ? ` (user: ${user_id})` : ''}`
+    });
 
     res.status(201).json({
       success: true,
@@ -108,11 +89,11 @@ router.get('/', authenticateUser, async (req, res) => {
 
     // Determine user type
     const [partner, internal] = await Promise.all([
-      supabase.from('partners').select('id').eq('id', userId).single(),
-      supabase.from('internal_users').select('id').eq('id', userId).single()
+      partnerRepository.findById(userId, 'id'),
+      internalUserRepository.findById(userId, 'id')
     ]);
 
-    const userType = partner.data ? 'partner' : internal.data ? 'internal' : null;
+    const userType = partner ? 'partner' : internal ? 'internal' : null;
 
     if (!userType) {
       return res.status(403).json({
@@ -121,38 +102,20 @@ router.get('/', authenticateUser, async (req, res) => {
       });
     }
 
-    // Build query based on user type
-    let query = supabase
-      .from('notifications')
-      .select('*', { count: 'exact' })
-      .or(`user_id.eq.${userId},user_type.eq.${userType},user_type.eq.all`)
-      .order('created_at', { ascending: false })
-      .range(offset, offset + limit - 1);
-
-    if (unread_only === 'true') {
-      query = query.is('read_at', null);
-    }
-
-    if (type) {
-      query = query.eq('type', type);
-    }
-
-    const { data: notifications, error, count } = await query;
-
-    if (error) throw error;
+    const { rows: notifications, count } = await notificationRepository.listForUser(userId, userType, {
+      offset,
+      limit: Number(limit),
+      unreadOnly: unread_only === 'true',
+      type
+    });
 
-    // Get unread count
-    const { data: unreadNotifications } = await supabase
-      .from('notifications')
-      .select('id')
-      .or(`user_id.eq.${userId},user_type.eq.${userType},user_type.eq.all`)
-      .is('read_at', null);
+    const unreadCount = await notificationRepository.countUnread(userId, userType);
 
     res.json({
       success: true,
       data: {
-        notifications: notifications || [],
-        unread_count: unreadNotifications?.length || 0,
+        notifications,
+        unread_count: unreadCount,
         pagination: {
           page: parseInt(page),
           limit: parseInt(limit),
@@ -214,14 +177,9 @@ router.patch('/:id/read', async (req, res) => {
     console.log(`📝 Marking notification as read: ${notificationId} by user: ${userId}`);
 
     // Verify notification exists and belongs to user
-    const { data: notification, error: fetchError } = await supabase
-      .from('notifications')
-      .select('*')
-      .eq('id', notificationId)
-      .or(`user_id.eq.${userId},user_type.eq.all`)
-      .single();
+    const notification = await notificationRepository.findForUser(notificationId, userId);
 
-    if (fetchError || !notification) {
+    if (!notification) {
       return res.status(404).json({
         success: false,
         message: 'Notification not found or access denied'
@@ -229,22 +187,7 @@ router.patch('/:id/read', async (req, res) => {
     }
 
     // Mark as read
-    const { data: updatedNotification, error } = await supabase
-      .from('notifications')
-      .update({
-        read_at: new Date().toISOString()
-      })
-      .eq('id', notificationId)
-      .select()
-      .single();
-
-    if (error) {
-      console.error('❌ Mark read error:', error);
-      return res.status(500).json({
-        success: false,
-        message: 'Failed to mark notification as read'
-      });
-    }
+    const updatedNotification = await notificationRepository.markRead(notificationId);
 
     res.json({
       success: true,
@@ -1,6 +1,12 @@
 import express from 'express';
-import { supabase, supabaseAdmin } from '../config/supabase.js';
 import { authenticateUser, authenticatePartner } from '../middleware/auth.js';
+import commissionService from '../services/commission-service.js';
+import ledgerService from '../services/ledger-service.js';
+import payoutRequestService from '../services/payout-request-service.js';
+import auditService from '../services/audit-service.js';
+import referralTrackingService from '../services/referral-tracking-service.js';
+import referralProtectionService from '../services/referral-protection-service.js';
+import { partnerRepository, payoutRepository, referralRepository } from '../repositories/index.js';
 
 const router = express.Router();
 
@@ -14,88 +20,50 @@ router.get('/dashboard', authenticatePartner, async (req, res) => {
     console.log(`📊 Fetching partner dashboard: ${partnerId}`);
 
     // Get comprehensive dashboard data
-    const [ 
-      referralsResponse,
-      payoutsResponse,
-      recentActivityResponse,
-      eligiblePayoutsResponse
+    const [
+      referrals,
+      payouts,
+      recentReferrals,
+      payoutAvailability
     ] = await Promise.all([
       // Referrals statistics
-      supabase
-        .from('referrals')
-        .select('status, total_commission_earned, total_deal_value, created_at')
-        .eq('partner_id', partnerId),
+      referralRepository.findByPartner(partnerId, 'id, status, total_commission_earned, total_deal_value, created_at'),
 
       // Payouts summary
-      supabase
-        .from('partner_payouts')
-        .select('amount, status, requested_at')
-        .eq('partner_id', partnerId),
+      payoutRepository.findByPartner(partnerId, 'amount, status, requested_at'),
 
       // Recent referrals
-      supabase
-        .from('referrals')
-        .select(`
-          id,
-          prospect_company_name,
-          referral_code,
-          status,
-          total_commission_earned,
-          created_at
-        `)
-        .eq('partner_id', partnerId)
-        .order('created_at', { ascending: false })
-        .limit(5),
-
-      // Eligible payouts (fully_paid referrals with commission, payout not requested)
-      supabase
-        .from('referrals')
-        .select('id, prospect_company_name, total_commission_earned, payout_requested')
-        .eq('partner_id', partnerId)
-        .eq('status', 'fully_paid')
-        .eq('commission_eligible', true)
-        .eq('payout_requested', false)
+      referralRepository.findByPartner(partnerId, `
+        id,
+        prospect_company_name,
+        referral_code,
+        status,
+        protected_until,
+        total_commission_earned,
+        created_at
+      `, { limit: 5 }),
+
+      // Commission not yet committed to a payout, net of clawbacks
+      payoutRequestService.getAvailability(partnerId)
     ]);
 
-    if (referralsResponse.error) {
-      console.error('❌ Dashboard data error:', referralsResponse.error);
-      return res.status(500).json({
-        success: false,
-        message: 'Failed to fetch dashboard data'
-      });
-    }
-
-    const referrals = referralsResponse.data || [];
-    const payouts = payoutsResponse.data || [];
-    const recentReferrals = recentActivityResponse.data || [];
-    const eligiblePayouts = eligiblePayoutsResponse.data || [];
+    const eligiblePayouts = payoutAvailability.referrals;
 
     // Calculate comprehensive statistics
     const totalReferrals = referrals.length;
     const activeReferrals = referrals.filter(r => 
-      !['won', 'fully_paid', 'lost'].includes(r.status)
+      !['won', 'fully_paid', 'lost', 'expired'].includes(r.status)
     ).length;
 
-    const totalCommissionEarned = referrals.reduce((sum, r) => 
-      sum + (r.total_commission_earned || 0), 0
-    );
-
     const totalDealValue = referrals.reduce((sum, r) => 
       sum + (r.total_deal_value || 0), 0
     );
 
-    // Calculate available for payout (fully_paid referrals with commission)
-    const eligibleReferrals = referrals.filter(r => 
-      r.status === 'fully_paid' && r.total_commission_earned > 0
-    );
-    const availableForPayout = eligibleReferrals.reduce((sum, r) => 
-      sum + (r.total_commission_earned || 0), 0
-    );
-
-    // Payout statistics
-    const totalPaidOut = payouts
-      .filter(p => p.status === 'paid')
-      .reduce((sum, p) => sum + (p.amount || 0), 0);
+    // Earnings and payout figures from the ledger
+    const balance = await ledgerService.getBalance(partnerId);
+    const totalCommissionEarned = balance.total_earned;
+    const availableForPayout = balance.available_for_payout;
+    const totalPaidOut = balance.total_paid_out;
 
     const pendingPayouts = payouts
       .filter(p => p.status === 'pending' || p.status === 'processing')
@@ -105,14 +73,14 @@ router.get('/dashboard', authenticatePartner, async (req, res) => {
     const sixMonthsAgo = new Date();
     sixMonthsAgo.setMonth(sixMonthsAgo.getMonth() - 6);
 
-    const { data: monthlyCommissions } = await supabase
-      .from('referrals')
-      .select('total_commission_earned, created_at')
-      .eq('partner_id', partnerId)
-      .gte('created_at', sixMonthsAgo.toISOString());
+    const monthlyCommissions = await referralRepository.findByPartner(
+      partnerId,
+      'total_commission_earned, created_at',
+      { since: sixMonthsAgo.toISOString() }
+    );
 
     // ✅ FIXED: Remove "this." - call the standalone function directly
-    const monthlyTrend = calculateMonthlyTrend(monthlyCommissions || []);
+    const monthlyTrend = calculateMonthlyTrend(monthlyCommissions);
 
     // Calculate referral breakdown
     const referralsBreakdown = {
@@ -123,16 +91,21 @@ router.get('/dashboard', authenticatePartner, async (req, res) => {
       negotiation: referrals.filter(r => r.status === 'negotiation').length,
       won: referrals.filter(r => r.status === 'won').length,
       fully_paid: referrals.filter(r => r.status === 'fully_paid').length,
-      lost: referrals.filter(r => r.status === 'lost').length
+      lost: referrals.filter(r => r.status === 'lost').length,
+      expired: referrals.filter(r => r.status === 'expired').length
     };
 
+    // Link clicks through to won deals across all of the partner's referrals
+    const funnel = referralTrackingService.summarize(await referralTrackingService.getFunnels(referrals));
+
     // Check quick actions
     const quickActions = {
       can_create_referral: true,
-      can_request_payout: eligiblePayouts.length > 0,
+      can_request_payout: payoutAvailability.can_request,
       has_pending_verification: false,
       eligible_payouts_count: eligiblePayouts.length,
-      eligible_payouts_amount: eligiblePayouts.reduce((sum, r) => sum + (r.total_commission_earned || 0), 0)
+      eligible_payouts_amount: payoutAvailability.available_amount,
+      minimum_payout: payoutAvailability.minimum_payout
     };
 
     res.json({
@@ -148,12 +121,15 @@ router.get('/dashboard', authenticatePartner, async (req, res) => {
           pending_payouts: pendingPayouts
         },
         referrals_breakdown: referralsBreakdown,
-        recent_referrals: recentReferrals,
+        funnel,
+        recent_referrals: await referralProtectionService.withProtection(recentReferrals),
         monthly_trend: monthlyTrend,
         quick_actions: quickActions,
         payout_eligibility: {
           eligible_count: eligiblePayouts.length,
-          eligible_amount: eligiblePayouts.reduce((sum, r) => sum + (r.total_commission_earned || 0), 0),
+          eligible_amount: payoutAvailability.available_amount,
+          clawback_balance: payoutAvailability.clawback_balance,
+          minimum_payout: payoutAvailability.minimum_payout,
           referrals: eligiblePayouts
         }
       }
@@ -177,13 +153,9 @@ router.get('/profile', authenticateUser, async (req, res) => {
 
     console.log(`👤 Fetching partner profile: ${partnerId}`);
 
-    const { data: partner, error } = await supabase
-      .from('partners')
-      .select('*')
-      .eq('id', partnerId)
-      .single();
+    const partner = await partnerRepository.findById(partnerId);
 
-    if (error || !partner) {
+    if (!partner) {
       return res.status(404).json({
         success: false,
         message: 'Partner profile not found'
@@ -231,23 +203,17 @@ router.put('/profile', authenticateUser, async (req, res) => {
       });
     }
 
-    const { data: partner, error } = await supabase
-      .from('partners')
-      .update({
-        contact_name,
-        phone,
-        address,
-        updated_at: new Date().toISOString()
-      })
-      .eq('id', partnerId)
-      .select()
-      .single();
-
-    if (error || !partner) {
-      console.error('❌ Profile update error:', error);
-      return res.status(500).json({
+    const partner = await partnerRepository.update(partnerId, {
+      contact_name,
+      phone,
+      address,
+      updated_at: new Date().toISOString()
+    });
+
+    if (!partner) {
+      return res.status(404).json({
         success: false,
-        message: 'Failed to update profile: ' + error?.message
+        message: 'Partner profile not found'
       });
     }
 
@@ -255,16 +221,12 @@ router.put('/profile', authenticateUser, async (req, res) => {
     const { password_hash, ...safePartnerData } = partner;
 
     // Audit log
-    await supabase
-      .from('audit_logs')
-      .insert({
-        user_id: partnerId,
-        user_type: 'partner',
-        action: 'update',
-        resource_type: 'partners',
-        resource_id: partnerId,
-        new_values: safePartnerData
-      });
+    await auditService.log(req, {
+      action: 'update',
+      resourceType: 'partners',
+      resourceId: partnerId,
+      newValues: safePartnerData
+    });
 
     res.json({
       success: true,
@@ -292,62 +254,32 @@ router.get('/commissions', authenticatePartner, async (req, res) => {
 
     console.log(`💰 Fetching commission data for partner: ${partnerId}`);
 
-    const [
-      referralsResponse,
-      payoutsResponse
-    ] = await Promise.all([
-      // Referrals with commissions - USE ADMIN CLIENT
-      supabaseAdmin
-        .from('referrals')
-        .select(`
-          id,
-          prospect_company_name,
-          referral_code,
-          status,
-          estimated_deal_value,
-          total_commission_earned,
-          total_deal_value,
-          commission_eligible,
-          created_at
-        `)
-        .eq('partner_id', partnerId)
-        .order('created_at', { ascending: false }),
-
-      // Payout history - USE ADMIN CLIENT
-      supabaseAdmin
-        .from('partner_payouts')
-        .select('*')
-        .eq('partner_id', partnerId)
-        .order('requested_at', { ascending: false })
+    const [referrals, payouts] = await Promise.all([
+      // Referrals with commissions
+      referralRepository.findByPartner(partnerId, `
+        id,
+        prospect_company_name,
+        referral_code,
+        status,
+        estimated_deal_value,
+        total_commission_earned,
+        total_deal_value,
+        commission_eligible,
+        created_at
+      `),
+
+      // Payout history
+      payoutRepository.findByPartner(partnerId)
     ]);
 
-    if (referralsResponse.error) {
-      console.error('❌ Commission data error:', referralsResponse.error);
-      return res.status(500).json({
-        success: false,
-        message: 'Failed to fetch commission data'
-      });
-    }
-
-    const referrals = referralsResponse.data || [];
-    const payouts = payoutsResponse.data || [];
-
-    // Calculate commission summary
-    const totalCommissionEarned = referrals.reduce((sum, r) => 
-      sum + (r.total_commission_earned || 0), 0
-    );
-
-    const availableForPayout = referrals
-      .filter(r => r.commission_eligible && r.total_commission_earned > 0)
-      .reduce((sum, r) => sum + (r.total_commission_earned || 0), 0);
-
-    const totalPaidOut = payouts
-      .filter(p => p.status === 'paid')
-      .reduce((sum, p) => sum + (p.amount || 0), 0);
+    // Commission summary from the ledger
+    const balance = await ledgerService.getBalance(partnerId);
+    const totalCommissionEarned = balance.total_earned;
+    const availableForPayout = balance.available_for_payout;
+    const totalPaidOut = balance.total_paid_out;
+    const pendingCommission = balance.pending_commission;
 
-    const pendingCommission = referrals
-      .filter(r => !r.commission_eligible && r.total_commission_earned > 0)
-      .reduce((sum, r) => sum + (r.total_commission_earned || 0), 0);
+    const { rate: commissionRate } = await commissionService.getEffectiveRate({ partnerId });
 
     console.log(`💰 Commission Summary for partner ${partnerId}:`, {
       totalCommissionEarned,
@@ -364,7 +296,9 @@ router.get('/commissions', authenticatePartner, async (req, res) => {
           total_commission_earned: totalCommissionEarned,
           available_for_payout: availableForPayout,
           total_paid_out: totalPaidOut,
-          pending_commission: pendingCommission
+          pending_commission: pendingCommission,
+          clawback_outstanding: balance.clawback_outstanding,
+          commission_rate: commissionRate
         },
         referrals: referrals.map(r => ({
           id: r.id,
@@ -1,13 +1,24 @@
 import express from 'express';
-import { supabase, supabaseAdmin } from '../config/supabase.js';
-import { authenticateInternal } from '../middleware/auth.js';
+import { authenticateInternal, requirePermission } from '../middleware/auth.js';
+import commissionService from '../services/commission-service.js';
+import commissionAccrualService from '../services/commission-accrual-service.js';
+import commissionAdjustmentService, { PAYMENT_STATUSES } from '../services/commission-adjustment-service.js';
+import paymentService from '../services/payment-service.js';
+import auditService from '../services/audit-service.js';
+import {
+  leadRepository,
+  notificationRepository,
+  partnerRepository,
+  paymentRepository,
+  referralRepository
+} from '../repositories/index.js';
 
 const router = express.Router();
 
 // @route   POST /api/payments
-// @desc    INTERNAL: Record client payment (triggers 5% commission via database trigger)
+// @desc    INTERNAL: Record client payment (commission from the commission rule in effect)
 // @access  Private (Internal)
-router.post('/', authenticateInternal, async (req, res) => {
+router.post('/', authenticateInternal, requirePermission('payments.write'), async (req, res) => {
   try {
     const internalUserId = req.internalUser.id;
     const {
@@ -36,14 +47,9 @@ router.post('/', authenticateInternal, async (req, res) => {
     }
 
     // Get the lead to find the referral_id
-    const { data: lead, error: leadError } = await supabaseAdmin
-      .from('leads')
-      .select('id, referral_id, company_name, contact_name, referral_code')
-      .eq('id', lead_id)
-      .single();
-
-    if (leadError || !lead) {
-      console.error('❌ Lead not found:', leadError);
+    const lead = await leadRepository.findById(lead_id, 'id, referral_id, company_name, contact_name, referral_code, industry');
+
+    if (!lead) {
       return res.status(404).json({
         success: false,
         message: 'Lead not found'
@@ -59,65 +65,32 @@ router.post('/', authenticateInternal, async (req, res) => {
 
     console.log(`🔍 Found lead: ${lead.company_name} with referral_id: ${lead.referral_id}`);
 
-    // Calculate commission (5%)
-    const commission_calculated = Math.round(amount * 0.05);
-
-    // Record the payment in client_payments
-    const { data: payment, error: paymentError } = await supabaseAdmin
-      .from('client_payments')
-      .insert({
-        referral_id: lead.referral_id,
-        amount: amount,
-        commission_calculated: commission_calculated,
-        payment_date: payment_date,
-        payment_method: payment_method,
-        transaction_reference: transaction_reference,
-        status: 'confirmed',
-        recorded_by: internalUserId
-      })
-      .select()
-      .single();
-
-    if (paymentError) {
-      console.error('❌ Payment recording error:', paymentError);
-      return res.status(500).json({
+    // A transaction is recorded once (client_payments.transaction_reference is unique)
+    if (transaction_reference && await paymentService.findByTransactionReference(transaction_reference)) {
+      return res.status(409).json({
         success: false,
-        message: 'Failed to record payment: ' + paymentError.message
+        message: `A payment with transaction reference ${transaction_reference} is already recorded`
       });
     }
 
-    console.log(`✅ Payment recorded: ${payment.id}`);
-    console.log(`💰 Commission calculated: ₦${commission_calculated}`);
+    const { payment, commissionResult } = await paymentService.recordPayment({
+      referralId: lead.referral_id,
+      amount,
+      paymentDate: payment_date,
+      paymentMethod: payment_method,
+      transactionReference: transaction_reference,
+      industry: lead.industry,
+      recordedBy: internalUserId
+    });
+    const commission_calculated = commissionResult.commission;
 
     // Create audit log
-    await supabaseAdmin
-      .from('audit_logs')
-      .insert({
-        user_id: internalUserId,
-        user_type: 'internal',
-        action: 'create',
-        resource_type: 'client_payments',
-        resource_id: payment.id,
-        new_values: payment
-      });
-
-    // Create notification for partner
-    const { data: referral } = await supabaseAdmin
-      .from('referrals')
-      .select('partner_id, prospect_company_name')
-      .eq('id', lead.referral_id)
-      .single();
-
-    if (referral && referral.partner_id) {
-      await supabaseAdmin
-        .from('partner_notifications')
-        .insert({
-          partner_id: referral.partner_id,
-          title: 'Payment Received',
-          message: `A payment of ₦${amount.toLocaleString()} was recorded for ${referral.prospect_company_name}. Your commission: ₦${commission_calculated.toLocaleString()}`,
-          type: 'payment_received'
-        });
-    }
+    await auditService.log(req, {
+      action: 'create',
+      resourceType: 'client_payments',
+      resourceId: payment.id,
+      newValues: payment
+    });
 
     res.status(201).json({
       success: true,
@@ -125,6 +98,7 @@ router.post('/', authenticateInternal, async (req, res) => {
       data: {
         payment,
         commission: commission_calculated,
+        commission_rule: commissionResult.rule,
         lead: {
           company_name: lead.company_name,
           contact_name: lead.contact_name
@@ -144,7 +118,7 @@ router.post('/', authenticateInternal, async (req, res) => {
 // @route   GET /api/payments
 // @desc    Get payment history with filtering
 // @access  Private (Internal)
-router.get('/', authenticateInternal, async (req, res) => {
+router.get('/', authenticateInternal, requirePermission('payments.read'), async (req, res) => {
   try {
     const { 
       page = 1, 
@@ -159,46 +133,13 @@ router.get('/', authenticateInternal, async (req, res) => {
 
     console.log(`📋 Fetching payments, page: ${page}`);
 
-    // Build query
-    let query = supabaseAdmin
-      .from('client_payments')
-      .select(`
-        *,
-        referrals!inner (
-          id,
-          prospect_company_name,
-          referral_code,
-          partners!inner (
-            company_name,
-            contact_name
-          )
-        )
-      `, { count: 'exact' })
-      .order('payment_date', { ascending: false })
-      .range(offset, offset + limit - 1);
-
-    // Apply filters
-    if (referral_id) {
-      query = query.eq('referral_id', referral_id);
-    }
-
-    if (date_from) {
-      query = query.gte('payment_date', date_from);
-    }
-
-    if (date_to) {
-      query = query.lte('payment_date', date_to);
-    }
-
-    const { data: payments, error, count } = await query;
-
-    if (error) {
-      console.error('❌ Fetch payments error:', error);
-      return res.status(500).json({
-        success: false,
-        message: 'Failed to fetch payments'
-      });
-    }
+    const { rows: payments, count } = await paymentRepository.list({
+      offset,
+      limit: Number(limit),
+      referralId: referral_id,
+      dateFrom: date_from,
+      dateTo: date_to
+    });
 
     res.json({
       success: true,
@@ -226,48 +167,18 @@ router.get('/', authenticateInternal, async (req, res) => {
 // @route   GET /api/payments/lead/:leadId
 // @desc    INTERNAL: Comprehensive payments for specific lead
 // @access  Private (Internal)
-router.get('/lead/:leadId', authenticateInternal, async (req, res) => {
+router.get('/lead/:leadId', authenticateInternal, requirePermission('payments.read'), async (req, res) => {
   try {
     const { leadId } = req.params;
 
     console.log(`📋 Fetching payments for lead: ${leadId}`);
 
     // ==================== PARALLEL DATA FETCHING ====================
-    const [paymentsResponse, leadResponse] = await Promise.all([
-      // Payments data
-      supabase
-        .from('client_payments')
-        .select(`
-          *,
-          referrals:referral_id (
-            prospect_company_name,
-            referral_code,
-            partners:partner_id (company_name)
-          ),
-          internal_users:recorded_by (name, email)
-        `)
-        .eq('lead_id', leadId)
-        .order('payment_date', { ascending: false }),
-
-      // Lead details
-      supabase
-        .from('leads')
-        .select('company_name, contact_name, status, estimated_value')
-        .eq('id', leadId)
-        .single()
+    const [payments, lead] = await Promise.all([
+      paymentRepository.findByLead(leadId),
+      leadRepository.findById(leadId, 'company_name, contact_name, status, estimated_value')
     ]);
 
-    if (paymentsResponse.error) {
-      console.error('❌ Fetch lead payments error:', paymentsResponse.error);
-      return res.status(500).json({
-        success: false,
-        message: 'Failed to fetch lead payments'
-      });
-    }
-
-    const payments = paymentsResponse.data || [];
-    const lead = leadResponse.data;
-
     // ==================== COMPREHENSIVE CALCULATIONS ====================
     const totalAmount = payments.reduce((sum, p) => sum + (p.amount || 0), 0);
     const totalCommission = payments.reduce((sum, p) => sum + (p.commission_calculated || 0), 0);
@@ -312,57 +223,41 @@ router.get('/lead/:leadId', authenticateInternal, async (req, res) => {
 // @route   GET /api/payments/referral/:referralId
 // @desc    INTERNAL: Comprehensive payments for specific referral
 // @access  Private (Internal)
-router.get('/referral/:referralId', authenticateInternal, async (req, res) => {
+router.get('/referral/:referralId', authenticateInternal, requirePermission('payments.read'), async (req, res) => {
   try {
     const { referralId } = req.params;
 
     console.log(`📋 Fetching payments for referral: ${referralId}`);
 
     // ==================== PARALLEL DATA FETCHING ====================
-    const [paymentsResponse, referralResponse] = await Promise.all([
-      // Payments data
-      supabase
-        .from('client_payments')
-        .select(`
-          *,
-          leads:lead_id (company_name, status, contact_name),
-          internal_users:recorded_by (name, email)
-        `)
-        .eq('referral_id', referralId)
-        .order('payment_date', { ascending: false }),
-
-      // Referral details
-      supabase
-        .from('referrals')
-        .select(`
-          prospect_company_name,
-          referral_code,
-          status,
-          total_deal_value,
-          total_commission_earned,
-          partners:partner_id (company_name, contact_name, email)
-        `)
-        .eq('id', referralId)
-        .single()
+    const [payments, referral] = await Promise.all([
+      paymentRepository.findByReferral(referralId),
+      referralRepository.findById(referralId, `
+        prospect_company_name,
+        referral_code,
+        status,
+        partner_id,
+        industry,
+        total_deal_value,
+        total_commission_earned,
+        partners:partner_id (company_name, contact_name, email)
+      `)
     ]);
 
-    if (paymentsResponse.error) {
-      console.error('❌ Fetch referral payments error:', paymentsResponse.error);
-      return res.status(500).json({
-        success: false,
-        message: 'Failed to fetch referral payments'
-      });
-    }
-
-    const payments = paymentsResponse.data || [];
-    const referral = referralResponse.data;
-
     // ==================== COMMISSION ANALYSIS ====================
     const totalAmount = payments.reduce((sum, p) => sum + (p.amount || 0), 0);
     const totalCommission = payments.reduce((sum, p) => sum + (p.commission_calculated || 0), 0);
 
-    // Commission efficiency analysis
-    const expectedCommission = totalAmount * 0.05; // 5% rate
+    // Commission efficiency analysis against the headline rate of the rule in effect today.
+    // Tiers, bonuses and caps show up as deviation; each payment's commission_breakdown explains it.
+    const [{ rate: commissionRate, rule: commissionRule }, accrual] = await Promise.all([
+      commissionService.getEffectiveRate({
+        partnerId: referral?.partner_id,
+        industry: referral?.industry
+      }),
+      commissionAccrualService.getForReferral(referralId)
+    ]);
+    const expectedCommission = totalAmount * commissionRate;
     const commissionDeviation = totalCommission - expectedCommission;
     const commissionAccuracy = expectedCommission > 0 
       ? Math.abs(commissionDeviation / expectedCommission) * 100 
@@ -379,11 +274,14 @@ router.get('/referral/:referralId', authenticateInternal, async (req, res) => {
           expected_commission: Math.round(expectedCommission * 100) / 100,
           commission_deviation: Math.round(commissionDeviation * 100) / 100,
           commission_accuracy: Math.round((100 - commissionAccuracy) * 100) / 100,
-          commission_rate: '5%'
+          commission_rate: `${Math.round(commissionRate * 10000) / 100}%`,
+          commission_rule: commissionRule
         },
         payout_eligibility: {
-          is_eligible: referral?.status === 'fully_paid',
-          eligible_amount: referral?.total_commission_earned || 0,
+          is_eligible: (accrual?.accrued_commission || 0) > 0,
+          eligible_amount: accrual?.accrued_commission || 0,
+          pending_amount: accrual?.pending_commission || 0,
+          next_clearance_at: accrual?.next_clearance_at || null,
           status: referral?.status || 'unknown'
         }
       }
@@ -401,7 +299,7 @@ router.get('/referral/:referralId', authenticateInternal, async (req, res) => {
 // @route   PATCH /api/payments/:id
 // @desc    INTERNAL: Secure payment update with comprehensive audit trail
 // @access  Private (Internal)
-router.patch('/:id', authenticateInternal, async (req, res) => {
+router.patch('/:id', authenticateInternal, requirePermission('payments.write'), async (req, res) => {
   try {
     const paymentId = req.params.id;
     const internalUserId = req.internalUser.id;
@@ -434,63 +332,67 @@ router.patch('/:id', authenticateInternal, async (req, res) => {
       });
     }
 
+    if (safeUpdateData.status && !PAYMENT_STATUSES.includes(safeUpdateData.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Status must be one of: ${PAYMENT_STATUSES.join(', ')}`
+      });
+    }
+
     // ==================== PRE-UPDATE VERIFICATION ====================
-    const { data: currentPayment, error: fetchError } = await supabase
-      .from('client_payments')
-      .select('*')
-      .eq('id', paymentId)
-      .single();
+    const currentPayment = await paymentRepository.findById(paymentId);
 
-    if (fetchError || !currentPayment) {
+    if (!currentPayment) {
       return res.status(404).json({
         success: false,
         message: 'Payment not found'
       });
     }
 
-    // ==================== SECURE UPDATE ====================
-    const { data: updatedPayment, error: updateError } = await supabase
-      .from('client_payments')
-      .update({
-        ...safeUpdateData,
-        updated_at: new Date().toISOString()
-      })
-      .eq('id', paymentId)
-      .select(`
-        *,
-        referrals:referral_id (prospect_company_name, partners:partner_id(company_name)),
-        leads:lead_id (company_name, contact_name)
-      `)
-      .single();
-
-    if (updateError) {
-      console.error('❌ Payment update error:', updateError);
-      return res.status(500).json({
+    if (safeUpdateData.amount && safeUpdateData.amount < (currentPayment.refunded_amount || 0)) {
+      return res.status(400).json({
         success: false,
-        message: 'Failed to update payment: ' + updateError.message
+        message: `Amount cannot be less than the ₦${currentPayment.refunded_amount.toLocaleString()} already refunded`
       });
     }
 
-    // ==================== COMPREHENSIVE AUDIT LOGGING ====================
-    await supabase
-      .from('audit_logs')
-      .insert({
-        user_id: internalUserId,
-        user_type: 'internal',
-        action: 'update',
-        resource_type: 'client_payments',
-        resource_id: paymentId,
-        old_values: currentPayment,
-        new_values: updatedPayment,
-        changes: Object.keys(safeUpdateData).reduce((acc, key) => {
-          acc[key] = {
-            from: currentPayment[key],
-            to: safeUpdateData[key]
-          };
-          return acc;
-        }, {})
+    // Marking a payment refunded refunds whatever is left of it
+    if (safeUpdateData.status === 'refunded') {
+      safeUpdateData.refunded_amount = safeUpdateData.amount || currentPayment.amount;
+    }
+
+    // ==================== SECURE UPDATE ====================
+    const updatedPayment = await paymentRepository.update(paymentId, {
+      ...safeUpdateData,
+      updated_at: new Date().toISOString()
+    }, `
+      *,
+      referrals:referral_id (prospect_company_name, partners:partner_id(company_name)),
+      leads:lead_id (company_name, contact_name)
+    `);
+
+    // ==================== COMMISSION ADJUSTMENT ====================
+    let commissionChange = null;
+    if (['amount', 'status', 'payment_date'].some(field => safeUpdateData[field] !== undefined)) {
+      commissionChange = await commissionAdjustmentService.applyPaymentChange(currentPayment, updatedPayment, {
+        reason: updateData.reason || safeUpdateData.notes || null,
+        createdBy: internalUserId
       });
 
+      if (commissionChange.adjustment) {
+        await notifyCommissionAdjustment(commissionChange);
+      }
+    }
+
+    // ==================== COMPREHENSIVE AUDIT LOGGING ====================
+    await auditService.log(req, {
+      action: 'update',
+      resourceType: 'client_payments',
+      resourceId: paymentId,
+      oldValues: currentPayment,
+      newValues: updatedPayment
+    });
+
     console.log(`✅ Payment updated: ${paymentId}`);
 
     res.json({
@@ -498,7 +400,13 @@ router.patch('/:id', authenticateInternal, async (req, res) => {
       message: 'Payment updated successfully',
       data: { 
         payment: updatedPayment,
-        changes: Object.keys(safeUpdateData)
+        changes: Object.keys(safeUpdateData),
+        commission: commissionChange && {
+          previous: commissionChange.previousCommission,
+          current: commissionChange.commission,
+          adjustment: commissionChange.adjustment,
+          clawback: commissionChange.clawback
+        }
       }
     });
 
@@ -511,62 +419,135 @@ router.patch('/:id', authenticateInternal, async (req, res) => {
   }
 });
 
+// @route   POST /api/payments/:id/refund
+// @desc    INTERNAL: Refund all or part of a payment and adjust the partner's commission
+// @access  Private (Internal)
+router.post('/:id/refund', authenticateInternal, requirePermission('payments.write'), async (req, res) => {
+  try {
+    const paymentId = req.params.id;
+    const internalUserId = req.internalUser.id;
+    const { amount, reason } = req.body;
+
+    if (!reason) {
+      return res.status(400).json({
+        success: false,
+        message: 'A reason is required for refunds'
+      });
+    }
+
+    const currentPayment = await paymentRepository.findById(paymentId);
+
+    if (!currentPayment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payment not found'
+      });
+    }
+
+    if (currentPayment.status !== 'confirmed') {
+      return res.status(409).json({
+        success: false,
+        message: `Only confirmed payments can be refunded (this payment is ${currentPayment.status})`
+      });
+    }
+
+    const alreadyRefunded = currentPayment.refunded_amount || 0;
+    const refundable = currentPayment.amount - alreadyRefunded;
+    const refundAmount = amount === undefined ? refundable : parseFloat(amount);
+
+    if (!Number.isFinite(refundAmount) || refundAmount <= 0 || refundAmount > refundable) {
+      return res.status(400).json({
+        success: false,
+        message: `Refund amount must be between ₦1 and ₦${refundable.toLocaleString()}`
+      });
+    }
+
+    const refundedAmount = alreadyRefunded + refundAmount;
+
+    console.log(`↩️ Refunding ₦${refundAmount} of payment: ${paymentId}`);
+
+    const updatedPayment = await paymentRepository.update(paymentId, {
+      refunded_amount: refundedAmount,
+      status: refundedAmount >= currentPayment.amount ? 'refunded' : 'confirmed',
+      updated_at: new Date().toISOString()
+    });
+
+    const commissionChange = await commissionAdjustmentService.applyPaymentChange(currentPayment, updatedPayment, {
+      reason,
+      createdBy: internalUserId
+    });
+
+    if (commissionChange.adjustment) {
+      await notifyCommissionAdjustment(commissionChange);
+    }
+
+    // Audit log
+    await auditService.log(req, {
+      action: 'update',
+      resourceType: 'client_payments',
+      resourceId: paymentId,
+      oldValues: currentPayment,
+      newValues: updatedPayment,
+      reason,
+      notes: `Refunded ₦${refundAmount.toLocaleString()}`
+    });
+
+    res.json({
+      success: true,
+      message: 'Payment refunded',
+      data: {
+        payment: updatedPayment,
+        refund_amount: refundAmount,
+        commission: {
+          previous: commissionChange.previousCommission,
+          current: commissionChange.commission,
+          adjustment: commissionChange.adjustment,
+          clawback: commissionChange.clawback
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('💥 Payment refund error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while refunding payment'
+    });
+  }
+});
+
 // @route   GET /api/payments/stats
 // @desc    INTERNAL: Advanced payment analytics and business intelligence
 // @access  Private (Internal)
-router.get('/stats', authenticateInternal, async (req, res) => {
+router.get('/stats', authenticateInternal, requirePermission('payments.read'), async (req, res) => {
   try {
     const { period = 'month', partner_id, year } = req.query;
 
     console.log(`📊 Generating advanced payment stats for period: ${period}`);
 
     // ==================== COMPREHENSIVE DATA FETCHING ====================
-    const [paymentsResponse, partnersResponse, timelineResponse] = await Promise.all([
-      // All confirmed payments with related data
-      supabase
-        .from('client_payments')
-        .select(`
-          amount,
-          commission_calculated,
-          payment_date,
-          payment_method,
-          status,
-          referrals:referral_id (
-            partners:partner_id(company_name, id)
-          )
-        `)
-        .eq('status', 'confirmed'),
+    const [payments, partners] = await Promise.all([
+      // All confirmed payments with related data, oldest first for the monthly timeline
+      paymentRepository.findConfirmed(`
+        amount,
+        commission_calculated,
+        payment_date,
+        payment_method,
+        status,
+        referrals:referral_id (
+          partners:partner_id(company_name, id)
+        )
+      `),
 
       // Partner performance data
-      supabase
-        .from('partners')
-        .select(`
-          company_name,
-          total_commissions_earned,
-          referrals:referrals!partner_id (total_deal_value)
-        `)
-        .eq('is_active', true),
-
-      // Monthly timeline data
-      supabase
-        .from('client_payments')
-        .select('amount, payment_date, commission_calculated')
-        .eq('status', 'confirmed')
-        .order('payment_date', { ascending: true })
+      partnerRepository.findActive(`
+        id,
+        company_name,
+        total_commissions_earned,
+        referrals:referrals!partner_id (total_deal_value)
+      `)
     ]);
 
-    if (paymentsResponse.error) {
-      console.error('❌ Payment stats error:', paymentsResponse.error);
-      return res.status(500).json({
-        success: false,
-        message: 'Failed to generate payment statistics'
-      });
-    }
-
-    const payments = paymentsResponse.data || [];
-    const partners = partnersResponse.data || [];
-    const timelinePayments = timelineResponse.data || [];
-
     // ==================== COMPREHENSIVE CALCULATIONS ====================
     const totalRevenue = payments.reduce((sum, p) => sum + (p.amount || 0), 0);
     const totalCommission = payments.reduce((sum, p) => sum + (p.commission_calculated || 0), 0);
@@ -602,7 +583,7 @@ router.get('/stats', authenticateInternal, async (req, res) => {
     const twelveMonthsAgo = new Date();
     twelveMonthsAgo.setMonth(twelveMonthsAgo.getMonth() - 12);
 
-    timelinePayments.forEach(payment => {
+    payments.forEach(payment => {
       const date = new Date(payment.payment_date);
       if (date >= twelveMonthsAgo) {
         const monthKey = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
@@ -699,4 +680,30 @@ router.get('/stats', authenticateInternal, async (req, res) => {
   }
 });
 
+// Tell the partner their commission moved, and whether it will come out of their next payout
+async function notifyCommissionAdjustment({ adjustment, clawback, referral }) {
+  const amount = Math.abs(adjustment.amount).toLocaleString();
+  const isDebit = adjustment.amount < 0;
+
+  let message = isDebit
+    ? `Your commission for ${referral.prospect_company_name} was reduced by ₦${amount} following a payment ${adjustment.adjustment_type.replace('_', ' ')}.`
+    : `Your commission for ${referral.prospect_company_name} was increased by ₦${amount}.`;
+
+  if (clawback && clawback.amount > 0) {
+    message += ` As this commission was already paid out, ₦${clawback.amount.toLocaleString()} will be deducted from your next payout.`;
+  }
+
+  await notificationRepository.notifyPartner({
+    partner_id: referral.partner_id,
+    title: isDebit ? 'Commission Adjusted' : 'Commission Increased',
+    message,
+    type: 'commission_adjusted',
+    metadata: {
+      referral_id: referral.id,
+      adjustment_id: adjustment.id,
+      clawback_id: clawback?.id || null
+    }
+  });
+}
+
 export default router;
\ No newline at end of file
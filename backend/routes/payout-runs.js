@@ -0,0 +1,393 @@
+import express from 'express';
+import { authenticateInternal, requirePermission } from '../middleware/auth.js';
+import payoutRunService, { RUN_STATUSES, EXPORT_FORMATS } from '../services/payout-run-service.js';
+import auditService from '../services/audit-service.js';
+
+const router = express.Router();
+
+// @route   GET /api/payout-runs/preview
+// @desc    Payouts a new run would include, with totals per bank and the payouts left out
+// @access  Private (Internal)
+router.get('/preview', authenticateInternal, requirePermission('payouts.read'), async (req, res) => {
+  try {
+    const preview = await payoutRunService.preview();
+
+    res.json({
+      success: true,
+      data: preview
+    });
+
+  } catch (error) {
+    console.error('💥 Payout run preview error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while previewing payout run'
+    });
+  }
+});
+
+// @route   POST /api/payout-runs
+// @desc    Create a draft run from every eligible pending payout (or the given payout_ids)
+// @access  Private (Internal)
+router.post('/', authenticateInternal, requirePermission('payouts.approve'), async (req, res) => {
+  try {
+    const { payout_ids, notes } = req.body || {};
+
+    if (payout_ids !== undefined && (!Array.isArray(payout_ids) || payout_ids.length === 0)) {
+      return res.status(400).json({
+        success: false,
+        message: 'payout_ids must be a non-empty array when provided'
+      });
+    }
+
+    const result = await payoutRunService.createRun({
+      createdBy: req.internalUser.id,
+      payoutIds: payout_ids || null,
+      notes: notes || null
+    });
+
+    if (!result.success) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.message,
+        data: { excluded: result.excluded }
+      });
+    }
+
+    await logRunAction(req, 'create', result.run, {
+      new_values: { item_count: result.run.item_count, total_amount: result.run.total_amount },
+      notes: `Payout run ${result.run.reference} created with ${result.run.item_count} payouts`
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `Payout run ${result.run.reference} created; it needs approval by another team member`,
+      data: { run: result.run, excluded: result.excluded }
+    });
+
+  } catch (error) {
+    console.error('💥 Payout run create error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while creating payout run'
+    });
+  }
+});
+
+// @route   GET /api/payout-runs
+// @desc    List payout runs (?status)
+// @access  Private (Internal)
+router.get('/', authenticateInternal, requirePermission('payouts.read'), async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status } = req.query;
+
+    if (status && !RUN_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Status must be one of: ${RUN_STATUSES.join(', ')}`
+      });
+    }
+
+    const { runs, total } = await payoutRunService.list({
+      status: status || null,
+      page: parseInt(page),
+      limit: parseInt(limit)
+    });
+
+    res.json({
+      success: true,
+      data: {
+        runs,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('💥 Payout runs list error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while fetching payout runs'
+    });
+  }
+});
+
+// @route   GET /api/payout-runs/:id
+// @desc    A payout run with its items and their statuses
+// @access  Private (Internal)
+router.get('/:id', authenticateInternal, requirePermission('payouts.read'), async (req, res) => {
+  try {
+    const run = await payoutRunService.getRun(req.params.id);
+
+    if (!run) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payout run not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { run }
+    });
+
+  } catch (error) {
+    console.error('💥 Payout run fetch error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while fetching payout run'
+    });
+  }
+});
+
+// @route   POST /api/payout-runs/:id/approve
+// @desc    Lock a draft run for payment (must not be its creator)
+// @access  Private (Internal)
+router.post('/:id/approve', authenticateInternal, requirePermission('payouts.approve'), async (req, res) => {
+  try {
+    const result = await payoutRunService.approve(req.params.id, { approverId: req.internalUser.id });
+
+    if (!result.success) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    await logRunAction(req, 'approve', result.run, {
+      old_values: { status: 'draft' },
+      new_values: { status: 'approved', item_count: result.run.item_count, total_amount: result.run.total_amount },
+      notes: `Payout run ${result.run.reference} approved${result.excluded_count ? `; ${result.excluded_count} payouts excluded after re-check` : ''}`
+    });
+
+    res.json({
+      success: true,
+      message: result.excluded_count
+        ? `Run approved; ${result.excluded_count} payouts no longer eligible were excluded`
+        : 'Run approved',
+      data: { run: result.run }
+    });
+
+  } catch (error) {
+    console.error('💥 Payout run approve error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while approving payout run'
+    });
+  }
+});
+
+// @route   POST /api/payout-runs/:id/cancel
+// @desc    Cancel a run before any payment has been sent
+// @access  Private (Internal)
+router.post('/:id/cancel', authenticateInternal, requirePermission('payouts.approve'), async (req, res) => {
+  try {
+    const result = await payoutRunService.cancel(req.params.id, { cancelledBy: req.internalUser.id });
+
+    if (!result.success) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    await logRunAction(req, 'cancel', result.run, {
+      new_values: { status: 'cancelled' },
+      notes: `Payout run ${result.run.reference} cancelled${req.body?.reason ? `: ${req.body.reason}` : ''}`
+    });
+
+    res.json({
+      success: true,
+      message: 'Run cancelled; its payouts are available again',
+      data: { run: result.run }
+    });
+
+  } catch (error) {
+    console.error('💥 Payout run cancel error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while cancelling payout run'
+    });
+  }
+});
+
+// @route   GET /api/payout-runs/:id/export
+// @desc    Download the bank file for an approved run (?format=csv|nibss); marks its items sent
+// @access  Private (Internal)
+router.get('/:id/export', authenticateInternal, requirePermission('payouts.approve'), async (req, res) => {
+  try {
+    const format = req.query.format || 'csv';
+
+    if (!EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: `Format must be one of: ${EXPORT_FORMATS.join(', ')}`
+      });
+    }
+
+    const result = await payoutRunService.exportFile(req.params.id, format, { exportedBy: req.internalUser.id });
+
+    if (!result.success) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    const run = await payoutRunService.getRunRow(req.params.id);
+    await logRunAction(req, 'export', run, {
+      notes: `Payout run ${run.reference} exported as ${format}`
+    });
+
+    res.setHeader('Content-Type', result.contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${result.filename}"`);
+    res.send(result.content);
+
+  } catch (error) {
+    console.error('💥 Payout run export error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while exporting payout run'
+    });
+  }
+});
+
+// @route   POST /api/payout-runs/:id/results
+// @desc    Record the bank's outcome for an exported run: { paid: [item_id], failed: [{ item_id, reason }] }
+// @access  Private (Internal)
+router.post('/:id/results', authenticateInternal, requirePermission('payouts.approve'), async (req, res) => {
+  try {
+    const { paid = [], failed = [] } = req.body || {};
+
+    if (!Array.isArray(paid) || !Array.isArray(failed) || (paid.length === 0 && failed.length === 0)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Provide paid and/or failed item lists'
+      });
+    }
+
+    if (failed.some(f => !f?.item_id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Each failed entry needs an item_id'
+      });
+    }
+
+    const result = await payoutRunService.recordFileResults(req.params.id, { paid, failed }, { recordedBy: req.internalUser.id });
+
+    if (!result.success) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    await logRunAction(req, 'update', result.run, {
+      new_values: { paid, failed },
+      notes: `Bank results recorded for payout run ${result.run.reference}: ${paid.length} paid, ${failed.length} failed`
+    });
+
+    res.json({
+      success: true,
+      message: `Recorded ${paid.length} paid and ${failed.length} failed`,
+      data: { run: await payoutRunService.getRun(req.params.id) }
+    });
+
+  } catch (error) {
+    console.error('💥 Payout run results error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while recording payout run results'
+    });
+  }
+});
+
+// @route   POST /api/payout-runs/:id/send
+// @desc    Pay an approved run through Paystack bulk transfer
+// @access  Private (Internal)
+router.post('/:id/send', authenticateInternal, requirePermission('payouts.approve'), async (req, res) => {
+  try {
+    console.log(`💸 Sending payout run ${req.params.id} through Paystack`);
+
+    const result = await payoutRunService.sendViaPaystack(req.params.id, { initiatedBy: req.internalUser.id });
+
+    if (!result.success) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    await logRunAction(req, 'update', result.run, {
+      new_values: { status: result.run.status, method: 'paystack' },
+      notes: `Payout run ${result.run.reference} sent through Paystack bulk transfer`
+    });
+
+    res.status(result.run.status === 'sending' ? 202 : 200).json({
+      success: true,
+      message: result.run.status === 'sending'
+        ? 'Transfers sent; item statuses update as Paystack confirms them'
+        : `Run ${result.run.status.replace('_', ' ')}`,
+      data: { run: result.run }
+    });
+
+  } catch (error) {
+    console.error('💥 Payout run send error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while sending payout run'
+    });
+  }
+});
+
+// @route   POST /api/payout-runs/:id/retry
+// @desc    Create a follow-up draft run from a run's failed items
+// @access  Private (Internal)
+router.post('/:id/retry', authenticateInternal, requirePermission('payouts.approve'), async (req, res) => {
+  try {
+    const result = await payoutRunService.createFollowUpRun(req.params.id, { createdBy: req.internalUser.id });
+
+    if (!result.success) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.message,
+        ...(result.excluded && { data: { excluded: result.excluded } })
+      });
+    }
+
+    await logRunAction(req, 'create', result.run, {
+      new_values: { parent_run_id: req.params.id, item_count: result.run.item_count, total_amount: result.run.total_amount },
+      notes: result.run.notes
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `Follow-up run ${result.run.reference} created with ${result.run.item_count} payouts`,
+      data: { run: result.run, excluded: result.excluded }
+    });
+
+  } catch (error) {
+    console.error('💥 Payout run retry error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while creating follow-up run'
+    });
+  }
+});
+
+async function logRunAction(req, action, run, { old_values = null, new_values = null, notes }) {
+  await auditService.log(req, {
+    action,
+    resourceType: 'payout_runs',
+    resourceId: run.id,
+    oldValues: old_values,
+    newValues: new_values,
+    notes
+  });
+}
+
+export default router;
@@ -1,9 +1,17 @@
 import express from 'express';
-import { authenticatePartner, authenticateInternal } from '../middleware/auth.js';
+import { authenticatePartner, authenticateInternal, requirePermission } from '../middleware/auth.js';
 import { supabaseAdmin } from '../config/supabase.js';
 import multer from 'multer';
 import path from 'path';
 import PaystackService from '../services/paystack-service.js';
+import bankAccountService from '../services/bank-account-service.js';
+import taxService from '../services/tax-service.js';
+import payoutRequestService from '../services/payout-request-service.js';
+import ledgerService from '../services/ledger-service.js';
+import payoutTransferService from '../services/payout-transfer-service.js';
+import payoutRunService from '../services/payout-run-service.js';
+import auditService from '../services/audit-service.js';
+import { notificationRepository, payoutRepository } from '../repositories/index.js';
 
 const router = express.Router();
 
@@ -64,130 +72,78 @@ async function uploadToSupabaseStorage(file, folder = 'payout-proofs') {
   }
 }
 // @route   POST /api/payouts/request
-// @desc    Partner requests payout for a fully paid referral
+// @desc    Partner requests a payout from their available balance ({ amount?, referral_ids? }; all of it by default)
 // @access  Private (Partner)
 router.post('/request', authenticatePartner, async (req, res) => {
   try {
     const partnerId = req.partner.id;
-    const { referral_id } = req.body;
+    const { amount, referral_ids, referral_id } = req.body || {};
 
-    console.log(`💰 Payout request from partner: ${partnerId} for referral: ${referral_id}`);
+    console.log(`💰 Payout request from partner: ${partnerId} for ${amount ? `₦${amount}` : 'full balance'}`);
 
-    if (!referral_id) {
+    if (amount !== undefined && amount !== null && !(Number(amount) > 0)) {
       return res.status(400).json({
         success: false,
-        message: 'Referral ID is required'
+        message: 'Amount must be a positive number'
       });
     }
 
-    // Check if referral exists and belongs to partner
-    const { data: referral, error: referralError } = await supabaseAdmin
-      .from('referrals')
-      .select('*')
-      .eq('id', referral_id)
-      .eq('partner_id', partnerId)
-      .single();
-
-    if (referralError || !referral) {
-      return res.status(404).json({
-        success: false,
-        message: 'Referral not found or access denied'
-      });
-    }
-
-    // Check if referral is fully paid and commission eligible
-    if (referral.status !== 'fully_paid' || !referral.commission_eligible) {
-      return res.status(400).json({
-        success: false,
-        message: 'This referral is not eligible for payout yet. Ensure all payments are completed.'
-      });
-    }
-
-    // Check if payout already requested
-    if (referral.payout_requested) {
-      return res.status(400).json({
-        success: false,
-        message: 'Payout already requested for this referral'
-      });
-    }
-
-    // Check if payout already exists
-    const { data: existingPayout } = await supabaseAdmin
-      .from('partner_payouts')
-      .select('id')
-      .eq('referral_id', referral_id)
-      .single();
-
-    if (existingPayout) {
+    // referral_id is still accepted from older clients asking for a single referral
+    const referralIds = referral_ids || (referral_id ? [referral_id] : null);
+    if (referralIds && (!Array.isArray(referralIds) || referralIds.length === 0)) {
       return res.status(400).json({
         success: false,
-        message: 'Payout already exists for this referral'
+        message: 'referral_ids must be a non-empty array when provided'
       });
     }
 
-    // Create payout request
-    const { data: payout, error: payoutError } = await supabaseAdmin
-      .from('partner_payouts')
-      .insert({
-        partner_id: partnerId,
-        referral_id: referral_id,
-        amount: referral.total_commission_earned,
-        status: 'pending',
-        requested_at: new Date().toISOString()
-      })
-      .select()
-      .single();
+    const result = await payoutRequestService.createRequest(req.partner, {
+      amount: amount ? Number(amount) : null,
+      referralIds
+    });
 
-    if (payoutError) {
-      console.error('❌ Payout request error:', payoutError);
-      return res.status(500).json({
+    if (!result.success) {
+      return res.status(result.status).json({
         success: false,
-        message: 'Failed to create payout request'
+        message: result.message,
+        ...(result.code && { code: result.code, hold_until: result.hold_until }),
+        ...(result.available_amount !== undefined && { data: { available_amount: result.available_amount } })
       });
     }
 
-    // Update referral to mark payout as requested
-    await supabaseAdmin
-      .from('referrals')
-      .update({
-        payout_requested: true,
-        payout_requested_at: new Date().toISOString(),
-        updated_at: new Date().toISOString()
-      })
-      .eq('id', referral_id);
+    const { payout, split, allocations } = result;
 
     // Create notification for internal team
-    await supabaseAdmin
-      .from('notifications')
-      .insert({
-        user_type: 'internal',
-        type: 'payout_requested',
-        title: 'New Payout Request',
-        message: `Partner ${req.partner.company_name} requested payout of ₦${referral.total_commission_earned?.toLocaleString()} for ${referral.prospect_company_name}`,
-        metadata: {
-          partner_id: partnerId,
-          referral_id: referral_id,
-          payout_id: payout.id,
-          amount: referral.total_commission_earned
-        }
-      });
+    await notificationRepository.notifyInternal({
+      type: 'payout_requested',
+      title: 'New Payout Request',
+      message: `Partner ${req.partner.company_name} requested payout of ₦${split.amount.toLocaleString()} across ${allocations.length} referral${allocations.length === 1 ? '' : 's'}${split.clawback_deducted > 0 ? ` (₦${split.clawback_deducted.toLocaleString()} clawback deducted)` : ''}`,
+      metadata: {
+        partner_id: partnerId,
+        payout_id: payout.id,
+        referral_ids: allocations.map(a => a.referral_id),
+        amount: split.amount,
+        clawback_deducted: split.clawback_deducted
+      }
+    });
 
     // Create audit log
-    await supabaseAdmin
-      .from('audit_logs')
-      .insert({
-        user_id: partnerId,
-        user_type: 'partner',
-        action: 'create',
-        resource_type: 'partner_payouts',
-        resource_id: payout.id,
-        new_values: payout
-      });
+    await auditService.log(req, {
+      action: 'create',
+      resourceType: 'partner_payouts',
+      resourceId: payout.id,
+      newValues: { ...payout, allocations: allocations.map(a => ({ referral_id: a.referral_id, amount: a.amount })) }
+    });
 
     res.status(201).json({
       success: true,
       message: 'Payout request submitted successfully',
-      data: { payout }
+      data: {
+        payout,
+        allocations,
+        wht_amount: split.wht_amount,
+        clawback_deducted: split.clawback_deducted
+      }
     });
 
   } catch (error) {
@@ -199,12 +155,10 @@ router.post('/request', authenticatePartner, async (req, res) => {
   }
 });
 
-
-
 // @route   PATCH /api/payouts/:id/process
 // @desc    Internal team processes payout (records external payment)
 // @access  Private (Internal)
-router.patch('/:id/process', authenticateInternal, upload.single('proof_of_payment'), async (req, res) => {
+router.patch('/:id/process', authenticateInternal, requirePermission('payouts.approve'), upload.single('proof_of_payment'), async (req, res) => {
   try {
     const payoutId = req.params.id;
     const internalUserId = req.internalUser.id;
@@ -220,24 +174,51 @@ router.patch('/:id/process', authenticateInternal, upload.single('proof_of_payme
     }
 
     // Get payout details
-    const { data: payout, error: payoutError } = await supabaseAdmin
-      .from('partner_payouts')
-      .select(`
-        *,
-        partners (id, company_name, contact_name, email, bank_account_number, verified_account_name, bank_code),
-        referrals (prospect_company_name, total_commission_earned)
-      `)
-      .eq('id', payoutId)
-      .single();
-
-    if (payoutError || !payout) {
-      console.error('❌ Payout not found:', payoutError);
+    const payout = await payoutRepository.findById(payoutId, `
+      *,
+      partners (id, company_name, contact_name, email, bank_account_number, verified_account_name, bank_code),
+      referrals (prospect_company_name, total_commission_earned)
+    `);
+
+    if (!payout) {
       return res.status(404).json({
         success: false,
         message: 'Payout not found'
       });
     }
 
+    if (payout.status === 'paid') {
+      return res.status(409).json({
+        success: false,
+        message: 'Payout has already been processed'
+      });
+    }
+
+    if (payoutTransferService.isInFlight(payout)) {
+      return res.status(409).json({
+        success: false,
+        message: 'A Paystack transfer for this payout is in progress; verify it before recording a manual payment'
+      });
+    }
+
+    const openRun = await payoutRunService.getOpenRunForPayout(payout.id);
+    if (openRun) {
+      return res.status(409).json({
+        success: false,
+        message: `This payout is part of payout run ${openRun.reference} (${openRun.status}); record its result on the run`
+      });
+    }
+
+    const payoutHold = await bankAccountService.getPayoutHold(payout.partner_id);
+    if (payoutHold.held) {
+      return res.status(409).json({
+        success: false,
+        message: payoutHold.message,
+        code: 'PAYOUT_HOLD',
+        hold_until: payoutHold.hold_until
+      });
+    }
+
     let proof_of_payment_url = null;
 
     // Upload file to Supabase Storage if provided
@@ -273,46 +254,13 @@ router.patch('/:id/process', authenticateInternal, upload.single('proof_of_payme
 
     console.log('📝 Update data:', updateData);
 
-    // Update payout as processed - use minimal select to avoid schema issues
-    const { data: updatedPayout, error: updateError } = await supabaseAdmin
-      .from('partner_payouts')
-      .update(updateData)
-      .eq('id', payoutId)
-      .select('*') // Just select all columns to avoid complex joins
-      .single();
-
-    if (updateError) {
-      console.error('❌ Payout processing error:', updateError);
-      
-      // More detailed error logging
-      if (updateError.code === 'PGRST204') {
-        console.error('Schema cache issue - column might be missing from database');
-      }
-      
-      return res.status(500).json({
-        success: false,
-        message: `Failed to process payout: ${updateError.message}`
-      });
-    }
+    // Update payout as processed
+    const updatedPayout = await payoutRepository.update(payoutId, updateData);
 
-    // Now get the full payout details with joins
-    const { data: fullPayout, error: fullPayoutError } = await supabaseAdmin
-      .from('partner_payouts')
-      .select(`
-        *,
-        partners (company_name, contact_name, email, bank_account_number, verified_account_name, bank_code),
-        referrals (prospect_company_name),
-        internal_users:processed_by (name, email)
-      `)
-      .eq('id', payoutId)
-      .single();
-
-    if (fullPayoutError) {
-      console.error('❌ Failed to fetch full payout details:', fullPayoutError);
-      // Continue with basic payout data
-    }
+    await ledgerService.postPayout(updatedPayout, internalUserId);
 
-    const finalPayout = fullPayout || updatedPayout;
+    // Now get the full payout details with joins
+    const finalPayout = await payoutRepository.findDetail(payoutId);
 
     // Resolve bank name for the response
     let bank_name = 'Unknown Bank';
@@ -341,32 +289,26 @@ router.patch('/:id/process', authenticateInternal, upload.single('proof_of_payme
     };
 
     // Create notification for partner
-    await supabaseAdmin
-      .from('partner_notifications')
-      .insert({
-        partner_id: payout.partner_id,
-        title: 'Payout Processed ✅',
-        message: `Your payout of ₦${parseFloat(amount_paid).toLocaleString()} for ${payout.referrals.prospect_company_name} has been processed. ${proof_of_payment_url ? 'Proof of payment is available in your dashboard.' : ''}`,
-        type: 'payout_processed',
-        metadata: {
-          payout_id: payoutId,
-          amount: amount_paid,
-          proof_of_payment_url: proof_of_payment_url
-        }
-      });
+    await notificationRepository.notifyPartner({
+      partner_id: payout.partner_id,
+      title: 'Payout Processed ✅',
+      message: `Your payout of ₦${parseFloat(amount_paid).toLocaleString()} for ${payout.referrals?.prospect_company_name || 'your referrals'} has been processed. ${proof_of_payment_url ? 'Proof of payment is available in your dashboard.' : ''}`,
+      type: 'payout_processed',
+      metadata: {
+        payout_id: payoutId,
+        amount: amount_paid,
+        proof_of_payment_url: proof_of_payment_url
+      }
+    });
 
     // Create audit log
-    await supabaseAdmin
-      .from('audit_logs')
-      .insert({
-        user_id: internalUserId,
-        user_type: 'internal',
-        action: 'update',
-        resource_type: 'partner_payouts',
-        resource_id: payoutId,
-        old_values: payout,
-        new_values: finalPayout
-      });
+    await auditService.log(req, {
+      action: 'update',
+      resourceType: 'partner_payouts',
+      resourceId: payoutId,
+      oldValues: payout,
+      newValues: finalPayout
+    });
 
     res.json({
       success: true,
@@ -383,6 +325,210 @@ router.patch('/:id/process', authenticateInternal, upload.single('proof_of_payme
   }
 });
 
+// @route   POST /api/payouts/:id/transfer
+// @desc    Internal team sends a payout through a Paystack transfer
+// @access  Private (Internal)
+router.post('/:id/transfer', authenticateInternal, requirePermission('payouts.approve'), async (req, res) => {
+  try {
+    console.log(`💸 Initiating Paystack transfer for payout: ${req.params.id}`);
+
+    const result = await payoutTransferService.initiate(req.params.id, { initiatedBy: req.internalUser.id });
+
+    if (!result.success) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.message,
+        ...(result.code && { code: result.code, hold_until: result.hold_until }),
+        ...(result.payout && { data: { payout: result.payout } })
+      });
+    }
+
+    const { payout } = result;
+
+    await auditService.log(req, {
+      action: 'update',
+      resourceType: 'partner_payouts',
+      resourceId: payout.id,
+      newValues: { status: payout.status, transfer_status: payout.transfer_status, transfer_reference: payout.transfer_reference },
+      notes: `Paystack transfer initiated (attempt ${payout.transfer_attempts})`
+    });
+
+    res.status(payout.status === 'paid' ? 200 : 202).json({
+      success: true,
+      message: payout.transfer_requires_otp
+        ? 'Transfer initiated; enter the OTP sent by Paystack to complete it'
+        : payout.status === 'paid' ? 'Payout sent successfully' : 'Transfer initiated and awaiting confirmation from Paystack',
+      data: {
+        payout,
+        requires_otp: !!payout.transfer_requires_otp
+      }
+    });
+
+  } catch (error) {
+    console.error('💥 Payout transfer error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while initiating transfer'
+    });
+  }
+});
+
+// @route   POST /api/payouts/:id/transfer/finalize
+// @desc    Complete a Paystack transfer that is waiting for OTP
+// @access  Private (Internal)
+router.post('/:id/transfer/finalize', authenticateInternal, requirePermission('payouts.approve'), async (req, res) => {
+  try {
+    const { otp } = req.body;
+
+    if (!otp) {
+      return res.status(400).json({
+        success: false,
+        message: 'OTP is required'
+      });
+    }
+
+    const result = await payoutTransferService.finalize(req.params.id, String(otp), { actorId: req.internalUser.id });
+
+    if (!result.success) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    await auditService.log(req, {
+      action: 'update',
+      resourceType: 'partner_payouts',
+      resourceId: result.payout.id,
+      newValues: { status: result.payout.status, transfer_status: result.payout.transfer_status },
+      notes: `Paystack transfer ${result.payout.transfer_reference} finalized with OTP`
+    });
+
+    res.json({
+      success: true,
+      message: result.payout.status === 'paid' ? 'Payout sent successfully' : 'Transfer finalized and awaiting confirmation from Paystack',
+      data: { payout: result.payout }
+    });
+
+  } catch (error) {
+    console.error('💥 Transfer finalize error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while finalizing transfer'
+    });
+  }
+});
+
+// @route   POST /api/payouts/:id/transfer/resend-otp
+// @desc    Ask Paystack to resend the OTP for a pending transfer
+// @access  Private (Internal)
+router.post('/:id/transfer/resend-otp', authenticateInternal, requirePermission('payouts.approve'), async (req, res) => {
+  try {
+    const result = await payoutTransferService.resendOtp(req.params.id);
+
+    if (!result.success) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    res.json({
+      success: true,
+      message: result.message
+    });
+
+  } catch (error) {
+    console.error('💥 Transfer OTP resend error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while resending OTP'
+    });
+  }
+});
+
+// @route   POST /api/payouts/:id/transfer/verify
+// @desc    Refresh a payout's transfer state from Paystack
+// @access  Private (Internal)
+router.post('/:id/transfer/verify', authenticateInternal, requirePermission('payouts.read'), async (req, res) => {
+  try {
+    const result = await payoutTransferService.verify(req.params.id, { actorId: req.internalUser.id });
+
+    if (!result.success) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Transfer is ${result.transfer.status}`,
+      data: {
+        payout: result.payout,
+        transfer: result.transfer
+      }
+    });
+
+  } catch (error) {
+    console.error('💥 Transfer verify error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while verifying transfer'
+    });
+  }
+});
+
+// @route   GET /api/payouts/partner/:id/credit-note
+// @desc    Partner downloads the WHT credit note for one of their paid payouts
+// @access  Private (Partner)
+router.get('/partner/:id/credit-note', authenticatePartner, async (req, res) => {
+  try {
+    const payout = await getPayoutForCreditNote(req.params.id);
+
+    if (!payout || payout.partner_id !== req.partner.id) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payout not found'
+      });
+    }
+
+    await sendCreditNote(res, payout);
+
+  } catch (error) {
+    console.error('💥 Credit note error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while generating credit note'
+    });
+  }
+});
+
+// @route   GET /api/payouts/:id/credit-note
+// @desc    WHT credit note for a paid payout
+// @access  Private (Internal)
+router.get('/:id/credit-note', authenticateInternal, requirePermission('payouts.read'), async (req, res) => {
+  try {
+    const payout = await getPayoutForCreditNote(req.params.id);
+
+    if (!payout) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payout not found'
+      });
+    }
+
+    await sendCreditNote(res, payout);
+
+  } catch (error) {
+    console.error('💥 Credit note error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while generating credit note'
+    });
+  }
+});
+
 // @route   GET /api/payouts/partner
 // @desc    Get partner's payout history
 // @access  Private (Partner)
@@ -394,30 +540,13 @@ router.get('/partner', authenticatePartner, async (req, res) => {
 
     console.log(`📋 Fetching payouts for partner: ${partnerId}`);
 
-    const { data: payouts, error, count } = await supabaseAdmin
-      .from('partner_payouts')
-      .select(`
-        *,
-        referrals (prospect_company_name, referral_code),
-        internal_users:processed_by (name)
-      `, { count: 'exact' })
-      .eq('partner_id', partnerId)
-      .order('requested_at', { ascending: false })
-      .range(offset, offset + limit - 1);
-
-    if (error) {
-      console.error('❌ Fetch payouts error:', error);
-      return res.status(500).json({
-        success: false,
-        message: 'Failed to fetch payouts'
-      });
-    }
+    const { rows: payouts, count } = await payoutRepository.listForPartner(partnerId, {
+      offset,
+      limit: Number(limit)
+    });
 
     // Calculate payout statistics
-    const { data: allPayouts } = await supabaseAdmin
-      .from('partner_payouts')
-      .select('amount, status')
-      .eq('partner_id', partnerId);
+    const allPayouts = await payoutRepository.findByPartner(partnerId, 'amount, status');
 
     const stats = {
       total_payouts: allPayouts?.length || 0,
@@ -453,37 +582,18 @@ router.get('/partner', authenticatePartner, async (req, res) => {
 // @desc    Get all payout requests for internal team
 // @access  Private (Internal)
 // Update the GET /api/payouts/internal endpoint
-router.get('/internal', authenticateInternal, async (req, res) => {
+router.get('/internal', authenticateInternal, requirePermission('payouts.read'), async (req, res) => {
   try {
     const { page = 1, limit = 20, status } = req.query;
     const offset = (page - 1) * limit;
 
     console.log(`📋 Fetching all payouts for internal team`);
 
-    let query = supabaseAdmin
-      .from('partner_payouts')
-      .select(`
-        *,
-        partners (company_name, contact_name, email, bank_account_number, verified_account_name, bank_code),
-        referrals (prospect_company_name, referral_code, total_commission_earned),
-        internal_users:processed_by (name, email)
-      `, { count: 'exact' })
-      .order('requested_at', { ascending: false })
-      .range(offset, offset + limit - 1);
-
-    if (status && status !== 'all') {
-      query = query.eq('status', status);
-    }
-
-    const { data: payouts, error, count } = await query;
-
-    if (error) {
-      console.error('❌ Fetch payouts error:', error);
-      return res.status(500).json({
-        success: false,
-        message: 'Failed to fetch payouts'
-      });
-    }
+    const { rows: payouts, count } = await payoutRepository.list({
+      offset,
+      limit: Number(limit),
+      status: status && status !== 'all' ? status : null
+    });
 
     // Resolve bank names for all payouts
     const payoutsWithBankNames = await Promise.all(
@@ -517,9 +627,7 @@ router.get('/internal', authenticateInternal, async (req, res) => {
     );
 
     // Calculate statistics
-    const { data: allPayouts } = await supabaseAdmin
-      .from('partner_payouts')
-      .select('status, amount');
+    const allPayouts = await payoutRepository.findAll('status, amount');
 
     const stats = {
       total: allPayouts?.length || 0,
@@ -553,7 +661,7 @@ router.get('/internal', authenticateInternal, async (req, res) => {
 });
 
 // @route   GET /api/payouts/eligible
-// @desc    Get partner's referrals eligible for payout
+// @desc    Partner's available balance, minimum payout and the referrals it comes from
 // @access  Private (Partner)
 router.get('/eligible', authenticatePartner, async (req, res) => {
   try {
@@ -561,38 +669,29 @@ router.get('/eligible', authenticatePartner, async (req, res) => {
 
     console.log(`📋 Fetching eligible payouts for partner: ${partnerId}`);
 
-    const { data: referrals, error } = await supabaseAdmin
-      .from('referrals')
-      .select(`
-        id,
-        referral_code,
-        prospect_company_name,
-        total_commission_earned,
-        status,
-        commission_eligible,
-        payout_requested,
-        created_at
-      `)
-      .eq('partner_id', partnerId)
-      .eq('status', 'fully_paid')
-      .eq('commission_eligible', true)
-      .eq('payout_requested', false)
-      .order('created_at', { ascending: false });
-
-    if (error) {
-      console.error('❌ Fetch eligible payouts error:', error);
-      return res.status(500).json({
-        success: false,
-        message: 'Failed to fetch eligible payouts'
-      });
-    }
+    const [availability, balance] = await Promise.all([
+      payoutRequestService.getAvailability(partnerId),
+      ledgerService.getBalance(partnerId)
+    ]);
 
     res.json({
       success: true,
       data: {
-        referrals: referrals || [],
-        total_eligible: referrals?.length || 0,
-        total_commission: referrals?.reduce((sum, r) => sum + (r.total_commission_earned || 0), 0) || 0
+        // Referrals with accrued commission not yet committed to a payout, oldest first
+        referrals: availability.referrals,
+        total_eligible: availability.referrals.length,
+        total_commission: availability.commission_available,
+        // Deducted from the next payout requested
+        clawback_balance: availability.clawback_balance,
+        available_amount: availability.available_amount,
+        minimum_payout: availability.minimum_payout,
+        can_request: availability.can_request,
+        // Recorded but not yet payable under the accrual policy
+        accrual_policy: availability.accrual_policy,
+        clearance_days: availability.clearance_days,
+        pending_commission: availability.pending_commission,
+        next_clearance_at: availability.next_clearance_at,
+        balance
       }
     });
 
@@ -608,29 +707,19 @@ router.get('/eligible', authenticatePartner, async (req, res) => {
 // @route   GET /api/payouts/:id
 // @desc    Get specific payout details
 // @access  Private (Internal/Partner)
-router.get('/:id', authenticateInternal, async (req, res) => {
+router.get('/:id', authenticateInternal, requirePermission('payouts.read'), async (req, res) => {
   try {
     const payoutId = req.params.id;
 
     console.log(`📋 Fetching payout details: ${payoutId}`);
 
     // Get payout with all details
-    const { data: payout, error } = await supabaseAdmin
-      .from('partner_payouts')
-      .select(`
-        *,
-        partners (company_name, contact_name, email, bank_account_number, verified_account_name, bank_code),
-        referrals (prospect_company_name, referral_code, total_commission_earned),
-        internal_users:processed_by (name, email)
-      `)
-      .eq('id', payoutId)
-      .single();
-
-    if (error || !payout) {
-      console.error('❌ Payout details error:', error);
+    const payout = await payoutRepository.findDetail(payoutId);
+
+    if (!payout) {
       return res.status(404).json({
         success: false,
-        message: 'Payout details not found: ' + error?.message
+        message: 'Payout details not found'
       });
     }
 
@@ -651,9 +740,10 @@ router.get('/:id', authenticateInternal, async (req, res) => {
       }
     }
 
-    // Add bank name to payout data
+    // Add bank name and the referrals the payout settles
     const payoutWithBankName = {
       ...payout,
+      allocations: await payoutRequestService.getAllocations(payout.id),
       partners: {
         ...payout.partners,
         bank_name: bank_name
@@ -685,22 +775,12 @@ router.get('/:id', authenticatePartner, async (req, res) => {
     console.log(`📋 Fetching payout details: ${payoutId}`);
 
     // Get payout with all details
-    const { data: payout, error } = await supabaseAdmin
-      .from('partner_payouts')
-      .select(`
-        *,
-        partners (company_name, contact_name, email, bank_account_number, verified_account_name, bank_code),
-        referrals (prospect_company_name, referral_code, total_commission_earned),
-        internal_users:processed_by (name, email)
-      `)
-      .eq('id', payoutId)
-      .single();
-
-    if (error || !payout) {
-      console.error('❌ Payout details error:', error);
+    const payout = await payoutRepository.findDetail(payoutId);
+
+    if (!payout) {
       return res.status(404).json({
         success: false,
-        message: 'Payout details not found: ' + error?.message
+        message: 'Payout details not found'
       });
     }
 
@@ -748,7 +828,7 @@ router.get('/:id', authenticatePartner, async (req, res) => {
 // @route   GET /api/banks/resolve/:bankCode
 // @desc    Resolve bank code to bank name using Paystack
 // @access  Private (Internal)
-router.get('/resolve/:bankCode', authenticateInternal, async (req, res) => {
+router.get('/resolve/:bankCode', authenticateInternal, requirePermission('payouts.read'), async (req, res) => {
   try {
     const { bankCode } = req.params;
 
@@ -805,7 +885,7 @@ router.get('/resolve/:bankCode', authenticateInternal, async (req, res) => {
 // @route   GET /api/banks/list
 // @desc    Get all banks from Paystack
 // @access  Private (Internal)
-router.get('/list', authenticateInternal, async (req, res) => {
+router.get('/list', authenticateInternal, requirePermission('payouts.read'), async (req, res) => {
   try {
     console.log('🏦 Fetching bank list from Paystack...');
 
@@ -834,4 +914,29 @@ router.get('/list', authenticateInternal, async (req, res) => {
 
 
 
+async function getPayoutForCreditNote(payoutId) {
+  return payoutRepository.findById(payoutId, `
+    *,
+    partners (company_name, tin_number, cac_number),
+    referrals (prospect_company_name, referral_code)
+  `);
+}
+
+async function sendCreditNote(res, payout) {
+  const creditNote = await taxService.buildCreditNote(payout);
+
+  if (!creditNote) {
+    return res.status(400).json({
+      success: false,
+      message: payout.status !== 'paid'
+        ? 'A credit note is issued once the payout has been paid'
+        : 'No withholding tax was deducted from this payout'
+    });
+  }
+
+  res.setHeader('Content-Type', 'text/html; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="${creditNote.filename}"`);
+  res.send(creditNote.html);
+}
+
 export default router;
\ No newline at end of file
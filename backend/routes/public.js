@@ -0,0 +1,268 @@
+import express from 'express';
+import { validateEmail } from '../middleware/validation.js';
+import leadService from '../services/lead-service.js';
+import referralSubmissionService from '../services/referral-submission-service.js';
+import referralTrackingService from '../services/referral-tracking-service.js';
+import { leadRepository, notificationRepository, referralRepository } from '../repositories/index.js';
+
+const router = express.Router();
+
+const REFERRAL_COLUMNS = 'id, referral_code, prospect_company_name, contact_name, email, status, partners:partner_id (id, company_name)';
+
+// "chidi@prospect.com" -> "c****@prospect.com": enough for a prospect to recognise their own
+// address without publishing it to whoever holds the link
+function maskEmail(email) {
+  if (!email || !email.includes('@')) return null;
+  const [local, domain] = email.split('@');
+  return `${local[0]}${'*'.repeat(Math.max(local.length - 1, 1))}@${domain}`;
+}
+
+// @route   GET /api/public/referrals/:code
+// @desc    Referral landing page: the referral behind a shareable link (safe fields only)
+// @access  Public
+router.get('/referrals/:code', async (req, res) => {
+  try {
+    const referral = await referralRepository.findByCode(req.params.code, REFERRAL_COLUMNS);
+
+    if (!referral) {
+      return res.status(404).json({
+        success: false,
+        message: 'This referral link is not valid'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        referral: {
+          referral_code: referral.referral_code,
+          prospect_company_name: referral.prospect_company_name,
+          contact_name: referral.contact_name,
+          email_hint: maskEmail(referral.email),
+          partner_company_name: referral.partners?.company_name || null
+        },
+        accepting_submissions: await referralSubmissionService.isOpen(referral),
+        form_token: referralSubmissionService.issueFormToken(referral.referral_code)
+      }
+    });
+
+  } catch (error) {
+    console.error('💥 Public referral fetch error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while loading referral'
+    });
+  }
+});
+
+// @route   POST /api/public/referrals/:code/clicks
+// @desc    Record a visit to a referral's shareable link and set the attribution cookies
+// @access  Public
+router.post('/referrals/:code/clicks', async (req, res) => {
+  try {
+    const { referrer, ...utm } = req.body || {};
+
+    const referral = await referralRepository.findByCode(req.params.code, 'id, referral_code');
+
+    if (!referral) {
+      return res.status(404).json({
+        success: false,
+        message: 'This referral link is not valid'
+      });
+    }
+
+    const click = await referralTrackingService.recordClick(req, referral, { referrer, utm });
+    await referralTrackingService.setAttributionCookies(req, res, click);
+
+    res.status(201).json({
+      success: true,
+      message: 'Visit recorded'
+    });
+
+  } catch (error) {
+    console.error('💥 Referral click record error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while recording visit'
+    });
+  }
+});
+
+// @route   POST /api/public/referrals/:code/interest
+// @desc    Prospect confirms their details and asks to be contacted; creates a lead on the referral
+// @access  Public
+router.post('/referrals/:code/interest', async (req, res) => {
+  try {
+    const {
+      company_name,
+      contact_name,
+      email,
+      phone,
+      industry,
+      implementation_timeline,
+      preferred_contact_time,
+      message,
+      consent,
+      form_token,
+      website
+    } = req.body || {};
+
+    const pageReferral = await referralRepository.findByCode(req.params.code, REFERRAL_COLUMNS);
+
+    if (!pageReferral) {
+      return res.status(404).json({
+        success: false,
+        message: 'This referral link is not valid'
+      });
+    }
+
+    // `website` is a honeypot: hidden on the page, so only bots fill it in
+    const check = await referralSubmissionService.check(req, pageReferral, {
+      formToken: form_token,
+      honeypot: website
+    });
+
+    if (!check.allowed) {
+      if (check.outcome) {
+        await referralSubmissionService.record(req, pageReferral, { outcome: check.outcome, email });
+      }
+
+      if (check.silent) {
+        console.warn(`🚫 Honeypot submission rejected for referral ${pageReferral.referral_code} from ${req.ip}`);
+        return res.status(201).json({
+          success: true,
+          message: 'Thank you! The Cryptware team will be in touch shortly.'
+        });
+      }
+
+      if (check.retryAfter) res.set('Retry-After', String(check.retryAfter));
+      return res.status(check.status).json({
+        success: false,
+        message: check.message
+      });
+    }
+
+    if (!company_name || !contact_name || !email || !phone) {
+      return res.status(400).json({
+        success: false,
+        message: 'Required fields: company_name, contact_name, email, phone'
+      });
+    }
+
+    if (!validateEmail(email)) {
+      return res.status(400).json({
+        success: false,
+        message: 'A valid email address is required'
+      });
+    }
+
+    if (consent !== true) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please agree to be contacted about your enquiry'
+      });
+    }
+
+    // The lead goes to the referral the visitor's attribution cookies credit, which may be an
+    // earlier referral of the same prospect rather than the one whose page they submitted on
+    const { referral, clickId, attribution } = await referralTrackingService.attribute(
+      req, pageReferral, REFERRAL_COLUMNS, { company_name, email, phone }
+    );
+
+    console.log(`📝 Prospect submission for referral ${referral.referral_code} (${attribution})`);
+
+    const result = await leadService.createLead(req, {
+      company_name,
+      contact_name,
+      email,
+      phone,
+      industry,
+      implementation_timeline,
+      referral_code: referral.referral_code
+    }, { origin: 'prospect submission on the referral page' });
+
+    // Submitted twice at once: the other submission created the lead
+    if (result.reason === 'referral_has_lead') {
+      await referralSubmissionService.record(req, referral, { outcome: 'duplicate', email, clickId, attribution });
+      return res.status(409).json({
+        success: false,
+        message: 'We already have your details for this referral. The Cryptware team will be in touch.'
+      });
+    }
+
+    // Staff review the duplicate; the prospect is not told who else registered them
+    if (result.status === 409) {
+      return res.status(409).json({
+        success: false,
+        message: "We already have your company's details. The Cryptware team will be in touch."
+      });
+    }
+
+    if (!result.success) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    const { lead } = result;
+
+    if (preferred_contact_time || message) {
+      await leadRepository.logActivity(lead.id, {
+        type: 'note',
+        notes: [
+          preferred_contact_time && `Preferred contact time: ${preferred_contact_time}`,
+          message && `Message from prospect: ${message}`
+        ].filter(Boolean).join('\n'),
+        recordedBy: null
+      });
+    }
+
+    await referralSubmissionService.record(req, referral, {
+      outcome: 'accepted',
+      leadId: lead.id,
+      email,
+      consented: true,
+      clickId,
+      attribution
+    });
+
+    await notificationRepository.notifyInternal({
+      type: 'lead_submitted',
+      title: 'New Lead from Referral Link',
+      message: `${company_name} responded to a referral from ${referral.partners?.company_name || 'a partner'} and asked to be contacted`,
+      metadata: {
+        lead_id: lead.id,
+        referral_id: referral.id,
+        referral_code: referral.referral_code
+      }
+    });
+
+    if (referral.partners?.id) {
+      await notificationRepository.notifyPartner({
+        partner_id: referral.partners.id,
+        type: 'referral_responded',
+        title: 'Your Referral Responded 🎉',
+        message: `${referral.prospect_company_name} confirmed their details and asked the Cryptware team to get in touch.`,
+        metadata: {
+          referral_id: referral.id,
+          referral_code: referral.referral_code
+        }
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Thank you! The Cryptware team will be in touch shortly.'
+    });
+
+  } catch (error) {
+    console.error('💥 Prospect submission error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while submitting your details'
+    });
+  }
+});
+
+export default router;
@@ -1,6 +1,12 @@
 import express from 'express';
-import { supabase, supabaseAdmin } from '../config/supabase.js';
-import { authenticatePartner, authenticateInternal } from '../middleware/auth.js';
+import { authenticatePartner, authenticateInternal, requirePermission } from '../middleware/auth.js';
+import { validateEmail } from '../middleware/validation.js';
+import ledgerService from '../services/ledger-service.js';
+import auditService from '../services/audit-service.js';
+import referralTrackingService from '../services/referral-tracking-service.js';
+import referralProtectionService from '../services/referral-protection-service.js';
+import registrationConflictService from '../services/registration-conflict-service.js';
+import { partnerRepository, referralRepository } from '../repositories/index.js';
 
 const router = express.Router();
 
@@ -32,16 +38,19 @@ router.post('/create', authenticatePartner, async (req, res) => {
       });
     }
 
+    if (!validateEmail(email)) {
+      return res.status(400).json({
+        success: false,
+        message: 'A valid email address is required'
+      });
+    }
+
     // Check if partner exists and is active (IMPORTANT FOR RLS)
-    const { data: partner, error: partnerError } = await supabase
-      .from('partners')
-      .select('id, is_active, bank_verified')
-      .eq('id', partnerId)
-      .single();
+    const partner = await partnerRepository.findById(partnerId, 'id, is_active, bank_verified');
 
-    console.log(`👤 Partner check:`, { partner, partnerError });
+    console.log(`👤 Partner check:`, { partner });
 
-    if (partnerError || !partner) {
+    if (!partner) {
       return res.status(404).json({
         success: false,
         message: 'Partner not found'
@@ -55,66 +64,71 @@ router.post('/create', authenticatePartner, async (req, res) => {
       });
     }
 
-    // Create referral with explicit partner_id matching auth.uid()
-    const referralData = {
-      partner_id: partnerId, // This MUST match auth.uid() for RLS
+    const registration = {
       prospect_company_name,
       contact_name,
       email,
       phone,
       industry,
-      estimated_deal_value: estimated_deal_value || null,
-      status: 'code_sent'
+      estimated_deal_value: estimated_deal_value || null
     };
 
-    console.log(`📤 Inserting referral:`, referralData);
+    // Refuse prospects that are already registered or protected for another partner
+    const conflict = await registrationConflictService.checkReferral(partnerId, registration);
 
-    const { data: referral, error: referralError } = await supabase
-      .from('referrals')
-      .insert(referralData)
-      .select(`
-        *,
-        partners:partner_id (company_name, contact_name)
-      `)
-      .single();
-
-    if (referralError) {
-      console.error('❌ Referral creation error:', {
-        code: referralError.code,
-        message: referralError.message,
-        details: referralError.details,
-        hint: referralError.hint
-      });
-      
-      // Specific error handling for RLS
-      if (referralError.code === '42501') {
-        return res.status(403).json({
-          success: false,
-          message: 'Permission denied. Please ensure your account is properly verified.',
-          code: 'RLS_VIOLATION'
-        });
-      }
-      
-      return res.status(500).json({
+    if (conflict.action === 'block') {
+      const queued = conflict.reviewable
+        ? await registrationConflictService.record(req, {
+          resourceType: 'referral',
+          decision: conflict,
+          values: registration,
+          partnerId
+        })
+        : null;
+
+      return res.status(409).json({
         success: false,
-        message: 'Failed to create referral: ' + referralError.message,
-        code: referralError.code
+        reason: conflict.reason,
+        message: conflict.message,
+        ...(conflict.protectedUntil && { protected_until: conflict.protectedUntil.toISOString() }),
+        ...(queued && { conflict_id: queued.id })
       });
     }
 
+    // Create referral with explicit partner_id matching auth.uid()
+    const referralData = {
+      partner_id: partnerId, // This MUST match auth.uid() for RLS
+      ...registration,
+      status: 'code_sent'
+    };
+
+    console.log(`📤 Inserting referral:`, referralData);
+
+    const referral = await referralRepository.create(referralData, `
+      *,
+      partners:partner_id (company_name, contact_name)
+    `);
+
     console.log(`✅ Referral created: ${referral.referral_code}`);
 
-    // Create audit log
-    await supabase
-      .from('audit_logs')
-      .insert({
-        user_id: partnerId,
-        user_type: 'partner',
-        action: 'create',
-        resource_type: 'referrals',
-        resource_id: referral.id,
-        new_values: referral
+    // An earlier registration whose protection has lapsed: the referral stands, staff review it
+    if (conflict.action === 'flag') {
+      await registrationConflictService.record(req, {
+        resourceType: 'referral',
+        decision: conflict,
+        values: registration,
+        partnerId,
+        createdReferralId: referral.id
       });
+    }
+
+    // Create audit log
+    await auditService.log(req, {
+      action: 'create',
+      resourceType: 'referrals',
+      resourceId: referral.id,
+      newValues: referral
+    });
 
     res.status(201).json({
       success: true,
@@ -129,7 +143,8 @@ router.post('/create', authenticatePartner, async (req, res) => {
           status: referral.status,
           created_at: referral.created_at
         },
-        shareable_link: `${process.env.FRONTEND_URL}/referral/${referral.referral_code}`
+        shareable_link: `${process.env.FRONTEND_URL}/referral-landing.html?code=${referral.referral_code}`,
+        under_review: conflict.action === 'flag'
       }
     });
 
@@ -153,47 +168,15 @@ router.get('/', authenticatePartner, async (req, res) => {
 
     console.log(`📋 Fetching referrals for partner: ${partnerId}, page: ${page}`);
 
-    // Build query - FIXED: Correct column names
-    let query = supabase
-      .from('referrals')
-      .select(`
-        *,
-        leads!referral_id (
-          id,
-          status,
-          created_at,
-          last_contact
-        )
-      `, { count: 'exact' })
-      .eq('partner_id', partnerId)
-      .order('created_at', { ascending: false })
-      .range(offset, offset + limit - 1);
-
-    // Add status filter if provided
-    if (status && status !== 'all') {
-      query = query.eq('status', status);
-    }
-
-    // Add search filter if provided
-    if (search) {
-      query = query.or(`prospect_company_name.ilike.%${search}%,contact_name.ilike.%${search}%,email.ilike.%${search}%`);
-    }
-
-    const { data: referrals, error, count } = await query;
-
-    if (error) {
-      console.error('❌ Fetch referrals error:', error);
-      return res.status(500).json({
-        success: false,
-        message: 'Failed to fetch referrals'
-      });
-    }
+    const { rows: referrals, count } = await referralRepository.listForPartner(partnerId, {
+      offset,
+      limit: Number(limit),
+      status: status && status !== 'all' ? status : null,
+      search
+    });
 
     // Calculate statistics with a separate query to avoid complexity
-    const { data: stats } = await supabase
-      .from('referrals')
-      .select('status, total_commission_earned, total_deal_value')
-      .eq('partner_id', partnerId);
+    const stats = await referralRepository.findByPartner(partnerId, 'status, total_commission_earned, total_deal_value');
 
     const statusCounts = {
       total: stats?.length || 0,
@@ -204,7 +187,8 @@ router.get('/', authenticatePartner, async (req, res) => {
       negotiation: stats?.filter(r => r.status === 'negotiation').length || 0,
       won: stats?.filter(r => r.status === 'won').length || 0,
       fully_paid: stats?.filter(r => r.status === 'fully_paid').length || 0,
-      lost: stats?.filter(r => r.status === 'lost').length || 0
+      lost: stats?.filter(r => r.status === 'lost').length || 0,
+      expired: stats?.filter(r => r.status === 'expired').length || 0
     };
 
     // Calculate financial totals
@@ -214,7 +198,7 @@ router.get('/', authenticatePartner, async (req, res) => {
     res.json({
       success: true,
       data: {
-        referrals: referrals || [],
+        referrals: await referralProtectionService.withProtection(referrals || []),
         pagination: {
           page: parseInt(page),
           limit: parseInt(limit),
@@ -248,42 +232,10 @@ router.get('/:id', authenticatePartner, async (req, res) => {
 
     console.log(`🔍 Fetching referral details: ${referralId} for partner: ${partnerId}`);
 
-    // Get referral with lead details and activities - USE ADMIN CLIENT
-    const { data: referral, error } = await supabaseAdmin
-      .from('referrals')
-      .select(`
-        *,
-        leads (
-          id,
-          status,
-          erp_system,
-          implementation_timeline,
-          estimated_value,
-          last_contact,
-          assigned_to,
-          internal_users:assigned_to (name, email),
-          activities:lead_activities (
-            id,
-            type,
-            notes,
-            created_at,
-            recorded_by
-          )
-        ),
-        client_payments (
-          id,
-          amount,
-          commission_calculated,
-          payment_date,
-          status,
-          created_at
-        )
-      `)
-      .eq('id', referralId)
-      .eq('partner_id', partnerId)
-      .single();
-
-    if (error || !referral) {
+    // Get referral with lead details and activities
+    const referral = await referralRepository.findDetailForPartner(referralId, partnerId);
+
+    if (!referral) {
       return res.status(404).json({
         success: false,
         message: 'Referral not found or access denied'
@@ -295,6 +247,9 @@ router.get('/:id', authenticatePartner, async (req, res) => {
     const totalPayments = confirmedPayments.reduce((sum, payment) => sum + payment.amount, 0);
     const totalCommission = confirmedPayments.reduce((sum, payment) => sum + payment.commission_calculated, 0);
 
+    const funnel = await referralTrackingService.getFunnel(referral);
+    const [{ protection }] = await referralProtectionService.withProtection([referral]);
+
     res.json({
       success: true,
       data: {
@@ -304,7 +259,9 @@ router.get('/:id', authenticatePartner, async (req, res) => {
             total_payments: totalPayments,
             total_commission: totalCommission,
             estimated_deal_value: referral.estimated_deal_value
-          }
+          },
+          funnel,
+          protection
         }
       }
     });
@@ -328,23 +285,12 @@ router.get('/stats/dashboard', authenticatePartner, async (req, res) => {
     console.log(`📊 Fetching dashboard stats for partner: ${partnerId}`);
 
     // Get referral counts by status
-    const { data: referrals, error: referralsError } = await supabase
-      .from('referrals')
-      .select('status, total_commission_earned, total_deal_value')
-      .eq('partner_id', partnerId);
-
-    if (referralsError) {
-      console.error('❌ Stats fetch error:', referralsError);
-      return res.status(500).json({
-        success: false,
-        message: 'Failed to fetch dashboard statistics'
-      });
-    }
+    const referrals = await referralRepository.findByPartner(partnerId, 'status, total_commission_earned, total_deal_value');
 
     // Calculate statistics
     const totalReferrals = referrals.length;
     const activeReferrals = referrals.filter(r => 
-      !['won', 'fully_paid', 'lost'].includes(r.status)
+      !['won', 'fully_paid', 'lost', 'expired'].includes(r.status)
     ).length;
 
     const totalCommissionEarned = referrals.reduce((sum, r) => 
@@ -356,24 +302,15 @@ router.get('/stats/dashboard', authenticatePartner, async (req, res) => {
     );
 
     // Get recent referrals
-    const { data: recentReferrals } = await supabase
-      .from('referrals')
-      .select('id, prospect_company_name, status, referral_code, created_at')
-      .eq('partner_id', partnerId)
-      .order('created_at', { ascending: false })
-      .limit(5);
-
-    // Get eligible payouts (fully_paid referrals with commission)
-    const { data: eligiblePayouts } = await supabase
-      .from('referrals')
-      .select('total_commission_earned')
-      .eq('partner_id', partnerId)
-      .eq('status', 'fully_paid')
-      .eq('commission_eligible', true);
-
-    const availableForPayout = eligiblePayouts?.reduce((sum, r) => 
-      sum + (r.total_commission_earned || 0), 0
-    ) || 0;
+    const recentReferrals = await referralRepository.findByPartner(
+      partnerId,
+      'id, prospect_company_name, status, referral_code, protected_until, created_at',
+      { limit: 5 }
+    );
+
+    // Accrued commission not yet paid out or requested (honours the accrual policy)
+    const balance = await ledgerService.getBalance(partnerId);
+    const availableForPayout = balance.available_for_payout;
 
     res.json({
       success: true,
@@ -393,9 +330,10 @@ router.get('/stats/dashboard', authenticatePartner, async (req, res) => {
           negotiation: referrals.filter(r => r.status === 'negotiation').length,
           won: referrals.filter(r => r.status === 'won').length,
           fully_paid: referrals.filter(r => r.status === 'fully_paid').length,
-          lost: referrals.filter(r => r.status === 'lost').length
+          lost: referrals.filter(r => r.status === 'lost').length,
+          expired: referrals.filter(r => r.status === 'expired').length
         },
-        recent_referrals: recentReferrals || []
+        recent_referrals: await referralProtectionService.withProtection(recentReferrals || [])
       }
     });
 
@@ -412,7 +350,7 @@ router.get('/stats/dashboard', authenticatePartner, async (req, res) => {
 // @route   GET /api/referrals/code/:code
 // @desc    Internal: lookup referral by code
 // @access  Private (Internal)
-router.get('/code/:code', authenticateInternal, async (req, res) => {
+router.get('/code/:code', authenticateInternal, requirePermission('referrals.read'), async (req, res) => {
   try {
     const { code } = req.params;
 
@@ -428,59 +366,39 @@ router.get('/code/:code', authenticateInternal, async (req, res) => {
 
     const normalizedCode = code.toUpperCase();
 
-    console.log(`🔍 Using ADMIN client to bypass RLS for code: ${normalizedCode}`);
-
-    // Use admin client to bypass RLS
-    const { data: referral, error } = await supabaseAdmin
-      .from('referrals')
-      .select(`
+    const referral = await referralRepository.findByCode(normalizedCode, `
+      id,
+      referral_code,
+      prospect_company_name,
+      contact_name,
+      email,
+      phone,
+      industry,
+      estimated_deal_value,
+      status,
+      protected_until,
+      partner_id,
+      partners!referrals_partner_id_fkey (
         id,
-        referral_code,
-        prospect_company_name,
+        company_name,
         contact_name,
         email,
         phone,
-        industry,
-        estimated_deal_value,
-        status,
-        partner_id,
-        partners!referrals_partner_id_fkey (
-          id,
-          company_name,
-          contact_name,
-          email,
-          phone,
-          bank_verified
-        )
-      `)
-      .eq('referral_code', normalizedCode)
-      .single();
-
-    if (error) {
-      console.error('❌ Referral lookup error with admin client:', error);
-      
-      if (error.code === 'PGRST116') {
-        return res.status(404).json({
-          success: false,
-          message: `Referral code "${normalizedCode}" not found in database`
-        });
-      }
-      
-      return res.status(500).json({
-        success: false,
-        message: 'Database error while looking up referral: ' + error.message
-      });
-    }
+        bank_verified
+      )
+    `);
 
     if (!referral) {
       return res.status(404).json({
         success: false,
-        message: 'Referral code not found'
+        message: `Referral code "${normalizedCode}" not found in database`
       });
     }
 
     console.log(`✅ Referral found: ${referral.prospect_company_name}`);
 
+    const [{ protection }] = await referralProtectionService.withProtection([referral]);
+
     // Format response data
     const responseData = {
       referral: {
@@ -492,7 +410,8 @@ router.get('/code/:code', authenticateInternal, async (req, res) => {
         phone: referral.phone,
         industry: referral.industry,
         estimated_deal_value: referral.estimated_deal_value,
-        status: referral.status
+        status: referral.status,
+        protection
       },
       partner: referral.partners
     };
@@ -1,12 +1,14 @@
 import express from 'express';
-import { authenticateInternal } from '../middleware/auth.js';
+import { supabaseAdmin } from '../config/supabase.js';
+import { authenticateInternal, requirePermission } from '../middleware/auth.js';
+import taxService from '../services/tax-service.js';
 
 const router = express.Router();
 
 // @route   GET /api/reports/financial
 // @desc    Revenue & financial reports
 // @access  Private (Internal)
-router.get('/financial', authenticateInternal, async (req, res) => {
+router.get('/financial', authenticateInternal, requirePermission('reports.read'), async (req, res) => {
   try {
     const { 
       date_from, 
@@ -23,7 +25,7 @@ router.get('/financial', authenticateInternal, async (req, res) => {
     if (date_to) dateFilter.lte = date_to;
 
     // Get payment data
-    const { data: payments, error: paymentsError } = await supabase
+    const { data: payments, error: paymentsError } = await supabaseAdmin
       .from('client_payments')
       .select(`
         amount,
@@ -86,7 +88,7 @@ router.get('/financial', authenticateInternal, async (req, res) => {
 // @route   GET /api/reports/commission
 // @desc    Commission payout reports
 // @access  Private (Internal)
-router.get('/commission', authenticateInternal, async (req, res) => {
+router.get('/commission', authenticateInternal, requirePermission('reports.read'), async (req, res) => {
   try {
     const { 
       date_from, 
@@ -98,7 +100,7 @@ router.get('/commission', authenticateInternal, async (req, res) => {
     console.log(`💸 Generating commission report`, { date_from, date_to, partner_id, status });
 
     // Build query for partner payouts
-    let payoutsQuery = supabase
+    let payoutsQuery = supabaseAdmin
       .from('partner_payouts')
       .select(`
         *,
@@ -184,10 +186,62 @@ router.get('/commission', authenticateInternal, async (req, res) => {
   }
 });
 
+// @route   GET /api/reports/tax-summary
+// @desc    VAT and withholding tax on paid payouts, with the per-partner WHT schedule (?format=csv)
+// @access  Private (Internal)
+router.get('/tax-summary', authenticateInternal, requirePermission('reports.read'), async (req, res) => {
+  try {
+    const {
+      date_from = `${new Date().getFullYear()}-01-01`,
+      date_to = new Date().toISOString().split('T')[0],
+      format = 'json'
+    } = req.query;
+
+    const from = new Date(date_from);
+    const to = new Date(date_to);
+
+    if (isNaN(from) || isNaN(to) || from > to) {
+      return res.status(400).json({
+        success: false,
+        message: 'date_from and date_to must be valid dates with date_from on or before date_to'
+      });
+    }
+
+    // date_to is inclusive
+    to.setDate(to.getDate() + 1);
+
+    console.log(`🧾 Generating tax summary`, { date_from, date_to });
+
+    const summary = await taxService.getSummary({ from: from.toISOString(), to: to.toISOString() });
+
+    if (format === 'csv') {
+      res.setHeader('Content-Type', 'text/csv');
+      res.setHeader('Content-Disposition', `attachment; filename="wht_schedule_${date_from}_${date_to}.csv"`);
+      return res.send(taxService.summaryToCsv(summary));
+    }
+
+    res.json({
+      success: true,
+      data: {
+        ...summary,
+        date_range: { from: date_from, to: date_to },
+        generated_at: new Date().toISOString()
+      }
+    });
+
+  } catch (error) {
+    console.error('💥 Tax summary error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while generating tax summary'
+    });
+  }
+});
+
 // @route   GET /api/reports/export
 // @desc    Data export (CSV format)
 // @access  Private (Internal)
-router.get('/export', authenticateInternal, async (req, res) => {
+router.get('/export', authenticateInternal, requirePermission('reports.export'), async (req, res) => {
   try {
     const { 
       type = 'referrals',
@@ -296,7 +350,7 @@ function generateFinancialBreakdown(payments, group_by) {
 
 // Export helper functions
 async function exportReferralsData(date_from, date_to) {
-  const { data: referrals } = await supabase
+  const { data: referrals } = await supabaseAdmin
     .from('referrals')
     .select(`
       *,
@@ -315,7 +369,7 @@ async function exportReferralsData(date_from, date_to) {
 }
 
 async function exportPaymentsData(date_from, date_to) {
-  const { data: payments } = await supabase
+  const { data: payments } = await supabaseAdmin
     .from('client_payments')
     .select(`
       *,
@@ -336,7 +390,7 @@ async function exportPaymentsData(date_from, date_to) {
 }
 
 async function exportCommissionsData(date_from, date_to) {
-  const { data: payouts } = await supabase
+  const { data: payouts } = await supabaseAdmin
     .from('partner_payouts')
     .select(`
       *,
@@ -346,16 +400,16 @@ async function exportCommissionsData(date_from, date_to) {
     .gte('requested_at', date_from || '2020-01-01')
     .lte('requested_at', date_to || new Date().toISOString());
 
-  const csvHeaders = 'Request Date,Partner,Company Name,Amount,Status,Processed Date,Reference\n';
+  const csvHeaders = 'Request Date,Partner,Company Name,Gross Amount,WHT Withheld,Amount,Status,Processed Date,Reference\n';
   const csvRows = (payouts || []).map(payout => 
-    `"${payout.requested_at}","${payout.partners?.company_name || ''}","${payout.referrals?.prospect_company_name || ''}",${payout.amount},"${payout.status}","${payout.processed_at || ''}","${payout.payment_reference || ''}"`
+    `"${payout.requested_at}","${payout.partners?.company_name || ''}","${payout.referrals?.prospect_company_name || ''}",${payout.gross_amount ?? payout.amount},${payout.wht_amount || 0},${payout.amount},"${payout.status}","${payout.processed_at || ''}","${payout.payment_reference || ''}"`
   ).join('\n');
 
   return csvHeaders + csvRows;
 }
 
 async function exportPartnersData() {
-  const { data: partners } = await supabase
+  const { data: partners } = await supabaseAdmin
     .from('partners')
     .select(`
       *,
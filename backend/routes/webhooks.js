@@ -0,0 +1,185 @@
+import express from 'express';
+import { authenticateInternal, requirePermission } from '../middleware/auth.js';
+import webhookService, { WEBHOOK_EVENT_STATUSES } from '../services/webhook-service.js';
+import auditService from '../services/audit-service.js';
+
+const router = express.Router();
+
+// @route   POST /api/webhooks/paystack
+// @desc    Paystack event receiver (signed with x-paystack-signature)
+// @access  Public (signature verified)
+router.post('/paystack', async (req, res) => {
+  try {
+    const signature = req.headers['x-paystack-signature'];
+
+    // req.rawBody is kept by the JSON parser for /api/webhooks so the signature covers the exact bytes sent
+    if (!webhookService.verifyPaystackSignature(req.rawBody, signature)) {
+      console.log(`🚫 Rejected Paystack webhook with invalid signature from ${req.ip}`);
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid signature'
+      });
+    }
+
+    if (!req.body?.event) {
+      return res.status(400).json({
+        success: false,
+        message: 'Event type is required'
+      });
+    }
+
+    console.log(`📨 Paystack webhook: ${req.body.event}`);
+
+    const { event } = await webhookService.store('paystack', req.body, { ipAddress: req.ip });
+
+    // Only the delivery that claims the event runs it; redeliveries of events that already went
+    // through, or that another delivery is running, are acknowledged without re-running
+    const claimed = await webhookService.claim(event);
+
+    if (!claimed) {
+      console.log(`🔁 Duplicate Paystack webhook ${event.event_key} (${event.status})`);
+      return res.json({ success: true, message: 'Event already processed' });
+    }
+
+    await webhookService.process(claimed);
+
+    // Failures are kept on the stored event for replay; Paystack only needs to know we have it
+    res.json({ success: true, message: 'Event received' });
+
+  } catch (error) {
+    console.error('💥 Paystack webhook error:', error);
+    // Not stored: let Paystack retry the delivery
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while receiving webhook'
+    });
+  }
+});
+
+// @route   GET /api/webhooks/events
+// @desc    List received webhook events (?status, ?event_type)
+// @access  Private (Internal)
+router.get('/events', authenticateInternal, requirePermission('webhooks.manage'), async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status, event_type } = req.query;
+
+    if (status && !WEBHOOK_EVENT_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Status must be one of: ${WEBHOOK_EVENT_STATUSES.join(', ')}`
+      });
+    }
+
+    const { events, total } = await webhookService.list({
+      status: status || null,
+      eventType: event_type || null,
+      page: parseInt(page),
+      limit: parseInt(limit)
+    });
+
+    res.json({
+      success: true,
+      data: {
+        events,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('💥 Webhook events list error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while fetching webhook events'
+    });
+  }
+});
+
+// @route   GET /api/webhooks/events/:id
+// @desc    A webhook event with its full payload
+// @access  Private (Internal)
+router.get('/events/:id', authenticateInternal, requirePermission('webhooks.manage'), async (req, res) => {
+  try {
+    const event = await webhookService.get(req.params.id);
+
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook event not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { event }
+    });
+
+  } catch (error) {
+    console.error('💥 Webhook event fetch error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while fetching webhook event'
+    });
+  }
+});
+
+// @route   POST /api/webhooks/events/:id/replay
+// @desc    Run a stored webhook event through its handler again
+// @access  Private (Internal)
+router.post('/events/:id/replay', authenticateInternal, requirePermission('webhooks.manage'), async (req, res) => {
+  try {
+    const event = await webhookService.get(req.params.id);
+
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook event not found'
+      });
+    }
+
+    const claimed = await webhookService.claim(event, {
+      from: WEBHOOK_EVENT_STATUSES.filter(status => status !== 'processing')
+    });
+
+    if (!claimed) {
+      return res.status(409).json({
+        success: false,
+        message: 'This event is being processed; try again once it has finished'
+      });
+    }
+
+    console.log(`🔁 Replaying webhook event ${event.id} (${event.event_type}) by ${req.internalUser.email}`);
+
+    const replayed = await webhookService.process(claimed, { replayedBy: req.internalUser.id });
+
+    await auditService.log(req, {
+      action: 'update',
+      resourceType: 'webhook_events',
+      resourceId: event.id,
+      oldValues: { status: event.status },
+      newValues: { status: replayed.status },
+      notes: `Replayed ${event.event_type} event`
+    });
+
+    res.json({
+      success: replayed.status !== 'failed',
+      message: replayed.status === 'failed'
+        ? `Replay failed: ${replayed.last_error}`
+        : `Event ${replayed.status}`,
+      data: { event: replayed }
+    });
+
+  } catch (error) {
+    console.error('💥 Webhook replay error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while replaying webhook event'
+    });
+  }
+});
+
+export default router;
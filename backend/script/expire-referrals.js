@@ -0,0 +1,25 @@
+// Referral expiry job: warns partners whose referral protection ends within
+// referral_expiry_warning_days and moves referrals whose window has ended to `expired`
+// (services/referral-protection-service.js). Safe to run as often as you like; schedule it
+// at least daily, e.g. from cron:
+//
+//   15 2 * * *  cd /srv/cryptware/backend && npm run job:expire-referrals
+//
+// Uses the same DATA_BACKEND and credentials as the API (config/supabase.js loads .env).
+import { supabaseAdmin } from '../config/supabase.js';
+import referralProtectionService from '../services/referral-protection-service.js';
+
+async function main() {
+  try {
+    const { warned, expired } = await referralProtectionService.run();
+    console.log(`✅ Referral expiry done: ${warned} partner(s) warned, ${expired} referral(s) expired`);
+  } finally {
+    // The plain-Postgres client holds a pool open; the Supabase client has nothing to close
+    await supabaseAdmin.end?.();
+  }
+}
+
+main().catch(error => {
+  console.error('💥 Referral expiry failed:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,253 @@
+// Local stand-in for the Paystack API, for exercising payouts without moving money.
+// Point the backend at it with PAYSTACK_BASE_URL=http://localhost:4010
+//
+//   MOCK_PAYSTACK_PORT      port to listen on (default 4010)
+//   MOCK_PAYSTACK_OTP       'true' to hold transfers for OTP, like an account with OTP enabled
+//   MOCK_PAYSTACK_OUTCOME   state new transfers settle in: success (default), pending or failed
+//   MOCK_PAYSTACK_WEBHOOK_URL  where to send signed transfer.* events, e.g.
+//                           http://localhost:8000/api/webhooks/paystack (signed with PAYSTACK_SECRET_KEY)
+//
+// The OTP is always 123456. Account numbers ending in 0000 are rejected by the "bank".
+// POST /__mock/transfers/:reference { status } moves a transfer to any state (e.g. reversed).
+import crypto from 'crypto';
+import axios from 'axios';
+import express from 'express';
+
+const PORT = process.env.MOCK_PAYSTACK_PORT || 4010;
+const REQUIRE_OTP = process.env.MOCK_PAYSTACK_OTP === 'true';
+const OUTCOME = process.env.MOCK_PAYSTACK_OUTCOME || 'success';
+const MOCK_OTP = '123456';
+const TRANSFER_FEE_KOBO = 5000;
+const WEBHOOK_URL = process.env.MOCK_PAYSTACK_WEBHOOK_URL;
+const SECRET_KEY = process.env.PAYSTACK_SECRET_KEY || 'sk_test_mock';
+
+const BANKS = [
+  { id: 1, name: 'Access Bank', code: '044', slug: 'access-bank' },
+  { id: 2, name: 'Guaranty Trust Bank', code: '058', slug: 'guaranty-trust-bank' },
+  { id: 3, name: 'United Bank For Africa', code: '033', slug: 'united-bank-for-africa' },
+  { id: 4, name: 'Zenith Bank', code: '057', slug: 'zenith-bank' },
+  { id: 5, name: 'First Bank of Nigeria', code: '011', slug: 'first-bank-of-nigeria' }
+];
+
+const recipients = new Map();  // recipient_code -> recipient
+const transfers = new Map();   // reference -> transfer
+
+let sequence = 0;
+const nextCode = (prefix) => `${prefix}_${Date.now().toString(36)}${(++sequence).toString(36)}`;
+
+const app = express();
+app.use(express.json());
+
+app.use((req, res, next) => {
+  console.log(`🧪 Mock Paystack: ${req.method} ${req.path}`);
+  if (!req.path.startsWith('/__mock') && !/^Bearer \S+/.test(req.headers.authorization || '')) {
+    return res.status(401).json({ status: false, message: 'Invalid key' });
+  }
+  next();
+});
+
+// Deliver transfer.<status> for settled transfers, as Paystack does
+const sendWebhook = async (transfer) => {
+  if (!WEBHOOK_URL || !['success', 'failed', 'reversed'].includes(transfer.status)) return;
+
+  const body = JSON.stringify({ event: `transfer.${transfer.status}`, data: transfer });
+  const signature = crypto.createHmac('sha512', SECRET_KEY).update(body).digest('hex');
+
+  try {
+    await axios.post(WEBHOOK_URL, body, {
+      headers: { 'Content-Type': 'application/json', 'x-paystack-signature': signature }
+    });
+    console.log(`📨 Mock Paystack: sent transfer.${transfer.status} for ${transfer.reference}`);
+  } catch (error) {
+    console.error(`❌ Mock Paystack: webhook delivery failed: ${error.response?.status || error.message}`);
+  }
+};
+
+const settle = (transfer) => {
+  const recipient = recipients.get(transfer.recipient);
+  if (recipient?.details.account_number.endsWith('0000')) {
+    return { ...transfer, status: 'failed', failures: 'Account is dormant or closed' };
+  }
+  return { ...transfer, status: OUTCOME };
+};
+
+app.get('/bank', (req, res) => {
+  res.json({ status: true, message: 'Banks retrieved', data: BANKS });
+});
+
+app.get('/bank/resolve', (req, res) => {
+  const { account_number, bank_code } = req.query;
+  const bank = BANKS.find(b => b.code === bank_code);
+
+  if (!bank || !/^\d{10}$/.test(account_number || '')) {
+    return res.status(422).json({ status: false, message: 'Could not resolve account name. Check parameters or try again.' });
+  }
+
+  res.json({
+    status: true,
+    message: 'Account number resolved',
+    data: { account_number, account_name: 'MOCK PARTNER ACCOUNT', bank_id: bank.id }
+  });
+});
+
+app.post('/transferrecipient', (req, res) => {
+  const { type, name, account_number, bank_code } = req.body;
+
+  if (type !== 'nuban' || !account_number || !BANKS.some(b => b.code === bank_code)) {
+    return res.status(400).json({ status: false, message: 'Account number or bank code is invalid' });
+  }
+
+  // Paystack returns the existing recipient for the same account details
+  const existing = [...recipients.values()].find(r =>
+    r.details.account_number === account_number && r.details.bank_code === bank_code
+  );
+  if (existing) {
+    return res.json({ status: true, message: 'Transfer recipient created successfully', data: existing });
+  }
+
+  const recipient = {
+    recipient_code: nextCode('RCP'),
+    type,
+    name,
+    currency: 'NGN',
+    details: { account_number, account_name: name, bank_code }
+  };
+  recipients.set(recipient.recipient_code, recipient);
+
+  res.status(201).json({ status: true, message: 'Transfer recipient created successfully', data: recipient });
+});
+
+app.post('/transfer', (req, res) => {
+  const { amount, recipient, reference, reason } = req.body;
+
+  if (!recipients.has(recipient)) {
+    return res.status(400).json({ status: false, message: 'Recipient specified is invalid' });
+  }
+  if (!Number.isInteger(amount) || amount <= 0) {
+    return res.status(400).json({ status: false, message: 'Invalid amount' });
+  }
+
+  // Idempotency: a repeated reference returns the original transfer
+  if (reference && transfers.has(reference)) {
+    return res.json({ status: true, message: 'Transfer has been queued', data: transfers.get(reference) });
+  }
+
+  const transfer = {
+    transfer_code: nextCode('TRF'),
+    reference: reference || nextCode('ref'),
+    amount,
+    fee_charged: TRANSFER_FEE_KOBO,
+    currency: 'NGN',
+    recipient,
+    reason,
+    status: REQUIRE_OTP ? 'otp' : 'pending',
+    failures: null,
+    createdAt: new Date().toISOString()
+  };
+
+  const stored = REQUIRE_OTP ? transfer : settle(transfer);
+  transfers.set(stored.reference, stored);
+  setTimeout(() => sendWebhook(stored), 500);
+
+  res.json({
+    status: true,
+    message: REQUIRE_OTP ? 'Transfer requires OTP to continue' : 'Transfer has been queued',
+    data: stored
+  });
+});
+
+// Bulk transfers skip OTP on Paystack; each entry is created like a single transfer
+app.post('/transfer/bulk', (req, res) => {
+  const { transfers: entries } = req.body;
+
+  if (!Array.isArray(entries) || entries.length === 0 || entries.length > 100) {
+    return res.status(400).json({ status: false, message: 'Transfers must be a list of 1 to 100 entries' });
+  }
+
+  const invalid = entries.find(t => !recipients.has(t.recipient) || !Number.isInteger(t.amount) || t.amount <= 0);
+  if (invalid) {
+    return res.status(400).json({ status: false, message: `Invalid transfer for reference ${invalid.reference}` });
+  }
+
+  const queued = entries.map(({ amount, recipient, reference, reason }) => {
+    if (reference && transfers.has(reference)) return transfers.get(reference);
+
+    const stored = settle({
+      transfer_code: nextCode('TRF'),
+      reference: reference || nextCode('ref'),
+      amount,
+      fee_charged: TRANSFER_FEE_KOBO,
+      currency: 'NGN',
+      recipient,
+      reason,
+      status: 'pending',
+      failures: null,
+      createdAt: new Date().toISOString()
+    });
+    transfers.set(stored.reference, stored);
+    setTimeout(() => sendWebhook(stored), 500);
+    return stored;
+  });
+
+  res.json({ status: true, message: `${queued.length} transfers queued.`, data: queued });
+});
+
+app.post('/transfer/finalize_transfer', (req, res) => {
+  const { transfer_code, otp } = req.body;
+  const transfer = [...transfers.values()].find(t => t.transfer_code === transfer_code);
+
+  if (!transfer) {
+    return res.status(404).json({ status: false, message: 'Transfer not found' });
+  }
+  if (transfer.status !== 'otp') {
+    return res.status(400).json({ status: false, message: 'Transfer is not currently awaiting OTP' });
+  }
+  if (otp !== MOCK_OTP) {
+    return res.status(400).json({ status: false, message: 'Invalid OTP' });
+  }
+
+  const settled = settle(transfer);
+  transfers.set(settled.reference, settled);
+  setTimeout(() => sendWebhook(settled), 500);
+
+  res.json({ status: true, message: 'Transfer has been queued', data: settled });
+});
+
+app.post('/transfer/resend_otp', (req, res) => {
+  const transfer = [...transfers.values()].find(t => t.transfer_code === req.body.transfer_code);
+
+  if (!transfer || transfer.status !== 'otp') {
+    return res.status(400).json({ status: false, message: 'Transfer is not currently awaiting OTP' });
+  }
+
+  res.json({ status: true, message: 'OTP has been resent' });
+});
+
+app.get('/transfer/verify/:reference', (req, res) => {
+  const transfer = transfers.get(req.params.reference);
+
+  if (!transfer) {
+    return res.status(404).json({ status: false, message: 'Transfer not found' });
+  }
+
+  res.json({ status: true, message: 'Transfer retrieved', data: transfer });
+});
+
+// Test control: move a transfer to another state
+app.post('/__mock/transfers/:reference', (req, res) => {
+  const transfer = transfers.get(req.params.reference);
+
+  if (!transfer) {
+    return res.status(404).json({ status: false, message: 'Transfer not found' });
+  }
+
+  const updated = { ...transfer, status: req.body.status, failures: req.body.failures || transfer.failures };
+  transfers.set(updated.reference, updated);
+  sendWebhook(updated);
+
+  res.json({ status: true, message: `Transfer is now ${updated.status}`, data: updated });
+});
+
+app.listen(PORT, () => {
+  console.log(`🧪 Mock Paystack listening on http://localhost:${PORT} (OTP ${REQUIRE_OTP ? 'on' : 'off'}, outcome: ${OUTCOME})`);
+});
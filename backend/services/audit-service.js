@@ -0,0 +1,295 @@
+import crypto from 'crypto';
+import { supabaseAdmin } from '../config/supabase.js';
+
+// Fields that never reach the audit trail, at any depth
+const REDACTED_FIELDS = new Set([
+  'password', 'password_hash', 'otp', 'otp_hash', 'otp_code', 'secret', 'totp_secret',
+  'code_hash', 'token', 'token_hash', 'refresh_token', 'access_token', 'recovery_codes'
+]);
+
+// Bookkeeping columns left out of before/after diffs
+const DIFF_IGNORED_FIELDS = new Set(['updated_at']);
+
+// Chain value for the first hashed entry
+export const GENESIS_HASH = '0'.repeat(64);
+
+const VERIFY_PAGE_SIZE = 1000;
+const MAX_CHAIN_RETRIES = 3;
+
+// Every mutation writes one audit_logs row through here: who (actor, IP, user agent, request
+// id), what (resource, before/after values and the field-level diff between them) and why.
+// Rows are hash-chained: each stores the previous row's hash and a SHA-256 over its own content
+// plus that link, so editing or deleting a row breaks verification from that point on.
+// A unique index on previous_hash rejects a forked chain; the writer re-reads the head and retries.
+class AuditService {
+  constructor() {
+    this.queue = Promise.resolve();
+    this.failures = 0;
+    this.lastFailureAt = null;
+  }
+
+  // Record a change. `req` supplies the actor and request context (null for system jobs);
+  // userId/userType override the actor. Never throws: a failed write is logged with the full
+  // entry and counted (see getWriteFailures) so it can be recovered from the logs.
+  async log(req, {
+    userId, userType, action, resourceType, resourceId = null,
+    oldValues = null, newValues = null, reason = null, notes = null
+  }) {
+    const actor = this.resolveActor(req, { userId, userType });
+    const before = normalize(oldValues);
+    const after = normalize(newValues);
+    const changes = this.diff(before, after);
+
+    const entry = {
+      user_id: actor.id,
+      user_type: actor.type,
+      action,
+      resource_type: resourceType,
+      resource_id: resourceId,
+      old_values: before,
+      new_values: after,
+      changes,
+      changed_fields: Object.keys(changes),
+      reason: reason || req?.get?.('X-Audit-Reason') || null,
+      notes,
+      ip_address: req?.ip || null,
+      user_agent: req?.get?.('User-Agent') || null,
+      request_id: req?.id || null
+    };
+
+    // Writes are serialized so each one links to the entry before it
+    const write = this.queue.then(() => this.append(entry));
+    this.queue = write.catch(() => {});
+
+    try {
+      return await write;
+    } catch (error) {
+      this.failures++;
+      this.lastFailureAt = new Date().toISOString();
+      console.error('❌ Audit log write failed:', error.message, JSON.stringify(entry));
+      return null;
+    }
+  }
+
+  resolveActor(req, { userId, userType }) {
+    if (userId !== undefined || userType) {
+      return { id: userId || null, type: userType || (userId ? 'internal' : 'system') };
+    }
+    if (req?.internalUser) return { id: req.internalUser.id, type: 'internal' };
+    if (req?.partner) return { id: req.partner.id, type: 'partner' };
+    if (req?.user) return { id: req.user.id, type: req.user.user_metadata?.user_type || 'partner' };
+    return { id: null, type: 'system' };
+  }
+
+  // Field-level changes between two row snapshots: { field: { from, to } }
+  diff(before, after) {
+    if (!before && !after) return {};
+
+    const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+    const changes = {};
+
+    fields.forEach(field => {
+      if (DIFF_IGNORED_FIELDS.has(field)) return;
+      // A partial update only says what it set; fields it leaves out did not change
+      if (before && after && !(field in after)) return;
+
+      const from = before ? before[field] ?? null : null;
+      const to = after ? after[field] ?? null : null;
+      if (canonicalJson(from) !== canonicalJson(to)) {
+        changes[field] = { from, to };
+      }
+    });
+
+    return changes;
+  }
+
+  async append(entry) {
+    for (let attempt = 1; ; attempt++) {
+      const head = await this.getHead();
+      const row = {
+        ...entry,
+        id: crypto.randomUUID(),
+        created_at: new Date().toISOString(),
+        previous_hash: head?.hash || GENESIS_HASH
+      };
+      row.hash = hashEntry(row);
+
+      const { data: saved, error } = await supabaseAdmin
+        .from('audit_logs')
+        .insert(row)
+        .select('id, sequence, hash')
+        .single();
+
+      if (!error) return saved;
+
+      // Another writer (a second instance) took this link first
+      if (error.code === '23505' && attempt < MAX_CHAIN_RETRIES) continue;
+
+      throw new Error(`Failed to write audit log: ${error.message}`);
+    }
+  }
+
+  async getHead() {
+    const { data: head, error } = await supabaseAdmin
+      .from('audit_logs')
+      .select('id, sequence, hash')
+      .not('hash', 'is', null)
+      .order('sequence', { ascending: false })
+      .limit(1)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to read audit chain head: ${error.message}`);
+    }
+
+    return head;
+  }
+
+  getWriteFailures() {
+    return { count: this.failures, last_failure_at: this.lastFailureAt };
+  }
+
+  // ==================== QUERYING ====================
+  // field matches entries whose diff touched that field
+  async list({ page = 1, limit = 50, userId, userType, action, resourceType, resourceId, field, requestId, dateFrom, dateTo }) {
+    const offset = (page - 1) * limit;
+
+    let query = supabaseAdmin
+      .from('audit_logs')
+      .select('*', { count: 'exact' })
+      .order('sequence', { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    if (userId) query = query.eq('user_id', userId);
+    if (userType) query = query.eq('user_type', userType);
+    if (action) query = query.eq('action', action);
+    if (resourceType) query = query.eq('resource_type', resourceType);
+    if (resourceId) query = query.eq('resource_id', resourceId);
+    if (field) query = query.contains('changed_fields', [field]);
+    if (requestId) query = query.eq('request_id', requestId);
+    if (dateFrom) query = query.gte('created_at', dateFrom);
+    if (dateTo) query = query.lte('created_at', dateTo);
+
+    const { data: logs, error, count } = await query;
+
+    if (error) {
+      console.error('❌ Audit logs error:', error);
+      throw new Error('Failed to fetch audit logs');
+    }
+
+    return { logs: logs || [], total: count || 0 };
+  }
+
+  // ==================== VERIFICATION ====================
+  // Walk the chain in order, recomputing every hash and link. Rows written before chaining
+  // (no hash) are counted but not checked. Stops at the first break.
+  async verifyChain({ fromSequence = null } = {}) {
+    let previousHash = null;
+    let cursor = fromSequence ? fromSequence - 1 : 0;
+    let checked = 0;
+    let unchained = 0;
+
+    if (fromSequence) {
+      const { data: prior } = await supabaseAdmin
+        .from('audit_logs')
+        .select('hash')
+        .lt('sequence', fromSequence)
+        .not('hash', 'is', null)
+        .order('sequence', { ascending: false })
+        .limit(1)
+        .maybeSingle();
+      previousHash = prior?.hash || null;
+    }
+
+    for (;;) {
+      const { data: rows, error } = await supabaseAdmin
+        .from('audit_logs')
+        .select('*')
+        .gt('sequence', cursor)
+        .order('sequence', { ascending: true })
+        .limit(VERIFY_PAGE_SIZE);
+
+      if (error) {
+        console.error('❌ Audit chain read error:', error);
+        throw new Error('Failed to read audit logs for verification');
+      }
+
+      for (const row of rows || []) {
+        cursor = row.sequence;
+
+        if (!row.hash) {
+          unchained++;
+          continue;
+        }
+
+        const expectedPrevious = previousHash || GENESIS_HASH;
+        if (row.previous_hash !== expectedPrevious) {
+          return this.broken(row, 'Link to the previous entry does not match (an entry was removed, inserted or reordered)', { checked, unchained });
+        }
+        if (hashEntry(row) !== row.hash) {
+          return this.broken(row, 'Entry content does not match its hash (the entry was modified)', { checked, unchained });
+        }
+
+        previousHash = row.hash;
+        checked++;
+      }
+
+      if (!rows || rows.length < VERIFY_PAGE_SIZE) break;
+    }
+
+    return { valid: true, checked, unchained, head_hash: previousHash, verified_at: new Date().toISOString() };
+  }
+
+  broken(row, reason, { checked, unchained }) {
+    console.error(`🚨 Audit chain broken at sequence ${row.sequence} (${row.id}): ${reason}`);
+    return {
+      valid: false,
+      checked,
+      unchained,
+      broken_at: { id: row.id, sequence: row.sequence, created_at: row.created_at, reason },
+      verified_at: new Date().toISOString()
+    };
+  }
+}
+
+// JSON round-trip (what jsonb stores) with secrets redacted, so the hash written matches
+// the hash recomputed from the stored row
+function normalize(values) {
+  if (values === null || values === undefined) return null;
+  return JSON.parse(JSON.stringify(values, (key, value) => (REDACTED_FIELDS.has(key) ? '[redacted]' : value)));
+}
+
+// JSON with object keys sorted at every level
+function canonicalJson(value) {
+  if (value === null || value === undefined) return 'null';
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+  if (typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+function hashEntry(row) {
+  const content = canonicalJson({
+    id: row.id,
+    created_at: new Date(row.created_at).toISOString(),
+    user_id: row.user_id ?? null,
+    user_type: row.user_type ?? null,
+    action: row.action ?? null,
+    resource_type: row.resource_type ?? null,
+    resource_id: row.resource_id ?? null,
+    old_values: row.old_values ?? null,
+    new_values: row.new_values ?? null,
+    changes: row.changes ?? null,
+    reason: row.reason ?? null,
+    notes: row.notes ?? null,
+    ip_address: row.ip_address ?? null,
+    user_agent: row.user_agent ?? null,
+    request_id: row.request_id ?? null,
+    previous_hash: row.previous_hash
+  });
+
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+export default new AuditService();
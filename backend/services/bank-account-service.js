@@ -0,0 +1,399 @@
+import { supabaseAdmin } from '../config/supabase.js';
+import configService from './config-service.js';
+import paystackService from './paystack-service.js';
+
+// Words that carry no identity when comparing a bank account name to a partner
+const NAME_NOISE_WORDS = new Set([
+  'LTD', 'LIMITED', 'PLC', 'NIG', 'NIGERIA', 'CO', 'COMPANY', 'INC', 'LLC',
+  'ENT', 'ENTERPRISE', 'ENTERPRISES', 'GLOBAL', 'INTL', 'INTERNATIONAL',
+  'SERVICES', 'THE', 'AND', 'OF', 'MR', 'MRS', 'MS', 'DR', 'ENGR', 'CHIEF'
+]);
+
+class BankAccountService {
+  // ==================== NAME MATCHING ====================
+  normalizeName(name) {
+    return (name || '')
+      .toUpperCase()
+      .replace(/&/g, ' AND ')
+      .replace(/[^A-Z0-9 ]/g, ' ')
+      .split(/\s+/)
+      .filter(token => token && !NAME_NOISE_WORDS.has(token));
+  }
+
+  levenshtein(a, b) {
+    const previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+    for (let i = 1; i <= a.length; i++) {
+      let diagonal = previous[0];
+      previous[0] = i;
+      for (let j = 1; j <= b.length; j++) {
+        const above = previous[j];
+        previous[j] = a[i - 1] === b[j - 1]
+          ? diagonal
+          : 1 + Math.min(diagonal, previous[j], previous[j - 1]);
+        diagonal = above;
+      }
+    }
+
+    return previous[b.length];
+  }
+
+  tokensMatch(a, b) {
+    if (a === b) return true;
+    // Initials ("A" vs "ADEBAYO") and small typos in longer words
+    if (a.length === 1 || b.length === 1) return a[0] === b[0];
+    const shortest = Math.min(a.length, b.length);
+    if (shortest < 4) return false;
+    return this.levenshtein(a, b) <= (shortest >= 7 ? 2 : 1);
+  }
+
+  // 0..1 score: share of the shorter name's words found in the longer one, in any order
+  nameSimilarity(first, second) {
+    const a = this.normalizeName(first);
+    const b = this.normalizeName(second);
+    if (a.length === 0 || b.length === 0) return 0;
+
+    // Same letters with different spacing ("FIRSTBANK" vs "First Bank")
+    if (a.join('') === b.join('')) return 1;
+
+    const [shorter, longer] = a.length <= b.length ? [a, b] : [b, a];
+
+    // A lone initial is not enough to identify anyone
+    if (!shorter.some(token => token.length > 1)) return 0;
+
+    const remaining = [...longer];
+    let matched = 0;
+
+    for (const token of shorter) {
+      const index = remaining.findIndex(candidate => this.tokensMatch(token, candidate));
+      if (index !== -1) {
+        matched++;
+        remaining.splice(index, 1);
+      }
+    }
+
+    return matched / shorter.length;
+  }
+
+  // Compare the bank's account name with the partner's company and contact names
+  async matchAccountName(accountName, { company_name, contact_name }) {
+    const threshold = await configService.getNumber('bank_name_match_threshold', 0.7);
+
+    const candidates = [
+      { field: 'company_name', score: this.nameSimilarity(accountName, company_name) },
+      { field: 'contact_name', score: this.nameSimilarity(accountName, contact_name) }
+    ].sort((x, y) => y.score - x.score);
+
+    const best = candidates[0];
+
+    return {
+      matched: best.score >= threshold,
+      score: Math.round(best.score * 100) / 100,
+      matched_against: best.score >= threshold ? best.field : null,
+      threshold
+    };
+  }
+
+  // Resolve the account with Paystack and check it belongs to the partner.
+  // Never trusts a client-supplied account name.
+  async resolveForPartner(partner, accountNumber, bankCode) {
+    const resolution = await paystackService.verifyBankAccount(accountNumber, bankCode);
+
+    if (!resolution.success) {
+      return {
+        success: false,
+        status: 400,
+        message: resolution.message || 'Bank account verification failed'
+      };
+    }
+
+    const accountName = resolution.data.account_name;
+    const match = await this.matchAccountName(accountName, partner);
+
+    if (!match.matched) {
+      console.log(`❌ Bank account name mismatch: "${accountName}" (score ${match.score})`);
+      return {
+        success: false,
+        status: 422,
+        message: 'The bank account name does not match your company or contact name',
+        accountName,
+        match
+      };
+    }
+
+    return { success: true, accountName, match };
+  }
+
+  // ==================== CHANGES & PAYOUT HOLD ====================
+  async getHoldHours() {
+    return configService.getNumber('bank_change_hold_hours', 48);
+  }
+
+  // Write the new bank details, record the change and start the payout cooling-off hold.
+  // The first account set on a partner is recorded but does not start a hold.
+  async applyChange(partner, { accountNumber, bankCode, accountName, matchScore, changedBy, changedByType, ipAddress }) {
+    const isReplacement = !!partner.bank_account_number;
+    const holdUntil = isReplacement
+      ? new Date(Date.now() + (await this.getHoldHours()) * 60 * 60 * 1000).toISOString()
+      : null;
+
+    const partnerUpdate = {
+      bank_account_number: accountNumber,
+      bank_code: bankCode,
+      verified_account_name: accountName,
+      bank_verified: true,
+      bank_changed_at: new Date().toISOString(),
+      // Paystack recipients are tied to account details; the next transfer creates a new one
+      paystack_recipient_code: null,
+      updated_at: new Date().toISOString()
+    };
+    if (holdUntil) partnerUpdate.payout_hold_until = holdUntil;
+
+    const { data: updatedPartner, error: updateError } = await supabaseAdmin
+      .from('partners')
+      .update(partnerUpdate)
+      .eq('id', partner.id)
+      .select()
+      .single();
+
+    if (updateError) {
+      console.error('❌ Partner bank update error:', updateError);
+      throw new Error('Failed to update partner bank details');
+    }
+
+    await this.recordChange(partner, {
+      accountNumber, bankCode, accountName, matchScore, changedBy, changedByType, ipAddress, holdUntil
+    });
+
+    return { partner: updatedPartner, holdUntil };
+  }
+
+  // Append to partner_bank_changes; `partner` carries the details being replaced (if any)
+  async recordChange(partner, { accountNumber, bankCode, accountName, matchScore, changedBy, changedByType, ipAddress, holdUntil = null }) {
+    const { error } = await supabaseAdmin
+      .from('partner_bank_changes')
+      .insert({
+        partner_id: partner.id,
+        old_bank_account_number: partner.bank_account_number || null,
+        old_bank_code: partner.bank_code || null,
+        old_account_name: partner.verified_account_name || null,
+        new_bank_account_number: accountNumber,
+        new_bank_code: bankCode,
+        new_account_name: accountName,
+        name_match_score: matchScore,
+        changed_by: changedBy,
+        changed_by_type: changedByType,
+        ip_address: ipAddress || null,
+        payout_hold_until: holdUntil
+      });
+
+    if (error) {
+      console.error('❌ Bank change history error:', error);
+    }
+  }
+
+  async listChanges(partnerId) {
+    const { data: changes, error } = await supabaseAdmin
+      .from('partner_bank_changes')
+      .select('*')
+      .eq('partner_id', partnerId)
+      .order('created_at', { ascending: false });
+
+    if (error) {
+      console.error('❌ Bank change history lookup error:', error);
+      throw new Error('Failed to fetch bank change history');
+    }
+
+    return changes || [];
+  }
+
+  // Returns { held: false } or { held: true, reason, message, ... }.
+  // Payouts stop while a change request is open and during the cooling-off period after a change.
+  async getPayoutHold(partnerId) {
+    const openRequest = await this.getOpenChangeRequest(partnerId);
+    if (openRequest) {
+      return {
+        held: true,
+        reason: 'bank_change_pending',
+        change_request_id: openRequest.id,
+        message: 'Payouts are on hold while a bank details change request is awaiting review'
+      };
+    }
+
+    const { data: partner } = await supabaseAdmin
+      .from('partners')
+      .select('payout_hold_until')
+      .eq('id', partnerId)
+      .single();
+
+    if (partner?.payout_hold_until && new Date(partner.payout_hold_until) > new Date()) {
+      return {
+        held: true,
+        reason: 'bank_change_cooling_off',
+        hold_until: partner.payout_hold_until,
+        message: `Payouts are on hold until ${new Date(partner.payout_hold_until).toUTCString()} following a recent bank details change`
+      };
+    }
+
+    return { held: false };
+  }
+
+  // ==================== CHANGE REQUESTS ====================
+  maskAccount(accountNumber, accountName) {
+    if (!accountNumber) return null;
+    return `${accountName || 'Account'} (••••${String(accountNumber).slice(-4)})`;
+  }
+
+  async getOpenChangeRequest(partnerId) {
+    const { data: request } = await supabaseAdmin
+      .from('bank_change_requests')
+      .select('*')
+      .eq('partner_id', partnerId)
+      .eq('status', 'pending')
+      .maybeSingle();
+
+    return request || null;
+  }
+
+  // Changes after onboarding wait for finance approval instead of applying immediately
+  async createChangeRequest(partner, { accountNumber, bankCode, accountName, matchScore, ipAddress, notifiedContacts }) {
+    const { data: request, error } = await supabaseAdmin
+      .from('bank_change_requests')
+      .insert({
+        partner_id: partner.id,
+        old_bank_account_number: partner.bank_account_number,
+        old_bank_code: partner.bank_code,
+        old_account_name: partner.verified_account_name,
+        new_bank_account_number: accountNumber,
+        new_bank_code: bankCode,
+        new_account_name: accountName,
+        name_match_score: matchScore,
+        status: 'pending',
+        requested_ip: ipAddress || null,
+        notified_contacts: notifiedContacts
+      })
+      .select()
+      .single();
+
+    if (error) {
+      console.error('❌ Bank change request error:', error);
+      throw new Error('Failed to create bank change request');
+    }
+
+    return request;
+  }
+
+  async listChangeRequests({ status = 'pending', page = 1, limit = 20 } = {}) {
+    const offset = (page - 1) * limit;
+
+    let query = supabaseAdmin
+      .from('bank_change_requests')
+      .select(`
+        *,
+        partners:partner_id (id, company_name, contact_name, email, phone, payout_hold_until),
+        internal_users:reviewed_by (name, email)
+      `, { count: 'exact' })
+      .order('created_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    if (status !== 'all') {
+      query = query.eq('status', status);
+    }
+
+    const { data: requests, error, count } = await query;
+
+    if (error) {
+      console.error('❌ Bank change request list error:', error);
+      throw new Error('Failed to fetch bank change requests');
+    }
+
+    return { requests: requests || [], total: count || 0 };
+  }
+
+  // Approve (applies the change and starts the cooling-off hold) or reject a pending request
+  async reviewChangeRequest(requestId, { approve, reviewerId, notes }) {
+    const { data: request } = await supabaseAdmin
+      .from('bank_change_requests')
+      .select('*')
+      .eq('id', requestId)
+      .single();
+
+    if (!request) {
+      return { success: false, status: 404, message: 'Change request not found' };
+    }
+
+    if (request.status !== 'pending') {
+      return { success: false, status: 409, message: `Change request is already ${request.status}` };
+    }
+
+    const { data: partner } = await supabaseAdmin
+      .from('partners')
+      .select('*')
+      .eq('id', request.partner_id)
+      .single();
+
+    // Details must not have moved since the request was raised
+    if (approve && partner.bank_account_number !== request.old_bank_account_number) {
+      return { success: false, status: 409, message: 'Partner bank details changed since this request was raised' };
+    }
+
+    // Claim the request before touching the partner: a concurrent cancel or review wins outright
+    const { data: reviewed, error } = await supabaseAdmin
+      .from('bank_change_requests')
+      .update({
+        status: approve ? 'approved' : 'rejected',
+        reviewed_by: reviewerId,
+        reviewed_at: new Date().toISOString(),
+        review_notes: notes || null
+      })
+      .eq('id', requestId)
+      .eq('status', 'pending')
+      .select()
+      .maybeSingle();
+
+    if (error) {
+      console.error('❌ Bank change review error:', error);
+      throw new Error('Failed to update bank change request');
+    }
+
+    if (!reviewed) {
+      return { success: false, status: 409, message: 'Change request is no longer pending' };
+    }
+
+    let holdUntil = null;
+
+    if (approve) {
+      ({ holdUntil } = await this.applyChange(partner, {
+        accountNumber: request.new_bank_account_number,
+        bankCode: request.new_bank_code,
+        accountName: request.new_account_name,
+        matchScore: request.name_match_score,
+        changedBy: reviewerId,
+        changedByType: 'internal',
+        ipAddress: request.requested_ip
+      }));
+    }
+
+    return { success: true, request: reviewed, partner, holdUntil };
+  }
+
+  async cancelChangeRequest(requestId, partnerId) {
+    const { data: cancelled, error } = await supabaseAdmin
+      .from('bank_change_requests')
+      .update({ status: 'cancelled', reviewed_at: new Date().toISOString() })
+      .eq('id', requestId)
+      .eq('partner_id', partnerId)
+      .eq('status', 'pending')
+      .select()
+      .maybeSingle();
+
+    if (error) {
+      console.error('❌ Bank change cancel error:', error);
+      throw new Error('Failed to cancel bank change request');
+    }
+
+    return cancelled;
+  }
+}
+
+export default new BankAccountService();
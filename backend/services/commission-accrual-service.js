@@ -0,0 +1,137 @@
+import { supabaseAdmin } from '../config/supabase.js';
+import configService from './config-service.js';
+
+// When recorded commission becomes payable:
+//   on_full_payment - once the deal is finalized and the referral is fully_paid (the original rule)
+//   per_payment     - as soon as each confirmed payment is recorded
+//   clearance_hold  - each payment's commission after a hold of N days from its payment date
+export const ACCRUAL_POLICIES = ['on_full_payment', 'per_payment', 'clearance_hold'];
+export const DEFAULT_ACCRUAL_POLICY = 'on_full_payment';
+export const DEFAULT_CLEARANCE_DAYS = 14;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// Splits each referral's commission (the sum of its commission_adjustments) into what has
+// accrued under the configured policy and what is still pending. Payout eligibility, the partner
+// balance and the eligible endpoints all read it, so switching the policy moves them together.
+class CommissionAccrualService {
+  async getPolicy() {
+    const [policy, clearanceDays] = await Promise.all([
+      configService.get('commission_accrual_policy', DEFAULT_ACCRUAL_POLICY),
+      configService.getNumber('commission_clearance_days', DEFAULT_CLEARANCE_DAYS)
+    ]);
+
+    return {
+      policy: ACCRUAL_POLICIES.includes(policy) ? policy : DEFAULT_ACCRUAL_POLICY,
+      clearance_days: Math.max(0, clearanceDays)
+    };
+  }
+
+  // Commission-eligible referrals of a partner (or the given referrals), oldest first, each with
+  // accrued_commission, pending_commission and, under a clearance hold, next_clearance_at
+  async getReferralAccruals({ partnerId = null, referralIds = null } = {}) {
+    let query = supabaseAdmin
+      .from('referrals')
+      .select('id, partner_id, referral_code, prospect_company_name, total_commission_earned, status, commission_eligible, created_at')
+      .eq('commission_eligible', true)
+      .order('created_at', { ascending: true });
+
+    if (partnerId) query = query.eq('partner_id', partnerId);
+    if (referralIds) query = query.in('id', referralIds);
+
+    const [{ data: referrals, error }, policy] = await Promise.all([query, this.getPolicy()]);
+
+    if (error) {
+      console.error('❌ Commission accrual referrals error:', error);
+      throw new Error('Failed to fetch referrals for commission accrual');
+    }
+
+    if (!referrals || referrals.length === 0) return [];
+
+    const cleared = policy.policy === 'clearance_hold'
+      ? await this.getClearedCommission(referrals.map(r => r.id), policy.clearance_days)
+      : {};
+
+    return referrals.map(referral => {
+      const total = referral.total_commission_earned || 0;
+      let accrued = 0;
+      let nextClearanceAt = null;
+
+      if (policy.policy === 'per_payment') {
+        accrued = total;
+      } else if (policy.policy === 'clearance_hold') {
+        accrued = Math.min(total, cleared[referral.id]?.cleared || 0);
+        nextClearanceAt = cleared[referral.id]?.next_clearance_at || null;
+      } else if (referral.status === 'fully_paid') {
+        accrued = total;
+      }
+
+      return {
+        ...referral,
+        accrued_commission: round2(accrued),
+        pending_commission: round2(Math.max(0, total - accrued)),
+        next_clearance_at: nextClearanceAt
+      };
+    });
+  }
+
+  // Net commission of each referral's payments that are past the clearance hold. Entries not
+  // tied to a payment (manual corrections) count straight away; payments recorded before
+  // commission_adjustments existed fall back to their commission_calculated.
+  async getClearedCommission(referralIds, clearanceDays) {
+    const [{ data: payments, error: paymentsError }, { data: entries, error: entriesError }] = await Promise.all([
+      supabaseAdmin
+        .from('client_payments')
+        .select('id, referral_id, payment_date, status, commission_calculated')
+        .in('referral_id', referralIds),
+      supabaseAdmin
+        .from('commission_adjustments')
+        .select('referral_id, client_payment_id, amount')
+        .in('referral_id', referralIds)
+    ]);
+
+    if (paymentsError || entriesError) {
+      console.error('❌ Commission clearance error:', paymentsError || entriesError);
+      throw new Error('Failed to fetch payments for commission clearance');
+    }
+
+    const now = Date.now();
+    const byPayment = {};
+    const result = {};
+    const bucket = (referralId) => (result[referralId] = result[referralId] || { cleared: 0, next_clearance_at: null });
+
+    (entries || []).forEach(entry => {
+      if (entry.client_payment_id) {
+        byPayment[entry.client_payment_id] = (byPayment[entry.client_payment_id] || 0) + (entry.amount || 0);
+      } else {
+        bucket(entry.referral_id).cleared += entry.amount || 0;
+      }
+    });
+
+    (payments || []).forEach(payment => {
+      const commission = byPayment[payment.id] ?? (payment.status === 'confirmed' ? payment.commission_calculated || 0 : 0);
+      if (commission === 0) return;
+
+      const clearsAt = new Date(new Date(payment.payment_date).getTime() + clearanceDays * DAY_MS);
+      const totals = bucket(payment.referral_id);
+
+      if (clearsAt.getTime() <= now) {
+        totals.cleared += commission;
+      } else if (commission > 0 && (!totals.next_clearance_at || clearsAt.toISOString() < totals.next_clearance_at)) {
+        totals.next_clearance_at = clearsAt.toISOString();
+      }
+    });
+
+    return result;
+  }
+
+  // Accrual summary for a single referral
+  async getForReferral(referralId) {
+    const [accrual] = await this.getReferralAccruals({ referralIds: [referralId] });
+    return accrual || null;
+  }
+}
+
+export default new CommissionAccrualService();
@@ -0,0 +1,371 @@
+import { supabaseAdmin } from '../config/supabase.js';
+import commissionService from './commission-service.js';
+import ledgerService from './ledger-service.js';
+
+// Statuses a client payment can be in; only confirmed payments earn commission
+export const PAYMENT_STATUSES = ['confirmed', 'pending', 'reversed', 'refunded'];
+
+// Payout statuses that hold commission (and whose clawback deduction counts as recovered or
+// reserved). Failed payouts keep theirs until they are retried or cancelled.
+export const DEDUCTING_PAYOUT_STATUSES = ['pending', 'processing', 'paid', 'failed'];
+
+// Commission adjustments (commission_adjustments) are the signed entries behind a referral's
+// commission: an accrual when a payment is recorded, then a credit or debit for every edit,
+// reversal or refund. referrals.total_commission_earned is always their sum.
+//
+// When a debit takes a referral's commission below what its payouts already hold (through
+// partner_payout_allocations), the shortfall becomes a clawback (partner_clawbacks) that is
+// deducted from the partner's next payout.
+class CommissionAdjustmentService {
+  // ==================== ENTRIES ====================
+  async insertEntry(entry) {
+    const { data: adjustment, error } = await supabaseAdmin
+      .from('commission_adjustments')
+      .insert({
+        ...entry,
+        direction: entry.amount >= 0 ? 'credit' : 'debit'
+      })
+      .select()
+      .single();
+
+    if (error) {
+      console.error('❌ Commission adjustment error:', error);
+      throw new Error('Failed to record commission adjustment');
+    }
+
+    await ledgerService.postCommission(adjustment);
+
+    return adjustment;
+  }
+
+  // Opening entry for a newly recorded payment
+  async recordAccrual(payment, { partnerId, createdBy }) {
+    const adjustment = await this.insertEntry({
+      referral_id: payment.referral_id,
+      partner_id: partnerId,
+      client_payment_id: payment.id,
+      adjustment_type: 'accrual',
+      amount: payment.commission_calculated || 0,
+      previous_commission: 0,
+      new_commission: payment.commission_calculated || 0,
+      reason: 'Payment recorded',
+      created_by: createdBy
+    });
+
+    await this.recomputeReferralTotals(payment.referral_id);
+
+    return adjustment;
+  }
+
+  async listForReferral(referralId) {
+    const { data: adjustments, error } = await supabaseAdmin
+      .from('commission_adjustments')
+      .select('*')
+      .eq('referral_id', referralId)
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      console.error('❌ Commission adjustments lookup error:', error);
+      throw new Error('Failed to fetch commission adjustments');
+    }
+
+    return adjustments || [];
+  }
+
+  async list({ partnerId = null, referralId = null, paymentId = null, page = 1, limit = 50 } = {}) {
+    const offset = (page - 1) * limit;
+
+    let query = supabaseAdmin
+      .from('commission_adjustments')
+      .select(`
+        *,
+        referrals:referral_id (prospect_company_name, referral_code),
+        internal_users:created_by (name, email)
+      `, { count: 'exact' })
+      .order('created_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    if (partnerId) query = query.eq('partner_id', partnerId);
+    if (referralId) query = query.eq('referral_id', referralId);
+    if (paymentId) query = query.eq('client_payment_id', paymentId);
+
+    const { data: adjustments, error, count } = await query;
+
+    if (error) {
+      console.error('❌ Commission adjustments list error:', error);
+      throw new Error('Failed to fetch commission adjustments');
+    }
+
+    return { adjustments: adjustments || [], total: count || 0 };
+  }
+
+  // Payments recorded before adjustments existed get their accrual written on first touch,
+  // so recomputing totals never drops commission that was already earned.
+  // `snapshots` are pre-edit rows that stand in for payments already updated in this request.
+  async ensureAccruals(referralId, partnerId, snapshots = []) {
+    const [{ data: payments }, entries] = await Promise.all([
+      supabaseAdmin
+        .from('client_payments')
+        .select('id, referral_id, commission_calculated, status')
+        .eq('referral_id', referralId),
+      this.listForReferral(referralId)
+    ]);
+
+    const covered = new Set(entries.map(e => e.client_payment_id));
+    const missing = (payments || [])
+      .map(p => snapshots.find(snapshot => snapshot.id === p.id) || p)
+      .filter(p => !covered.has(p.id) && p.status === 'confirmed');
+
+    for (const payment of missing) {
+      entries.push(await this.insertEntry({
+        referral_id: referralId,
+        partner_id: partnerId,
+        client_payment_id: payment.id,
+        adjustment_type: 'accrual',
+        amount: payment.commission_calculated || 0,
+        previous_commission: 0,
+        new_commission: payment.commission_calculated || 0,
+        reason: 'Opening balance for payment recorded before commission adjustments'
+      }));
+    }
+
+    return entries;
+  }
+
+  // ==================== TOTALS ====================
+  async recomputeReferralTotals(referralId) {
+    const [{ data: payments }, entries] = await Promise.all([
+      supabaseAdmin
+        .from('client_payments')
+        .select('amount, refunded_amount, status')
+        .eq('referral_id', referralId),
+      this.listForReferral(referralId)
+    ]);
+
+    const totalCommission = entries.reduce((sum, e) => sum + (e.amount || 0), 0);
+    const totalDealValue = (payments || [])
+      .filter(p => p.status === 'confirmed')
+      .reduce((sum, p) => sum + (p.amount || 0) - (p.refunded_amount || 0), 0);
+
+    const { error } = await supabaseAdmin
+      .from('referrals')
+      .update({
+        total_commission_earned: totalCommission,
+        total_deal_value: totalDealValue,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', referralId);
+
+    if (error) {
+      console.error('❌ Referral totals update error:', error);
+      throw new Error('Failed to update referral totals');
+    }
+
+    return { total_commission_earned: totalCommission, total_deal_value: totalDealValue };
+  }
+
+  // ==================== PAYMENT CHANGES ====================
+  // Commission the payment should carry in its new state. Amount edits keep the rule version
+  // that originally priced the payment; a new payment date re-resolves the rule.
+  async priceChangedPayment(before, after, referral) {
+    const netAmount = (after.amount || 0) - (after.refunded_amount || 0);
+
+    if (after.status !== 'confirmed' || netAmount <= 0) {
+      return { commission: 0, fields: { commission_calculated: 0 } };
+    }
+
+    const dateChanged = before.payment_date !== after.payment_date;
+    const rule = !dateChanged && after.commission_rule_id
+      ? await commissionService.getRule(after.commission_rule_id)
+      : null;
+
+    const result = await commissionService.calculate({
+      referralId: after.referral_id,
+      partnerId: referral.partner_id,
+      industry: referral.industry,
+      amount: netAmount,
+      paymentDate: after.payment_date,
+      excludePaymentId: after.id,
+      rule
+    });
+
+    return { commission: result.commission, fields: commissionService.toPaymentFields(result) };
+  }
+
+  adjustmentType(before, after) {
+    if (after.status !== 'confirmed' && before.status === 'confirmed') {
+      return after.status === 'refunded' ? 'refund' : 'reversal';
+    }
+    if (after.status === 'confirmed' && before.status !== 'confirmed') return 'reinstatement';
+    if ((after.refunded_amount || 0) !== (before.refunded_amount || 0)) return 'refund';
+    return 'amount_change';
+  }
+
+  // Re-price a payment after an edit, reversal or refund and book the difference.
+  // `before` and `after` are client_payments rows. Returns { commission, adjustment, clawback, totals }.
+  async applyPaymentChange(before, after, { reason = null, createdBy = null } = {}) {
+    const { data: referral } = await supabaseAdmin
+      .from('referrals')
+      .select('id, partner_id, industry, prospect_company_name')
+      .eq('id', after.referral_id)
+      .single();
+
+    await this.ensureAccruals(after.referral_id, referral.partner_id, [before]);
+
+    const entries = await this.listForReferral(after.referral_id);
+    const previousCommission = entries
+      .filter(e => e.client_payment_id === after.id)
+      .reduce((sum, e) => sum + (e.amount || 0), 0);
+
+    const { commission, fields } = await this.priceChangedPayment(before, after, referral);
+
+    const { error: paymentError } = await supabaseAdmin
+      .from('client_payments')
+      .update(fields)
+      .eq('id', after.id);
+
+    if (paymentError) {
+      console.error('❌ Payment commission update error:', paymentError);
+      throw new Error('Failed to update payment commission');
+    }
+
+    const delta = commission - previousCommission;
+    let adjustment = null;
+    let clawback = null;
+
+    if (delta !== 0) {
+      const [committed, latestPayout] = await Promise.all([
+        this.getCommittedAmount(after.referral_id),
+        this.getLatestPayout(after.referral_id)
+      ]);
+      const totalBefore = entries.reduce((sum, e) => sum + (e.amount || 0), 0);
+      const overdrawnBefore = Math.max(0, committed - totalBefore);
+      const overdrawnAfter = Math.max(0, committed - (totalBefore + delta));
+
+      adjustment = await this.insertEntry({
+        referral_id: after.referral_id,
+        partner_id: referral.partner_id,
+        client_payment_id: after.id,
+        adjustment_type: this.adjustmentType(before, after),
+        amount: delta,
+        previous_commission: previousCommission,
+        new_commission: commission,
+        payout_id: committed > 0 ? latestPayout?.id || null : null,
+        reason,
+        created_by: createdBy
+      });
+
+      if (overdrawnAfter !== overdrawnBefore) {
+        clawback = await this.recordClawback(referral, adjustment, latestPayout, overdrawnAfter - overdrawnBefore, createdBy);
+      }
+    }
+
+    const totals = await this.recomputeReferralTotals(after.referral_id);
+
+    return { commission, previousCommission, adjustment, clawback, totals, referral };
+  }
+
+  // ==================== CLAWBACKS ====================
+  // Commission on a referral held by payouts
+  async getCommittedAmount(referralId) {
+    const { data: allocations } = await supabaseAdmin
+      .from('partner_payout_allocations')
+      .select('amount, partner_payouts!inner(status)')
+      .eq('referral_id', referralId)
+      .in('partner_payouts.status', DEDUCTING_PAYOUT_STATUSES);
+
+    return (allocations || []).reduce((sum, a) => sum + (a.amount || 0), 0);
+  }
+
+  async getLatestPayout(referralId) {
+    const { data: allocation } = await supabaseAdmin
+      .from('partner_payout_allocations')
+      .select('partner_payouts!inner(id, amount, status, processed_at)')
+      .eq('referral_id', referralId)
+      .in('partner_payouts.status', DEDUCTING_PAYOUT_STATUSES)
+      .order('created_at', { ascending: false })
+      .limit(1)
+      .maybeSingle();
+
+    return allocation?.partner_payouts || null;
+  }
+
+  // Commission taken below what payouts hold is owed back by the partner. A later credit on the
+  // same referral (e.g. a reversal being undone) cancels what is still outstanding.
+  async recordClawback(referral, adjustment, payout, amount, createdBy) {
+    if (amount < 0) {
+      const outstanding = await this.getClawbackBalance(referral.partner_id);
+      amount = -Math.min(-amount, outstanding);
+      if (amount === 0) return null;
+    }
+
+    const { data: clawback, error } = await supabaseAdmin
+      .from('partner_clawbacks')
+      .insert({
+        partner_id: referral.partner_id,
+        referral_id: referral.id,
+        adjustment_id: adjustment.id,
+        payout_id: payout?.id || null,
+        amount,
+        reason: adjustment.reason || `Commission ${adjustment.adjustment_type.replace('_', ' ')} after payout`,
+        created_by: createdBy
+      })
+      .select()
+      .single();
+
+    if (error) {
+      console.error('❌ Clawback record error:', error);
+      throw new Error('Failed to record clawback');
+    }
+
+    await ledgerService.postClawback(clawback);
+
+    return clawback;
+  }
+
+  // Owed by the partner: clawbacks raised less what payouts have already deducted
+  async getClawbackBalance(partnerId) {
+    const [{ data: clawbacks, error }, { data: payouts }] = await Promise.all([
+      supabaseAdmin
+        .from('partner_clawbacks')
+        .select('amount')
+        .eq('partner_id', partnerId),
+      supabaseAdmin
+        .from('partner_payouts')
+        .select('clawback_deducted')
+        .eq('partner_id', partnerId)
+        .in('status', DEDUCTING_PAYOUT_STATUSES)
+        .gt('clawback_deducted', 0)
+    ]);
+
+    if (error) {
+      console.error('❌ Clawback balance lookup error:', error);
+      throw new Error('Failed to fetch clawback balance');
+    }
+
+    const raised = (clawbacks || []).reduce((sum, c) => sum + (c.amount || 0), 0);
+    const deducted = (payouts || []).reduce((sum, p) => sum + (p.clawback_deducted || 0), 0);
+
+    return Math.max(0, raised - deducted);
+  }
+
+  async listClawbacks(partnerId) {
+    const { data: clawbacks, error } = await supabaseAdmin
+      .from('partner_clawbacks')
+      .select(`
+        *,
+        referrals:referral_id (prospect_company_name, referral_code)
+      `)
+      .eq('partner_id', partnerId)
+      .order('created_at', { ascending: false });
+
+    if (error) {
+      console.error('❌ Clawback list error:', error);
+      throw new Error('Failed to fetch clawbacks');
+    }
+
+    return clawbacks || [];
+  }
+}
+
+export default new CommissionAdjustmentService();
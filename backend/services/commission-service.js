@@ -0,0 +1,440 @@
+import crypto from 'crypto';
+import { supabaseAdmin } from '../config/supabase.js';
+import configService from './config-service.js';
+
+export const RULE_SCOPES = ['default', 'industry', 'partner'];
+
+// When several rules are in effect the most specific one wins
+const SCOPE_PRIORITY = { partner: 3, industry: 2, default: 1 };
+
+// Fields a new version of a rule may change; scope and target stay fixed for the rule's lifetime
+const REVISABLE_FIELDS = ['name', 'base_rate', 'tiers', 'flat_bonus', 'cap_per_deal', 'effective_from', 'effective_to', 'notes'];
+
+const toDate = (value) => new Date(value || Date.now()).toISOString().slice(0, 10);
+
+// Commission rules (commission_rules). Rows are immutable: editing a rule inserts a new
+// version under the same rule_key, so every client_payments row can point at the exact
+// version that produced its commission.
+class CommissionService {
+  // ==================== RULE RESOLUTION ====================
+  async getActiveRules() {
+    const { data: rules, error } = await supabaseAdmin
+      .from('commission_rules')
+      .select('*')
+      .eq('is_active', true);
+
+    if (error) {
+      console.error('❌ Commission rules lookup error:', error);
+      throw new Error('Failed to fetch commission rules');
+    }
+
+    return rules || [];
+  }
+
+  // Every version of the rules still in force: a revision retires the version before it but
+  // that version keeps covering its own dates, so a future-dated revision leaves no gap and a
+  // backdated payment finds the version that applied on its date. Deactivated rules drop out.
+  async getRulesInForce() {
+    const active = await this.getActiveRules();
+    if (active.length === 0) return [];
+
+    const { data: retired, error } = await supabaseAdmin
+      .from('commission_rules')
+      .select('*')
+      .in('rule_key', [...new Set(active.map(rule => rule.rule_key))])
+      .eq('is_active', false);
+
+    if (error) {
+      console.error('❌ Commission rule versions lookup error:', error);
+      throw new Error('Failed to fetch commission rules');
+    }
+
+    return [...active, ...(retired || [])];
+  }
+
+  ruleApplies(rule, { partnerId, industry, date }) {
+    if (rule.effective_from && toDate(rule.effective_from) > date) return false;
+    if (rule.effective_to && toDate(rule.effective_to) < date) return false;
+
+    if (rule.scope === 'partner') return !!partnerId && rule.partner_id === partnerId;
+    if (rule.scope === 'industry') {
+      return !!industry && (rule.industry || '').toLowerCase() === industry.toLowerCase();
+    }
+    return rule.scope === 'default';
+  }
+
+  // Falls back to the flat commission_rate system setting when no rule is in effect
+  async getFallbackRule() {
+    return {
+      id: null,
+      version: null,
+      name: 'System commission rate',
+      scope: 'default',
+      base_rate: await configService.getNumber('commission_rate', 0.05),
+      tiers: [],
+      flat_bonus: 0,
+      cap_per_deal: null,
+      source: 'system_config'
+    };
+  }
+
+  async findRule({ partnerId = null, industry = null, date = toDate() } = {}) {
+    const rules = await this.getRulesInForce();
+
+    const candidates = rules
+      .filter(rule => this.ruleApplies(rule, { partnerId, industry, date: toDate(date) }))
+      .sort((a, b) =>
+        (SCOPE_PRIORITY[b.scope] - SCOPE_PRIORITY[a.scope]) ||
+        toDate(b.effective_from).localeCompare(toDate(a.effective_from)) ||
+        b.version - a.version
+      );
+
+    return candidates[0] || this.getFallbackRule();
+  }
+
+  // Headline rate for display; tiers, bonuses and caps are applied when payments are recorded
+  async getEffectiveRate({ partnerId = null, industry = null, date } = {}) {
+    const rule = await this.findRule({ partnerId, industry, date });
+    return { rate: Number(rule.base_rate), rule: this.summarizeRule(rule) };
+  }
+
+  summarizeRule(rule) {
+    return {
+      id: rule.id,
+      version: rule.version,
+      name: rule.name,
+      scope: rule.scope,
+      base_rate: Number(rule.base_rate),
+      tiers: rule.tiers || [],
+      flat_bonus: Number(rule.flat_bonus || 0),
+      cap_per_deal: rule.cap_per_deal === null || rule.cap_per_deal === undefined ? null : Number(rule.cap_per_deal)
+    };
+  }
+
+  // ==================== CALCULATION ====================
+  // Confirmed revenue across all of the partner's referrals from 1 January up to `date`
+  async getYearToDateRevenue(partnerId, date, excludePaymentId = null) {
+    let query = supabaseAdmin
+      .from('client_payments')
+      .select('id, amount, refunded_amount, referrals!inner(partner_id)')
+      .eq('referrals.partner_id', partnerId)
+      .eq('status', 'confirmed')
+      .gte('payment_date', `${date.slice(0, 4)}-01-01`)
+      .lte('payment_date', date);
+
+    if (excludePaymentId) {
+      query = query.neq('id', excludePaymentId);
+    }
+
+    const { data: payments, error } = await query;
+
+    if (error) {
+      console.error('❌ Year-to-date revenue lookup error:', error);
+      throw new Error('Failed to calculate year-to-date revenue');
+    }
+
+    return (payments || []).reduce((sum, p) => sum + (p.amount || 0) - (p.refunded_amount || 0), 0);
+  }
+
+  // Confirmed payments already recorded against the deal, for bonuses and caps
+  async getDealHistory(referralId, excludePaymentId = null) {
+    let query = supabaseAdmin
+      .from('client_payments')
+      .select('id, commission_calculated')
+      .eq('referral_id', referralId)
+      .eq('status', 'confirmed');
+
+    if (excludePaymentId) {
+      query = query.neq('id', excludePaymentId);
+    }
+
+    const { data: payments, error } = await query;
+
+    if (error) {
+      console.error('❌ Deal payment history lookup error:', error);
+      throw new Error('Failed to fetch deal payment history');
+    }
+
+    return {
+      payment_count: (payments || []).length,
+      commission_total: (payments || []).reduce((sum, p) => sum + (p.commission_calculated || 0), 0)
+    };
+  }
+
+  // Split the payment across the rule's revenue bands. Tier thresholds are year-to-date
+  // revenue, so a payment that crosses a threshold earns the higher rate only above it.
+  applyTiers(rule, ytdRevenue, amount) {
+    const bands = [
+      { from: 0, rate: Number(rule.base_rate) },
+      ...(rule.tiers || []).map(tier => ({ from: Number(tier.min_ytd_revenue), rate: Number(tier.rate) }))
+    ].sort((a, b) => a.from - b.from);
+
+    const end = ytdRevenue + amount;
+
+    return bands
+      .map((band, i) => {
+        const upper = i + 1 < bands.length ? bands[i + 1].from : Infinity;
+        const portion = Math.max(0, Math.min(end, upper) - Math.max(ytdRevenue, band.from));
+        return {
+          from: band.from,
+          to: upper === Infinity ? null : upper,
+          rate: band.rate,
+          amount: portion,
+          commission: Math.round(portion * band.rate * 100) / 100
+        };
+      })
+      .filter(segment => segment.amount > 0);
+  }
+
+  // Commission for a payment on a deal. Returns { commission, rate, rule, breakdown }.
+  // Pass `rule` to price with a specific (possibly superseded) rule version.
+  async calculate({ referralId = null, partnerId = null, industry = null, amount, paymentDate, excludePaymentId = null, rule = null }) {
+    const date = toDate(paymentDate);
+    rule = rule || await this.findRule({ partnerId, industry, date });
+
+    const ytdRevenue = partnerId ? await this.getYearToDateRevenue(partnerId, date, excludePaymentId) : 0;
+    const history = referralId
+      ? await this.getDealHistory(referralId, excludePaymentId)
+      : { payment_count: 0, commission_total: 0 };
+
+    const segments = this.applyTiers(rule, ytdRevenue, amount);
+    let commission = segments.reduce((sum, s) => sum + s.commission, 0);
+
+    // Flat bonus is paid once per deal, on its first confirmed payment
+    const flatBonus = history.payment_count === 0 ? Number(rule.flat_bonus || 0) : 0;
+    commission += flatBonus;
+
+    let capped = false;
+    if (rule.cap_per_deal !== null && rule.cap_per_deal !== undefined) {
+      const remaining = Math.max(0, Number(rule.cap_per_deal) - history.commission_total);
+      if (commission > remaining) {
+        commission = remaining;
+        capped = true;
+      }
+    }
+
+    commission = Math.round(commission);
+
+    return {
+      commission,
+      rate: amount > 0 ? commission / amount : 0,
+      rule: this.summarizeRule(rule),
+      breakdown: {
+        source: rule.source || 'commission_rules',
+        payment_date: date,
+        ytd_revenue_before: ytdRevenue,
+        segments,
+        flat_bonus: flatBonus,
+        deal_commission_before: history.commission_total,
+        cap_per_deal: rule.cap_per_deal ?? null,
+        capped
+      }
+    };
+  }
+
+  // Resolve partner and industry from the referral, then calculate
+  async calculateForReferral(referralId, amount, paymentDate, { excludePaymentId = null, rule = null } = {}) {
+    const { data: referral, error } = await supabaseAdmin
+      .from('referrals')
+      .select('id, partner_id, industry')
+      .eq('id', referralId)
+      .single();
+
+    if (error || !referral) {
+      console.error('❌ Referral lookup for commission error:', error);
+      throw new Error('Failed to resolve referral for commission');
+    }
+
+    return this.calculate({
+      referralId,
+      partnerId: referral.partner_id,
+      industry: referral.industry,
+      amount,
+      paymentDate,
+      excludePaymentId,
+      rule
+    });
+  }
+
+  // Columns written to client_payments alongside the amount
+  toPaymentFields(result) {
+    return {
+      commission_calculated: result.commission,
+      commission_rule_id: result.rule.id,
+      commission_rule_version: result.rule.version,
+      commission_breakdown: result.breakdown
+    };
+  }
+
+  // ==================== RULE MANAGEMENT ====================
+  async listRules({ includeInactive = false, scope = null, partnerId = null } = {}) {
+    let query = supabaseAdmin
+      .from('commission_rules')
+      .select(`
+        *,
+        partners:partner_id (company_name),
+        internal_users:created_by (name, email)
+      `)
+      .order('scope')
+      .order('effective_from', { ascending: false });
+
+    if (!includeInactive) query = query.eq('is_active', true);
+    if (scope) query = query.eq('scope', scope);
+    if (partnerId) query = query.eq('partner_id', partnerId);
+
+    const { data: rules, error } = await query;
+
+    if (error) {
+      console.error('❌ Commission rules list error:', error);
+      throw new Error('Failed to fetch commission rules');
+    }
+
+    return rules || [];
+  }
+
+  async getRule(ruleId) {
+    const { data: rule } = await supabaseAdmin
+      .from('commission_rules')
+      .select('*')
+      .eq('id', ruleId)
+      .maybeSingle();
+
+    return rule || null;
+  }
+
+  async getVersions(ruleKey) {
+    const { data: versions, error } = await supabaseAdmin
+      .from('commission_rules')
+      .select('*')
+      .eq('rule_key', ruleKey)
+      .order('version', { ascending: false });
+
+    if (error) {
+      console.error('❌ Commission rule history error:', error);
+      throw new Error('Failed to fetch commission rule history');
+    }
+
+    return versions || [];
+  }
+
+  async createRule(fields, createdBy) {
+    const { data: rule, error } = await supabaseAdmin
+      .from('commission_rules')
+      .insert({
+        rule_key: crypto.randomUUID(),
+        version: 1,
+        name: fields.name,
+        scope: fields.scope,
+        partner_id: fields.scope === 'partner' ? fields.partner_id : null,
+        industry: fields.scope === 'industry' ? fields.industry : null,
+        base_rate: fields.base_rate,
+        tiers: fields.tiers || [],
+        flat_bonus: fields.flat_bonus || 0,
+        cap_per_deal: fields.cap_per_deal ?? null,
+        effective_from: toDate(fields.effective_from),
+        effective_to: fields.effective_to ? toDate(fields.effective_to) : null,
+        notes: fields.notes || null,
+        is_active: true,
+        created_by: createdBy
+      })
+      .select()
+      .single();
+
+    if (error) {
+      console.error('❌ Commission rule create error:', error);
+      throw new Error('Failed to create commission rule');
+    }
+
+    return rule;
+  }
+
+  // Publish a new version of an active rule and retire the one it replaces
+  async reviseRule(ruleId, changes, createdBy) {
+    const current = await this.getRule(ruleId);
+
+    if (!current) {
+      return { success: false, status: 404, message: 'Commission rule not found' };
+    }
+
+    if (!current.is_active) {
+      return { success: false, status: 409, message: 'Only the active version of a rule can be revised' };
+    }
+
+    const { id, created_at, created_by, superseded_at, ...carried } = current;
+    const next = { ...carried };
+
+    REVISABLE_FIELDS.forEach(field => {
+      if (changes[field] !== undefined) next[field] = changes[field];
+    });
+
+    next.effective_from = toDate(next.effective_from);
+    next.effective_to = next.effective_to ? toDate(next.effective_to) : null;
+
+    if (next.effective_to && next.effective_to < next.effective_from) {
+      return { success: false, status: 400, message: 'effective_to must be on or after effective_from' };
+    }
+
+    // Retire first so the rule never has two active versions. The retired version still
+    // covers the days up to the new one's start (see getRulesInForce).
+    const dayBefore = new Date(`${next.effective_from}T00:00:00Z`);
+    dayBefore.setUTCDate(dayBefore.getUTCDate() - 1);
+    const retiredTo = current.effective_to && toDate(current.effective_to) < toDate(dayBefore)
+      ? toDate(current.effective_to)
+      : toDate(dayBefore);
+
+    const { data: retired, error: retireError } = await supabaseAdmin
+      .from('commission_rules')
+      .update({ is_active: false, superseded_at: new Date().toISOString(), effective_to: retiredTo })
+      .eq('id', ruleId)
+      .eq('is_active', true)
+      .select()
+      .maybeSingle();
+
+    if (retireError || !retired) {
+      console.error('❌ Commission rule retire error:', retireError);
+      return { success: false, status: 409, message: 'Rule was changed by someone else. Reload and try again.' };
+    }
+
+    const { data: rule, error } = await supabaseAdmin
+      .from('commission_rules')
+      .insert({
+        ...next,
+        version: current.version + 1,
+        is_active: true,
+        created_by: createdBy
+      })
+      .select()
+      .single();
+
+    if (error) {
+      console.error('❌ Commission rule revise error:', error);
+      // Put the previous version back so the rule does not silently disappear
+      await supabaseAdmin
+        .from('commission_rules')
+        .update({ is_active: true, superseded_at: null, effective_to: current.effective_to })
+        .eq('id', ruleId);
+      throw new Error('Failed to revise commission rule');
+    }
+
+    return { success: true, rule, previous: current };
+  }
+
+  async deactivateRule(ruleId) {
+    const { data: rule, error } = await supabaseAdmin
+      .from('commission_rules')
+      .update({ is_active: false, superseded_at: new Date().toISOString() })
+      .eq('id', ruleId)
+      .eq('is_active', true)
+      .select()
+      .maybeSingle();
+
+    if (error) {
+      console.error('❌ Commission rule deactivate error:', error);
+      throw new Error('Failed to deactivate commission rule');
+    }
+
+    return rule;
+  }
+}
+
+export default new CommissionService();
@@ -0,0 +1,73 @@
+import { supabaseAdmin } from '../config/supabase.js';
+
+const CACHE_TTL_MS = 60 * 1000;
+
+// Reads runtime settings from the system_config table (managed through /api/admin/config)
+class ConfigService {
+  constructor() {
+    this.cache = null;
+    this.loadedAt = 0;
+  }
+
+  async loadAll() {
+    if (this.cache && Date.now() - this.loadedAt < CACHE_TTL_MS) {
+      return this.cache;
+    }
+
+    const { data: rows, error } = await supabaseAdmin
+      .from('system_config')
+      .select('config_key, config_value')
+      .eq('is_active', true);
+
+    if (error) {
+      console.error('❌ System config load error:', error);
+      // Keep serving the last known values rather than failing requests
+      return this.cache || {};
+    }
+
+    this.cache = (rows || []).reduce((acc, row) => {
+      acc[row.config_key] = row.config_value;
+      return acc;
+    }, {});
+    this.loadedAt = Date.now();
+
+    return this.cache;
+  }
+
+  invalidate() {
+    this.cache = null;
+    this.loadedAt = 0;
+  }
+
+  async get(key, defaultValue = null) {
+    const config = await this.loadAll();
+    const value = config[key];
+    return value === undefined || value === null || value === '' ? defaultValue : value;
+  }
+
+  async getNumber(key, defaultValue) {
+    const value = parseFloat(await this.get(key));
+    return Number.isFinite(value) ? value : defaultValue;
+  }
+
+  async getBoolean(key, defaultValue) {
+    const value = await this.get(key);
+    if (value === null) return defaultValue;
+    return value === true || value === 'true';
+  }
+
+  async getJSON(key, defaultValue) {
+    const value = await this.get(key);
+    if (value === null) return defaultValue;
+    if (typeof value === 'object') return value;
+
+    try {
+      return JSON.parse(value);
+    } catch (error) {
+      console.error(`❌ Invalid JSON in system config key ${key}:`, error.message);
+      return defaultValue;
+    }
+  }
+}
+
+export default new ConfigService();
@@ -70,6 +70,86 @@ class EmailService {
       </html>
     `;
   }
+
+  // stage: 'requested' | 'approved' | 'rejected'
+  async sendBankChangeEmail(toEmail, { stage, companyName, oldAccount, newAccount, notes }) {
+    const subjects = {
+      requested: 'Cryptware - Bank Details Change Requested',
+      approved: 'Cryptware - Bank Details Change Approved',
+      rejected: 'Cryptware - Bank Details Change Rejected'
+    };
+
+    try {
+      console.log(`📧 Sending bank change (${stage}) email to: ${toEmail}`);
+
+      const { data, error } = await this.resend.emails.send({
+        from: process.env.FROM_EMAIL || 'noreply@cryptware.com',
+        to: toEmail,
+        subject: subjects[stage],
+        html: this.generateBankChangeEmailTemplate({ stage, companyName, oldAccount, newAccount, notes })
+      });
+
+      if (error) {
+        console.error('❌ Resend API error:', error);
+        return false;
+      }
+
+      console.log(`✅ Bank change email sent to ${toEmail}:`, data.id);
+      return true;
+
+    } catch (error) {
+      console.error('❌ Email sending failed:', error);
+      return false;
+    }
+  }
+
+  generateBankChangeEmailTemplate({ stage, companyName, oldAccount, newAccount, notes }) {
+    const intro = {
+      requested: 'A request to change the bank account that receives your commission payouts has been submitted. Payouts are paused until our finance team reviews it.',
+      approved: 'Your bank details change has been approved. Future payouts will be sent to the new account after a short cooling-off period.',
+      rejected: 'Your bank details change was rejected. Payouts will continue to go to your existing account.'
+    }[stage];
+
+    return `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; margin: 0; padding: 20px; }
+          .container { max-width: 600px; margin: 0 auto; background: #f9fafb; border-radius: 10px; overflow: hidden; }
+          .header { background: linear-gradient(135deg, #1e3a8a, #2563eb); color: white; padding: 30px; text-align: center; }
+          .content { padding: 30px; }
+          .accounts { background: white; border-radius: 8px; padding: 20px; margin: 20px 0; }
+          .warning { color: #b91c1c; font-weight: bold; }
+          .footer { text-align: center; padding: 20px; font-size: 12px; color: #666; border-top: 1px solid #e5e7eb; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1>🏦 Cryptware Partner Portal</h1>
+            <p>Payout Bank Details</p>
+          </div>
+          <div class="content">
+            <h2>Hello ${companyName},</h2>
+            <p>${intro}</p>
+
+            <div class="accounts">
+              <p><strong>Current account:</strong> ${oldAccount || 'None'}</p>
+              <p><strong>Requested account:</strong> ${newAccount}</p>
+              ${notes ? `<p><strong>Notes:</strong> ${notes}</p>` : ''}
+            </div>
+
+            ${stage === 'requested' ? '<p class="warning">If you did not request this change, contact Cryptware support immediately.</p>' : ''}
+          </div>
+          <div class="footer">
+            <p>&copy; 2024 Cryptware. All rights reserved.</p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `;
+  }
 }
 
 export default new EmailService();
\ No newline at end of file
@@ -0,0 +1,125 @@
+import auditService from './audit-service.js';
+import pipelineService from './pipeline-service.js';
+import registrationConflictService from './registration-conflict-service.js';
+import { leadRepository, referralRepository } from '../repositories/index.js';
+
+// Lead intake shared by staff (POST /api/leads) and prospects answering a referral link
+// (POST /api/public/referrals/:code/interest). A referral code links the lead to the
+// partner's referral and moves that referral to contacted where the pipeline allows it
+// (pipeline-service.js); an expired referral must be renewed first. A lead for a company
+// already in the pipeline is refused or flagged (see registration-conflict-service.js), except
+// when staff create it by overriding a conflict.
+class LeadService {
+  // Returns { success: true, lead, referral, conflict } or
+  // { success: false, status, message, reason?, conflict? }
+  async createLead(req, fields, { createdBy = null, origin = null, skipConflictCheck = false } = {}) {
+    const { referral_code, assigned_to, ...details } = fields;
+
+    let referral = null;
+
+    if (referral_code) {
+      referral = await referralRepository.findByCode(referral_code, 'id, partner_id, referral_code, prospect_company_name, contact_name, email, status');
+
+      if (!referral) {
+        return {
+          success: false,
+          status: 400,
+          message: 'Invalid referral code: no referral with that code'
+        };
+      }
+
+      if (referral.status === 'expired') {
+        return {
+          success: false,
+          status: 409,
+          reason: 'referral_expired',
+          message: `Referral ${referral.referral_code} has expired. Renew its protection before adding a lead to it.`
+        };
+      }
+    }
+
+    const decision = skipConflictCheck
+      ? { action: 'allow' }
+      : await registrationConflictService.checkLead(details, { referral });
+
+    if (decision.action === 'block') {
+      const conflict = await registrationConflictService.record(req, {
+        resourceType: 'lead',
+        decision,
+        values: fields,
+        partnerId: referral?.partner_id || null,
+        requestedBy: createdBy
+      });
+
+      return {
+        success: false,
+        status: decision.status,
+        reason: decision.reason,
+        message: decision.message,
+        conflict
+      };
+    }
+
+    const lead = await leadRepository.create({
+      company_name: details.company_name,
+      contact_name: details.contact_name,
+      email: details.email,
+      phone: details.phone,
+      industry: details.industry,
+      erp_system: details.erp_system,
+      implementation_timeline: details.implementation_timeline,
+      estimated_value: details.estimated_value,
+      referral_id: referral?.id || null,
+      referral_code: referral_code?.toUpperCase(),
+      assigned_to: assigned_to || createdBy,
+      status: 'new',
+      source: referral ? 'partner' : 'internal'
+    });
+
+    // Another request (the prospect's form sent twice, or staff) has just opened its lead
+    if (!lead) {
+      return {
+        success: false,
+        status: 409,
+        reason: 'referral_has_lead',
+        message: `Referral ${referral.referral_code} already has a lead`
+      };
+    }
+
+    console.log(`✅ Lead created: ${lead.id}`);
+
+    // Only once the lead exists, so a failed insert leaves the referral where it was
+    if (referral) {
+      await pipelineService.followNewLead(referral);
+    }
+
+    await leadRepository.logActivity(lead.id, {
+      type: 'lead_created',
+      notes: `Lead created from ${origin || (referral ? 'partner referral' : 'internal source')}`,
+      recordedBy: createdBy
+    });
+
+    await auditService.log(req, {
+      ...(!createdBy && { userId: null, userType: 'prospect' }),
+      action: 'create',
+      resourceType: 'leads',
+      resourceId: lead.id,
+      newValues: lead
+    });
+
+    const conflict = decision.action === 'flag'
+      ? await registrationConflictService.record(req, {
+        resourceType: 'lead',
+        decision,
+        values: fields,
+        partnerId: referral?.partner_id || null,
+        requestedBy: createdBy,
+        createdLeadId: lead.id
+      })
+      : null;
+
+    return { success: true, lead, referral, conflict };
+  }
+}
+
+export default new LeadService();
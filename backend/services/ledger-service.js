@@ -0,0 +1,443 @@
+import crypto from 'crypto';
+import { supabaseAdmin } from '../config/supabase.js';
+import commissionAccrualService from './commission-accrual-service.js';
+
+// Chart of accounts. partner_payable is what the business owes a partner;
+// clawback_receivable is what a partner owes back after a post-payout reduction;
+// wht_payable is tax withheld from partners and owed to the tax authority.
+export const ACCOUNTS = {
+  PARTNER_PAYABLE: 'partner_payable',
+  CLAWBACK_RECEIVABLE: 'clawback_receivable',
+  WHT_PAYABLE: 'wht_payable',
+  COMMISSION_EXPENSE: 'commission_expense',
+  CASH: 'cash',
+  FEE_INCOME: 'fee_income'
+};
+
+export const ENTRY_TYPES = ['accrual', 'adjustment', 'payout', 'clawback', 'fee'];
+
+// Payouts that have been requested but not yet sent (failed ones stay reserved for a retry)
+const IN_FLIGHT_PAYOUT_STATUSES = ['pending', 'processing', 'failed'];
+
+const sum = (lines, field) => lines.reduce((total, line) => total + (Number(line[field]) || 0), 0);
+const net = (lines, account) => {
+  const accountLines = lines.filter(line => line.account === account);
+  return sum(accountLines, 'credit') - sum(accountLines, 'debit');
+};
+
+// Append-only double-entry ledger (ledger_entries). Every posting is a set of lines sharing a
+// transaction_id whose debits equal its credits; nothing is ever updated or deleted, so
+// corrections are new postings. Each posting points at the row that caused it (source_type/source_id).
+class LedgerService {
+  // ==================== POSTING ====================
+  async post({ entryType, partnerId, referralId = null, sourceType, sourceId, description, createdBy = null, lines }) {
+    const debits = sum(lines, 'debit');
+    const credits = sum(lines, 'credit');
+
+    if (Math.abs(debits - credits) > 0.005) {
+      throw new Error(`Unbalanced ledger posting: debits ${debits} != credits ${credits}`);
+    }
+
+    const transactionId = crypto.randomUUID();
+    const rows = lines
+      .filter(line => (line.debit || 0) !== 0 || (line.credit || 0) !== 0)
+      .map(line => ({
+        transaction_id: transactionId,
+        entry_type: entryType,
+        account: line.account,
+        partner_id: partnerId,
+        referral_id: line.referralId === undefined ? referralId : line.referralId,
+        debit: line.debit || 0,
+        credit: line.credit || 0,
+        source_type: sourceType,
+        source_id: sourceId,
+        description,
+        created_by: createdBy
+      }));
+
+    if (rows.length === 0) return null;
+
+    const { data: entries, error } = await supabaseAdmin
+      .from('ledger_entries')
+      .insert(rows)
+      .select();
+
+    if (error) {
+      console.error('❌ Ledger posting error:', error);
+      throw new Error('Failed to post ledger entry');
+    }
+
+    return { transaction_id: transactionId, entries };
+  }
+
+  // Commission earned (accrual) or changed (adjustment); negative amounts reverse the legs
+  async postCommission(adjustment) {
+    const amount = Number(adjustment.amount) || 0;
+    if (amount === 0) return null;
+
+    const entryType = adjustment.adjustment_type === 'accrual' ? 'accrual' : 'adjustment';
+
+    return this.post({
+      entryType,
+      partnerId: adjustment.partner_id,
+      referralId: adjustment.referral_id,
+      sourceType: 'commission_adjustment',
+      sourceId: adjustment.id,
+      description: adjustment.reason || `Commission ${entryType}`,
+      createdBy: adjustment.created_by,
+      lines: amount > 0
+        ? [
+            { account: ACCOUNTS.COMMISSION_EXPENSE, debit: amount },
+            { account: ACCOUNTS.PARTNER_PAYABLE, credit: amount }
+          ]
+        : [
+            { account: ACCOUNTS.PARTNER_PAYABLE, debit: -amount },
+            { account: ACCOUNTS.COMMISSION_EXPENSE, credit: -amount }
+          ]
+    });
+  }
+
+  // Move an overdrawn payable into a receivable the partner owes back.
+  // A negative clawback (credit offset) moves it back.
+  async postClawback(clawback) {
+    const amount = Number(clawback.amount) || 0;
+    if (amount === 0) return null;
+
+    return this.post({
+      entryType: 'clawback',
+      partnerId: clawback.partner_id,
+      referralId: clawback.referral_id,
+      sourceType: 'partner_clawback',
+      sourceId: clawback.id,
+      description: clawback.reason || 'Clawback of paid commission',
+      createdBy: clawback.created_by,
+      lines: amount > 0
+        ? [
+            { account: ACCOUNTS.CLAWBACK_RECEIVABLE, debit: amount },
+            { account: ACCOUNTS.PARTNER_PAYABLE, credit: amount }
+          ]
+        : [
+            { account: ACCOUNTS.PARTNER_PAYABLE, debit: -amount },
+            { account: ACCOUNTS.CLAWBACK_RECEIVABLE, credit: -amount }
+          ]
+    });
+  }
+
+  // Net amount currently posted against a payout (zero once a reversal has cancelled it)
+  async getPostedPayout(payoutId) {
+    const { data: lines, error } = await supabaseAdmin
+      .from('ledger_entries')
+      .select('account, debit, credit')
+      .eq('source_type', 'partner_payout')
+      .eq('source_id', payoutId)
+      .eq('entry_type', 'payout')
+      .eq('account', ACCOUNTS.PARTNER_PAYABLE);
+
+    if (error) {
+      console.error('❌ Payout posting lookup error:', error);
+      throw new Error('Failed to fetch payout postings');
+    }
+
+    return -net(lines || [], ACCOUNTS.PARTNER_PAYABLE);
+  }
+
+  // The payable legs of a payout, one per referral it was allocated to (single-referral payouts
+  // from before allocations carry their referral_id instead)
+  async getPayoutPayableLines(payout, side, amount) {
+    const { data: allocations } = await supabaseAdmin
+      .from('partner_payout_allocations')
+      .select('referral_id, amount')
+      .eq('payout_id', payout.id);
+
+    if (!allocations?.length) {
+      return [{ account: ACCOUNTS.PARTNER_PAYABLE, [side]: amount, referralId: payout.referral_id }];
+    }
+
+    return allocations.map(allocation => ({
+      account: ACCOUNTS.PARTNER_PAYABLE,
+      [side]: Number(allocation.amount) || 0,
+      referralId: allocation.referral_id
+    }));
+  }
+
+  // A paid payout settles the payable: cash for what was sent, plus any clawback it recovered
+  // and the tax withheld from it. Safe to call more than once for the same payout.
+  async postPayout(payout, createdBy = null) {
+    if (await this.getPostedPayout(payout.id) > 0.005) return null;
+
+    const paid = Number(payout.amount) || 0;
+    const recovered = Number(payout.clawback_deducted) || 0;
+    const withheld = Number(payout.wht_amount) || 0;
+
+    return this.post({
+      entryType: 'payout',
+      partnerId: payout.partner_id,
+      referralId: payout.referral_id,
+      sourceType: 'partner_payout',
+      sourceId: payout.id,
+      description: payout.payment_reference ? `Payout ${payout.payment_reference}` : 'Commission payout',
+      createdBy: createdBy || payout.processed_by,
+      lines: [
+        ...await this.getPayoutPayableLines(payout, 'debit', paid + recovered + withheld),
+        { account: ACCOUNTS.CASH, credit: paid },
+        { account: ACCOUNTS.CLAWBACK_RECEIVABLE, credit: recovered },
+        { account: ACCOUNTS.WHT_PAYABLE, credit: withheld }
+      ]
+    });
+  }
+
+  // A payout that bounced back (e.g. a reversed bank transfer) restores what the partner is owed.
+  // Does nothing if the payout was never posted or has already been reversed.
+  async reversePayout(payout, createdBy = null) {
+    if (await this.getPostedPayout(payout.id) <= 0.005) return null;
+
+    const paid = Number(payout.amount) || 0;
+    const recovered = Number(payout.clawback_deducted) || 0;
+    const withheld = Number(payout.wht_amount) || 0;
+
+    return this.post({
+      entryType: 'payout',
+      partnerId: payout.partner_id,
+      referralId: payout.referral_id,
+      sourceType: 'partner_payout',
+      sourceId: payout.id,
+      description: `Payout reversed${payout.payment_reference ? ` (${payout.payment_reference})` : ''}`,
+      createdBy,
+      lines: [
+        ...await this.getPayoutPayableLines(payout, 'credit', paid + recovered + withheld),
+        { account: ACCOUNTS.CASH, debit: paid },
+        { account: ACCOUNTS.CLAWBACK_RECEIVABLE, debit: recovered },
+        { account: ACCOUNTS.WHT_PAYABLE, debit: withheld }
+      ]
+    });
+  }
+
+  // Charges borne by the partner (e.g. transfer fees) reduce what they are owed
+  async postFee({ partnerId, referralId = null, amount, description, sourceType = 'manual', sourceId = null, createdBy = null }) {
+    return this.post({
+      entryType: 'fee',
+      partnerId,
+      referralId,
+      sourceType,
+      sourceId: sourceId || crypto.randomUUID(),
+      description,
+      createdBy,
+      lines: [
+        { account: ACCOUNTS.PARTNER_PAYABLE, debit: amount },
+        { account: ACCOUNTS.FEE_INCOME, credit: amount }
+      ]
+    });
+  }
+
+  // ==================== QUERIES ====================
+  async getLines({ partnerId = null, from = null, to = null, accounts = null } = {}) {
+    let query = supabaseAdmin
+      .from('ledger_entries')
+      .select('*')
+      .order('created_at', { ascending: true });
+
+    if (partnerId) query = query.eq('partner_id', partnerId);
+    if (from) query = query.gte('created_at', from);
+    if (to) query = query.lt('created_at', to);
+    if (accounts) query = query.in('account', accounts);
+
+    const { data: lines, error } = await query;
+
+    if (error) {
+      console.error('❌ Ledger lookup error:', error);
+      throw new Error('Failed to fetch ledger entries');
+    }
+
+    return lines || [];
+  }
+
+  // Single source for partner balances, used by partners and staff alike
+  async getBalance(partnerId) {
+    const [lines, accruals, { data: inFlight }] = await Promise.all([
+      this.getLines({ partnerId, accounts: [ACCOUNTS.PARTNER_PAYABLE, ACCOUNTS.CLAWBACK_RECEIVABLE, ACCOUNTS.CASH, ACCOUNTS.WHT_PAYABLE] }),
+      commissionAccrualService.getReferralAccruals({ partnerId }),
+      supabaseAdmin
+        .from('partner_payouts')
+        .select('amount, clawback_deducted, wht_amount')
+        .eq('partner_id', partnerId)
+        .in('status', IN_FLIGHT_PAYOUT_STATUSES)
+    ]);
+
+    const payable = lines.filter(line => line.account === ACCOUNTS.PARTNER_PAYABLE);
+    const byType = (type) => payable.filter(line => line.entry_type === type);
+
+    // Payable on commission-eligible referrals, less what has not accrued under the accrual policy
+    const eligible = new Set(accruals.map(r => r.id));
+    const notAccrued = accruals.reduce((total, r) => total + r.pending_commission, 0);
+
+    const payableBalance = net(lines, ACCOUNTS.PARTNER_PAYABLE);
+    const eligiblePayable = net(payable.filter(line => eligible.has(line.referral_id)), ACCOUNTS.PARTNER_PAYABLE) - notAccrued;
+    const clawbackOutstanding = -net(lines, ACCOUNTS.CLAWBACK_RECEIVABLE);
+
+    const inFlightGross = (inFlight || []).reduce((total, p) => total + (p.amount || 0) + (p.clawback_deducted || 0) + (p.wht_amount || 0), 0);
+    const clawbackReserved = (inFlight || []).reduce((total, p) => total + (p.clawback_deducted || 0), 0);
+
+    return {
+      partner_id: partnerId,
+      total_earned: net(byType('accrual'), ACCOUNTS.PARTNER_PAYABLE) + net(byType('adjustment'), ACCOUNTS.PARTNER_PAYABLE),
+      total_accrued: net(byType('accrual'), ACCOUNTS.PARTNER_PAYABLE),
+      total_adjustments: net(byType('adjustment'), ACCOUNTS.PARTNER_PAYABLE),
+      total_paid_out: sum(lines.filter(line => line.account === ACCOUNTS.CASH), 'credit'),
+      total_fees: -net(byType('fee'), ACCOUNTS.PARTNER_PAYABLE),
+      total_tax_withheld: net(lines, ACCOUNTS.WHT_PAYABLE),
+      clawback_outstanding: clawbackOutstanding,
+      payable_balance: payableBalance,
+      pending_commission: payableBalance - eligiblePayable,
+      pending_payouts: inFlightGross,
+      available_for_payout: Math.max(0, eligiblePayable - inFlightGross - (clawbackOutstanding - clawbackReserved)),
+      as_of: new Date().toISOString()
+    };
+  }
+
+  // Partner-facing lines (payable and clawback) with opening/closing balances for [from, to)
+  async getStatement(partnerId, { from, to }) {
+    const accounts = [ACCOUNTS.PARTNER_PAYABLE, ACCOUNTS.CLAWBACK_RECEIVABLE];
+
+    const [before, within] = await Promise.all([
+      this.getLines({ partnerId, to: from, accounts }),
+      this.getLines({ partnerId, from, to, accounts })
+    ]);
+
+    // Net position: owed to the partner less what they owe back
+    const position = (lines) => net(lines, ACCOUNTS.PARTNER_PAYABLE) + net(lines, ACCOUNTS.CLAWBACK_RECEIVABLE);
+
+    const openingBalance = position(before);
+    let running = openingBalance;
+
+    const entries = within.map(line => {
+      const amount = (line.credit || 0) - (line.debit || 0);
+      running += amount;
+      return {
+        id: line.id,
+        date: line.created_at,
+        entry_type: line.entry_type,
+        account: line.account,
+        referral_id: line.referral_id,
+        description: line.description,
+        debit: line.debit,
+        credit: line.credit,
+        balance: running
+      };
+    });
+
+    return {
+      partner_id: partnerId,
+      from,
+      to,
+      opening_balance: openingBalance,
+      closing_balance: running,
+      total_credits: sum(within, 'credit'),
+      total_debits: sum(within, 'debit'),
+      entries
+    };
+  }
+
+  statementToCsv(statement) {
+    const csvHeaders = 'Date,Type,Account,Description,Debit,Credit,Balance\n';
+    const csvRows = statement.entries.map(e =>
+      `"${e.date}","${e.entry_type}","${e.account}","${(e.description || '').replace(/"/g, '""')}",${e.debit},${e.credit},${e.balance}`
+    ).join('\n');
+
+    return csvHeaders + csvRows;
+  }
+
+  // ==================== RECONCILIATION ====================
+  // Prove the ledger against its sources: it must balance, accrued commission must equal the
+  // commission on client_payments, and payout postings (cash, clawback recovered and tax
+  // withheld) must equal paid partner_payouts.
+  async reconcile({ partnerId = null } = {}) {
+    let paymentsQuery = supabaseAdmin
+      .from('client_payments')
+      .select('id, commission_calculated, status, referrals!inner(partner_id)')
+      .eq('status', 'confirmed');
+    let payoutsQuery = supabaseAdmin
+      .from('partner_payouts')
+      .select('id, partner_id, amount, clawback_deducted, wht_amount')
+      .eq('status', 'paid');
+
+    if (partnerId) {
+      paymentsQuery = paymentsQuery.eq('referrals.partner_id', partnerId);
+      payoutsQuery = payoutsQuery.eq('partner_id', partnerId);
+    }
+
+    const [lines, { data: payments, error: paymentsError }, { data: payouts, error: payoutsError }] = await Promise.all([
+      this.getLines({ partnerId }),
+      paymentsQuery,
+      payoutsQuery
+    ]);
+
+    if (paymentsError || payoutsError) {
+      console.error('❌ Reconciliation source lookup error:', paymentsError || payoutsError);
+      throw new Error('Failed to load reconciliation sources');
+    }
+
+    // Every transaction must balance on its own
+    const transactions = {};
+    lines.forEach(line => {
+      transactions[line.transaction_id] = (transactions[line.transaction_id] || 0) + (line.debit || 0) - (line.credit || 0);
+    });
+    const unbalanced = Object.entries(transactions)
+      .filter(([, difference]) => Math.abs(difference) > 0.005)
+      .map(([transactionId, difference]) => ({ transaction_id: transactionId, difference }));
+
+    const partners = {};
+    const row = (id) => (partners[id] = partners[id] || {
+      partner_id: id,
+      ledger_commission: 0,
+      payments_commission: 0,
+      ledger_paid_out: 0,
+      payouts_paid: 0,
+      ledger_clawback_recovered: 0,
+      payouts_clawback_deducted: 0,
+      ledger_tax_withheld: 0,
+      payouts_tax_withheld: 0
+    });
+
+    lines.forEach(line => {
+      const r = row(line.partner_id);
+      if (line.account === ACCOUNTS.COMMISSION_EXPENSE) r.ledger_commission += (line.debit || 0) - (line.credit || 0);
+      if (line.account === ACCOUNTS.CASH) r.ledger_paid_out += (line.credit || 0) - (line.debit || 0);
+      if (line.account === ACCOUNTS.CLAWBACK_RECEIVABLE && line.entry_type === 'payout') r.ledger_clawback_recovered += (line.credit || 0) - (line.debit || 0);
+      if (line.account === ACCOUNTS.WHT_PAYABLE) r.ledger_tax_withheld += (line.credit || 0) - (line.debit || 0);
+    });
+    (payments || []).forEach(p => { row(p.referrals.partner_id).payments_commission += p.commission_calculated || 0; });
+    (payouts || []).forEach(p => {
+      const r = row(p.partner_id);
+      r.payouts_paid += p.amount || 0;
+      r.payouts_clawback_deducted += p.clawback_deducted || 0;
+      r.payouts_tax_withheld += p.wht_amount || 0;
+    });
+
+    const results = Object.values(partners).map(r => ({
+      ...r,
+      commission_difference: r.ledger_commission - r.payments_commission,
+      payout_difference: r.ledger_paid_out - r.payouts_paid,
+      clawback_difference: r.ledger_clawback_recovered - r.payouts_clawback_deducted,
+      tax_difference: r.ledger_tax_withheld - r.payouts_tax_withheld,
+      reconciled: Math.abs(r.ledger_commission - r.payments_commission) < 0.005 &&
+        Math.abs(r.ledger_paid_out - r.payouts_paid) < 0.005 &&
+        Math.abs(r.ledger_clawback_recovered - r.payouts_clawback_deducted) < 0.005 &&
+        Math.abs(r.ledger_tax_withheld - r.payouts_tax_withheld) < 0.005
+    }));
+
+    return {
+      reconciled: unbalanced.length === 0 && results.every(r => r.reconciled),
+      checked_at: new Date().toISOString(),
+      totals: {
+        debits: sum(lines, 'debit'),
+        credits: sum(lines, 'credit'),
+        entries: lines.length
+      },
+      unbalanced_transactions: unbalanced,
+      partners: results.filter(r => !r.reconciled),
+      partners_checked: results.length
+    };
+  }
+}
+
+export default new LedgerService();
@@ -0,0 +1,243 @@
+import crypto from 'crypto';
+import { supabaseAdmin } from '../config/supabase.js';
+import configService from './config-service.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Email verification codes for partner accounts (partner_otps)
+class OtpService {
+  // Limits are overridable through system_config
+  async getPolicy() {
+    return {
+      expiry_minutes: await configService.getNumber('otp_expiry_minutes', 15),
+      max_attempts: await configService.getNumber('otp_max_attempts', 5),
+      resend_cooldown_seconds: await configService.getNumber('otp_resend_cooldown_seconds', 60),
+      max_per_email_per_hour: await configService.getNumber('otp_max_per_email_per_hour', 5),
+      max_per_ip_per_hour: await configService.getNumber('otp_max_per_ip_per_hour', 20)
+    };
+  }
+
+  generateCode() {
+    return crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+  }
+
+  // Keyed so a leaked table cannot be brute-forced offline over the 10^6 code space
+  hashCode(partnerId, code) {
+    const key = process.env.OTP_HASH_SECRET || process.env.JWT_SECRET;
+    if (!key) {
+      throw new Error('OTP_HASH_SECRET is not configured');
+    }
+    return crypto.createHmac('sha256', key).update(`${partnerId}:${code}`).digest('hex');
+  }
+
+  // Returns { allowed: true } or { allowed: false, message, retryAfter } (seconds)
+  async checkThrottle(email, ipAddress, policy) {
+    const hourAgo = new Date(Date.now() - HOUR_MS).toISOString();
+
+    const { data: recent, error } = await supabaseAdmin
+      .from('partner_otps')
+      .select('created_at')
+      .eq('email', email)
+      .gt('created_at', hourAgo)
+      .order('created_at', { ascending: false });
+
+    if (error) {
+      console.error('❌ OTP throttle lookup error:', error);
+      throw new Error('Failed to check OTP throttle');
+    }
+
+    if (recent?.length > 0) {
+      const sinceLast = (Date.now() - new Date(recent[0].created_at).getTime()) / 1000;
+      if (sinceLast < policy.resend_cooldown_seconds) {
+        const retryAfter = Math.ceil(policy.resend_cooldown_seconds - sinceLast);
+        return {
+          allowed: false,
+          message: `Please wait ${retryAfter} seconds before requesting another code`,
+          retryAfter
+        };
+      }
+
+      if (recent.length >= policy.max_per_email_per_hour) {
+        const oldest = new Date(recent[recent.length - 1].created_at).getTime();
+        return {
+          allowed: false,
+          message: 'Too many codes requested for this email. Please try again later.',
+          retryAfter: Math.ceil((oldest + HOUR_MS - Date.now()) / 1000)
+        };
+      }
+    }
+
+    if (ipAddress) {
+      const { count } = await supabaseAdmin
+        .from('partner_otps')
+        .select('*', { count: 'exact', head: true })
+        .eq('requested_ip', ipAddress)
+        .gt('created_at', hourAgo);
+
+      if ((count || 0) >= policy.max_per_ip_per_hour) {
+        return {
+          allowed: false,
+          message: 'Too many codes requested. Please try again later.',
+          retryAfter: Math.ceil(HOUR_MS / 1000)
+        };
+      }
+    }
+
+    return { allowed: true };
+  }
+
+  // Issue a new code, invalidating any still-open codes for the partner.
+  // Returns { success: true, code, expiresAt, expiryMinutes } or { success: false, message, retryAfter }
+  async issue(partner, { ipAddress = null, throttle = true } = {}) {
+    const email = partner.email.toLowerCase();
+    const policy = await this.getPolicy();
+
+    if (throttle) {
+      const check = await this.checkThrottle(email, ipAddress, policy);
+      if (!check.allowed) {
+        return { success: false, message: check.message, retryAfter: check.retryAfter };
+      }
+    }
+
+    await supabaseAdmin
+      .from('partner_otps')
+      .update({ used: true, invalidated_at: new Date().toISOString() })
+      .eq('partner_id', partner.id)
+      .eq('used', false);
+
+    const code = this.generateCode();
+    const expiresAt = new Date(Date.now() + policy.expiry_minutes * 60 * 1000);
+
+    const { error } = await supabaseAdmin
+      .from('partner_otps')
+      .insert({
+        partner_id: partner.id,
+        email,
+        otp_hash: this.hashCode(partner.id, code),
+        failed_attempts: 0,
+        requested_ip: ipAddress,
+        expires_at: expiresAt.toISOString()
+      });
+
+    if (error) {
+      console.error('❌ OTP storage error:', error);
+      throw new Error('Failed to generate OTP');
+    }
+
+    return { success: true, code, expiresAt, expiryMinutes: policy.expiry_minutes };
+  }
+
+  // Check a code against the partner's latest open OTP, counting failures
+  async verify(partner, code) {
+    const policy = await this.getPolicy();
+
+    const { data: otpRecord } = await supabaseAdmin
+      .from('partner_otps')
+      .select('*')
+      .eq('partner_id', partner.id)
+      .eq('email', partner.email.toLowerCase())
+      .eq('used', false)
+      .gt('expires_at', new Date().toISOString())
+      .order('created_at', { ascending: false })
+      .limit(1)
+      .maybeSingle();
+
+    if (!otpRecord) {
+      return { valid: false, message: 'Invalid or expired OTP code' };
+    }
+
+    // Each guess takes one of the code's attempts before it is compared, so parallel guesses
+    // cannot get past max_attempts between reading the count and writing it back
+    const { attempt, latest } = await this.takeAttempt(otpRecord, policy.max_attempts);
+
+    if (!attempt) {
+      return !latest || latest.used
+        ? { valid: false, message: 'Invalid or expired OTP code' }
+        : { valid: false, locked: true, message: 'Too many incorrect attempts. Please request a new code.' };
+    }
+
+    const expected = Buffer.from(attempt.otp_hash || '');
+    const given = Buffer.from(this.hashCode(partner.id, String(code || '')));
+    const matches = expected.length === given.length && crypto.timingSafeEqual(expected, given);
+
+    if (!matches) {
+      const failedAttempts = attempt.failed_attempts;
+      const locked = failedAttempts >= policy.max_attempts;
+
+      if (locked) {
+        await supabaseAdmin
+          .from('partner_otps')
+          .update({ locked_at: new Date().toISOString() })
+          .eq('id', attempt.id);
+      }
+
+      return {
+        valid: false,
+        locked,
+        attemptsRemaining: policy.max_attempts - failedAttempts,
+        message: locked
+          ? 'Too many incorrect attempts. Please request a new code.'
+          : 'Invalid or expired OTP code'
+      };
+    }
+
+    // The attempt that matches is counted too; the code is spent either way. Only the first of
+    // two parallel verifications of the same code marks it used.
+    const { data: spent, error } = await supabaseAdmin
+      .from('partner_otps')
+      .update({ used: true, used_at: new Date().toISOString() })
+      .eq('id', attempt.id)
+      .eq('used', false)
+      .select('id')
+      .maybeSingle();
+
+    if (error) {
+      console.error('❌ OTP use error:', error);
+      throw new Error('Failed to verify OTP');
+    }
+
+    if (!spent) {
+      return { valid: false, message: 'Invalid or expired OTP code' };
+    }
+
+    return { valid: true };
+  }
+
+  // Adds one to the code's failed_attempts if nobody else has since `otpRecord` was read,
+  // re-reading and trying again otherwise. Returns { attempt } with the updated row, or
+  // { attempt: null, latest } once the code is used, locked or out of attempts.
+  async takeAttempt(otpRecord, maxAttempts) {
+    let record = otpRecord;
+
+    while (record && !record.used && !record.locked_at && record.failed_attempts < maxAttempts) {
+      const { data: updated, error } = await supabaseAdmin
+        .from('partner_otps')
+        .update({ failed_attempts: record.failed_attempts + 1 })
+        .eq('id', record.id)
+        .eq('failed_attempts', record.failed_attempts)
+        .eq('used', false)
+        .is('locked_at', null)
+        .select('*')
+        .maybeSingle();
+
+      if (error) {
+        console.error('❌ OTP attempt error:', error);
+        throw new Error('Failed to verify OTP');
+      }
+
+      if (updated) return { attempt: updated };
+
+      const { data: latest } = await supabaseAdmin
+        .from('partner_otps')
+        .select('*')
+        .eq('id', record.id)
+        .maybeSingle();
+
+      record = latest;
+    }
+
+    return { attempt: null, latest: record };
+  }
+}
+
+export default new OtpService();
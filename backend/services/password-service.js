@@ -0,0 +1,131 @@
+import crypto from 'crypto';
+import bcrypt from 'bcryptjs';
+import { supabaseAdmin } from '../config/supabase.js';
+import configService from './config-service.js';
+
+const BCRYPT_ROUNDS = 12;
+
+class PasswordService {
+  // Password policy for internal staff, overridable through system_config
+  async getPolicy() {
+    return {
+      min_length: await configService.getNumber('password_min_length', 12),
+      history_count: await configService.getNumber('password_history_count', 5),
+      max_age_days: await configService.getNumber('password_max_age_days', 90)
+    };
+  }
+
+  async hash(password) {
+    return bcrypt.hash(password, BCRYPT_ROUNDS);
+  }
+
+  // Verify a login attempt. Rows created before hashing still carry a plain-text
+  // `password` column; a match there is flagged so the caller can upgrade it.
+  async verify(password, internalUser) {
+    if (internalUser.password_hash) {
+      const valid = await bcrypt.compare(password, internalUser.password_hash);
+      return { valid, needsUpgrade: false };
+    }
+
+    if (internalUser.password) {
+      const stored = Buffer.from(String(internalUser.password));
+      const given = Buffer.from(String(password));
+      const valid = stored.length === given.length && crypto.timingSafeEqual(stored, given);
+      return { valid, needsUpgrade: valid };
+    }
+
+    return { valid: false, needsUpgrade: false };
+  }
+
+  // Returns a list of policy violations (empty when the password is acceptable)
+  validateStrength(password, policy) {
+    const errors = [];
+
+    if (!password || password.length < policy.min_length) {
+      errors.push(`Password must be at least ${policy.min_length} characters long`);
+    }
+    if (!/[a-z]/.test(password || '') || !/[A-Z]/.test(password || '')) {
+      errors.push('Password must contain both upper and lower case letters');
+    }
+    if (!/\d/.test(password || '')) {
+      errors.push('Password must contain at least one number');
+    }
+
+    return errors;
+  }
+
+  async isReused(internalUserId, password, policy) {
+    if (!internalUserId || policy.history_count <= 0) {
+      return false;
+    }
+
+    const { data: history, error } = await supabaseAdmin
+      .from('internal_user_password_history')
+      .select('password_hash')
+      .eq('internal_user_id', internalUserId)
+      .order('created_at', { ascending: false })
+      .limit(policy.history_count);
+
+    if (error) {
+      console.error('❌ Password history lookup error:', error);
+      return false;
+    }
+
+    for (const entry of history || []) {
+      if (await bcrypt.compare(password, entry.password_hash)) {
+        return true;
+      }
+    }
+
+    return false;
+  }
+
+  isExpired(internalUser, policy) {
+    if (internalUser.must_reset_password) {
+      return true;
+    }
+    if (!policy.max_age_days || !internalUser.password_changed_at) {
+      return false;
+    }
+
+    const ageMs = Date.now() - new Date(internalUser.password_changed_at).getTime();
+    return ageMs > policy.max_age_days * 24 * 60 * 60 * 1000;
+  }
+
+  // Store a new password hash, clear any plain-text value and record it in history
+  async setPassword(internalUserId, password, { mustReset = false } = {}) {
+    const passwordHash = await this.hash(password);
+
+    const { error } = await supabaseAdmin
+      .from('internal_users')
+      .update({
+        password_hash: passwordHash,
+        password: null,
+        password_changed_at: new Date().toISOString(),
+        must_reset_password: mustReset,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', internalUserId);
+
+    if (error) {
+      console.error('❌ Password update error:', error);
+      throw new Error('Failed to update password');
+    }
+
+    await supabaseAdmin
+      .from('internal_user_password_history')
+      .insert({
+        internal_user_id: internalUserId,
+        password_hash: passwordHash
+      });
+
+    return passwordHash;
+  }
+
+  generateTemporaryPassword() {
+    // Guarantees upper, lower and digit so it passes the default policy
+    return 'Tmp' + crypto.randomBytes(12).toString('base64url') + '7a';
+  }
+}
+
+export default new PasswordService();
@@ -0,0 +1,80 @@
+import { supabaseAdmin } from '../config/supabase.js';
+import commissionService from './commission-service.js';
+import commissionAdjustmentService from './commission-adjustment-service.js';
+
+// Recording of confirmed client payments, shared by manual entry (POST /api/payments)
+// and payments confirmed by Paystack (charge.success webhooks)
+class PaymentService {
+  // Price and store a confirmed payment, open its commission entry and tell the partner.
+  // Returns { payment, commissionResult, referral }.
+  async recordPayment({ referralId, amount, paymentDate, paymentMethod = 'bank_transfer', transactionReference = null, industry = null, recordedBy = null }) {
+    const { data: referral } = await supabaseAdmin
+      .from('referrals')
+      .select('partner_id, prospect_company_name, industry')
+      .eq('id', referralId)
+      .single();
+
+    // Calculate commission from the rule in effect on the payment date
+    const commissionResult = await commissionService.calculate({
+      referralId,
+      partnerId: referral?.partner_id,
+      industry: referral?.industry || industry,
+      amount,
+      paymentDate
+    });
+
+    const { data: payment, error } = await supabaseAdmin
+      .from('client_payments')
+      .insert({
+        referral_id: referralId,
+        amount,
+        ...commissionService.toPaymentFields(commissionResult),
+        payment_date: paymentDate,
+        payment_method: paymentMethod,
+        transaction_reference: transactionReference,
+        status: 'confirmed',
+        recorded_by: recordedBy
+      })
+      .select()
+      .single();
+
+    if (error) {
+      console.error('❌ Payment recording error:', error);
+      throw new Error(`Failed to record payment: ${error.message}`);
+    }
+
+    // Opening commission entry; referral totals are recomputed from these entries
+    await commissionAdjustmentService.recordAccrual(payment, {
+      partnerId: referral?.partner_id,
+      createdBy: recordedBy
+    });
+
+    console.log(`✅ Payment recorded: ${payment.id}`);
+    console.log(`💰 Commission calculated: ₦${commissionResult.commission} (rule: ${commissionResult.rule.name} v${commissionResult.rule.version ?? '-'})`);
+
+    if (referral && referral.partner_id) {
+      await supabaseAdmin
+        .from('partner_notifications')
+        .insert({
+          partner_id: referral.partner_id,
+          title: 'Payment Received',
+          message: `A payment of ₦${amount.toLocaleString()} was recorded for ${referral.prospect_company_name}. Your commission: ₦${commissionResult.commission.toLocaleString()}`,
+          type: 'payment_received'
+        });
+    }
+
+    return { payment, commissionResult, referral };
+  }
+
+  async findByTransactionReference(reference) {
+    const { data: payment } = await supabaseAdmin
+      .from('client_payments')
+      .select('*')
+      .eq('transaction_reference', reference)
+      .maybeSingle();
+
+    return payment || null;
+  }
+}
+
+export default new PaymentService();
@@ -0,0 +1,263 @@
+import { supabaseAdmin } from '../config/supabase.js';
+import configService from './config-service.js';
+import bankAccountService from './bank-account-service.js';
+import commissionAccrualService from './commission-accrual-service.js';
+import commissionAdjustmentService, { DEDUCTING_PAYOUT_STATUSES } from './commission-adjustment-service.js';
+import taxService from './tax-service.js';
+
+export const DEFAULT_MINIMUM_PAYOUT = 5000;
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// Partners withdraw from their balance rather than per referral. A payout request takes any
+// amount between the minimum payout and what is available, settles outstanding clawbacks on top,
+// and is allocated oldest-first across eligible referrals (partner_payout_allocations), so one
+// transfer can settle several commissions and a commission can be paid out over several payouts.
+class PayoutRequestService {
+  async getMinimumPayout() {
+    return configService.getNumber('minimum_payout_amount', DEFAULT_MINIMUM_PAYOUT);
+  }
+
+  // Commission accrued on each eligible referral (under the accrual policy) and not yet
+  // committed to a payout, oldest referral first
+  async getReferralBalances(partnerId) {
+    const referrals = await commissionAccrualService.getReferralAccruals({ partnerId });
+    const committed = await this.getCommittedByReferral(referrals.map(r => r.id));
+
+    return referrals.map(referral => {
+      const allocated = committed[referral.id] || 0;
+      return {
+        ...referral,
+        allocated_amount: allocated,
+        available_amount: Math.max(0, round2(referral.accrued_commission - allocated))
+      };
+    });
+  }
+
+  // Amount of each referral's commission already in a pending, processing or paid payout
+  async getCommittedByReferral(referralIds) {
+    if (referralIds.length === 0) return {};
+
+    const { data: allocations, error } = await supabaseAdmin
+      .from('partner_payout_allocations')
+      .select('referral_id, amount, partner_payouts!inner(status)')
+      .in('referral_id', referralIds)
+      .in('partner_payouts.status', DEDUCTING_PAYOUT_STATUSES);
+
+    if (error) {
+      console.error('❌ Payout allocations lookup error:', error);
+      throw new Error('Failed to fetch payout allocations');
+    }
+
+    return (allocations || []).reduce((totals, allocation) => {
+      totals[allocation.referral_id] = round2((totals[allocation.referral_id] || 0) + (allocation.amount || 0));
+      return totals;
+    }, {});
+  }
+
+  // What a partner can withdraw now. referralIds limits it to some of their referrals.
+  async getAvailability(partnerId, { referralIds = null } = {}) {
+    const [balances, clawbackBalance, minimumPayout, accrualPolicy] = await Promise.all([
+      this.getReferralBalances(partnerId),
+      commissionAdjustmentService.getClawbackBalance(partnerId),
+      this.getMinimumPayout(),
+      commissionAccrualService.getPolicy()
+    ]);
+
+    const referrals = balances.filter(r => r.available_amount > 0 && (!referralIds || referralIds.includes(r.id)));
+    const commissionAvailable = round2(referrals.reduce((sum, r) => sum + r.available_amount, 0));
+    const available = Math.max(0, round2(commissionAvailable - clawbackBalance));
+    const pending = balances.filter(r => r.pending_commission > 0 && (!referralIds || referralIds.includes(r.id)));
+    const nextClearance = pending.map(r => r.next_clearance_at).filter(Boolean).sort()[0] || null;
+
+    return {
+      referrals,
+      commission_available: commissionAvailable,
+      clawback_balance: clawbackBalance,
+      available_amount: available,
+      minimum_payout: minimumPayout,
+      can_request: available > 0 && available >= minimumPayout,
+      accrual_policy: accrualPolicy.policy,
+      clearance_days: accrualPolicy.policy === 'clearance_hold' ? accrualPolicy.clearance_days : null,
+      pending_commission: round2(pending.reduce((sum, r) => sum + r.pending_commission, 0)),
+      next_clearance_at: nextClearance
+    };
+  }
+
+  // Spread an amount across referrals oldest-first
+  allocate(referrals, amount) {
+    const allocations = [];
+    let remaining = round2(amount);
+
+    for (const referral of referrals) {
+      if (remaining <= 0) break;
+      const share = Math.min(referral.available_amount, remaining);
+      allocations.push({ referral_id: referral.id, amount: share, referral });
+      remaining = round2(remaining - share);
+    }
+
+    return allocations;
+  }
+
+  // Create a payout of `amount` (default: everything available). Returns
+  // { success, payout, split, allocations } or { success: false, status, message }.
+  async createRequest(partner, { amount = null, referralIds = null, notes = null }) {
+    const payoutHold = await bankAccountService.getPayoutHold(partner.id);
+    if (payoutHold.held) {
+      return { success: false, status: 409, message: payoutHold.message, code: 'PAYOUT_HOLD', hold_until: payoutHold.hold_until };
+    }
+
+    const availability = await this.getAvailability(partner.id, { referralIds });
+    const requested = amount === null ? availability.available_amount : round2(amount);
+
+    if (availability.available_amount <= 0) {
+      return {
+        success: false,
+        status: 400,
+        message: availability.clawback_balance > 0 && availability.commission_available > 0
+          ? `Your available commission is fully offset by outstanding clawbacks of ₦${availability.clawback_balance.toLocaleString()}`
+          : availability.pending_commission > 0
+            ? `Your commission of ₦${availability.pending_commission.toLocaleString()} has not accrued for payout yet`
+            : 'You have no commission available for payout yet'
+      };
+    }
+
+    if (!(requested > 0)) {
+      return { success: false, status: 400, message: 'Payout amount must be greater than zero' };
+    }
+
+    if (requested < availability.minimum_payout) {
+      return {
+        success: false,
+        status: 400,
+        message: `The minimum payout is ₦${availability.minimum_payout.toLocaleString()}`,
+        available_amount: availability.available_amount
+      };
+    }
+
+    if (requested > availability.available_amount) {
+      return {
+        success: false,
+        status: 400,
+        message: `Requested amount exceeds your available balance of ₦${availability.available_amount.toLocaleString()}`,
+        available_amount: availability.available_amount
+      };
+    }
+
+    // Outstanding clawbacks ride along: their share of commission is consumed but not paid
+    const split = await taxService.splitPayout(partner.id, requested);
+    const allocations = this.allocate(availability.referrals, split.gross_amount);
+    const singleReferral = allocations.length === 1 ? allocations[0].referral : null;
+
+    const { data: payout, error: payoutError } = await supabaseAdmin
+      .from('partner_payouts')
+      .insert({
+        partner_id: partner.id,
+        referral_id: singleReferral?.id || null,
+        amount: split.amount,
+        gross_amount: split.gross_amount,
+        vat_rate: split.vat_rate,
+        vat_amount: split.vat_amount,
+        taxable_amount: split.taxable_amount,
+        wht_rate: split.wht_rate,
+        wht_amount: split.wht_amount,
+        clawback_deducted: split.clawback_deducted,
+        status: 'pending',
+        notes: notes || (singleReferral
+          ? `Payout request for ${singleReferral.prospect_company_name}`
+          : `Payout request across ${allocations.length} referrals`),
+        requested_at: new Date().toISOString()
+      })
+      .select(`
+        *,
+        referrals:referral_id (prospect_company_name, referral_code)
+      `)
+      .single();
+
+    if (payoutError) {
+      console.error('❌ Payout request error:', payoutError);
+      throw new Error('Failed to create payout request');
+    }
+
+    const { error: allocationError } = await supabaseAdmin
+      .from('partner_payout_allocations')
+      .insert(allocations.map(allocation => ({
+        payout_id: payout.id,
+        referral_id: allocation.referral_id,
+        partner_id: partner.id,
+        amount: allocation.amount
+      })));
+
+    if (allocationError) {
+      console.error('❌ Payout allocation error:', allocationError);
+      await supabaseAdmin.from('partner_payouts').delete().eq('id', payout.id);
+      throw new Error('Failed to allocate payout to referrals');
+    }
+
+    // Referrals whose commission is now fully committed drop off the eligible list
+    const settled = allocations
+      .filter(allocation => allocation.amount >= allocation.referral.available_amount)
+      .map(allocation => allocation.referral_id);
+
+    if (settled.length > 0) {
+      await supabaseAdmin
+        .from('referrals')
+        .update({
+          payout_requested: true,
+          payout_requested_at: new Date().toISOString(),
+          updated_at: new Date().toISOString()
+        })
+        .in('id', settled);
+    }
+
+    console.log(`💰 Payout ${payout.id} requested by ${partner.company_name}: ₦${split.amount.toLocaleString()} net across ${allocations.length} referrals`);
+
+    return {
+      success: true,
+      payout,
+      split,
+      allocations: allocations.map(({ referral, ...allocation }) => ({
+        ...allocation,
+        prospect_company_name: referral.prospect_company_name,
+        referral_code: referral.referral_code
+      }))
+    };
+  }
+
+  async getAllocations(payoutId) {
+    const { data: allocations, error } = await supabaseAdmin
+      .from('partner_payout_allocations')
+      .select(`
+        referral_id,
+        amount,
+        referrals:referral_id (prospect_company_name, referral_code)
+      `)
+      .eq('payout_id', payoutId)
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      console.error('❌ Payout allocations error:', error);
+      throw new Error('Failed to fetch payout allocations');
+    }
+
+    return allocations || [];
+  }
+
+  // A failed or cancelled payout releases its referrals back to the eligible list
+  async releaseReferrals(payoutId) {
+    const { data: allocations } = await supabaseAdmin
+      .from('partner_payout_allocations')
+      .select('referral_id')
+      .eq('payout_id', payoutId);
+
+    const referralIds = (allocations || []).map(a => a.referral_id);
+    if (referralIds.length === 0) return;
+
+    await supabaseAdmin
+      .from('referrals')
+      .update({ payout_requested: false, updated_at: new Date().toISOString() })
+      .in('id', referralIds);
+  }
+}
+
+export default new PayoutRequestService();
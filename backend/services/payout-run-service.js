@@ -0,0 +1,750 @@
+import { supabaseAdmin } from '../config/supabase.js';
+import configService from './config-service.js';
+import paystackService from './paystack-service.js';
+import bankAccountService from './bank-account-service.js';
+import ledgerService from './ledger-service.js';
+import payoutTransferService from './payout-transfer-service.js';
+
+// draft -> approved (locked) -> exported | sending -> completed | partially_failed; draft/approved -> cancelled
+export const RUN_STATUSES = ['draft', 'approved', 'exported', 'sending', 'completed', 'partially_failed', 'cancelled'];
+
+// queued -> sent -> paid | failed; excluded when an item stops passing checks before approval
+export const RUN_ITEM_STATUSES = ['queued', 'sent', 'paid', 'failed', 'excluded'];
+
+export const EXPORT_FORMATS = ['csv', 'nibss'];
+
+// Runs that still own their payouts; a payout can only be in one of these at a time
+const OPEN_RUN_STATUSES = ['draft', 'approved', 'exported', 'sending'];
+
+const BULK_TRANSFER_CHUNK = 100;
+
+// Payout runs (payout_runs / payout_run_items) batch partner payouts for finance. A run snapshots
+// the bank details of every payout that passes the eligibility checks, is locked by an approver
+// other than its creator, and is then either exported as a bank bulk-transfer file (results are
+// recorded back by finance) or sent through Paystack bulk transfer. Failed items can be carried
+// into a follow-up run.
+class PayoutRunService {
+  // ==================== ELIGIBILITY ====================
+  // Returns { eligible: [payout], excluded: [{ payout, reasons }] }. ignoreRunId skips the run
+  // being approved when looking for payouts already claimed by an open run.
+  async checkEligibility(payouts, { ignoreRunId = null } = {}) {
+    const payoutIds = payouts.map(p => p.id);
+    let openItemsQuery = supabaseAdmin
+      .from('payout_run_items')
+      .select('payout_id, payout_runs!inner(status)')
+      .in('payout_id', payoutIds)
+      .in('status', ['queued', 'sent'])
+      .in('payout_runs.status', OPEN_RUN_STATUSES);
+
+    if (ignoreRunId) openItemsQuery = openItemsQuery.neq('run_id', ignoreRunId);
+
+    const { data: openItems } = payoutIds.length ? await openItemsQuery : { data: [] };
+    const inOpenRun = new Set((openItems || []).map(item => item.payout_id));
+
+    const holds = {};
+    const eligible = [];
+    const excluded = [];
+
+    for (const payout of payouts) {
+      const reasons = [];
+      const partner = payout.partners;
+
+      if (!(payout.amount > 0)) reasons.push('No amount to pay');
+      if (!partner?.bank_verified || !partner.bank_account_number || !partner.bank_code) {
+        reasons.push('Partner has no verified bank account');
+      }
+      if (payoutTransferService.isInFlight(payout)) reasons.push('A Paystack transfer is already in progress');
+      if (inOpenRun.has(payout.id)) reasons.push('Already in an open payout run');
+
+      holds[payout.partner_id] = holds[payout.partner_id] || await bankAccountService.getPayoutHold(payout.partner_id);
+      if (holds[payout.partner_id].held) reasons.push(holds[payout.partner_id].message);
+
+      if (reasons.length) {
+        excluded.push({ payout, reasons });
+      } else {
+        eligible.push(payout);
+      }
+    }
+
+    return { eligible, excluded };
+  }
+
+  async getCandidatePayouts({ payoutIds = null, statuses = ['pending'] } = {}) {
+    let query = supabaseAdmin
+      .from('partner_payouts')
+      .select(`
+        *,
+        partners (id, company_name, contact_name, email, bank_account_number, verified_account_name, bank_code, bank_verified, paystack_recipient_code),
+        referrals (prospect_company_name, referral_code)
+      `)
+      .in('status', statuses)
+      .order('requested_at', { ascending: true });
+
+    if (payoutIds) query = query.in('id', payoutIds);
+
+    const { data: payouts, error } = await query;
+
+    if (error) {
+      console.error('❌ Payout run candidates error:', error);
+      throw new Error('Failed to fetch payouts for run');
+    }
+
+    return payouts || [];
+  }
+
+  async getBankNames() {
+    const result = await paystackService.getBankList();
+    return result.success
+      ? Object.fromEntries(result.data.map(bank => [bank.code.toString(), bank.name]))
+      : {};
+  }
+
+  // Totals per bank, as shown in the run preview
+  summarizeByBank(items, bankNames) {
+    const banks = {};
+    items.forEach(item => {
+      const code = item.bank_code;
+      banks[code] = banks[code] || { bank_code: code, bank_name: bankNames[code] || `Bank (${code})`, count: 0, total_amount: 0 };
+      banks[code].count++;
+      banks[code].total_amount += item.amount || 0;
+    });
+    return Object.values(banks).sort((a, b) => b.total_amount - a.total_amount);
+  }
+
+  toItem(payout) {
+    return {
+      payout_id: payout.id,
+      partner_id: payout.partner_id,
+      amount: payout.amount,
+      bank_code: payout.partners.bank_code,
+      account_number: payout.partners.bank_account_number,
+      account_name: payout.partners.verified_account_name,
+      partner_name: payout.partners.company_name,
+      referral_name: payout.referrals?.prospect_company_name || null
+    };
+  }
+
+  // What a run created now would contain, without creating it
+  async preview({ payoutIds = null, statuses = ['pending'] } = {}) {
+    const candidates = await this.getCandidatePayouts({ payoutIds, statuses });
+    const [{ eligible, excluded }, bankNames] = await Promise.all([
+      this.checkEligibility(candidates),
+      this.getBankNames()
+    ]);
+    const items = eligible.map(payout => this.toItem(payout));
+
+    return {
+      items,
+      excluded: excluded.map(({ payout, reasons }) => ({
+        payout_id: payout.id,
+        partner_name: payout.partners?.company_name,
+        amount: payout.amount,
+        reasons
+      })),
+      totals: {
+        count: items.length,
+        total_amount: items.reduce((sum, item) => sum + (item.amount || 0), 0),
+        by_bank: this.summarizeByBank(items, bankNames)
+      }
+    };
+  }
+
+  // ==================== RUNS ====================
+  async createRun({ createdBy, payoutIds = null, parentRunId = null, notes = null }) {
+    // Follow-up runs pick up payouts whose previous attempt failed
+    const preview = await this.preview({ payoutIds, statuses: parentRunId ? ['failed'] : ['pending'] });
+
+    if (preview.items.length === 0) {
+      return { success: false, status: 400, message: 'No eligible payouts to include in a run', excluded: preview.excluded };
+    }
+
+    const { data: run, error } = await supabaseAdmin
+      .from('payout_runs')
+      .insert({
+        reference: `RUN-${new Date().toISOString().slice(0, 10).replace(/-/g, '')}-${Date.now().toString(36).slice(-5).toUpperCase()}`,
+        status: 'draft',
+        item_count: preview.totals.count,
+        total_amount: preview.totals.total_amount,
+        totals_by_bank: preview.totals.by_bank,
+        parent_run_id: parentRunId,
+        notes,
+        created_by: createdBy
+      })
+      .select()
+      .single();
+
+    if (error) {
+      console.error('❌ Payout run create error:', error);
+      throw new Error('Failed to create payout run');
+    }
+
+    const { error: itemsError } = await supabaseAdmin
+      .from('payout_run_items')
+      .insert(preview.items.map((item, index) => ({
+        ...item,
+        run_id: run.id,
+        sequence: index + 1,
+        status: 'queued'
+      })));
+
+    if (itemsError) {
+      console.error('❌ Payout run items error:', itemsError);
+      await supabaseAdmin.from('payout_runs').delete().eq('id', run.id);
+      throw new Error('Failed to create payout run items');
+    }
+
+    console.log(`📦 Payout run ${run.reference} created: ${run.item_count} payouts, ₦${run.total_amount.toLocaleString()}`);
+
+    return { success: true, run, excluded: preview.excluded };
+  }
+
+  async createFollowUpRun(parentRunId, { createdBy }) {
+    const parent = await this.getRunRow(parentRunId);
+    if (!parent) return { success: false, status: 404, message: 'Payout run not found' };
+
+    const { data: failedItems } = await supabaseAdmin
+      .from('payout_run_items')
+      .select('payout_id')
+      .eq('run_id', parentRunId)
+      .eq('status', 'failed');
+
+    if (!failedItems?.length) {
+      return { success: false, status: 400, message: 'This run has no failed items to retry' };
+    }
+
+    return this.createRun({
+      createdBy,
+      payoutIds: failedItems.map(item => item.payout_id),
+      parentRunId,
+      notes: `Retry of failed items from ${parent.reference}`
+    });
+  }
+
+  async getRunRow(runId) {
+    const { data: run } = await supabaseAdmin
+      .from('payout_runs')
+      .select('*')
+      .eq('id', runId)
+      .single();
+
+    return run || null;
+  }
+
+  async getItems(runId) {
+    const { data: items, error } = await supabaseAdmin
+      .from('payout_run_items')
+      .select(`
+        *,
+        partner_payouts:payout_id (status, transfer_status, transfer_reference, transfer_failure_reason, payment_reference)
+      `)
+      .eq('run_id', runId)
+      .order('sequence', { ascending: true });
+
+    if (error) {
+      console.error('❌ Payout run items lookup error:', error);
+      throw new Error('Failed to fetch payout run items');
+    }
+
+    return items || [];
+  }
+
+  async getRun(runId) {
+    const run = await this.getRunRow(runId);
+    if (!run) return null;
+
+    if (run.status === 'sending') {
+      await this.syncTransferItems(run);
+    }
+
+    const [refreshed, items] = await Promise.all([this.getRunRow(runId), this.getItems(runId)]);
+
+    return {
+      ...refreshed,
+      items,
+      item_summary: RUN_ITEM_STATUSES.reduce((summary, status) => {
+        summary[status] = items.filter(item => item.status === status).length;
+        return summary;
+      }, {})
+    };
+  }
+
+  async list({ status = null, page = 1, limit = 20 } = {}) {
+    const offset = (page - 1) * limit;
+
+    let query = supabaseAdmin
+      .from('payout_runs')
+      .select(`
+        *,
+        creator:created_by (name, email),
+        approver:approved_by (name, email)
+      `, { count: 'exact' })
+      .order('created_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    if (status) query = query.eq('status', status);
+
+    const { data: runs, error, count } = await query;
+
+    if (error) {
+      console.error('❌ Payout run list error:', error);
+      throw new Error('Failed to fetch payout runs');
+    }
+
+    return { runs: runs || [], total: count || 0 };
+  }
+
+  async updateRun(runId, fields) {
+    const { data: run, error } = await supabaseAdmin
+      .from('payout_runs')
+      .update({ ...fields, updated_at: new Date().toISOString() })
+      .eq('id', runId)
+      .select()
+      .single();
+
+    if (error) {
+      console.error('❌ Payout run update error:', error);
+      throw new Error('Failed to update payout run');
+    }
+
+    return run;
+  }
+
+  // Moves a run out of `from` only if it is still there, so two requests cannot both start
+  // paying it. Returns the updated run, or null when another request got there first.
+  async claimRun(runId, from, fields) {
+    const { data: run, error } = await supabaseAdmin
+      .from('payout_runs')
+      .update({ ...fields, updated_at: new Date().toISOString() })
+      .eq('id', runId)
+      .eq('status', from)
+      .select()
+      .maybeSingle();
+
+    if (error) {
+      console.error('❌ Payout run claim error:', error);
+      throw new Error('Failed to update payout run');
+    }
+
+    return run || null;
+  }
+
+  async updateItem(itemId, fields) {
+    const { error } = await supabaseAdmin
+      .from('payout_run_items')
+      .update({ ...fields, updated_at: new Date().toISOString() })
+      .eq('id', itemId);
+
+    if (error) {
+      console.error('❌ Payout run item update error:', error);
+      throw new Error('Failed to update payout run item');
+    }
+  }
+
+  // The open run a payout is locked into, if any
+  async getOpenRunForPayout(payoutId) {
+    const { data: item } = await supabaseAdmin
+      .from('payout_run_items')
+      .select('payout_runs!inner(id, reference, status)')
+      .eq('payout_id', payoutId)
+      .in('status', ['queued', 'sent'])
+      .in('payout_runs.status', OPEN_RUN_STATUSES)
+      .limit(1)
+      .maybeSingle();
+
+    return item?.payout_runs || null;
+  }
+
+  // ==================== APPROVAL ====================
+  // Re-checks every item, drops the ones that no longer pass and locks the rest.
+  // The approver must not be the person who created the run.
+  async approve(runId, { approverId }) {
+    const run = await this.getRunRow(runId);
+
+    if (!run) return { success: false, status: 404, message: 'Payout run not found' };
+    if (run.status !== 'draft') return { success: false, status: 409, message: `Run is ${run.status} and cannot be approved` };
+    if (run.created_by === approverId) {
+      return { success: false, status: 403, message: 'A payout run must be approved by someone other than its creator' };
+    }
+
+    const items = (await this.getItems(runId)).filter(item => item.status === 'queued');
+    const payouts = await this.getCandidatePayouts({
+      payoutIds: items.map(item => item.payout_id),
+      statuses: run.parent_run_id ? ['failed'] : ['pending']
+    });
+
+    const { eligible, excluded } = await this.checkEligibility(payouts, { ignoreRunId: runId });
+    const stillEligible = new Set(eligible.map(p => p.id));
+
+    const bankNames = await this.getBankNames();
+    const kept = [];
+
+    for (const item of items) {
+      const payout = payouts.find(p => p.id === item.payout_id);
+      const unchangedBank = payout && payout.partners?.bank_account_number === item.account_number &&
+        payout.partners?.bank_code === item.bank_code && payout.amount === item.amount;
+
+      if (stillEligible.has(item.payout_id) && unchangedBank) {
+        kept.push(item);
+        continue;
+      }
+
+      const reasons = excluded.find(e => e.payout.id === item.payout_id)?.reasons || [];
+      await this.updateItem(item.id, {
+        status: 'excluded',
+        failure_reason: !payout
+          ? 'Payout is no longer awaiting payment'
+          : !unchangedBank ? 'Bank details or amount changed since the run was created' : reasons.join('; ')
+      });
+    }
+
+    if (kept.length === 0) {
+      return { success: false, status: 409, message: 'No items in this run are still eligible; cancel it and create a new one' };
+    }
+
+    // Locked: these payouts can no longer be processed one by one
+    const { error: lockError } = await supabaseAdmin
+      .from('partner_payouts')
+      .update({ status: 'processing', updated_at: new Date().toISOString() })
+      .in('id', kept.map(item => item.payout_id));
+
+    if (lockError) {
+      console.error('❌ Payout run lock error:', lockError);
+      throw new Error('Failed to lock payouts for run');
+    }
+
+    const approved = await this.updateRun(runId, {
+      status: 'approved',
+      approved_by: approverId,
+      approved_at: new Date().toISOString(),
+      item_count: kept.length,
+      total_amount: kept.reduce((sum, item) => sum + (item.amount || 0), 0),
+      totals_by_bank: this.summarizeByBank(kept, bankNames)
+    });
+
+    return { success: true, run: approved, excluded_count: items.length - kept.length };
+  }
+
+  async cancel(runId, { cancelledBy }) {
+    const run = await this.getRunRow(runId);
+
+    if (!run) return { success: false, status: 404, message: 'Payout run not found' };
+    if (!['draft', 'approved'].includes(run.status)) {
+      return { success: false, status: 409, message: `Run is ${run.status}; payments may already have been made` };
+    }
+
+    const cancelled = await this.claimRun(runId, run.status, {
+      status: 'cancelled',
+      cancelled_by: cancelledBy,
+      cancelled_at: new Date().toISOString()
+    });
+    if (!cancelled) {
+      return { success: false, status: 409, message: 'Run changed while it was being cancelled; reload it and try again' };
+    }
+
+    if (run.status === 'approved') {
+      const items = (await this.getItems(runId)).filter(item => item.status === 'queued');
+      await supabaseAdmin
+        .from('partner_payouts')
+        .update({ status: run.parent_run_id ? 'failed' : 'pending', updated_at: new Date().toISOString() })
+        .in('id', items.map(item => item.payout_id))
+        .eq('status', 'processing');
+    }
+
+    return { success: true, run: cancelled };
+  }
+
+  // ==================== BANK FILE EXPORT ====================
+  paymentReference(run, item) {
+    return `${run.reference}-${String(item.sequence).padStart(4, '0')}`;
+  }
+
+  narration(item) {
+    return `Cryptware commission ${item.referral_name || ''}`.trim();
+  }
+
+  toCsv(run, items, bankNames) {
+    const escape = (value) => `"${String(value ?? '').replace(/"/g, '""')}"`;
+    const headers = ['Serial', 'Account Number', 'Bank Code', 'Bank Name', 'Account Name', 'Amount', 'Narration', 'Reference'];
+    const rows = items.map(item => [
+      item.sequence,
+      item.account_number,
+      item.bank_code,
+      bankNames[item.bank_code] || `Bank (${item.bank_code})`,
+      item.account_name,
+      (item.amount || 0).toFixed(2),
+      this.narration(item),
+      this.paymentReference(run, item)
+    ]);
+
+    return [headers, ...rows].map(row => row.map(escape).join(',')).join('\n');
+  }
+
+  // NIBSS-style fixed width: one header, one detail line per payment, one trailer. Alphanumeric
+  // fields are left-aligned and space-padded, numeric fields right-aligned and zero-padded;
+  // amounts are in kobo.
+  //   H  originator(30) run reference(20) value date YYYYMMDD(8) item count(6) total kobo(18)
+  //   D  serial(6) bank code(6) account number(10) account name(40) amount kobo(15) narration(30) reference(30)
+  //   T  item count(6) total kobo(18)
+  toNibss(run, items, originator) {
+    const alpha = (value, width) => String(value ?? '').toUpperCase().replace(/[^A-Z0-9 \-/.]/g, ' ').slice(0, width).padEnd(width, ' ');
+    const num = (value, width) => String(value).slice(-width).padStart(width, '0');
+    const kobo = (amount) => Math.round((amount || 0) * 100);
+    const total = items.reduce((sum, item) => sum + kobo(item.amount), 0);
+    const valueDate = new Date().toISOString().slice(0, 10).replace(/-/g, '');
+
+    const lines = [
+      `H${alpha(originator, 30)}${alpha(run.reference, 20)}${valueDate}${num(items.length, 6)}${num(total, 18)}`,
+      ...items.map(item =>
+        `D${num(item.sequence, 6)}${num(item.bank_code, 6)}${num(item.account_number, 10)}${alpha(item.account_name, 40)}` +
+        `${num(kobo(item.amount), 15)}${alpha(this.narration(item), 30)}${alpha(this.paymentReference(run, item), 30)}`
+      ),
+      `T${num(items.length, 6)}${num(total, 18)}`
+    ];
+
+    return lines.join('\r\n');
+  }
+
+  // First export marks the items sent; later exports re-download the same file
+  async exportFile(runId, format, { exportedBy }) {
+    const run = await this.getRunRow(runId);
+
+    if (!run) return { success: false, status: 404, message: 'Payout run not found' };
+    if (!['approved', 'exported'].includes(run.status)) {
+      return { success: false, status: 409, message: run.status === 'draft' ? 'Run must be approved before export' : `Run is ${run.status} and cannot be exported` };
+    }
+    if (run.method && run.method !== 'file') {
+      return { success: false, status: 409, message: 'Run is being paid through Paystack' };
+    }
+
+    if (run.status === 'approved') {
+      const exported = await this.claimRun(runId, 'approved', {
+        status: 'exported',
+        method: 'file',
+        exported_by: exportedBy,
+        exported_at: new Date().toISOString(),
+        export_format: format
+      });
+
+      // Claimed by a concurrent export (the file is the same) or send (it is not)
+      if (!exported && (await this.getRunRow(runId)).method !== 'file') {
+        return { success: false, status: 409, message: 'Run is being paid through Paystack' };
+      }
+
+      if (exported) {
+        await supabaseAdmin
+          .from('payout_run_items')
+          .update({ status: 'sent', updated_at: new Date().toISOString() })
+          .eq('run_id', runId)
+          .eq('status', 'queued');
+      }
+    }
+
+    const items = (await this.getItems(runId)).filter(item => item.status !== 'excluded');
+
+    const content = format === 'nibss'
+      ? this.toNibss(run, items, await configService.get('payout_originator_name', 'CRYPTWARE'))
+      : this.toCsv(run, items, await this.getBankNames());
+
+    return {
+      success: true,
+      content,
+      filename: `${run.reference}.${format === 'nibss' ? 'txt' : 'csv'}`,
+      contentType: format === 'nibss' ? 'text/plain' : 'text/csv'
+    };
+  }
+
+  // Finance records what the bank did with an exported file: { paid: [itemId], failed: [{ item_id, reason }] }
+  async recordFileResults(runId, { paid = [], failed = [] }, { recordedBy }) {
+    const run = await this.getRunRow(runId);
+
+    if (!run) return { success: false, status: 404, message: 'Payout run not found' };
+    if (run.status !== 'exported') {
+      return { success: false, status: 409, message: 'Results can only be recorded for an exported run' };
+    }
+
+    const items = await this.getItems(runId);
+    const byId = Object.fromEntries(items.map(item => [item.id, item]));
+    const unknown = [...paid, ...failed.map(f => f.item_id)].filter(id => !byId[id] || byId[id].status !== 'sent');
+
+    if (unknown.length) {
+      return { success: false, status: 400, message: `Items not awaiting a result in this run: ${unknown.join(', ')}` };
+    }
+
+    // Each payout is claimed out of processing, so results recorded twice at once post it once
+    for (const itemId of paid) {
+      const item = byId[itemId];
+      const { data: payout, error } = await supabaseAdmin
+        .from('partner_payouts')
+        .update({
+          status: 'paid',
+          payment_reference: this.paymentReference(run, item),
+          processed_by: recordedBy,
+          processed_at: new Date().toISOString(),
+          updated_at: new Date().toISOString()
+        })
+        .eq('id', item.payout_id)
+        .eq('status', 'processing')
+        .select()
+        .maybeSingle();
+
+      if (error) {
+        console.error('❌ Payout run payment error:', error);
+        throw new Error('Failed to mark payout paid');
+      }
+      if (!payout) continue;
+
+      await ledgerService.postPayout(payout, recordedBy);
+      await this.updateItem(itemId, { status: 'paid' });
+    }
+
+    for (const { item_id: itemId, reason } of failed) {
+      const { data: payout, error } = await supabaseAdmin
+        .from('partner_payouts')
+        .update({ status: 'failed', notes: reason || 'Rejected by the bank', updated_at: new Date().toISOString() })
+        .eq('id', byId[itemId].payout_id)
+        .eq('status', 'processing')
+        .select('id')
+        .maybeSingle();
+
+      if (error) {
+        console.error('❌ Payout run failure error:', error);
+        throw new Error('Failed to mark payout failed');
+      }
+      if (!payout) continue;
+
+      await this.updateItem(itemId, { status: 'failed', failure_reason: reason || 'Rejected by the bank' });
+    }
+
+    return { success: true, run: await this.settleRunStatus(runId) };
+  }
+
+  // ==================== PAYSTACK BULK TRANSFER ====================
+  async sendViaPaystack(runId, { initiatedBy }) {
+    const run = await this.getRunRow(runId);
+
+    if (!run) return { success: false, status: 404, message: 'Payout run not found' };
+    if (run.status !== 'approved') {
+      return { success: false, status: 409, message: run.status === 'draft' ? 'Run must be approved before sending' : `Run is ${run.status} and cannot be sent` };
+    }
+
+    const sending = await this.claimRun(runId, 'approved', {
+      status: 'sending', method: 'paystack', sent_by: initiatedBy, sent_at: new Date().toISOString()
+    });
+    if (!sending) {
+      return { success: false, status: 409, message: 'Run has already been sent or exported' };
+    }
+
+    const items = (await this.getItems(runId)).filter(item => item.status === 'queued');
+    const transfers = [];
+    const holds = {};
+
+    for (const item of items) {
+      const payout = await payoutTransferService.getPayout(item.payout_id);
+      const partner = payout.partners;
+
+      // The bank may have changed since approval: pay only the account that was approved, and
+      // nothing while a change is pending or cooling off
+      holds[payout.partner_id] = holds[payout.partner_id] || await bankAccountService.getPayoutHold(payout.partner_id);
+      if (holds[payout.partner_id].held) {
+        await this.failItem(item, payout, holds[payout.partner_id].message);
+        continue;
+      }
+      if (!partner?.bank_verified || partner.bank_account_number !== item.account_number || partner.bank_code !== item.bank_code) {
+        await this.failItem(item, payout, 'Bank details changed since the run was approved');
+        continue;
+      }
+
+      const recipient = await payoutTransferService.getRecipientCode({
+        ...partner,
+        bank_account_number: item.account_number,
+        bank_code: item.bank_code,
+        verified_account_name: item.account_name
+      });
+
+      if (!recipient.success) {
+        await this.failItem(item, payout, `Paystack rejected the transfer recipient: ${recipient.message}`);
+        continue;
+      }
+
+      const { reference } = await payoutTransferService.beginAttempt(payout, { initiatedBy });
+      await this.updateItem(item.id, { status: 'sent', transfer_reference: reference });
+
+      transfers.push({
+        item,
+        amount: item.amount,
+        recipientCode: recipient.recipientCode,
+        reference,
+        reason: payoutTransferService.transferReason(payout)
+      });
+    }
+
+    for (let i = 0; i < transfers.length; i += BULK_TRANSFER_CHUNK) {
+      const chunk = transfers.slice(i, i + BULK_TRANSFER_CHUNK);
+      const result = await paystackService.initiateBulkTransfer(chunk);
+
+      if (!result.success) {
+        // Unknown outcome: leave the chunk pending for verification; a rejection fails it outright
+        if (!result.retryable) {
+          for (const transfer of chunk) {
+            const payout = await payoutTransferService.getPayout(transfer.item.payout_id);
+            await payoutTransferService.applyTransferResult(payout, {
+              status: 'failed', reference: transfer.reference, failure_reason: result.message
+            }, { actorId: initiatedBy });
+          }
+        }
+        console.error(`❌ Bulk transfer chunk for ${run.reference} not accepted: ${result.message}`);
+        continue;
+      }
+
+      for (const transfer of result.data) {
+        const payout = await payoutTransferService.getPayoutByReference(transfer.reference);
+        if (payout) await payoutTransferService.applyTransferResult(payout, transfer, { actorId: initiatedBy });
+      }
+    }
+
+    await this.syncTransferItems(await this.getRunRow(runId));
+
+    return { success: true, run: await this.getRun(runId) };
+  }
+
+  async failItem(item, payout, reason) {
+    await payoutTransferService.updatePayout(payout.id, { status: 'failed', transfer_failure_reason: reason });
+    await this.updateItem(item.id, { status: 'failed', failure_reason: reason });
+  }
+
+  // Transfer outcomes land on partner_payouts (from the transfer call, polling or webhooks);
+  // copy them onto the run's items
+  async syncTransferItems(run) {
+    const items = await this.getItems(run.id);
+
+    for (const item of items.filter(i => i.status === 'sent')) {
+      const payout = item.partner_payouts;
+      if (!payout || payout.transfer_reference !== item.transfer_reference) continue;
+
+      if (payout.status === 'paid') {
+        await this.updateItem(item.id, { status: 'paid' });
+      } else if (payout.status === 'failed') {
+        await this.updateItem(item.id, { status: 'failed', failure_reason: payout.transfer_failure_reason });
+      }
+    }
+
+    return this.settleRunStatus(run.id);
+  }
+
+  // A run is finished once no item is waiting on the bank
+  async settleRunStatus(runId) {
+    const run = await this.getRunRow(runId);
+    const items = await this.getItems(runId);
+    const waiting = items.some(item => ['queued', 'sent'].includes(item.status));
+
+    if (waiting || !['exported', 'sending', 'partially_failed'].includes(run.status)) return run;
+
+    const anyFailed = items.some(item => item.status === 'failed');
+    return this.updateRun(runId, {
+      status: anyFailed ? 'partially_failed' : 'completed',
+      completed_at: new Date().toISOString()
+    });
+  }
+}
+
+export default new PayoutRunService();
@@ -0,0 +1,392 @@
+import { supabaseAdmin } from '../config/supabase.js';
+import paystackService from './paystack-service.js';
+import bankAccountService from './bank-account-service.js';
+import ledgerService from './ledger-service.js';
+import auditService from './audit-service.js';
+
+// Transfer states tracked on partner_payouts.transfer_status
+export const TRANSFER_STATUSES = ['pending', 'success', 'failed', 'reversed'];
+
+// Paystack transfer statuses mapped onto ours; 'otp' is pending with transfer_requires_otp set
+const PAYSTACK_STATUS_MAP = {
+  otp: 'pending',
+  pending: 'pending',
+  received: 'pending',
+  queued: 'pending',
+  success: 'success',
+  failed: 'failed',
+  abandoned: 'failed',
+  blocked: 'failed',
+  rejected: 'failed',
+  reversed: 'reversed'
+};
+
+const PAYOUT_SELECT = `
+  *,
+  partners (id, company_name, contact_name, email, bank_account_number, verified_account_name, bank_code, bank_verified, paystack_recipient_code),
+  referrals (prospect_company_name)
+`;
+
+// Sends payouts through Paystack Transfers. A payout moves pending -> processing when a transfer
+// is initiated, then to paid (success) or failed (failed/reversed). Every attempt has its own
+// reference (payout-<id>-<attempt>) which Paystack uses as an idempotency key, so an attempt whose
+// outcome is unknown is retried with the same reference and can never pay twice.
+class PayoutTransferService {
+  async getPayout(payoutId) {
+    const { data: payout, error } = await supabaseAdmin
+      .from('partner_payouts')
+      .select(PAYOUT_SELECT)
+      .eq('id', payoutId)
+      .single();
+
+    if (error || !payout) return null;
+    return payout;
+  }
+
+  async getPayoutByReference(reference) {
+    const { data: payout } = await supabaseAdmin
+      .from('partner_payouts')
+      .select(PAYOUT_SELECT)
+      .eq('transfer_reference', reference)
+      .maybeSingle();
+
+    return payout || null;
+  }
+
+  // A transfer is in flight once Paystack has it (or may have it) and has not settled
+  isInFlight(payout) {
+    return payout.transfer_status === 'pending';
+  }
+
+  async updatePayout(payoutId, fields) {
+    const { data: payout, error } = await supabaseAdmin
+      .from('partner_payouts')
+      .update({ ...fields, updated_at: new Date().toISOString() })
+      .eq('id', payoutId)
+      .select(PAYOUT_SELECT)
+      .single();
+
+    if (error) {
+      console.error('❌ Payout transfer update error:', error);
+      throw new Error('Failed to update payout transfer');
+    }
+
+    return payout;
+  }
+
+  // Applies `fields` only if the payout's transfer is still where `payout` saw it. Returns the
+  // updated payout, or null when another writer (a webhook, a verify) moved it first.
+  async updatePayoutFrom(payout, fields) {
+    let query = supabaseAdmin
+      .from('partner_payouts')
+      .update({ ...fields, updated_at: new Date().toISOString() })
+      .eq('id', payout.id);
+
+    for (const column of ['transfer_reference', 'transfer_status', 'transfer_requires_otp']) {
+      query = payout[column] == null ? query.is(column, null) : query.eq(column, payout[column]);
+    }
+
+    const { data: updated, error } = await query.select(PAYOUT_SELECT).maybeSingle();
+
+    if (error) {
+      console.error('❌ Payout transfer update error:', error);
+      throw new Error('Failed to update payout transfer');
+    }
+
+    return updated || null;
+  }
+
+  // Recipient codes are cached on the partner and cleared whenever bank details change
+  async getRecipientCode(partner) {
+    if (partner.paystack_recipient_code) return { success: true, recipientCode: partner.paystack_recipient_code };
+
+    const result = await paystackService.createTransferRecipient({
+      name: partner.verified_account_name || partner.company_name,
+      accountNumber: partner.bank_account_number,
+      bankCode: partner.bank_code
+    });
+
+    if (!result.success) return result;
+
+    await supabaseAdmin
+      .from('partners')
+      .update({ paystack_recipient_code: result.data.recipient_code })
+      .eq('id', partner.id);
+
+    return { success: true, recipientCode: result.data.recipient_code };
+  }
+
+  transferReason(payout) {
+    return `Cryptware commission: ${payout.referrals?.prospect_company_name || 'referral commissions'}`;
+  }
+
+  // Record a new attempt (or resume the last one) before calling out, so an interrupted
+  // request can be resumed under the same reference. Returns { started, reference }.
+  async beginAttempt(payout, { initiatedBy, resuming = false }) {
+    const attempt = resuming ? payout.transfer_attempts : (payout.transfer_attempts || 0) + 1;
+    const reference = resuming ? payout.transfer_reference : `payout-${payout.id}-${attempt}`;
+
+    const started = await this.updatePayout(payout.id, {
+      status: 'processing',
+      transfer_status: 'pending',
+      transfer_reference: reference,
+      transfer_attempts: attempt,
+      transfer_code: null,
+      transfer_requires_otp: false,
+      transfer_failure_reason: null,
+      transfer_initiated_at: new Date().toISOString(),
+      transfer_initiated_by: initiatedBy
+    });
+
+    return { started, reference };
+  }
+
+  // ==================== TRANSFER ACTIONS ====================
+  async initiate(payoutId, { initiatedBy }) {
+    const payout = await this.getPayout(payoutId);
+
+    if (!payout) {
+      return { success: false, status: 404, message: 'Payout not found' };
+    }
+
+    // An attempt that never got a transfer_code back may or may not exist at Paystack;
+    // re-sending it under the same reference is safe
+    const resuming = this.isInFlight(payout) && !payout.transfer_code;
+
+    if (payout.status === 'paid') {
+      return { success: false, status: 409, message: 'Payout has already been processed' };
+    }
+    if (this.isInFlight(payout) && !resuming) {
+      return { success: false, status: 409, message: 'A transfer for this payout is already in progress' };
+    }
+    if (!['pending', 'failed'].includes(payout.status) && !resuming) {
+      return { success: false, status: 409, message: `Payout cannot be transferred while ${payout.status}` };
+    }
+    if (!(payout.amount > 0)) {
+      return { success: false, status: 400, message: 'Payout has no amount to transfer' };
+    }
+
+    const payoutHold = await bankAccountService.getPayoutHold(payout.partner_id);
+    if (payoutHold.held) {
+      return { success: false, status: 409, message: payoutHold.message, code: 'PAYOUT_HOLD', hold_until: payoutHold.hold_until };
+    }
+
+    const partner = payout.partners;
+    if (!partner?.bank_verified || !partner.bank_account_number || !partner.bank_code) {
+      return { success: false, status: 400, message: 'Partner has no verified bank account to pay into' };
+    }
+
+    const recipient = await this.getRecipientCode(partner);
+    if (!recipient.success) {
+      return { success: false, status: 502, message: `Paystack rejected the transfer recipient: ${recipient.message}` };
+    }
+
+    const { started, reference } = await this.beginAttempt(payout, { initiatedBy, resuming });
+
+    const result = await paystackService.initiateTransfer({
+      amount: payout.amount,
+      recipientCode: recipient.recipientCode,
+      reference,
+      reason: this.transferReason(payout)
+    });
+
+    if (!result.success) {
+      if (result.retryable) {
+        // Outcome unknown: stay pending so the next attempt reuses this reference
+        return {
+          success: false,
+          status: 502,
+          message: `${result.message}. The transfer may still go through; verify it or retry, which reuses reference ${reference}`,
+          payout: started
+        };
+      }
+
+      const failed = await this.applyTransferResult(started, {
+        status: 'failed',
+        reference,
+        failure_reason: result.message
+      }, { actorId: initiatedBy });
+
+      return { success: false, status: 502, message: `Paystack rejected the transfer: ${result.message}`, payout: failed };
+    }
+
+    const updated = await this.applyTransferResult(started, result.data, { actorId: initiatedBy });
+
+    return { success: true, payout: updated, transfer: result.data };
+  }
+
+  async finalize(payoutId, otp, { actorId }) {
+    const payout = await this.getPayout(payoutId);
+
+    if (!payout) {
+      return { success: false, status: 404, message: 'Payout not found' };
+    }
+    if (!this.isInFlight(payout) || !payout.transfer_requires_otp || !payout.transfer_code) {
+      return { success: false, status: 409, message: 'This payout has no transfer awaiting OTP' };
+    }
+
+    const result = await paystackService.finalizeTransfer(payout.transfer_code, otp);
+
+    if (!result.success) {
+      // A wrong OTP leaves the transfer waiting; it can be finalized again
+      return { success: false, status: result.retryable ? 502 : 400, message: result.message, payout };
+    }
+
+    const updated = await this.applyTransferResult(payout, result.data, { actorId });
+
+    return { success: true, payout: updated, transfer: result.data };
+  }
+
+  async resendOtp(payoutId) {
+    const payout = await this.getPayout(payoutId);
+
+    if (!payout) {
+      return { success: false, status: 404, message: 'Payout not found' };
+    }
+    if (!this.isInFlight(payout) || !payout.transfer_requires_otp || !payout.transfer_code) {
+      return { success: false, status: 409, message: 'This payout has no transfer awaiting OTP' };
+    }
+
+    const result = await paystackService.resendTransferOtp(payout.transfer_code);
+    return result.success
+      ? { success: true, message: result.message }
+      : { success: false, status: 502, message: result.message };
+  }
+
+  // Ask Paystack for the current state of the latest attempt
+  async verify(payoutId, { actorId }) {
+    const payout = await this.getPayout(payoutId);
+
+    if (!payout) {
+      return { success: false, status: 404, message: 'Payout not found' };
+    }
+    if (!payout.transfer_reference) {
+      return { success: false, status: 409, message: 'No transfer has been initiated for this payout' };
+    }
+
+    const result = await paystackService.verifyTransfer(payout.transfer_reference);
+
+    if (!result.success) {
+      return { success: false, status: 502, message: result.message, payout };
+    }
+
+    const updated = await this.applyTransferResult(payout, result.data, { actorId });
+
+    return { success: true, payout: updated, transfer: result.data };
+  }
+
+  // ==================== STATE ====================
+  // Move a payout to the state Paystack reports. Safe to call repeatedly, and concurrently, with
+  // the same result (polling and webhooks may both deliver it): only the call that moves the
+  // payout posts to the ledger. Results for an older attempt are ignored.
+  async applyTransferResult(payout, transfer, { actorId = null } = {}) {
+    if (transfer.reference && payout.transfer_reference && transfer.reference !== payout.transfer_reference) {
+      console.log(`⚠️ Ignoring transfer result for superseded reference ${transfer.reference}`);
+      return payout;
+    }
+
+    const transferStatus = PAYSTACK_STATUS_MAP[transfer.status] || 'pending';
+    const requiresOtp = transfer.status === 'otp';
+
+    if (transferStatus === payout.transfer_status && requiresOtp === !!payout.transfer_requires_otp) {
+      return payout;
+    }
+
+    const fields = {
+      transfer_status: transferStatus,
+      transfer_requires_otp: requiresOtp
+    };
+    if (transfer.transfer_code) fields.transfer_code = transfer.transfer_code;
+
+    if (transferStatus === 'success') {
+      Object.assign(fields, {
+        status: 'paid',
+        payment_reference: payout.transfer_reference,
+        transfer_fee: transfer.fee || 0,
+        transfer_completed_at: new Date().toISOString(),
+        processed_at: new Date().toISOString(),
+        processed_by: payout.transfer_initiated_by || actorId
+      });
+    } else if (transferStatus === 'failed' || transferStatus === 'reversed') {
+      Object.assign(fields, {
+        status: 'failed',
+        transfer_failure_reason: transfer.failure_reason || (transferStatus === 'reversed' ? 'Transfer reversed by the bank' : 'Transfer failed'),
+        transfer_completed_at: new Date().toISOString()
+      });
+    }
+
+    const updated = await this.updatePayoutFrom(payout, fields);
+
+    if (!updated) {
+      console.log(`⚠️ Payout ${payout.id} transfer ${payout.transfer_reference} already moved from ${payout.transfer_status || 'none'}; skipping ${transferStatus}`);
+      return this.getPayout(payout.id);
+    }
+
+    console.log(`💸 Payout ${payout.id} transfer ${payout.transfer_reference}: ${payout.transfer_status || 'none'} -> ${transferStatus}${requiresOtp ? ' (awaiting OTP)' : ''}`);
+
+    if (transferStatus === 'success') {
+      await ledgerService.postPayout(updated, updated.processed_by);
+    } else if (transferStatus === 'reversed') {
+      // Undo the payout posting if the money had been counted as sent
+      await ledgerService.reversePayout(payout, actorId);
+    }
+
+    await auditService.log(null, {
+      userId: actorId,
+      userType: actorId ? 'internal' : 'system',
+      action: 'update',
+      resourceType: 'partner_payouts',
+      resourceId: payout.id,
+      oldValues: { status: payout.status, transfer_status: payout.transfer_status },
+      newValues: fields,
+      notes: `Paystack transfer ${payout.transfer_reference}: ${transfer.status}`
+    });
+
+    await notifyTransferResult(updated, transferStatus);
+
+    return updated;
+  }
+}
+
+async function notifyTransferResult(payout, transferStatus) {
+  const company = payout.referrals?.prospect_company_name || 'your referral';
+  const amount = `₦${(payout.amount || 0).toLocaleString()}`;
+
+  if (transferStatus === 'success') {
+    await supabaseAdmin
+      .from('partner_notifications')
+      .insert({
+        partner_id: payout.partner_id,
+        title: 'Payout Processed ✅',
+        message: `Your payout of ${amount} for ${company} has been sent to your bank account (ref ${payout.transfer_reference}).`,
+        type: 'payout_processed',
+        metadata: { payout_id: payout.id, amount: payout.amount, transfer_reference: payout.transfer_reference }
+      });
+  }
+
+  if (transferStatus === 'failed' || transferStatus === 'reversed') {
+    await supabaseAdmin
+      .from('notifications')
+      .insert({
+        user_type: 'internal',
+        type: 'payout_transfer_failed',
+        title: transferStatus === 'reversed' ? 'Payout Transfer Reversed' : 'Payout Transfer Failed',
+        message: `Transfer of ${amount} to ${payout.partners?.company_name || 'partner'} for ${company} ${transferStatus}: ${payout.transfer_failure_reason}`,
+        metadata: { payout_id: payout.id, partner_id: payout.partner_id, transfer_reference: payout.transfer_reference }
+      });
+  }
+
+  if (transferStatus === 'reversed') {
+    await supabaseAdmin
+      .from('partner_notifications')
+      .insert({
+        partner_id: payout.partner_id,
+        title: 'Payout Returned',
+        message: `Your payout of ${amount} for ${company} was returned by the bank. Our team will retry it; please confirm your bank details are correct.`,
+        type: 'payout_reversed',
+        metadata: { payout_id: payout.id, amount: payout.amount }
+      });
+  }
+}
+
+export default new PayoutTransferService();
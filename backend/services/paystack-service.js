@@ -99,6 +99,163 @@ class PaystackService {
       };
     }
   }
+
+  // ==================== TRANSFERS ====================
+  // Amounts are sent in kobo. Calls that fail without a response (timeouts, dropped connections)
+  // are flagged `retryable`: the transfer may or may not exist, so retry with the same reference.
+  transferError(label, error) {
+    console.error(`💥 Paystack ${label} error:`, {
+      message: error.message,
+      response: error.response?.data,
+      status: error.response?.status
+    });
+
+    return {
+      success: false,
+      message: error.response?.data?.message || `Failed to reach Paystack (${label})`,
+      retryable: !error.response
+    };
+  }
+
+  // Create (or fetch, Paystack dedupes on account details) a NUBAN transfer recipient
+  async createTransferRecipient({ name, accountNumber, bankCode }) {
+    try {
+      console.log(`🏦 Creating transfer recipient: ${accountNumber}, Bank: ${bankCode}`);
+
+      const response = await this.axiosInstance.post('/transferrecipient', {
+        type: 'nuban',
+        name,
+        account_number: accountNumber,
+        bank_code: bankCode,
+        currency: 'NGN'
+      });
+
+      if (!response.data.status) {
+        return { success: false, message: response.data.message || 'Failed to create transfer recipient' };
+      }
+
+      return {
+        success: true,
+        data: {
+          recipient_code: response.data.data.recipient_code,
+          account_name: response.data.data.details?.account_name || name
+        }
+      };
+    } catch (error) {
+      return this.transferError('transfer recipient', error);
+    }
+  }
+
+  // Paystack treats `reference` as an idempotency key: re-sending it never pays twice
+  async initiateTransfer({ amount, recipientCode, reference, reason }) {
+    try {
+      console.log(`💸 Initiating transfer ${reference}: ₦${amount.toLocaleString()}`);
+
+      const response = await this.axiosInstance.post('/transfer', {
+        source: 'balance',
+        amount: Math.round(amount * 100),
+        recipient: recipientCode,
+        reference,
+        reason,
+        currency: 'NGN'
+      });
+
+      if (!response.data.status) {
+        return { success: false, message: response.data.message || 'Failed to initiate transfer' };
+      }
+
+      return { success: true, data: this.formatTransfer(response.data.data) };
+    } catch (error) {
+      return this.transferError('transfer', error);
+    }
+  }
+
+  // Up to 100 transfers in one request; needs OTP disabled on the Paystack account.
+  // Returns one result per transfer, matched back by reference.
+  async initiateBulkTransfer(transfers) {
+    try {
+      console.log(`💸 Initiating bulk transfer of ${transfers.length} payouts`);
+
+      const response = await this.axiosInstance.post('/transfer/bulk', {
+        currency: 'NGN',
+        source: 'balance',
+        transfers: transfers.map(t => ({
+          amount: Math.round(t.amount * 100),
+          recipient: t.recipientCode,
+          reference: t.reference,
+          reason: t.reason
+        }))
+      });
+
+      if (!response.data.status) {
+        return { success: false, message: response.data.message || 'Failed to initiate bulk transfer' };
+      }
+
+      return { success: true, data: (response.data.data || []).map(transfer => this.formatTransfer(transfer)) };
+    } catch (error) {
+      return this.transferError('bulk transfer', error);
+    }
+  }
+
+  // Complete a transfer held for OTP (when OTP is enabled on the Paystack account)
+  async finalizeTransfer(transferCode, otp) {
+    try {
+      console.log(`🔐 Finalizing transfer: ${transferCode}`);
+
+      const response = await this.axiosInstance.post('/transfer/finalize_transfer', {
+        transfer_code: transferCode,
+        otp
+      });
+
+      if (!response.data.status) {
+        return { success: false, message: response.data.message || 'Failed to finalize transfer' };
+      }
+
+      return { success: true, data: this.formatTransfer(response.data.data) };
+    } catch (error) {
+      return this.transferError('finalize transfer', error);
+    }
+  }
+
+  async resendTransferOtp(transferCode) {
+    try {
+      const response = await this.axiosInstance.post('/transfer/resend_otp', {
+        transfer_code: transferCode,
+        reason: 'transfer'
+      });
+
+      return response.data.status
+        ? { success: true, message: response.data.message || 'OTP resent' }
+        : { success: false, message: response.data.message || 'Failed to resend OTP' };
+    } catch (error) {
+      return this.transferError('resend OTP', error);
+    }
+  }
+
+  async verifyTransfer(reference) {
+    try {
+      const response = await this.axiosInstance.get(`/transfer/verify/${encodeURIComponent(reference)}`);
+
+      if (!response.data.status) {
+        return { success: false, message: response.data.message || 'Failed to verify transfer' };
+      }
+
+      return { success: true, data: this.formatTransfer(response.data.data) };
+    } catch (error) {
+      return this.transferError('verify transfer', error);
+    }
+  }
+
+  formatTransfer(transfer) {
+    return {
+      status: transfer.status,
+      reference: transfer.reference,
+      transfer_code: transfer.transfer_code,
+      amount: (transfer.amount || 0) / 100,
+      fee: (transfer.fee_charged ?? transfer.fee ?? 0) / 100,
+      failure_reason: typeof transfer.failures === 'string' ? transfer.failures : null
+    };
+  }
 }
 
 export default new PaystackService();
\ No newline at end of file
@@ -0,0 +1,162 @@
+import { supabaseAdmin } from '../config/supabase.js';
+
+const CACHE_TTL_MS = 60 * 1000;
+
+// Every permission an internal route can require
+export const PERMISSIONS = {
+  'leads.read': 'View leads and their activity',
+  'leads.write': 'Create and update leads, log activities',
+  'referrals.read': 'Look up partner referrals',
+  'referrals.write': 'Move referrals through the pipeline',
+  'conflicts.review': 'Review and resolve duplicate referral and lead registrations',
+  'deals.convert': 'Convert leads into customers',
+  'deals.finalize': 'Mark deals as fully paid (makes commission eligible)',
+  'payments.read': 'View client payments and payment analytics',
+  'payments.write': 'Record and edit client payments',
+  'commissions.manage': 'Create and change commission rules',
+  'payouts.read': 'View partner payout requests',
+  'payouts.approve': 'Process partner payouts',
+  'bank_changes.review': 'Approve or reject partner bank detail changes',
+  'partners.read': 'View the partner directory',
+  'partners.suspend': 'Activate or suspend partner accounts',
+  'analytics.read': 'View internal dashboards and analytics',
+  'reports.read': 'View financial and commission reports',
+  'reports.export': 'Export data as CSV',
+  'notifications.send': 'Send notifications to partners and staff',
+  'system.config': 'View and change system configuration',
+  'system.health': 'View system health',
+  'webhooks.manage': 'Inspect and replay inbound payment webhooks',
+  'audit.read': 'View the audit trail',
+  'users.manage': 'Create and update internal users',
+  'roles.manage': 'Manage the role to permission mapping'
+};
+
+// Built-in roles. `admin` always holds every permission and cannot be edited.
+export const DEFAULT_ROLE_PERMISSIONS = {
+  admin: Object.keys(PERMISSIONS),
+  sales: [
+    'leads.read', 'leads.write', 'referrals.read', 'referrals.write',
+    'deals.convert', 'payments.read', 'payouts.read', 'partners.read', 'analytics.read'
+  ],
+  finance: [
+    'leads.read', 'referrals.read', 'deals.finalize', 'payments.read', 'payments.write',
+    'commissions.manage', 'payouts.read', 'payouts.approve', 'bank_changes.review', 'partners.read', 'analytics.read',
+    'reports.read', 'reports.export'
+  ],
+  ops: [
+    'leads.read', 'referrals.read', 'conflicts.review', 'payments.read', 'payouts.read', 'partners.read',
+    'partners.suspend', 'analytics.read', 'reports.read', 'notifications.send'
+  ],
+  // Legacy role from before the permission matrix; behaves like sales
+  team_member: [
+    'leads.read', 'leads.write', 'referrals.read', 'referrals.write',
+    'deals.convert', 'payments.read', 'payouts.read', 'partners.read', 'analytics.read'
+  ]
+};
+
+class PermissionService {
+  constructor() {
+    this.cache = null;
+    this.loadedAt = 0;
+  }
+
+  // role -> permissions, with rows in role_permissions overriding the defaults per role
+  async getRoleMatrix() {
+    if (this.cache && Date.now() - this.loadedAt < CACHE_TTL_MS) {
+      return this.cache;
+    }
+
+    const matrix = Object.fromEntries(
+      Object.entries(DEFAULT_ROLE_PERMISSIONS).map(([role, permissions]) => [role, [...permissions]])
+    );
+
+    const { data: rows, error } = await supabaseAdmin
+      .from('role_permissions')
+      .select('role, permission');
+
+    if (error) {
+      console.error('❌ Role permissions load error:', error);
+      return this.cache || matrix;
+    }
+
+    const stored = {};
+    (rows || []).forEach(row => {
+      if (!stored[row.role]) stored[row.role] = [];
+      stored[row.role].push(row.permission);
+    });
+
+    Object.entries(stored).forEach(([role, permissions]) => {
+      if (role !== 'admin') {
+        matrix[role] = permissions.filter(permission => PERMISSIONS[permission]);
+      }
+    });
+
+    this.cache = matrix;
+    this.loadedAt = Date.now();
+    return matrix;
+  }
+
+  invalidate() {
+    this.cache = null;
+    this.loadedAt = 0;
+  }
+
+  async getPermissionsForRole(role) {
+    const matrix = await this.getRoleMatrix();
+    return matrix[role] || [];
+  }
+
+  async hasPermission(role, permission) {
+    if (role === 'admin') return true;
+    const permissions = await this.getPermissionsForRole(role);
+    return permissions.includes(permission);
+  }
+
+  async roleExists(role) {
+    const matrix = await this.getRoleMatrix();
+    return Object.prototype.hasOwnProperty.call(matrix, role);
+  }
+
+  // Replace the permission set of a role (creates the role if it is new)
+  async setRolePermissions(role, permissions) {
+    const { error: deleteError } = await supabaseAdmin
+      .from('role_permissions')
+      .delete()
+      .eq('role', role);
+
+    if (deleteError) {
+      console.error('❌ Role permissions delete error:', deleteError);
+      throw new Error('Failed to update role permissions');
+    }
+
+    if (permissions.length > 0) {
+      const { error: insertError } = await supabaseAdmin
+        .from('role_permissions')
+        .insert(permissions.map(permission => ({ role, permission })));
+
+      if (insertError) {
+        console.error('❌ Role permissions insert error:', insertError);
+        throw new Error('Failed to update role permissions');
+      }
+    }
+
+    this.invalidate();
+  }
+
+  // Drop stored overrides so a built-in role falls back to its defaults
+  async resetRole(role) {
+    const { error } = await supabaseAdmin
+      .from('role_permissions')
+      .delete()
+      .eq('role', role);
+
+    if (error) {
+      console.error('❌ Role permissions reset error:', error);
+      throw new Error('Failed to reset role permissions');
+    }
+
+    this.invalidate();
+  }
+}
+
+export default new PermissionService();
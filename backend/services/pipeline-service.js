@@ -0,0 +1,342 @@
+import { supabaseAdmin } from '../config/supabase.js';
+import { leadRepository, notificationRepository, referralRepository } from '../repositories/index.js';
+
+// Referral statuses still being worked
+export const OPEN_REFERRAL_STATUSES = ['code_sent', 'contacted', 'meeting_scheduled', 'proposal_sent', 'negotiation'];
+
+const formatNaira = (amount) => `₦${Number(amount).toLocaleString()}`;
+
+// Guards take the record as it would be after the move and { current, linked } (the lead's
+// referral or the referral's lead), and return null or the { reason, message } refusing it
+
+// A deal is converted at a value: final_deal_value, or the lead's estimated value
+function hasDealValue(lead) {
+  return Number(lead.estimated_value) > 0 ? null : {
+    reason: 'deal_value_missing',
+    message: 'A lead is converted at its deal value: give final_deal_value or set the lead\'s estimated value first'
+  };
+}
+
+// Once the prospect has paid in full the deal cannot be lost
+function notPaidInFull(lead) {
+  return lead.payment_completed ? {
+    reason: 'deal_paid',
+    message: 'This deal has been paid in full and cannot be marked lost'
+  } : null;
+}
+
+// Whether confirmed payments, net of refunds, recorded against the lead or its referral cover
+// the deal value: null, or the refusal
+async function paymentsCover(dealValue, { leadId = null, referralId = null }) {
+  if (!(dealValue > 0)) {
+    return {
+      reason: 'deal_value_missing',
+      message: 'This deal has no deal value yet: convert its lead at the final deal value first'
+    };
+  }
+
+  const recordedAgainst = [leadId && `lead_id.eq.${leadId}`, referralId && `referral_id.eq.${referralId}`].filter(Boolean);
+
+  const { data: payments, error } = await supabaseAdmin
+    .from('client_payments')
+    .select('amount, refunded_amount')
+    .or(recordedAgainst.join(','))
+    .eq('status', 'confirmed');
+
+  if (error) {
+    console.error('❌ Pipeline payment lookup error:', error);
+    throw new Error('Failed to check payments for deal');
+  }
+
+  const paid = (payments || []).reduce((sum, p) => sum + Number(p.amount || 0) - Number(p.refunded_amount || 0), 0);
+
+  return paid >= dealValue ? null : {
+    reason: 'payments_outstanding',
+    message: `Confirmed payments of ${formatNaira(paid)} do not cover the deal value of ${formatNaira(dealValue)} (${formatNaira(dealValue - paid)} outstanding)`
+  };
+}
+
+function paymentsCoverDealValue(referral, { linked }) {
+  return paymentsCover(Number(referral.estimated_deal_value || linked?.estimated_value || 0), {
+    leadId: linked?.id,
+    referralId: referral.id
+  });
+}
+
+// Effects run after a move is saved, with the saved record
+async function notifyPaidInFull(referral) {
+  await notificationRepository.notifyPartner({
+    partner_id: referral.partner_id,
+    title: 'Payments Completed 🎉',
+    message: `All payments for ${referral.prospect_company_name} have been completed. Your commission of ${formatNaira(referral.total_commission_earned || 0)} is now available for payout.`,
+    type: 'payment_completed',
+    metadata: {
+      referral_id: referral.id,
+      commission_amount: referral.total_commission_earned
+    }
+  });
+}
+
+// The sales pipeline. For each record: the statuses it may move to from each status, the guards
+// a move into a status must pass, the status it carries its linked record to (a lead's referral
+// follows the lead; a won, paid or lost referral takes its lead along), values carried with it,
+// and the effects of arriving. A move not listed here is refused.
+export const PIPELINE = {
+  lead: {
+    transitions: {
+      new: ['contacted', 'qualified', 'proposal', 'negotiation', 'converted', 'lost'],
+      contacted: ['qualified', 'proposal', 'negotiation', 'converted', 'lost'],
+      qualified: ['contacted', 'proposal', 'negotiation', 'converted', 'lost'],
+      proposal: ['contacted', 'qualified', 'negotiation', 'converted', 'lost'],
+      negotiation: ['contacted', 'qualified', 'proposal', 'converted', 'lost'],
+      // A won deal can still fall through before it is paid
+      converted: ['lost'],
+      lost: []
+    },
+    guards: {
+      converted: [hasDealValue],
+      lost: [notPaidInFull]
+    },
+    carries: {
+      new: 'contacted',
+      contacted: 'contacted',
+      qualified: 'meeting_scheduled',
+      proposal: 'proposal_sent',
+      negotiation: 'negotiation',
+      converted: 'won',
+      lost: 'lost'
+    },
+    carriesValues: {
+      won: (lead) => ({ estimated_deal_value: lead.estimated_value })
+    },
+    effects: {}
+  },
+  referral: {
+    transitions: {
+      code_sent: ['contacted', 'meeting_scheduled', 'proposal_sent', 'negotiation', 'won', 'lost', 'expired'],
+      contacted: ['meeting_scheduled', 'proposal_sent', 'negotiation', 'won', 'lost', 'expired'],
+      meeting_scheduled: ['contacted', 'proposal_sent', 'negotiation', 'won', 'lost', 'expired'],
+      proposal_sent: ['contacted', 'meeting_scheduled', 'negotiation', 'won', 'lost', 'expired'],
+      negotiation: ['contacted', 'meeting_scheduled', 'proposal_sent', 'won', 'lost', 'expired'],
+      won: ['fully_paid', 'lost'],
+      fully_paid: [],
+      lost: [],
+      // Only renewing its protection reopens an expired referral (referral-protection-service.js)
+      expired: []
+    },
+    guards: {
+      fully_paid: [paymentsCoverDealValue]
+    },
+    carries: {
+      won: 'converted',
+      fully_paid: 'converted',
+      lost: 'lost'
+    },
+    carriesValues: {},
+    effects: {
+      fully_paid: [notifyPaidInFull]
+    }
+  }
+};
+
+const LINKED = { lead: 'referral', referral: 'lead' };
+const REPOSITORIES = { lead: leadRepository, referral: referralRepository };
+
+const withArticle = (status) => `${/^[aeiou]/.test(status) ? 'An' : 'A'} ${status}`;
+
+function refuse(reason, message, status = 409) {
+  return { success: false, status, reason, message };
+}
+
+// Every lead and referral status change goes through here (routes, lead intake and conflict
+// review); the expiry job and protection renewal keep to the same transitions. Moves return
+// { success: true, lead, referral } (a linked record that did not move is null) or
+// { success: false, status, reason, message }.
+class PipelineService {
+  statuses(kind) {
+    return Object.keys(PIPELINE[kind].transitions);
+  }
+
+  // Where a lead or referral in `status` may go next
+  nextStatuses(kind, status) {
+    return PIPELINE[kind].transitions[status] || [];
+  }
+
+  canMove(kind, from, to) {
+    return this.nextStatuses(kind, from).includes(to);
+  }
+
+  // Whether `current` may become `next`: null, or the refusal
+  async check(kind, current, next, linked) {
+    const from = current.status;
+    const to = next.status;
+    const allowed = this.nextStatuses(kind, from);
+
+    if (from === to) {
+      return refuse('transition_not_allowed', `This ${kind} is already ${to}`);
+    }
+
+    if (!allowed.includes(to)) {
+      return refuse('transition_not_allowed', allowed.length
+        ? `${withArticle(from)} ${kind} cannot move to ${to}. It can move to: ${allowed.join(', ')}`
+        : `${withArticle(from)} ${kind} is closed and cannot move to ${to}`);
+    }
+
+    for (const guard of PIPELINE[kind].guards[to] || []) {
+      const failed = await guard(next, { current, linked });
+      if (failed) return refuse(failed.reason, failed.message);
+    }
+
+    return null;
+  }
+
+  async findLinked(kind, record) {
+    if (kind === 'lead') {
+      return record.referral_id ? referralRepository.findById(record.referral_id) : null;
+    }
+    return leadRepository.findByReferral(record.id);
+  }
+
+  // Where `leader` moving to `status` takes its linked record: { next } (null when it stays put,
+  // e.g. an expired referral until it is renewed) or { refusal } when the follower fails a guard
+  async planFollow(kind, leader, status, linked, now) {
+    const followerKind = LINKED[kind];
+    const carried = PIPELINE[kind].carries[status];
+
+    if (!linked || !carried || !this.canMove(followerKind, linked.status, carried)) {
+      return { next: null };
+    }
+
+    const next = {
+      ...linked,
+      ...PIPELINE[kind].carriesValues[carried]?.(leader),
+      status: carried,
+      updated_at: now
+    };
+    const refusal = await this.check(followerKind, linked, next, leader);
+
+    if (refusal) {
+      return { refusal: { ...refusal, message: `Its ${followerKind} cannot follow: ${refusal.message}` } };
+    }
+
+    return { next };
+  }
+
+  // Saves the move of a record read in status `from`. Returns null, without running the effects,
+  // when another request moved the record first.
+  async save(kind, from, next, values) {
+    const saved = await REPOSITORIES[kind].updateFrom(next.id, from, {
+      ...values,
+      status: next.status,
+      updated_at: next.updated_at
+    });
+
+    if (!saved) return null;
+
+    for (const effect of PIPELINE[kind].effects[next.status] || []) {
+      await effect(saved);
+    }
+
+    return saved;
+  }
+
+  // Moves a lead or referral to `to` with any other `updates`, logs it on the lead's timeline
+  // (`activity` replaces the default entry) and carries the linked record along
+  async move(req, kind, current, to, { updates = {}, notes = null, activity = null } = {}) {
+    if (!PIPELINE[kind].transitions[to]) {
+      return refuse('unknown_status', `Invalid ${kind} status. Must be one of: ${this.statuses(kind).join(', ')}`, 400);
+    }
+
+    const now = new Date().toISOString();
+    const linked = await this.findLinked(kind, current);
+    const next = { ...current, ...updates, status: to, updated_at: now };
+
+    const refusal = await this.check(kind, current, next, linked);
+    if (refusal) return refusal;
+
+    const follow = await this.planFollow(kind, next, to, linked, now);
+    if (follow.refusal) return follow.refusal;
+
+    const followerKind = LINKED[kind];
+    const moved = await this.save(kind, current.status, next, updates);
+
+    if (!moved) {
+      return refuse('status_changed', `This ${kind} has just been moved from ${current.status} by someone else. Reload it and try again.`);
+    }
+
+    // A linked record moved meanwhile by someone else stays where they put it
+    const followed = follow.next
+      ? await this.save(followerKind, linked.status, follow.next, PIPELINE[kind].carriesValues[follow.next.status]?.(next))
+      : null;
+
+    const leadId = kind === 'lead' ? current.id : linked?.id;
+
+    if (leadId) {
+      await leadRepository.logActivity(leadId, {
+        ...(activity || (kind === 'lead'
+          ? { type: 'status_changed', notes: notes || `Status changed to ${to}` }
+          : { type: 'referral_status_updated', notes: `Referral status updated to: ${to}${notes ? ` - ${notes}` : ''}` })),
+        recordedBy: req?.internalUser?.id || null
+      });
+    }
+
+    console.log(`🔀 ${kind} ${current.id}: ${current.status} -> ${to}${followed ? ` (${followerKind} -> ${followed.status})` : ''}`);
+
+    return { success: true, [kind]: moved, [followerKind]: followed };
+  }
+
+  moveLead(req, lead, to, options) {
+    return this.move(req, 'lead', lead, to, options);
+  }
+
+  moveReferral(req, referral, to, options) {
+    return this.move(req, 'referral', referral, to, options);
+  }
+
+  // A new lead on a referral takes the referral to the status a new lead carries it to, when
+  // the referral can still move there. Returns the updated referral, or null if it stayed put.
+  async followNewLead(referral) {
+    const { next } = await this.planFollow('lead', { status: 'new' }, 'new', referral, new Date().toISOString());
+    return next ? this.save('referral', referral.status, next) : null;
+  }
+
+  // Finalizing a converted deal, once confirmed payments cover the deal value: the lead is
+  // marked paid and its referral, if any, becomes fully_paid, which makes the commission payable.
+  // This is the only way a referral becomes fully_paid.
+  async finalizeDeal(req, lead, { notes = null } = {}) {
+    if (lead.status !== 'converted') {
+      return refuse('lead_not_converted', `Only a converted lead can be finalized. This lead is ${lead.status}.`);
+    }
+
+    if (lead.payment_completed) {
+      return refuse('deal_paid', 'This deal has already been finalized');
+    }
+
+    const activity = { type: 'deal_finalized', notes: notes || 'Deal finalized and marked as fully paid' };
+    let referral = null;
+
+    if (lead.referral_id) {
+      // The referral's fully_paid guard checks the payments against the lead and the referral
+      const result = await this.moveReferral(req, await referralRepository.findById(lead.referral_id), 'fully_paid', { activity });
+      if (!result.success) return result;
+      referral = result.referral;
+    } else {
+      const failed = await paymentsCover(Number(lead.estimated_value || 0), { leadId: lead.id });
+      if (failed) return refuse(failed.reason, failed.message);
+
+      await leadRepository.logActivity(lead.id, { ...activity, recordedBy: req?.internalUser?.id || null });
+    }
+
+    const now = new Date().toISOString();
+    const finalized = await leadRepository.update(lead.id, {
+      payment_completed: true,
+      payment_completed_at: now,
+      payment_completed_by: req?.internalUser?.id || null,
+      updated_at: now
+    });
+
+    return { success: true, lead: finalized, referral };
+  }
+}
+
+export default new PipelineService();
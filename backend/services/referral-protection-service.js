@@ -0,0 +1,208 @@
+import { supabaseAdmin } from '../config/supabase.js';
+import configService from './config-service.js';
+import auditService from './audit-service.js';
+import { OPEN_REFERRAL_STATUSES } from './pipeline-service.js';
+import { notificationRepository, referralRepository } from '../repositories/index.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Statuses whose protection window can still run out
+export const OPEN_STATUSES = OPEN_REFERRAL_STATUSES;
+
+const formatDate = (value) => new Date(value).toISOString().slice(0, 10);
+
+// Protection windows (referrals.protected_until, database/migrations/0012). The database opens
+// a window of registration_protection_days on every new referral and pushes it out on lead
+// activity; this service reports the countdown, runs the expiry job (script/expire-referrals.js)
+// and lets staff renew a window by hand.
+class ReferralProtectionService {
+  async getPolicy() {
+    return {
+      protection_days: await configService.getNumber('registration_protection_days', 90),
+      warning_days: await configService.getNumber('referral_expiry_warning_days', 14),
+      extension_days: await configService.getNumber('referral_activity_extension_days', 30)
+    };
+  }
+
+  // Countdown for a referral carrying status and protected_until:
+  // { state, protected_until, days_left } where state is protected, expiring (inside the warning
+  // period), lapsed (ended, not yet expired by the job), expired or closed (won, paid or lost)
+  describe(referral, policy, now = Date.now()) {
+    if (referral.status === 'expired') {
+      return { state: 'expired', protected_until: referral.protected_until, days_left: 0 };
+    }
+    if (!OPEN_STATUSES.includes(referral.status)) {
+      return { state: 'closed', protected_until: null, days_left: null };
+    }
+
+    const remaining = new Date(referral.protected_until).getTime() - now;
+    const daysLeft = Math.max(0, Math.ceil(remaining / DAY_MS));
+    let state = 'protected';
+    if (remaining <= 0) state = 'lapsed';
+    else if (daysLeft <= policy.warning_days) state = 'expiring';
+
+    return { state, protected_until: referral.protected_until, days_left: daysLeft };
+  }
+
+  // The referrals with a `protection` countdown added to each
+  async withProtection(referrals) {
+    const policy = await this.getPolicy();
+    return referrals.map(referral => ({ ...referral, protection: this.describe(referral, policy) }));
+  }
+
+  async findOpen(apply, action) {
+    const { data: referrals, error } = await apply(
+      supabaseAdmin
+        .from('referrals')
+        .select('id, partner_id, referral_code, prospect_company_name, status, protected_until, expiry_warning_for')
+        .in('status', OPEN_STATUSES)
+    ).order('protected_until', { ascending: true });
+
+    if (error) {
+      console.error(`❌ Referral ${action} lookup error:`, error);
+      throw new Error(`Failed to find referrals for ${action}`);
+    }
+
+    return referrals || [];
+  }
+
+  // One pass of the expiry job: warn partners whose windows end within
+  // referral_expiry_warning_days, then expire referrals whose windows have ended.
+  // Returns { warned, expired } counts.
+  async run({ now = new Date() } = {}) {
+    const policy = await this.getPolicy();
+    const warned = await this.sendWarnings(policy, now);
+    const expired = await this.expireLapsed(now);
+
+    console.log(`⏳ Referral expiry: ${warned} warned, ${expired} expired`);
+    return { warned, expired };
+  }
+
+  async sendWarnings(policy, now) {
+    const horizon = new Date(now.getTime() + policy.warning_days * DAY_MS);
+    const candidates = await this.findOpen(query => query
+      .gt('protected_until', now.toISOString())
+      .lte('protected_until', horizon.toISOString()), 'expiry warning');
+
+    // One warning per window: an extended or renewed window is warned about again
+    const due = candidates.filter(referral => !referral.expiry_warning_for ||
+      new Date(referral.expiry_warning_for).getTime() !== new Date(referral.protected_until).getTime());
+
+    for (const referral of due) {
+      await referralRepository.update(referral.id, { expiry_warning_for: referral.protected_until });
+
+      await notificationRepository.notifyPartner({
+        partner_id: referral.partner_id,
+        type: 'referral_expiring',
+        title: 'Referral Protection Ending',
+        message: `Your referral for ${referral.prospect_company_name} (${referral.referral_code}) is protected until ${formatDate(referral.protected_until)}. Without activity before then it will expire and another partner can register the company.`,
+        metadata: { referral_id: referral.id, protected_until: referral.protected_until }
+      });
+    }
+
+    return due.length;
+  }
+
+  async expireLapsed(now) {
+    const lapsed = await this.findOpen(query => query.lte('protected_until', now.toISOString()), 'expiry');
+    let expired = 0;
+
+    for (const referral of lapsed) {
+      // Only while still open and lapsed, so a renewal or lead activity since the lookup wins
+      const { data: updated, error } = await supabaseAdmin
+        .from('referrals')
+        .update({
+          status: 'expired',
+          status_before_expiry: referral.status,
+          expired_at: now.toISOString(),
+          updated_at: now.toISOString()
+        })
+        .eq('id', referral.id)
+        .in('status', OPEN_STATUSES)
+        .lte('protected_until', now.toISOString())
+        .select('id, status, status_before_expiry, expired_at')
+        .maybeSingle();
+
+      if (error) {
+        console.error('❌ Referral expiry error:', error);
+        throw new Error('Failed to expire referral');
+      }
+      if (!updated) continue;
+
+      expired += 1;
+
+      await auditService.log(null, {
+        action: 'update',
+        resourceType: 'referrals',
+        resourceId: referral.id,
+        oldValues: { status: referral.status },
+        newValues: { status: updated.status, expired_at: updated.expired_at },
+        notes: `Protection window ended ${referral.protected_until} with no activity`
+      });
+
+      await notificationRepository.notifyPartner({
+        partner_id: referral.partner_id,
+        type: 'referral_expired',
+        title: 'Referral Expired',
+        message: `Your referral for ${referral.prospect_company_name} (${referral.referral_code}) has expired after its protection window ended with no activity. Contact the Cryptware team if you are still working with them.`,
+        metadata: { referral_id: referral.id }
+      });
+    }
+
+    return expired;
+  }
+
+  // Staff renewal: the window runs `days` (default registration_protection_days) from now, or
+  // stays where it is if that is later. An expired referral goes back to its earlier status.
+  async renew(req, referral, { days = null, notes = null } = {}) {
+    const policy = await this.getPolicy();
+    const now = new Date();
+    const renewedUntil = new Date(now.getTime() + (days ?? policy.protection_days) * DAY_MS);
+    const current = new Date(referral.protected_until);
+
+    const updates = {
+      protected_until: (referral.status !== 'expired' && current > renewedUntil ? current : renewedUntil).toISOString(),
+      protection_renewed_at: now.toISOString(),
+      protection_renewed_by: req.internalUser.id,
+      updated_at: now.toISOString()
+    };
+
+    if (referral.status === 'expired') {
+      // The one way out of expired (pipeline-service.js), back to where it was in the pipeline
+      const reopenAt = referral.status_before_expiry || 'code_sent';
+
+      if (!OPEN_STATUSES.includes(reopenAt)) {
+        throw new Error(`Cannot reopen an expired referral at ${reopenAt}`);
+      }
+
+      Object.assign(updates, {
+        status: reopenAt,
+        status_before_expiry: null,
+        expired_at: null
+      });
+    }
+
+    const renewed = await referralRepository.update(referral.id, updates);
+
+    await auditService.log(req, {
+      action: 'update',
+      resourceType: 'referrals',
+      resourceId: referral.id,
+      oldValues: { status: referral.status, protected_until: referral.protected_until },
+      newValues: { status: renewed.status, protected_until: renewed.protected_until },
+      notes: notes || 'Protection window renewed'
+    });
+
+    await notificationRepository.notifyPartner({
+      partner_id: referral.partner_id,
+      type: 'referral_protection_renewed',
+      title: 'Referral Protection Renewed',
+      message: `Your referral for ${referral.prospect_company_name} (${referral.referral_code}) is protected until ${formatDate(renewed.protected_until)}.`,
+      metadata: { referral_id: referral.id, protected_until: renewed.protected_until }
+    });
+
+    return renewed;
+  }
+}
+
+export default new ReferralProtectionService();
@@ -0,0 +1,162 @@
+import jwt from 'jsonwebtoken';
+import { supabaseAdmin } from '../config/supabase.js';
+import configService from './config-service.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+const FORM_TOKEN_ISSUER = 'cryptware-referral-form';
+const FORM_TOKEN_TTL = '2h';
+
+// A referral in one of these statuses no longer takes prospect submissions
+const CLOSED_STATUSES = ['won', 'fully_paid', 'lost', 'expired'];
+
+// Spam protection for prospect submissions on the public referral page. A submission must
+// carry the form token issued when the page loaded the referral, arrive no sooner than
+// referral_form_min_seconds after it, leave the hidden honeypot field empty and stay under
+// referral_form_max_per_ip_per_hour. Every outcome is recorded in referral_submissions.
+class ReferralSubmissionService {
+  getSecret() {
+    if (!process.env.JWT_SECRET) {
+      throw new Error('JWT_SECRET is not configured');
+    }
+    return process.env.JWT_SECRET;
+  }
+
+  async getPolicy() {
+    return {
+      min_seconds: await configService.getNumber('referral_form_min_seconds', 3),
+      max_per_ip_per_hour: await configService.getNumber('referral_form_max_per_ip_per_hour', 5)
+    };
+  }
+
+  issueFormToken(referralCode) {
+    return jwt.sign({ code: referralCode }, this.getSecret(), {
+      issuer: FORM_TOKEN_ISSUER,
+      expiresIn: FORM_TOKEN_TTL
+    });
+  }
+
+  // Seconds since the token was issued, or null when it is missing, expired or for another code
+  formAge(token, referralCode) {
+    if (!token) return null;
+
+    try {
+      const payload = jwt.verify(token, this.getSecret(), { issuer: FORM_TOKEN_ISSUER });
+      if (payload.code !== referralCode) return null;
+      return Date.now() / 1000 - payload.iat;
+    } catch {
+      return null;
+    }
+  }
+
+  // Whether the prospect can still respond: the referral is open and has no lead yet. Two
+  // submissions may both pass this; the unique leads.referral_id lets only one create the lead.
+  async isOpen(referral) {
+    if (CLOSED_STATUSES.includes(referral.status)) return false;
+
+    const { count, error } = await supabaseAdmin
+      .from('leads')
+      .select('id', { count: 'exact', head: true })
+      .eq('referral_id', referral.id);
+
+    if (error) {
+      console.error('❌ Referral lead lookup error:', error);
+      throw new Error('Failed to check referral leads');
+    }
+
+    return (count || 0) === 0;
+  }
+
+  async countRecentFromIp(ipAddress) {
+    if (!ipAddress) return 0;
+
+    const { count, error } = await supabaseAdmin
+      .from('referral_submissions')
+      .select('id', { count: 'exact', head: true })
+      .eq('ip_address', ipAddress)
+      .gt('created_at', new Date(Date.now() - HOUR_MS).toISOString());
+
+    if (error) {
+      console.error('❌ Referral submission throttle lookup error:', error);
+      throw new Error('Failed to check referral submission throttle');
+    }
+
+    return count || 0;
+  }
+
+  // Returns { allowed: true } or { allowed: false, outcome, status, message, retryAfter? }.
+  // A honeypot hit is answered as if it succeeded (silent: true) so bots learn nothing.
+  async check(req, referral, { formToken, honeypot }) {
+    const policy = await this.getPolicy();
+
+    if (await this.countRecentFromIp(req.ip) >= policy.max_per_ip_per_hour) {
+      return {
+        allowed: false,
+        status: 429,
+        message: 'Too many submissions. Please try again later.',
+        retryAfter: Math.ceil(HOUR_MS / 1000)
+      };
+    }
+
+    if (honeypot) {
+      return { allowed: false, outcome: 'honeypot', silent: true };
+    }
+
+    const age = this.formAge(formToken, referral.referral_code);
+    if (age === null) {
+      return {
+        allowed: false,
+        status: 400,
+        message: 'This form has expired. Please reload the page and try again.'
+      };
+    }
+
+    if (age < policy.min_seconds) {
+      return {
+        allowed: false,
+        outcome: 'too_fast',
+        status: 400,
+        message: 'Please take a moment to check your details, then submit again.'
+      };
+    }
+
+    if (!(await this.isOpen(referral))) {
+      return {
+        allowed: false,
+        outcome: 'duplicate',
+        status: 409,
+        message: 'We already have your details for this referral. The Cryptware team will be in touch.'
+      };
+    }
+
+    return { allowed: true };
+  }
+
+  async record(req, referral, {
+    outcome,
+    leadId = null,
+    email = null,
+    consented = false,
+    clickId = null,
+    attribution = null
+  }) {
+    const { error } = await supabaseAdmin
+      .from('referral_submissions')
+      .insert({
+        referral_id: referral.id,
+        lead_id: leadId,
+        outcome,
+        email,
+        consented_at: consented ? new Date().toISOString() : null,
+        ip_address: req.ip || null,
+        user_agent: req.get('User-Agent') || null,
+        click_id: clickId,
+        attribution
+      });
+
+    if (error) {
+      console.error('❌ Referral submission record error:', error);
+    }
+  }
+}
+
+export default new ReferralSubmissionService();
@@ -0,0 +1,223 @@
+import crypto from 'crypto';
+import { supabaseAdmin } from '../config/supabase.js';
+import configService from './config-service.js';
+import referralSubmissionService from './referral-submission-service.js';
+import registrationConflictService from './registration-conflict-service.js';
+import { referralRepository } from '../repositories/index.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const UTM_FIELDS = ['utm_source', 'utm_medium', 'utm_campaign', 'utm_term', 'utm_content'];
+const MAX_FIELD_LENGTH = 500;
+
+// Each cookie holds the id of a referral_clicks row, so the window is checked against the
+// recorded click time and a hand-made cookie can only name a click that really happened
+const COOKIES = {
+  first_touch: 'cw_ref_first',
+  last_touch: 'cw_ref_last'
+};
+
+const WON_STATUSES = ['won', 'fully_paid'];
+
+// Click tracking and attribution for shareable referral links. The public referral page
+// records a click on every visit and the API answers with first- and last-touch cookies;
+// a prospect submission is credited to the referral those cookies point at, following
+// referral_attribution_model within referral_attribution_window_days, when that referral is
+// for the prospect who submitted.
+class ReferralTrackingService {
+  getHashKey() {
+    const key = process.env.CLICK_HASH_SECRET || process.env.JWT_SECRET;
+    if (!key) {
+      throw new Error('CLICK_HASH_SECRET is not configured');
+    }
+    return key;
+  }
+
+  async getPolicy() {
+    const model = await configService.get('referral_attribution_model', 'last_touch');
+
+    return {
+      model: model === 'first_touch' ? 'first_touch' : 'last_touch',
+      window_days: await configService.getNumber('referral_attribution_window_days', 30)
+    };
+  }
+
+  hashIp(ipAddress) {
+    if (!ipAddress) return null;
+    return crypto.createHmac('sha256', this.getHashKey()).update(ipAddress).digest('hex');
+  }
+
+  // Coarse device bucket; the full user agent is not kept
+  classifyUserAgent(userAgent) {
+    if (!userAgent) return 'unknown';
+    if (/bot|crawler|spider|preview|facebookexternalhit|slurp|curl|wget|python|headless/i.test(userAgent)) return 'bot';
+    if (/ipad|tablet|kindle|silk|playbook|android(?!.*mobile)/i.test(userAgent)) return 'tablet';
+    if (/mobi|iphone|ipod|android|blackberry|opera mini|iemobile/i.test(userAgent)) return 'mobile';
+    if (/windows|macintosh|x11|linux|cros/i.test(userAgent)) return 'desktop';
+    return 'unknown';
+  }
+
+  readCookies(req) {
+    return (req.get('Cookie') || '').split(';').reduce((acc, pair) => {
+      const index = pair.indexOf('=');
+      if (index > 0) {
+        acc[pair.slice(0, index).trim()] = decodeURIComponent(pair.slice(index + 1).trim());
+      }
+      return acc;
+    }, {});
+  }
+
+  clean(value) {
+    if (typeof value !== 'string' || !value.trim()) return null;
+    return value.trim().slice(0, MAX_FIELD_LENGTH);
+  }
+
+  async recordClick(req, referral, { referrer = null, utm = {} } = {}) {
+    const { data: click, error } = await supabaseAdmin
+      .from('referral_clicks')
+      .insert({
+        referral_id: referral.id,
+        referrer: this.clean(referrer),
+        ...Object.fromEntries(UTM_FIELDS.map(field => [field, this.clean(utm[field])])),
+        ua_class: this.classifyUserAgent(req.get('User-Agent')),
+        ip_hash: this.hashIp(req.ip)
+      })
+      .select('id, referral_id, clicked_at')
+      .single();
+
+    if (error) {
+      console.error('❌ Referral click record error:', error);
+      throw new Error('Failed to record referral click');
+    }
+
+    return click;
+  }
+
+  // The click a cookie points at, if it is still inside the attribution window
+  async findClick(clickId, windowDays) {
+    if (!clickId || !/^[0-9a-f-]{36}$/i.test(clickId)) return null;
+
+    const { data: click, error } = await supabaseAdmin
+      .from('referral_clicks')
+      .select('id, referral_id, clicked_at')
+      .eq('id', clickId)
+      .gt('clicked_at', new Date(Date.now() - windowDays * DAY_MS).toISOString())
+      .maybeSingle();
+
+    if (error) {
+      console.error('❌ Referral click lookup error:', error);
+      throw new Error('Failed to look up referral click');
+    }
+
+    return click || null;
+  }
+
+  // Last touch is moved on every click; first touch only when there is none in the window
+  async setAttributionCookies(req, res, click) {
+    const policy = await this.getPolicy();
+    const options = {
+      httpOnly: true,
+      sameSite: 'lax',
+      secure: process.env.NODE_ENV === 'production',
+      maxAge: policy.window_days * DAY_MS,
+      path: '/'
+    };
+
+    res.cookie(COOKIES.last_touch, click.id, options);
+
+    const firstTouch = await this.findClick(this.readCookies(req)[COOKIES.first_touch], policy.window_days);
+    if (!firstTouch) {
+      res.cookie(COOKIES.first_touch, click.id, options);
+    }
+  }
+
+  // Which referral a submission made on `referral`'s page is credited to:
+  // { referral, clickId, attribution }. The touch the model prefers wins when its click is in
+  // the window and its referral can still take a lead; otherwise the other touch is tried,
+  // and with neither the page's own referral is credited directly. A touch on another
+  // referral only counts when that referral shares a match key (company name, email domain or
+  // phone, as in duplicate detection) with the `prospect` submitting: a visitor who browsed
+  // other referral links is not moved onto another prospect's, or another partner's, referral.
+  async attribute(req, referral, columns, prospect) {
+    const policy = await this.getPolicy();
+    const keys = registrationConflictService.matchKeys(prospect);
+    const cookies = this.readCookies(req);
+    const touches = policy.model === 'first_touch'
+      ? ['first_touch', 'last_touch']
+      : ['last_touch', 'first_touch'];
+
+    for (const touch of touches) {
+      const click = await this.findClick(cookies[COOKIES[touch]], policy.window_days);
+      if (!click) continue;
+
+      if (click.referral_id === referral.id) {
+        return { referral, clickId: click.id, attribution: touch };
+      }
+
+      const touched = await referralRepository.findById(click.referral_id, `${columns}, company_key, email_domain, phone_e164`);
+      if (!touched || registrationConflictService.matchFields(keys, touched).length === 0) continue;
+
+      if (await referralSubmissionService.isOpen(touched)) {
+        const { company_key, email_domain, phone_e164, ...credited } = touched;
+        return { referral: credited, clickId: click.id, attribution: touch };
+      }
+    }
+
+    return { referral, clickId: null, attribution: 'direct' };
+  }
+
+  async countByReferral(table, referralIds, apply = query => query) {
+    const { data: rows, error } = await apply(
+      supabaseAdmin.from(table).select('referral_id').in('referral_id', referralIds)
+    );
+
+    if (error) {
+      console.error(`❌ Referral funnel ${table} lookup error:`, error);
+      throw new Error('Failed to load referral funnel');
+    }
+
+    return (rows || []).reduce((acc, row) => {
+      acc[row.referral_id] = (acc[row.referral_id] || 0) + 1;
+      return acc;
+    }, {});
+  }
+
+  // Funnel per referral (keyed by id) for referrals carrying at least id and status:
+  // link clicks -> accepted prospect submissions -> leads -> won
+  async getFunnels(referrals) {
+    if (referrals.length === 0) return {};
+
+    const ids = referrals.map(r => r.id);
+    const [clicks, submissions, leads] = await Promise.all([
+      this.countByReferral('referral_clicks', ids),
+      this.countByReferral('referral_submissions', ids, query => query.eq('outcome', 'accepted')),
+      this.countByReferral('leads', ids)
+    ]);
+
+    return referrals.reduce((acc, referral) => {
+      acc[referral.id] = {
+        clicks: clicks[referral.id] || 0,
+        submissions: submissions[referral.id] || 0,
+        leads: leads[referral.id] || 0,
+        won: WON_STATUSES.includes(referral.status) ? 1 : 0
+      };
+      return acc;
+    }, {});
+  }
+
+  async getFunnel(referral) {
+    const funnels = await this.getFunnels([referral]);
+    return funnels[referral.id];
+  }
+
+  // Funnels added up across referrals, e.g. for a partner's whole book
+  summarize(funnels) {
+    return Object.values(funnels).reduce((total, funnel) => ({
+      clicks: total.clicks + funnel.clicks,
+      submissions: total.submissions + funnel.submissions,
+      leads: total.leads + funnel.leads,
+      won: total.won + funnel.won
+    }), { clicks: 0, submissions: 0, leads: 0, won: 0 });
+  }
+}
+
+export default new ReferralTrackingService();
@@ -0,0 +1,420 @@
+import { supabaseAdmin } from '../config/supabase.js';
+import auditService from './audit-service.js';
+import { notificationRepository } from '../repositories/index.js';
+
+export const CONFLICT_STATUSES = ['pending', 'upheld', 'overridden'];
+export const CONFLICT_RESOLUTIONS = ['upheld', 'overridden'];
+
+// The registration a prospect has become a customer through
+const WON_STATUSES = ['won', 'fully_paid'];
+
+// Referrals that no longer hold any claim on the prospect
+const RELEASED_STATUSES = ['lost', 'expired'];
+
+const COMPANY_FILLER = / (the|and|ltd|limited|plc|inc|incorporated|llc|llp|co|company|corp|corporation|nig|nigeria)(?= )/g;
+
+const FREE_MAIL_DOMAINS = new Set([
+  'gmail.com', 'googlemail.com', 'yahoo.com', 'yahoo.co.uk', 'ymail.com', 'hotmail.com',
+  'outlook.com', 'live.com', 'msn.com', 'icloud.com', 'me.com', 'aol.com',
+  'proton.me', 'protonmail.com', 'zoho.com', 'gmx.com', 'mail.com'
+]);
+
+// Numbers written without a country code are Nigerian
+const DEFAULT_COUNTRY_CODE = '234';
+
+const MATCH_COLUMNS = 'company_key, email_domain, phone_e164';
+
+const REFERRAL_MATCH_COLUMNS = `
+  id,
+  referral_code,
+  partner_id,
+  prospect_company_name,
+  status,
+  created_at,
+  protected_until,
+  ${MATCH_COLUMNS},
+  partners:partner_id (company_name)
+`;
+
+const LEAD_MATCH_COLUMNS = `id, company_name, referral_id, status, created_at, ${MATCH_COLUMNS}`;
+
+// A filter value in double quotes, so commas and parentheses in it cannot change the filter
+const quoted = (value) => `"${String(value).replace(/["\\]/g, '\\$&')}"`;
+
+const DETAIL_COLUMNS = `
+  *,
+  partners:partner_id (id, company_name, email),
+  requester:requested_by (name, email),
+  resolver:resolved_by (name, email),
+  matched_referral:matched_referral_id (
+    id,
+    referral_code,
+    prospect_company_name,
+    status,
+    created_at,
+    partners:partner_id (company_name)
+  ),
+  matched_lead:matched_lead_id (id, company_name, status, created_at),
+  created_referral:created_referral_id (id, referral_code, status),
+  created_lead:created_lead_id (id, company_name, status)
+`;
+
+// The three keys below mirror match_company_key, match_email_domain and match_phone_e164 in
+// database/migrations/0011_registration_conflicts.sql, which fill the stored columns
+
+export function companyKey(name) {
+  const words = ` ${String(name || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ')} `;
+  return words.replace(COMPANY_FILLER, ' ').replace(/ /g, '') || null;
+}
+
+export function emailDomain(email) {
+  const domain = String(email || '').split('@')[1]?.trim().toLowerCase() || '';
+  return !domain || FREE_MAIL_DOMAINS.has(domain) ? null : domain;
+}
+
+export function phoneE164(phone) {
+  const digits = String(phone || '').replace(/[^0-9]/g, '');
+  const international = String(phone || '').trimStart().startsWith('+');
+
+  if (!digits) return null;
+  if (international && digits.length >= 8 && digits.length <= 15) return `+${digits}`;
+  if (digits.startsWith('00') && digits.length >= 10 && digits.length <= 17) return `+${digits.slice(2)}`;
+  if (digits.startsWith(DEFAULT_COUNTRY_CODE) && digits.length === 13) return `+${digits}`;
+  if (digits.startsWith('0') && digits.length === 11) return `+${DEFAULT_COUNTRY_CODE}${digits.slice(1)}`;
+  if (!digits.startsWith('0') && digits.length === 10) return `+${DEFAULT_COUNTRY_CODE}${digits}`;
+  return null;
+}
+
+// Duplicate and conflict detection for new referrals and leads. A registration matches an
+// existing referral or lead (other than lost ones and expired referrals) on company name,
+// email domain or phone.
+//
+// For a partner's referral:
+//   - their own earlier referral, a won customer or a prospect already in the sales pipeline
+//     is "already registered" and refused
+//   - another partner's referral inside its protection window (referrals.protected_until, see
+//     referral-protection-service.js) is under "registration protection" and refused
+//   - another partner's referral whose window has lapsed but that the expiry job has not yet
+//     expired no longer protects the prospect: the new referral goes through and is flagged
+// A lead is refused when another lead matches, and (without a referral code) when a partner's
+// referral is protected or won; it is flagged when only a lapsed referral matches.
+//
+// Refused and flagged registrations between different parties are queued in
+// registration_conflicts for staff to resolve.
+class RegistrationConflictService {
+  matchKeys({ company_name, email, phone }) {
+    return {
+      company_key: companyKey(company_name),
+      email_domain: emailDomain(email),
+      phone_e164: phoneE164(phone)
+    };
+  }
+
+  // Which of the registration's keys the row shares
+  matchFields(keys, row) {
+    return [
+      keys.company_key && row.company_key === keys.company_key && 'company_name',
+      keys.email_domain && row.email_domain === keys.email_domain && 'email_domain',
+      keys.phone_e164 && row.phone_e164 === keys.phone_e164 && 'phone'
+    ].filter(Boolean);
+  }
+
+  protectedUntil(referral) {
+    return new Date(referral.protected_until);
+  }
+
+  isProtected(referral) {
+    return this.protectedUntil(referral).getTime() > Date.now();
+  }
+
+  async findMatches(table, columns, keys, excludeReferralId) {
+    const conditions = Object.entries(keys)
+      .filter(([, value]) => value)
+      .map(([column, value]) => `${column}.eq.${quoted(value)}`);
+
+    if (conditions.length === 0) return [];
+
+    const { data: rows, error } = await supabaseAdmin
+      .from(table)
+      .select(columns)
+      .or(conditions.join(','))
+      .not('status', 'in', `(${RELEASED_STATUSES.join(',')})`)
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      console.error(`❌ Registration match lookup error (${table}):`, error);
+      throw new Error('Failed to check for duplicate registrations');
+    }
+
+    // The registration's own referral and its lead are not duplicates of it
+    const referralId = (row) => (table === 'referrals' ? row.id : row.referral_id);
+    return (rows || []).filter(row => !excludeReferralId || referralId(row) !== excludeReferralId);
+  }
+
+  async findMatchingRegistrations(keys, { excludeReferralId = null } = {}) {
+    const [referrals, leads] = await Promise.all([
+      this.findMatches('referrals', REFERRAL_MATCH_COLUMNS, keys, excludeReferralId),
+      this.findMatches('leads', LEAD_MATCH_COLUMNS, keys, excludeReferralId)
+    ]);
+    return { referrals, leads };
+  }
+
+  // Returns { action: 'allow' }, { action: 'flag', ... } or { action: 'block', status: 409, ... }.
+  // `reviewable` is false for a partner repeating their own referral: nobody to dispute with.
+  async checkReferral(partnerId, { prospect_company_name, email, phone }) {
+    const keys = this.matchKeys({ company_name: prospect_company_name, email, phone });
+    const { referrals, leads } = await this.findMatchingRegistrations(keys);
+
+    const own = referrals.find(r => r.partner_id === partnerId);
+    if (own) {
+      return {
+        action: 'block',
+        status: 409,
+        reason: 'already_registered',
+        reviewable: false,
+        message: `You have already registered this company (${own.referral_code})`,
+        matchFields: this.matchFields(keys, own),
+        matchedReferral: own
+      };
+    }
+
+    const customer = referrals.find(r => WON_STATUSES.includes(r.status));
+    if (customer) {
+      return {
+        action: 'block',
+        status: 409,
+        reason: 'already_registered',
+        reviewable: true,
+        message: 'This company is already registered with Cryptware',
+        matchFields: this.matchFields(keys, customer),
+        matchedReferral: customer
+      };
+    }
+
+    const protectedReferral = referrals.find(r => this.isProtected(r));
+    if (protectedReferral) {
+      const protectedUntil = this.protectedUntil(protectedReferral);
+      return {
+        action: 'block',
+        status: 409,
+        reason: 'registration_protection',
+        reviewable: true,
+        message: `This company was registered by another partner and is protected until ${protectedUntil.toISOString().slice(0, 10)}`,
+        matchFields: this.matchFields(keys, protectedReferral),
+        matchedReferral: protectedReferral,
+        protectedUntil
+      };
+    }
+
+    // A lead not reached through one of the matched referrals: an internal or other pipeline lead
+    const pipelineLead = leads.find(l => !referrals.some(r => r.id === l.referral_id));
+    if (pipelineLead) {
+      return {
+        action: 'block',
+        status: 409,
+        reason: 'already_registered',
+        reviewable: true,
+        message: 'This company is already in the Cryptware sales pipeline',
+        matchFields: this.matchFields(keys, pipelineLead),
+        matchedLead: pipelineLead
+      };
+    }
+
+    if (referrals.length > 0) {
+      return {
+        action: 'flag',
+        reason: 'protection_lapsed',
+        matchFields: this.matchFields(keys, referrals[0]),
+        matchedReferral: referrals[0],
+        protectedUntil: this.protectedUntil(referrals[0])
+      };
+    }
+
+    return { action: 'allow' };
+  }
+
+  // Same result shape as checkReferral, for a lead optionally linked to `referral`. Messages
+  // name the other registration: they are only shown to staff.
+  async checkLead({ company_name, email, phone }, { referral = null } = {}) {
+    const keys = this.matchKeys({ company_name, email, phone });
+    const { referrals, leads } = await this.findMatchingRegistrations(keys, { excludeReferralId: referral?.id });
+
+    if (leads.length > 0) {
+      return {
+        action: 'block',
+        status: 409,
+        reason: 'already_registered',
+        reviewable: true,
+        message: `${leads[0].company_name} is already in the pipeline as a lead`,
+        matchFields: this.matchFields(keys, leads[0]),
+        matchedLead: leads[0]
+      };
+    }
+
+    // A referral code says which partner the lead belongs to; the referral itself was
+    // checked when it was registered
+    if (referral || referrals.length === 0) return { action: 'allow' };
+
+    const describe = (r) => `${r.partners?.company_name || 'a partner'} (${r.referral_code})`;
+
+    const customer = referrals.find(r => WON_STATUSES.includes(r.status));
+    if (customer) {
+      return {
+        action: 'block',
+        status: 409,
+        reason: 'already_registered',
+        reviewable: true,
+        message: `This company is already a customer through a referral from ${describe(customer)}`,
+        matchFields: this.matchFields(keys, customer),
+        matchedReferral: customer
+      };
+    }
+
+    const protectedReferral = referrals.find(r => this.isProtected(r));
+    if (protectedReferral) {
+      const protectedUntil = this.protectedUntil(protectedReferral);
+      return {
+        action: 'block',
+        status: 409,
+        reason: 'registration_protection',
+        reviewable: true,
+        message: `This company is protected for ${describe(protectedReferral)} until ${protectedUntil.toISOString().slice(0, 10)}. Create the lead with their referral code.`,
+        matchFields: this.matchFields(keys, protectedReferral),
+        matchedReferral: protectedReferral,
+        protectedUntil
+      };
+    }
+
+    return {
+      action: 'flag',
+      reason: 'protection_lapsed',
+      matchFields: this.matchFields(keys, referrals[0]),
+      matchedReferral: referrals[0],
+      protectedUntil: this.protectedUntil(referrals[0])
+    };
+  }
+
+  // Queue a refused or flagged registration for review and tell staff about it
+  async record(req, {
+    resourceType,
+    decision,
+    values,
+    partnerId = null,
+    requestedBy = null,
+    createdReferralId = null,
+    createdLeadId = null
+  }) {
+    const { data: conflict, error } = await supabaseAdmin
+      .from('registration_conflicts')
+      .insert({
+        resource_type: resourceType,
+        action: decision.action === 'block' ? 'blocked' : 'flagged',
+        reason: decision.reason,
+        match_fields: decision.matchFields,
+        attempted_values: values,
+        partner_id: partnerId,
+        requested_by: requestedBy,
+        matched_referral_id: decision.matchedReferral?.id || null,
+        matched_lead_id: decision.matchedLead?.id || null,
+        created_referral_id: createdReferralId,
+        created_lead_id: createdLeadId,
+        protected_until: decision.protectedUntil?.toISOString() || null
+      })
+      .select()
+      .single();
+
+    if (error) {
+      console.error('❌ Registration conflict record error:', error);
+      throw new Error('Failed to record registration conflict');
+    }
+
+    console.log(`⚠️ Registration conflict ${conflict.id}: ${conflict.resource_type} ${conflict.action} (${conflict.reason})`);
+
+    await notificationRepository.notifyInternal({
+      type: 'registration_conflict',
+      title: conflict.action === 'blocked' ? 'Duplicate Registration Refused' : 'Overlapping Registration Flagged',
+      message: `A ${resourceType} for ${values.prospect_company_name || values.company_name} matched an existing registration on ${decision.matchFields.join(', ')}`,
+      metadata: {
+        conflict_id: conflict.id,
+        reason: conflict.reason
+      }
+    });
+
+    return conflict;
+  }
+
+  async list({ status = null, resourceType = null, page = 1, limit = 20 } = {}) {
+    const offset = (page - 1) * limit;
+
+    let query = supabaseAdmin
+      .from('registration_conflicts')
+      .select(DETAIL_COLUMNS, { count: 'exact' })
+      .order('created_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    if (status) query = query.eq('status', status);
+    if (resourceType) query = query.eq('resource_type', resourceType);
+
+    const { data: conflicts, error, count } = await query;
+
+    if (error) {
+      console.error('❌ Registration conflict list error:', error);
+      throw new Error('Failed to fetch registration conflicts');
+    }
+
+    return { conflicts: conflicts || [], total: count || 0 };
+  }
+
+  async get(id) {
+    const { data: conflict, error } = await supabaseAdmin
+      .from('registration_conflicts')
+      .select(DETAIL_COLUMNS)
+      .eq('id', id)
+      .maybeSingle();
+
+    // A malformed id cannot match a conflict
+    if (error && error.code !== '22P02') {
+      console.error('❌ Registration conflict fetch error:', error);
+      throw new Error('Failed to fetch registration conflict');
+    }
+
+    return conflict || null;
+  }
+
+  async markResolved(req, conflict, { resolution, notes = null, createdReferralId = null, createdLeadId = null }) {
+    const { data: resolved, error } = await supabaseAdmin
+      .from('registration_conflicts')
+      .update({
+        status: resolution,
+        resolution_notes: notes,
+        resolved_by: req.internalUser.id,
+        resolved_at: new Date().toISOString(),
+        ...(createdReferralId && { created_referral_id: createdReferralId }),
+        ...(createdLeadId && { created_lead_id: createdLeadId })
+      })
+      .eq('id', conflict.id)
+      .eq('status', 'pending')
+      .select()
+      .maybeSingle();
+
+    if (error) {
+      console.error('❌ Registration conflict resolve error:', error);
+      throw new Error('Failed to resolve registration conflict');
+    }
+
+    if (resolved) {
+      await auditService.log(req, {
+        action: 'resolve',
+        resourceType: 'registration_conflicts',
+        resourceId: conflict.id,
+        oldValues: { status: conflict.status },
+        newValues: { status: resolved.status, resolution_notes: notes },
+        notes
+      });
+    }
+
+    return resolved;
+  }
+}
+
+export default new RegistrationConflictService();
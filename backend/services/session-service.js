@@ -0,0 +1,248 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { supabaseAdmin } from '../config/supabase.js';
+
+export const INTERNAL_TOKEN_ISSUER = 'cryptware-internal';
+
+class SessionService {
+  constructor() {
+    this.accessTokenTtl = process.env.JWT_EXPIRES_IN || '15m';
+    this.refreshTokenTtlMs = parseInt(process.env.JWT_REFRESH_EXPIRES_DAYS || '7') * 24 * 60 * 60 * 1000;
+  }
+
+  getSecret() {
+    if (!process.env.JWT_SECRET) {
+      throw new Error('JWT_SECRET is not configured');
+    }
+    return process.env.JWT_SECRET;
+  }
+
+  hashToken(secret) {
+    return crypto.createHash('sha256').update(secret).digest('hex');
+  }
+
+  // Refresh tokens are "<session id>.<random secret>"; only the hash of the secret is stored
+  buildRefreshToken(sessionId) {
+    const secret = crypto.randomBytes(48).toString('base64url');
+    return {
+      refreshToken: `${sessionId}.${secret}`,
+      refreshTokenHash: this.hashToken(secret)
+    };
+  }
+
+  signAccessToken(internalUser, sessionId) {
+    return jwt.sign(
+      {
+        sub: internalUser.id,
+        sid: sessionId,
+        email: internalUser.email,
+        role: internalUser.role,
+        user_type: 'internal'
+      },
+      this.getSecret(),
+      {
+        issuer: INTERNAL_TOKEN_ISSUER,
+        expiresIn: this.accessTokenTtl
+      }
+    );
+  }
+
+  buildSessionResponse(accessToken, refreshToken, expiresAt) {
+    const { exp } = jwt.decode(accessToken);
+
+    return {
+      access_token: accessToken,
+      refresh_token: refreshToken,
+      token_type: 'bearer',
+      expires_in: exp - Math.floor(Date.now() / 1000),
+      expires_at: exp,
+      refresh_expires_at: expiresAt
+    };
+  }
+
+  // Returns true when the bearer token was issued by us rather than Supabase Auth
+  isInternalToken(token) {
+    const decoded = jwt.decode(token);
+    return decoded?.iss === INTERNAL_TOKEN_ISSUER;
+  }
+
+  // Create a new session row and issue the first access/refresh token pair
+  async createSession(internalUser, { ipAddress, userAgent } = {}) {
+    const sessionId = crypto.randomUUID();
+    const { refreshToken, refreshTokenHash } = this.buildRefreshToken(sessionId);
+    const expiresAt = new Date(Date.now() + this.refreshTokenTtlMs).toISOString();
+
+    const { error } = await supabaseAdmin
+      .from('internal_sessions')
+      .insert({
+        id: sessionId,
+        internal_user_id: internalUser.id,
+        refresh_token_hash: refreshTokenHash,
+        ip_address: ipAddress || null,
+        user_agent: userAgent || null,
+        expires_at: expiresAt,
+        last_used_at: new Date().toISOString()
+      });
+
+    if (error) {
+      console.error('❌ Session creation error:', error);
+      throw new Error('Failed to create session');
+    }
+
+    const accessToken = this.signAccessToken(internalUser, sessionId);
+    return this.buildSessionResponse(accessToken, refreshToken, expiresAt);
+  }
+
+  // Verify an access token and make sure its session has not been revoked
+  async verifyAccessToken(token) {
+    let payload;
+    try {
+      payload = jwt.verify(token, this.getSecret(), { issuer: INTERNAL_TOKEN_ISSUER });
+    } catch (error) {
+      return {
+        valid: false,
+        message: error.name === 'TokenExpiredError' ? 'Session expired' : 'Invalid session token'
+      };
+    }
+
+    const { data: session, error } = await supabaseAdmin
+      .from('internal_sessions')
+      .select('id, internal_user_id, expires_at, revoked_at')
+      .eq('id', payload.sid)
+      .single();
+
+    if (error || !session || session.internal_user_id !== payload.sub) {
+      return { valid: false, message: 'Session not found' };
+    }
+
+    if (session.revoked_at) {
+      return { valid: false, message: 'Session has been revoked' };
+    }
+
+    if (new Date(session.expires_at) <= new Date()) {
+      return { valid: false, message: 'Session expired' };
+    }
+
+    return { valid: true, payload, session };
+  }
+
+  // Rotate the refresh token and issue a fresh access token
+  async refreshSession(refreshToken, { ipAddress, userAgent } = {}) {
+    const [sessionId, secret] = (refreshToken || '').split('.');
+
+    if (!sessionId || !secret) {
+      return { success: false, message: 'Invalid refresh token' };
+    }
+
+    const { data: session, error } = await supabaseAdmin
+      .from('internal_sessions')
+      .select(`
+        *,
+        internal_users:internal_user_id (id, name, email, role, is_active)
+      `)
+      .eq('id', sessionId)
+      .single();
+
+    if (error || !session || session.revoked_at) {
+      return { success: false, message: 'Invalid refresh token' };
+    }
+
+    if (session.refresh_token_hash !== this.hashToken(secret)) {
+      // A rotated-out token is being replayed: assume it was stolen and kill the session
+      console.warn(`🚨 Refresh token reuse detected for session: ${sessionId}`);
+      await this.revokeSession(sessionId, 'refresh_token_reuse');
+      return { success: false, message: 'Invalid refresh token' };
+    }
+
+    if (new Date(session.expires_at) <= new Date()) {
+      return { success: false, message: 'Session expired' };
+    }
+
+    const internalUser = session.internal_users;
+    if (!internalUser || !internalUser.is_active) {
+      await this.revokeSession(sessionId, 'user_inactive');
+      return { success: false, message: 'Account is inactive' };
+    }
+
+    const rotated = this.buildRefreshToken(sessionId);
+
+    const { error: updateError } = await supabaseAdmin
+      .from('internal_sessions')
+      .update({
+        refresh_token_hash: rotated.refreshTokenHash,
+        ip_address: ipAddress || session.ip_address,
+        user_agent: userAgent || session.user_agent,
+        last_used_at: new Date().toISOString()
+      })
+      .eq('id', sessionId)
+      .eq('refresh_token_hash', session.refresh_token_hash);
+
+    if (updateError) {
+      console.error('❌ Session refresh error:', updateError);
+      return { success: false, message: 'Failed to refresh session' };
+    }
+
+    const accessToken = this.signAccessToken(internalUser, sessionId);
+
+    return {
+      success: true,
+      user: internalUser,
+      session: this.buildSessionResponse(accessToken, rotated.refreshToken, session.expires_at)
+    };
+  }
+
+  async revokeSession(sessionId, reason = 'logout') {
+    const { error } = await supabaseAdmin
+      .from('internal_sessions')
+      .update({
+        revoked_at: new Date().toISOString(),
+        revoked_reason: reason
+      })
+      .eq('id', sessionId)
+      .is('revoked_at', null);
+
+    if (error) {
+      console.error('❌ Session revocation error:', error);
+      return false;
+    }
+
+    return true;
+  }
+
+  async revokeAllSessions(internalUserId, reason = 'revoked_by_admin') {
+    const { error } = await supabaseAdmin
+      .from('internal_sessions')
+      .update({
+        revoked_at: new Date().toISOString(),
+        revoked_reason: reason
+      })
+      .eq('internal_user_id', internalUserId)
+      .is('revoked_at', null);
+
+    if (error) {
+      console.error('❌ Session revocation error:', error);
+      return false;
+    }
+
+    return true;
+  }
+
+  async listActiveSessions(internalUserId) {
+    const { data: sessions, error } = await supabaseAdmin
+      .from('internal_sessions')
+      .select('id, ip_address, user_agent, created_at, last_used_at, expires_at')
+      .eq('internal_user_id', internalUserId)
+      .is('revoked_at', null)
+      .gt('expires_at', new Date().toISOString())
+      .order('last_used_at', { ascending: false });
+
+    if (error) {
+      console.error('❌ Session list error:', error);
+      throw new Error('Failed to fetch sessions');
+    }
+
+    return sessions || [];
+  }
+}
+
+export default new SessionService();
@@ -0,0 +1,232 @@
+import { supabaseAdmin } from '../config/supabase.js';
+import configService from './config-service.js';
+import commissionAdjustmentService from './commission-adjustment-service.js';
+
+// Nigerian defaults: WHT on commissions, doubled when the partner has no TIN on file, and VAT
+// at the standard rate. All three are overridable through system_config.
+export const DEFAULT_TAX_RATES = {
+  wht_rate: 0.10,
+  wht_rate_no_tin: 0.20,
+  vat_rate: 0.075
+};
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// Withholding tax and VAT on partner commissions. Commission amounts are VAT-inclusive: for
+// partners with a TIN (who can charge VAT) the VAT component is separated out and WHT is
+// withheld on the VAT-exclusive amount. Payouts keep the whole breakdown (gross, VAT, WHT,
+// clawback, net) as it stood when they were requested, so later rate changes never alter them.
+class TaxService {
+  async getRates() {
+    const [whtRate, whtRateNoTin, vatRate] = await Promise.all([
+      configService.getNumber('wht_rate', DEFAULT_TAX_RATES.wht_rate),
+      configService.getNumber('wht_rate_no_tin', DEFAULT_TAX_RATES.wht_rate_no_tin),
+      configService.getNumber('vat_rate', DEFAULT_TAX_RATES.vat_rate)
+    ]);
+
+    return { wht_rate: whtRate, wht_rate_no_tin: whtRateNoTin, vat_rate: vatRate };
+  }
+
+  hasTin(partner) {
+    return !!(partner?.tin_number && partner.tin_number.trim());
+  }
+
+  // Tax on a gross commission amount for a partner
+  async calculate(partner, grossAmount) {
+    const rates = await this.getRates();
+    const tinOnFile = this.hasTin(partner);
+
+    const vatRate = tinOnFile ? rates.vat_rate : 0;
+    const vatAmount = round2(grossAmount * vatRate / (1 + vatRate));
+    const taxableAmount = round2(grossAmount - vatAmount);
+    const whtRate = tinOnFile ? rates.wht_rate : rates.wht_rate_no_tin;
+    const whtAmount = round2(taxableAmount * whtRate);
+
+    return {
+      gross_amount: grossAmount,
+      tin_on_file: tinOnFile,
+      vat_rate: vatRate,
+      vat_amount: vatAmount,
+      taxable_amount: taxableAmount,
+      wht_rate: whtRate,
+      wht_amount: whtAmount
+    };
+  }
+
+  // Everything a new payout stores for a withdrawal of `amount`: tax on the withdrawal, plus any
+  // outstanding clawback settled on top of it out of the partner's commission. gross_amount is
+  // the commission the payout consumes; amount is the net sent to the partner.
+  async splitPayout(partnerId, amount) {
+    const [{ data: partner }, clawbackBalance] = await Promise.all([
+      supabaseAdmin
+        .from('partners')
+        .select('id, tin_number')
+        .eq('id', partnerId)
+        .single(),
+      commissionAdjustmentService.getClawbackBalance(partnerId)
+    ]);
+
+    const tax = await this.calculate(partner, amount);
+
+    return {
+      ...tax,
+      gross_amount: round2(amount + clawbackBalance),
+      clawback_deducted: clawbackBalance,
+      amount: round2(amount - tax.wht_amount)
+    };
+  }
+
+  // ==================== CREDIT NOTES ====================
+  creditNoteNumber(payout) {
+    const year = new Date(payout.processed_at || payout.requested_at || payout.created_at).getFullYear();
+    return `WHT/${year}/${payout.id.replace(/-/g, '').slice(0, 8).toUpperCase()}`;
+  }
+
+  // Printable WHT credit note for a paid payout, for the partner to claim the tax withheld.
+  // Returns null when nothing was withheld.
+  async buildCreditNote(payout) {
+    if (payout.status !== 'paid' || !(payout.wht_amount > 0)) return null;
+
+    const issuer = await configService.get('company_name', 'Cryptware Systems Ltd');
+    const issuerTin = await configService.get('company_tin', '');
+    const partner = payout.partners || {};
+    const money = (amount) => `₦${(Number(amount) || 0).toLocaleString('en-NG', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+    const escape = (value) => String(value ?? '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    const number = this.creditNoteNumber(payout);
+    const paidOn = new Date(payout.processed_at).toLocaleDateString('en-GB', { day: 'numeric', month: 'long', year: 'numeric' });
+
+    const rows = [
+      ['Gross commission', money(payout.gross_amount)],
+      ...(payout.vat_amount > 0 ? [[`VAT (${(payout.vat_rate * 100).toFixed(1)}%)`, money(payout.vat_amount)]] : []),
+      ['Amount subject to WHT', money(payout.taxable_amount)],
+      [`Withholding tax (${(payout.wht_rate * 100).toFixed(1)}%)`, money(payout.wht_amount), true],
+      ...(payout.clawback_deducted > 0 ? [['Clawback recovered', money(payout.clawback_deducted)]] : []),
+      ['Net amount paid', money(payout.amount)]
+    ];
+
+    const html = `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>WHT Credit Note ${escape(number)}</title>
+<style>
+  body { font-family: Arial, sans-serif; color: #111827; max-width: 720px; margin: 40px auto; padding: 0 24px; }
+  h1 { font-size: 22px; margin-bottom: 4px; }
+  .muted { color: #6b7280; font-size: 13px; }
+  .parties { display: flex; justify-content: space-between; margin: 32px 0; font-size: 14px; }
+  table { width: 100%; border-collapse: collapse; font-size: 14px; }
+  td { padding: 10px 0; border-bottom: 1px solid #e5e7eb; }
+  td:last-child { text-align: right; }
+  tr.total td { font-weight: bold; border-bottom: 2px solid #111827; }
+  .note { margin-top: 32px; font-size: 12px; color: #4b5563; }
+</style>
+</head>
+<body>
+  <h1>Withholding Tax Credit Note</h1>
+  <div class="muted">No. ${escape(number)} &middot; Issued ${escape(paidOn)}</div>
+
+  <div class="parties">
+    <div>
+      <strong>Issued by</strong><br>
+      ${escape(issuer)}<br>
+      ${issuerTin ? `TIN: ${escape(issuerTin)}` : ''}
+    </div>
+    <div style="text-align: right;">
+      <strong>Issued to</strong><br>
+      ${escape(partner.company_name)}<br>
+      ${partner.tin_number ? `TIN: ${escape(partner.tin_number)}` : 'No TIN on file'}<br>
+      ${partner.cac_number ? `RC: ${escape(partner.cac_number)}` : ''}
+    </div>
+  </div>
+
+  <table>
+    ${rows.map(([label, value, total]) => `<tr${total ? ' class="total"' : ''}><td>${escape(label)}</td><td>${escape(value)}</td></tr>`).join('\n    ')}
+  </table>
+
+  <p class="note">
+    Tax withheld on commission for ${escape(payout.referrals?.prospect_company_name || 'referral')}
+    (payment reference ${escape(payout.payment_reference || payout.id)}).
+    This amount is remitted to the relevant tax authority on the partner's behalf and may be
+    claimed as a credit against the partner's income tax liability.
+  </p>
+</body>
+</html>`;
+
+    return { number, html, filename: `${number.replace(/\//g, '-')}.html` };
+  }
+
+  // ==================== REPORTING ====================
+  // Tax on payouts paid in [from, to): totals, per month and per partner (the WHT schedule)
+  async getSummary({ from, to }) {
+    const { data: payouts, error } = await supabaseAdmin
+      .from('partner_payouts')
+      .select(`
+        id, partner_id, amount, gross_amount, vat_amount, taxable_amount, wht_rate, wht_amount, clawback_deducted, processed_at,
+        partners (company_name, tin_number, cac_number)
+      `)
+      .eq('status', 'paid')
+      .gte('processed_at', from)
+      .lt('processed_at', to)
+      .order('processed_at', { ascending: true });
+
+    if (error) {
+      console.error('❌ Tax summary error:', error);
+      throw new Error('Failed to fetch payouts for tax summary');
+    }
+
+    const blank = () => ({ payouts: 0, gross_amount: 0, vat_amount: 0, taxable_amount: 0, wht_amount: 0, net_paid: 0 });
+    const add = (totals, p) => {
+      totals.payouts++;
+      totals.gross_amount = round2(totals.gross_amount + (p.gross_amount ?? p.amount ?? 0));
+      totals.vat_amount = round2(totals.vat_amount + (p.vat_amount || 0));
+      totals.taxable_amount = round2(totals.taxable_amount + (p.taxable_amount ?? p.gross_amount ?? p.amount ?? 0));
+      totals.wht_amount = round2(totals.wht_amount + (p.wht_amount || 0));
+      totals.net_paid = round2(totals.net_paid + (p.amount || 0));
+      return totals;
+    };
+
+    const totals = blank();
+    const withTin = blank();
+    const withoutTin = blank();
+    const months = {};
+    const partners = {};
+
+    (payouts || []).forEach(p => {
+      add(totals, p);
+      add(this.hasTin(p.partners) ? withTin : withoutTin, p);
+
+      const month = p.processed_at.slice(0, 7);
+      add(months[month] = months[month] || { month, ...blank() }, p);
+
+      partners[p.partner_id] = partners[p.partner_id] || {
+        partner_id: p.partner_id,
+        company_name: p.partners?.company_name,
+        tin_number: p.partners?.tin_number || null,
+        cac_number: p.partners?.cac_number || null,
+        ...blank()
+      };
+      add(partners[p.partner_id], p);
+    });
+
+    return {
+      from,
+      to,
+      rates: await this.getRates(),
+      totals,
+      by_tin_status: { with_tin: withTin, without_tin: withoutTin },
+      by_month: Object.values(months),
+      by_partner: Object.values(partners).sort((a, b) => b.wht_amount - a.wht_amount)
+    };
+  }
+
+  summaryToCsv(summary) {
+    const csvHeaders = 'Partner,TIN,RC Number,Payouts,Gross Commission,VAT,Amount Subject to WHT,WHT Withheld,Net Paid\n';
+    const csvRows = summary.by_partner.map(p =>
+      `"${(p.company_name || '').replace(/"/g, '""')}","${p.tin_number || ''}","${p.cac_number || ''}",${p.payouts},${p.gross_amount},${p.vat_amount},${p.taxable_amount},${p.wht_amount},${p.net_paid}`
+    ).join('\n');
+
+    return csvHeaders + csvRows;
+  }
+}
+
+export default new TaxService();
@@ -0,0 +1,459 @@
+import crypto from 'crypto';
+import { supabaseAdmin } from '../config/supabase.js';
+import configService from './config-service.js';
+import emailService from './email-service.js';
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const TOTP_PERIOD_SECONDS = 30;
+const TOTP_DIGITS = 6;
+const CHALLENGE_TTL_MS = 10 * 60 * 1000;
+const EMAIL_CODE_TTL_MS = 10 * 60 * 1000;
+const MAX_CHALLENGE_ATTEMPTS = 5;
+const RECOVERY_CODE_COUNT = 10;
+
+class TwoFactorService {
+  // ==================== RFC 4648 BASE32 ====================
+  base32Encode(buffer) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+
+    for (const byte of buffer) {
+      value = (value << 8) | byte;
+      bits += 8;
+      while (bits >= 5) {
+        output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+        bits -= 5;
+      }
+    }
+
+    if (bits > 0) {
+      output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+
+    return output;
+  }
+
+  base32Decode(input) {
+    const clean = input.toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+    let bits = 0;
+    let value = 0;
+    const output = [];
+
+    for (const char of clean) {
+      const index = BASE32_ALPHABET.indexOf(char);
+      if (index === -1) {
+        throw new Error('Invalid base32 character');
+      }
+      value = (value << 5) | index;
+      bits += 5;
+      if (bits >= 8) {
+        output.push((value >>> (bits - 8)) & 255);
+        bits -= 8;
+      }
+    }
+
+    return Buffer.from(output);
+  }
+
+  // ==================== RFC 6238 TOTP ====================
+  generateSecret() {
+    return this.base32Encode(crypto.randomBytes(20));
+  }
+
+  generateTOTP(secret, step) {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+
+    const hmac = crypto.createHmac('sha1', this.base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 0xf;
+    const binary = ((hmac[offset] & 0x7f) << 24)
+      | (hmac[offset + 1] << 16)
+      | (hmac[offset + 2] << 8)
+      | hmac[offset + 3];
+
+    return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+  }
+
+  currentStep(now = Date.now()) {
+    return Math.floor(now / 1000 / TOTP_PERIOD_SECONDS);
+  }
+
+  // Accepts the previous, current and next step to allow for clock drift.
+  // Steps at or before lastUsedStep are rejected so a code cannot be replayed.
+  verifyTOTP(secret, code, lastUsedStep = null) {
+    if (!/^\d{6}$/.test(String(code || ''))) {
+      return { valid: false };
+    }
+
+    const now = this.currentStep();
+    for (const step of [now - 1, now, now + 1]) {
+      if (lastUsedStep !== null && step <= lastUsedStep) continue;
+
+      const expected = Buffer.from(this.generateTOTP(secret, step));
+      if (crypto.timingSafeEqual(expected, Buffer.from(String(code)))) {
+        return { valid: true, step };
+      }
+    }
+
+    return { valid: false };
+  }
+
+  buildOtpauthUrl(secret, accountName) {
+    const issuer = 'Cryptware';
+    const label = encodeURIComponent(`${issuer}:${accountName}`);
+    return `otpauth://totp/${label}?secret=${secret}&issuer=${issuer}&algorithm=SHA1&digits=${TOTP_DIGITS}&period=${TOTP_PERIOD_SECONDS}`;
+  }
+
+  // ==================== SECRET ENCRYPTION ====================
+  getEncryptionKey() {
+    const keyMaterial = process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET;
+    if (!keyMaterial) {
+      throw new Error('TWO_FACTOR_ENCRYPTION_KEY is not configured');
+    }
+    return crypto.createHash('sha256').update(keyMaterial).digest();
+  }
+
+  encryptSecret(secret) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', this.getEncryptionKey(), iv);
+    const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+    return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join(':');
+  }
+
+  decryptSecret(payload) {
+    const [iv, tag, encrypted] = payload.split(':').map(part => Buffer.from(part, 'base64'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', this.getEncryptionKey(), iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+  }
+
+  hash(value) {
+    return crypto.createHash('sha256').update(value).digest('hex');
+  }
+
+  // ==================== ENROLLMENT ====================
+  async getEnrollment(userId) {
+    const { data } = await supabaseAdmin
+      .from('user_two_factor')
+      .select('*')
+      .eq('user_id', userId)
+      .maybeSingle();
+
+    return data || null;
+  }
+
+  async isEnabled(userId) {
+    const enrollment = await this.getEnrollment(userId);
+    return !!enrollment?.enabled;
+  }
+
+  async isRequiredForRole(role) {
+    const requiredRoles = await configService.getJSON('two_factor_required_roles', []);
+    return Array.isArray(requiredRoles) && requiredRoles.includes(role);
+  }
+
+  // Generate a pending secret; it only becomes active once a code is confirmed
+  async startEnrollment(userId, userType, accountName) {
+    const existing = await this.getEnrollment(userId);
+    if (existing?.enabled) {
+      throw new Error('Two-factor authentication is already enabled');
+    }
+
+    const secret = this.generateSecret();
+
+    const { error } = await supabaseAdmin
+      .from('user_two_factor')
+      .upsert({
+        user_id: userId,
+        user_type: userType,
+        pending_secret_encrypted: this.encryptSecret(secret),
+        enabled: false,
+        updated_at: new Date().toISOString()
+      }, { onConflict: 'user_id' });
+
+    if (error) {
+      console.error('❌ 2FA enrollment error:', error);
+      throw new Error('Failed to start two-factor enrollment');
+    }
+
+    return {
+      secret,
+      otpauth_url: this.buildOtpauthUrl(secret, accountName)
+    };
+  }
+
+  async confirmEnrollment(userId, code) {
+    const enrollment = await this.getEnrollment(userId);
+    if (!enrollment?.pending_secret_encrypted) {
+      return { success: false, message: 'No pending two-factor enrollment' };
+    }
+
+    const secret = this.decryptSecret(enrollment.pending_secret_encrypted);
+    const result = this.verifyTOTP(secret, code);
+    if (!result.valid) {
+      return { success: false, message: 'Invalid authentication code' };
+    }
+
+    const { error } = await supabaseAdmin
+      .from('user_two_factor')
+      .update({
+        secret_encrypted: enrollment.pending_secret_encrypted,
+        pending_secret_encrypted: null,
+        enabled: true,
+        enrolled_at: new Date().toISOString(),
+        last_used_step: result.step,
+        updated_at: new Date().toISOString()
+      })
+      .eq('user_id', userId);
+
+    if (error) {
+      console.error('❌ 2FA confirmation error:', error);
+      return { success: false, message: 'Failed to enable two-factor authentication' };
+    }
+
+    const recoveryCodes = await this.regenerateRecoveryCodes(userId);
+    return { success: true, recoveryCodes };
+  }
+
+  async disable(userId) {
+    await supabaseAdmin.from('two_factor_recovery_codes').delete().eq('user_id', userId);
+
+    const { error } = await supabaseAdmin
+      .from('user_two_factor')
+      .delete()
+      .eq('user_id', userId);
+
+    if (error) {
+      console.error('❌ 2FA disable error:', error);
+      throw new Error('Failed to disable two-factor authentication');
+    }
+  }
+
+  async regenerateRecoveryCodes(userId) {
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+      const raw = crypto.randomBytes(5).toString('hex');
+      return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+    });
+
+    await supabaseAdmin.from('two_factor_recovery_codes').delete().eq('user_id', userId);
+
+    const { error } = await supabaseAdmin
+      .from('two_factor_recovery_codes')
+      .insert(codes.map(code => ({
+        user_id: userId,
+        code_hash: this.hash(code)
+      })));
+
+    if (error) {
+      console.error('❌ Recovery code storage error:', error);
+      throw new Error('Failed to generate recovery codes');
+    }
+
+    return codes;
+  }
+
+  async countRecoveryCodes(userId) {
+    const { count } = await supabaseAdmin
+      .from('two_factor_recovery_codes')
+      .select('*', { count: 'exact', head: true })
+      .eq('user_id', userId)
+      .is('used_at', null);
+
+    return count || 0;
+  }
+
+  // Check a TOTP or one-time recovery code for an enrolled user
+  async verifyFactor(userId, { code, recoveryCode }) {
+    const enrollment = await this.getEnrollment(userId);
+    if (!enrollment?.enabled) {
+      return { valid: false };
+    }
+
+    if (code) {
+      const secret = this.decryptSecret(enrollment.secret_encrypted);
+      const result = this.verifyTOTP(secret, code, enrollment.last_used_step);
+      if (!result.valid) {
+        return { valid: false };
+      }
+
+      // Only the first of two parallel logins with the same code moves last_used_step past it
+      const { data: used, error } = await supabaseAdmin
+        .from('user_two_factor')
+        .update({ last_used_step: result.step, updated_at: new Date().toISOString() })
+        .eq('user_id', userId)
+        .or(`last_used_step.is.null,last_used_step.lt.${result.step}`)
+        .select('user_id')
+        .maybeSingle();
+
+      if (error) {
+        console.error('❌ 2FA step update error:', error);
+        throw new Error('Failed to verify two-factor code');
+      }
+
+      return used ? { valid: true, method: 'totp' } : { valid: false };
+    }
+
+    if (recoveryCode) {
+      const { data: stored } = await supabaseAdmin
+        .from('two_factor_recovery_codes')
+        .select('id')
+        .eq('user_id', userId)
+        .eq('code_hash', this.hash(recoveryCode.trim().toLowerCase()))
+        .is('used_at', null)
+        .maybeSingle();
+
+      if (!stored) {
+        return { valid: false };
+      }
+
+      const { data: used, error } = await supabaseAdmin
+        .from('two_factor_recovery_codes')
+        .update({ used_at: new Date().toISOString() })
+        .eq('id', stored.id)
+        .is('used_at', null)
+        .select('id')
+        .maybeSingle();
+
+      if (error) {
+        console.error('❌ Recovery code use error:', error);
+        throw new Error('Failed to verify recovery code');
+      }
+
+      return used ? { valid: true, method: 'recovery_code' } : { valid: false };
+    }
+
+    return { valid: false };
+  }
+
+  // ==================== LOGIN CHALLENGES ====================
+  // purpose: 'login' (second step for enrolled users) or 'enrollment' (2FA mandated but not set up)
+  async createChallenge({ userId, userType, email, purpose = 'login', pendingSession = null }) {
+    const token = crypto.randomBytes(32).toString('base64url');
+
+    const { error } = await supabaseAdmin
+      .from('two_factor_challenges')
+      .insert({
+        token_hash: this.hash(token),
+        user_id: userId,
+        user_type: userType,
+        email,
+        purpose,
+        pending_session: pendingSession,
+        failed_attempts: 0,
+        expires_at: new Date(Date.now() + CHALLENGE_TTL_MS).toISOString()
+      });
+
+    if (error) {
+      console.error('❌ 2FA challenge creation error:', error);
+      throw new Error('Failed to create two-factor challenge');
+    }
+
+    return token;
+  }
+
+  async getChallenge(token) {
+    if (!token) return null;
+
+    const { data: challenge } = await supabaseAdmin
+      .from('two_factor_challenges')
+      .select('*')
+      .eq('token_hash', this.hash(token))
+      .is('consumed_at', null)
+      .gt('expires_at', new Date().toISOString())
+      .maybeSingle();
+
+    if (!challenge || challenge.failed_attempts >= MAX_CHALLENGE_ATTEMPTS) {
+      return null;
+    }
+
+    return challenge;
+  }
+
+  // Each code checked against a challenge takes one of its attempts first, so parallel guesses
+  // cannot get past MAX_CHALLENGE_ATTEMPTS (as otp-service.js takeAttempt). Adds one to
+  // failed_attempts if nobody else has since `challenge` was read, re-reading and trying again
+  // otherwise. Returns { attempt, attemptsRemaining }, or { attempt: null } once the challenge
+  // is consumed or out of attempts.
+  async takeAttempt(challenge) {
+    let current = challenge;
+
+    while (current && !current.consumed_at && current.failed_attempts < MAX_CHALLENGE_ATTEMPTS) {
+      const { data: updated, error } = await supabaseAdmin
+        .from('two_factor_challenges')
+        .update({ failed_attempts: current.failed_attempts + 1 })
+        .eq('id', current.id)
+        .eq('failed_attempts', current.failed_attempts)
+        .is('consumed_at', null)
+        .select('*')
+        .maybeSingle();
+
+      if (error) {
+        console.error('❌ 2FA attempt error:', error);
+        throw new Error('Failed to verify two-factor code');
+      }
+
+      if (updated) {
+        return { attempt: updated, attemptsRemaining: MAX_CHALLENGE_ATTEMPTS - updated.failed_attempts };
+      }
+
+      const { data: latest } = await supabaseAdmin
+        .from('two_factor_challenges')
+        .select('*')
+        .eq('id', current.id)
+        .maybeSingle();
+
+      current = latest;
+    }
+
+    return { attempt: null, attemptsRemaining: 0 };
+  }
+
+  // Spends the challenge; false if a parallel request already has, so one challenge signs in once
+  async consumeChallenge(challenge) {
+    const { data: consumed, error } = await supabaseAdmin
+      .from('two_factor_challenges')
+      .update({
+        consumed_at: new Date().toISOString(),
+        pending_session: null,
+        email_code_hash: null
+      })
+      .eq('id', challenge.id)
+      .is('consumed_at', null)
+      .select('id')
+      .maybeSingle();
+
+    if (error) {
+      console.error('❌ 2FA challenge consume error:', error);
+      throw new Error('Failed to complete two-factor verification');
+    }
+
+    return !!consumed;
+  }
+
+  // Email fallback: a one-time code sent to the account's address
+  async sendEmailCode(challenge) {
+    const code = crypto.randomInt(0, 10 ** TOTP_DIGITS).toString().padStart(TOTP_DIGITS, '0');
+
+    await supabaseAdmin
+      .from('two_factor_challenges')
+      .update({
+        email_code_hash: this.hash(code),
+        email_code_expires_at: new Date(Date.now() + EMAIL_CODE_TTL_MS).toISOString()
+      })
+      .eq('id', challenge.id);
+
+    await emailService.sendOTPEmail(challenge.email, code);
+  }
+
+  verifyEmailCode(challenge, code) {
+    if (!challenge.email_code_hash || !code) return false;
+    if (new Date(challenge.email_code_expires_at) <= new Date()) return false;
+
+    const expected = Buffer.from(challenge.email_code_hash);
+    const given = Buffer.from(this.hash(String(code)));
+    return crypto.timingSafeEqual(expected, given);
+  }
+}
+
+export default new TwoFactorService();
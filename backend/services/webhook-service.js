@@ -0,0 +1,314 @@
+import crypto from 'crypto';
+import { supabaseAdmin } from '../config/supabase.js';
+import paystackService from './paystack-service.js';
+import payoutTransferService from './payout-transfer-service.js';
+import paymentService from './payment-service.js';
+import commissionAdjustmentService from './commission-adjustment-service.js';
+import auditService from './audit-service.js';
+
+// Paystack events we act on; anything else is stored and marked ignored
+export const HANDLED_EVENTS = ['transfer.success', 'transfer.failed', 'transfer.reversed', 'charge.success'];
+
+export const WEBHOOK_EVENT_STATUSES = ['received', 'processing', 'processed', 'ignored', 'failed'];
+
+// Statuses a delivery (rather than a replay) may claim an event from
+const UNPROCESSED_STATUSES = ['received', 'failed'];
+
+// A claim this old belongs to a handler that died or timed out; the event may be claimed again
+const CLAIM_TIMEOUT_MS = 5 * 60 * 1000;
+
+// Inbound webhooks are written to webhook_events before anything acts on them. Each event has a
+// key (type + Paystack object id) that is unique per provider, so redelivered events are stored
+// once and only re-run while they have not been processed. An event is claimed before its handler
+// runs, so concurrent deliveries cannot both act on it; a claim left behind by a handler that
+// never finished expires after CLAIM_TIMEOUT_MS. Admins can replay any event not in progress.
+class WebhookService {
+  // ==================== VERIFICATION ====================
+  // Paystack signs the raw request body with HMAC-SHA512 using the secret key
+  verifyPaystackSignature(rawBody, signature) {
+    const secret = process.env.PAYSTACK_SECRET_KEY;
+    if (!secret || !rawBody || !signature) return false;
+
+    const expected = crypto.createHmac('sha512', secret).update(rawBody).digest('hex');
+    const received = String(signature);
+
+    return received.length === expected.length &&
+      crypto.timingSafeEqual(Buffer.from(received), Buffer.from(expected));
+  }
+
+  eventKey(event) {
+    const data = event.data || {};
+    return `${event.event}:${data.id ?? data.transfer_code ?? data.reference ?? crypto.createHash('sha256').update(JSON.stringify(data)).digest('hex')}`;
+  }
+
+  // ==================== STORAGE ====================
+  // Returns { event, duplicate }
+  async store(provider, payload, { ipAddress = null } = {}) {
+    const { data: event, error } = await supabaseAdmin
+      .from('webhook_events')
+      .insert({
+        provider,
+        event_key: this.eventKey(payload),
+        event_type: payload.event,
+        payload,
+        status: 'received',
+        attempts: 0,
+        ip_address: ipAddress
+      })
+      .select()
+      .single();
+
+    if (!error) return { event, duplicate: false };
+
+    if (error.code === '23505') {
+      const { data: existing } = await supabaseAdmin
+        .from('webhook_events')
+        .select('*')
+        .eq('provider', provider)
+        .eq('event_key', this.eventKey(payload))
+        .single();
+
+      return { event: existing, duplicate: true };
+    }
+
+    console.error('❌ Webhook event store error:', error);
+    throw new Error('Failed to store webhook event');
+  }
+
+  async list({ status = null, eventType = null, page = 1, limit = 20 } = {}) {
+    const offset = (page - 1) * limit;
+
+    let query = supabaseAdmin
+      .from('webhook_events')
+      .select('id, provider, event_key, event_type, status, attempts, last_error, result, received_at, processed_at, replayed_at', { count: 'exact' })
+      .order('received_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    if (status) query = query.eq('status', status);
+    if (eventType) query = query.eq('event_type', eventType);
+
+    const { data: events, error, count } = await query;
+
+    if (error) {
+      console.error('❌ Webhook event list error:', error);
+      throw new Error('Failed to fetch webhook events');
+    }
+
+    return { events: events || [], total: count || 0 };
+  }
+
+  async get(id) {
+    const { data: event } = await supabaseAdmin
+      .from('webhook_events')
+      .select(`
+        *,
+        internal_users:replayed_by (name, email)
+      `)
+      .eq('id', id)
+      .single();
+
+    return event || null;
+  }
+
+  // ==================== PROCESSING ====================
+  // Atomically moves an event from one of `from` (or from a stale processing claim) to
+  // processing. Returns the claimed event, or null when it is not in one of those statuses
+  // (already processed, or another delivery is running it).
+  async claim(event, { from = UNPROCESSED_STATUSES } = {}) {
+    const claimedAt = new Date();
+    const staleBefore = new Date(claimedAt.getTime() - CLAIM_TIMEOUT_MS).toISOString();
+
+    const takeFrom = (query) => query
+      .update({ status: 'processing', claimed_at: claimedAt.toISOString() })
+      .eq('id', event.id)
+      .select()
+      .maybeSingle();
+
+    let { data: claimed, error } = await takeFrom(supabaseAdmin.from('webhook_events')).in('status', from);
+
+    if (!claimed && !error) {
+      ({ data: claimed, error } = await takeFrom(supabaseAdmin.from('webhook_events'))
+        .eq('status', 'processing')
+        .or(`claimed_at.is.null,claimed_at.lt.${staleBefore}`));
+
+      if (claimed) console.warn(`⚠️ Taking over stale claim on webhook event ${event.id}`);
+    }
+
+    if (error) {
+      console.error('❌ Webhook event claim error:', error);
+      throw new Error('Failed to claim webhook event');
+    }
+
+    return claimed || null;
+  }
+
+  // Run the handler for a claimed event and record the outcome on it. Never throws:
+  // a failed event is kept with its error for inspection and replay.
+  async process(event, { replayedBy = null } = {}) {
+    const fields = { attempts: (event.attempts || 0) + 1 };
+    if (replayedBy) {
+      fields.replayed_by = replayedBy;
+      fields.replayed_at = new Date().toISOString();
+    }
+
+    try {
+      const result = await this.dispatch(event.payload, { actorId: replayedBy });
+
+      Object.assign(fields, {
+        status: result.ignored ? 'ignored' : 'processed',
+        result,
+        last_error: null,
+        processed_at: new Date().toISOString()
+      });
+
+      console.log(`✅ Webhook ${event.event_type} (${event.id}): ${fields.status}${result.note ? ` - ${result.note}` : ''}`);
+    } catch (error) {
+      console.error(`❌ Webhook ${event.event_type} (${event.id}) failed:`, error);
+      Object.assign(fields, { status: 'failed', last_error: error.message });
+    }
+
+    const { data: updated, error } = await supabaseAdmin
+      .from('webhook_events')
+      .update(fields)
+      .eq('id', event.id)
+      .select()
+      .single();
+
+    if (error) {
+      console.error('❌ Webhook event update error:', error);
+    }
+
+    return updated || { ...event, ...fields };
+  }
+
+  async dispatch(payload, { actorId }) {
+    switch (payload.event) {
+      case 'transfer.success':
+      case 'transfer.failed':
+      case 'transfer.reversed':
+        return this.handleTransfer(payload, { actorId });
+      case 'charge.success':
+        return this.handleCharge(payload, { actorId });
+      default:
+        return { ignored: true, note: `Unhandled event type ${payload.event}` };
+    }
+  }
+
+  async handleTransfer(payload, { actorId }) {
+    const transfer = paystackService.formatTransfer({
+      ...payload.data,
+      // The event name is authoritative for the outcome
+      status: payload.event.split('.')[1]
+    });
+
+    const payout = await payoutTransferService.getPayoutByReference(transfer.reference);
+    if (!payout) {
+      return { ignored: true, note: `No payout with transfer reference ${transfer.reference}` };
+    }
+
+    const updated = await payoutTransferService.applyTransferResult(payout, transfer, { actorId });
+
+    return {
+      payout_id: payout.id,
+      payout_status: updated.status,
+      transfer_status: updated.transfer_status
+    };
+  }
+
+  // A successful charge confirms a pending payment carrying its reference, or records a new
+  // payment when the charge metadata names the referral (referral_id, referral_code or lead_id)
+  async handleCharge(payload, { actorId }) {
+    const charge = payload.data || {};
+    const amount = (charge.amount || 0) / 100;
+    const paymentDate = (charge.paid_at || charge.paidAt || new Date().toISOString()).split('T')[0];
+
+    const existing = await paymentService.findByTransactionReference(charge.reference);
+
+    if (existing) {
+      if (existing.status === 'confirmed') {
+        return { payment_id: existing.id, note: 'Payment already confirmed' };
+      }
+      if (existing.status !== 'pending') {
+        return { ignored: true, note: `Payment ${existing.id} is ${existing.status}; not confirming from webhook` };
+      }
+
+      const { data: confirmed, error } = await supabaseAdmin
+        .from('client_payments')
+        .update({ status: 'confirmed', amount, payment_date: paymentDate, updated_at: new Date().toISOString() })
+        .eq('id', existing.id)
+        .select()
+        .single();
+
+      if (error) {
+        console.error('❌ Payment confirmation error:', error);
+        throw new Error('Failed to confirm payment');
+      }
+
+      const change = await commissionAdjustmentService.applyPaymentChange(existing, confirmed, {
+        reason: `Confirmed by Paystack charge ${charge.reference}`,
+        createdBy: actorId
+      });
+
+      return { payment_id: confirmed.id, commission: change.commission, note: 'Pending payment confirmed' };
+    }
+
+    const referralId = await this.resolveChargeReferral(charge.metadata);
+    if (!referralId) {
+      return { ignored: true, note: `No payment or referral matches charge ${charge.reference}` };
+    }
+
+    const { payment, commissionResult } = await paymentService.recordPayment({
+      referralId,
+      amount,
+      paymentDate,
+      paymentMethod: 'paystack',
+      transactionReference: charge.reference,
+      recordedBy: actorId
+    });
+
+    await auditService.log(null, {
+      userId: actorId,
+      userType: actorId ? 'internal' : 'system',
+      action: 'create',
+      resourceType: 'client_payments',
+      resourceId: payment.id,
+      newValues: payment,
+      notes: `Recorded from Paystack charge ${charge.reference}`
+    });
+
+    return { payment_id: payment.id, commission: commissionResult.commission, note: 'Payment recorded' };
+  }
+
+  async resolveChargeReferral(metadata) {
+    let meta = metadata || {};
+    if (typeof meta === 'string') {
+      try {
+        meta = JSON.parse(meta);
+      } catch {
+        return null;
+      }
+    }
+
+    if (meta.referral_id) {
+      const { data: referral } = await supabaseAdmin
+        .from('referrals').select('id').eq('id', meta.referral_id).maybeSingle();
+      return referral?.id || null;
+    }
+
+    if (meta.referral_code) {
+      const { data: referral } = await supabaseAdmin
+        .from('referrals').select('id').eq('referral_code', meta.referral_code).maybeSingle();
+      return referral?.id || null;
+    }
+
+    if (meta.lead_id) {
+      const { data: lead } = await supabaseAdmin
+        .from('leads').select('referral_id').eq('id', meta.lead_id).maybeSingle();
+      return lead?.referral_id || null;
+    }
+
+    return null;
+  }
+}
+
+export default new WebhookService();
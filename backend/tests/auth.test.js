@@ -0,0 +1,232 @@
+import { createTestApp, bearer, PARTNER_PASSWORD, STAFF_PASSWORD } from './helpers/test-app.js';
+
+let ctx;
+
+beforeAll(async () => {
+  ctx = await createTestApp();
+});
+
+afterAll(async () => {
+  await ctx?.close();
+});
+
+// Parallel verifications go straight to the service: through HTTP the test app handles them one
+// after another
+describe('OTP guessing', () => {
+  let otpService;
+  let registrations = 0;
+
+  beforeAll(async () => {
+    ({ default: otpService } = await import('../services/otp-service.js'));
+  });
+
+  async function register() {
+    registrations += 1;
+    const email = `guess${registrations}@acme.test`;
+    const res = await ctx.api.post('/api/auth/register').send({
+      companyName: `Guess ${registrations} Ltd`,
+      contactName: 'Ada Obi',
+      email,
+      phone: `0801111${String(registrations).padStart(4, '0')}`,
+      password: PARTNER_PASSWORD
+    });
+
+    return { id: res.body.data.partnerId, email };
+  }
+
+  test('parallel wrong guesses cannot get past the attempt limit', async () => {
+    const partner = await register();
+    const code = ctx.lastOtp(partner.email);
+    const wrong = code === '000000' ? '111111' : '000000';
+
+    await Promise.all(Array.from({ length: 8 }, () => otpService.verify(partner, wrong)));
+
+    const { rows: [otp] } = await ctx.db.query('select failed_attempts, locked_at from partner_otps where partner_id = $1', [partner.id]);
+    expect(otp.failed_attempts).toBe(5);
+    expect(otp.locked_at).not.toBeNull();
+
+    expect(await otpService.verify(partner, code)).toMatchObject({ valid: false, locked: true });
+  });
+
+  test('a code is only used once', async () => {
+    const partner = await register();
+    const code = ctx.lastOtp(partner.email);
+
+    const results = await Promise.all([otpService.verify(partner, code), otpService.verify(partner, code)]);
+
+    expect(results.map(result => result.valid).sort()).toEqual([false, true]);
+  });
+});
+
+describe('partner registration', () => {
+  const email = 'signup@acme.test';
+  let partnerId;
+
+  test('registers an inactive partner and emails an OTP', async () => {
+    const res = await ctx.api.post('/api/auth/register').send({
+      companyName: 'Acme Ltd',
+      contactName: 'Ada Obi',
+      email,
+      phone: '08011112222',
+      password: PARTNER_PASSWORD
+    });
+
+    expect(res.status).toBe(201);
+    expect(res.body.data.email).toBe(email);
+    // The code only travels by email outside development
+    expect(res.body.data.otpCode).toBeUndefined();
+    expect(ctx.lastOtp(email)).toMatch(/^\d{6}$/);
+
+    partnerId = res.body.data.partnerId;
+  });
+
+  test('rejects a second registration for the same email', async () => {
+    const res = await ctx.api.post('/api/auth/register').send({
+      companyName: 'Acme Again',
+      contactName: 'Ada Obi',
+      email,
+      phone: '08011112222',
+      password: PARTNER_PASSWORD
+    });
+
+    expect(res.status).toBe(409);
+  });
+
+  test('refuses to sign in before the email is verified', async () => {
+    const res = await ctx.api.post('/api/auth/login').send({ email, password: PARTNER_PASSWORD });
+
+    expect(res.status).toBe(403);
+    expect(res.body.message).toBe('Partner account is not active');
+  });
+
+  test('rejects a wrong OTP without activating the account', async () => {
+    const wrongCode = ctx.lastOtp(email) === '000000' ? '111111' : '000000';
+    const res = await ctx.api.post('/api/auth/verify-otp').send({ email, partnerId, otpCode: wrongCode });
+
+    expect(res.status).toBe(400);
+    expect(res.body.attemptsRemaining).toBeGreaterThan(0);
+  });
+
+  test('activates the account with the emailed OTP', async () => {
+    const res = await ctx.api.post('/api/auth/verify-otp').send({ email, partnerId, otpCode: ctx.lastOtp(email) });
+
+    expect(res.status).toBe(200);
+    expect(res.body.success).toBe(true);
+  });
+
+  test('signs in and loads the partner profile with the session token', async () => {
+    const login = await ctx.api.post('/api/auth/login').send({ email, password: PARTNER_PASSWORD });
+
+    expect(login.status).toBe(200);
+    expect(login.body.data.userType).toBe('partner');
+    expect(login.body.data.user.password_hash).toBeUndefined();
+
+    const me = await ctx.api.get('/api/auth/me').set(bearer(login.body.data.session.access_token));
+
+    expect(me.status).toBe(200);
+    expect(me.body.data.userType).toBe('partner');
+    expect(me.body.data.user.id).toBe(partnerId);
+  });
+
+  test('rejects a wrong password', async () => {
+    const res = await ctx.api.post('/api/auth/login').send({ email, password: 'not-the-password' });
+
+    expect(res.status).toBe(401);
+  });
+});
+
+describe('internal sign in', () => {
+  test('issues a session carrying the role permissions', async () => {
+    const staff = await ctx.createStaff('finance');
+    const me = await ctx.api.get('/api/auth/me').set(bearer(staff.token));
+
+    expect(me.status).toBe(200);
+    expect(me.body.data.userType).toBe('internal');
+    expect(me.body.data.user.permissions).toContain('payouts.approve');
+    expect(me.body.data.user.password_hash).toBeUndefined();
+  });
+
+  test('holds back the session while a reset is pending', async () => {
+    const staff = await ctx.createStaff('sales');
+    await ctx.db.query('update internal_users set must_reset_password = true where id = $1', [staff.id]);
+
+    const res = await ctx.api.post('/api/auth/login').send({ email: staff.email, password: STAFF_PASSWORD });
+
+    expect(res.status).toBe(403);
+    expect(res.body.code).toBe('PASSWORD_RESET_REQUIRED');
+  });
+});
+
+describe('two-factor sign in', () => {
+  let twoFactorService;
+
+  beforeAll(async () => {
+    ({ default: twoFactorService } = await import('../services/two-factor-service.js'));
+  });
+
+  // A staff member enrolled in 2FA whose current code has not been used yet; returns the secret
+  async function enroll(staff) {
+    const { secret } = await twoFactorService.startEnrollment(staff.id, 'internal', staff.email);
+    await twoFactorService.confirmEnrollment(staff.id, twoFactorService.generateTOTP(secret, twoFactorService.currentStep()));
+    await ctx.db.query('update user_two_factor set last_used_step = null where user_id = $1', [staff.id]);
+    return secret;
+  }
+
+  async function challengeFor(staff) {
+    const res = await ctx.api.post('/api/auth/login').send({ email: staff.email, password: STAFF_PASSWORD });
+    return res.body.data.challenge_token;
+  }
+
+  test('a wrong code uses up an attempt and the right one signs in, once', async () => {
+    const staff = await ctx.createStaff('finance');
+    const secret = await enroll(staff);
+    const challengeToken = await challengeFor(staff);
+    const code = twoFactorService.generateTOTP(secret, twoFactorService.currentStep());
+
+    const wrong = await ctx.api.post('/api/auth/2fa/verify').send({ challengeToken, code: code === '000000' ? '111111' : '000000' });
+    expect(wrong.status).toBe(401);
+    expect(wrong.body.attempts_remaining).toBe(4);
+
+    const right = await ctx.api.post('/api/auth/2fa/verify').send({ challengeToken, code });
+    expect(right.status).toBe(200);
+    expect(right.body.data.session.access_token).toBeTruthy();
+
+    const again = await ctx.api.post('/api/auth/2fa/verify').send({ challengeToken, code });
+    expect(again.status).toBe(401);
+  });
+
+  // As with OTPs, parallel attempts go straight to the service
+  test('parallel guesses cannot get past the attempt limit', async () => {
+    const staff = await ctx.createStaff('finance');
+    const token = await twoFactorService.createChallenge({ userId: staff.id, userType: 'internal', email: staff.email });
+    const challenge = await twoFactorService.getChallenge(token);
+
+    const results = await Promise.all(Array.from({ length: 8 }, () => twoFactorService.takeAttempt(challenge)));
+
+    expect(results.filter(result => result.attempt)).toHaveLength(5);
+    expect(await twoFactorService.getChallenge(token)).toBeNull();
+  });
+
+  test('a challenge signs in once', async () => {
+    const staff = await ctx.createStaff('finance');
+    const token = await twoFactorService.createChallenge({ userId: staff.id, userType: 'internal', email: staff.email });
+    const challenge = await twoFactorService.getChallenge(token);
+
+    const consumed = await Promise.all([twoFactorService.consumeChallenge(challenge), twoFactorService.consumeChallenge(challenge)]);
+
+    expect(consumed.sort()).toEqual([false, true]);
+  });
+
+  test('a code is accepted once, however many logins send it at the same time', async () => {
+    const staff = await ctx.createStaff('finance');
+    const secret = await enroll(staff);
+    const code = twoFactorService.generateTOTP(secret, twoFactorService.currentStep());
+
+    const results = await Promise.all([
+      twoFactorService.verifyFactor(staff.id, { code }),
+      twoFactorService.verifyFactor(staff.id, { code })
+    ]);
+
+    expect(results.map(result => result.valid).sort()).toEqual([false, true]);
+  });
+});
@@ -0,0 +1,79 @@
+import { createTestApp } from './helpers/test-app.js';
+
+let ctx;
+let bankAccountService;
+let finance;
+let partners = 0;
+
+// A partner with verified bank details and a pending request to replace them
+async function pendingChange() {
+  partners += 1;
+  const partner = await ctx.createPartner(`Bank Partners ${partners} Ltd`);
+  await ctx.db.query(
+    `update partners set bank_account_number = '0123456789', bank_code = '044', verified_account_name = 'ACME LIMITED',
+     bank_verified = true where id = $1`,
+    [partner.id]
+  );
+  const { rows: [request] } = await ctx.db.query(
+    `insert into bank_change_requests (partner_id, old_bank_account_number, old_bank_code, new_bank_account_number, new_bank_code, new_account_name)
+     values ($1, '0123456789', '044', '9876543210', '058', 'ACME LIMITED') returning *`,
+    [partner.id]
+  );
+  return { partner, request };
+}
+
+beforeAll(async () => {
+  ctx = await createTestApp();
+  // Imported once the test app has swapped in the in-memory database
+  ({ default: bankAccountService } = await import('../services/bank-account-service.js'));
+  finance = await ctx.createStaff('finance');
+});
+
+afterAll(async () => {
+  await ctx?.close();
+});
+
+describe('change request review', () => {
+  test('an approval applies the change and starts the hold', async () => {
+    const { partner, request } = await pendingChange();
+
+    const result = await bankAccountService.reviewChangeRequest(request.id, { approve: true, reviewerId: finance.id });
+
+    expect(result.success).toBe(true);
+    expect(await ctx.load('partners', partner.id)).toMatchObject({ bank_account_number: '9876543210', bank_code: '058' });
+    expect((await bankAccountService.getPayoutHold(partner.id)).held).toBe(true);
+  });
+
+  test('a request cancelled while it is approved leaves the bank details alone', async () => {
+    const { partner, request } = await pendingChange();
+
+    const [review, cancelled] = await Promise.all([
+      bankAccountService.reviewChangeRequest(request.id, { approve: true, reviewerId: finance.id }),
+      bankAccountService.cancelChangeRequest(request.id, partner.id)
+    ]);
+
+    const { status } = await ctx.load('bank_change_requests', request.id);
+    const { bank_account_number: account } = await ctx.load('partners', partner.id);
+
+    if (cancelled) {
+      expect(review).toMatchObject({ success: false, status: 409 });
+      expect([status, account]).toEqual(['cancelled', '0123456789']);
+    } else {
+      expect(review.success).toBe(true);
+      expect([status, account]).toEqual(['approved', '9876543210']);
+    }
+  });
+
+  test('a request is reviewed once', async () => {
+    const { request } = await pendingChange();
+
+    const results = await Promise.all([
+      bankAccountService.reviewChangeRequest(request.id, { approve: true, reviewerId: finance.id }),
+      bankAccountService.reviewChangeRequest(request.id, { approve: false, reviewerId: finance.id })
+    ]);
+
+    expect(results.map(result => result.success).sort()).toEqual([false, true]);
+    const { rows: changes } = await ctx.db.query('select id from partner_bank_changes where partner_id = $1', [request.partner_id]);
+    expect(changes).toHaveLength(results[0].success ? 1 : 0);
+  });
+});
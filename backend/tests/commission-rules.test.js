@@ -0,0 +1,121 @@
+import { createTestApp, bearer } from './helpers/test-app.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let ctx;
+let commissionService;
+let finance;
+let sales;
+let deals = 0;
+
+const daysFromNow = (days) => new Date(Date.now() + days * DAY_MS).toISOString().slice(0, 10);
+
+// A partner with a referral and a lead on it, ready for payments
+async function openDeal() {
+  deals += 1;
+  const partner = await ctx.createPartner(`Rule Partners ${deals} Ltd`);
+  const phone = `0804000${String(deals).padStart(4, '0')}`;
+  const email = `buyer@rules${deals}.test`;
+
+  const created = await ctx.api.post('/api/referrals/create').set(bearer(partner.token)).send({
+    prospect_company_name: `Rule Prospect ${deals}`,
+    contact_name: 'Tunde Bello',
+    email,
+    phone
+  });
+  const referral = created.body.data.referral;
+
+  const lead = await ctx.api.post('/api/leads').set(bearer(sales.token)).send({
+    company_name: referral.prospect_company_name,
+    contact_name: 'Tunde Bello',
+    email,
+    phone,
+    referral_code: referral.referral_code
+  });
+
+  return { partner, lead: lead.body.data.lead };
+}
+
+async function createRule(partner, fields) {
+  const res = await ctx.api.post('/api/commissions/rules').set(bearer(finance.token)).send({
+    name: 'Partner rate',
+    scope: 'partner',
+    partner_id: partner.id,
+    ...fields
+  });
+  expect(res.status).toBe(201);
+  return res.body.data.rule;
+}
+
+async function reviseRule(rule, fields) {
+  const res = await ctx.api.put(`/api/commissions/rules/${rule.id}`).set(bearer(finance.token)).send(fields);
+  expect(res.status).toBe(200);
+}
+
+function pay(lead, amount, paymentDate) {
+  return ctx.api.post('/api/payments').set(bearer(finance.token)).send({
+    lead_id: lead.id,
+    amount,
+    payment_date: paymentDate,
+    transaction_reference: `TRX-RULES-${deals}-${paymentDate}`
+  });
+}
+
+beforeAll(async () => {
+  ctx = await createTestApp();
+  // Imported once the test app has swapped in the in-memory database
+  ({ default: commissionService } = await import('../services/commission-service.js'));
+  finance = await ctx.createStaff('finance');
+  sales = await ctx.createStaff('sales');
+});
+
+afterAll(async () => {
+  await ctx?.close();
+});
+
+describe('rule revisions', () => {
+  test('the current version stays in force until a future-dated revision starts', async () => {
+    const { partner } = await openDeal();
+    const rule = await createRule(partner, { base_rate: 0.1, effective_from: daysFromNow(-60) });
+
+    await reviseRule(rule, { base_rate: 0.2, effective_from: daysFromNow(30) });
+
+    const today = await commissionService.getEffectiveRate({ partnerId: partner.id });
+    expect(today).toMatchObject({ rate: 0.1, rule: { version: 1 } });
+
+    const later = await commissionService.getEffectiveRate({ partnerId: partner.id, date: daysFromNow(45) });
+    expect(later).toMatchObject({ rate: 0.2, rule: { version: 2 } });
+
+    const { rows: [retired] } = await ctx.db.query(
+      "select is_active, to_char(effective_to, 'YYYY-MM-DD') as effective_to from commission_rules where id = $1", [rule.id]
+    );
+    expect(retired).toEqual({ is_active: false, effective_to: daysFromNow(29) });
+  });
+
+  test('a backdated payment is paid at the version in force on its date', async () => {
+    const { partner, lead } = await openDeal();
+    const rule = await createRule(partner, { base_rate: 0.1, effective_from: daysFromNow(-60) });
+
+    await reviseRule(rule, { base_rate: 0.2, effective_from: daysFromNow(-10) });
+
+    const before = await pay(lead, 100000, daysFromNow(-30));
+    expect(before.status).toBe(201);
+    expect(before.body.data.commission).toBe(10000);
+
+    const after = await pay(lead, 100000, daysFromNow(-5));
+    expect(after.body.data.commission).toBe(20000);
+  });
+
+  test('a deactivated rule no longer applies on any date', async () => {
+    const { partner } = await openDeal();
+    const rule = await createRule(partner, { base_rate: 0.1, effective_from: daysFromNow(-60) });
+    await reviseRule(rule, { base_rate: 0.2, effective_from: daysFromNow(-10) });
+
+    const [active] = await commissionService.getVersions(rule.rule_key);
+    const res = await ctx.api.delete(`/api/commissions/rules/${active.id}`).set(bearer(finance.token));
+    expect(res.status).toBe(200);
+
+    const { rule: applied } = await commissionService.getEffectiveRate({ partnerId: partner.id, date: daysFromNow(-30) });
+    expect(applied.id).not.toBe(rule.id);
+  });
+});
@@ -0,0 +1,193 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import bcrypt from 'bcryptjs';
+import request from 'supertest';
+import { jest } from '@jest/globals';
+import { PGlite } from '@electric-sql/pglite';
+import { createPostgresClient } from '../../database/postgres/client.js';
+
+const MIGRATIONS_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', '..', 'database', 'migrations');
+
+export const PARTNER_PASSWORD = 'Partner#Pass123';
+export const STAFF_PASSWORD = 'Staff#Pass12345';
+
+// Banks the mocked Paystack knows about
+export const BANKS = [
+  { name: 'Access Bank', code: '044' },
+  { name: 'Guaranty Trust Bank', code: '058' }
+];
+
+// Paystack double: every method the services call, answering as a healthy Paystack would
+function createPaystackMock() {
+  return {
+    getBankList: jest.fn(async () => ({ success: true, data: BANKS })),
+    verifyBankAccount: jest.fn(async (accountNumber, bankCode) => ({
+      success: true,
+      data: { account_name: 'ACME LIMITED', account_number: accountNumber, bank_name: 'Access Bank', bank_code: bankCode }
+    })),
+    createTransferRecipient: jest.fn(async () => ({ success: true, data: { recipient_code: 'RCP_test' } })),
+    initiateTransfer: jest.fn(async ({ reference }) => ({
+      success: true,
+      data: { transfer_code: 'TRF_test', reference, status: 'pending' }
+    })),
+    initiateBulkTransfer: jest.fn(async (transfers) => ({
+      success: true,
+      data: transfers.map(transfer => ({ ...transfer, transfer_code: `TRF_${transfer.reference}`, status: 'pending' }))
+    })),
+    finalizeTransfer: jest.fn(async () => ({ success: true, data: { status: 'success' } })),
+    resendTransferOtp: jest.fn(async () => ({ success: true })),
+    verifyTransfer: jest.fn(async (reference) => ({ success: true, data: { reference, status: 'success' } })),
+    formatTransfer: jest.fn(transfer => transfer)
+  };
+}
+
+async function createDatabase() {
+  const db = await PGlite.create();
+  const migrations = fs.readdirSync(MIGRATIONS_DIR).filter(file => file.endsWith('.sql')).sort();
+
+  for (const file of migrations) {
+    await db.exec(fs.readFileSync(path.join(MIGRATIONS_DIR, file), 'utf8'));
+  }
+
+  return db;
+}
+
+// Boots the app on a fresh in-memory Postgres with every migration applied. Paystack and
+// Resend are replaced with doubles: sent emails are collected in `emails`, and `paystack`
+// holds jest.fn()s that tests can inspect or override. Call once per test file, before
+// anything imports the app.
+export async function createTestApp() {
+  const db = await createDatabase();
+  const storageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cryptware-test-storage-'));
+  const client = createPostgresClient({ executor: db, storageDir, publicUrl: 'http://localhost' });
+
+  const emails = [];
+  const paystack = createPaystackMock();
+  let configAdmin = null;
+  let referrals = 0;
+
+  jest.unstable_mockModule('../../config/supabase.js', () => ({
+    DATA_BACKEND: 'postgres',
+    supabase: client,
+    supabaseAdmin: client
+  }));
+
+  jest.unstable_mockModule('resend', () => ({
+    Resend: class {
+      constructor() {
+        this.emails = {
+          send: async (message) => {
+            emails.push(message);
+            return { data: { id: `email_${emails.length}` }, error: null };
+          }
+        };
+      }
+    }
+  }));
+
+  jest.unstable_mockModule('../../services/paystack-service.js', () => ({ default: paystack }));
+
+  const { default: app, apiRoutes } = await import('../../app.js');
+  const api = request(app);
+
+  const context = {
+    app,
+    api,
+    apiRoutes,
+    db,
+    emails,
+    paystack,
+
+    // The six digit code from the latest OTP email sent to `email`
+    lastOtp(email) {
+      const message = emails.filter(sent => sent.to === email).at(-1);
+      return message?.html.match(/class="otp-code">\s*(\d{6})/)?.[1];
+    },
+
+    async login(email, password) {
+      const res = await api.post('/api/auth/login').send({ email, password });
+      if (res.status !== 200) {
+        throw new Error(`Login failed for ${email}: ${res.status} ${JSON.stringify(res.body)}`);
+      }
+      return res.body.data.session.access_token;
+    },
+
+    // Registers, verifies and signs in a partner; returns { id, email, token }
+    async createPartner(companyName) {
+      const email = `${companyName.toLowerCase().replace(/[^a-z0-9]+/g, '.')}@partners.test`;
+      const registered = await api.post('/api/auth/register').send({
+        companyName,
+        contactName: `${companyName} Contact`,
+        email,
+        phone: '08000000000',
+        password: PARTNER_PASSWORD
+      });
+      if (registered.status !== 201) {
+        throw new Error(`Registration failed for ${email}: ${JSON.stringify(registered.body)}`);
+      }
+
+      const { partnerId } = registered.body.data;
+      await api.post('/api/auth/verify-otp').send({ email, partnerId, otpCode: context.lastOtp(email) });
+
+      return { id: partnerId, email, token: await context.login(email, PARTNER_PASSWORD) };
+    },
+
+    // Inserts an active internal user with a current password and signs them in;
+    // returns { id, email, role, token }
+    async createStaff(role) {
+      const email = `${role}.${Math.random().toString(36).slice(2, 8)}@cryptware.test`;
+      const { rows: [user] } = await db.query(
+        `insert into internal_users (email, name, role, password_hash, password_changed_at, must_reset_password)
+         values ($1, $2, $3, $4, now(), false) returning id`,
+        [email, `Test ${role}`, role, await bcrypt.hash(STAFF_PASSWORD, 4)]
+      );
+
+      return { id: user.id, email, role, token: await context.login(email, STAFF_PASSWORD) };
+    },
+
+    // Registers a referral for `partner`. The prospect's fields default to a new prospect of
+    // its own; returns the created referral with the prospect's phone
+    async createReferral(partner, prospect = {}) {
+      referrals += 1;
+      const companyName = prospect.prospect_company_name || `Prospect ${referrals} Ltd`;
+      const fields = {
+        prospect_company_name: companyName,
+        contact_name: 'Ngozi Eze',
+        email: `buyer@${companyName.toLowerCase().replace(/[^a-z0-9]+/g, '')}.test`,
+        // Distinct phone numbers, or the prospects would be duplicates of each other
+        phone: `0806${String(referrals).padStart(7, '0')}`,
+        ...prospect
+      };
+
+      const res = await api.post('/api/referrals/create').set(bearer(partner.token)).send(fields);
+      if (res.status !== 201) {
+        throw new Error(`Referral failed for ${companyName}: ${JSON.stringify(res.body)}`);
+      }
+
+      return { ...res.body.data.referral, phone: fields.phone };
+    },
+
+    // Saves runtime settings (/api/admin/config) as an admin created on first use
+    async setConfig(values) {
+      configAdmin = configAdmin || await context.createStaff('admin');
+      return api.patch('/api/admin/config').set(bearer(configAdmin.token)).send(values);
+    },
+
+    // The row of `table` with `id`, as stored
+    async load(table, id) {
+      const { rows: [row] } = await db.query(`select * from ${table} where id = $1`, [id]);
+      return row;
+    },
+
+    async close() {
+      await db.close();
+      fs.rmSync(storageDir, { recursive: true, force: true });
+    }
+  };
+
+  return context;
+}
+
+export const bearer = (token) => ({ Authorization: `Bearer ${token}` });
@@ -0,0 +1,127 @@
+import { createTestApp, bearer } from './helpers/test-app.js';
+
+let ctx;
+let payoutRunService;
+let creator;
+let approver;
+let partners = 0;
+
+// A partner with a verified bank account and a pending payout, put into an approved run
+async function approvedRun() {
+  partners += 1;
+  const partner = await ctx.createPartner(`Run Partners ${partners} Ltd`);
+  await ctx.db.query(
+    `update partners set bank_account_number = '0123456789', bank_code = '044', verified_account_name = 'ACME LIMITED',
+     bank_verified = true where id = $1`,
+    [partner.id]
+  );
+  const { rows: [payout] } = await ctx.db.query(
+    "insert into partner_payouts (partner_id, amount, status) values ($1, 25000, 'pending') returning id", [partner.id]
+  );
+
+  const created = await ctx.api.post('/api/payout-runs').set(bearer(creator.token)).send({ payout_ids: [payout.id] });
+  const run = created.body.data.run;
+  const approved = await ctx.api.post(`/api/payout-runs/${run.id}/approve`).set(bearer(approver.token));
+  expect(approved.status).toBe(200);
+
+  return { partner, payout, run };
+}
+
+// The partner's bank details as an approved change request leaves them
+function changeBank(partner, { holdDays }) {
+  return ctx.db.query(
+    `update partners set bank_account_number = '9876543210', paystack_recipient_code = null,
+     payout_hold_until = now() + make_interval(days => $2) where id = $1`,
+    [partner.id, holdDays]
+  );
+}
+
+async function runItem(run) {
+  const { rows: [item] } = await ctx.db.query('select * from payout_run_items where run_id = $1', [run.id]);
+  return item;
+}
+
+beforeAll(async () => {
+  ctx = await createTestApp();
+  // Imported once the test app has swapped in the in-memory database
+  ({ default: payoutRunService } = await import('../services/payout-run-service.js'));
+  creator = await ctx.createStaff('finance');
+  approver = await ctx.createStaff('finance');
+});
+
+beforeEach(() => {
+  ctx.paystack.initiateBulkTransfer.mockClear();
+  ctx.paystack.createTransferRecipient.mockClear();
+});
+
+afterAll(async () => {
+  await ctx?.close();
+});
+
+describe('sending through Paystack', () => {
+  test('a bank change approved after the run is held, not paid', async () => {
+    const { partner, payout, run } = await approvedRun();
+    await changeBank(partner, { holdDays: 2 });
+
+    const res = await ctx.api.post(`/api/payout-runs/${run.id}/send`).set(bearer(approver.token));
+
+    expect(res.status).toBe(200);
+    expect(ctx.paystack.initiateBulkTransfer).not.toHaveBeenCalled();
+    expect((await runItem(run)).failure_reason).toMatch(/on hold until/);
+    expect((await ctx.load('partner_payouts', payout.id)).status).toBe('failed');
+  });
+
+  test('an item is not paid into an account other than the one approved', async () => {
+    const { partner, run } = await approvedRun();
+    await changeBank(partner, { holdDays: 0 });
+
+    await ctx.api.post(`/api/payout-runs/${run.id}/send`).set(bearer(approver.token));
+
+    expect(ctx.paystack.createTransferRecipient).not.toHaveBeenCalled();
+    expect(ctx.paystack.initiateBulkTransfer).not.toHaveBeenCalled();
+    expect(await runItem(run)).toMatchObject({ status: 'failed', failure_reason: 'Bank details changed since the run was approved' });
+  });
+
+  test('a run is sent once however often send is pressed', async () => {
+    const { run } = await approvedRun();
+
+    const results = await Promise.all([
+      payoutRunService.sendViaPaystack(run.id, { initiatedBy: approver.id }),
+      payoutRunService.sendViaPaystack(run.id, { initiatedBy: approver.id })
+    ]);
+
+    expect(results.map(result => result.success).sort()).toEqual([false, true]);
+    expect(results.find(result => !result.success).status).toBe(409);
+    expect(ctx.paystack.initiateBulkTransfer).toHaveBeenCalledTimes(1);
+  });
+
+  test('a run that has been sent cannot be exported as a bank file', async () => {
+    const { run } = await approvedRun();
+
+    const [sent, exported] = await Promise.all([
+      payoutRunService.sendViaPaystack(run.id, { initiatedBy: approver.id }),
+      payoutRunService.exportFile(run.id, 'csv', { exportedBy: approver.id })
+    ]);
+
+    expect([sent.success, exported.success].sort()).toEqual([false, true]);
+  });
+});
+
+describe('bank file results', () => {
+  test('a payout recorded paid twice at once is posted to the ledger once', async () => {
+    const { payout, run } = await approvedRun();
+    await ctx.api.get(`/api/payout-runs/${run.id}/export?format=csv`).set(bearer(approver.token));
+    const item = await runItem(run);
+
+    await Promise.all([
+      payoutRunService.recordFileResults(run.id, { paid: [item.id] }, { recordedBy: approver.id }),
+      payoutRunService.recordFileResults(run.id, { paid: [item.id] }, { recordedBy: approver.id })
+    ]);
+
+    const { rows: postings } = await ctx.db.query(
+      "select distinct transaction_id from ledger_entries where source_type = 'partner_payout' and source_id = $1 and entry_type = 'payout'", [payout.id]
+    );
+    expect(postings).toHaveLength(1);
+    expect((await ctx.load('payout_runs', run.id)).status).toBe('completed');
+  });
+});
@@ -0,0 +1,319 @@
+import { jest } from '@jest/globals';
+import { createTestApp, bearer } from './helpers/test-app.js';
+
+let ctx;
+let pipelineService;
+let leadRepository;
+let partner;
+let sales;
+let finance;
+let prospects = 0;
+let payments = 0;
+
+// A partner referral with a lead opened against it
+async function openDeal({ estimated_value = null } = {}) {
+  prospects += 1;
+  const phone = `0803000${String(prospects).padStart(4, '0')}`;
+  const email = `buyer@pipeline${prospects}.test`;
+
+  const created = await ctx.api.post('/api/referrals/create').set(bearer(partner.token)).send({
+    prospect_company_name: `Pipeline Prospect ${prospects}`,
+    contact_name: 'Amaka Obi',
+    email,
+    phone
+  });
+  const referral = created.body.data.referral;
+
+  const res = await ctx.api.post('/api/leads').set(bearer(sales.token)).send({
+    company_name: referral.prospect_company_name,
+    contact_name: 'Amaka Obi',
+    email,
+    phone,
+    estimated_value,
+    referral_code: referral.referral_code
+  });
+
+  return { referral, lead: res.body.data.lead };
+}
+
+function moveLead(lead, status) {
+  return ctx.api.put(`/api/leads/${lead.id}/status`).set(bearer(sales.token)).send({ status });
+}
+
+function moveReferral(referral, status) {
+  return ctx.api.patch(`/api/deals/referrals/${referral.id}/status`).set(bearer(sales.token)).send({ status });
+}
+
+function convert(lead, body = { final_deal_value: 300000 }) {
+  return ctx.api.patch(`/api/deals/${lead.id}/convert`).set(bearer(sales.token)).send(body);
+}
+
+function pay(lead, amount) {
+  payments += 1;
+  return ctx.api.post('/api/payments').set(bearer(finance.token)).send({
+    lead_id: lead.id,
+    amount,
+    payment_date: new Date().toISOString().slice(0, 10),
+    transaction_reference: `TRX-PIPELINE-${payments}`
+  });
+}
+
+function finalize(lead) {
+  return ctx.api.patch(`/api/deals/${lead.id}/finalize`).set(bearer(finance.token)).send({});
+}
+
+beforeAll(async () => {
+  ctx = await createTestApp();
+  // Imported once the test app has swapped in the in-memory database
+  ({ default: pipelineService } = await import('../services/pipeline-service.js'));
+  ({ leadRepository } = await import('../repositories/index.js'));
+  partner = await ctx.createPartner('Pipeline Partners Ltd');
+  sales = await ctx.createStaff('sales');
+  finance = await ctx.createStaff('finance');
+});
+
+afterAll(async () => {
+  await ctx?.close();
+});
+
+describe('leads', () => {
+  test('the referral follows the lead through the pipeline', async () => {
+    const { referral, lead } = await openDeal();
+
+    expect((await moveLead(lead, 'qualified')).status).toBe(200);
+    expect((await ctx.load('referrals', referral.id)).status).toBe('meeting_scheduled');
+
+    expect((await moveLead(lead, 'proposal')).status).toBe(200);
+    expect((await ctx.load('referrals', referral.id)).status).toBe('proposal_sent');
+  });
+
+  test('illegal moves are refused with the moves that are allowed', async () => {
+    const { lead } = await openDeal();
+
+    const unknown = await moveLead(lead, 'won');
+    expect(unknown.status).toBe(400);
+
+    const same = await moveLead(lead, 'new');
+    expect(same.status).toBe(409);
+
+    expect((await moveLead(lead, 'lost')).status).toBe(200);
+    const reopened = await moveLead(lead, 'contacted');
+    expect(reopened.status).toBe(409);
+    expect(reopened.body).toMatchObject({ reason: 'transition_not_allowed', message: 'A lost lead is closed and cannot move to contacted' });
+  });
+
+  test('the lead page lists where the lead can go next', async () => {
+    const { lead } = await openDeal();
+    await moveLead(lead, 'negotiation');
+
+    const res = await ctx.api.get(`/api/leads/${lead.id}`).set(bearer(sales.token));
+
+    expect(res.body.data.next_statuses).toEqual(['contacted', 'qualified', 'proposal', 'converted', 'lost']);
+  });
+
+  test('editing a lead does not change its status', async () => {
+    const { lead } = await openDeal();
+
+    const res = await ctx.api.put(`/api/leads/${lead.id}`).set(bearer(sales.token)).send({ status: 'converted', industry: 'Retail' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.lead).toMatchObject({ status: 'new', industry: 'Retail' });
+  });
+
+  test('a status change is audited under the id of its request', async () => {
+    const { lead } = await openDeal();
+
+    const traced = await moveLead(lead, 'contacted').set('X-Request-Id', 'lb-4f1c2a');
+    expect(traced.headers['x-request-id']).toBe('lb-4f1c2a');
+
+    const untraced = await moveLead(lead, 'qualified');
+    expect(untraced.headers['x-request-id']).toMatch(/^[0-9a-f-]{36}$/);
+
+    const { rows: entries } = await ctx.db.query(
+      "select request_id from audit_logs where resource_type = 'leads' and resource_id = $1 and action = 'update' order by created_at", [lead.id]
+    );
+    expect(entries.map(entry => entry.request_id)).toEqual(['lb-4f1c2a', untraced.headers['x-request-id']]);
+  });
+
+  test('an expired referral stays expired while its lead moves on', async () => {
+    const { referral, lead } = await openDeal();
+    await ctx.db.query("update referrals set status = 'expired', status_before_expiry = 'contacted' where id = $1", [referral.id]);
+
+    expect((await moveLead(lead, 'qualified')).status).toBe(200);
+    expect((await ctx.load('referrals', referral.id)).status).toBe('expired');
+
+    const reopened = await moveReferral(referral, 'contacted');
+    expect(reopened.status).toBe(409);
+    expect(reopened.body.message).toBe('An expired referral is closed and cannot move to contacted');
+  });
+
+  test('of two moves from the same status, only the first is saved', async () => {
+    const { referral, lead } = await openDeal();
+    const current = await ctx.load('leads', lead.id);
+
+    const results = await Promise.all([
+      pipelineService.moveLead(null, current, 'qualified'),
+      pipelineService.moveLead(null, current, 'lost')
+    ]);
+
+    const [won] = results.filter(result => result.success);
+    const [refused] = results.filter(result => !result.success);
+    expect(refused).toMatchObject({ status: 409, reason: 'status_changed' });
+    expect((await ctx.load('leads', lead.id)).status).toBe(won.lead.status);
+    expect((await ctx.load('referrals', referral.id)).status).toBe(won.referral.status);
+  });
+
+  test('a lead that fails to save leaves its referral where it was', async () => {
+    const created = await ctx.api.post('/api/referrals/create').set(bearer(partner.token)).send({
+      prospect_company_name: 'Pipeline Unsaved Prospect',
+      contact_name: 'Amaka Obi',
+      email: 'buyer@pipeline-unsaved.test',
+      phone: '08030008888'
+    });
+    const referral = created.body.data.referral;
+    const insert = jest.spyOn(leadRepository, 'create').mockRejectedValueOnce(new Error('Failed to create leads'));
+
+    const res = await ctx.api.post('/api/leads').set(bearer(sales.token)).send({
+      company_name: referral.prospect_company_name,
+      contact_name: 'Amaka Obi',
+      email: 'buyer@pipeline-unsaved.test',
+      phone: '08030008888',
+      referral_code: referral.referral_code
+    });
+    insert.mockRestore();
+
+    expect(res.status).toBe(500);
+    expect((await ctx.load('referrals', referral.id)).status).toBe('code_sent');
+  });
+});
+
+describe('conversion', () => {
+  test('a lead is converted at a deal value, once', async () => {
+    const { referral, lead } = await openDeal();
+
+    const missing = await convert(lead, {});
+    expect(missing.status).toBe(409);
+    expect(missing.body.reason).toBe('deal_value_missing');
+    expect((await ctx.load('referrals', referral.id)).status).toBe('contacted');
+
+    expect((await convert(lead, { final_deal_value: '300000' })).status).toBe(400);
+
+    const converted = await convert(lead);
+    expect(converted.status).toBe(200);
+    expect(converted.body.data.referral_updated).toBe(true);
+    const won = await ctx.load('referrals', referral.id);
+    expect(won.status).toBe('won');
+    expect(Number(won.estimated_deal_value)).toBe(300000);
+
+    const again = await convert(lead);
+    expect(again.status).toBe(409);
+    expect(again.body.message).toBe('This lead is already converted');
+  });
+
+  test('a won referral takes its lead along, if the lead has a deal value', async () => {
+    const bare = await openDeal();
+    const refused = await moveReferral(bare.referral, 'won');
+    expect(refused.status).toBe(409);
+    expect(refused.body.message).toMatch(/^Its lead cannot follow: /);
+    expect((await ctx.load('referrals', bare.referral.id)).status).toBe('contacted');
+
+    const valued = await openDeal({ estimated_value: 250000 });
+    expect((await moveReferral(valued.referral, 'won')).status).toBe(200);
+    expect((await ctx.load('leads', valued.lead.id)).status).toBe('converted');
+  });
+
+  test('a lost referral closes its lead', async () => {
+    const { referral, lead } = await openDeal();
+
+    expect((await moveReferral(referral, 'lost')).status).toBe(200);
+    expect((await ctx.load('leads', lead.id)).status).toBe('lost');
+
+    const { rows: activities } = await ctx.db.query(
+      "select type from lead_activities where lead_id = $1 and type = 'referral_status_updated'", [lead.id]
+    );
+    expect(activities).toHaveLength(1);
+  });
+});
+
+describe('finalization', () => {
+  let deal;
+
+  beforeAll(async () => {
+    deal = await openDeal();
+  });
+
+  test('only a converted lead can be finalized', async () => {
+    const res = await finalize(deal.lead);
+
+    expect(res.status).toBe(409);
+    expect(res.body.reason).toBe('lead_not_converted');
+  });
+
+  test('confirmed payments must cover the deal value', async () => {
+    await convert(deal.lead);
+    await pay(deal.lead, 100000);
+
+    const res = await finalize(deal.lead);
+
+    expect(res.status).toBe(409);
+    expect(res.body.reason).toBe('payments_outstanding');
+    expect(res.body.message).toContain('outstanding');
+    expect((await ctx.load('referrals', deal.referral.id)).status).toBe('won');
+  });
+
+  test('a referral is made fully_paid only by finalizing its deal', async () => {
+    const res = await moveReferral(deal.referral, 'fully_paid');
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toContain('/finalize');
+    expect((await ctx.load('referrals', deal.referral.id)).status).toBe('won');
+  });
+
+  test('a deal without a referral is finalized only once payments cover it', async () => {
+    const res = await ctx.api.post('/api/leads').set(bearer(sales.token)).send({
+      company_name: 'Walk-in Customer Ltd',
+      contact_name: 'Ifeoma Eze',
+      email: 'ifeoma@walkin.test',
+      phone: '08030009999',
+      estimated_value: 150000
+    });
+    const { lead } = res.body.data;
+    expect((await moveLead(lead, 'converted')).status).toBe(200);
+
+    const refused = await finalize(lead);
+
+    expect(refused.status).toBe(409);
+    expect(refused.body.reason).toBe('payments_outstanding');
+    expect((await ctx.load('leads', lead.id)).payment_completed).toBe(false);
+  });
+
+  test('a paid deal is finalized and the partner told', async () => {
+    await pay(deal.lead, 200000);
+
+    const res = await finalize(deal.lead);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.commission_eligible).toBe(true);
+    expect((await ctx.load('referrals', deal.referral.id)).status).toBe('fully_paid');
+    expect((await ctx.load('leads', deal.lead.id)).payment_completed).toBe(true);
+
+    const { rows: notices } = await ctx.db.query(
+      "select metadata from partner_notifications where partner_id = $1 and type = 'payment_completed'", [partner.id]
+    );
+    expect(notices.map(n => n.metadata.referral_id)).toEqual([deal.referral.id]);
+  });
+
+  test('a fully paid referral cannot go back, and its deal cannot be lost', async () => {
+    const back = await moveReferral(deal.referral, 'code_sent');
+    expect(back.status).toBe(409);
+    expect(back.body.message).toBe('A fully_paid referral is closed and cannot move to code_sent');
+
+    const lost = await moveLead(deal.lead, 'lost');
+    expect(lost.status).toBe(409);
+    expect(lost.body.reason).toBe('deal_paid');
+
+    const again = await finalize(deal.lead);
+    expect(again.status).toBe(409);
+    expect(again.body.message).toBe('This deal has already been finalized');
+  });
+});
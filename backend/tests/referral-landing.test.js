@@ -0,0 +1,234 @@
+import { jest } from '@jest/globals';
+import { createTestApp, bearer } from './helpers/test-app.js';
+
+let ctx;
+let referralSubmissionService;
+let partner;
+let referral;
+
+const submission = (overrides = {}) => ({
+  company_name: 'Landing Prospect Ltd',
+  contact_name: 'Bola Ade',
+  email: 'bola@landing.test',
+  phone: '08044445555',
+  preferred_contact_time: 'Morning (9am - 12pm)',
+  message: 'We run three warehouses on spreadsheets',
+  consent: true,
+  ...overrides
+});
+
+async function formToken() {
+  const res = await ctx.api.get(`/api/public/referrals/${referral.referral_code}`);
+  return res.body.data.form_token;
+}
+
+async function leadsForReferral() {
+  const { rows } = await ctx.db.query('select * from leads where referral_id = $1', [referral.id]);
+  return rows;
+}
+
+beforeAll(async () => {
+  // The app runs behind a proxy on the same host
+  process.env.TRUST_PROXY = 'loopback';
+  ctx = await createTestApp();
+  // Imported once the test app has swapped in the in-memory database
+  ({ default: referralSubmissionService } = await import('../services/referral-submission-service.js'));
+  partner = await ctx.createPartner('Landing Partners Ltd');
+  referral = await ctx.createReferral(partner, {
+    prospect_company_name: 'Landing Prospect Ltd',
+    contact_name: 'Bola Ade',
+    email: 'bola@landing.test',
+    phone: '08044445555'
+  });
+});
+
+afterAll(async () => {
+  await ctx?.close();
+});
+
+test('the shareable link points at the landing page', async () => {
+  const res = await ctx.api.post('/api/referrals/create').set(bearer(partner.token)).send({
+    prospect_company_name: 'Another Prospect',
+    contact_name: 'Tunde',
+    email: 'tunde@another.test',
+    phone: '08055556666'
+  });
+
+  expect(res.body.data.shareable_link).toBe(
+    `${process.env.FRONTEND_URL}/referral-landing.html?code=${res.body.data.referral.referral_code}`
+  );
+});
+
+test('an unknown code is not found', async () => {
+  const res = await ctx.api.get('/api/public/referrals/CRYPT-NOPE');
+
+  expect(res.status).toBe(404);
+});
+
+test('the landing page gets only safe referral fields', async () => {
+  const res = await ctx.api.get(`/api/public/referrals/${referral.referral_code.toLowerCase()}`);
+
+  expect(res.status).toBe(200);
+  expect(res.body.data.referral).toEqual({
+    referral_code: referral.referral_code,
+    prospect_company_name: 'Landing Prospect Ltd',
+    contact_name: 'Bola Ade',
+    email_hint: 'b***@landing.test',
+    partner_company_name: 'Landing Partners Ltd'
+  });
+  expect(res.body.data.accepting_submissions).toBe(true);
+  expect(res.body.data.form_token).toBeTruthy();
+});
+
+describe('spam protection', () => {
+  test('a submission without a form token is refused', async () => {
+    const res = await ctx.api.post(`/api/public/referrals/${referral.referral_code}/interest`).send(submission());
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toMatch(/expired/);
+  });
+
+  test('a submission sent straight after loading the form is refused', async () => {
+    const res = await ctx.api.post(`/api/public/referrals/${referral.referral_code}/interest`)
+      .send(submission({ form_token: await formToken() }));
+
+    expect(res.status).toBe(400);
+    expect(await leadsForReferral()).toHaveLength(0);
+  });
+
+  test('a filled honeypot looks accepted but creates no lead', async () => {
+    await ctx.setConfig({ referral_form_min_seconds: 0 });
+
+    const res = await ctx.api.post(`/api/public/referrals/${referral.referral_code}/interest`)
+      .send(submission({ form_token: await formToken(), website: 'http://spam.example' }));
+
+    expect(res.status).toBe(201);
+    expect(await leadsForReferral()).toHaveLength(0);
+
+    const { rows } = await ctx.db.query('select outcome from referral_submissions where referral_id = $1', [referral.id]);
+    expect(rows.map(row => row.outcome).sort()).toEqual(['honeypot', 'too_fast']);
+  });
+
+  test('consent to contact is required', async () => {
+    const res = await ctx.api.post(`/api/public/referrals/${referral.referral_code}/interest`)
+      .send(submission({ form_token: await formToken(), consent: false }));
+
+    expect(res.status).toBe(400);
+    expect(await leadsForReferral()).toHaveLength(0);
+  });
+
+  test('an email that is not a plain address is refused', async () => {
+    const res = await ctx.api.post(`/api/public/referrals/${referral.referral_code}/interest`)
+      .send(submission({ form_token: await formToken(), email: 'bola@landing.test,company_key.neq.x' }));
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('A valid email address is required');
+    expect(await leadsForReferral()).toHaveLength(0);
+  });
+});
+
+describe('prospect submission', () => {
+  test('creates a lead on the referral and tells staff and the partner', async () => {
+    const res = await ctx.api.post(`/api/public/referrals/${referral.referral_code}/interest`)
+      .send(submission({ form_token: await formToken() }));
+
+    expect(res.status).toBe(201);
+    expect(res.body.data).toBeUndefined();
+
+    const [lead] = await leadsForReferral();
+    expect(lead).toMatchObject({
+      company_name: 'Landing Prospect Ltd',
+      email: 'bola@landing.test',
+      referral_code: referral.referral_code,
+      source: 'partner',
+      status: 'new',
+      assigned_to: null
+    });
+
+    const { rows: activities } = await ctx.db.query(
+      'select type, notes from lead_activities where lead_id = $1 order by created_at', [lead.id]
+    );
+    expect(activities.map(a => a.type)).toEqual(['lead_created', 'note']);
+    expect(activities[1].notes).toContain('three warehouses');
+
+    const detail = await ctx.api.get(`/api/referrals/${referral.id}`).set(bearer(partner.token));
+    expect(detail.body.data.referral.status).toBe('contacted');
+
+    const { rows: partnerNotifications } = await ctx.db.query(
+      'select type from partner_notifications where partner_id = $1', [partner.id]
+    );
+    expect(partnerNotifications.map(n => n.type)).toContain('referral_responded');
+
+    const { rows: staffNotifications } = await ctx.db.query(
+      "select type from notifications where user_type = 'internal'"
+    );
+    expect(staffNotifications.map(n => n.type)).toContain('lead_submitted');
+
+    const { rows: [accepted] } = await ctx.db.query(
+      "select lead_id, consented_at from referral_submissions where outcome = 'accepted'"
+    );
+    expect(accepted.lead_id).toBe(lead.id);
+    expect(accepted.consented_at).toBeTruthy();
+  });
+
+  test('a referral only takes one submission', async () => {
+    const page = await ctx.api.get(`/api/public/referrals/${referral.referral_code}`);
+    expect(page.body.data.accepting_submissions).toBe(false);
+
+    const res = await ctx.api.post(`/api/public/referrals/${referral.referral_code}/interest`)
+      .send(submission({ form_token: page.body.data.form_token }));
+
+    expect(res.status).toBe(409);
+    expect(await leadsForReferral()).toHaveLength(1);
+  });
+
+  test('a form that got past the check twice creates one lead', async () => {
+    const twice = await ctx.createReferral(partner, {
+      prospect_company_name: 'Double Click Prospect Ltd',
+      contact_name: 'Bola Ade',
+      email: 'bola@doubleclick.test',
+      phone: '08044446666'
+    });
+    const page = await ctx.api.get(`/api/public/referrals/${twice.referral_code}`);
+    // From an address of its own, clear of the submissions the tests above made
+    const send = () => ctx.api.post(`/api/public/referrals/${twice.referral_code}/interest`)
+      .set('X-Forwarded-For', '203.0.113.20')
+      .send(submission({
+        company_name: 'Double Click Prospect Ltd',
+        email: 'bola@doubleclick.test',
+        phone: '08044446666',
+        form_token: page.body.data.form_token
+      }));
+
+    expect((await send()).status).toBe(201);
+
+    // The second submission checked the referral before the first created its lead
+    const check = jest.spyOn(referralSubmissionService, 'isOpen').mockResolvedValueOnce(true);
+    const again = await send();
+    check.mockRestore();
+
+    expect(again.status).toBe(409);
+    expect(again.body.message).toBe('We already have your details for this referral. The Cryptware team will be in touch.');
+    const { rows: leads } = await ctx.db.query('select id from leads where referral_id = $1', [twice.id]);
+    expect(leads).toHaveLength(1);
+  });
+
+  test('one address can only submit so often', async () => {
+    await ctx.setConfig({ referral_form_max_per_ip_per_hour: 2 });
+
+    const res = await ctx.api.post(`/api/public/referrals/${referral.referral_code}/interest`)
+      .send(submission({ form_token: await formToken() }));
+
+    expect(res.status).toBe(429);
+    expect(res.headers['retry-after']).toBeDefined();
+  });
+
+  test('behind the proxy, each prospect is limited by their own address', async () => {
+    const res = await ctx.api.post(`/api/public/referrals/${referral.referral_code}/interest`)
+      .set('X-Forwarded-For', '203.0.113.7')
+      .send(submission({ form_token: await formToken() }));
+
+    // Past the address limit; refused only because the referral already took its submission
+    expect(res.status).toBe(409);
+  });
+});
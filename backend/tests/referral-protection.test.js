@@ -0,0 +1,182 @@
+import { createTestApp, bearer } from './helpers/test-app.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let ctx;
+let referralProtectionService;
+let partner;
+let sales;
+let finance;
+async function protectUntil(referral, daysFromNow) {
+  await ctx.db.query(
+    "update referrals set protected_until = now() + make_interval(days => $2) where id = $1",
+    [referral.id, daysFromNow]
+  );
+}
+
+async function partnerNotifications(type) {
+  const { rows } = await ctx.db.query(
+    'select metadata from partner_notifications where partner_id = $1 and type = $2', [partner.id, type]
+  );
+  return rows;
+}
+
+function renew(referral, body = {}, token = sales.token) {
+  return ctx.api.patch(`/api/internal/referrals/${referral.id}/protection`).set(bearer(token)).send(body);
+}
+
+beforeAll(async () => {
+  ctx = await createTestApp();
+  // Imported once the test app has swapped in the in-memory database
+  ({ default: referralProtectionService } = await import('../services/referral-protection-service.js'));
+  partner = await ctx.createPartner('Protection Partners Ltd');
+  sales = await ctx.createStaff('sales');
+  finance = await ctx.createStaff('finance');
+});
+
+afterAll(async () => {
+  await ctx?.close();
+});
+
+describe('protection window', () => {
+  test('a new referral is protected for registration_protection_days', async () => {
+    const referral = await ctx.createReferral(partner);
+    const row = await ctx.load('referrals', referral.id);
+
+    expect(new Date(row.protected_until).getTime() - new Date(row.created_at).getTime()).toBe(90 * DAY_MS);
+  });
+
+  test('the partner dashboard counts down each referral', async () => {
+    const referral = await ctx.createReferral(partner);
+    await protectUntil(referral, 10);
+
+    const res = await ctx.api.get('/api/partner/dashboard').set(bearer(partner.token));
+
+    const recent = res.body.data.recent_referrals.find(r => r.id === referral.id);
+    expect(recent.protection).toMatchObject({ state: 'expiring', days_left: 10 });
+    const older = res.body.data.recent_referrals.find(r => r.id !== referral.id);
+    expect(older.protection).toMatchObject({ state: 'protected', days_left: 90 });
+  });
+
+  test('lead activity extends the window', async () => {
+    const referral = await ctx.createReferral(partner);
+    await protectUntil(referral, 5);
+
+    const res = await ctx.api.post('/api/leads').set(bearer(sales.token)).send({
+      company_name: referral.prospect_company_name,
+      contact_name: 'Ngozi Eze',
+      email: referral.email,
+      phone: referral.phone,
+      referral_code: referral.referral_code
+    });
+    expect(res.status).toBe(201);
+
+    const row = await ctx.load('referrals', referral.id);
+    expect(new Date(row.protected_until).getTime()).toBeGreaterThan(Date.now() + 29 * DAY_MS);
+  });
+});
+
+describe('expiry job', () => {
+  let expiring;
+  let lapsed;
+  let won;
+
+  beforeAll(async () => {
+    expiring = await ctx.createReferral(partner);
+    lapsed = await ctx.createReferral(partner);
+    won = await ctx.createReferral(partner);
+    await protectUntil(expiring, 7);
+    await protectUntil(lapsed, -1);
+    await ctx.db.query(
+      "update referrals set status = 'won', protected_until = now() - interval '1 day' where id = $1", [won.id]
+    );
+  });
+
+  test('warns the partner once per window and expires lapsed referrals', async () => {
+    const first = await referralProtectionService.run();
+    const second = await referralProtectionService.run();
+
+    expect(first.expired).toBe(1);
+    expect(second).toEqual({ warned: 0, expired: 0 });
+
+    const warnings = await partnerNotifications('referral_expiring');
+    expect(warnings.filter(n => n.metadata.referral_id === expiring.id)).toHaveLength(1);
+
+    expect(await ctx.load('referrals', lapsed.id)).toMatchObject({ status: 'expired', status_before_expiry: 'code_sent' });
+    expect((await ctx.load('referrals', won.id)).status).toBe('won');
+
+    const expired = await partnerNotifications('referral_expired');
+    expect(expired.map(n => n.metadata.referral_id)).toEqual([lapsed.id]);
+
+    const { rows: audit } = await ctx.db.query(
+      "select user_type from audit_logs where resource_type = 'referrals' and resource_id = $1", [lapsed.id]
+    );
+    expect(audit.map(a => a.user_type)).toContain('system');
+  });
+
+  test('an extended window is warned about again', async () => {
+    await protectUntil(expiring, 3);
+
+    expect(await referralProtectionService.run()).toEqual({ warned: 1, expired: 0 });
+  });
+
+  test('an expired referral takes no prospect submissions or leads', async () => {
+    const page = await ctx.api.get(`/api/public/referrals/${lapsed.referral_code}`);
+    expect(page.body.data.accepting_submissions).toBe(false);
+
+    const res = await ctx.api.post('/api/leads').set(bearer(sales.token)).send({
+      company_name: lapsed.prospect_company_name,
+      contact_name: 'Ngozi Eze',
+      email: lapsed.email,
+      phone: lapsed.phone,
+      referral_code: lapsed.referral_code
+    });
+    expect(res.status).toBe(409);
+    expect(res.body.reason).toBe('referral_expired');
+  });
+
+  test('the partner sees the referral as expired', async () => {
+    const res = await ctx.api.get(`/api/referrals/${lapsed.id}`).set(bearer(partner.token));
+
+    expect(res.body.data.referral.protection).toMatchObject({ state: 'expired', days_left: 0 });
+  });
+});
+
+describe('renewal', () => {
+  test('staff reopen an expired referral', async () => {
+    const referral = await ctx.createReferral(partner);
+    await protectUntil(referral, -1);
+    await referralProtectionService.run();
+
+    const res = await renew(referral, { notes: 'Prospect asked for more time' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.referral).toMatchObject({ status: 'code_sent', protection: { state: 'protected', days_left: 90 } });
+
+    const row = await ctx.load('referrals', referral.id);
+    expect(row).toMatchObject({ status_before_expiry: null, expired_at: null, protection_renewed_by: sales.id });
+
+    const notices = await partnerNotifications('referral_protection_renewed');
+    expect(notices.map(n => n.metadata.referral_id)).toContain(referral.id);
+  });
+
+  test('a renewal never shortens an open window', async () => {
+    const referral = await ctx.createReferral(partner);
+
+    const res = await renew(referral, { days: 30 });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.referral.protection.days_left).toBe(90);
+  });
+
+  test('only open or expired referrals can be renewed, for 1 to 730 days', async () => {
+    const referral = await ctx.createReferral(partner);
+
+    expect((await renew(referral, { days: 0 })).status).toBe(400);
+    expect((await renew(referral, { days: '30' })).status).toBe(400);
+    expect((await renew(referral, {}, finance.token)).status).toBe(403);
+
+    await ctx.db.query("update referrals set status = 'lost' where id = $1", [referral.id]);
+    expect((await renew(referral)).status).toBe(400);
+  });
+});
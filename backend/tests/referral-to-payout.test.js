@@ -0,0 +1,139 @@
+import { createTestApp, bearer } from './helpers/test-app.js';
+
+// One referral all the way through: partner submits it, sales turns it into a lead and a
+// customer, finance records the payment and finalizes the deal, the partner requests the
+// commission and finance pays it out. Each step depends on the one before.
+let ctx;
+let partner;
+let sales;
+let finance;
+const state = {};
+
+beforeAll(async () => {
+  ctx = await createTestApp();
+  partner = await ctx.createPartner('Flow Partners Ltd');
+  sales = await ctx.createStaff('sales');
+  finance = await ctx.createStaff('finance');
+});
+
+afterAll(async () => {
+  await ctx?.close();
+});
+
+test('partner submits a referral and receives its code', async () => {
+  const res = await ctx.api.post('/api/referrals/create').set(bearer(partner.token)).send({
+    prospect_company_name: 'Prospect Manufacturing',
+    contact_name: 'Chidi Eze',
+    email: 'chidi@prospect.test',
+    phone: '08022223333',
+    estimated_deal_value: 500000
+  });
+
+  expect(res.status).toBe(201);
+  expect(res.body.data.referral.status).toBe('code_sent');
+  expect(res.body.data.referral.referral_code).toBeTruthy();
+  expect(res.body.data.shareable_link).toContain(res.body.data.referral.referral_code);
+
+  state.referral = res.body.data.referral;
+});
+
+test('sales finds the referral by code and opens a lead against it', async () => {
+  const lookup = await ctx.api.get(`/api/referrals/code/${state.referral.referral_code}`).set(bearer(sales.token));
+  expect(lookup.status).toBe(200);
+
+  const res = await ctx.api.post('/api/leads').set(bearer(sales.token)).send({
+    company_name: 'Prospect Manufacturing',
+    contact_name: 'Chidi Eze',
+    email: 'chidi@prospect.test',
+    phone: '08022223333',
+    referral_code: state.referral.referral_code
+  });
+
+  expect(res.status).toBe(201);
+  expect(res.body.data.lead.referral_id).toBe(state.referral.id);
+
+  state.lead = res.body.data.lead;
+
+  const referral = await ctx.api.get(`/api/referrals/${state.referral.id}`).set(bearer(partner.token));
+  expect(referral.body.data.referral.status).toBe('contacted');
+});
+
+test('sales converts the lead into a customer', async () => {
+  const res = await ctx.api.patch(`/api/deals/${state.lead.id}/convert`).set(bearer(sales.token)).send({
+    final_deal_value: 400000
+  });
+
+  expect(res.status).toBe(200);
+  expect(res.body.data.lead.status).toBe('converted');
+  expect(res.body.data.referral_updated).toBe(true);
+});
+
+test('finance records the client payment and the commission is calculated', async () => {
+  const res = await ctx.api.post('/api/payments').set(bearer(finance.token)).send({
+    lead_id: state.lead.id,
+    amount: 400000,
+    payment_date: new Date().toISOString().slice(0, 10),
+    transaction_reference: 'TRX-FLOW-1'
+  });
+
+  expect(res.status).toBe(201);
+  expect(res.body.data.commission).toBeGreaterThan(0);
+});
+
+test('finance finalizes the deal, making the commission payable', async () => {
+  const res = await ctx.api.patch(`/api/deals/${state.lead.id}/finalize`).set(bearer(finance.token)).send({});
+
+  expect(res.status).toBe(200);
+  expect(res.body.data.commission_eligible).toBe(true);
+
+  const eligible = await ctx.api.get('/api/payouts/eligible').set(bearer(partner.token));
+
+  expect(eligible.status).toBe(200);
+  expect(eligible.body.data.can_request).toBe(true);
+  expect(eligible.body.data.available_amount).toBeGreaterThan(0);
+  expect(eligible.body.data.referrals.map(r => r.id)).toContain(state.referral.id);
+});
+
+test('partner requests a payout of the available balance', async () => {
+  const res = await ctx.api.post('/api/payouts/request').set(bearer(partner.token)).send({});
+
+  expect(res.status).toBe(201);
+  expect(res.body.data.payout.status).toBe('pending');
+  expect(res.body.data.allocations.map(a => a.referral_id)).toEqual([state.referral.id]);
+
+  state.payout = res.body.data.payout;
+
+  // A second request finds nothing left to pay
+  const again = await ctx.api.post('/api/payouts/request').set(bearer(partner.token)).send({});
+  expect(again.status).toBe(400);
+});
+
+test('finance processes the payout with a proof of payment', async () => {
+  const res = await ctx.api.patch(`/api/payouts/${state.payout.id}/process`)
+    .set(bearer(finance.token))
+    .field('amount_paid', String(state.payout.amount))
+    .field('payment_reference', 'BANK-REF-001')
+    .attach('proof_of_payment', Buffer.from('%PDF-1.4 test proof'), { filename: 'proof.pdf', contentType: 'application/pdf' });
+
+  expect(res.status).toBe(200);
+  expect(res.body.data.payout.status).toBe('paid');
+  expect(res.body.data.payout.payment_reference).toBe('BANK-REF-001');
+  expect(res.body.data.payout.proof_of_payment_url).toMatch(/^http:\/\/localhost\/storage\/documents\/payout-proofs\//);
+
+  const again = await ctx.api.patch(`/api/payouts/${state.payout.id}/process`)
+    .set(bearer(finance.token))
+    .field('amount_paid', String(state.payout.amount));
+  expect(again.status).toBe(409);
+});
+
+test('partner sees the paid payout and was notified along the way', async () => {
+  const payouts = await ctx.api.get('/api/payouts/partner').set(bearer(partner.token));
+
+  expect(payouts.status).toBe(200);
+  expect(payouts.body.data.statistics.paid_payouts).toBe(1);
+  expect(payouts.body.data.statistics.total_paid).toBe(Number(state.payout.amount));
+
+  const { rows } = await ctx.db.query('select type from partner_notifications where partner_id = $1', [partner.id]);
+
+  expect(rows.map(row => row.type)).toContain('payout_processed');
+});
@@ -0,0 +1,250 @@
+import { createTestApp, bearer } from './helpers/test-app.js';
+
+const IPHONE = 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X) AppleWebKit/605.1.15 Mobile/15E148';
+const DESKTOP = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 Chrome/120.0 Safari/537.36';
+
+let ctx;
+let partner;
+// Cookies set by a response, as name -> value, merged over an earlier jar
+function jar(res, previous = {}) {
+  const cookies = { ...previous };
+  for (const header of res.headers['set-cookie'] || []) {
+    const [pair] = header.split(';');
+    const index = pair.indexOf('=');
+    cookies[pair.slice(0, index)] = pair.slice(index + 1);
+  }
+  return cookies;
+}
+
+const cookieHeader = (cookies) => Object.entries(cookies).map(([name, value]) => `${name}=${value}`).join('; ');
+
+function visit(referral, { cookies = {}, userAgent = DESKTOP, body = {} } = {}) {
+  return ctx.api.post(`/api/public/referrals/${referral.referral_code}/clicks`)
+    .set('User-Agent', userAgent)
+    .set('Cookie', cookieHeader(cookies))
+    .send(body);
+}
+
+async function submit(referral, cookies) {
+  const page = await ctx.api.get(`/api/public/referrals/${referral.referral_code}`);
+
+  return ctx.api.post(`/api/public/referrals/${referral.referral_code}/interest`)
+    .set('Cookie', cookieHeader(cookies))
+    .send({
+      company_name: referral.prospect_company_name,
+      contact_name: 'Ngozi Eze',
+      email: referral.email,
+      phone: referral.phone,
+      consent: true,
+      form_token: page.body.data.form_token
+    });
+}
+
+async function acceptedSubmission(referralId) {
+  const { rows: [row] } = await ctx.db.query(
+    "select * from referral_submissions where referral_id = $1 and outcome = 'accepted'", [referralId]
+  );
+  return row;
+}
+
+beforeAll(async () => {
+  ctx = await createTestApp();
+  partner = await ctx.createPartner('Tracking Partners Ltd');
+  await ctx.setConfig({ referral_form_min_seconds: 0, referral_form_max_per_ip_per_hour: 1000 });
+});
+
+afterAll(async () => {
+  await ctx?.close();
+});
+
+describe('click recording', () => {
+  test('a visit records referrer, UTM tags, device class and a hashed IP', async () => {
+    const referral = await ctx.createReferral(partner, { prospect_company_name: 'Click Recording Ltd' });
+
+    const res = await visit(referral, {
+      userAgent: IPHONE,
+      body: {
+        referrer: 'https://wa.me/',
+        utm_source: 'whatsapp',
+        utm_medium: 'social',
+        utm_campaign: 'q4-push',
+        unexpected: 'ignored'
+      }
+    });
+
+    expect(res.status).toBe(201);
+
+    const { rows: [click] } = await ctx.db.query('select * from referral_clicks where referral_id = $1', [referral.id]);
+    expect(click).toMatchObject({
+      referrer: 'https://wa.me/',
+      utm_source: 'whatsapp',
+      utm_medium: 'social',
+      utm_campaign: 'q4-push',
+      utm_term: null,
+      ua_class: 'mobile'
+    });
+    expect(click.ip_hash).toMatch(/^[0-9a-f]{64}$/);
+    expect(click).not.toHaveProperty('unexpected');
+  });
+
+  test('crawlers are classed as bots', async () => {
+    const referral = await ctx.createReferral(partner, { prospect_company_name: 'Crawled Ltd' });
+
+    await visit(referral, { userAgent: 'Slackbot-LinkExpanding 1.0 (+https://api.slack.com/robots)' });
+
+    const { rows: [click] } = await ctx.db.query('select ua_class from referral_clicks where referral_id = $1', [referral.id]);
+    expect(click.ua_class).toBe('bot');
+  });
+
+  test('an unknown code records nothing', async () => {
+    const res = await visit({ referral_code: 'CRYPT-NOPE' });
+
+    expect(res.status).toBe(404);
+  });
+
+  test('the first visit sets both touches, later visits only move the last', async () => {
+    const first = await ctx.createReferral(partner, { prospect_company_name: 'First Cookie Ltd' });
+    const second = await ctx.createReferral(partner, { prospect_company_name: 'Second Cookie Ltd' });
+
+    const firstVisit = await visit(first);
+    const cookies = jar(firstVisit);
+    expect(Object.keys(cookies).sort()).toEqual(['cw_ref_first', 'cw_ref_last']);
+    expect(cookies.cw_ref_first).toBe(cookies.cw_ref_last);
+    expect(firstVisit.headers['set-cookie'].join(';')).toMatch(/HttpOnly/);
+
+    const secondVisit = await visit(second, { cookies });
+    expect(Object.keys(jar(secondVisit))).toEqual(['cw_ref_last']);
+  });
+});
+
+describe('attribution', () => {
+  test('last touch credits the referral visited most recently', async () => {
+    const earlier = await ctx.createReferral(partner, { prospect_company_name: 'Earlier Touch Ltd' });
+    const later = await ctx.createReferral(partner, { prospect_company_name: 'Later Touch Ltd' });
+
+    let cookies = jar(await visit(earlier));
+    cookies = jar(await visit(later, { cookies }), cookies);
+
+    const res = await submit(later, cookies);
+    expect(res.status).toBe(201);
+
+    const submission = await acceptedSubmission(later.id);
+    expect(submission.attribution).toBe('last_touch');
+    expect(submission.click_id).toBe(cookies.cw_ref_last);
+  });
+
+  test('first touch credits the referral visited first', async () => {
+    await ctx.setConfig({ referral_attribution_model: 'first_touch' });
+
+    // A second partner registers the same prospect once the first referral's protection lapsed
+    const earlier = await ctx.createReferral(partner, { prospect_company_name: 'Original Touch Ltd' });
+    await ctx.db.query("update referrals set protected_until = now() - interval '1 day' where id = $1", [earlier.id]);
+    const rival = await ctx.createPartner('Rival Tracking Partners Ltd');
+    const later = await ctx.createReferral(rival, { prospect_company_name: 'Original Touch Ltd', phone: earlier.phone });
+
+    let cookies = jar(await visit(earlier));
+    cookies = jar(await visit(later, { cookies }), cookies);
+
+    const res = await submit(later, cookies);
+    expect(res.status).toBe(201);
+
+    const { rows: leads } = await ctx.db.query(
+      'select referral_id from leads where referral_id in ($1, $2)', [earlier.id, later.id]
+    );
+    expect(leads).toEqual([{ referral_id: earlier.id }]);
+
+    const submission = await acceptedSubmission(earlier.id);
+    expect(submission.attribution).toBe('first_touch');
+    expect(submission.click_id).toBe(cookies.cw_ref_first);
+
+    await ctx.setConfig({ referral_attribution_model: 'last_touch' });
+  });
+
+  test('a touch on another prospect\'s referral is not credited', async () => {
+    await ctx.setConfig({ referral_attribution_model: 'first_touch' });
+
+    const browsed = await ctx.createReferral(partner, { prospect_company_name: 'Browsed Touch Ltd' });
+    const own = await ctx.createReferral(partner, { prospect_company_name: 'Own Touch Ltd' });
+
+    let cookies = jar(await visit(browsed));
+    cookies = jar(await visit(own, { cookies }), cookies);
+
+    const res = await submit(own, cookies);
+    expect(res.status).toBe(201);
+
+    const { rows: leads } = await ctx.db.query(
+      'select referral_id from leads where referral_id in ($1, $2)', [browsed.id, own.id]
+    );
+    expect(leads).toEqual([{ referral_id: own.id }]);
+    expect((await acceptedSubmission(own.id)).attribution).toBe('last_touch');
+
+    await ctx.setConfig({ referral_attribution_model: 'last_touch' });
+  });
+
+  test('a touch that is no longer open falls back to the other one', async () => {
+    await ctx.setConfig({ referral_attribution_model: 'first_touch' });
+
+    // The prospect is referred again after their first referral was lost
+    const closed = await ctx.createReferral(partner, { prospect_company_name: 'Closed Touch Ltd' });
+    await ctx.db.query("update referrals set status = 'lost' where id = $1", [closed.id]);
+    const open = await ctx.createReferral(partner, { prospect_company_name: 'Closed Touch Ltd', phone: closed.phone });
+
+    let cookies = jar(await visit(closed));
+    cookies = jar(await visit(open, { cookies }), cookies);
+
+    await submit(open, cookies);
+
+    const submission = await acceptedSubmission(open.id);
+    expect(submission.attribution).toBe('last_touch');
+
+    await ctx.setConfig({ referral_attribution_model: 'last_touch' });
+  });
+
+  test('clicks outside the window are not credited', async () => {
+    const referral = await ctx.createReferral(partner, { prospect_company_name: 'Stale Touch Ltd' });
+    const cookies = jar(await visit(referral));
+    await ctx.db.query(
+      "update referral_clicks set clicked_at = now() - interval '40 days' where referral_id = $1", [referral.id]
+    );
+
+    await submit(referral, cookies);
+
+    const submission = await acceptedSubmission(referral.id);
+    expect(submission.attribution).toBe('direct');
+    expect(submission.click_id).toBeNull();
+  });
+});
+
+describe('funnel', () => {
+  test('referral detail shows clicks, submissions, leads and won', async () => {
+    const referral = await ctx.createReferral(partner, { prospect_company_name: 'Funnel Ltd' });
+
+    await visit(referral);
+    await visit(referral, { userAgent: IPHONE });
+    const cookies = jar(await visit(referral));
+    await submit(referral, cookies);
+    await ctx.db.query("update referrals set status = 'won' where id = $1", [referral.id]);
+
+    const res = await ctx.api.get(`/api/referrals/${referral.id}`).set(bearer(partner.token));
+
+    expect(res.body.data.referral.funnel).toEqual({ clicks: 3, submissions: 1, leads: 1, won: 1 });
+  });
+
+  test('the partner dashboard adds up every referral', async () => {
+    const { rows: [totals] } = await ctx.db.query(`
+      select
+        (select count(*)::int from referral_clicks c join referrals r on r.id = c.referral_id where r.partner_id = $1) as clicks,
+        (select count(*)::int from referral_submissions s join referrals r on r.id = s.referral_id
+          where r.partner_id = $1 and s.outcome = 'accepted') as submissions,
+        (select count(*)::int from leads l join referrals r on r.id = l.referral_id where r.partner_id = $1) as leads,
+        (select count(*)::int from referrals where partner_id = $1 and status in ('won', 'fully_paid')) as won
+    `, [partner.id]);
+
+    const res = await ctx.api.get('/api/partner/dashboard').set(bearer(partner.token));
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.funnel).toEqual(totals);
+    expect(totals.clicks).toBeGreaterThan(totals.submissions);
+    expect(totals.won).toBe(1);
+  });
+});
@@ -0,0 +1,299 @@
+import { createTestApp, bearer } from './helpers/test-app.js';
+
+let ctx;
+let registrationConflictService;
+let companyKey;
+let emailDomain;
+let phoneE164;
+let first;
+let second;
+let ops;
+let sales;
+
+function refer(partner, overrides = {}) {
+  return ctx.api.post('/api/referrals/create').set(bearer(partner.token)).send({
+    prospect_company_name: 'Acme Foods Nigeria Ltd',
+    contact_name: 'Emeka Obi',
+    email: 'emeka@acmefoods.test',
+    phone: '0803 123 4567',
+    ...overrides
+  });
+}
+
+function createLead(overrides = {}) {
+  return ctx.api.post('/api/leads').set(bearer(sales.token)).send({
+    company_name: 'Zenith Plastics',
+    contact_name: 'Amaka Nwosu',
+    email: 'amaka@zenithplastics.test',
+    phone: '08091112222',
+    ...overrides
+  });
+}
+
+async function conflictsFor(company) {
+  const { rows } = await ctx.db.query(
+    "select * from registration_conflicts where attempted_values->>'prospect_company_name' = $1 or attempted_values->>'company_name' = $1 order by created_at",
+    [company]
+  );
+  return rows;
+}
+
+function resolve(conflictId, resolution, notes = 'Checked with both partners') {
+  return ctx.api.patch(`/api/internal/conflicts/${conflictId}/resolve`)
+    .set(bearer(ops.token))
+    .send({ resolution, notes });
+}
+
+beforeAll(async () => {
+  ctx = await createTestApp();
+  // Imported once the test app has swapped in the in-memory database
+  ({ default: registrationConflictService, companyKey, emailDomain, phoneE164 } = await import('../services/registration-conflict-service.js'));
+  first = await ctx.createPartner('First Registrant Ltd');
+  second = await ctx.createPartner('Second Registrant Ltd');
+  ops = await ctx.createStaff('ops');
+  sales = await ctx.createStaff('sales');
+});
+
+afterAll(async () => {
+  await ctx?.close();
+});
+
+describe('match keys', () => {
+  test.each([
+    ['The Acme Foods Nigeria Ltd.', 'chidi@AcmeFoods.com.ng', '0803 123 4567'],
+    ['ACME FOODS & CO', 'someone@gmail.com', '+234 (803) 123-4567'],
+    ['Procter and Gamble Plc', 'x@pg.com', '002348031234567'],
+    ['Ltd', 'no-at-sign', '12345'],
+    [null, null, null]
+  ])('the service and the database agree for %p', async (name, email, phone) => {
+    const { rows: [stored] } = await ctx.db.query(
+      'select match_company_key($1) as company, match_email_domain($2) as domain, match_phone_e164($3) as phone',
+      [name, email, phone]
+    );
+
+    expect({ company: companyKey(name), domain: emailDomain(email), phone: phoneE164(phone) }).toEqual(stored);
+  });
+
+  test('company names, domains and phone numbers are normalized', () => {
+    expect(companyKey('The Acme Foods Nigeria Ltd.')).toBe('acmefoods');
+    expect(emailDomain('Chidi@AcmeFoods.com.ng')).toBe('acmefoods.com.ng');
+    expect(emailDomain('chidi@gmail.com')).toBeNull();
+    expect(phoneE164('0803 123 4567')).toBe('+2348031234567');
+    expect(phoneE164('+234 803 123 4567')).toBe('+2348031234567');
+  });
+});
+
+describe('referrals', () => {
+  let original;
+
+  beforeAll(async () => {
+    const res = await refer(first);
+    original = res.body.data.referral;
+  });
+
+  test('a partner cannot register the same company twice', async () => {
+    const res = await refer(first, { prospect_company_name: 'ACME FOODS LIMITED', email: 'ops@elsewhere.test', phone: '08000000001' });
+
+    expect(res.status).toBe(409);
+    expect(res.body.reason).toBe('already_registered');
+    expect(res.body.message).toContain(original.referral_code);
+    expect(await conflictsFor('ACME FOODS LIMITED')).toHaveLength(0);
+  });
+
+  test('another partner is refused while the first registration is protected', async () => {
+    const res = await refer(second, {
+      prospect_company_name: 'Acme Provisions',
+      email: 'buyer@acme-provisions.test',
+      phone: '+234 803 123 4567'
+    });
+
+    expect(res.status).toBe(409);
+    expect(res.body.reason).toBe('registration_protection');
+    expect(new Date(res.body.protected_until).getTime()).toBeGreaterThan(Date.now());
+    expect(res.body.message).not.toContain('First Registrant');
+
+    const [conflict] = await conflictsFor('Acme Provisions');
+    expect(conflict).toMatchObject({
+      id: res.body.conflict_id,
+      resource_type: 'referral',
+      action: 'blocked',
+      reason: 'registration_protection',
+      match_fields: ['phone'],
+      partner_id: second.id,
+      matched_referral_id: original.id,
+      status: 'pending'
+    });
+
+    const { rows: notifications } = await ctx.db.query(
+      "select metadata from notifications where type = 'registration_conflict'"
+    );
+    expect(notifications.map(n => n.metadata.conflict_id)).toContain(conflict.id);
+  });
+
+  test('an email that is not a plain address is refused', async () => {
+    const res = await refer(second, { prospect_company_name: 'Filter Foods', email: 'a@b(c).test', phone: '08011110009' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('A valid email address is required');
+  });
+
+  test('match values are compared as written, not read as filter syntax', async () => {
+    const { referrals, leads } = await registrationConflictService.findMatchingRegistrations({
+      email_domain: 'nowhere.test,company_key.neq.x',
+      company_key: 'nosuchcompany'
+    });
+    expect([...referrals, ...leads]).toHaveLength(0);
+
+    const quoted = await registrationConflictService.findMatchingRegistrations({ email_domain: 'acmefoods.test' });
+    expect(quoted.referrals.map(r => r.id)).toContain(original.id);
+  });
+
+  test('free mail domains do not make prospects duplicates', async () => {
+    const one = await refer(first, { prospect_company_name: 'Bright Bakery', email: 'bright@gmail.com', phone: '08011110001' });
+    const two = await refer(second, { prospect_company_name: 'Cool Cold Rooms', email: 'cool@gmail.com', phone: '08011110002' });
+
+    expect(one.status).toBe(201);
+    expect(two.status).toBe(201);
+    expect(two.body.data.under_review).toBe(false);
+  });
+
+  test('once protection lapses a second registration goes through for review', async () => {
+    const res = await refer(first, { prospect_company_name: 'Delta Textiles', email: 'md@deltatextiles.test', phone: '08011110003' });
+    await ctx.db.query("update referrals set protected_until = now() - interval '1 day' where id = $1", [res.body.data.referral.id]);
+
+    const later = await refer(second, { prospect_company_name: 'Delta Textiles Ltd', email: 'md@deltatextiles.test', phone: '08011110004' });
+
+    expect(later.status).toBe(201);
+    expect(later.body.data.under_review).toBe(true);
+
+    const [conflict] = await conflictsFor('Delta Textiles Ltd');
+    expect(conflict).toMatchObject({
+      action: 'flagged',
+      reason: 'protection_lapsed',
+      created_referral_id: later.body.data.referral.id,
+      matched_referral_id: res.body.data.referral.id
+    });
+    expect(conflict.match_fields.sort()).toEqual(['company_name', 'email_domain']);
+  });
+
+  test('a lost referral no longer blocks the company', async () => {
+    const res = await refer(first, { prospect_company_name: 'Echo Logistics', email: 'ceo@echologistics.test', phone: '08011110005' });
+    await ctx.db.query("update referrals set status = 'lost' where id = $1", [res.body.data.referral.id]);
+
+    const again = await refer(second, { prospect_company_name: 'Echo Logistics', email: 'ceo@echologistics.test', phone: '08011110005' });
+
+    expect(again.status).toBe(201);
+    expect(again.body.data.under_review).toBe(false);
+  });
+
+  test('an expired referral no longer blocks the company', async () => {
+    const res = await refer(first, { prospect_company_name: 'Gamma Mills', email: 'ceo@gammamills.test', phone: '08011110007' });
+    await ctx.db.query("update referrals set status = 'expired' where id = $1", [res.body.data.referral.id]);
+
+    const again = await refer(first, { prospect_company_name: 'Gamma Mills', email: 'ceo@gammamills.test', phone: '08011110007' });
+
+    expect(again.status).toBe(201);
+    expect(again.body.data.under_review).toBe(false);
+  });
+});
+
+describe('leads', () => {
+  test('a company already in the pipeline cannot be added again', async () => {
+    expect((await createLead()).status).toBe(201);
+
+    const res = await createLead({ company_name: 'Zenith Plastics Limited', email: 'sales@zenithplastics.test', phone: '08099998888' });
+
+    expect(res.status).toBe(409);
+    expect(res.body.reason).toBe('already_registered');
+    expect(res.body.conflict_id).toBeDefined();
+  });
+
+  test('a protected prospect needs the partner\'s referral code', async () => {
+    const referral = (await refer(first, {
+      prospect_company_name: 'Falcon Pharma',
+      email: 'md@falconpharma.test',
+      phone: '08011110006'
+    })).body.data.referral;
+
+    const unlinked = await createLead({ company_name: 'Falcon Pharma', email: 'md@falconpharma.test', phone: '08011110006' });
+    expect(unlinked.status).toBe(409);
+    expect(unlinked.body.reason).toBe('registration_protection');
+    expect(unlinked.body.message).toContain(referral.referral_code);
+    expect(unlinked.body.message).toContain('First Registrant Ltd');
+
+    const linked = await createLead({
+      company_name: 'Falcon Pharma',
+      email: 'md@falconpharma.test',
+      phone: '08011110006',
+      referral_code: referral.referral_code
+    });
+    expect(linked.status).toBe(201);
+    expect(linked.body.data.under_review).toBe(false);
+  });
+});
+
+describe('review queue', () => {
+  test('lists pending conflicts with both registrations', async () => {
+    const res = await ctx.api.get('/api/internal/conflicts?status=pending').set(bearer(ops.token));
+
+    expect(res.status).toBe(200);
+    const blocked = res.body.data.conflicts.find(c => c.attempted_values.prospect_company_name === 'Acme Provisions');
+    expect(blocked.partners.company_name).toBe('Second Registrant Ltd');
+    expect(blocked.matched_referral.partners.company_name).toBe('First Registrant Ltd');
+  });
+
+  test('rejects an unknown status filter or resolution', async () => {
+    const [conflict] = await conflictsFor('Acme Provisions');
+
+    expect((await ctx.api.get('/api/internal/conflicts?status=open').set(bearer(ops.token))).status).toBe(400);
+    expect((await resolve(conflict.id, 'approve')).status).toBe(400);
+  });
+
+  test('overriding a refused referral creates it for the later partner', async () => {
+    const [conflict] = await conflictsFor('Acme Provisions');
+
+    const res = await resolve(conflict.id, 'overridden');
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.conflict.status).toBe('overridden');
+    expect(res.body.data.conflict.created_referral).toMatchObject({ status: 'code_sent' });
+
+    const { rows: [referral] } = await ctx.db.query(
+      'select partner_id, prospect_company_name from referrals where id = $1', [res.body.data.conflict.created_referral_id]
+    );
+    expect(referral).toEqual({ partner_id: second.id, prospect_company_name: 'Acme Provisions' });
+
+    const { rows: notifications } = await ctx.db.query(
+      "select message from partner_notifications where partner_id = $1 and type = 'registration_conflict_resolved'", [second.id]
+    );
+    expect(notifications[0].message).toContain('approved');
+  });
+
+  test('upholding a flagged referral closes it', async () => {
+    const [conflict] = await conflictsFor('Delta Textiles Ltd');
+
+    const res = await resolve(conflict.id, 'upheld');
+
+    expect(res.status).toBe(200);
+    const { rows: [referral] } = await ctx.db.query('select status from referrals where id = $1', [conflict.created_referral_id]);
+    expect(referral.status).toBe('lost');
+  });
+
+  test('overriding a refused lead creates it', async () => {
+    const [conflict] = await conflictsFor('Zenith Plastics Limited');
+
+    const res = await resolve(conflict.id, 'overridden');
+
+    expect(res.status).toBe(200);
+    const { rows } = await ctx.db.query("select id from leads where company_name = 'Zenith Plastics Limited'");
+    expect(rows.map(row => row.id)).toEqual([res.body.data.conflict.created_lead_id]);
+  });
+
+  test('a conflict is resolved once', async () => {
+    const [conflict] = await conflictsFor('Acme Provisions');
+
+    const res = await resolve(conflict.id, 'upheld');
+
+    expect(res.status).toBe(409);
+  });
+});
@@ -0,0 +1,386 @@
+import { createTestApp, bearer } from './helpers/test-app.js';
+
+// Who may call each API route:
+//   'public'   no token needed
+//   'user'     any signed-in partner or staff member
+//   'partner'  partners only
+//   'internal' any staff member
+//   otherwise  staff holding that permission (services/permission-service.js)
+// A new route fails the coverage test until it is listed here.
+const ACCESS = {
+  '/api/auth': {
+    'POST /register': 'public',
+    'POST /login': 'public',
+    'POST /logout': 'user',
+    'POST /change-password': 'public',
+    'POST /refresh': 'public',
+    'GET /sessions': 'internal',
+    'DELETE /sessions/:id': 'internal',
+    'GET /2fa/status': 'user',
+    'POST /2fa/enroll': 'user',
+    'POST /2fa/enroll/verify': 'user',
+    'POST /2fa/verify': 'public',
+    'POST /2fa/email-code': 'public',
+    'POST /2fa/recovery-codes': 'user',
+    'POST /2fa/disable': 'user',
+    'POST /forgot-password': 'public',
+    'POST /reset-password': 'public',
+    'GET /me': 'user',
+    'POST /send-otp': 'public',
+    'POST /verify-otp': 'public'
+  },
+  '/api/bank': {
+    'GET /list': 'public',
+    'POST /verify': 'public',
+    'POST /update-partner': 'partner',
+    'GET /changes': 'partner',
+    'DELETE /change-requests/:id': 'partner',
+    'GET /change-requests': 'payouts.read',
+    'PATCH /change-requests/:id/review': 'bank_changes.review'
+  },
+  '/api/referrals': {
+    'POST /create': 'partner',
+    'GET /': 'partner',
+    'GET /:id': 'partner',
+    'GET /stats/dashboard': 'partner',
+    'GET /code/:code': 'referrals.read'
+  },
+  '/api/leads': {
+    'POST /': 'leads.write',
+    'GET /': 'leads.read',
+    'GET /:id': 'leads.read',
+    'PUT /:id': 'leads.write',
+    'PUT /:id/status': 'leads.write',
+    'POST /:id/activities': 'leads.write',
+    'PATCH /:id/payment-complete': 'deals.finalize'
+  },
+  '/api/partner': {
+    'GET /dashboard': 'partner',
+    'GET /profile': 'user',
+    'PUT /profile': 'user',
+    'GET /commissions': 'partner'
+  },
+  '/api/public': {
+    'GET /referrals/:code': 'public',
+    'POST /referrals/:code/clicks': 'public',
+    'POST /referrals/:code/interest': 'public'
+  },
+  '/api/payments': {
+    'POST /': 'payments.write',
+    'GET /': 'payments.read',
+    'GET /lead/:leadId': 'payments.read',
+    'GET /referral/:referralId': 'payments.read',
+    'PATCH /:id': 'payments.write',
+    'POST /:id/refund': 'payments.write',
+    'GET /stats': 'payments.read'
+  },
+  '/api/commissions': {
+    'GET /partner': 'partner',
+    'GET /eligible': 'partner',
+    'GET /partner/rate': 'partner',
+    'GET /partner/adjustments': 'partner',
+    'GET /adjustments': 'payments.read',
+    'POST /preview': 'payments.read',
+    'GET /rules': 'payments.read',
+    'GET /rules/:id/versions': 'payments.read',
+    'POST /rules': 'commissions.manage',
+    'PUT /rules/:id': 'commissions.manage',
+    'DELETE /rules/:id': 'commissions.manage',
+    'POST /payouts/request': 'partner',
+    'GET /payouts/partner': 'partner',
+    'PATCH /payouts/:id': 'partner',
+    'GET /payouts/pending': 'payouts.read',
+    'PATCH /payouts/:id/process': 'payouts.approve',
+    'GET /payouts/stats': 'payouts.read'
+  },
+  '/api/deals': {
+    'PATCH /:id/convert': 'deals.convert',
+    'PATCH /:id/finalize': 'deals.finalize',
+    'PATCH /referrals/:id/status': 'referrals.write'
+  },
+  '/api/payouts': {
+    'POST /request': 'partner',
+    'PATCH /:id/process': 'payouts.approve',
+    'POST /:id/transfer': 'payouts.approve',
+    'POST /:id/transfer/finalize': 'payouts.approve',
+    'POST /:id/transfer/resend-otp': 'payouts.approve',
+    'POST /:id/transfer/verify': 'payouts.read',
+    'GET /partner/:id/credit-note': 'partner',
+    'GET /:id/credit-note': 'payouts.read',
+    'GET /partner': 'partner',
+    'GET /internal': 'payouts.read',
+    'GET /eligible': 'partner',
+    'GET /:id': 'payouts.read',
+    'GET /resolve/:bankCode': 'payouts.read',
+    'GET /list': 'payouts.read'
+  },
+  '/api/payout-runs': {
+    'GET /preview': 'payouts.read',
+    'POST /': 'payouts.approve',
+    'GET /': 'payouts.read',
+    'GET /:id': 'payouts.read',
+    'POST /:id/approve': 'payouts.approve',
+    'POST /:id/cancel': 'payouts.approve',
+    'GET /:id/export': 'payouts.approve',
+    'POST /:id/results': 'payouts.approve',
+    'POST /:id/send': 'payouts.approve',
+    'POST /:id/retry': 'payouts.approve'
+  },
+  '/api/ledger': {
+    'GET /balance': 'partner',
+    'GET /statement': 'partner',
+    'GET /reconciliation': 'reports.read',
+    'GET /partners/:partnerId/balance': 'payouts.read',
+    'GET /partners/:partnerId/statement': 'payouts.read',
+    'POST /partners/:partnerId/fees': 'payouts.approve'
+  },
+  '/api/webhooks': {
+    'POST /paystack': 'public',
+    'GET /events': 'webhooks.manage',
+    'GET /events/:id': 'webhooks.manage',
+    'POST /events/:id/replay': 'webhooks.manage'
+  },
+  '/api/internal': {
+    'GET /dashboard': 'analytics.read',
+    'GET /analytics': 'analytics.read',
+    'GET /performance': 'analytics.read',
+    'GET /partners': 'partners.read',
+    'PATCH /partners/:id/status': 'partners.suspend',
+    'PATCH /referrals/:id/protection': 'referrals.write',
+    'GET /conflicts': 'conflicts.review',
+    'GET /conflicts/:id': 'conflicts.review',
+    'PATCH /conflicts/:id/resolve': 'conflicts.review',
+    'GET /debug/leads': 'leads.read'
+  },
+  '/api/admin': {
+    'GET /config': 'system.config',
+    'PATCH /config': 'system.config',
+    'GET /audit-logs': 'audit.read',
+    'GET /audit-logs/verify': 'audit.read',
+    'GET /health': 'system.health',
+    'GET /users': 'users.manage',
+    'POST /users': 'users.manage',
+    'PATCH /users/:id': 'users.manage',
+    'GET /users/:id/sessions': 'users.manage',
+    'DELETE /users/:id/sessions': 'users.manage',
+    'GET /roles': 'roles.manage',
+    'PUT /roles/:role': 'roles.manage',
+    'DELETE /roles/:role': 'roles.manage',
+    'GET /two-factor-policy': 'roles.manage',
+    'PUT /two-factor-policy': 'roles.manage',
+    'DELETE /users/:id/two-factor': 'users.manage'
+  },
+  '/api/reports': {
+    'GET /financial': 'reports.read',
+    'GET /commission': 'reports.read',
+    'GET /tax-summary': 'reports.read',
+    'GET /export': 'reports.export'
+  },
+  '/api/notifications': {
+    'POST /': 'notifications.send',
+    'GET /': 'user',
+    'PATCH /:id/read': 'user'
+  },
+  '/api/health': {
+    'GET /': 'public'
+  }
+};
+
+const AUDIENCES = ['public', 'user', 'partner', 'internal'];
+
+const SAMPLE_ID = '00000000-0000-4000-8000-000000000000';
+
+function routesOf(apiRoutes) {
+  return apiRoutes.flatMap(([mount, router]) => router.stack
+    .filter(layer => layer.route)
+    .flatMap(layer => Object.keys(layer.route.methods).map(method => ({
+      mount,
+      key: `${method.toUpperCase()} ${layer.route.path}`
+    }))));
+}
+
+function call(api, mount, key) {
+  const [method, routePath] = key.split(' ');
+  return api[method.toLowerCase()](mount + routePath.replace(/:\w+/g, SAMPLE_ID).replace(/\/$/, ''));
+}
+
+const entries = Object.entries(ACCESS).flatMap(([mount, routes]) =>
+  Object.entries(routes).map(([key, access]) => ({ mount, key, access, name: `${key.split(' ')[0]} ${mount}${key.split(' ')[1]}` }))
+);
+const partnerRoutes = entries.filter(route => route.access === 'partner');
+const signedInRoutes = entries.filter(route => route.access !== 'public');
+const permissionRoutes = entries.filter(route => !AUDIENCES.includes(route.access));
+const internalRoutes = entries.filter(route => route.access === 'internal' || permissionRoutes.includes(route));
+
+let ctx;
+let partner;
+let otherPartner;
+let admin;
+// A staff role with no permissions at all
+let auditor;
+
+beforeAll(async () => {
+  ctx = await createTestApp();
+  partner = await ctx.createPartner('Owner Partners Ltd');
+  otherPartner = await ctx.createPartner('Other Partners Ltd');
+  admin = await ctx.createStaff('admin');
+  auditor = await ctx.createStaff('auditor');
+});
+
+afterAll(async () => {
+  await ctx?.close();
+});
+
+test('every mounted route has an access rule', () => {
+  // A path registered twice for the same method only needs one rule
+  const mounted = [...new Set(routesOf(ctx.apiRoutes).map(({ mount, key }) => `${mount} ${key}`))].sort();
+  const listed = entries.map(({ mount, key }) => `${mount} ${key}`).sort();
+
+  expect(listed).toEqual(mounted);
+});
+
+describe('without a token', () => {
+  test.each(signedInRoutes)('$name is refused', async ({ mount, key }) => {
+    const res = await call(ctx.api, mount, key);
+
+    expect(res.status).toBe(401);
+  });
+});
+
+describe('partner routes', () => {
+  test.each(partnerRoutes)('$name refuses staff sessions', async ({ mount, key }) => {
+    const res = await call(ctx.api, mount, key).set(bearer(admin.token));
+
+    expect([401, 403]).toContain(res.status);
+  });
+});
+
+describe('internal routes', () => {
+  test.each(internalRoutes)('$name refuses partner sessions', async ({ mount, key }) => {
+    const res = await call(ctx.api, mount, key).set(bearer(partner.token));
+
+    expect(res.status).toBe(403);
+    expect(res.body.message).toBe('Internal team access required');
+  });
+
+  test.each(permissionRoutes)('$name requires $access', async ({ mount, key, access }) => {
+    const res = await call(ctx.api, mount, key).set(bearer(auditor.token));
+
+    expect(res.status).toBe(403);
+    expect(res.body.required_permission).toBe(access);
+  });
+});
+
+describe('partner data ownership', () => {
+  let referral;
+
+  beforeAll(async () => {
+    const res = await ctx.api.post('/api/referrals/create').set(bearer(partner.token)).send({
+      prospect_company_name: 'Private Prospect',
+      contact_name: 'Ngozi Ade',
+      email: 'ngozi@private.test',
+      phone: '08033334444'
+    });
+    referral = res.body.data.referral;
+  });
+
+  test('a partner can read their own referral', async () => {
+    const res = await ctx.api.get(`/api/referrals/${referral.id}`).set(bearer(partner.token));
+
+    expect(res.status).toBe(200);
+  });
+
+  test("another partner's referral is not found", async () => {
+    const res = await ctx.api.get(`/api/referrals/${referral.id}`).set(bearer(otherPartner.token));
+
+    expect(res.status).toBe(404);
+  });
+
+  test("referral lists only hold the partner's own referrals", async () => {
+    const res = await ctx.api.get('/api/referrals').set(bearer(otherPartner.token));
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.referrals.map(r => r.id)).not.toContain(referral.id);
+  });
+
+  test("another partner's payout cannot be cancelled or downloaded", async () => {
+    const { rows: [payout] } = await ctx.db.query(
+      `insert into partner_payouts (partner_id, amount, status) values ($1, 1000, 'pending') returning id`,
+      [partner.id]
+    );
+
+    const cancel = await ctx.api.patch(`/api/commissions/payouts/${payout.id}`)
+      .set(bearer(otherPartner.token))
+      .send({ action: 'cancel' });
+    expect(cancel.status).toBe(404);
+
+    const creditNote = await ctx.api.get(`/api/payouts/partner/${payout.id}/credit-note`).set(bearer(otherPartner.token));
+    expect(creditNote.status).toBe(404);
+  });
+
+  test("another user's notification cannot be marked read", async () => {
+    const { rows: [notification] } = await ctx.db.query(
+      `insert into notifications (user_id, user_type, type, title, message)
+       values ($1, 'partner', 'system_announcement', 'Hello', 'Just for you') returning id`,
+      [partner.id]
+    );
+
+    const res = await ctx.api.patch(`/api/notifications/${notification.id}/read`).set(bearer(otherPartner.token));
+
+    expect(res.status).toBe(404);
+  });
+});
+
+describe('the admin role', () => {
+  let userManager;
+
+  beforeAll(async () => {
+    // A custom role that manages users but is not itself an admin
+    const role = await ctx.api.put('/api/admin/roles/user_manager').set(bearer(admin.token)).send({ permissions: ['users.manage'] });
+    expect(role.status).toBe(200);
+    userManager = await ctx.createStaff('user_manager');
+  });
+
+  test('only an admin can create an admin', async () => {
+    const user = { name: 'New Admin', email: 'new.admin@example.com', role: 'admin' };
+
+    const refused = await ctx.api.post('/api/admin/users').set(bearer(userManager.token)).send(user);
+    expect(refused.status).toBe(403);
+
+    const created = await ctx.api.post('/api/admin/users').set(bearer(admin.token)).send(user);
+    expect(created.status).toBe(201);
+  });
+
+  test('only an admin can promote a user or change an admin account', async () => {
+    const salesUser = await ctx.createStaff('sales');
+
+    const promote = await ctx.api.patch(`/api/admin/users/${salesUser.id}`).set(bearer(userManager.token)).send({ role: 'admin' });
+    expect(promote.status).toBe(403);
+
+    const demote = await ctx.api.patch(`/api/admin/users/${admin.id}`).set(bearer(userManager.token)).send({ role: 'sales' });
+    expect(demote.status).toBe(403);
+
+    const rename = await ctx.api.patch(`/api/admin/users/${salesUser.id}`).set(bearer(userManager.token)).send({ name: 'Renamed Sales' });
+    expect(rename.status).toBe(200);
+
+    const promoted = await ctx.api.patch(`/api/admin/users/${salesUser.id}`).set(bearer(admin.token)).send({ role: 'admin' });
+    expect(promoted.status).toBe(200);
+  });
+
+  test('a partial update changes only the fields it sends', async () => {
+    const financeUser = await ctx.createStaff('finance');
+    await ctx.db.query('update internal_users set is_active = false where id = $1', [financeUser.id]);
+
+    const rename = await ctx.api.patch(`/api/admin/users/${financeUser.id}`).set(bearer(admin.token)).send({ name: 'Renamed Finance' });
+    expect(rename.status).toBe(200);
+    const reset = await ctx.api.patch(`/api/admin/users/${financeUser.id}`).set(bearer(admin.token)).send({ force_password_reset: true });
+    expect(reset.status).toBe(200);
+
+    expect(await ctx.load('internal_users', financeUser.id)).toMatchObject({
+      name: 'Renamed Finance',
+      role: 'finance',
+      is_active: false,
+      must_reset_password: true
+    });
+  });
+});
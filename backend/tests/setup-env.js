@@ -0,0 +1,9 @@
+// Environment for the test suite. Each test file runs the app against its own in-memory
+// database (tests/helpers/test-app.js), so nothing here points at a real service.
+process.env.NODE_ENV = 'test';
+process.env.DATA_BACKEND = 'postgres';
+process.env.JWT_SECRET = 'test-jwt-secret';
+process.env.OTP_HASH_SECRET = 'test-otp-secret';
+process.env.RESEND_API_KEY = 're_test';
+process.env.PAYSTACK_SECRET_KEY = 'sk_test_paystack';
+process.env.FRONTEND_URL = 'http://localhost:3000';
@@ -0,0 +1,182 @@
+import crypto from 'crypto';
+import { createTestApp, bearer } from './helpers/test-app.js';
+
+let ctx;
+let webhookService;
+let payoutTransferService;
+let partner;
+let finance;
+let admin;
+let charges = 0;
+
+// Sends `payload` to the Paystack receiver, signed as Paystack signs it
+function deliver(payload) {
+  const body = JSON.stringify(payload);
+  const signature = crypto.createHmac('sha512', process.env.PAYSTACK_SECRET_KEY).update(body).digest('hex');
+
+  return ctx.api.post('/api/webhooks/paystack')
+    .set('Content-Type', 'application/json')
+    .set('x-paystack-signature', signature)
+    .send(body);
+}
+
+// A charge.success for a new referral's prospect
+async function charge(amount = 50000) {
+  charges += 1;
+  const prospect = {
+    prospect_company_name: `Webhook Prospect ${charges}`,
+    contact_name: 'Kemi Ade',
+    email: `buyer@webhook${charges}.test`,
+    phone: `0805000${String(charges).padStart(4, '0')}`
+  };
+  const created = await ctx.api.post('/api/referrals/create').set(bearer(partner.token)).send(prospect);
+  const referral = created.body.data.referral;
+
+  return {
+    prospect,
+    referral,
+    payload: {
+      event: 'charge.success',
+      data: {
+        id: 900000 + charges,
+        reference: `PSK-WEBHOOK-${charges}`,
+        amount: amount * 100,
+        paid_at: new Date().toISOString(),
+        metadata: { referral_id: referral.id }
+      }
+    }
+  };
+}
+
+async function storedEvent(payload) {
+  const { rows: [event] } = await ctx.db.query(
+    'select * from webhook_events where event_key = $1', [webhookService.eventKey(payload)]
+  );
+  return event;
+}
+
+beforeAll(async () => {
+  ctx = await createTestApp();
+  // Imported once the test app has swapped in the in-memory database
+  ({ default: webhookService } = await import('../services/webhook-service.js'));
+  ({ default: payoutTransferService } = await import('../services/payout-transfer-service.js'));
+  partner = await ctx.createPartner('Webhook Partners Ltd');
+  finance = await ctx.createStaff('finance');
+  admin = await ctx.createStaff('admin');
+});
+
+afterAll(async () => {
+  await ctx?.close();
+});
+
+describe('paystack deliveries', () => {
+  test('a charge is recorded once however often it is delivered', async () => {
+    const { referral, payload } = await charge();
+
+    expect((await deliver(payload)).status).toBe(200);
+    const again = await deliver(payload);
+    expect(again.body.message).toBe('Event already processed');
+
+    const { rows: payments } = await ctx.db.query('select amount from client_payments where referral_id = $1', [referral.id]);
+    expect(payments.map(p => Number(p.amount))).toEqual([50000]);
+    expect(await storedEvent(payload)).toMatchObject({ status: 'processed', attempts: 1 });
+  });
+
+  test('only one of two concurrent deliveries claims the event', async () => {
+    const { payload } = await charge();
+
+    const [first, second] = await Promise.all([
+      webhookService.store('paystack', payload),
+      webhookService.store('paystack', payload)
+    ]);
+    const claims = await Promise.all([webhookService.claim(first.event), webhookService.claim(second.event)]);
+
+    expect(claims.filter(Boolean)).toHaveLength(1);
+    expect((await storedEvent(payload)).status).toBe('processing');
+
+    // Nor can an admin replay it while it runs
+    const replay = await ctx.api.post(`/api/webhooks/events/${first.event.id}/replay`).set(bearer(admin.token));
+    expect(replay.status).toBe(409);
+  });
+
+  test('a failed event is claimed again by its redelivery', async () => {
+    const { payload } = await charge();
+    const { event } = await webhookService.store('paystack', payload);
+    await ctx.db.query("update webhook_events set status = 'failed', attempts = 1 where id = $1", [event.id]);
+
+    expect((await deliver(payload)).body.message).toBe('Event received');
+    expect(await storedEvent(payload)).toMatchObject({ status: 'processed', attempts: 2 });
+  });
+
+  test('an event left processing by a handler that died is claimed again', async () => {
+    const { payload } = await charge();
+    const { event } = await webhookService.store('paystack', payload);
+    await ctx.db.query(
+      "update webhook_events set status = 'processing', claimed_at = now() - interval '10 minutes' where id = $1", [event.id]
+    );
+
+    expect((await deliver(payload)).body.message).toBe('Event received');
+    expect((await storedEvent(payload)).status).toBe('processed');
+  });
+
+  test('an event still being processed is not claimed again', async () => {
+    const { payload } = await charge();
+    const { event } = await webhookService.store('paystack', payload);
+    await ctx.db.query("update webhook_events set status = 'processing', claimed_at = now() where id = $1", [event.id]);
+
+    expect(await webhookService.claim(event)).toBeNull();
+    expect((await deliver(payload)).body.message).toBe('Event already processed');
+  });
+});
+
+describe('transfer results', () => {
+  test('a transfer confirmed by a webhook and a verify at once is posted to the ledger once', async () => {
+    const { rows: [{ id }] } = await ctx.db.query(
+      `insert into partner_payouts (partner_id, amount, status, transfer_reference, transfer_status)
+       values ($1, 25000, 'processing', 'payout-webhook-1', 'pending') returning id`,
+      [partner.id]
+    );
+    const payout = await payoutTransferService.getPayout(id);
+    const transfer = { reference: 'payout-webhook-1', status: 'success', fee: 50 };
+
+    await Promise.all([
+      payoutTransferService.applyTransferResult(payout, transfer),
+      payoutTransferService.applyTransferResult(payout, transfer)
+    ]);
+
+    const { rows: postings } = await ctx.db.query(
+      "select distinct transaction_id from ledger_entries where source_type = 'partner_payout' and source_id = $1 and entry_type = 'payout'", [id]
+    );
+    expect(postings).toHaveLength(1);
+    expect((await ctx.load('partner_payouts', id)).status).toBe('paid');
+  });
+});
+
+describe('transaction references', () => {
+  test('a transaction already recorded from Paystack cannot be entered again', async () => {
+    const { prospect, referral, payload } = await charge();
+    await deliver(payload);
+
+    const sales = await ctx.createStaff('sales');
+    const lead = await ctx.api.post('/api/leads').set(bearer(sales.token)).send({
+      company_name: prospect.prospect_company_name,
+      contact_name: prospect.contact_name,
+      email: prospect.email,
+      phone: prospect.phone,
+      referral_code: referral.referral_code
+    });
+
+    const res = await ctx.api.post('/api/payments').set(bearer(finance.token)).send({
+      lead_id: lead.body.data.lead.id,
+      amount: 50000,
+      payment_date: new Date().toISOString().slice(0, 10),
+      transaction_reference: payload.data.reference
+    });
+
+    expect(res.status).toBe(409);
+    await expect(ctx.db.query(
+      "insert into client_payments (referral_id, amount, payment_date, transaction_reference, status) values ($1, 1, current_date, $2, 'confirmed')",
+      [referral.id, payload.data.reference]
+    )).rejects.toThrow(/client_payments_transaction_reference_key/);
+  });
+});
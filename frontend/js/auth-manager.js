@@ -17,39 +17,16 @@ export class AuthManager {
             });
 
             if (response.data.success) {
-                const { user, userType, session } = response.data.data;
-                
-                // ✅ Store the appropriate token based on user type
-                if (userType === 'partner') {
-                    // For partners: store JWT token
-                    if (session?.access_token) {
-                        localStorage.setItem('authToken', session.access_token);
-                        console.log('✅ Partner auth token stored');
-                    }
-                    localStorage.setItem('currentPartner', JSON.stringify(user));
-                    localStorage.removeItem('internalUser');
-                    
-                    Toast.success(`Welcome back, ${user.company_name}!`);
-                    setTimeout(() => {
-                        window.location.href = 'partner-dashboard.html';
-                    }, 1500);
-                    
-                } else if (userType === 'internal') {
-                    // For internal users: create internal token format
-                    const internalToken = `internal_user_${user.id}`;
-                    localStorage.setItem('authToken', internalToken);
-                    console.log('✅ Internal auth token stored:', internalToken);
-                    
-                    localStorage.setItem('internalUser', JSON.stringify(user));
-                    localStorage.removeItem('currentPartner');
-                    
-                    Toast.success(`Welcome back, ${user.name}!`);
-                    setTimeout(() => {
-                        window.location.href = 'internal-dashboard.html';
-                    }, 1500);
+                // Second step required: caller collects a code and calls verifyTwoFactor()
+                if (response.data.data.requires_2fa) {
+                    return {
+                        success: false,
+                        requiresTwoFactor: true,
+                        challengeToken: response.data.data.challenge_token
+                    };
                 }
-                
-                return { success: true, user, userType };
+
+                return this.completeLogin(response.data.data);
             } else {
                 throw new Error(response.data.message || 'Login failed');
             }
@@ -58,6 +35,20 @@ export class AuthManager {
             console.error('💥 Login error:', error);
             
             let errorMessage = 'An unexpected error occurred. Please try again.';
+
+            if (error.response?.data?.code === 'PASSWORD_RESET_REQUIRED') {
+                Toast.error(error.response.data.message);
+                return { success: false, error: error.response.data.message, passwordResetRequired: true };
+            }
+
+            if (error.response?.data?.code === 'TWO_FACTOR_ENROLLMENT_REQUIRED') {
+                return {
+                    success: false,
+                    error: error.response.data.message,
+                    twoFactorEnrollmentRequired: true,
+                    challengeToken: error.response.data.data.challenge_token
+                };
+            }
             
             if (error.response) {
                 errorMessage = error.response.data?.message || errorMessage;
@@ -70,6 +61,67 @@ export class AuthManager {
         }
     }
 
+    // Second login step: { code }, { recoveryCode } or { emailCode }
+    static async verifyTwoFactor(challengeToken, factor) {
+        try {
+            const response = await apiClient.post(CONFIG.API.ENDPOINTS.AUTH.TWO_FACTOR_VERIFY, {
+                challengeToken,
+                ...factor
+            });
+
+            return this.completeLogin(response.data.data);
+        } catch (error) {
+            console.error('💥 2FA verification error:', error);
+            const errorMessage = error.response?.data?.message || 'Verification failed';
+            Toast.error(errorMessage);
+            return { success: false, error: errorMessage };
+        }
+    }
+
+    // Email a fallback sign-in code for a pending 2FA challenge
+    static async sendTwoFactorEmailCode(challengeToken) {
+        try {
+            await apiClient.post(CONFIG.API.ENDPOINTS.AUTH.TWO_FACTOR_EMAIL_CODE, { challengeToken });
+            Toast.success('A sign-in code has been sent to your email');
+            return { success: true };
+        } catch (error) {
+            const errorMessage = error.response?.data?.message || 'Failed to send code';
+            Toast.error(errorMessage);
+            return { success: false, error: errorMessage };
+        }
+    }
+
+    // Store the session for the signed-in account and redirect to its dashboard
+    static completeLogin({ user, userType, session }) {
+        // ✅ Store the appropriate token based on user type
+        if (userType === 'partner') {
+            // For partners: store JWT token
+            if (session?.access_token) {
+                localStorage.setItem('authToken', session.access_token);
+                console.log('✅ Partner auth token stored');
+            }
+            localStorage.setItem('currentPartner', JSON.stringify(user));
+            localStorage.removeItem('internalUser');
+
+            Toast.success(`Welcome back, ${user.company_name}!`);
+            setTimeout(() => {
+                window.location.href = 'partner-dashboard.html';
+            }, 1500);
+
+        } else if (userType === 'internal') {
+            // For internal users: store signed session + refresh token
+            this.storeInternalUser(user, session);
+            localStorage.removeItem('currentPartner');
+
+            Toast.success(`Welcome back, ${user.name}!`);
+            setTimeout(() => {
+                window.location.href = 'internal-dashboard.html';
+            }, 1500);
+        }
+
+        return { success: true, user, userType };
+    }
+
     // Partner-specific login (legacy support)
     static async partnerLogin(email, password) {
         return this.login(email, password, 'partner');
@@ -131,6 +183,7 @@ export class AuthManager {
     // Clear all auth data
     static clearAuth() {
         localStorage.removeItem('authToken');
+        localStorage.removeItem('refreshToken');
         localStorage.removeItem('currentPartner');
         localStorage.removeItem('internalUser');
         localStorage.removeItem('currentUser');
@@ -179,6 +232,18 @@ export class AuthManager {
         return null;
     }
 
+    // Check an internal user's permission (admins hold every permission)
+    static hasPermission(permission) {
+        const currentUser = this.getCurrentUser();
+        if (currentUser?.type !== 'internal') {
+            return false;
+        }
+        if (currentUser.data.role === 'admin') {
+            return true;
+        }
+        return (currentUser.data.permissions || []).includes(permission);
+    }
+
     // Check and redirect if not authenticated
     static async requireAuth(userType = null) {
         const isAuthenticated = await this.checkAuth();
@@ -205,29 +270,19 @@ export class AuthManager {
 
     // Generate proper token for API calls
 static getAuthToken() {
-    const currentUser = this.getCurrentUser();
-    const storedToken = localStorage.getItem('authToken');
-    
-    if (storedToken) {
-        return storedToken;
-    }
-    
-    // Fallback: generate token from user data
-    if (currentUser?.type === 'internal' && currentUser.data?.id) {
-        return `internal_user_${currentUser.data.id}`;
-    }
-    
-    return '';
+    return localStorage.getItem('authToken') || '';
 }
 
-// Store internal user with proper token
-static storeInternalUser(userData) {
-    if (userData && userData.id) {
-        const internalToken = `internal_user_${userData.id}`;
-        localStorage.setItem('authToken', internalToken);
+// Store internal user with the session issued by the backend
+static storeInternalUser(userData, session) {
+    if (userData && userData.id && session?.access_token) {
+        localStorage.setItem('authToken', session.access_token);
+        if (session.refresh_token) {
+            localStorage.setItem('refreshToken', session.refresh_token);
+        }
         localStorage.setItem('internalUser', JSON.stringify(userData));
-        console.log('✅ Internal user stored with token:', internalToken);
-        return internalToken;
+        console.log('✅ Internal user stored with session token');
+        return session.access_token;
     }
     return null;
 }
@@ -288,6 +343,30 @@ static storePartnerUser(userData, sessionToken = null) {
         }
     }
 
+    // Change password (internal users, including forced resets after login is refused)
+    static async changePassword(email, currentPassword, newPassword) {
+        try {
+            const response = await apiClient.post(CONFIG.API.ENDPOINTS.AUTH.CHANGE_PASSWORD, {
+                email: email.trim().toLowerCase(),
+                currentPassword,
+                newPassword
+            });
+
+            if (response.data.success) {
+                Toast.success('✅ Password changed successfully! Please sign in again.');
+                return { success: true };
+            } else {
+                throw new Error(response.data.message || 'Failed to change password');
+            }
+        } catch (error) {
+            console.error('Change password error:', error);
+            const errors = error.response?.data?.errors;
+            const errorMessage = errors?.length ? errors.join('. ') : (error.response?.data?.message || error.message || 'Failed to change password');
+            Toast.error(errorMessage);
+            return { success: false, error: errorMessage };
+        }
+    }
+
     // Validate email format
     static isValidEmail(email) {
         const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
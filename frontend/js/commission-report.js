@@ -104,6 +104,12 @@ class CommissionReport {
         document.getElementById('pendingCommission').textContent = this.formatCurrency(summary.pending_commission);
         document.getElementById('totalPaidOut').textContent = this.formatCurrency(summary.total_paid_out);
 
+        if (summary.commission_rate !== undefined) {
+            const rate = `${(summary.commission_rate * 100).toFixed(2).replace(/\.?0+$/, '')}%`;
+            document.getElementById('commissionRateValue').textContent = rate;
+            document.getElementById('commissionRateNote').textContent = `${rate} of all successful deals`;
+        }
+
         // Update commission table
         this.updateCommissionTable(referrals);
 
@@ -329,7 +335,8 @@ class CommissionReport {
             'negotiation': ['bg-orange-100 text-orange-800', 'Negotiation'],
             'won': ['bg-green-100 text-green-800', 'Won'],
             'fully_paid': ['bg-green-100 text-green-800', 'Fully Paid'],
-            'lost': ['bg-red-100 text-red-800', 'Lost']
+            'lost': ['bg-red-100 text-red-800', 'Lost'],
+            'expired': ['bg-gray-100 text-gray-800', 'Expired']
         };
         
         const [bgColor, text] = statusMap[status] || ['bg-gray-100 text-gray-800', status];
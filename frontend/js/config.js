@@ -18,13 +18,25 @@ export const CONFIG = {
               VERIFY_OTP: '/auth/verify-otp',
               FORGOT_PASSWORD: '/auth/forgot-password',
               RESET_PASSWORD: '/auth/reset-password',
+              CHANGE_PASSWORD: '/auth/change-password',
               LOGOUT: '/auth/logout',
+              REFRESH: '/auth/refresh',
+              SESSIONS: '/auth/sessions',
+              TWO_FACTOR_STATUS: '/auth/2fa/status',
+              TWO_FACTOR_ENROLL: '/auth/2fa/enroll',
+              TWO_FACTOR_ENROLL_VERIFY: '/auth/2fa/enroll/verify',
+              TWO_FACTOR_VERIFY: '/auth/2fa/verify',
+              TWO_FACTOR_EMAIL_CODE: '/auth/2fa/email-code',
+              TWO_FACTOR_RECOVERY_CODES: '/auth/2fa/recovery-codes',
+              TWO_FACTOR_DISABLE: '/auth/2fa/disable',
               ME: '/auth/me'
             },
             BANK: {
               VERIFY: '/bank/verify',
               LIST: '/bank/list',
-              UPDATE_PARTNER: '/bank/update-partner'
+              UPDATE_PARTNER: '/bank/update-partner',
+              CHANGES: '/bank/changes',
+              CHANGE_REQUESTS: '/bank/change-requests'
             },
             REFERRALS: {
               CREATE: '/referrals/create',
@@ -32,12 +44,25 @@ export const CONFIG = {
               STATS: '/referrals/stats/dashboard',
               BY_CODE: '/referrals/code'
             },
+            COMMISSIONS: {
+              PARTNER_RATE: '/commissions/partner/rate',
+              PREVIEW: '/commissions/preview',
+              RULES: '/commissions/rules'
+            },
+            LEDGER: {
+              BALANCE: '/ledger/balance',
+              STATEMENT: '/ledger/statement',
+              RECONCILIATION: '/ledger/reconciliation'
+            },
             PARTNER: {
               DASHBOARD: '/partner/dashboard', // This is the endpoint we're using
               PROFILE: '/partner/profile',
               COMMISSIONS: '/partner/commissions',
               PAYOUTS: '/partner/payouts'
             },
+            PUBLIC: {
+              REFERRALS: '/public/referrals'
+            },
             INTERNAL: {
               DASHBOARD: '/internal/dashboard',
               LEADS: '/leads',
@@ -48,7 +73,7 @@ export const CONFIG = {
     },
     
     // Business Configuration
-    COMMISSION_RATE: 0.05, // 5%
+    COMMISSION_RATE: 0.05, // Fallback only; the live rate comes from the commission rules API
     CURRENCY: '₦',
     
     // UI Configuration
@@ -105,17 +130,37 @@ apiClient.interceptors.response.use(
     (response) => {
         return response;
     },
-    (error) => {
+    async (error) => {
         console.error('API Error:', {
             url: error.config?.url,
             status: error.response?.status,
             message: error.response?.data?.message || error.message
         });
+
+        // Internal sessions: try one silent refresh before giving up
+        const refreshToken = localStorage.getItem('refreshToken');
+        const originalRequest = error.config;
+        if (error.response?.status === 401 && refreshToken && originalRequest && !originalRequest._retried
+            && originalRequest.url !== CONFIG.API.ENDPOINTS.AUTH.REFRESH) {
+            originalRequest._retried = true;
+            try {
+                const response = await apiClient.post(CONFIG.API.ENDPOINTS.AUTH.REFRESH, { refreshToken });
+                const { session } = response.data.data;
+                localStorage.setItem('authToken', session.access_token);
+                localStorage.setItem('refreshToken', session.refresh_token);
+                console.log('🔄 Session refreshed, retrying request...');
+                originalRequest.headers.Authorization = `Bearer ${session.access_token}`;
+                return apiClient(originalRequest);
+            } catch (refreshError) {
+                console.error('Session refresh failed:', refreshError.response?.data?.message || refreshError.message);
+            }
+        }
         
         if (error.response?.status === 401) {
             // Token expired or invalid
             console.log('🔄 Token invalid, clearing auth data...');
             localStorage.removeItem('authToken');
+            localStorage.removeItem('refreshToken');
             localStorage.removeItem('currentPartner');
             localStorage.removeItem('internalUser');
             
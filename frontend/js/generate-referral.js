@@ -7,6 +7,7 @@ class ReferralGenerator {
     constructor() {
         this.currentStep = 1;
         this.formData = {};
+        this.commissionRate = CONFIG.COMMISSION_RATE;
         this.init();
     }
 
@@ -18,6 +19,7 @@ class ReferralGenerator {
 
             // Load partner data
             await this.loadPartnerData();
+            await this.loadCommissionRate();
             
             // Show main content
             this.showMainContent();
@@ -43,6 +45,18 @@ class ReferralGenerator {
         }
     }
 
+    // Headline rate from the partner's commission rule; keeps the fallback if the API is unavailable
+    async loadCommissionRate() {
+        try {
+            const response = await apiClient.get(CONFIG.API.ENDPOINTS.COMMISSIONS.PARTNER_RATE);
+            if (response.data.success) {
+                this.commissionRate = response.data.data.commission_rate;
+            }
+        } catch (error) {
+            console.error('Error loading commission rate:', error);
+        }
+    }
+
     showMainContent() {
         document.getElementById('loadingState').classList.add('hidden');
         document.getElementById('mainContent').classList.remove('hidden');
@@ -322,7 +336,7 @@ class ReferralGenerator {
     // Commission Preview
     updateCommissionPreview() {
         const dealValue = parseFloat(document.getElementById('estimatedDealValue').value) || 0;
-        const commission = dealValue * CONFIG.COMMISSION_RATE;
+        const commission = dealValue * this.commissionRate;
         const preview = document.getElementById('commissionPreview');
 
         if (dealValue > 0) {
@@ -360,7 +374,7 @@ class ReferralGenerator {
         document.getElementById('summaryContactPhone').textContent = this.formData.contact.phone;
 
         // Commission
-        const commission = dealValue * CONFIG.COMMISSION_RATE;
+        const commission = dealValue * this.commissionRate;
         document.getElementById('summaryCommission').textContent = `${CONFIG.CURRENCY}${commission.toLocaleString()}`;
         document.getElementById('summaryCommissionNote').textContent = dealValue > 0 ? 
             `on ${CONFIG.CURRENCY}${dealValue.toLocaleString()} deal` : 'when deal value is confirmed';
@@ -401,6 +415,9 @@ class ReferralGenerator {
             const response = await apiClient.post(CONFIG.API.ENDPOINTS.REFERRALS.CREATE, requestData);
 
             if (response.data.success) {
+                if (response.data.data.under_review) {
+                    Toast.info('Another partner registered this company earlier. Your referral was created and will be reviewed by our team.');
+                }
                 this.showSuccessModal(response.data.data);
                 this.trackReferralCreation(response.data.data.referral.referral_code);
             } else {
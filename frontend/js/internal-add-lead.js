@@ -8,13 +8,9 @@ let currentUser = null;
 function getAuthToken() {
     try {
         const internalUser = localStorage.getItem('internalUser');
-        if (internalUser) {
-            const userData = JSON.parse(internalUser);
-            
-            // Use the same pattern as your other internal files
-            if (userData.id) {
-                return `internal_user_${userData.id}`;
-            }
+        const token = localStorage.getItem('authToken');
+        if (internalUser && token) {
+            return token;
         }
         
         console.error('❌ No valid internal user found');
@@ -332,25 +328,61 @@ function updateProgress() {
     });
 }
 
-// Commission Calculation
+// Commission Calculation (uses the commission rule in effect for the referral's partner)
+let commissionPreviewTimer = null;
+
 function calculateCommission() {
     const dealValue = parseFloat(document.getElementById('estimatedValue').value) || 0;
-    const commission = dealValue * 0.05; // 5%
-    const companyEarnings = dealValue - commission;
 
-    if (dealValue > 0) {
+    clearTimeout(commissionPreviewTimer);
+
+    if (dealValue <= 0) {
+        document.getElementById('commissionPreview').classList.add('hidden');
+        document.getElementById('summaryDealValue').textContent = '₦0';
+        document.getElementById('summaryCommission').textContent = '₦0';
+        return;
+    }
+
+    commissionPreviewTimer = setTimeout(async () => {
+        const { commission, rate } = await previewCommission(dealValue);
+        const companyEarnings = dealValue - commission;
+
         document.getElementById('previewDealValue').textContent = `₦${dealValue.toLocaleString()}`;
         document.getElementById('previewCommission').textContent = `₦${commission.toLocaleString()}`;
+        document.getElementById('previewCommissionRate').textContent = `${(rate * 100).toFixed(2).replace(/\.?0+$/, '')}%`;
         document.getElementById('previewCompanyEarnings').textContent = `₦${companyEarnings.toLocaleString()}`;
         document.getElementById('commissionPreview').classList.remove('hidden');
         
         // Update summary
         document.getElementById('summaryDealValue').textContent = `₦${dealValue.toLocaleString()}`;
         document.getElementById('summaryCommission').textContent = `₦${commission.toLocaleString()}`;
-    } else {
-        document.getElementById('commissionPreview').classList.add('hidden');
-        document.getElementById('summaryDealValue').textContent = '₦0';
-        document.getElementById('summaryCommission').textContent = '₦0';
+    }, 300);
+}
+
+async function previewCommission(amount) {
+    try {
+        const response = await fetch('http://localhost:8000/api/commissions/preview', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${getAuthToken()}`
+            },
+            body: JSON.stringify({
+                amount,
+                referral_id: referralData?.referral?.id
+            })
+        });
+
+        const data = await response.json();
+        if (!response.ok || !data.success) {
+            throw new Error(data.message || `Server error: ${response.status}`);
+        }
+
+        return { commission: data.data.commission, rate: data.data.rate };
+    } catch (error) {
+        console.error('Commission preview error:', error);
+        const rate = window.CONFIG?.COMMISSION_RATE || 0.05;
+        return { commission: Math.round(amount * rate), rate };
     }
 }
 
@@ -442,6 +474,9 @@ async function handleSubmit(event) {
         }
 
         if (data.success) {
+            if (data.data.under_review) {
+                showToast(data.message, 'info');
+            }
             showToast('🎉 Lead created successfully! Redirecting...', 'success');
             
             setTimeout(() => {
@@ -0,0 +1,365 @@
+// internal-conflicts.js - Registration conflict review queue
+const CONFLICT_REASONS = {
+    already_registered: 'Already registered',
+    registration_protection: 'Inside protection window',
+    protection_lapsed: 'Protection lapsed'
+};
+
+const MATCH_FIELD_LABELS = {
+    company_name: 'Company name',
+    email_domain: 'Email domain',
+    phone: 'Phone'
+};
+
+class InternalConflicts {
+    constructor() {
+        this.currentUser = null;
+        this.conflicts = [];
+        this.currentPage = 1;
+        this.limit = 20;
+        this.totalConflicts = 0;
+        this.statusFilter = 'pending';
+        this.resourceTypeFilter = '';
+        this.selectedConflict = null;
+        this.init();
+    }
+
+    async init() {
+        console.log('🚀 Initializing Registration Conflicts...');
+        await this.checkAuth();
+        await this.loadConflicts();
+        this.setupEventListeners();
+    }
+
+    async checkAuth() {
+        try {
+            const authResult = await AuthManager.requireAuth('internal');
+            if (!authResult) {
+                console.error('❌ Authentication failed');
+                return;
+            }
+
+            this.currentUser = AuthManager.getCurrentUser();
+            if (this.currentUser && this.currentUser.data) {
+                document.getElementById('userName').textContent = this.currentUser.data.name || this.currentUser.data.email;
+            }
+
+            if (!AuthManager.hasPermission('conflicts.review')) {
+                Toast.error('You do not have access to registration conflicts');
+            }
+        } catch (error) {
+            console.error('Auth check error:', error);
+            Toast.error('Authentication failed');
+        }
+    }
+
+    async loadConflicts() {
+        try {
+            this.showLoadingState();
+
+            const params = new URLSearchParams({ page: this.currentPage, limit: this.limit });
+            if (this.statusFilter) params.set('status', this.statusFilter);
+            if (this.resourceTypeFilter) params.set('resource_type', this.resourceTypeFilter);
+
+            const response = await this.apiCall('GET', `/internal/conflicts?${params}`);
+
+            if (response && response.success) {
+                this.conflicts = response.data.conflicts || [];
+                this.totalConflicts = response.data.pagination?.total || 0;
+                this.renderConflicts();
+                this.updatePagination();
+            }
+        } catch (error) {
+            console.error('💥 Registration conflicts load error:', error);
+            Toast.error(error.message || 'Failed to load registration conflicts');
+        } finally {
+            this.hideLoadingState();
+        }
+    }
+
+    // Name of the later registration and who made it
+    describeAttempt(conflict) {
+        const values = conflict.attempted_values || {};
+        const name = values.prospect_company_name || values.company_name || 'Unknown company';
+        const by = conflict.resource_type === 'referral'
+            ? conflict.partners?.company_name || 'Unknown partner'
+            : conflict.requester?.name || 'Prospect submission';
+        return { name, by };
+    }
+
+    // The registration it collided with
+    describeMatch(conflict) {
+        if (conflict.matched_referral) {
+            return {
+                name: conflict.matched_referral.prospect_company_name,
+                by: `${conflict.matched_referral.partners?.company_name || 'Unknown partner'} · ${conflict.matched_referral.referral_code}`,
+                status: conflict.matched_referral.status,
+                createdAt: conflict.matched_referral.created_at
+            };
+        }
+        if (conflict.matched_lead) {
+            return {
+                name: conflict.matched_lead.company_name,
+                by: 'Lead',
+                status: conflict.matched_lead.status,
+                createdAt: conflict.matched_lead.created_at
+            };
+        }
+        return { name: 'No longer on file', by: '', status: null, createdAt: null };
+    }
+
+    renderConflicts() {
+        const tableBody = document.getElementById('conflictsTableBody');
+        const empty = document.getElementById('noConflicts');
+
+        if (this.conflicts.length === 0) {
+            tableBody.innerHTML = '';
+            empty.classList.remove('hidden');
+            return;
+        }
+
+        empty.classList.add('hidden');
+
+        tableBody.innerHTML = this.conflicts.map(conflict => {
+            const attempt = this.describeAttempt(conflict);
+            const match = this.describeMatch(conflict);
+
+            return `
+            <tr class="hover:bg-gray-50 transition">
+                <td class="px-3 py-3">
+                    <div class="text-sm font-medium text-gray-900">${this.escapeHtml(attempt.name)}</div>
+                    <div class="text-xs text-gray-500">${conflict.resource_type === 'referral' ? 'Referral' : 'Lead'} by ${this.escapeHtml(attempt.by)}</div>
+                    <div class="text-xs text-gray-400">${this.formatDateTime(conflict.created_at)}</div>
+                </td>
+                <td class="px-3 py-3">
+                    <div class="text-sm text-gray-900">${this.escapeHtml(match.name)}</div>
+                    <div class="text-xs text-gray-500">${this.escapeHtml(match.by)}</div>
+                </td>
+                <td class="px-3 py-3">
+                    <span class="status-badge action-${conflict.action}">${conflict.action}</span>
+                    <div class="text-xs text-gray-600 mt-1">${CONFLICT_REASONS[conflict.reason] || conflict.reason}</div>
+                    <div class="text-xs text-gray-400">${this.formatMatchFields(conflict.match_fields)}</div>
+                </td>
+                <td class="px-3 py-3">
+                    <span class="status-badge status-${conflict.status}">${conflict.status}</span>
+                </td>
+                <td class="px-3 py-3">
+                    <button onclick="internalConflicts.showResolveModal('${conflict.id}')"
+                            class="text-blue-600 hover:text-blue-800 text-sm font-medium flex items-center">
+                        <i class="fas fa-${conflict.status === 'pending' ? 'gavel' : 'eye'} mr-1"></i> ${conflict.status === 'pending' ? 'Review' : 'View'}
+                    </button>
+                </td>
+            </tr>
+        `;
+        }).join('');
+    }
+
+    async showResolveModal(conflictId) {
+        try {
+            const response = await this.apiCall('GET', `/internal/conflicts/${conflictId}`);
+
+            if (response && response.success) {
+                const conflict = response.data.conflict;
+                const attempt = this.describeAttempt(conflict);
+                const match = this.describeMatch(conflict);
+                const values = conflict.attempted_values || {};
+                this.selectedConflict = conflict;
+
+                document.getElementById('resolveTitle').textContent = attempt.name;
+                document.getElementById('resolveContent').innerHTML = `
+                    <p class="text-sm text-gray-700 mb-4">${this.describeOutcomes(conflict)}</p>
+                    <div class="grid grid-cols-2 gap-4 text-sm">
+                        <div class="bg-orange-50 rounded-lg p-3">
+                            <h4 class="font-semibold text-gray-900 mb-2">Later registration</h4>
+                            <p class="font-medium">${this.escapeHtml(attempt.name)}</p>
+                            <p class="text-gray-600">${this.escapeHtml(values.contact_name || '')}</p>
+                            <p class="text-gray-600">${this.escapeHtml(values.email || '')}</p>
+                            <p class="text-gray-600">${this.escapeHtml(values.phone || '')}</p>
+                            <p class="text-xs text-gray-500 mt-2">By ${this.escapeHtml(attempt.by)} · ${this.formatDateTime(conflict.created_at)}</p>
+                        </div>
+                        <div class="bg-blue-50 rounded-lg p-3">
+                            <h4 class="font-semibold text-gray-900 mb-2">First registration</h4>
+                            <p class="font-medium">${this.escapeHtml(match.name)}</p>
+                            <p class="text-gray-600">${this.escapeHtml(match.by)}</p>
+                            ${match.status ? `<p class="text-gray-600">Status: ${this.escapeHtml(match.status)}</p>` : ''}
+                            <p class="text-xs text-gray-500 mt-2">Registered ${this.formatDateTime(match.createdAt)}</p>
+                            ${conflict.protected_until ? `<p class="text-xs text-gray-500">Protected until ${this.formatDateTime(conflict.protected_until)}</p>` : ''}
+                        </div>
+                    </div>
+                    <p class="text-xs text-gray-500 mt-3">Matched on ${this.formatMatchFields(conflict.match_fields)}</p>
+                    ${conflict.status !== 'pending' ? `
+                    <div class="mt-4 text-sm">
+                        <span class="status-badge status-${conflict.status}">${conflict.status}</span>
+                        by ${this.escapeHtml(conflict.resolver?.name || 'Unknown')} on ${this.formatDateTime(conflict.resolved_at)}
+                        ${conflict.resolution_notes ? `<p class="text-gray-600 mt-1">${this.escapeHtml(conflict.resolution_notes)}</p>` : ''}
+                    </div>
+                    ` : ''}
+                `;
+
+                const pending = conflict.status === 'pending';
+                document.getElementById('resolutionNotes').value = '';
+                document.getElementById('resolutionNotes').disabled = !pending;
+                document.getElementById('resolveActions').classList.toggle('hidden', !pending);
+                document.getElementById('resolveModal').classList.remove('hidden');
+            }
+        } catch (error) {
+            console.error('Conflict details error:', error);
+            Toast.error(error.message || 'Failed to load conflict');
+        }
+    }
+
+    // What each button will do, since that depends on whether the later registration was let through
+    describeOutcomes(conflict) {
+        const noun = conflict.resource_type;
+        return conflict.action === 'blocked'
+            ? `This ${noun} was refused. Upholding keeps it refused; overriding creates it.`
+            : `This ${noun} was let through for review. Upholding closes it as lost; overriding keeps it open.`;
+    }
+
+    hideResolveModal() {
+        document.getElementById('resolveModal').classList.add('hidden');
+        this.selectedConflict = null;
+    }
+
+    async resolve(resolution) {
+        if (!this.selectedConflict) return;
+
+        try {
+            const response = await this.apiCall('PATCH', `/internal/conflicts/${this.selectedConflict.id}/resolve`, {
+                resolution,
+                notes: document.getElementById('resolutionNotes').value.trim() || null
+            });
+
+            if (response && response.success) {
+                Toast.success(response.message);
+                this.hideResolveModal();
+                await this.loadConflicts();
+            }
+        } catch (error) {
+            console.error('Conflict resolve error:', error);
+            Toast.error(error.message || 'Failed to resolve conflict');
+        }
+    }
+
+    formatMatchFields(fields) {
+        return (fields || []).map(field => MATCH_FIELD_LABELS[field] || field).join(', ');
+    }
+
+    formatDateTime(dateString) {
+        if (!dateString) return '-';
+        const date = new Date(dateString);
+        return date.toLocaleDateString('en-US', {
+            year: 'numeric',
+            month: 'short',
+            day: 'numeric',
+            hour: '2-digit',
+            minute: '2-digit'
+        });
+    }
+
+    updatePagination() {
+        const start = this.totalConflicts === 0 ? 0 : ((this.currentPage - 1) * this.limit) + 1;
+        const end = Math.min(this.currentPage * this.limit, this.totalConflicts);
+
+        document.getElementById('paginationStart').textContent = start;
+        document.getElementById('paginationEnd').textContent = end;
+        document.getElementById('paginationTotal').textContent = this.totalConflicts;
+
+        document.getElementById('prevPage').disabled = this.currentPage === 1;
+        document.getElementById('nextPage').disabled = end >= this.totalConflicts;
+    }
+
+    // Utility Methods
+    async apiCall(method, endpoint, data = null) {
+        try {
+            const baseURL = window.CONFIG?.API?.BASE_URL || 'http://localhost:8000/api';
+            const token = localStorage.getItem('authToken');
+
+            console.log(`🌐 API Call: ${method} ${baseURL}${endpoint}`);
+
+            const response = await fetch(`${baseURL}${endpoint}`, {
+                method,
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Authorization': token ? `Bearer ${token}` : ''
+                },
+                body: data ? JSON.stringify(data) : null
+            });
+
+            const result = await response.json();
+
+            if (!response.ok) {
+                console.error(`❌ API Error ${response.status}:`, result);
+                throw new Error(result.message || `HTTP error! status: ${response.status}`);
+            }
+
+            return result;
+
+        } catch (error) {
+            console.error(`❌ API call failed for ${endpoint}:`, error);
+            throw error;
+        }
+    }
+
+    escapeHtml(unsafe) {
+        if (!unsafe) return '';
+        return String(unsafe)
+            .replace(/&/g, "&amp;")
+            .replace(/</g, "&lt;")
+            .replace(/>/g, "&gt;")
+            .replace(/"/g, "&quot;")
+            .replace(/'/g, "&#039;");
+    }
+
+    showLoadingState() {
+        document.getElementById('loadingState').classList.remove('hidden');
+        document.getElementById('noConflicts').classList.add('hidden');
+    }
+
+    hideLoadingState() {
+        document.getElementById('loadingState').classList.add('hidden');
+    }
+
+    setupEventListeners() {
+        document.getElementById('refreshConflicts').addEventListener('click', () => {
+            this.loadConflicts();
+            Toast.info('Refreshing conflicts...');
+        });
+
+        document.getElementById('statusFilter').addEventListener('change', (e) => {
+            this.statusFilter = e.target.value;
+            this.currentPage = 1;
+            this.loadConflicts();
+        });
+
+        document.getElementById('resourceTypeFilter').addEventListener('change', (e) => {
+            this.resourceTypeFilter = e.target.value;
+            this.currentPage = 1;
+            this.loadConflicts();
+        });
+
+        document.getElementById('prevPage').addEventListener('click', () => {
+            if (this.currentPage > 1) {
+                this.currentPage--;
+                this.loadConflicts();
+            }
+        });
+
+        document.getElementById('nextPage').addEventListener('click', () => {
+            if (this.currentPage * this.limit < this.totalConflicts) {
+                this.currentPage++;
+                this.loadConflicts();
+            }
+        });
+
+        document.getElementById('logoutBtn').addEventListener('click', () => {
+            AuthManager.logout();
+        });
+    }
+}
+
+// Initialize when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+    console.log('🚀 Starting Registration Conflicts...');
+    window.internalConflicts = new InternalConflicts();
+});
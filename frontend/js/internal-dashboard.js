@@ -284,7 +284,7 @@ class InternalDashboard {
         if (modal) modal.classList.add('hidden');
     }
 
-    showPaymentModal() {
+    async showPaymentModal() {
         const leadSelect = document.getElementById('paymentLeadSelect');
         const amountInput = document.getElementById('paymentAmount');
         
@@ -307,8 +307,13 @@ class InternalDashboard {
         if (modal) {
             document.getElementById('paymentLeadName').textContent = selectedOption.text;
             document.getElementById('paymentAmountDisplay').textContent = `₦${amount.toLocaleString()}`;
-            document.getElementById('paymentCommissionDisplay').textContent = `₦${(amount * 0.05).toLocaleString()}`;
+            document.getElementById('paymentCommissionDisplay').textContent = 'Calculating...';
             modal.classList.remove('hidden');
+
+            const preview = await this.previewCommission(leadSelect.value, amount);
+            document.getElementById('paymentCommissionDisplay').textContent = preview
+                ? `₦${preview.commission.toLocaleString()}`
+                : 'Calculated when recorded';
         }
     }
 
@@ -317,24 +322,39 @@ class InternalDashboard {
         if (modal) modal.classList.add('hidden');
     }
 
+    // Commission preview from the commission rules, debounced while the amount is typed
     calculateCommission() {
         const amountInput = document.getElementById('paymentAmount');
+        const leadSelect = document.getElementById('paymentLeadSelect');
         const preview = document.getElementById('commissionPreview');
         
         if (!amountInput || !preview) return;
 
         const amount = parseFloat(amountInput.value) || 0;
-        const commission = amount * 0.05;
-        
-        const commissionElement = document.getElementById('commissionAmountPreview');
-        if (commissionElement) {
-            commissionElement.textContent = `₦${commission.toLocaleString()}`;
+        clearTimeout(this.commissionPreviewTimer);
+
+        if (amount <= 0 || !leadSelect?.value) {
+            preview.classList.add('hidden');
+            return;
         }
-        
-        if (amount > 0) {
+
+        this.commissionPreviewTimer = setTimeout(async () => {
+            const result = await this.previewCommission(leadSelect.value, amount);
+            if (!result) return;
+
+            document.getElementById('commissionAmountPreview').textContent = `₦${result.commission.toLocaleString()}`;
+            document.getElementById('commissionRatePreview').textContent = `${(result.rate * 100).toFixed(2).replace(/\.?0+$/, '')}%`;
             preview.classList.remove('hidden');
-        } else {
-            preview.classList.add('hidden');
+        }, 300);
+    }
+
+    async previewCommission(leadId, amount) {
+        try {
+            const response = await this.apiCall('POST', '/commissions/preview', { lead_id: leadId, amount });
+            return response?.success ? response.data : null;
+        } catch (error) {
+            console.error('Commission preview error:', error);
+            return null;
         }
     }
 
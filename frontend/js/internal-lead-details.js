@@ -4,6 +4,7 @@ class InternalLeadDetails {
         this.currentUser = null;
         this.leadId = null;
         this.leadData = null;
+        this.nextStatuses = [];
         this.init();
     }
 
@@ -58,6 +59,7 @@ class InternalLeadDetails {
             if (response && response.success) {
                 console.log('✅ Lead data loaded:', response.data);
                 this.leadData = response.data.lead;
+                this.nextStatuses = response.data.next_statuses || [];
                 this.renderLeadDetails();
                 this.hideLoadingState();
             } else {
@@ -134,6 +136,18 @@ class InternalLeadDetails {
             // Show referral status
             document.getElementById('referralStatus').classList.remove('hidden');
             document.getElementById('referralStatusText').textContent = this.getStatusText(this.leadData.referrals.status);
+
+            // Protection window, renewable while the referral is open or once it has expired
+            const referral = this.leadData.referrals;
+            const renewable = ['code_sent', 'contacted', 'meeting_scheduled', 'proposal_sent', 'negotiation', 'expired'].includes(referral.status);
+            document.getElementById('referralProtection').classList.toggle('hidden', !renewable);
+            if (renewable) {
+                const lapsed = new Date(referral.protected_until) <= new Date();
+                const protectionText = document.getElementById('referralProtectionText');
+                protectionText.textContent = `${this.formatDate(referral.protected_until)}${lapsed ? ' (lapsed)' : ''}`;
+                protectionText.className = lapsed ? 'text-red-600' : 'text-gray-600';
+                document.getElementById('renewProtectionBtn').classList.toggle('hidden', !AuthManager.hasPermission('referrals.write'));
+            }
         }
 
         // Activities
@@ -161,7 +175,8 @@ class InternalLeadDetails {
             'negotiation': 'Negotiation',
             'converted': 'Converted',
             'lost': 'Lost',
-            'fully_paid': 'Fully Paid'
+            'fully_paid': 'Fully Paid',
+            'expired': 'Expired'
         };
         return statusMap[status] || status;
     }
@@ -334,6 +349,30 @@ class InternalLeadDetails {
         }
     }
 
+    async renewProtection() {
+        const referral = this.leadData?.referrals;
+        if (!referral) return;
+
+        const notes = prompt(`Renew protection for ${referral.referral_code}? Add a note for the audit trail (optional):`);
+        if (notes === null) return;
+
+        try {
+            const response = await this.apiCall('PATCH', `/internal/referrals/${referral.id}/protection`, {
+                notes: notes.trim() || null
+            });
+
+            if (response && response.success) {
+                Toast.success(response.message);
+                await this.loadLeadDetails();
+            } else {
+                throw new Error(response?.message || 'Failed to renew protection');
+            }
+        } catch (error) {
+            console.error('Protection renewal error:', error);
+            Toast.error(error.message || 'Failed to renew protection');
+        }
+    }
+
     // Modal Methods
     showAddActivityModal() {
         document.getElementById('addActivityModal').classList.remove('hidden');
@@ -346,8 +385,12 @@ class InternalLeadDetails {
     }
 
     showUpdateStatusModal() {
+        // Only the moves the pipeline allows from the current status
+        document.querySelectorAll('#newStatus option[value]:not([value=""])').forEach(option => {
+            option.disabled = !this.nextStatuses.includes(option.value);
+        });
         document.getElementById('updateStatusModal').classList.remove('hidden');
-        document.getElementById('newStatus').value = this.leadData.status;
+        document.getElementById('newStatus').value = '';
     }
 
     hideUpdateStatusModal() {
@@ -463,18 +506,36 @@ class InternalLeadDetails {
     }
 
     // Utility Methods
+    // Commission preview from the commission rules, debounced while the amount is typed
     calculateCommission() {
         const amount = parseFloat(document.getElementById('paymentAmount').value) || 0;
-        const commission = amount * 0.05; // 5%
-        
         const preview = document.getElementById('commissionPreview');
-        document.getElementById('commissionAmount').textContent = `₦${commission.toLocaleString()}`;
-        
-        if (amount > 0) {
-            preview.classList.remove('hidden');
-        } else {
+
+        clearTimeout(this.commissionPreviewTimer);
+
+        if (amount <= 0) {
             preview.classList.add('hidden');
+            return;
         }
+
+        this.commissionPreviewTimer = setTimeout(async () => {
+            try {
+                const response = await this.apiCall('POST', '/commissions/preview', {
+                    lead_id: this.leadId,
+                    amount,
+                    payment_date: document.getElementById('paymentDate').value || undefined
+                });
+
+                if (response && response.success) {
+                    const { commission, rate } = response.data;
+                    document.getElementById('commissionAmount').textContent = `₦${commission.toLocaleString()}`;
+                    document.getElementById('commissionRate').textContent = `${(rate * 100).toFixed(2).replace(/\.?0+$/, '')}%`;
+                    preview.classList.remove('hidden');
+                }
+            } catch (error) {
+                console.error('Commission preview error:', error);
+            }
+        }, 300);
     }
 
     async apiCall(method, endpoint, data = null) {
@@ -554,6 +615,7 @@ class InternalLeadDetails {
 
         // Payment completion
         document.getElementById('markPaymentCompleteBtn').addEventListener('click', () => this.markPaymentComplete());
+        document.getElementById('renewProtectionBtn').addEventListener('click', () => this.renewProtection());
 
         // Commission calculation
         document.getElementById('paymentAmount').addEventListener('input', () => this.calculateCommission());
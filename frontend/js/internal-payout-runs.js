@@ -0,0 +1,523 @@
+// internal-payout-runs.js - Batch payout runs: preview, approval, bank file export and Paystack bulk transfer
+class InternalPayoutRuns {
+    constructor() {
+        this.currentUser = null;
+        this.runs = [];
+        this.currentPage = 1;
+        this.limit = 20;
+        this.totalRuns = 0;
+        this.statusFilter = '';
+        this.selectedRun = null;
+        this.init();
+    }
+
+    async init() {
+        console.log('🚀 Initializing Payout Runs...');
+        await this.checkAuth();
+        await this.loadRuns();
+        this.setupEventListeners();
+    }
+
+    async checkAuth() {
+        try {
+            const authResult = await AuthManager.requireAuth('internal');
+            if (!authResult) {
+                console.error('❌ Authentication failed');
+                return;
+            }
+
+            this.currentUser = AuthManager.getCurrentUser();
+            if (this.currentUser && this.currentUser.data) {
+                document.getElementById('userName').textContent = this.currentUser.data.name || this.currentUser.data.email;
+            }
+
+            if (!AuthManager.hasPermission('payouts.read')) {
+                Toast.error('You do not have access to payout runs');
+            }
+        } catch (error) {
+            console.error('Auth check error:', error);
+            Toast.error('Authentication failed');
+        }
+    }
+
+    canApprove() {
+        return AuthManager.hasPermission('payouts.approve');
+    }
+
+    async loadRuns() {
+        try {
+            this.showLoadingState();
+
+            const params = new URLSearchParams({ page: this.currentPage, limit: this.limit });
+            if (this.statusFilter) params.set('status', this.statusFilter);
+
+            const response = await this.apiCall('GET', `/payout-runs?${params}`);
+
+            if (response && response.success) {
+                this.runs = response.data.runs || [];
+                this.totalRuns = response.data.pagination?.total || 0;
+                this.renderRuns();
+                this.updatePagination();
+            }
+        } catch (error) {
+            console.error('💥 Payout runs load error:', error);
+            Toast.error(error.message || 'Failed to load payout runs');
+        } finally {
+            this.hideLoadingState();
+        }
+    }
+
+    renderRuns() {
+        const tableBody = document.getElementById('runsTableBody');
+        const empty = document.getElementById('noRuns');
+
+        if (this.runs.length === 0) {
+            tableBody.innerHTML = '';
+            empty.classList.remove('hidden');
+            return;
+        }
+
+        empty.classList.add('hidden');
+
+        tableBody.innerHTML = this.runs.map(run => `
+            <tr class="hover:bg-gray-50 transition">
+                <td class="px-3 py-3">
+                    <div class="text-sm font-medium text-gray-900 font-mono">${this.escapeHtml(run.reference)}</div>
+                    ${run.parent_run_id ? '<div class="text-xs text-gray-400">Follow-up run</div>' : ''}
+                    ${run.method ? `<div class="text-xs text-gray-400">${run.method === 'paystack' ? 'Paystack bulk transfer' : `Bank file (${this.escapeHtml(run.export_format || 'csv')})`}</div>` : ''}
+                </td>
+                <td class="px-3 py-3 text-sm text-gray-600">${run.item_count}</td>
+                <td class="px-3 py-3 text-sm font-semibold text-gray-900">${this.formatCurrency(run.total_amount)}</td>
+                <td class="px-3 py-3">
+                    <span class="status-badge status-${run.status}">${run.status.replace('_', ' ')}</span>
+                </td>
+                <td class="px-3 py-3 text-xs text-gray-600">
+                    <div>${this.escapeHtml(run.creator?.name || 'Unknown')} · ${this.formatDateTime(run.created_at)}</div>
+                    ${run.approved_at ? `<div class="text-gray-400">Approved by ${this.escapeHtml(run.approver?.name || 'Unknown')}</div>` : ''}
+                </td>
+                <td class="px-3 py-3">
+                    <div class="flex space-x-2 action-buttons">
+                        <button onclick="internalPayoutRuns.showRunDetails('${run.id}')"
+                                class="text-blue-600 hover:text-blue-800 text-sm font-medium flex items-center">
+                            <i class="fas fa-eye mr-1"></i> Open
+                        </button>
+                    </div>
+                </td>
+            </tr>
+        `).join('');
+    }
+
+    // ==================== PREVIEW ====================
+    async showPreview() {
+        try {
+            const response = await this.apiCall('GET', '/payout-runs/preview');
+            if (!response || !response.success) return;
+
+            const { totals, excluded } = response.data;
+
+            document.getElementById('previewSummary').textContent =
+                `${totals.count} payouts ready, ${this.formatCurrency(totals.total_amount)} in total`;
+
+            document.getElementById('previewBanks').innerHTML = totals.by_bank.length
+                ? totals.by_bank.map(bank => `
+                    <div class="flex justify-between bg-blue-50 rounded-lg px-3 py-2">
+                        <span class="text-gray-700">${this.escapeHtml(bank.bank_name)} <span class="text-gray-400">(${bank.count})</span></span>
+                        <span class="font-semibold text-gray-900">${this.formatCurrency(bank.total_amount)}</span>
+                    </div>
+                `).join('')
+                : '<p class="text-gray-500">No payouts are ready to pay.</p>';
+
+            document.getElementById('previewExcluded').innerHTML = excluded.length
+                ? excluded.map(item => `
+                    <div class="bg-yellow-50 rounded-lg px-3 py-2">
+                        <div class="flex justify-between">
+                            <span class="text-gray-700">${this.escapeHtml(item.partner_name || 'Unknown partner')}</span>
+                            <span class="text-gray-900">${this.formatCurrency(item.amount)}</span>
+                        </div>
+                        <div class="text-xs text-yellow-800">${this.escapeHtml(item.reasons.join('; '))}</div>
+                    </div>
+                `).join('')
+                : '<p class="text-gray-500">Every pending payout is included.</p>';
+
+            document.getElementById('createRun').disabled = totals.count === 0 || !this.canApprove();
+            document.getElementById('previewCard').classList.remove('hidden');
+        } catch (error) {
+            console.error('Run preview error:', error);
+            Toast.error(error.message || 'Failed to preview payout run');
+        }
+    }
+
+    async createRun() {
+        try {
+            const response = await this.apiCall('POST', '/payout-runs');
+
+            if (response && response.success) {
+                Toast.success(response.message);
+                document.getElementById('previewCard').classList.add('hidden');
+                await this.loadRuns();
+                await this.showRunDetails(response.data.run.id);
+            }
+        } catch (error) {
+            console.error('Run create error:', error);
+            Toast.error(error.message || 'Failed to create payout run');
+        }
+    }
+
+    // ==================== RUN DETAILS ====================
+    async showRunDetails(runId) {
+        try {
+            const response = await this.apiCall('GET', `/payout-runs/${runId}`);
+            if (!response || !response.success) return;
+
+            const run = response.data.run;
+            this.selectedRun = run;
+
+            document.getElementById('runDetailsTitle').textContent = run.reference;
+            document.getElementById('runDetailsContent').innerHTML = `
+                <div class="grid grid-cols-2 md:grid-cols-4 gap-3 text-sm mb-4">
+                    <div>
+                        <span class="text-gray-600">Status:</span>
+                        <p><span class="status-badge status-${run.status}">${run.status.replace('_', ' ')}</span></p>
+                    </div>
+                    <div>
+                        <span class="text-gray-600">Total:</span>
+                        <p class="font-medium">${this.formatCurrency(run.total_amount)}</p>
+                    </div>
+                    <div>
+                        <span class="text-gray-600">Paid / Failed:</span>
+                        <p class="font-medium">${run.item_summary.paid} / ${run.item_summary.failed}</p>
+                    </div>
+                    <div>
+                        <span class="text-gray-600">Awaiting Result:</span>
+                        <p class="font-medium">${run.item_summary.queued + run.item_summary.sent}</p>
+                    </div>
+                </div>
+                ${(run.totals_by_bank || []).length ? `
+                <div class="flex flex-wrap gap-2 mb-4">
+                    ${run.totals_by_bank.map(bank => `
+                        <span class="bg-blue-50 text-blue-800 rounded-lg px-2 py-1 text-xs">
+                            ${this.escapeHtml(bank.bank_name)}: ${bank.count} · ${this.formatCurrency(bank.total_amount)}
+                        </span>
+                    `).join('')}
+                </div>
+                ` : ''}
+                ${run.notes ? `<p class="text-sm text-gray-600 mb-4">${this.escapeHtml(run.notes)}</p>` : ''}
+                <table class="w-full text-sm">
+                    <thead class="bg-gray-50">
+                        <tr>
+                            <th class="px-2 py-2 text-left text-xs font-semibold text-gray-600">#</th>
+                            <th class="px-2 py-2 text-left text-xs font-semibold text-gray-600">Partner</th>
+                            <th class="px-2 py-2 text-left text-xs font-semibold text-gray-600">Account</th>
+                            <th class="px-2 py-2 text-left text-xs font-semibold text-gray-600">Amount</th>
+                            <th class="px-2 py-2 text-left text-xs font-semibold text-gray-600">Status</th>
+                            <th class="px-2 py-2"></th>
+                        </tr>
+                    </thead>
+                    <tbody class="divide-y divide-gray-100">
+                        ${run.items.map(item => this.renderItem(run, item)).join('')}
+                    </tbody>
+                </table>
+            `;
+
+            this.renderRunActions(run);
+            document.getElementById('runDetailsModal').classList.remove('hidden');
+        } catch (error) {
+            console.error('Run details error:', error);
+            Toast.error(error.message || 'Failed to load payout run');
+        }
+    }
+
+    renderItem(run, item) {
+        // Bank file results are recorded item by item once the file has gone to the bank
+        const awaitingBank = run.status === 'exported' && item.status === 'sent' && this.canApprove();
+
+        return `
+            <tr>
+                <td class="px-2 py-2 text-gray-400">${item.sequence}</td>
+                <td class="px-2 py-2">
+                    <div class="text-gray-900">${this.escapeHtml(item.partner_name)}</div>
+                    ${item.referral_name ? `<div class="text-xs text-gray-400">${this.escapeHtml(item.referral_name)}</div>` : ''}
+                </td>
+                <td class="px-2 py-2 text-xs text-gray-600">
+                    <div>${this.escapeHtml(item.account_name)}</div>
+                    <div class="font-mono">${this.escapeHtml(item.account_number)} · ${this.escapeHtml(item.bank_code)}</div>
+                </td>
+                <td class="px-2 py-2 font-medium">${this.formatCurrency(item.amount)}</td>
+                <td class="px-2 py-2">
+                    <span class="status-badge status-${item.status}">${item.status}</span>
+                    ${item.failure_reason ? `<div class="text-xs text-red-600 mt-1">${this.escapeHtml(item.failure_reason)}</div>` : ''}
+                </td>
+                <td class="px-2 py-2 whitespace-nowrap">
+                    ${awaitingBank ? `
+                        <button onclick="internalPayoutRuns.recordResult('${item.id}', true)" class="text-green-600 hover:text-green-800 text-xs font-medium mr-2">
+                            <i class="fas fa-check mr-1"></i>Paid
+                        </button>
+                        <button onclick="internalPayoutRuns.recordResult('${item.id}', false)" class="text-red-600 hover:text-red-800 text-xs font-medium">
+                            <i class="fas fa-times mr-1"></i>Failed
+                        </button>
+                    ` : ''}
+                </td>
+            </tr>
+        `;
+    }
+
+    renderRunActions(run) {
+        const button = (label, icon, classes, handler) => `
+            <button onclick="internalPayoutRuns.${handler}" class="${classes} text-white font-medium py-2 px-4 rounded-lg transition text-sm">
+                <i class="fas ${icon} mr-2"></i>${label}
+            </button>
+        `;
+        const actions = [];
+
+        if (this.canApprove()) {
+            if (run.status === 'draft') {
+                actions.push(button('Approve', 'fa-lock', 'bg-green-600 hover:bg-green-700', 'approveRun()'));
+            }
+            if (['approved', 'exported'].includes(run.status) && run.method !== 'paystack') {
+                actions.push(button('Export CSV', 'fa-file-csv', 'bg-blue-600 hover:bg-blue-700', "exportRun('csv')"));
+                actions.push(button('Export NIBSS', 'fa-file-alt', 'bg-blue-600 hover:bg-blue-700', "exportRun('nibss')"));
+            }
+            if (run.status === 'approved') {
+                actions.push(button('Send via Paystack', 'fa-paper-plane', 'bg-purple-600 hover:bg-purple-700', 'sendRun()'));
+            }
+            if (['draft', 'approved'].includes(run.status)) {
+                actions.push(button('Cancel Run', 'fa-ban', 'bg-red-500 hover:bg-red-600', 'cancelRun()'));
+            }
+            if (run.status === 'partially_failed') {
+                actions.push(button('Retry Failed', 'fa-redo', 'bg-orange-500 hover:bg-orange-600', 'retryRun()'));
+            }
+        }
+
+        actions.push(button('Close', 'fa-times', 'bg-gray-500 hover:bg-gray-600', 'hideRunDetailsModal()'));
+        document.getElementById('runDetailsActions').innerHTML = actions.join('');
+    }
+
+    hideRunDetailsModal() {
+        document.getElementById('runDetailsModal').classList.add('hidden');
+        this.selectedRun = null;
+    }
+
+    // ==================== RUN ACTIONS ====================
+    async runAction(endpoint, data = null) {
+        const runId = this.selectedRun.id;
+
+        try {
+            const response = await this.apiCall('POST', `/payout-runs/${runId}${endpoint}`, data);
+
+            if (response && response.success) {
+                Toast.success(response.message);
+            }
+
+            await this.loadRuns();
+            return response;
+        } catch (error) {
+            console.error(`Run action ${endpoint} error:`, error);
+            Toast.error(error.message || 'Payout run action failed');
+            return null;
+        } finally {
+            await this.showRunDetails(runId);
+        }
+    }
+
+    async approveRun() {
+        if (!confirm(`Approve ${this.selectedRun.reference} for ${this.formatCurrency(this.selectedRun.total_amount)}? Its payouts will be locked for payment.`)) return;
+        await this.runAction('/approve');
+    }
+
+    async cancelRun() {
+        const reason = prompt(`Cancel ${this.selectedRun.reference}? Optionally give a reason:`);
+        if (reason === null) return;
+        await this.runAction('/cancel', { reason });
+    }
+
+    async sendRun() {
+        if (!confirm(`Send ${this.selectedRun.item_count} transfers totalling ${this.formatCurrency(this.selectedRun.total_amount)} through Paystack now?`)) return;
+        await this.runAction('/send');
+    }
+
+    async retryRun() {
+        const response = await this.apiCall('POST', `/payout-runs/${this.selectedRun.id}/retry`).catch(error => {
+            Toast.error(error.message || 'Failed to create follow-up run');
+            return null;
+        });
+
+        if (response && response.success) {
+            Toast.success(response.message);
+            await this.loadRuns();
+            await this.showRunDetails(response.data.run.id);
+        }
+    }
+
+    async recordResult(itemId, paid) {
+        let data;
+        if (paid) {
+            data = { paid: [itemId] };
+        } else {
+            const reason = prompt('Why did the bank reject this payment?');
+            if (reason === null) return;
+            data = { failed: [{ item_id: itemId, reason: reason || 'Rejected by the bank' }] };
+        }
+
+        await this.runAction('/results', data);
+    }
+
+    async exportRun(format) {
+        const run = this.selectedRun;
+
+        if (run.status === 'approved' &&
+            !confirm('Exporting marks every payout in this run as sent to the bank. Continue?')) {
+            return;
+        }
+
+        try {
+            const baseURL = window.CONFIG?.API?.BASE_URL || 'http://localhost:8000/api';
+            const response = await fetch(`${baseURL}/payout-runs/${run.id}/export?format=${format}`, {
+                headers: { 'Authorization': `Bearer ${localStorage.getItem('authToken')}` }
+            });
+
+            if (!response.ok) {
+                const result = await response.json().catch(() => ({}));
+                throw new Error(result.message || `HTTP error! status: ${response.status}`);
+            }
+
+            const blob = await response.blob();
+            const url = URL.createObjectURL(blob);
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = `${run.reference}.${format === 'nibss' ? 'txt' : 'csv'}`;
+            document.body.appendChild(link);
+            link.click();
+            link.remove();
+            URL.revokeObjectURL(url);
+
+            Toast.success('Bank file downloaded');
+            await this.loadRuns();
+            await this.showRunDetails(run.id);
+        } catch (error) {
+            console.error('Run export error:', error);
+            Toast.error(error.message || 'Failed to export payout run');
+        }
+    }
+
+    formatCurrency(amount) {
+        return `₦${(amount || 0).toLocaleString()}`;
+    }
+
+    formatDateTime(dateString) {
+        if (!dateString) return '-';
+        const date = new Date(dateString);
+        return date.toLocaleDateString('en-US', {
+            year: 'numeric',
+            month: 'short',
+            day: 'numeric',
+            hour: '2-digit',
+            minute: '2-digit'
+        });
+    }
+
+    updatePagination() {
+        const start = this.totalRuns === 0 ? 0 : ((this.currentPage - 1) * this.limit) + 1;
+        const end = Math.min(this.currentPage * this.limit, this.totalRuns);
+
+        document.getElementById('paginationStart').textContent = start;
+        document.getElementById('paginationEnd').textContent = end;
+        document.getElementById('paginationTotal').textContent = this.totalRuns;
+
+        document.getElementById('prevPage').disabled = this.currentPage === 1;
+        document.getElementById('nextPage').disabled = end >= this.totalRuns;
+    }
+
+    // Utility Methods
+    async apiCall(method, endpoint, data = null) {
+        try {
+            const baseURL = window.CONFIG?.API?.BASE_URL || 'http://localhost:8000/api';
+            const token = localStorage.getItem('authToken');
+
+            console.log(`🌐 API Call: ${method} ${baseURL}${endpoint}`);
+
+            const response = await fetch(`${baseURL}${endpoint}`, {
+                method,
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Authorization': token ? `Bearer ${token}` : ''
+                },
+                body: data ? JSON.stringify(data) : null
+            });
+
+            const result = await response.json();
+
+            if (!response.ok) {
+                console.error(`❌ API Error ${response.status}:`, result);
+                throw new Error(result.message || `HTTP error! status: ${response.status}`);
+            }
+
+            return result;
+
+        } catch (error) {
+            console.error(`❌ API call failed for ${endpoint}:`, error);
+            throw error;
+        }
+    }
+
+    escapeHtml(unsafe) {
+        if (!unsafe) return '';
+        return String(unsafe)
+            .replace(/&/g, "&amp;")
+            .replace(/</g, "&lt;")
+            .replace(/>/g, "&gt;")
+            .replace(/"/g, "&quot;")
+            .replace(/'/g, "&#039;");
+    }
+
+    showLoadingState() {
+        document.getElementById('loadingState').classList.remove('hidden');
+        document.getElementById('noRuns').classList.add('hidden');
+    }
+
+    hideLoadingState() {
+        document.getElementById('loadingState').classList.add('hidden');
+    }
+
+    setupEventListeners() {
+        document.getElementById('refreshRuns').addEventListener('click', () => {
+            this.loadRuns();
+            Toast.info('Refreshing runs...');
+        });
+
+        document.getElementById('previewRun').addEventListener('click', () => this.showPreview());
+        document.getElementById('createRun').addEventListener('click', () => this.createRun());
+        document.getElementById('closePreview').addEventListener('click', () => {
+            document.getElementById('previewCard').classList.add('hidden');
+        });
+
+        document.getElementById('statusFilter').addEventListener('change', (e) => {
+            this.statusFilter = e.target.value;
+            this.currentPage = 1;
+            this.loadRuns();
+        });
+
+        document.getElementById('prevPage').addEventListener('click', () => {
+            if (this.currentPage > 1) {
+                this.currentPage--;
+                this.loadRuns();
+            }
+        });
+
+        document.getElementById('nextPage').addEventListener('click', () => {
+            if (this.currentPage * this.limit < this.totalRuns) {
+                this.currentPage++;
+                this.loadRuns();
+            }
+        });
+
+        document.getElementById('logoutBtn').addEventListener('click', () => {
+            AuthManager.logout();
+        });
+    }
+}
+
+// Initialize when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+    console.log('🚀 Starting Payout Runs...');
+    window.internalPayoutRuns = new InternalPayoutRuns();
+});
@@ -8,12 +8,16 @@ class InternalPayouts {
         this.totalPayouts = 0;
         this.selectedPayout = null;
         this.statusFilter = 'all';
+        this.canProcessPayouts = false;
+        this.canReviewBankChanges = false;
+        this.bankChangeRequests = [];
         this.init();
     }
 
     async init() {
         console.log('🚀 Initializing Internal Payouts...');
         await this.checkAuth();
+        await this.loadBankChangeRequests();
         await this.loadPayouts();
         this.setupEventListeners();
     }
@@ -27,6 +31,8 @@ class InternalPayouts {
             }
 
             this.currentUser = AuthManager.getCurrentUser();
+            this.canProcessPayouts = AuthManager.hasPermission('payouts.approve');
+            this.canReviewBankChanges = AuthManager.hasPermission('bank_changes.review');
             if (this.currentUser && this.currentUser.data) {
                 document.getElementById('userName').textContent = this.currentUser.data.name || this.currentUser.data.email;
                 console.log('✅ User authenticated:', this.currentUser.data.name);
@@ -90,7 +96,7 @@ class InternalPayouts {
                         </div>
                         <div class="ml-3">
                             <div class="text-sm font-medium text-gray-900">${this.escapeHtml(payout.partners?.company_name || 'Unknown Partner')}</div>
-                            <div class="text-xs text-gray-500">${this.escapeHtml(payout.referrals?.prospect_company_name || 'Unknown Referral')}</div>
+                            <div class="text-xs text-gray-500">${this.escapeHtml(payout.referrals?.prospect_company_name || 'Multiple referrals')}</div>
                             <div class="text-xs text-gray-400 font-mono">${payout.referrals?.referral_code || '-'}</div>
                         </div>
                     </div>
@@ -102,7 +108,7 @@ class InternalPayouts {
                 </td>
                 <td class="px-3 py-3">
                     <div class="text-sm font-semibold text-gray-900">₦${(payout.amount || 0).toLocaleString()}</div>
-                    <div class="text-xs text-gray-500">Commission</div>
+                    <div class="text-xs text-gray-500">${payout.wht_amount > 0 ? `Net of ₦${payout.wht_amount.toLocaleString()} WHT` : 'Commission'}</div>
                 </td>
                 <td class="px-3 py-3 text-sm text-gray-600">
                     ${this.formatDate(payout.requested_at)}
@@ -111,15 +117,43 @@ class InternalPayouts {
                     <span class="status-badge status-${payout.status}">
                         ${this.getStatusText(payout.status)}
                     </span>
+                    ${payout.transfer_status ? `
+                    <div class="text-xs text-gray-500 mt-1" title="${this.escapeHtml(payout.transfer_failure_reason || payout.transfer_reference || '')}">
+                        Paystack: ${payout.transfer_status}${payout.transfer_requires_otp ? ' (OTP)' : ''}
+                    </div>
+                    ` : ''}
                 </td>
                 <td class="px-3 py-3">
                     <div class="flex space-x-2 action-buttons">
-                        ${payout.status === 'pending' ? `
+                        ${payout.status === 'pending' && this.canProcessPayouts && this.hasPendingBankChange(payout.partner_id) ? `
+                        <span class="text-orange-600 text-sm font-medium flex items-center" title="Bank details change awaiting review">
+                            <i class="fas fa-lock mr-1"></i> On hold
+                        </span>
+                        ` : ''}
+                        ${['pending', 'failed'].includes(payout.status) && payout.transfer_status !== 'pending' && this.canProcessPayouts && !this.hasPendingBankChange(payout.partner_id) ? `
+                        <button onclick="internalPayouts.sendTransfer('${payout.id}')" 
+                                class="text-indigo-600 hover:text-indigo-800 text-sm font-medium flex items-center">
+                            <i class="fas fa-paper-plane mr-1"></i> ${payout.status === 'failed' ? 'Retry Transfer' : 'Send via Paystack'}
+                        </button>
+                        ` : ''}
+                        ${payout.status === 'pending' && payout.transfer_status !== 'pending' && this.canProcessPayouts && !this.hasPendingBankChange(payout.partner_id) ? `
                         <button onclick="internalPayouts.showProcessPayoutModal('${payout.id}')" 
                                 class="text-green-600 hover:text-green-800 text-sm font-medium flex items-center">
                             <i class="fas fa-check-circle mr-1"></i> Process
                         </button>
                         ` : ''}
+                        ${payout.transfer_status === 'pending' && payout.transfer_requires_otp && this.canProcessPayouts ? `
+                        <button onclick="internalPayouts.finalizeTransfer('${payout.id}')" 
+                                class="text-orange-600 hover:text-orange-800 text-sm font-medium flex items-center">
+                            <i class="fas fa-key mr-1"></i> Enter OTP
+                        </button>
+                        ` : ''}
+                        ${payout.transfer_status === 'pending' && !payout.transfer_requires_otp ? `
+                        <button onclick="internalPayouts.verifyTransfer('${payout.id}')" 
+                                class="text-orange-600 hover:text-orange-800 text-sm font-medium flex items-center">
+                            <i class="fas fa-sync-alt mr-1"></i> Check Transfer
+                        </button>
+                        ` : ''}
                         <button onclick="internalPayouts.showPayoutDetails('${payout.id}')" 
                                 class="text-blue-600 hover:text-blue-800 text-sm font-medium flex items-center">
                             <i class="fas fa-eye mr-1"></i> View
@@ -222,7 +256,7 @@ class InternalPayouts {
 
         // Payout details
         document.getElementById('processPartnerName').textContent = payout.partners?.company_name || 'Unknown';
-        document.getElementById('processReferralName').textContent = payout.referrals?.prospect_company_name || 'Unknown';
+        document.getElementById('processReferralName').textContent = payout.referrals?.prospect_company_name || 'Multiple referrals';
         document.getElementById('processCommission').textContent = `₦${(payout.amount || 0).toLocaleString()}`;
         document.getElementById('processRequestedDate').textContent = this.formatDateTime(payout.requested_at);
 
@@ -274,12 +308,26 @@ class InternalPayouts {
                         </div>
                         <div>
                             <span class="text-gray-600">Referral:</span>
-                            <p class="font-semibold">${payout.referrals?.prospect_company_name || 'Unknown'}</p>
+                            <p class="font-semibold">${payout.referrals?.prospect_company_name || 'Multiple referrals'}</p>
+                        </div>
+                        ${payout.allocations?.length > 1 ? `
+                        <div class="col-span-2">
+                            <span class="text-gray-600">Allocated to:</span>
+                            ${payout.allocations.map(a => `
+                                <p class="font-medium">${this.escapeHtml(a.referrals?.prospect_company_name || a.referral_id)} &middot; ₦${(a.amount || 0).toLocaleString()}</p>
+                            `).join('')}
                         </div>
+                        ` : ''}
                         <div>
                             <span class="text-gray-600">Amount:</span>
                             <p class="font-semibold text-green-600">₦${(payout.amount || 0).toLocaleString()}</p>
                         </div>
+                        ${payout.gross_amount ? `
+                        <div>
+                            <span class="text-gray-600">Gross / WHT:</span>
+                            <p class="font-medium">₦${payout.gross_amount.toLocaleString()} / ₦${(payout.wht_amount || 0).toLocaleString()}${payout.wht_rate ? ` (${(payout.wht_rate * 100).toFixed(1)}%)` : ''}</p>
+                        </div>
+                        ` : ''}
                         <div>
                             <span class="text-gray-600">Status:</span>
                             <span class="status-badge status-${payout.status}">
@@ -410,6 +458,170 @@ class InternalPayouts {
         }
     }
 
+    // Paystack Transfers
+    async sendTransfer(payoutId) {
+        const payout = this.payouts.find(p => p.id === payoutId);
+        if (!payout) return;
+
+        if (!confirm(`Send ₦${(payout.amount || 0).toLocaleString()} to ${payout.partners?.verified_account_name} (${payout.partners?.bank_account_number}) via Paystack?`)) {
+            return;
+        }
+
+        try {
+            const response = await this.apiCall('POST', `/payouts/${payoutId}/transfer`);
+
+            if (response && response.success) {
+                Toast.success(response.message);
+                await this.loadPayouts();
+
+                if (response.data.requires_otp) {
+                    await this.finalizeTransfer(payoutId);
+                }
+            }
+        } catch (error) {
+            console.error('Payout transfer error:', error);
+            Toast.error(error.message || 'Failed to send transfer');
+            await this.loadPayouts();
+        }
+    }
+
+    async finalizeTransfer(payoutId) {
+        const otp = prompt('Enter the OTP Paystack sent to complete this transfer (leave blank to resend it):');
+        if (otp === null) return;
+
+        try {
+            if (!otp.trim()) {
+                const response = await this.apiCall('POST', `/payouts/${payoutId}/transfer/resend-otp`);
+                if (response && response.success) Toast.info(response.message);
+                return;
+            }
+
+            const response = await this.apiCall('POST', `/payouts/${payoutId}/transfer/finalize`, { otp: otp.trim() });
+
+            if (response && response.success) {
+                Toast.success(response.message);
+                await this.loadPayouts();
+            }
+        } catch (error) {
+            console.error('Transfer finalize error:', error);
+            Toast.error(error.message || 'Failed to finalize transfer');
+        }
+    }
+
+    async verifyTransfer(payoutId) {
+        try {
+            const response = await this.apiCall('POST', `/payouts/${payoutId}/transfer/verify`);
+
+            if (response && response.success) {
+                Toast.info(response.message);
+                await this.loadPayouts();
+            }
+        } catch (error) {
+            console.error('Transfer verify error:', error);
+            Toast.error(error.message || 'Failed to check transfer');
+        }
+    }
+
+    // Bank Details Change Requests
+    async loadBankChangeRequests() {
+        try {
+            const response = await this.apiCall('GET', '/bank/change-requests?status=pending&limit=50');
+
+            if (response && response.success) {
+                this.bankChangeRequests = response.data.change_requests || [];
+                this.renderBankChangeRequests();
+            }
+        } catch (error) {
+            console.error('💥 Bank change requests load error:', error);
+            Toast.error('Failed to load bank change requests');
+        }
+    }
+
+    hasPendingBankChange(partnerId) {
+        return this.bankChangeRequests.some(request => request.partner_id === partnerId);
+    }
+
+    renderBankChangeRequests() {
+        const tableBody = document.getElementById('bankChangesTableBody');
+        const empty = document.getElementById('noBankChanges');
+
+        document.getElementById('bankChangesCount').textContent = `${this.bankChangeRequests.length} pending`;
+
+        if (this.bankChangeRequests.length === 0) {
+            tableBody.innerHTML = '';
+            empty.classList.remove('hidden');
+            return;
+        }
+
+        empty.classList.add('hidden');
+
+        tableBody.innerHTML = this.bankChangeRequests.map(request => `
+            <tr class="hover:bg-gray-50 transition">
+                <td class="px-3 py-3">
+                    <div class="text-sm font-medium text-gray-900">${this.escapeHtml(request.partners?.company_name || 'Unknown Partner')}</div>
+                    <div class="text-xs text-gray-500">${this.escapeHtml(request.partners?.contact_name || '')}</div>
+                    <div class="text-xs text-gray-400">${this.escapeHtml(request.partners?.email || '')}</div>
+                </td>
+                <td class="px-3 py-3">
+                    <div class="text-sm text-gray-900">${this.escapeHtml(request.old_account_name || 'N/A')}</div>
+                    <div class="text-xs text-gray-500 font-mono">${request.old_bank_account_number || 'N/A'}</div>
+                    <div class="text-xs text-gray-400">Bank (${request.old_bank_code || '-'})</div>
+                </td>
+                <td class="px-3 py-3">
+                    <div class="text-sm text-gray-900">${this.escapeHtml(request.new_account_name)}</div>
+                    <div class="text-xs text-gray-500 font-mono">${request.new_bank_account_number}</div>
+                    <div class="text-xs text-gray-400">Bank (${request.new_bank_code})</div>
+                </td>
+                <td class="px-3 py-3 text-sm text-gray-600">
+                    ${Math.round((request.name_match_score || 0) * 100)}%
+                </td>
+                <td class="px-3 py-3 text-sm text-gray-600">
+                    ${this.formatDateTime(request.created_at)}
+                </td>
+                <td class="px-3 py-3">
+                    ${this.canReviewBankChanges ? `
+                    <div class="flex space-x-2 action-buttons">
+                        <button onclick="internalPayouts.reviewBankChange('${request.id}', 'approve')"
+                                class="text-green-600 hover:text-green-800 text-sm font-medium flex items-center">
+                            <i class="fas fa-check mr-1"></i> Approve
+                        </button>
+                        <button onclick="internalPayouts.reviewBankChange('${request.id}', 'reject')"
+                                class="text-red-600 hover:text-red-800 text-sm font-medium flex items-center">
+                            <i class="fas fa-times mr-1"></i> Reject
+                        </button>
+                    </div>
+                    ` : '<span class="text-xs text-gray-400">Awaiting finance review</span>'}
+                </td>
+            </tr>
+        `).join('');
+    }
+
+    async reviewBankChange(requestId, decision) {
+        const request = this.bankChangeRequests.find(r => r.id === requestId);
+        if (!request) return;
+
+        let notes = null;
+        if (decision === 'reject') {
+            notes = prompt('Reason for rejecting this bank details change:');
+            if (!notes) return;
+        } else if (!confirm(`Approve payouts to ${request.new_account_name} (${request.new_bank_account_number}) for ${request.partners?.company_name}?`)) {
+            return;
+        }
+
+        try {
+            const response = await this.apiCall('PATCH', `/bank/change-requests/${requestId}/review`, { decision, notes });
+
+            if (response && response.success) {
+                Toast.success(response.message);
+                await this.loadBankChangeRequests();
+                this.renderPayouts();
+            }
+        } catch (error) {
+            console.error('Bank change review error:', error);
+            Toast.error(error.message || 'Failed to review change request');
+        }
+    }
+
     // Utility Methods
     async apiCall(method, endpoint, data = null, isFormData = false) {
         try {
@@ -470,7 +682,8 @@ class InternalPayouts {
 
     setupEventListeners() {
         // Refresh payouts
-        document.getElementById('refreshPayouts').addEventListener('click', () => {
+        document.getElementById('refreshPayouts').addEventListener('click', async () => {
+            await this.loadBankChangeRequests();
             this.loadPayouts();
             Toast.info('Refreshing payouts...');
         });
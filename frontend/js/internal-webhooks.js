@@ -0,0 +1,324 @@
+// internal-webhooks.js - Inbound webhook inspection and replay
+class InternalWebhooks {
+    constructor() {
+        this.currentUser = null;
+        this.events = [];
+        this.currentPage = 1;
+        this.limit = 20;
+        this.totalEvents = 0;
+        this.statusFilter = '';
+        this.eventTypeFilter = '';
+        this.selectedEvent = null;
+        this.init();
+    }
+
+    async init() {
+        console.log('🚀 Initializing Webhook Events...');
+        await this.checkAuth();
+        await this.loadEvents();
+        this.setupEventListeners();
+    }
+
+    async checkAuth() {
+        try {
+            const authResult = await AuthManager.requireAuth('internal');
+            if (!authResult) {
+                console.error('❌ Authentication failed');
+                return;
+            }
+
+            this.currentUser = AuthManager.getCurrentUser();
+            if (this.currentUser && this.currentUser.data) {
+                document.getElementById('userName').textContent = this.currentUser.data.name || this.currentUser.data.email;
+            }
+
+            if (!AuthManager.hasPermission('webhooks.manage')) {
+                Toast.error('You do not have access to webhook events');
+            }
+        } catch (error) {
+            console.error('Auth check error:', error);
+            Toast.error('Authentication failed');
+        }
+    }
+
+    async loadEvents() {
+        try {
+            this.showLoadingState();
+
+            const params = new URLSearchParams({ page: this.currentPage, limit: this.limit });
+            if (this.statusFilter) params.set('status', this.statusFilter);
+            if (this.eventTypeFilter) params.set('event_type', this.eventTypeFilter);
+
+            const response = await this.apiCall('GET', `/webhooks/events?${params}`);
+
+            if (response && response.success) {
+                this.events = response.data.events || [];
+                this.totalEvents = response.data.pagination?.total || 0;
+                this.renderEvents();
+                this.updatePagination();
+            }
+        } catch (error) {
+            console.error('💥 Webhook events load error:', error);
+            Toast.error(error.message || 'Failed to load webhook events');
+        } finally {
+            this.hideLoadingState();
+        }
+    }
+
+    renderEvents() {
+        const tableBody = document.getElementById('eventsTableBody');
+        const empty = document.getElementById('noEvents');
+
+        if (this.events.length === 0) {
+            tableBody.innerHTML = '';
+            empty.classList.remove('hidden');
+            return;
+        }
+
+        empty.classList.add('hidden');
+
+        tableBody.innerHTML = this.events.map(event => `
+            <tr class="hover:bg-gray-50 transition">
+                <td class="px-3 py-3">
+                    <div class="text-sm font-medium text-gray-900 font-mono">${this.escapeHtml(event.event_type)}</div>
+                    <div class="text-xs text-gray-400 font-mono">${this.escapeHtml(event.event_key)}</div>
+                </td>
+                <td class="px-3 py-3 text-sm text-gray-600">
+                    ${this.formatDateTime(event.received_at)}
+                    ${event.replayed_at ? `<div class="text-xs text-gray-400">Replayed ${this.formatDateTime(event.replayed_at)}</div>` : ''}
+                </td>
+                <td class="px-3 py-3">
+                    <span class="status-badge status-${event.status}">${event.status}</span>
+                    <div class="text-xs text-gray-400 mt-1">${event.attempts || 0} attempt${event.attempts === 1 ? '' : 's'}</div>
+                </td>
+                <td class="px-3 py-3 text-xs text-gray-600 max-w-xs">
+                    ${event.status === 'failed'
+                        ? `<span class="text-red-600">${this.escapeHtml(event.last_error || 'Unknown error')}</span>`
+                        : this.escapeHtml(event.result?.note || '')}
+                </td>
+                <td class="px-3 py-3">
+                    <div class="flex space-x-2 action-buttons">
+                        <button onclick="internalWebhooks.showEventDetails('${event.id}')"
+                                class="text-blue-600 hover:text-blue-800 text-sm font-medium flex items-center">
+                            <i class="fas fa-eye mr-1"></i> Inspect
+                        </button>
+                        <button onclick="internalWebhooks.replayEvent('${event.id}')"
+                                class="text-orange-600 hover:text-orange-800 text-sm font-medium flex items-center">
+                            <i class="fas fa-redo mr-1"></i> Replay
+                        </button>
+                    </div>
+                </td>
+            </tr>
+        `).join('');
+    }
+
+    async showEventDetails(eventId) {
+        try {
+            const response = await this.apiCall('GET', `/webhooks/events/${eventId}`);
+
+            if (response && response.success) {
+                const event = response.data.event;
+                this.selectedEvent = event;
+
+                document.getElementById('eventDetailsTitle').textContent = event.event_type;
+                document.getElementById('eventDetailsContent').innerHTML = `
+                    <div class="grid grid-cols-2 gap-3 text-sm mb-4">
+                        <div>
+                            <span class="text-gray-600">Status:</span>
+                            <p><span class="status-badge status-${event.status}">${event.status}</span></p>
+                        </div>
+                        <div>
+                            <span class="text-gray-600">Attempts:</span>
+                            <p class="font-medium">${event.attempts || 0}</p>
+                        </div>
+                        <div>
+                            <span class="text-gray-600">Received:</span>
+                            <p class="font-medium">${this.formatDateTime(event.received_at)}</p>
+                        </div>
+                        <div>
+                            <span class="text-gray-600">Processed:</span>
+                            <p class="font-medium">${this.formatDateTime(event.processed_at)}</p>
+                        </div>
+                        ${event.replayed_at ? `
+                        <div class="col-span-2">
+                            <span class="text-gray-600">Last Replayed:</span>
+                            <p class="font-medium">${this.formatDateTime(event.replayed_at)} by ${this.escapeHtml(event.internal_users?.name || 'Unknown')}</p>
+                        </div>
+                        ` : ''}
+                        ${event.last_error ? `
+                        <div class="col-span-2">
+                            <span class="text-gray-600">Last Error:</span>
+                            <p class="font-medium text-red-600">${this.escapeHtml(event.last_error)}</p>
+                        </div>
+                        ` : ''}
+                    </div>
+                    ${event.result ? `
+                    <h4 class="font-semibold text-gray-900 text-sm mb-1">Result</h4>
+                    <pre class="bg-gray-50 rounded-lg p-3 text-xs overflow-x-auto mb-4">${this.escapeHtml(JSON.stringify(event.result, null, 2))}</pre>
+                    ` : ''}
+                    <h4 class="font-semibold text-gray-900 text-sm mb-1">Payload</h4>
+                    <pre class="bg-gray-50 rounded-lg p-3 text-xs overflow-x-auto">${this.escapeHtml(JSON.stringify(event.payload, null, 2))}</pre>
+                `;
+
+                document.getElementById('eventDetailsModal').classList.remove('hidden');
+            }
+        } catch (error) {
+            console.error('Event details error:', error);
+            Toast.error(error.message || 'Failed to load event');
+        }
+    }
+
+    hideEventDetailsModal() {
+        document.getElementById('eventDetailsModal').classList.add('hidden');
+        this.selectedEvent = null;
+    }
+
+    async replayEvent(eventId) {
+        const event = this.events.find(e => e.id === eventId) || this.selectedEvent;
+
+        if (event?.status === 'processed' &&
+            !confirm(`This ${event.event_type} event was already processed. Replay it anyway? Handlers skip changes that are already applied.`)) {
+            return;
+        }
+
+        try {
+            const response = await this.apiCall('POST', `/webhooks/events/${eventId}/replay`);
+
+            if (response && response.success) {
+                Toast.success(response.message);
+            } else {
+                Toast.error(response?.message || 'Replay failed');
+            }
+
+            if (this.selectedEvent?.id === eventId) {
+                await this.showEventDetails(eventId);
+            }
+            await this.loadEvents();
+        } catch (error) {
+            console.error('Event replay error:', error);
+            Toast.error(error.message || 'Failed to replay event');
+        }
+    }
+
+    formatDateTime(dateString) {
+        if (!dateString) return '-';
+        const date = new Date(dateString);
+        return date.toLocaleDateString('en-US', {
+            year: 'numeric',
+            month: 'short',
+            day: 'numeric',
+            hour: '2-digit',
+            minute: '2-digit'
+        });
+    }
+
+    updatePagination() {
+        const start = this.totalEvents === 0 ? 0 : ((this.currentPage - 1) * this.limit) + 1;
+        const end = Math.min(this.currentPage * this.limit, this.totalEvents);
+
+        document.getElementById('paginationStart').textContent = start;
+        document.getElementById('paginationEnd').textContent = end;
+        document.getElementById('paginationTotal').textContent = this.totalEvents;
+
+        document.getElementById('prevPage').disabled = this.currentPage === 1;
+        document.getElementById('nextPage').disabled = end >= this.totalEvents;
+    }
+
+    // Utility Methods
+    async apiCall(method, endpoint, data = null) {
+        try {
+            const baseURL = window.CONFIG?.API?.BASE_URL || 'http://localhost:8000/api';
+            const token = localStorage.getItem('authToken');
+
+            console.log(`🌐 API Call: ${method} ${baseURL}${endpoint}`);
+
+            const response = await fetch(`${baseURL}${endpoint}`, {
+                method,
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Authorization': token ? `Bearer ${token}` : ''
+                },
+                body: data ? JSON.stringify(data) : null
+            });
+
+            const result = await response.json();
+
+            if (!response.ok) {
+                console.error(`❌ API Error ${response.status}:`, result);
+                throw new Error(result.message || `HTTP error! status: ${response.status}`);
+            }
+
+            return result;
+
+        } catch (error) {
+            console.error(`❌ API call failed for ${endpoint}:`, error);
+            throw error;
+        }
+    }
+
+    escapeHtml(unsafe) {
+        if (!unsafe) return '';
+        return String(unsafe)
+            .replace(/&/g, "&amp;")
+            .replace(/</g, "&lt;")
+            .replace(/>/g, "&gt;")
+            .replace(/"/g, "&quot;")
+            .replace(/'/g, "&#039;");
+    }
+
+    showLoadingState() {
+        document.getElementById('loadingState').classList.remove('hidden');
+        document.getElementById('noEvents').classList.add('hidden');
+    }
+
+    hideLoadingState() {
+        document.getElementById('loadingState').classList.add('hidden');
+    }
+
+    setupEventListeners() {
+        document.getElementById('refreshEvents').addEventListener('click', () => {
+            this.loadEvents();
+            Toast.info('Refreshing events...');
+        });
+
+        document.getElementById('statusFilter').addEventListener('change', (e) => {
+            this.statusFilter = e.target.value;
+            this.currentPage = 1;
+            this.loadEvents();
+        });
+
+        document.getElementById('eventTypeFilter').addEventListener('change', (e) => {
+            this.eventTypeFilter = e.target.value;
+            this.currentPage = 1;
+            this.loadEvents();
+        });
+
+        document.getElementById('prevPage').addEventListener('click', () => {
+            if (this.currentPage > 1) {
+                this.currentPage--;
+                this.loadEvents();
+            }
+        });
+
+        document.getElementById('nextPage').addEventListener('click', () => {
+            if (this.currentPage * this.limit < this.totalEvents) {
+                this.currentPage++;
+                this.loadEvents();
+            }
+        });
+
+        document.getElementById('replayFromDetails').addEventListener('click', () => {
+            if (this.selectedEvent) this.replayEvent(this.selectedEvent.id);
+        });
+
+        document.getElementById('logoutBtn').addEventListener('click', () => {
+            AuthManager.logout();
+        });
+    }
+}
+
+// Initialize when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+    console.log('🚀 Starting Webhook Events...');
+    window.internalWebhooks = new InternalWebhooks();
+});
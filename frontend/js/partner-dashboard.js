@@ -145,7 +145,7 @@ class PartnerDashboard {
     updateDashboardUI() {
         if (!this.dashboardData) return;
 
-        const { overview, referrals_breakdown, recent_referrals, monthly_trend, quick_actions, payout_eligibility } = this.dashboardData;
+        const { overview, referrals_breakdown, funnel, recent_referrals, monthly_trend, quick_actions, payout_eligibility } = this.dashboardData;
 
         // Update key metrics
         this.updateMetric('totalReferrals', overview.total_referrals);
@@ -168,11 +168,15 @@ class PartnerDashboard {
         this.updateMetric('countConverted', referrals_breakdown.fully_paid);
 
         // Calculate and update conversion rate
-        const totalCompleted = referrals_breakdown.won + referrals_breakdown.fully_paid + referrals_breakdown.lost;
+        const totalCompleted = referrals_breakdown.won + referrals_breakdown.fully_paid +
+            referrals_breakdown.lost + referrals_breakdown.expired;
         const conversionRate = totalCompleted > 0 ? 
             Math.round((referrals_breakdown.fully_paid / totalCompleted) * 100) : 0;
         this.updateMetric('conversionRate', `${conversionRate}%`);
 
+        // Update link funnel
+        this.updateFunnel(funnel);
+
         // Update recent referrals
         this.updateRecentReferrals(recent_referrals);
 
@@ -186,6 +190,21 @@ class PartnerDashboard {
         this.updateChartData(monthly_trend);
     }
 
+    updateFunnel(funnel) {
+        if (!funnel) return;
+
+        // Each stage's rate is against the stage before it
+        const rate = (count, previous) => previous > 0 ? `${Math.round((count / previous) * 100)}% of previous` : '-';
+
+        this.updateMetric('funnelClicks', funnel.clicks);
+        this.updateMetric('funnelSubmissions', funnel.submissions);
+        this.updateMetric('funnelLeads', funnel.leads);
+        this.updateMetric('funnelWon', funnel.won);
+        this.updateMetric('funnelSubmissionsRate', rate(funnel.submissions, funnel.clicks));
+        this.updateMetric('funnelLeadsRate', rate(funnel.leads, funnel.submissions));
+        this.updateMetric('funnelWonRate', rate(funnel.won, funnel.leads));
+    }
+
     updateMetric(elementId, value) {
         const element = document.getElementById(elementId);
         if (element) {
@@ -266,6 +285,7 @@ class PartnerDashboard {
                                 <i class="fas fa-money-bill-wave mr-1"></i>
                                 ${this.formatCurrency(referral.total_commission_earned)}
                             </span>
+                            ${this.renderProtection(referral.protection)}
                         </div>
                     </div>
                     <div class="text-right space-y-2">
@@ -299,7 +319,8 @@ class PartnerDashboard {
             'negotiation': 'status-active',
             'won': 'status-completed',
             'fully_paid': 'status-completed',
-            'lost': 'status-lost'
+            'lost': 'status-lost',
+            'expired': 'status-lost'
         };
         return statusClasses[status] || 'status-pending';
     }
@@ -313,11 +334,32 @@ class PartnerDashboard {
             'negotiation': 'Negotiation',
             'won': 'Won',
             'fully_paid': 'Fully Paid',
-            'lost': 'Lost'
+            'lost': 'Lost',
+            'expired': 'Expired'
         };
         return statusTexts[status] || status;
     }
 
+    // Days left on the referral's protection window; nothing once the referral is won or lost
+    renderProtection(protection) {
+        if (!protection || protection.state === 'closed') return '';
+
+        const views = {
+            protected: { icon: 'fa-shield-alt', color: 'text-gray-600', text: `Protected ${protection.days_left} day${protection.days_left === 1 ? '' : 's'}` },
+            expiring: { icon: 'fa-hourglass-half', color: 'text-orange-600', text: `Expires in ${protection.days_left} day${protection.days_left === 1 ? '' : 's'}` },
+            lapsed: { icon: 'fa-hourglass-end', color: 'text-red-600', text: 'Expiring today' },
+            expired: { icon: 'fa-hourglass-end', color: 'text-red-600', text: 'Protection expired' }
+        };
+        const view = views[protection.state];
+
+        return `
+            <span class="flex items-center ${view.color}" title="Protected until ${new Date(protection.protected_until).toLocaleDateString()}">
+                <i class="fas ${view.icon} mr-1"></i>
+                ${view.text}
+            </span>
+        `;
+    }
+
     updatePayoutButton(canRequestPayout) {
         const payoutBtn = document.getElementById('payoutBtn');
         if (payoutBtn) {
@@ -4,6 +4,8 @@ class PartnerPayouts {
         this.currentUser = null;
         this.currentPartner = null;
         this.eligiblePayouts = [];
+        this.availableAmount = 0;
+        this.minimumPayout = 0;
         this.payoutHistory = [];
         this.selectedReferral = null;
         this.selectedPayout = null;
@@ -51,7 +53,11 @@ class PartnerPayouts {
 
             if (eligibleResponse && eligibleResponse.success) {
                 this.eligiblePayouts = eligibleResponse.data.referrals || [];
+                this.clawbackBalance = eligibleResponse.data.clawback_balance || 0;
+                this.availableAmount = eligibleResponse.data.available_amount || 0;
+                this.minimumPayout = eligibleResponse.data.minimum_payout || 0;
                 this.renderEligiblePayouts();
+                this.renderPendingAccrual(eligibleResponse.data);
             }
 
             if (historyResponse && historyResponse.success) {
@@ -99,18 +105,32 @@ class PartnerPayouts {
         eligibleSection.classList.remove('hidden');
         noEligibleSection.classList.add('hidden');
 
+        const clawbackNotice = document.getElementById('clawbackNotice');
+        if (this.clawbackBalance > 0) {
+            document.getElementById('clawbackBalance').textContent = `₦${this.clawbackBalance.toLocaleString()}`;
+            clawbackNotice.classList.remove('hidden');
+        } else {
+            clawbackNotice.classList.add('hidden');
+        }
+
+        document.getElementById('availableBalance').textContent = `₦${this.availableAmount.toLocaleString()}`;
+        document.getElementById('minimumPayout').textContent = `₦${this.minimumPayout.toLocaleString()}`;
+        document.getElementById('withdrawBalanceBtn').disabled = this.availableAmount < this.minimumPayout || this.availableAmount <= 0;
+
         eligibleList.innerHTML = this.eligiblePayouts.map(referral => `
             <div class="flex items-center justify-between p-4 bg-green-50 rounded-lg border border-green-200">
                 <div class="flex-1">
                     <div class="flex items-center justify-between mb-2">
                         <h4 class="font-semibold text-gray-900">${this.escapeHtml(referral.prospect_company_name)}</h4>
                         <span class="bg-green-100 text-green-800 px-2 py-1 rounded text-xs font-medium">
-                            ₦${(referral.total_commission_earned || 0).toLocaleString()}
+                            ₦${(referral.available_amount || 0).toLocaleString()}
                         </span>
                     </div>
                     <div class="flex items-center text-sm text-gray-600">
                         <span class="font-mono bg-gray-100 px-2 py-1 rounded mr-3">${referral.referral_code}</span>
-                        <span>Ready for payout</span>
+                        <span>${referral.allocated_amount > 0
+                            ? `₦${referral.allocated_amount.toLocaleString()} of ₦${(referral.total_commission_earned || 0).toLocaleString()} already requested`
+                            : 'Ready for payout'}</span>
                     </div>
                 </div>
                 <button onclick="partnerPayouts.showRequestPayoutModal('${referral.id}')" 
@@ -122,6 +142,27 @@ class PartnerPayouts {
         `).join('');
     }
 
+    renderPendingAccrual({ pending_commission, next_clearance_at, accrual_policy, clearance_days }) {
+        const notice = document.getElementById('pendingAccrualNotice');
+
+        if (!(pending_commission > 0)) {
+            notice.classList.add('hidden');
+            return;
+        }
+
+        const amount = `₦${pending_commission.toLocaleString()}`;
+        let text;
+        if (accrual_policy === 'clearance_hold') {
+            text = `${amount} of commission is in its ${clearance_days}-day clearance period` +
+                (next_clearance_at ? `. The next payment clears on ${this.formatDate(next_clearance_at)}.` : '.');
+        } else {
+            text = `${amount} of commission becomes available for payout once your referrals' deals are fully paid.`;
+        }
+
+        document.getElementById('pendingAccrualText').textContent = text;
+        notice.classList.remove('hidden');
+    }
+
     renderPayoutHistory() {
         const tableBody = document.getElementById('payoutsTableBody');
         const noPayouts = document.getElementById('noPayouts');
@@ -140,11 +181,12 @@ class PartnerPayouts {
         tableBody.innerHTML = this.payoutHistory.map(payout => `
             <tr class="hover:bg-gray-50 transition">
                 <td class="px-3 py-3">
-                    <div class="text-sm font-medium text-gray-900">${payout.referrals?.prospect_company_name || 'Unknown'}</div>
+                    <div class="text-sm font-medium text-gray-900">${payout.referrals?.prospect_company_name || 'Multiple referrals'}</div>
                     <div class="text-xs text-gray-500 font-mono">${payout.referrals?.referral_code || '-'}</div>
                 </td>
                 <td class="px-3 py-3">
                     <div class="text-sm font-semibold text-gray-900">₦${(payout.amount || 0).toLocaleString()}</div>
+                    ${payout.wht_amount > 0 ? `<div class="text-xs text-gray-500">₦${payout.wht_amount.toLocaleString()} WHT withheld</div>` : ''}
                 </td>
                 <td class="px-3 py-3 text-sm text-gray-600">
                     ${this.formatDate(payout.requested_at)}
@@ -166,6 +208,12 @@ class PartnerPayouts {
                             <i class="fas fa-receipt mr-1"></i> Receipt
                         </a>
                         ` : ''}
+                        ${payout.status === 'paid' && payout.wht_amount > 0 ? `
+                        <button onclick="partnerPayouts.downloadCreditNote('${payout.id}')"
+                                class="text-blue-600 hover:text-blue-800 text-sm font-medium flex items-center">
+                            <i class="fas fa-file-invoice mr-1"></i> WHT Credit Note
+                        </button>
+                        ` : ''}
                     </div>
                 </td>
             </tr>
@@ -193,15 +241,33 @@ class PartnerPayouts {
     }
 
     // Modal Methods
-    async showRequestPayoutModal(referralId) {
-        const referral = this.eligiblePayouts.find(r => r.id === referralId);
-        if (!referral) return;
+    // Without a referral the request draws on the whole balance, oldest referrals first
+    async showRequestPayoutModal(referralId = null) {
+        const referrals = referralId
+            ? this.eligiblePayouts.filter(r => r.id === referralId)
+            : this.eligiblePayouts;
+        if (referrals.length === 0) return;
+
+        const commission = referrals.reduce((sum, r) => sum + (r.available_amount || 0), 0);
+        const available = Math.max(0, Math.round((commission - this.clawbackBalance) * 100) / 100);
 
-        this.selectedReferral = referral;
+        this.selectedReferral = referralId ? referrals[0] : null;
+        this.requestAvailable = available;
 
         // Populate modal
-        document.getElementById('payoutReferralName').textContent = referral.prospect_company_name;
-        document.getElementById('payoutAmount').textContent = `₦${(referral.total_commission_earned || 0).toLocaleString()}`;
+        document.getElementById('payoutReferralName').textContent = referralId
+            ? referrals[0].prospect_company_name
+            : `All referrals (${referrals.length})`;
+        document.getElementById('payoutAvailable').textContent = `₦${available.toLocaleString()}`;
+
+        const amountInput = document.getElementById('payoutAmountInput');
+        amountInput.value = available;
+        amountInput.max = available;
+        amountInput.min = this.minimumPayout;
+        document.getElementById('payoutAmountHint').textContent =
+            `Minimum ₦${this.minimumPayout.toLocaleString()}` +
+            (this.clawbackBalance > 0 ? ` · ₦${this.clawbackBalance.toLocaleString()} clawback is settled from this balance` : '') +
+            ' · WHT is withheld from the amount you withdraw';
         
         // Show bank info
         const bankInfo = this.currentPartner.bank_account_number ? 
@@ -218,11 +284,25 @@ class PartnerPayouts {
     }
 
     async confirmPayoutRequest() {
-        if (!this.selectedReferral) return;
+        const amount = parseFloat(document.getElementById('payoutAmountInput').value);
+
+        if (!(amount > 0)) {
+            Toast.error('Enter the amount you want to withdraw');
+            return;
+        }
+        if (amount < this.minimumPayout) {
+            Toast.error(`The minimum payout is ₦${this.minimumPayout.toLocaleString()}`);
+            return;
+        }
+        if (amount > this.requestAvailable) {
+            Toast.error(`You can withdraw up to ₦${this.requestAvailable.toLocaleString()}`);
+            return;
+        }
 
         try {
             const response = await this.apiCall('POST', '/payouts/request', {
-                referral_id: this.selectedReferral.id
+                amount,
+                ...(this.selectedReferral && { referral_ids: [this.selectedReferral.id] })
             });
 
             if (response && response.success) {
@@ -262,7 +342,7 @@ class PartnerPayouts {
                 <div class="grid grid-cols-2 gap-4 text-sm">
                     <div>
                         <span class="text-gray-600">Referral:</span>
-                        <p class="font-semibold">${payout.referrals?.prospect_company_name || 'Unknown'}</p>
+                        <p class="font-semibold">${payout.referrals?.prospect_company_name || 'Multiple referrals'}</p>
                     </div>
                     <div>
                         <span class="text-gray-600">Amount:</span>
@@ -288,6 +368,28 @@ class PartnerPayouts {
                         <p class="font-medium">${payout.internal_users?.name || 'System'}</p>
                     </div>
                     ` : ''}
+                    ${payout.gross_amount ? `
+                    <div>
+                        <span class="text-gray-600">Gross Commission:</span>
+                        <p class="font-medium">₦${payout.gross_amount.toLocaleString()}</p>
+                    </div>
+                    <div>
+                        <span class="text-gray-600">WHT Withheld${payout.wht_rate ? ` (${(payout.wht_rate * 100).toFixed(1)}%)` : ''}:</span>
+                        <p class="font-medium">₦${(payout.wht_amount || 0).toLocaleString()}</p>
+                    </div>
+                    ${payout.vat_amount > 0 ? `
+                    <div>
+                        <span class="text-gray-600">VAT Included:</span>
+                        <p class="font-medium">₦${payout.vat_amount.toLocaleString()}</p>
+                    </div>
+                    ` : ''}
+                    ${payout.clawback_deducted > 0 ? `
+                    <div>
+                        <span class="text-gray-600">Clawback Deducted:</span>
+                        <p class="font-medium">₦${payout.clawback_deducted.toLocaleString()}</p>
+                    </div>
+                    ` : ''}
+                    ` : ''}
                     ${payout.payment_reference ? `
                     <div class="col-span-2">
                         <span class="text-gray-600">Payment Reference:</span>
@@ -372,6 +474,71 @@ class PartnerPayouts {
         document.getElementById('payoutsLoading').classList.add('hidden');
     }
 
+    async downloadStatement() {
+        const from = document.getElementById('statementFrom').value;
+        const to = document.getElementById('statementTo').value;
+
+        if (!from || !to || from > to) {
+            Toast.error('Choose a valid statement period');
+            return;
+        }
+
+        try {
+            const baseURL = window.CONFIG?.API?.BASE_URL || 'http://localhost:8000/api';
+            const token = localStorage.getItem('authToken');
+
+            const response = await fetch(`${baseURL}/ledger/statement?from=${from}&to=${to}&format=csv`, {
+                headers: { 'Authorization': token ? `Bearer ${token}` : '' }
+            });
+
+            if (!response.ok) {
+                const result = await response.json();
+                throw new Error(result.message || `HTTP error! status: ${response.status}`);
+            }
+
+            const blob = await response.blob();
+            const url = URL.createObjectURL(blob);
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = `commission_statement_${from}_${to}.csv`;
+            link.click();
+            URL.revokeObjectURL(url);
+
+        } catch (error) {
+            console.error('💥 Statement download error:', error);
+            Toast.error(error.message || 'Failed to download statement');
+        }
+    }
+
+    async downloadCreditNote(payoutId) {
+        try {
+            const baseURL = window.CONFIG?.API?.BASE_URL || 'http://localhost:8000/api';
+            const token = localStorage.getItem('authToken');
+
+            const response = await fetch(`${baseURL}/payouts/partner/${payoutId}/credit-note`, {
+                headers: { 'Authorization': token ? `Bearer ${token}` : '' }
+            });
+
+            if (!response.ok) {
+                const result = await response.json();
+                throw new Error(result.message || `HTTP error! status: ${response.status}`);
+            }
+
+            const filename = response.headers.get('Content-Disposition')?.match(/filename="([^"]+)"/)?.[1] || 'wht_credit_note.html';
+            const blob = await response.blob();
+            const url = URL.createObjectURL(blob);
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = filename;
+            link.click();
+            URL.revokeObjectURL(url);
+
+        } catch (error) {
+            console.error('💥 Credit note download error:', error);
+            Toast.error(error.message || 'Failed to download credit note');
+        }
+    }
+
     setupEventListeners() {
         // Refresh payouts
         document.getElementById('refreshPayouts').addEventListener('click', () => {
@@ -379,6 +546,14 @@ class PartnerPayouts {
             Toast.info('Refreshing payout data...');
         });
 
+        // Statement download (defaults to year to date)
+        const today = new Date().toISOString().split('T')[0];
+        document.getElementById('statementFrom').value = `${today.slice(0, 4)}-01-01`;
+        document.getElementById('statementTo').value = today;
+        document.getElementById('downloadStatement').addEventListener('click', () => {
+            this.downloadStatement();
+        });
+
         // Logout
         document.getElementById('logoutBtn').addEventListener('click', () => {
             AuthManager.logout();
@@ -64,6 +64,22 @@ function displayReferralDetails() {
     document.getElementById('createdDate').textContent = new Date(currentReferral.created_at).toLocaleDateString();
     document.getElementById('updatedDate').textContent = new Date(currentReferral.updated_at).toLocaleDateString();
 
+    // Protection window countdown, while the referral is open or after it expired
+    const protection = currentReferral.protection;
+    if (protection && protection.state !== 'closed') {
+        const until = new Date(protection.protected_until).toLocaleDateString();
+        const protectionTexts = {
+            protected: `${protection.days_left} days left (until ${until})`,
+            expiring: `Expires in ${protection.days_left} day${protection.days_left === 1 ? '' : 's'} (${until})`,
+            lapsed: 'Expiring today',
+            expired: `Expired ${until}`
+        };
+        const protectionStatus = document.getElementById('protectionStatus');
+        protectionStatus.textContent = protectionTexts[protection.state];
+        protectionStatus.style.color = protection.state === 'protected' ? '' : '#ef4444';
+        document.getElementById('protectionRow').classList.remove('hidden');
+    }
+
     // Financial Information - USE EXISTING FIELDS
     const financial = currentReferral.financial_summary || {};
     
@@ -103,6 +119,13 @@ function displayReferralDetails() {
     document.getElementById('breakdownAvailable').textContent = 
         currentReferral.commission_eligible ? formatCurrency(totalCommission) : '₦0';
 
+    // Link Funnel
+    const funnel = currentReferral.funnel || {};
+    document.getElementById('funnelClicks').textContent = funnel.clicks || 0;
+    document.getElementById('funnelSubmissions').textContent = funnel.submissions || 0;
+    document.getElementById('funnelLeads').textContent = funnel.leads || 0;
+    document.getElementById('funnelWon').textContent = funnel.won ? 'Yes' : 'No';
+
     // Update payout button
     const payoutBtn = document.getElementById('payoutBtn');
     if (currentReferral.commission_eligible && totalCommission > 0) {
@@ -159,7 +182,8 @@ function formatStatus(status) {
         'negotiation': 'In Negotiation',
         'won': 'Won',
         'fully_paid': 'Fully Paid',
-        'lost': 'Lost'
+        'lost': 'Lost',
+        'expired': 'Expired'
     };
     return statusMap[status] || status;
 }